@@ -0,0 +1,53 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Console\Commands;
+
+use App\Services\UtilityAnomalyService;
+use Carbon\Carbon;
+use Illuminate\Console\Command;
+
+class DetectUtilityAnomaliesCommand extends Command
+{
+    /**
+     * The name and signature of the console command.
+     */
+    protected $signature = 'utilities:detect-anomalies
+                            {--month= : Month to check as YYYY-MM (defaults to last month and this month)}';
+
+    /**
+     * The console command description.
+     */
+    protected $description = 'Detect and record properties with anomalous monthly utility costs';
+
+    /**
+     * Execute the console command.
+     */
+    public function handle(UtilityAnomalyService $anomalyService): int
+    {
+        $month = $this->option('month');
+
+        if ($month !== null && ! preg_match('/^\d{4}-\d{2}$/', $month)) {
+            $this->error('The --month option must be in YYYY-MM format.');
+
+            return self::FAILURE;
+        }
+
+        // This month is checked too so the dashboards' open anomalies stay current
+        $months = $month !== null
+            ? [Carbon::createFromFormat('Y-m-d', "{$month}-01")]
+            : [now()->subMonthNoOverflow(), now()];
+
+        $created = 0;
+        foreach ($months as $month) {
+            $this->info("Detecting utility anomalies for {$month->format('F Y')}...");
+
+            $created += $anomalyService->recordAnomalies($month);
+        }
+
+        $this->info("Recorded {$created} new anomalies.");
+
+        return self::SUCCESS;
+    }
+}
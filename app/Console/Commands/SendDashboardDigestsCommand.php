@@ -0,0 +1,34 @@
+<?php
+
+namespace App\Console\Commands;
+
+use App\Services\DashboardDigestService;
+use Illuminate\Console\Command;
+
+class SendDashboardDigestsCommand extends Command
+{
+    /**
+     * The name and signature of the console command.
+     */
+    protected $signature = 'digests:send
+                            {--force : Send to every subscriber, even if already sent this period}';
+
+    /**
+     * The console command description.
+     */
+    protected $description = 'Send weekly and monthly Dashboard digest emails to subscribers';
+
+    /**
+     * Execute the console command.
+     */
+    public function handle(DashboardDigestService $digestService): int
+    {
+        $this->info('Sending dashboard digests...');
+
+        $sent = $digestService->sendDueDigests(force: (bool) $this->option('force'));
+
+        $this->info("Sent {$sent} dashboard digest(s).");
+
+        return self::SUCCESS;
+    }
+}
@@ -0,0 +1,145 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers\Admin;
+
+use App\Http\Controllers\Controller;
+use App\Http\Requests\MuteAlertRuleRequest;
+use App\Http\Requests\PreviewAlertRuleRequest;
+use App\Http\Requests\StoreAlertRuleRequest;
+use App\Http\Requests\UpdateAlertRuleRequest;
+use App\Models\AlertRule;
+use App\Models\AlertRuleTrigger;
+use App\Models\User;
+use App\Services\NotificationService;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class AlertRuleController extends Controller
+{
+    /**
+     * Number of recent triggers shown per rule.
+     */
+    public const HISTORY_LIMIT = 10;
+
+    public function __construct(
+        private readonly NotificationService $notificationService
+    ) {}
+
+    /**
+     * Display a listing of the alert rules.
+     */
+    public function index(Request $request): Response
+    {
+        abort_unless($request->user()?->isAdmin(), 403);
+
+        $rules = AlertRule::query()
+            ->with(['triggers' => fn ($query) => $query->latest('triggered_at')->limit(self::HISTORY_LIMIT)])
+            ->withCount('triggers')
+            ->orderBy('name')
+            ->get()
+            ->map(fn (AlertRule $rule) => [
+                'id' => $rule->id,
+                'name' => $rule->name,
+                'metric' => $rule->metric,
+                'metric_label' => $rule->metric_label,
+                'operator' => $rule->operator,
+                'operator_label' => $rule->operator_label,
+                'threshold' => $rule->threshold,
+                'enabled' => $rule->enabled,
+                'recipients' => $rule->recipients ?? [],
+                'last_triggered_at' => $rule->last_triggered_at?->toIso8601String(),
+                'muted_until' => $rule->isMuted() ? $rule->muted_until->toIso8601String() : null,
+                'triggers_count' => $rule->triggers_count,
+                'triggers' => $rule->triggers->map(fn (AlertRuleTrigger $trigger) => [
+                    'id' => $trigger->id,
+                    'value' => $trigger->value,
+                    'operator' => $trigger->operator,
+                    'threshold' => $trigger->threshold,
+                    'recipients' => $trigger->recipients ?? [],
+                    'triggered_at' => $trigger->triggered_at->toIso8601String(),
+                ]),
+            ]);
+
+        return Inertia::render('Admin/AlertRules', [
+            'rules' => $rules,
+            'users' => User::active()->orderBy('name')->get(['id', 'name', 'email']),
+            'metrics' => AlertRule::METRICS,
+            'operators' => AlertRule::OPERATORS,
+            'muteDurations' => AlertRule::MUTE_DURATIONS,
+        ]);
+    }
+
+    /**
+     * Store a newly created alert rule.
+     */
+    public function store(StoreAlertRuleRequest $request): RedirectResponse
+    {
+        AlertRule::create($request->validated());
+
+        return redirect()->route('admin.alert-rules.index')
+            ->with('success', 'Alert rule created successfully.');
+    }
+
+    /**
+     * Update the specified alert rule.
+     */
+    public function update(UpdateAlertRuleRequest $request, AlertRule $alertRule): RedirectResponse
+    {
+        $alertRule->update($request->validated());
+
+        return redirect()->route('admin.alert-rules.index')
+            ->with('success', 'Alert rule updated successfully.');
+    }
+
+    /**
+     * Remove the specified alert rule.
+     */
+    public function destroy(Request $request, AlertRule $alertRule): RedirectResponse
+    {
+        abort_unless($request->user()?->isAdmin(), 403);
+
+        $alertRule->delete();
+
+        return redirect()->route('admin.alert-rules.index')
+            ->with('success', 'Alert rule deleted successfully.');
+    }
+
+    /**
+     * Check whether a rule definition would fire against today's KPIs.
+     */
+    public function preview(PreviewAlertRuleRequest $request): JsonResponse
+    {
+        $rule = new AlertRule($request->validated());
+
+        return response()->json($this->notificationService->previewRule($rule));
+    }
+
+    /**
+     * Mute the specified alert rule for a while.
+     */
+    public function mute(MuteAlertRuleRequest $request, AlertRule $alertRule): RedirectResponse
+    {
+        $hours = (int) $request->validated('hours');
+
+        $alertRule->mute($hours);
+
+        return back()->with('success', 'Alert rule muted for '.AlertRule::MUTE_DURATIONS[$hours].'.');
+    }
+
+    /**
+     * Unmute the specified alert rule.
+     */
+    public function unmute(Request $request, AlertRule $alertRule): RedirectResponse
+    {
+        abort_unless($request->user()?->isAdmin(), 403);
+
+        $alertRule->unmute();
+
+        return back()->with('success', 'Alert rule unmuted.');
+    }
+}
@@ -0,0 +1,86 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers\Admin;
+
+use App\Http\Controllers\Controller;
+use App\Http\Requests\UpdateUtilityAnomalySettingRequest;
+use App\Models\UtilityAnomaly;
+use App\Models\UtilityAnomalySetting;
+use App\Models\UtilityType;
+use App\Services\UtilityAnomalyService;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class UtilityAnomalySettingController extends Controller
+{
+    public function __construct(
+        private readonly UtilityAnomalyService $anomalyService
+    ) {}
+
+    /**
+     * Display the anomaly detection settings for each utility type.
+     */
+    public function index(Request $request): Response
+    {
+        abort_unless($request->user()?->isAdmin(), 403);
+
+        $openCounts = UtilityAnomaly::open()
+            ->selectRaw('utility_type_id, COUNT(*) as count')
+            ->groupBy('utility_type_id')
+            ->pluck('count', 'utility_type_id');
+
+        $settings = UtilityType::ordered()->with('anomalySetting')->get()->map(function (UtilityType $type) use ($openCounts) {
+            $setting = UtilityAnomalySetting::forType($type);
+
+            return [
+                'utility_type_id' => $type->id,
+                'key' => $type->key,
+                'label' => $type->label,
+                'icon' => $type->icon_or_default,
+                'color_scheme' => $type->color_scheme_or_default,
+                'weather_adjusted' => $type->degree_day_basis !== null,
+                'is_enabled' => $setting->is_enabled,
+                'z_score_threshold' => $setting->z_score_threshold,
+                'percent_over_average' => $setting->percent_over_average,
+                'rolling_months' => $setting->rolling_months,
+                'min_dollar_impact' => $setting->min_dollar_impact,
+                'open_count' => (int) ($openCounts[$type->id] ?? 0),
+            ];
+        });
+
+        return Inertia::render('Admin/UtilityAnomalySettings', [
+            'settings' => $settings,
+            'defaults' => [
+                'z_score_threshold' => UtilityAnomalySetting::DEFAULT_Z_SCORE_THRESHOLD,
+                'rolling_months' => UtilityAnomalySetting::DEFAULT_ROLLING_MONTHS,
+            ],
+            'maxRollingMonths' => UtilityAnomalySetting::MAX_ROLLING_MONTHS,
+        ]);
+    }
+
+    /**
+     * Save a utility type's anomaly detection settings.
+     *
+     * Last month and this month are checked again right away so the open
+     * anomalies reflect the new settings.
+     */
+    public function update(UpdateUtilityAnomalySettingRequest $request, UtilityType $utilityType): RedirectResponse
+    {
+        UtilityAnomalySetting::updateOrCreate(
+            ['utility_type_id' => $utilityType->id],
+            [
+                ...$request->validated(),
+                'updated_by' => $request->user()->id,
+            ]
+        );
+
+        $this->anomalyService->recordAnomalies(now()->subMonthNoOverflow(), $utilityType);
+        $this->anomalyService->recordAnomalies(now(), $utilityType);
+
+        return back()->with('success', "Anomaly detection updated for {$utilityType->label}.");
+    }
+}
@@ -0,0 +1,98 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers\Admin;
+
+use App\Http\Controllers\Controller;
+use App\Http\Requests\ImportUtilityBudgetsRequest;
+use App\Http\Requests\StoreUtilityBudgetRequest;
+use App\Models\Property;
+use App\Models\UtilityType;
+use App\Services\UtilityBudgetService;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Str;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class UtilityBudgetController extends Controller
+{
+    public function __construct(
+        private readonly UtilityBudgetService $budgetService
+    ) {}
+
+    /**
+     * Display the budgets entered for a year.
+     */
+    public function index(Request $request): Response
+    {
+        abort_unless($request->user()?->isAdmin(), 403);
+
+        $validated = $request->validate([
+            'year' => ['nullable', 'integer', 'min:2000', 'max:2100'],
+        ]);
+        $year = (int) ($validated['year'] ?? now()->year);
+
+        return Inertia::render('Admin/UtilityBudgets', [
+            'year' => $year,
+            'budgets' => $this->budgetService->getBudgetsForYear($year),
+            'properties' => Property::active()->orderBy('name')->get(['id', 'name']),
+            'utilityTypes' => UtilityType::getAllWithMetadata(),
+            'monthColumns' => UtilityBudgetService::MONTH_COLUMNS,
+        ]);
+    }
+
+    /**
+     * Create or replace a property's budget for a utility type and year.
+     */
+    public function store(StoreUtilityBudgetRequest $request): RedirectResponse
+    {
+        $validated = $request->validated();
+
+        $monthlyAmounts = ! empty($validated['months'])
+            ? array_combine(range(1, 12), array_values($validated['months']))
+            : $this->budgetService->splitAnnualAmount((float) $validated['annual']);
+
+        $this->budgetService->saveBudget(
+            $validated['property_id'],
+            $validated['utility_type_id'],
+            (int) $validated['year'],
+            $monthlyAmounts,
+            $request->user()->id
+        );
+
+        return redirect()->route('admin.utility-budgets.index', ['year' => $validated['year']])
+            ->with('success', 'Budget saved successfully.');
+    }
+
+    /**
+     * Import budgets from an uploaded CSV file.
+     */
+    public function import(ImportUtilityBudgetsRequest $request): RedirectResponse
+    {
+        $result = $this->budgetService->importCsv(
+            $request->file('file')->getRealPath(),
+            $request->user()->id
+        );
+
+        return $this->redirectWithImportResult(
+            redirect()->route('admin.utility-budgets.index', $request->only('year')),
+            $result,
+            "Imported {$result['imported']} ".Str::plural('budget', $result['imported']).'.'
+        );
+    }
+
+    /**
+     * Remove a property's budget for a utility type and year.
+     */
+    public function destroy(Request $request, Property $property, UtilityType $utilityType, int $year): RedirectResponse
+    {
+        abort_unless($request->user()?->isAdmin(), 403);
+
+        $this->budgetService->deleteBudget($property->id, $utilityType->id, $year);
+
+        return redirect()->route('admin.utility-budgets.index', ['year' => $year])
+            ->with('success', 'Budget deleted successfully.');
+    }
+}
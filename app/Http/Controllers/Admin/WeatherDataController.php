@@ -0,0 +1,69 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers\Admin;
+
+use App\Http\Controllers\Controller;
+use App\Http\Requests\ImportDegreeDaysRequest;
+use App\Models\UtilityType;
+use App\Services\WeatherNormalizationService;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Str;
+use Illuminate\Validation\Rule;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class WeatherDataController extends Controller
+{
+    public function __construct(
+        private readonly WeatherNormalizationService $normalizationService
+    ) {}
+
+    /**
+     * Display the imported degree days and how properties are matched to them.
+     */
+    public function index(Request $request): Response
+    {
+        abort_unless($request->user()?->isAdmin(), 403);
+
+        return Inertia::render('Admin/WeatherData', [
+            'locations' => $this->normalizationService->getLocationSummary(),
+            'properties' => $this->normalizationService->getPropertyMatches(),
+            'utilityTypes' => UtilityType::getAllWithMetadata(),
+            'degreeDayBases' => UtilityType::DEGREE_DAY_BASES,
+            'maxStationDistance' => WeatherNormalizationService::MAX_STATION_DISTANCE_MILES,
+        ]);
+    }
+
+    /**
+     * Import monthly degree days from an uploaded CSV file.
+     */
+    public function import(ImportDegreeDaysRequest $request): RedirectResponse
+    {
+        $result = $this->normalizationService->importCsv($request->file('file')->getRealPath());
+
+        return $this->redirectWithImportResult(
+            redirect()->route('admin.weather-data.index'),
+            $result,
+            "Imported {$result['imported']} ".Str::plural('month', $result['imported']).' of degree days.'
+        );
+    }
+
+    /**
+     * Set which degree days a utility type's costs follow.
+     */
+    public function updateBasis(Request $request, UtilityType $utilityType): RedirectResponse
+    {
+        abort_unless($request->user()?->isAdmin(), 403);
+
+        $validated = $request->validate([
+            'degree_day_basis' => ['nullable', 'string', Rule::in(array_keys(UtilityType::DEGREE_DAY_BASES))],
+        ]);
+
+        $utilityType->update(['degree_day_basis' => $validated['degree_day_basis'] ?? null]);
+
+        return back()->with('success', "Weather normalization updated for {$utilityType->label}.");
+    }
+}
@@ -6,33 +6,69 @@ use App\Http\Controllers\Controller;
 use App\Models\DailyKpi;
 use App\Models\SyncRun;
 use App\Services\AnalyticsService;
+use App\Services\KpiDrillDownService;
+use Carbon\Carbon;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
+use Illuminate\Validation\Rule;
 
 class DashboardApiController extends Controller
 {
     public function __construct(
-        private readonly AnalyticsService $analyticsService
+        private readonly AnalyticsService $analyticsService,
+        private readonly KpiDrillDownService $drillDownService
     ) {}
 
     /**
      * Get dashboard statistics.
+     *
+     * The trend window is selected with `range` (plus `start_date`/`end_date`
+     * for custom ranges) and aggregated by `granularity`. The legacy `days`
+     * parameter is still honored when no range is given.
      */
     public function stats(Request $request): JsonResponse
     {
-        $days = $request->integer('days', 30);
-        $days = min(max($days, 7), 365); // Clamp between 7 and 365
+        $validated = $request->validate([
+            'range' => ['nullable', 'string', Rule::in(array_keys(AnalyticsService::TREND_RANGES))],
+            'start_date' => ['nullable', 'required_if:range,custom', 'date'],
+            'end_date' => ['nullable', 'required_if:range,custom', 'date', 'after_or_equal:start_date'],
+            'granularity' => ['nullable', 'string', Rule::in(array_keys(AnalyticsService::TREND_GRANULARITIES))],
+        ]);
+
+        $granularity = $validated['granularity'] ?? AnalyticsService::DEFAULT_TREND_GRANULARITY;
+
+        if (isset($validated['range'])) {
+            $trendWindow = $this->analyticsService->resolveTrendWindow(
+                $validated['range'],
+                $validated['start_date'] ?? null,
+                $validated['end_date'] ?? null,
+            );
+        } else {
+            $days = $request->integer('days', 30);
+            $days = min(max($days, 7), 365); // Clamp between 7 and 365
+
+            $trendWindow = [
+                'range' => 'custom',
+                'start' => now()->subDays($days)->startOfDay(),
+                'end' => now()->startOfDay(),
+            ];
+        }
+
+        // Apply the user's saved dashboard scope
+        $scopePropertyIds = $this->analyticsService->resolveScopePropertyIds(
+            (array) $request->user()->getPreference('dashboard_scope', [])
+        );
 
         // Get the latest KPIs
-        $latestKpis = DailyKpi::query()
-            ->latest('date')
-            ->first();
+        $latestKpis = $this->analyticsService->getLatestKpis($scopePropertyIds);
 
         // Get KPI trend data
-        $kpiTrend = DailyKpi::query()
-            ->where('date', '>=', now()->subDays($days))
-            ->orderBy('date')
-            ->get();
+        $kpiTrend = $this->analyticsService->getAggregatedKpiTrend(
+            $trendWindow['start'],
+            $trendWindow['end'],
+            $granularity,
+            $scopePropertyIds,
+        );
 
         // Get the latest sync run
         $latestSync = SyncRun::query()
@@ -40,13 +76,19 @@ class DashboardApiController extends Controller
             ->first();
 
         // Get property rollups
-        $propertyRollups = $this->analyticsService->getPropertyRollups();
+        $propertyRollups = $this->analyticsService->getPropertyRollups(null, $scopePropertyIds);
 
         return response()->json([
             'kpis' => [
                 'current' => $latestKpis,
                 'trend' => $kpiTrend,
             ],
+            'trendFilters' => [
+                'range' => $trendWindow['range'],
+                'start_date' => $trendWindow['start']->toDateString(),
+                'end_date' => $trendWindow['end']->toDateString(),
+                'granularity' => $granularity,
+            ],
             'syncStatus' => [
                 'lastRun' => $latestSync,
             ],
@@ -54,4 +96,56 @@ class DashboardApiController extends Controller
             'generatedAt' => now()->toIso8601String(),
         ]);
     }
+
+    /**
+     * Get the records behind one point on a Dashboard trend chart.
+     *
+     * Respects the user's saved dashboard scope, like the charts themselves.
+     */
+    public function drillDown(Request $request): JsonResponse
+    {
+        $validated = $request->validate([
+            'metric' => ['required', 'string', Rule::in(array_keys(KpiDrillDownService::METRICS))],
+            'date' => ['required', 'date', 'before_or_equal:today'],
+            'granularity' => ['nullable', 'string', Rule::in(array_keys(AnalyticsService::TREND_GRANULARITIES))],
+        ]);
+
+        $scopePropertyIds = $this->analyticsService->resolveScopePropertyIds(
+            (array) $request->user()->getPreference('dashboard_scope', [])
+        );
+
+        return response()->json($this->drillDownService->getDrillDown(
+            $validated['metric'],
+            Carbon::parse($validated['date'])->startOfDay(),
+            $validated['granularity'] ?? AnalyticsService::DEFAULT_TREND_GRANULARITY,
+            $scopePropertyIds,
+        ));
+    }
+
+    /**
+     * Get a cheap fingerprint of the data behind the Dashboard.
+     *
+     * The Dashboard polls this and reloads its props when the version
+     * changes, i.e. after a sync run finishes or analytics are refreshed.
+     */
+    public function version(): JsonResponse
+    {
+        $lastRun = SyncRun::query()
+            ->whereIn('status', ['completed', 'failed'])
+            ->latest('ended_at')
+            ->first(['id', 'status', 'ended_at']);
+
+        $kpisUpdatedAt = DailyKpi::max('updated_at');
+        $kpisUpdatedAt = $kpisUpdatedAt ? Carbon::parse($kpisUpdatedAt)->toIso8601String() : null;
+
+        return response()->json([
+            'version' => implode('|', [$lastRun?->id ?? '', $kpisUpdatedAt ?? '']),
+            'last_sync_run' => $lastRun ? [
+                'id' => $lastRun->id,
+                'status' => $lastRun->status,
+                'ended_at' => $lastRun->ended_at?->toIso8601String(),
+            ] : null,
+            'kpis_updated_at' => $kpisUpdatedAt,
+        ]);
+    }
 }
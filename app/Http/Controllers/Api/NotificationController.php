@@ -0,0 +1,88 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers\Api;
+
+use App\Http\Controllers\Controller;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Notifications\DatabaseNotification;
+
+class NotificationController extends Controller
+{
+    /**
+     * Number of notifications returned in the feed.
+     */
+    public const FEED_LIMIT = 20;
+
+    /**
+     * Get the current user's notification feed.
+     *
+     * GET /api/notifications
+     */
+    public function index(Request $request): JsonResponse
+    {
+        $user = $request->user();
+
+        $notifications = $user->notifications()
+            ->limit(self::FEED_LIMIT)
+            ->get()
+            ->map(fn (DatabaseNotification $notification) => $this->formatNotification($notification));
+
+        return response()->json([
+            'unread_count' => $user->unreadNotifications()->count(),
+            'notifications' => $notifications,
+        ]);
+    }
+
+    /**
+     * Acknowledge a single notification.
+     *
+     * POST /api/notifications/{notification}/read
+     */
+    public function markAsRead(Request $request, string $notification): JsonResponse
+    {
+        $user = $request->user();
+
+        $record = $user->notifications()->findOrFail($notification);
+        $record->markAsRead();
+
+        return response()->json([
+            'notification' => $this->formatNotification($record),
+            'unread_count' => $user->unreadNotifications()->count(),
+        ]);
+    }
+
+    /**
+     * Acknowledge every unread notification.
+     *
+     * POST /api/notifications/read-all
+     */
+    public function markAllAsRead(Request $request): JsonResponse
+    {
+        $request->user()->unreadNotifications()->update(['read_at' => now()]);
+
+        return response()->json([
+            'unread_count' => 0,
+        ]);
+    }
+
+    /**
+     * Format a notification for the feed.
+     *
+     * @return array<string, mixed>
+     */
+    private function formatNotification(DatabaseNotification $notification): array
+    {
+        return [
+            'id' => $notification->id,
+            'kind' => $notification->data['kind'] ?? 'general',
+            'title' => $notification->data['title'] ?? 'Notification',
+            'message' => $notification->data['message'] ?? null,
+            'url' => $notification->data['url'] ?? null,
+            'read_at' => $notification->read_at?->toIso8601String(),
+            'created_at' => $notification->created_at->toIso8601String(),
+        ];
+    }
+}
@@ -3,8 +3,31 @@
 namespace App\Http\Controllers;
 
 use Illuminate\Foundation\Auth\Access\AuthorizesRequests;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Support\Str;
 
 abstract class Controller
 {
     use AuthorizesRequests;
+
+    /**
+     * Flash the result of a CSV import onto a redirect.
+     *
+     * Skipped rows turn the message into an error listing the first few
+     * problems, so the file can be fixed and re-imported.
+     *
+     * @param  array{imported: int, errors: array<int, string>}  $result
+     * @param  string  $summary  Sentence saying what was imported, e.g. "Imported 3 budgets."
+     */
+    protected function redirectWithImportResult(RedirectResponse $redirect, array $result, string $summary): RedirectResponse
+    {
+        if (empty($result['errors'])) {
+            return $redirect->with('success', $summary);
+        }
+
+        $skipped = count($result['errors']);
+
+        return $redirect->with('error', "{$summary} Skipped {$skipped} ".Str::plural('row', $skipped).': '
+            .implode(' ', array_slice($result['errors'], 0, 5)));
+    }
 }
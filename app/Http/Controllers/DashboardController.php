@@ -2,10 +2,21 @@
 
 namespace App\Http\Controllers;
 
-use App\Models\DailyKpi;
+use App\Http\Requests\UpdateDashboardLayoutRequest;
+use App\Http\Requests\UpdateDashboardScopeRequest;
 use App\Models\SyncRun;
+use App\Models\UtilityType;
 use App\Services\AnalyticsService;
 use App\Services\AppfolioClient;
+use App\Services\DashboardLayoutService;
+use App\Services\PropertyService;
+use App\Services\UtilityAnalyticsService;
+use App\Services\UtilityAnomalyService;
+use App\Services\UtilityUsageService;
+use App\Services\VendorComplianceService;
+use App\Services\WeatherNormalizationService;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
 use Illuminate\Support\Facades\DB;
 use Inertia\Inertia;
 use Inertia\Response;
@@ -14,36 +25,80 @@ class DashboardController extends Controller
 {
     public function __construct(
         private readonly AnalyticsService $analyticsService,
-        private readonly AppfolioClient $appfolioClient
+        private readonly AppfolioClient $appfolioClient,
+        private readonly PropertyService $propertyService,
+        private readonly DashboardLayoutService $layoutService,
+        private readonly UtilityAnalyticsService $utilityAnalyticsService,
+        private readonly UtilityAnomalyService $anomalyService,
+        private readonly VendorComplianceService $complianceService,
+        private readonly WeatherNormalizationService $normalizationService,
+        private readonly UtilityUsageService $usageService
     ) {}
 
     /**
      * Display the dashboard.
      */
-    public function index(): Response
+    public function index(Request $request): Response
     {
+        // Unknown filter values fall back to the defaults below; only malformed ones are rejected
+        $request->validate([
+            'compare' => ['nullable', 'string'],
+            'range' => ['nullable', 'string'],
+            'start_date' => ['nullable', 'string'],
+            'end_date' => ['nullable', 'string'],
+            'granularity' => ['nullable', 'string'],
+        ]);
+
         // Get the latest sync run
         $latestSync = SyncRun::query()
             ->latest('started_at')
             ->first();
 
+        // Narrow everything below to the user's saved portfolio/property type scope
+        $scope = $this->getScope($request);
+        $scopePropertyIds = $this->analyticsService->resolveScopePropertyIds($scope);
+
         // Get the latest KPIs
-        $latestKpis = DailyKpi::query()
-            ->latest('date')
-            ->first();
+        $latestKpis = $this->analyticsService->getLatestKpis($scopePropertyIds);
 
-        // Get KPI trend data for charts (last 30 days)
-        $kpiTrend = DailyKpi::query()
-            ->where('date', '>=', now()->subDays(30))
-            ->orderBy('date')
-            ->get();
+        // Compare the latest KPIs against the selected prior period
+        $comparePeriod = $request->get('compare', AnalyticsService::DEFAULT_COMPARISON_PERIOD);
+        if (! array_key_exists($comparePeriod, AnalyticsService::COMPARISON_PERIODS)) {
+            $comparePeriod = AnalyticsService::DEFAULT_COMPARISON_PERIOD;
+        }
+        $comparison = $this->analyticsService->getKpiComparison($latestKpis, $comparePeriod, $scopePropertyIds);
 
-        // Get property-level rollups
-        $propertyRollups = $this->analyticsService->getPropertyRollups();
+        // Get KPI trend data for charts using the range and granularity from the URL
+        $trendWindow = $this->analyticsService->resolveTrendWindow(
+            $request->get('range'),
+            $request->get('start_date'),
+            $request->get('end_date'),
+        );
+        $granularity = $request->get('granularity', AnalyticsService::DEFAULT_TREND_GRANULARITY);
+        if (! array_key_exists($granularity, AnalyticsService::TREND_GRANULARITIES)) {
+            $granularity = AnalyticsService::DEFAULT_TREND_GRANULARITY;
+        }
+        $kpiTrend = $this->analyticsService->getAggregatedKpiTrend(
+            $trendWindow['start'],
+            $trendWindow['end'],
+            $granularity,
+            $scopePropertyIds,
+        );
+
+        // Get the property summary table page
+        $propertySummary = $this->analyticsService->getPropertySummary([
+            'search' => $request->get('summary_search'),
+            'sort' => $request->get('summary_sort'),
+            'direction' => $request->get('summary_direction'),
+            'page' => $request->integer('summary_page', 1),
+        ], $scopePropertyIds);
 
         // Get sync health data for the widget
         $syncHealth = $this->getSyncHealthData($latestSync);
 
+        // Get the user's widget layout and data for any optional widgets in it
+        $layout = $this->layoutService->getLayout($request->user());
+
         return Inertia::render('Dashboard', [
             'syncStatus' => [
                 'lastRun' => $latestSync?->toArray(),
@@ -53,10 +108,114 @@ class DashboardController extends Controller
             'syncHealth' => $syncHealth,
             'kpis' => [
                 'current' => $latestKpis?->toArray(),
-                'trend' => $kpiTrend->toArray(),
+                'trend' => $kpiTrend,
+                'comparison' => $comparison,
+            ],
+            'comparisonPeriods' => AnalyticsService::COMPARISON_PERIODS,
+            'trendFilters' => [
+                'range' => $trendWindow['range'],
+                'start_date' => $trendWindow['start']->toDateString(),
+                'end_date' => $trendWindow['end']->toDateString(),
+                'granularity' => $granularity,
+            ],
+            'trendOptions' => [
+                'ranges' => AnalyticsService::TREND_RANGES,
+                'granularities' => AnalyticsService::TREND_GRANULARITIES,
+            ],
+            'scope' => $scope,
+            'scopeOptions' => [
+                'portfolios' => $this->propertyService->getPortfolios(),
+                'propertyTypes' => $this->propertyService->getPropertyTypes(),
             ],
-            'propertyRollups' => $propertyRollups,
+            'propertySummary' => $propertySummary,
+            'layout' => $layout,
+            'widgetRegistry' => $this->layoutService->getRegistry(),
+            'widgetData' => $this->getWidgetData($layout),
+        ]);
+    }
+
+    /**
+     * Save the user's dashboard widget layout.
+     */
+    public function updateLayout(UpdateDashboardLayoutRequest $request): RedirectResponse
+    {
+        $this->layoutService->saveLayout($request->user(), $request->validated('layout'));
+
+        return back()->with('success', 'Dashboard layout saved.');
+    }
+
+    /**
+     * Reset the user's dashboard widget layout to the default.
+     */
+    public function resetLayout(Request $request): RedirectResponse
+    {
+        $this->layoutService->resetLayout($request->user());
+
+        return back()->with('success', 'Dashboard layout reset.');
+    }
+
+    /**
+     * Save the user's dashboard portfolio/property type scope.
+     */
+    public function updateScope(UpdateDashboardScopeRequest $request): RedirectResponse
+    {
+        $request->user()->setPreference('dashboard_scope', [
+            'portfolios' => array_values($request->validated('portfolios') ?? []),
+            'property_types' => array_values($request->validated('property_types') ?? []),
         ]);
+
+        return back();
+    }
+
+    /**
+     * Load data for optional widgets, only when they are in the layout.
+     *
+     * @param  array<int, array{key: string, size: int}>  $layout
+     * @return array<string, mixed>
+     */
+    private function getWidgetData(array $layout): array
+    {
+        $data = [];
+
+        if ($this->layoutService->hasWidget($layout, 'utility_trend')) {
+            $utilityTypes = UtilityType::getAllWithMetadata();
+            $data['utility_trend'] = [
+                'data' => $this->utilityAnalyticsService->getPortfolioTrend($utilityTypes->pluck('key')->all(), 12),
+                'weatherAdjustedData' => $this->normalizationService->getPortfolioTrend($utilityTypes->pluck('key')->all(), 12),
+                'usageData' => $this->usageService->getPortfolioUsageTrend($utilityTypes->pluck('key')->all(), 12),
+                'utilityTypes' => $utilityTypes,
+            ];
+        }
+
+        if ($this->layoutService->hasWidget($layout, 'utility_anomalies')) {
+            $data['utility_anomalies'] = [
+                'anomalies' => $this->anomalyService->getOpenAnomalies(5),
+            ];
+        }
+
+        if ($this->layoutService->hasWidget($layout, 'vendor_insurance')) {
+            $data['vendor_insurance'] = [
+                'vendors' => $this->complianceService->getVendorsNeedingAttention(5),
+                'stats' => $this->complianceService->getComplianceStats(),
+            ];
+        }
+
+        return $data;
+    }
+
+    /**
+     * Get the user's saved dashboard scope.
+     *
+     * @return array{portfolios: array<int, string>, property_types: array<int, string>}
+     */
+    private function getScope(Request $request): array
+    {
+        $scope = $request->user()?->getPreference('dashboard_scope', []) ?? [];
+
+        return [
+            'portfolios' => array_values((array) ($scope['portfolios'] ?? [])),
+            'property_types' => array_values((array) ($scope['property_types'] ?? [])),
+        ];
     }
 
     /**
@@ -0,0 +1,40 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Services\LeasingService;
+use App\Services\PropertyService;
+use Illuminate\Http\Request;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class LeasingController extends Controller
+{
+    public function __construct(
+        private readonly LeasingService $leasingService,
+        private readonly PropertyService $propertyService
+    ) {}
+
+    /**
+     * Display the portfolio lease expiration calendar and renewal pipeline.
+     */
+    public function index(Request $request): Response
+    {
+        $request->validate([
+            'portfolio' => ['nullable', 'string'],
+        ]);
+
+        $filters = [
+            'portfolio' => $request->get('portfolio', ''),
+        ];
+
+        return Inertia::render('Leasing/Index', [
+            'overview' => $this->leasingService->getOverview($filters),
+            'filters' => $filters,
+            'portfolios' => $this->propertyService->getPortfolios(),
+            'windows' => LeasingService::EXPIRATION_WINDOWS,
+        ]);
+    }
+}
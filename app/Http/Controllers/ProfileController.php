@@ -6,6 +6,9 @@ namespace App\Http\Controllers;
 
 use App\Http\Requests\PasswordUpdateRequest;
 use App\Http\Requests\ProfileUpdateRequest;
+use App\Http\Requests\UpdateDigestSubscriptionRequest;
+use App\Models\DashboardDigestSubscription;
+use App\Services\PropertyService;
 use Illuminate\Http\RedirectResponse;
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Auth;
@@ -15,6 +18,10 @@ use Inertia\Response;
 
 class ProfileController extends Controller
 {
+    public function __construct(
+        private readonly PropertyService $propertyService
+    ) {}
+
     /**
      * Display the user's profile.
      */
@@ -24,6 +31,12 @@ class ProfileController extends Controller
 
         return Inertia::render('Profile/Show', [
             'user' => $user,
+            'digestSubscription' => $user->digestSubscription()->first(),
+            'digestOptions' => [
+                'cadences' => DashboardDigestSubscription::CADENCES,
+                'portfolios' => $this->propertyService->getPortfolios(),
+                'propertyTypes' => $this->propertyService->getPropertyTypes(),
+            ],
         ]);
     }
 
@@ -53,4 +66,28 @@ class ProfileController extends Controller
 
         return back()->with('success', 'Password updated successfully.');
     }
+
+    /**
+     * Subscribe to, or change, the emailed Dashboard digest.
+     */
+    public function updateDigest(UpdateDigestSubscriptionRequest $request): RedirectResponse
+    {
+        $request->user()->digestSubscription()->updateOrCreate([], [
+            'cadence' => $request->validated('cadence'),
+            'portfolios' => array_values($request->validated('portfolios') ?? []),
+            'property_types' => array_values($request->validated('property_types') ?? []),
+        ]);
+
+        return back()->with('success', 'Dashboard digest subscription saved.');
+    }
+
+    /**
+     * Unsubscribe from the emailed Dashboard digest.
+     */
+    public function destroyDigest(Request $request): RedirectResponse
+    {
+        $request->user()->digestSubscription()->delete();
+
+        return back()->with('success', 'Unsubscribed from the Dashboard digest.');
+    }
 }
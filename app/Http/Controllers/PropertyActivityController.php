@@ -0,0 +1,39 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Models\Property;
+use App\Services\PropertyActivityService;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Validation\Rule;
+
+class PropertyActivityController extends Controller
+{
+    public function __construct(
+        private readonly PropertyActivityService $activityService
+    ) {}
+
+    /**
+     * Get a page of the property's activity timeline, optionally limited
+     * to some activity types.
+     */
+    public function index(Request $request, Property $property): JsonResponse
+    {
+        $this->authorize('view', $property);
+
+        $validated = $request->validate([
+            'types' => ['nullable', 'array'],
+            'types.*' => ['string', Rule::in(array_keys(PropertyActivityService::TYPES))],
+            'page' => ['nullable', 'integer', 'min:1'],
+        ]);
+
+        return response()->json($this->activityService->getActivity(
+            $property,
+            $validated['types'] ?? [],
+            (int) ($validated['page'] ?? 1),
+        ));
+    }
+}
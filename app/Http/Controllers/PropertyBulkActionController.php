@@ -0,0 +1,34 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\BulkPropertyActionRequest;
+use App\Services\PropertyBulkActionService;
+use Illuminate\Http\JsonResponse;
+
+class PropertyBulkActionController extends Controller
+{
+    public function __construct(
+        private readonly PropertyBulkActionService $bulkActionService
+    ) {}
+
+    /**
+     * Apply a flag, utility exclusion, or adjustment change to the selected
+     * properties and report the outcome for each one.
+     */
+    public function store(BulkPropertyActionRequest $request): JsonResponse
+    {
+        $validated = $request->validated();
+
+        $summary = $this->bulkActionService->apply(
+            $validated['action'],
+            $validated['property_ids'],
+            $validated,
+            $request->user()
+        );
+
+        return response()->json($summary);
+    }
+}
@@ -14,8 +14,16 @@ use App\Models\UtilityExpense;
 use App\Models\UtilityType;
 use App\Models\WorkOrder;
 use App\Services\AdjustmentService;
+use App\Services\PropertyActivityService;
+use App\Services\PropertyBulkActionService;
+use App\Services\PropertyComparisonService;
+use App\Services\PropertyLedgerService;
 use App\Services\PropertyService;
+use App\Services\RentRollService;
+use App\Services\SavedViewService;
 use App\Services\UtilityAnalyticsService;
+use App\Services\UtilityUsageService;
+use App\Services\WeatherNormalizationService;
 use Carbon\Carbon;
 use Illuminate\Database\QueryException;
 use Illuminate\Http\JsonResponse;
@@ -32,20 +40,41 @@ class PropertyController extends Controller
 
     /**
      * Display a listing of properties.
+     *
+     * A `view` parameter applies a saved view; filters in the query string
+     * override the view's. Opening the page with no parameters applies the
+     * user's default view, if any.
      */
-    public function index(Request $request): Response
+    public function index(Request $request, SavedViewService $savedViewService): Response
     {
+        $user = $request->user();
+        $filterKeys = ['search', 'portfolio', 'property_type', 'is_active', 'bounds', 'sort', 'direction', 'per_page'];
+
+        $defaultView = $savedViewService->getDefault($user, 'properties');
+
+        if ($request->has('view')) {
+            $activeView = $savedViewService->findVisible($user, 'properties', $request->get('view'));
+        } else {
+            $activeView = $request->hasAny([...$filterKeys, 'page']) ? null : $defaultView;
+        }
+
+        $viewFilters = $activeView?->filters ?? [];
+        $input = fn (string $key, mixed $default) => $request->has($key)
+            ? $request->get($key, $default)
+            : ($viewFilters[$key] ?? $default);
+
         $filters = [
-            'search' => $request->get('search', ''),
-            'portfolio' => $request->get('portfolio', ''),
-            'property_type' => $request->get('property_type', ''),
-            'is_active' => $request->get('is_active', ''),
-            'sort' => $request->get('sort', 'name'),
-            'direction' => $request->get('direction', 'asc'),
+            'search' => $input('search', ''),
+            'portfolio' => $input('portfolio', ''),
+            'property_type' => $input('property_type', ''),
+            'is_active' => $input('is_active', ''),
+            'bounds' => $input('bounds', ''),
+            'sort' => $input('sort', 'name'),
+            'direction' => $input('direction', 'asc'),
         ];
 
         // Extract and validate perPage from request
-        $perPageInput = $request->get('per_page', 15);
+        $perPageInput = $input('per_page', 15);
         $perPage = $perPageInput === 'all' ? 'all' : (int) $perPageInput;
 
         $properties = $this->propertyService->getFilteredProperties($filters, $perPage);
@@ -57,12 +86,20 @@ class PropertyController extends Controller
 
         return Inertia::render('Properties/Index', [
             'properties' => $properties,
+            'mapMetrics' => $this->propertyService->getMapMetrics($properties->items()),
             'portfolios' => $portfolios,
             'propertyTypes' => $propertyTypes,
             'filters' => $filters,
             'perPage' => $effectivePerPage,
             'allowedPageSizes' => PropertyService::ALLOWED_PAGE_SIZES,
             'googleMapsApiKey' => Setting::get('google', 'maps_api_key'),
+            'savedViews' => $savedViewService->getViews($user, 'properties'),
+            'activeViewId' => $activeView?->id,
+            'defaultViewId' => $defaultView?->id,
+            'bulkActions' => PropertyBulkActionService::ACTIONS,
+            'flagTypes' => PropertyFlag::FLAG_TYPES,
+            'utilityTypes' => UtilityType::getAllWithMetadata(),
+            'adjustableFields' => PropertyAdjustment::ADJUSTABLE_FIELDS,
         ]);
     }
 
@@ -81,6 +118,29 @@ class PropertyController extends Controller
         return response()->json($results);
     }
 
+    /**
+     * Compare two to five properties side by side.
+     *
+     * Properties are passed as `properties[]` IDs; unknown IDs are ignored.
+     */
+    public function compare(Request $request, PropertyComparisonService $comparisonService): Response
+    {
+        $requested = $request->get('properties', []);
+        $properties = $comparisonService->findProperties(is_array($requested) ? $requested : []);
+
+        $rows = $comparisonService->getComparison($properties);
+        $hasEnough = $properties->count() >= PropertyComparisonService::MIN_PROPERTIES;
+
+        return Inertia::render('Properties/Compare', [
+            'properties' => $rows,
+            'comparison' => $comparisonService->calculateComparisonStats($rows),
+            'trends' => $hasEnough ? $comparisonService->getTrends($properties) : [],
+            'trendMetrics' => PropertyComparisonService::TREND_METRICS,
+            'minProperties' => PropertyComparisonService::MIN_PROPERTIES,
+            'maxProperties' => PropertyComparisonService::MAX_PROPERTIES,
+        ]);
+    }
+
     /**
      * Display the specified property.
      */
@@ -88,7 +148,11 @@ class PropertyController extends Controller
         Request $request,
         Property $property,
         AdjustmentService $adjustmentService,
-        UtilityAnalyticsService $utilityAnalyticsService
+        UtilityAnalyticsService $utilityAnalyticsService,
+        WeatherNormalizationService $weatherNormalizationService,
+        UtilityUsageService $usageService,
+        RentRollService $rentRollService,
+        PropertyLedgerService $ledgerService
     ): Response {
         $this->authorize('view', $property);
 
@@ -129,18 +193,42 @@ class PropertyController extends Controller
         $effectiveValues = $adjustmentService->getEffectiveValuesWithMetadata($property);
 
         // Get initial tab from URL parameter (validated against allowed values)
-        $allowedTabs = ['overview', 'units', 'utilities', 'work-orders', 'settings'];
+        $allowedTabs = ['overview', 'units', 'rent-roll', 'financials', 'utilities', 'work-orders', 'activity', 'settings'];
         $initialTab = $request->get('tab');
         if (! in_array($initialTab, $allowedTabs)) {
             $initialTab = 'overview';
         }
 
         // Load utility data for the Utilities tab
-        $utilityData = $this->loadUtilityData($property, $utilityAnalyticsService);
+        $utilityData = $this->loadUtilityData($property, $utilityAnalyticsService, $weatherNormalizationService, $usageService);
 
         // Load work order data for the Work Orders tab
         $workOrderData = $this->loadWorkOrderData($property);
 
+        // Load units joined to their current lease for the Rent Roll tab
+        $rentRoll = $rentRollService->getRentRoll($property, [
+            'filter' => $request->get('rent_roll_filter'),
+            'search' => $request->get('rent_roll_search'),
+            'sort' => $request->get('rent_roll_sort'),
+            'direction' => $request->get('rent_roll_direction'),
+        ]);
+
+        // Load ledger, aging and income/expense data for the Financials tab
+        $ledgerFilters = [
+            'start_date' => $request->get('ledger_start_date', ''),
+            'end_date' => $request->get('ledger_end_date', ''),
+            'category' => $request->get('ledger_category', ''),
+            'unit_id' => $request->get('ledger_unit', ''),
+        ];
+        $financials = [
+            'ledger' => $ledgerService->getLedger($property, $ledgerFilters),
+            'filters' => $ledgerFilters,
+            'filterOptions' => $ledgerService->getFilterOptions($property),
+            'aging' => $ledgerService->getAging($property),
+            'agingBuckets' => array_map(fn (array $bucket) => $bucket['label'], PropertyLedgerService::AGING_BUCKETS),
+            'trend' => $ledgerService->getIncomeExpenseTrend($property),
+        ];
+
         return Inertia::render('Properties/Show', [
             'property' => $property,
             'units' => $units,
@@ -156,6 +244,10 @@ class PropertyController extends Controller
             'initialTab' => $initialTab,
             'utilityData' => $utilityData,
             'workOrderData' => $workOrderData,
+            'rentRoll' => $rentRoll,
+            'rentRollFilters' => RentRollService::FILTERS,
+            'financials' => $financials,
+            'activityTypes' => PropertyActivityService::TYPES,
         ]);
     }
 
@@ -198,7 +290,7 @@ class PropertyController extends Controller
             abort(404);
         }
 
-        $flag->delete();
+        $flag->remove($request->user()->id);
 
         return back()->with('success', 'Flag removed successfully.');
     }
@@ -206,7 +298,12 @@ class PropertyController extends Controller
     /**
      * Load utility data for a property's Utilities tab.
      */
-    private function loadUtilityData(Property $property, UtilityAnalyticsService $analyticsService): array
+    private function loadUtilityData(
+        Property $property,
+        UtilityAnalyticsService $analyticsService,
+        WeatherNormalizationService $normalizationService,
+        UtilityUsageService $usageService
+    ): array
     {
         $date = Carbon::now();
         $period = ['type' => 'month', 'date' => $date];
@@ -218,10 +315,15 @@ class PropertyController extends Controller
         // Get cost breakdown for this property
         $costBreakdown = $analyticsService->getCostBreakdown($property, $period);
 
-        // Get trend data for each utility type (last 12 months)
+        // Get trend data for each utility type (last 12 months), with weather-adjusted costs and usage
         $propertyTrend = [];
         foreach ($utilityTypes as $type) {
-            $propertyTrend[$type] = $analyticsService->getTrend($property, $type, 12, 'month');
+            $trend = $normalizationService->normalizeTrend(
+                $property,
+                $type,
+                $analyticsService->getTrend($property, $type, 12, 'month')
+            );
+            $propertyTrend[$type] = $usageService->addUsageToTrend($property, $type, $trend);
         }
 
         // Get recent expenses
@@ -238,6 +340,9 @@ class PropertyController extends Controller
                 'amount' => $expense->amount,
                 'expense_date' => $expense->expense_date->toDateString(),
                 'vendor_name' => $expense->vendor_name,
+                'usage_quantity' => $expense->usage_quantity !== null ? (float) $expense->usage_quantity : null,
+                'usage_unit' => $expense->usage_unit,
+                'usage_source' => $expense->usage_source,
             ]);
 
         return [
@@ -245,6 +350,7 @@ class PropertyController extends Controller
             'propertyTrend' => $propertyTrend,
             'recentExpenses' => $recentExpenses,
             'utilityTypes' => UtilityType::getAllWithMetadata(),
+            'usageUnits' => UtilityUsageService::UNIT_LABELS,
         ];
     }
 
@@ -0,0 +1,100 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\DestroyPropertyNoteRequest;
+use App\Http\Requests\StorePropertyNoteRequest;
+use App\Models\Property;
+use App\Models\PropertyNote;
+use App\Models\PropertyNoteAttachment;
+use App\Services\PropertyNoteService;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\Storage;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+
+class PropertyNoteController extends Controller
+{
+    public function __construct(
+        private readonly PropertyNoteService $noteService
+    ) {}
+
+    /**
+     * Get a page of the property's note threads and the users who can be mentioned.
+     */
+    public function index(Request $request, Property $property): JsonResponse
+    {
+        $this->authorize('view', $property);
+
+        return response()->json([
+            'threads' => $this->noteService->getThreads($property, $request->user(), $request->integer('page', 1)),
+            'mentionable_users' => $this->noteService->getMentionableUsers(),
+        ]);
+    }
+
+    /**
+     * Add a note or a reply, with any mentions and attachments.
+     */
+    public function store(StorePropertyNoteRequest $request, Property $property): JsonResponse
+    {
+        $validated = $request->validated();
+
+        $parent = isset($validated['parent_id']) ? PropertyNote::find($validated['parent_id']) : null;
+
+        $note = $this->noteService->createNote(
+            $property,
+            $request->user(),
+            $validated['body'] ?? null,
+            $parent,
+            $validated['mentions'] ?? [],
+            $request->file('attachments', []),
+        );
+
+        return response()->json([
+            'note' => $this->noteService->present($note, $request->user()),
+        ], 201);
+    }
+
+    /**
+     * Delete a note along with its replies and attachments.
+     */
+    public function destroy(DestroyPropertyNoteRequest $request, Property $property, PropertyNote $note): JsonResponse
+    {
+        // Ensure the note belongs to the property
+        if ($note->property_id !== $property->id) {
+            abort(404);
+        }
+
+        $this->noteService->deleteNote($note);
+
+        return response()->json(['message' => 'Note deleted.']);
+    }
+
+    /**
+     * Show an attached image inline, or download any other attachment.
+     */
+    public function attachment(Property $property, PropertyNote $note, PropertyNoteAttachment $attachment): StreamedResponse
+    {
+        $this->authorize('view', $property);
+
+        // Ensure the attachment belongs to the note and the note to the property
+        if ($note->property_id !== $property->id || $attachment->property_note_id !== $note->id) {
+            abort(404);
+        }
+
+        $disk = Storage::disk($attachment->disk);
+
+        if (! $disk->exists($attachment->path)) {
+            abort(404);
+        }
+
+        // Never let the browser second-guess the stored type
+        $headers = ['X-Content-Type-Options' => 'nosniff'];
+
+        return $attachment->isImage()
+            ? $disk->response($attachment->path, $attachment->original_name, $headers)
+            : $disk->download($attachment->path, $attachment->original_name, $headers);
+    }
+}
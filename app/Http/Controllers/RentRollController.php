@@ -0,0 +1,104 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Models\Property;
+use App\Services\RentRollService;
+use Carbon\Carbon;
+use Illuminate\Http\Request;
+use Illuminate\Support\Str;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+
+class RentRollController extends Controller
+{
+    public function __construct(
+        private readonly RentRollService $rentRollService
+    ) {}
+
+    /**
+     * Export a property's rent roll to CSV, honoring the tab's filter and sort.
+     */
+    public function export(Request $request, Property $property): StreamedResponse
+    {
+        $this->authorize('view', $property);
+
+        $rentRoll = $this->rentRollService->getRentRoll($property, [
+            'filter' => $request->get('rent_roll_filter'),
+            'search' => $request->get('rent_roll_search'),
+            'sort' => $request->get('rent_roll_sort'),
+            'direction' => $request->get('rent_roll_direction'),
+        ]);
+
+        $filename = 'rent-roll-'.Str::slug($property->name).'-'.Carbon::now()->format('Y-m-d').'.csv';
+
+        return response()->streamDownload(function () use ($rentRoll): void {
+            $handle = fopen('php://output', 'w');
+
+            // Header row
+            fputcsv($handle, [
+                'Unit',
+                'Unit Type',
+                'Bedrooms',
+                'Bathrooms',
+                'Sq Ft',
+                'Tenant',
+                'Tenant Email',
+                'Lease Start',
+                'Lease End',
+                'Days to Expiration',
+                'Market Rent',
+                'Actual Rent',
+                'Loss to Lease',
+                'Security Deposit',
+            ]);
+
+            foreach ($rentRoll['rows'] as $row) {
+                fputcsv($handle, [
+                    $this->sanitizeCsvField((string) $row['unit_number']),
+                    $this->sanitizeCsvField($row['unit_type'] ?? ''),
+                    $row['bedrooms'] ?? '',
+                    $row['bathrooms'] ?? '',
+                    $row['sqft'] ?? '',
+                    $this->sanitizeCsvField($row['tenant_name'] ?? ($row['lease_id'] ? '' : 'Vacant')),
+                    $this->sanitizeCsvField($row['tenant_email'] ?? ''),
+                    $row['lease_start'] ?? '',
+                    $row['lease_end'] ?? ($row['lease_id'] ? 'Month to Month' : ''),
+                    $row['days_to_expiration'] ?? '',
+                    $this->formatAmount($row['market_rent']),
+                    $this->formatAmount($row['rent']),
+                    $this->formatAmount($row['loss_to_lease']),
+                    $this->formatAmount($row['security_deposit']),
+                ]);
+            }
+
+            fclose($handle);
+        }, $filename, [
+            'Content-Type' => 'text/csv',
+        ]);
+    }
+
+    /**
+     * Format a currency amount for CSV output, leaving blanks for missing values.
+     */
+    private function formatAmount(?float $amount): string
+    {
+        return $amount === null ? '' : number_format($amount, 2, '.', '');
+    }
+
+    /**
+     * Sanitize a field value for CSV export to prevent formula injection.
+     *
+     * Spreadsheet applications may execute formulas starting with =, +, -, or @.
+     * This method prefixes such values with a single quote to neutralize them.
+     */
+    private function sanitizeCsvField(string $value): string
+    {
+        if ($value !== '' && in_array($value[0], ['=', '+', '-', '@'], true)) {
+            return "'".$value;
+        }
+
+        return $value;
+    }
+}
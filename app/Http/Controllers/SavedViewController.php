@@ -0,0 +1,103 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\DestroySavedViewRequest;
+use App\Http\Requests\StoreSavedViewRequest;
+use App\Http\Requests\UpdateDefaultSavedViewRequest;
+use App\Http\Requests\UpdateSavedViewRequest;
+use App\Models\SavedView;
+use App\Services\SavedViewService;
+use Illuminate\Http\RedirectResponse;
+
+/**
+ * Saves named filter and sort presets for the Properties list.
+ */
+class SavedViewController extends Controller
+{
+    private const PAGE = 'properties';
+
+    public function __construct(
+        private readonly SavedViewService $savedViewService
+    ) {}
+
+    /**
+     * Save the current filters as a new view and switch to it.
+     */
+    public function store(StoreSavedViewRequest $request): RedirectResponse
+    {
+        $validated = $request->validated();
+        $user = $request->user();
+
+        $view = $user->savedViews()->create([
+            'page' => self::PAGE,
+            'name' => $validated['name'],
+            'filters' => $this->savedViewService->normalizeFilters(self::PAGE, $validated['filters']),
+            'is_shared' => $validated['is_shared'] ?? false,
+        ]);
+
+        if ($validated['is_default'] ?? false) {
+            $this->savedViewService->setDefault($user, self::PAGE, $view);
+        }
+
+        return redirect()
+            ->route('properties.index', ['view' => $view->id])
+            ->with('success', 'View saved.');
+    }
+
+    /**
+     * Rename, share/unshare, or overwrite the filters of a view.
+     */
+    public function update(UpdateSavedViewRequest $request, SavedView $savedView): RedirectResponse
+    {
+        $validated = $request->validated();
+
+        if (isset($validated['filters'])) {
+            $validated['filters'] = $this->savedViewService->normalizeFilters($savedView->page, $validated['filters']);
+        }
+
+        $savedView->update($validated);
+
+        return back()->with('success', 'View updated.');
+    }
+
+    /**
+     * Delete a view.
+     */
+    public function destroy(DestroySavedViewRequest $request, SavedView $savedView): RedirectResponse
+    {
+        if ($this->savedViewService->getDefault($request->user(), $savedView->page)?->is($savedView)) {
+            $this->savedViewService->setDefault($request->user(), $savedView->page, null);
+        }
+
+        $savedView->delete();
+
+        return redirect()
+            ->route('properties.index')
+            ->with('success', 'View deleted.');
+    }
+
+    /**
+     * Set or clear the view applied when opening the Properties list.
+     */
+    public function updateDefault(UpdateDefaultSavedViewRequest $request): RedirectResponse
+    {
+        $user = $request->user();
+        $viewId = $request->validated('saved_view_id');
+        $view = null;
+
+        if ($viewId !== null) {
+            $view = $this->savedViewService->findVisible($user, self::PAGE, $viewId);
+
+            if ($view === null) {
+                return back()->withErrors(['saved_view_id' => 'This view is not available.']);
+            }
+        }
+
+        $this->savedViewService->setDefault($user, self::PAGE, $view);
+
+        return back()->with('success', $view ? 'Default view set.' : 'Default view cleared.');
+    }
+}
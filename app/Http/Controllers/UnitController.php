@@ -0,0 +1,33 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Models\Property;
+use App\Models\Unit;
+use App\Services\UnitDetailService;
+use Illuminate\Http\JsonResponse;
+
+class UnitController extends Controller
+{
+    public function __construct(
+        private readonly UnitDetailService $unitDetailService
+    ) {}
+
+    /**
+     * Get a unit's attributes, lease history, work orders, and ledger
+     * balance for the unit drawer on the property page.
+     */
+    public function show(Property $property, Unit $unit): JsonResponse
+    {
+        $this->authorize('view', $property);
+
+        // Ensure the unit belongs to the property
+        if ($unit->property_id !== $property->id) {
+            abort(404);
+        }
+
+        return response()->json($this->unitDetailService->getDetail($unit));
+    }
+}
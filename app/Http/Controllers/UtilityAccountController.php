@@ -11,6 +11,7 @@ use App\Models\UtilityType;
 use App\Services\UtilityExpenseService;
 use Illuminate\Http\RedirectResponse;
 use Illuminate\Http\Request;
+use Illuminate\Validation\Rule;
 use Inertia\Inertia;
 use Inertia\Response;
 
@@ -117,6 +118,7 @@ class UtilityAccountController extends Controller
                 'label' => $type->label,
                 'icon' => $type->icon_or_default,
                 'color_scheme' => $type->color_scheme_or_default,
+                'usage_unit' => $type->usage_unit,
                 'sort_order' => $type->sort_order,
                 'is_system' => $type->is_system,
                 'accounts_count' => $type->accounts_count,
@@ -126,6 +128,7 @@ class UtilityAccountController extends Controller
 
         return Inertia::render('Admin/UtilityTypes', [
             'utilityTypes' => $typesWithCounts,
+            'usageUnits' => UtilityType::USAGE_UNITS,
         ]);
     }
 
@@ -141,6 +144,7 @@ class UtilityAccountController extends Controller
             'label' => ['required', 'string', 'max:100'],
             'icon' => ['nullable', 'string', 'max:50'],
             'color_scheme' => ['nullable', 'string', 'max:20'],
+            'usage_unit' => ['nullable', Rule::in(array_keys(UtilityType::USAGE_UNITS))],
         ], [
             'key.regex' => 'The key must start with a letter and contain only lowercase letters, numbers, and underscores.',
             'key.unique' => 'A utility type with this key already exists.',
@@ -154,6 +158,7 @@ class UtilityAccountController extends Controller
             'label' => $validated['label'],
             'icon' => $validated['icon'] ?? UtilityType::DEFAULT_ICON,
             'color_scheme' => $validated['color_scheme'] ?? UtilityType::DEFAULT_COLOR_SCHEME,
+            'usage_unit' => $validated['usage_unit'] ?? null,
             'sort_order' => $maxSortOrder + 1,
             'is_system' => false,
         ]);
@@ -172,12 +177,15 @@ class UtilityAccountController extends Controller
             'label' => ['required', 'string', 'max:100'],
             'icon' => ['nullable', 'string', 'max:50'],
             'color_scheme' => ['nullable', 'string', 'max:20'],
+            'usage_unit' => ['nullable', Rule::in(array_keys(UtilityType::USAGE_UNITS))],
         ]);
 
         $utilityType->update([
             'label' => $validated['label'],
             'icon' => $validated['icon'] ?? $utilityType->icon,
             'color_scheme' => $validated['color_scheme'] ?? $utilityType->color_scheme,
+            // Usage can be switched off, so an explicit null clears the unit
+            'usage_unit' => array_key_exists('usage_unit', $validated) ? $validated['usage_unit'] : $utilityType->usage_unit,
         ]);
 
         return back()->with('success', 'Utility type updated successfully.');
@@ -0,0 +1,90 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\DismissUtilityAnomalyRequest;
+use App\Http\Requests\StoreUtilityAnomalyNoteRequest;
+use App\Models\UtilityAnomaly;
+use App\Models\UtilityType;
+use App\Services\UtilityAnomalyService;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Illuminate\Validation\Rule;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class UtilityAnomalyController extends Controller
+{
+    public function __construct(
+        private readonly UtilityAnomalyService $anomalyService
+    ) {}
+
+    /**
+     * Display open anomalies, or the history of resolved ones.
+     */
+    public function index(Request $request): Response
+    {
+        $validated = $request->validate([
+            'status' => ['nullable', Rule::in(['open', 'resolved'])],
+            'utility_type' => ['nullable', 'string', Rule::exists('utility_types', 'key')],
+        ]);
+
+        $status = $validated['status'] ?? 'open';
+        $utilityType = $validated['utility_type'] ?? null;
+
+        return Inertia::render('Utilities/Anomalies', [
+            'anomalies' => $this->anomalyService->getHistory($status, $utilityType),
+            'counts' => [
+                'open' => UtilityAnomaly::open()->count(),
+                'resolved' => UtilityAnomaly::resolved()->count(),
+            ],
+            'filters' => [
+                'status' => $status,
+                'utility_type' => $utilityType,
+            ],
+            'utilityTypes' => UtilityType::getAllWithMetadata(),
+        ]);
+    }
+
+    /**
+     * Acknowledge an anomaly.
+     */
+    public function acknowledge(Request $request, UtilityAnomaly $utilityAnomaly): RedirectResponse
+    {
+        $this->anomalyService->acknowledge($utilityAnomaly, $request->user());
+
+        return back()->with('success', 'Anomaly acknowledged.');
+    }
+
+    /**
+     * Dismiss an anomaly with a reason.
+     */
+    public function dismiss(DismissUtilityAnomalyRequest $request, UtilityAnomaly $utilityAnomaly): RedirectResponse
+    {
+        $this->anomalyService->dismiss($utilityAnomaly, $request->user(), $request->validated('reason'));
+
+        return back()->with('success', 'Anomaly dismissed.');
+    }
+
+    /**
+     * Reopen a resolved anomaly.
+     */
+    public function reopen(UtilityAnomaly $utilityAnomaly): RedirectResponse
+    {
+        $this->anomalyService->reopen($utilityAnomaly);
+
+        return back()->with('success', 'Anomaly reopened.');
+    }
+
+    /**
+     * Save the property's utility note and link it to an anomaly.
+     */
+    public function note(StoreUtilityAnomalyNoteRequest $request, UtilityAnomaly $utilityAnomaly): RedirectResponse
+    {
+        $this->anomalyService->linkNote($utilityAnomaly, $request->user(), $request->validated('note'));
+
+        return back()->with('success', 'Note saved and linked to the anomaly.');
+    }
+}
@@ -9,7 +9,12 @@ use App\Models\Property;
 use App\Models\UtilityExpense;
 use App\Models\UtilityType;
 use App\Services\UtilityAnalyticsService;
+use App\Services\UtilityAnomalyService;
+use App\Services\UtilityBudgetService;
 use App\Services\UtilityFormattingService;
+use App\Services\UtilityTableLayoutService;
+use App\Services\UtilityUsageService;
+use App\Services\WeatherNormalizationService;
 use Carbon\Carbon;
 use Illuminate\Http\RedirectResponse;
 use Illuminate\Http\Request;
@@ -22,7 +27,12 @@ class UtilityDashboardController extends Controller
 
     public function __construct(
         private readonly UtilityAnalyticsService $analyticsService,
-        private readonly UtilityFormattingService $formattingService
+        private readonly UtilityAnomalyService $anomalyService,
+        private readonly UtilityBudgetService $budgetService,
+        private readonly UtilityFormattingService $formattingService,
+        private readonly UtilityTableLayoutService $tableLayoutService,
+        private readonly WeatherNormalizationService $normalizationService,
+        private readonly UtilityUsageService $usageService
     ) {}
 
     /**
@@ -56,6 +66,7 @@ class UtilityDashboardController extends Controller
 
         // Calculate summary for each utility type using bulk query
         $utilitySummaryRaw = $this->analyticsService->getPortfolioSummaryBulk($utilityTypes, $period);
+        $budgetSummary = $this->budgetService->getPortfolioBudgetSummary($utilityTypes, $period);
         $utilitySummary = [];
         foreach ($utilityTypeModels as $typeModel) {
             $type = $typeModel->key;
@@ -72,37 +83,35 @@ class UtilityDashboardController extends Controller
                 'total_cost' => $summaryData['total_cost'],
                 'average_per_unit' => $summaryData['average_per_unit'],
                 'property_count' => $summaryData['property_count'],
+                ...$budgetSummary[$type],
             ];
         }
 
         // Calculate portfolio totals
         $portfolioTotal = array_sum(array_column($utilitySummary, 'total_cost'));
+        $portfolioBudget = $this->getPortfolioBudgetTotals($utilitySummary);
 
-        // Get anomalies across all utility types
-        $anomalies = [];
-        foreach ($utilityTypeModels as $typeModel) {
-            $type = $typeModel->key;
-            $typeAnomalies = $this->analyticsService->getAnomalies($type, $period, 2.0);
-            foreach ($typeAnomalies as $anomaly) {
-                $anomaly['utility_type'] = $type;
-                $anomaly['utility_label'] = $typeModel->label;
-                $anomalies[] = $anomaly;
-            }
-        }
-        // Sort by absolute deviation and limit to top 10
-        usort($anomalies, fn ($a, $b) => abs($b['deviation']) <=> abs($a['deviation']));
-        $anomalies = array_slice($anomalies, 0, 10);
+        // Properties trending over budget come first, then the open cost anomalies
+        $anomalies = [
+            ...$this->budgetService->getOverBudgetAlerts($utilityTypeModels, null, 5),
+            ...$this->anomalyService->getOpenAnomalies(10),
+        ];
 
-        // Get trend data for the portfolio (last 12 months)
-        $trendData = $this->getPortfolioTrend($utilityTypes, 12);
+        // Get trend data for the portfolio (last 12 months): actual, weather-adjusted and usage
+        $trendData = $this->analyticsService->getPortfolioTrend($utilityTypes, 12);
+        $weatherAdjustedTrendData = $this->normalizationService->getPortfolioTrend($utilityTypes, 12);
+        $usageTrendData = $this->usageService->getPortfolioUsageTrend($utilityTypes, 12);
 
         return Inertia::render('Utilities/Dashboard', [
             'period' => $periodType,
             'periodLabel' => $this->getPeriodLabel($periodType, $date),
             'utilitySummary' => array_values($utilitySummary),
             'portfolioTotal' => $portfolioTotal,
+            'portfolioBudget' => $portfolioBudget,
             'anomalies' => $anomalies,
             'trendData' => $trendData,
+            'weatherAdjustedTrendData' => $weatherAdjustedTrendData,
+            'usageTrendData' => $usageTrendData,
             'utilityTypes' => UtilityType::getAllWithMetadata(),
         ]);
     }
@@ -112,69 +121,41 @@ class UtilityDashboardController extends Controller
      */
     public function data(UtilityDataRequest $request): Response
     {
-        $validated = $request->validated();
-
-        // Get utility types from the database
-        $utilityTypeModels = UtilityType::ordered()->get();
-        $utilityTypeOptions = $utilityTypeModels->pluck('label', 'key')->toArray();
-        $utilityTypes = array_keys($utilityTypeOptions);
-
-        // Get selected utility type (default to first available)
-        $selectedUtilityType = $validated['utility_type'] ?? $utilityTypes[0] ?? 'water';
-        if (! in_array($selectedUtilityType, $utilityTypes, true)) {
-            $selectedUtilityType = $utilityTypes[0] ?? 'water';
-        }
-
-        // Build filters array
-        $filters = [
-            'unit_count_min' => $validated['unit_count_min'] ?? null,
-            'unit_count_max' => $validated['unit_count_max'] ?? null,
-            'property_types' => $validated['property_types'] ?? [],
-        ];
+        [$selectedUtilityType, $filters] = $this->resolveDataFilters($request);
 
-        // Get filtered property comparison data
-        $comparisonData = $this->analyticsService->getFilteredPropertyComparisonData(
-            $selectedUtilityType,
-            $filters
-        );
-
-        // Apply conditional formatting to each property
-        $comparisonData = $this->formattingService->applyFormattingToComparison(
-            $comparisonData,
-            $selectedUtilityType
-        );
-
-        // Calculate heat map statistics
-        $heatMapStats = $this->analyticsService->calculateHeatMapStats($comparisonData['properties']);
-
-        // Attach notes to property comparison data
-        $this->analyticsService->attachNotesToComparisonData($comparisonData, $selectedUtilityType);
-
-        // Get property type options for filter dropdown
-        $propertyTypeOptions = $this->analyticsService->getPropertyTypeOptions();
-
-        // Get excluded properties info for display
-        $excludedProperties = $this->analyticsService->getExcludedPropertiesInfo();
+        $comparisonData = $this->getComparisonData($selectedUtilityType, $filters);
 
         return Inertia::render('Utilities/Data', [
             'propertyComparison' => $comparisonData,
             'selectedUtilityType' => $selectedUtilityType,
             'utilityTypes' => UtilityType::getAllWithMetadata(),
-            'heatMapStats' => $heatMapStats,
+            'heatMapStats' => $this->analyticsService->calculateHeatMapStats($comparisonData['properties']),
             'filters' => $filters,
-            'propertyTypeOptions' => $propertyTypeOptions,
+            'propertyTypeOptions' => $this->analyticsService->getPropertyTypeOptions(),
+            'weatherAdjustmentAvailable' => $this->normalizationService->hasDegreeDays(),
+            'tableLayout' => $this->tableLayoutService->getLayout($request->user(), 'data'),
         ]);
     }
 
     /**
      * Display excluded properties page.
+     *
+     * Lists why each property is excluded, with the same data table as the
+     * Data Table page covering the excluded properties' costs.
      */
-    public function excluded(): Response
+    public function excluded(UtilityDataRequest $request): Response
     {
-        $excludedProperties = $this->analyticsService->getExcludedPropertiesInfo();
+        [$selectedUtilityType, $filters] = $this->resolveDataFilters($request);
 
         return Inertia::render('Utilities/Excluded', [
-            'excludedProperties' => $excludedProperties,
+            'excludedProperties' => $this->analyticsService->getExcludedPropertiesInfo(),
+            'propertyComparison' => $this->getComparisonData($selectedUtilityType, [...$filters, 'excluded_only' => true]),
+            'selectedUtilityType' => $selectedUtilityType,
+            'utilityTypes' => UtilityType::getAllWithMetadata(),
+            'filters' => $filters,
+            'propertyTypeOptions' => $this->analyticsService->getPropertyTypeOptions(),
+            'weatherAdjustmentAvailable' => $this->normalizationService->hasDegreeDays(),
+            'tableLayout' => $this->tableLayoutService->getLayout($request->user(), 'excluded'),
         ]);
     }
 
@@ -210,6 +191,7 @@ class UtilityDashboardController extends Controller
             $comparison = $this->analyticsService->getPeriodComparison($property, $type, $date);
             $portfolioAvg = $this->analyticsService->getPortfolioAverage($type, $period);
             $costPerUnit = $this->analyticsService->getCostPerUnit($property, $type, $period);
+            $budget = $this->budgetService->getBudgetVsActual([$property->id], $type, $date)[$property->id] ?? null;
 
             $comparisons[$type] = [
                 'type' => $type,
@@ -230,14 +212,16 @@ class UtilityDashboardController extends Controller
                 'vs_portfolio' => $costPerUnit && $portfolioAvg['average'] > 0
                     ? round((($costPerUnit - $portfolioAvg['average']) / $portfolioAvg['average']) * 100, 1)
                     : null,
+                'budget' => $budget,
             ];
         }
 
-        // Get trend data for this property
+        // Get trend data for this property, with weather-adjusted costs and usage
         $propertyTrend = [];
         foreach ($utilityTypes as $type) {
             $trend = $this->analyticsService->getTrend($property, $type, 12, 'month');
-            $propertyTrend[$type] = $trend;
+            $trend = $this->normalizationService->normalizeTrend($property, $type, $trend);
+            $propertyTrend[$type] = $this->usageService->addUsageToTrend($property, $type, $trend);
         }
 
         // Get recent expenses (eager load utilityAccount with utilityType to avoid N+1)
@@ -254,6 +238,9 @@ class UtilityDashboardController extends Controller
                 'amount' => $expense->amount,
                 'expense_date' => $expense->expense_date->toDateString(),
                 'vendor_name' => $expense->vendor_name,
+                'usage_quantity' => $expense->usage_quantity !== null ? (float) $expense->usage_quantity : null,
+                'usage_unit' => $expense->usage_unit,
+                'usage_source' => $expense->usage_source,
             ]);
 
         return Inertia::render('Utilities/Show', [
@@ -270,53 +257,98 @@ class UtilityDashboardController extends Controller
             'propertyTrend' => $propertyTrend,
             'recentExpenses' => $recentExpenses,
             'utilityTypes' => UtilityType::getAllWithMetadata(),
+            'usageUnits' => UtilityUsageService::UNIT_LABELS,
+            'canEditUsage' => (bool) $request->user()?->isAdmin(),
         ]);
     }
 
     /**
-     * Get portfolio trend data across all utility types.
+     * Get the selected utility type and filters for a data table page.
      *
-     * Uses a single bulk query to fetch all monthly totals instead of
-     * N+1 queries per month/utility type combination.
+     * @return array{0: string, 1: array{unit_count_min: int|null, unit_count_max: int|null, property_types: array, weather_adjusted: bool}}
      */
-    private function getPortfolioTrend(array $utilityTypes, int $months): array
+    private function resolveDataFilters(UtilityDataRequest $request): array
     {
-        $date = Carbon::now();
+        $validated = $request->validated();
 
-        // Fetch all trend data in a single query
-        $trendData = $this->analyticsService->getPortfolioTrendData($utilityTypes, $months, $date);
+        // Get utility types from the database
+        $utilityTypes = UtilityType::ordered()->pluck('key')->all();
 
-        // Group by month for efficient lookup
-        $monthlyData = $trendData->groupBy(fn ($item) => Carbon::parse($item->month)->format('Y-m'));
+        // Get selected utility type (default to first available)
+        $selectedUtilityType = $validated['utility_type'] ?? $utilityTypes[0] ?? 'water';
+        if (! in_array($selectedUtilityType, $utilityTypes, true)) {
+            $selectedUtilityType = $utilityTypes[0] ?? 'water';
+        }
 
-        $data = [];
-        for ($i = $months - 1; $i >= 0; $i--) {
-            $periodDate = $date->copy()->subMonths($i);
-            $monthKey = $periodDate->format('Y-m');
+        return [$selectedUtilityType, [
+            'unit_count_min' => $validated['unit_count_min'] ?? null,
+            'unit_count_max' => $validated['unit_count_max'] ?? null,
+            'property_types' => $validated['property_types'] ?? [],
+            'weather_adjusted' => (bool) ($validated['weather_adjusted'] ?? false),
+        ]];
+    }
 
-            $row = [
-                'period' => $periodDate->format('M Y'),
-                'date' => $periodDate->toDateString(),
-            ];
+    /**
+     * Build the property comparison rows shown in the data table.
+     */
+    private function getComparisonData(string $selectedUtilityType, array $filters): array
+    {
+        // Get filtered property comparison data
+        $comparisonData = $this->analyticsService->getFilteredPropertyComparisonData(
+            $selectedUtilityType,
+            $filters
+        );
 
-            // Initialize all utility types to 0
-            $total = 0;
-            foreach ($utilityTypes as $type) {
-                $row[$type] = 0;
-            }
-
-            // Fill in actual values from the query result
-            $monthItems = $monthlyData->get($monthKey, collect());
-            foreach ($monthItems as $item) {
-                $row[$item->utility_type] = (float) $item->total;
-                $total += (float) $item->total;
-            }
-
-            $row['total'] = $total;
-            $data[] = $row;
+        // Swap in weather-adjusted costs before formatting and heat map stats are calculated
+        if ($filters['weather_adjusted']) {
+            $this->normalizationService->normalizeComparisonData($comparisonData, $selectedUtilityType);
         }
 
-        return $data;
+        // Usage and effective rates always come from actual costs
+        $this->usageService->addUsageToComparisonData($comparisonData, $selectedUtilityType);
+
+        // Apply conditional formatting to each property
+        $comparisonData = $this->formattingService->applyFormattingToComparison(
+            $comparisonData,
+            $selectedUtilityType
+        );
+
+        // Attach notes to property comparison data
+        $this->analyticsService->attachNotesToComparisonData($comparisonData, $selectedUtilityType);
+
+        // Attach this year's budget vs. actual figures
+        $this->budgetService->attachBudgetsToComparisonData($comparisonData, $selectedUtilityType);
+
+        return $comparisonData;
+    }
+
+    /**
+     * Add up the per-type budget figures for the portfolio summary card.
+     *
+     * Returns null when no utility type has a budget for the period or year.
+     */
+    private function getPortfolioBudgetTotals(array $utilitySummary): ?array
+    {
+        $budgeted = array_filter($utilitySummary, fn (array $summary) => $summary['budget'] !== null);
+        $planned = array_filter($utilitySummary, fn (array $summary) => $summary['annual_budget'] !== null);
+
+        if (empty($budgeted) && empty($planned)) {
+            return null;
+        }
+
+        $budget = array_sum(array_column($budgeted, 'budget'));
+        $actual = array_sum(array_column($budgeted, 'budget_actual'));
+        $annualBudget = array_sum(array_column($planned, 'annual_budget'));
+        $forecast = array_sum(array_column($planned, 'forecast'));
+
+        return [
+            'budget' => empty($budgeted) ? null : round($budget, 2),
+            'budget_actual' => empty($budgeted) ? null : round($actual, 2),
+            'budget_variance_percent' => $budget > 0 ? round((($actual - $budget) / $budget) * 100, 1) : null,
+            'annual_budget' => empty($planned) ? null : round($annualBudget, 2),
+            'forecast' => empty($planned) ? null : round($forecast, 2),
+            'forecast_variance_percent' => $annualBudget > 0 ? round((($forecast - $annualBudget) / $annualBudget) * 100, 1) : null,
+        ];
     }
 
     /**
@@ -0,0 +1,39 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\UpdateUtilityExpenseUsageRequest;
+use App\Models\UtilityExpense;
+use App\Services\UtilityUsageService;
+use Illuminate\Http\RedirectResponse;
+
+class UtilityExpenseUsageController extends Controller
+{
+    public function __construct(
+        private readonly UtilityUsageService $usageService
+    ) {}
+
+    /**
+     * Enter a bill's usage by hand, or clear it to go back to the usage read from the bill.
+     */
+    public function update(UpdateUtilityExpenseUsageRequest $request, UtilityExpense $utilityExpense): RedirectResponse
+    {
+        $validated = $request->validated();
+
+        if (isset($validated['usage_quantity'])) {
+            $utilityExpense->update([
+                'usage_quantity' => $validated['usage_quantity'],
+                'usage_unit' => $validated['usage_unit'],
+                'usage_source' => UtilityExpense::USAGE_SOURCE_MANUAL,
+            ]);
+
+            return back()->with('success', 'Usage saved successfully.');
+        }
+
+        $utilityExpense->update($this->usageService->usageAttributesFromDescription($utilityExpense->description));
+
+        return back()->with('success', 'Usage reset to the bill description.');
+    }
+}
@@ -0,0 +1,37 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\UpdateUtilityTableLayoutRequest;
+use App\Services\UtilityTableLayoutService;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+
+class UtilityTableLayoutController extends Controller
+{
+    public function __construct(
+        private readonly UtilityTableLayoutService $layoutService
+    ) {}
+
+    /**
+     * Save the user's column, sort, and pinned row layout for a utility table.
+     */
+    public function update(UpdateUtilityTableLayoutRequest $request, string $table): JsonResponse
+    {
+        $layout = $this->layoutService->saveLayout($request->user(), $table, $request->validated());
+
+        return response()->json(['layout' => $layout]);
+    }
+
+    /**
+     * Reset a utility table to the default layout.
+     */
+    public function destroy(Request $request, string $table): JsonResponse
+    {
+        $this->layoutService->resetLayout($request->user(), $table);
+
+        return response()->json(['layout' => $this->layoutService->getDefaultLayout()]);
+    }
+}
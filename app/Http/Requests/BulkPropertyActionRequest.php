@@ -0,0 +1,80 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use App\Models\PropertyAdjustment;
+use App\Models\PropertyFlag;
+use App\Services\PropertyBulkActionService;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class BulkPropertyActionRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user()?->isAdmin() ?? false;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * Parameters beyond the property IDs depend on the action.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        $rules = [
+            'action' => ['required', 'string', Rule::in(array_keys(PropertyBulkActionService::ACTIONS))],
+            'property_ids' => ['required', 'array', 'min:1', 'max:'.PropertyBulkActionService::MAX_PROPERTIES],
+            'property_ids.*' => ['required', 'uuid', 'distinct'],
+        ];
+
+        return match ($this->input('action')) {
+            'add_flag', 'remove_flag' => [
+                ...$rules,
+                'flag_type' => ['required', 'string', Rule::in(array_keys(PropertyFlag::FLAG_TYPES))],
+                'reason' => ['nullable', 'string', 'max:500'],
+            ],
+            'exclude_utility', 'include_utility' => [
+                ...$rules,
+                'utility_type_id' => ['required', 'uuid', Rule::exists('utility_types', 'id')],
+                'reason' => ['nullable', 'string', 'max:500'],
+            ],
+            'create_adjustment' => [
+                ...$rules,
+                'field_name' => ['required', 'string', Rule::in(array_keys(PropertyAdjustment::ADJUSTABLE_FIELDS))],
+                'adjusted_value' => PropertyAdjustment::getValidationRules((string) $this->input('field_name')),
+                'effective_from' => ['required', 'date'],
+                'effective_to' => ['nullable', 'date', 'after_or_equal:effective_from'],
+                'reason' => ['required', 'string', 'max:1000'],
+            ],
+            default => $rules,
+        };
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'property_ids.required' => 'Please select at least one property.',
+            'property_ids.max' => 'Please select no more than '.PropertyBulkActionService::MAX_PROPERTIES.' properties at a time.',
+            'flag_type.required' => 'Please select a flag type.',
+            'utility_type_id.required' => 'Please select a utility type.',
+            'field_name.required' => 'Please select a field to adjust.',
+            'adjusted_value.required' => 'Please enter the adjusted value.',
+            'effective_from.required' => 'Please select an effective from date.',
+            'effective_to.after_or_equal' => 'The effective to date must be on or after the effective from date.',
+            'reason.required' => 'Please provide a reason for this adjustment.',
+        ];
+    }
+}
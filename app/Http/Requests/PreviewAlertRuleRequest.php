@@ -0,0 +1,34 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use App\Models\AlertRule;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class PreviewAlertRuleRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user()?->isAdmin() ?? false;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'metric' => ['required', 'string', Rule::in(array_keys(AlertRule::METRICS))],
+            'operator' => ['required', 'string', Rule::in(array_keys(AlertRule::OPERATORS))],
+            'threshold' => ['required', 'numeric', 'min:0', 'max:9999999999'],
+        ];
+    }
+}
@@ -0,0 +1,52 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use App\Models\AlertRule;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class StoreAlertRuleRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user()?->isAdmin() ?? false;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'name' => ['required', 'string', 'max:100'],
+            'metric' => ['required', 'string', Rule::in(array_keys(AlertRule::METRICS))],
+            'operator' => ['required', 'string', Rule::in(array_keys(AlertRule::OPERATORS))],
+            'threshold' => ['required', 'numeric', 'min:0', 'max:9999999999'],
+            'enabled' => ['nullable', 'boolean'],
+            'recipients' => ['required', 'array', 'min:1'],
+            'recipients.*' => ['required', 'email', 'distinct', Rule::exists('users', 'email')->where('is_active', true)],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'recipients.required' => 'Choose at least one recipient.',
+            'recipients.min' => 'Choose at least one recipient.',
+            'recipients.*.exists' => 'Recipients must be active users.',
+        ];
+    }
+}
@@ -0,0 +1,64 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use App\Services\PropertyNoteService;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class StorePropertyNoteRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user() !== null;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * A note needs a body, attachments, or both.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'body' => ['nullable', 'required_without:attachments', 'string', 'max:5000'],
+            'parent_id' => [
+                'nullable',
+                'uuid',
+                Rule::exists('property_notes', 'id')->where('property_id', $this->route('property')->id),
+            ],
+            'mentions' => ['nullable', 'array'],
+            'mentions.*' => ['uuid'],
+            'attachments' => ['nullable', 'array', 'max:'.PropertyNoteService::MAX_ATTACHMENTS],
+            'attachments.*' => [
+                'file',
+                'max:'.PropertyNoteService::MAX_ATTACHMENT_KB,
+                'extensions:'.implode(',', PropertyNoteService::ATTACHMENT_EXTENSIONS),
+                'mimetypes:'.implode(',', PropertyNoteService::ATTACHMENT_MIME_TYPES),
+            ],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'body.required_without' => 'Write a note or attach a file.',
+            'parent_id.exists' => 'The note you are replying to no longer exists.',
+            'attachments.*.max' => 'Attachments can be at most '.(PropertyNoteService::MAX_ATTACHMENT_KB / 1024).' MB.',
+            'attachments.*.extensions' => 'Attachments must be documents, spreadsheets, or photos.',
+            'attachments.*.mimetypes' => 'Attachments must be documents, spreadsheets, or photos.',
+        ];
+    }
+}
@@ -0,0 +1,75 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use App\Services\PropertyService;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class StoreSavedViewRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user() !== null;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'name' => [
+                'required',
+                'string',
+                'max:100',
+                Rule::unique('saved_views')
+                    ->where('user_id', $this->user()->id)
+                    ->where('page', 'properties'),
+            ],
+            'is_shared' => ['boolean'],
+            'is_default' => ['boolean'],
+            ...self::filterRules(),
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'name.unique' => 'You already have a view with this name.',
+        ];
+    }
+
+    /**
+     * Rules for the Properties list filters a view stores.
+     *
+     * @return array<string, array<mixed>>
+     */
+    public static function filterRules(): array
+    {
+        return [
+            'filters' => ['required', 'array:search,portfolio,property_type,is_active,bounds,sort,direction,per_page,view_mode'],
+            'filters.search' => ['nullable', 'string', 'max:255'],
+            'filters.portfolio' => ['nullable', 'string', 'max:255'],
+            'filters.property_type' => ['nullable', 'string', 'max:255'],
+            'filters.is_active' => ['nullable', Rule::in(['0', '1'])],
+            'filters.bounds' => ['nullable', 'string', 'max:100'],
+            'filters.sort' => ['nullable', Rule::in(PropertyService::ALLOWED_SORTS)],
+            'filters.direction' => ['nullable', Rule::in(['asc', 'desc'])],
+            'filters.per_page' => ['nullable', Rule::in([...PropertyService::ALLOWED_PAGE_SIZES, 'all'])],
+            'filters.view_mode' => ['nullable', Rule::in(['table', 'map'])],
+        ];
+    }
+}
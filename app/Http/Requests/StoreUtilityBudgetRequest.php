@@ -0,0 +1,50 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class StoreUtilityBudgetRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user()?->isAdmin() ?? false;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'property_id' => ['required', 'uuid', Rule::exists('properties', 'id')],
+            'utility_type_id' => ['required', 'uuid', Rule::exists('utility_types', 'id')],
+            'year' => ['required', 'integer', 'min:2000', 'max:2100'],
+            'annual' => ['nullable', 'required_without:months', 'numeric', 'min:0', 'max:99999999'],
+            'months' => ['nullable', 'required_without:annual', 'array', 'size:12'],
+            'months.*' => ['nullable', 'numeric', 'min:0', 'max:9999999'],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'annual.required_without' => 'Enter an annual budget or an amount for each month.',
+            'months.required_without' => 'Enter an annual budget or an amount for each month.',
+            'months.size' => 'Enter an amount for each of the twelve months.',
+        ];
+    }
+}
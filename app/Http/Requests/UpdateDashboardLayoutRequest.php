@@ -0,0 +1,57 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use App\Services\DashboardLayoutService;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class UpdateDashboardLayoutRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user() !== null;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'layout' => ['present', 'array', 'max:'.count(DashboardLayoutService::WIDGETS)],
+            'layout.*.key' => [
+                'required',
+                'string',
+                'distinct',
+                Rule::in(array_keys(DashboardLayoutService::WIDGETS)),
+            ],
+            'layout.*.size' => [
+                'required',
+                'integer',
+                Rule::in(DashboardLayoutService::SIZES),
+            ],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'layout.*.key.in' => 'The layout contains an unknown widget.',
+            'layout.*.key.distinct' => 'Each widget can only be added once.',
+            'layout.*.size.in' => 'Please select a valid widget size.',
+        ];
+    }
+}
@@ -0,0 +1,33 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+
+class UpdateDashboardScopeRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user() !== null;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'portfolios' => ['nullable', 'array', 'max:50'],
+            'portfolios.*' => ['string', 'max:255'],
+            'property_types' => ['nullable', 'array', 'max:50'],
+            'property_types.*' => ['string', 'max:255'],
+        ];
+    }
+}
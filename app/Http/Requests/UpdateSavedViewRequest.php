@@ -0,0 +1,62 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class UpdateSavedViewRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     *
+     * Only the owner can change a view, including shared ones.
+     */
+    public function authorize(): bool
+    {
+        $user = $this->user();
+
+        return $user !== null && $this->route('savedView')->isOwnedBy($user);
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        $view = $this->route('savedView');
+        $filterRules = StoreSavedViewRequest::filterRules();
+        $filterRules['filters'][0] = 'sometimes';
+
+        return [
+            'name' => [
+                'sometimes',
+                'required',
+                'string',
+                'max:100',
+                Rule::unique('saved_views')
+                    ->where('user_id', $view->user_id)
+                    ->where('page', $view->page)
+                    ->ignore($view->id),
+            ],
+            'is_shared' => ['sometimes', 'boolean'],
+            ...$filterRules,
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'name.unique' => 'You already have a view with this name.',
+        ];
+    }
+}
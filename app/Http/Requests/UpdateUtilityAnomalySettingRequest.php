@@ -0,0 +1,48 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use App\Models\UtilityAnomalySetting;
+use Illuminate\Foundation\Http\FormRequest;
+
+class UpdateUtilityAnomalySettingRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user()?->isAdmin() ?? false;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'is_enabled' => ['required', 'boolean'],
+            'z_score_threshold' => ['nullable', 'numeric', 'min:0.5', 'max:10'],
+            'percent_over_average' => ['nullable', 'numeric', 'min:1', 'max:1000'],
+            'rolling_months' => ['required', 'integer', 'min:1', 'max:'.UtilityAnomalySetting::MAX_ROLLING_MONTHS],
+            'min_dollar_impact' => ['required', 'numeric', 'min:0', 'max:9999999'],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'z_score_threshold.min' => 'Use at least 0.5 standard deviations.',
+            'percent_over_average.min' => 'Use at least 1% over the rolling average.',
+        ];
+    }
+}
@@ -0,0 +1,46 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use App\Services\UtilityUsageService;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class UpdateUtilityExpenseUsageRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user()?->isAdmin() ?? false;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'usage_quantity' => ['nullable', 'numeric', 'gt:0', 'max:9999999999'],
+            'usage_unit' => ['required_with:usage_quantity', 'nullable', Rule::in(array_keys(UtilityUsageService::UNIT_LABELS))],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'usage_quantity.gt' => 'Usage must be greater than zero.',
+            'usage_unit.required_with' => 'Please choose the unit the usage is measured in.',
+        ];
+    }
+}
@@ -0,0 +1,70 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Http\Requests;
+
+use App\Services\UtilityTableLayoutService;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class UpdateUtilityTableLayoutRequest extends FormRequest
+{
+    /**
+     * Determine if the user is authorized to make this request.
+     */
+    public function authorize(): bool
+    {
+        return $this->user() !== null;
+    }
+
+    /**
+     * Get the validation rules that apply to the request.
+     *
+     * Pinned IDs aren't checked against the properties table: a property
+     * that has since been deleted can't be unpinned from the table, so it
+     * must not block saving the rest of the layout. Such rows simply don't
+     * render.
+     *
+     * @return array<string, \Illuminate\Contracts\Validation\ValidationRule|array<mixed>|string>
+     */
+    public function rules(): array
+    {
+        return [
+            'columns' => ['required', 'array', 'max:'.count(UtilityTableLayoutService::COLUMNS)],
+            'columns.*.key' => [
+                'required',
+                'string',
+                'distinct',
+                Rule::in(UtilityTableLayoutService::COLUMNS),
+            ],
+            'columns.*.visible' => ['required', 'boolean'],
+            'sort' => ['present', 'array', 'max:'.UtilityTableLayoutService::MAX_SORT_COLUMNS],
+            'sort.*.key' => [
+                'required',
+                'string',
+                'distinct',
+                Rule::in(UtilityTableLayoutService::getSortableColumns()),
+            ],
+            'sort.*.direction' => ['required', Rule::in(['asc', 'desc'])],
+            'pinned' => ['present', 'array', 'max:'.UtilityTableLayoutService::MAX_PINNED],
+            'pinned.*' => ['required', 'string', 'distinct', 'max:64'],
+        ];
+    }
+
+    /**
+     * Get custom messages for validator errors.
+     *
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'columns.*.key.in' => 'The layout contains an unknown column.',
+            'columns.*.key.distinct' => 'Each column can only appear once.',
+            'sort.max' => 'Sort by at most '.UtilityTableLayoutService::MAX_SORT_COLUMNS.' columns.',
+            'sort.*.key.in' => 'That column cannot be sorted.',
+            'pinned.max' => 'Pin at most '.UtilityTableLayoutService::MAX_PINNED.' properties.',
+        ];
+    }
+}
@@ -51,6 +51,7 @@ class UtilityDataRequest extends FormRequest
             ],
             'property_types' => ['nullable', 'array'],
             'property_types.*' => ['string', 'max:50'],
+            'weather_adjusted' => ['nullable', 'boolean'],
         ];
     }
 
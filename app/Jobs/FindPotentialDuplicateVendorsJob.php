@@ -6,6 +6,7 @@ namespace App\Jobs;
 
 use App\Models\Vendor;
 use App\Models\VendorDuplicateAnalysis;
+use App\Notifications\DuplicateAnalysisCompletedNotification;
 use App\Services\VendorDeduplicationService;
 use Illuminate\Bus\Queueable;
 use Illuminate\Contracts\Queue\ShouldQueue;
@@ -81,6 +82,8 @@ class FindPotentialDuplicateVendorsJob implements ShouldQueue
             );
 
             Log::info("Vendor duplicate analysis completed: {$this->analysis->id}, found {$this->analysis->duplicates_found} potential duplicates");
+
+            $this->notifyRequester();
         } catch (\Throwable $e) {
             Log::error("Vendor duplicate analysis failed: {$this->analysis->id}", [
                 'error' => $e->getMessage(),
@@ -100,5 +103,15 @@ class FindPotentialDuplicateVendorsJob implements ShouldQueue
         ]);
 
         $this->analysis->markAsFailed($exception->getMessage());
+
+        $this->notifyRequester();
+    }
+
+    /**
+     * Let the user who started the analysis know it has finished.
+     */
+    private function notifyRequester(): void
+    {
+        $this->analysis->requestedBy?->notify(new DuplicateAnalysisCompletedNotification($this->analysis));
     }
 }
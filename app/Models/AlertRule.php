@@ -7,6 +7,7 @@ namespace App\Models;
 use Illuminate\Database\Eloquent\Concerns\HasUuids;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\HasMany;
 
 class AlertRule extends Model
 {
@@ -20,6 +21,7 @@ class AlertRule extends Model
         'enabled',
         'recipients',
         'last_triggered_at',
+        'muted_until',
     ];
 
     protected function casts(): array
@@ -29,6 +31,7 @@ class AlertRule extends Model
             'enabled' => 'boolean',
             'recipients' => 'array',
             'last_triggered_at' => 'datetime',
+            'muted_until' => 'datetime',
         ];
     }
 
@@ -51,8 +54,28 @@ class AlertRule extends Model
         'delinquency_amount' => 'Delinquency Amount',
         'work_order_days_open' => 'Work Order Days Open',
         'occupancy_rate' => 'Occupancy Rate',
+        'open_work_orders' => 'Open Work Orders',
     ];
 
+    /**
+     * Mute durations offered in the admin UI, in hours.
+     */
+    public const MUTE_DURATIONS = [
+        1 => '1 hour',
+        24 => '1 day',
+        72 => '3 days',
+        168 => '1 week',
+        720 => '30 days',
+    ];
+
+    /**
+     * Get the history of times this rule fired.
+     */
+    public function triggers(): HasMany
+    {
+        return $this->hasMany(AlertRuleTrigger::class);
+    }
+
     /**
      * Evaluate if this rule should trigger based on a value.
      */
@@ -69,11 +92,49 @@ class AlertRule extends Model
     }
 
     /**
-     * Mark this rule as triggered.
+     * Mark this rule as triggered and record it in the trigger history.
+     *
+     * @param  array<string>  $recipients
+     */
+    public function markAsTriggered(?float $value = null, array $recipients = []): void
+    {
+        $now = now();
+
+        $this->update(['last_triggered_at' => $now]);
+
+        if ($value !== null) {
+            $this->triggers()->create([
+                'value' => $value,
+                'operator' => $this->operator,
+                'threshold' => $this->threshold,
+                'recipients' => $recipients,
+                'triggered_at' => $now,
+            ]);
+        }
+    }
+
+    /**
+     * Check if the rule is currently muted.
      */
-    public function markAsTriggered(): void
+    public function isMuted(): bool
     {
-        $this->update(['last_triggered_at' => now()]);
+        return $this->muted_until !== null && $this->muted_until->isFuture();
+    }
+
+    /**
+     * Mute the rule for a number of hours.
+     */
+    public function mute(int $hours): void
+    {
+        $this->update(['muted_until' => now()->addHours($hours)]);
+    }
+
+    /**
+     * Lift a mute before it expires.
+     */
+    public function unmute(): void
+    {
+        $this->update(['muted_until' => null]);
     }
 
     /**
@@ -99,4 +160,15 @@ class AlertRule extends Model
     {
         return $query->where('enabled', true);
     }
+
+    /**
+     * Scope to exclude rules that are currently muted.
+     */
+    public function scopeUnmuted($query)
+    {
+        return $query->where(function ($query) {
+            $query->whereNull('muted_until')
+                ->orWhere('muted_until', '<=', now());
+        });
+    }
 }
@@ -0,0 +1,41 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Concerns\HasUuids;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class AlertRuleTrigger extends Model
+{
+    use HasUuids;
+
+    protected $fillable = [
+        'alert_rule_id',
+        'value',
+        'operator',
+        'threshold',
+        'recipients',
+        'triggered_at',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'value' => 'decimal:2',
+            'threshold' => 'decimal:2',
+            'recipients' => 'array',
+            'triggered_at' => 'datetime',
+        ];
+    }
+
+    /**
+     * Get the rule that fired.
+     */
+    public function alertRule(): BelongsTo
+    {
+        return $this->belongsTo(AlertRule::class);
+    }
+}
@@ -0,0 +1,108 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Carbon\Carbon;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Concerns\HasUuids;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class DashboardDigestSubscription extends Model
+{
+    use HasUuids;
+
+    protected $fillable = [
+        'user_id',
+        'cadence',
+        'portfolios',
+        'property_types',
+        'last_sent_at',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'portfolios' => 'array',
+            'property_types' => 'array',
+            'last_sent_at' => 'datetime',
+        ];
+    }
+
+    /**
+     * Available digest cadences.
+     */
+    public const CADENCES = [
+        'weekly' => 'Weekly',
+        'monthly' => 'Monthly',
+    ];
+
+    /**
+     * Get the subscribed user.
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Get the dashboard scope this digest covers.
+     *
+     * @return array{portfolios: array<int, string>, property_types: array<int, string>}
+     */
+    public function getScope(): array
+    {
+        return [
+            'portfolios' => $this->portfolios ?? [],
+            'property_types' => $this->property_types ?? [],
+        ];
+    }
+
+    /**
+     * Get the start of the digest period containing a date.
+     */
+    public function periodStart(Carbon $date): Carbon
+    {
+        return $this->cadence === 'monthly'
+            ? $date->copy()->startOfMonth()
+            : $date->copy()->startOfWeek();
+    }
+
+    /**
+     * Check if a digest is due: nothing has been sent yet in the current
+     * week or month.
+     */
+    public function isDue(?Carbon $now = null): bool
+    {
+        $now = $now ?? now();
+
+        return $this->last_sent_at === null
+            || $this->last_sent_at->lt($this->periodStart($now));
+    }
+
+    /**
+     * Mark the digest as sent.
+     */
+    public function markAsSent(): void
+    {
+        $this->update(['last_sent_at' => now()]);
+    }
+
+    /**
+     * Get the human-readable cadence.
+     */
+    public function getCadenceLabelAttribute(): string
+    {
+        return self::CADENCES[$this->cadence] ?? $this->cadence;
+    }
+
+    /**
+     * Scope to subscriptions whose user is still active.
+     */
+    public function scopeForActiveUsers(Builder $query): Builder
+    {
+        return $query->whereHas('user', fn (Builder $q) => $q->where('is_active', true));
+    }
+}
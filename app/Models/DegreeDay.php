@@ -0,0 +1,45 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Concerns\HasUuids;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * Degree Day
+ *
+ * Heating and cooling degree days for one month at a ZIP code or weather
+ * station. Used to normalize weather-sensitive utility costs.
+ */
+class DegreeDay extends Model
+{
+    use HasUuids;
+
+    protected $fillable = [
+        'zip',
+        'weather_station_id',
+        'month',
+        'heating_degree_days',
+        'cooling_degree_days',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'month' => 'date',
+            'heating_degree_days' => 'decimal:1',
+            'cooling_degree_days' => 'decimal:1',
+        ];
+    }
+
+    /**
+     * Get the weather station these degree days were reported for.
+     */
+    public function weatherStation(): BelongsTo
+    {
+        return $this->belongsTo(WeatherStation::class);
+    }
+}
@@ -74,6 +74,26 @@ class Property extends Model
         return $query->whereNotNull('latitude')->whereNotNull('longitude');
     }
 
+    /**
+     * Scope to properties located inside a map bounding box.
+     *
+     * A box whose west edge is east of its east edge crosses the
+     * antimeridian, so longitudes on either side of it match.
+     */
+    public function scopeWithinBounds(Builder $query, float $south, float $west, float $north, float $east): Builder
+    {
+        $query->whereBetween('latitude', [$south, $north]);
+
+        if ($west <= $east) {
+            return $query->whereBetween('longitude', [$west, $east]);
+        }
+
+        return $query->where(function (Builder $q) use ($west, $east): void {
+            $q->where('longitude', '>=', $west)
+                ->orWhere('longitude', '<=', $east);
+        });
+    }
+
     /**
      * Get the units for this property.
      */
@@ -114,6 +134,14 @@ class Property extends Model
         return $this->hasMany(PropertyFlag::class);
     }
 
+    /**
+     * Get the record of flags removed from this property.
+     */
+    public function flagRemovals(): HasMany
+    {
+        return $this->hasMany(PropertyFlagRemoval::class);
+    }
+
     /**
      * Get the adjustments for this property.
      */
@@ -146,6 +174,30 @@ class Property extends Model
         return $this->hasMany(UtilityNote::class);
     }
 
+    /**
+     * Get the utility anomalies detected for this property.
+     */
+    public function utilityAnomalies(): HasMany
+    {
+        return $this->hasMany(UtilityAnomaly::class);
+    }
+
+    /**
+     * Get the notes on this property, including replies.
+     */
+    public function notes(): HasMany
+    {
+        return $this->hasMany(PropertyNote::class);
+    }
+
+    /**
+     * Get the monthly utility budgets for this property.
+     */
+    public function utilityBudgets(): HasMany
+    {
+        return $this->hasMany(UtilityBudget::class);
+    }
+
     /**
      * Check if property is excluded for a specific utility type.
      */
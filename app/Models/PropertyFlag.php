@@ -8,6 +8,7 @@ use Illuminate\Database\Eloquent\Concerns\HasUuids;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Support\Facades\DB;
 
 class PropertyFlag extends Model
 {
@@ -60,6 +61,25 @@ class PropertyFlag extends Model
         return $this->belongsTo(User::class, 'created_by');
     }
 
+    /**
+     * Remove the flag, keeping a record of the removal for the activity timeline.
+     */
+    public function remove(?string $removedBy = null): void
+    {
+        DB::transaction(function () use ($removedBy): void {
+            PropertyFlagRemoval::create([
+                'property_id' => $this->property_id,
+                'flag_type' => $this->flag_type,
+                'reason' => $this->reason,
+                'flagged_at' => $this->created_at,
+                'removed_by' => $removedBy,
+                'removed_at' => now(),
+            ]);
+
+            $this->delete();
+        });
+    }
+
     /**
      * Get the display label for the flag type.
      */
@@ -0,0 +1,62 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Concerns\HasUuids;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * Property Flag Removal
+ *
+ * Records a flag that was taken off a property. Flags themselves are
+ * deleted on removal, so this is what keeps the removal visible in the
+ * property's activity timeline.
+ */
+class PropertyFlagRemoval extends Model
+{
+    use HasUuids;
+
+    protected $fillable = [
+        'property_id',
+        'flag_type',
+        'reason',
+        'flagged_at',
+        'removed_by',
+        'removed_at',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'flagged_at' => 'datetime',
+            'removed_at' => 'datetime',
+        ];
+    }
+
+    /**
+     * Get the property the flag was removed from.
+     */
+    public function property(): BelongsTo
+    {
+        return $this->belongsTo(Property::class);
+    }
+
+    /**
+     * Get the user who removed the flag.
+     */
+    public function remover(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'removed_by');
+    }
+
+    /**
+     * Get the display label for the flag type.
+     */
+    public function getFlagLabelAttribute(): string
+    {
+        return PropertyFlag::FLAG_TYPES[$this->flag_type] ?? $this->flag_type;
+    }
+}
@@ -0,0 +1,94 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Concerns\HasUuids;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\BelongsToMany;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+
+/**
+ * Property Note
+ *
+ * A free-text note on a property. A note without a parent starts a thread;
+ * replies point at that first note, so threads are one level deep.
+ */
+class PropertyNote extends Model
+{
+    use HasUuids;
+
+    protected $fillable = [
+        'property_id',
+        'parent_id',
+        'user_id',
+        'body',
+    ];
+
+    /**
+     * Get the property the note is on.
+     */
+    public function property(): BelongsTo
+    {
+        return $this->belongsTo(Property::class);
+    }
+
+    /**
+     * Get the note's author.
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Get the note that started the thread this note replies to.
+     */
+    public function parent(): BelongsTo
+    {
+        return $this->belongsTo(self::class, 'parent_id');
+    }
+
+    /**
+     * Get the replies to this note, oldest first.
+     */
+    public function replies(): HasMany
+    {
+        return $this->hasMany(self::class, 'parent_id')->oldest();
+    }
+
+    /**
+     * Get the users mentioned in the note.
+     */
+    public function mentions(): BelongsToMany
+    {
+        return $this->belongsToMany(User::class, 'property_note_mentions')->withTimestamps();
+    }
+
+    /**
+     * Get the files attached to the note.
+     */
+    public function attachments(): HasMany
+    {
+        return $this->hasMany(PropertyNoteAttachment::class);
+    }
+
+    /**
+     * Check if a user wrote the note.
+     */
+    public function isAuthoredBy(User $user): bool
+    {
+        return $this->user_id === $user->id;
+    }
+
+    /**
+     * Scope to notes that start a thread.
+     */
+    public function scopeThreads(Builder $query): Builder
+    {
+        return $query->whereNull('parent_id');
+    }
+}
@@ -0,0 +1,72 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Concerns\HasUuids;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Support\Facades\Storage;
+
+/**
+ * Property Note Attachment
+ *
+ * A file attached to a property note. The disk is recorded with the file so
+ * it can still be found if the default filesystem disk changes later.
+ */
+class PropertyNoteAttachment extends Model
+{
+    use HasUuids;
+
+    /**
+     * Image types that are safe to show inline. Anything else, SVG included,
+     * is only ever served as a download.
+     */
+    public const INLINE_IMAGE_TYPES = [
+        'image/jpeg',
+        'image/png',
+        'image/gif',
+        'image/webp',
+    ];
+
+    protected $fillable = [
+        'property_note_id',
+        'disk',
+        'path',
+        'original_name',
+        'mime_type',
+        'size',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'size' => 'integer',
+        ];
+    }
+
+    /**
+     * Get the note the file is attached to.
+     */
+    public function note(): BelongsTo
+    {
+        return $this->belongsTo(PropertyNote::class, 'property_note_id');
+    }
+
+    /**
+     * Check if the file is an image that can be previewed inline.
+     */
+    public function isImage(): bool
+    {
+        return in_array($this->mime_type, self::INLINE_IMAGE_TYPES, true);
+    }
+
+    /**
+     * Delete the stored file.
+     */
+    public function deleteFile(): void
+    {
+        Storage::disk($this->disk)->delete($this->path);
+    }
+}
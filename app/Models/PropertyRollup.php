@@ -58,4 +58,23 @@ class PropertyRollup extends Model
     {
         return $query->whereBetween('date', [$startDate, $endDate]);
     }
+
+    /**
+     * Scope to each property's most recent rollup on or before a date.
+     *
+     * @param  array<int, string>  $propertyIds
+     */
+    public function scopeLatestForProperties($query, array $propertyIds, $date)
+    {
+        $latestDates = static::query()
+            ->whereIn('property_id', $propertyIds)
+            ->where('date', '<=', $date)
+            ->groupBy('property_id')
+            ->selectRaw('property_id, MAX(date) as latest_date');
+
+        return $query->joinSub($latestDates, 'latest', function ($join) {
+            $join->on('property_rollups.property_id', '=', 'latest.property_id')
+                ->on('property_rollups.date', '=', 'latest.latest_date');
+        });
+    }
 }
@@ -0,0 +1,88 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Concerns\HasUuids;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class SavedView extends Model
+{
+    use HasUuids;
+
+    protected $fillable = [
+        'user_id',
+        'page',
+        'name',
+        'filters',
+        'is_shared',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'filters' => 'array',
+            'is_shared' => 'boolean',
+        ];
+    }
+
+    /**
+     * Pages that support saved views, with the filter keys each one stores.
+     */
+    public const PAGES = [
+        'properties' => [
+            'search',
+            'portfolio',
+            'property_type',
+            'is_active',
+            'bounds',
+            'sort',
+            'direction',
+            'per_page',
+            'view_mode',
+        ],
+    ];
+
+    /**
+     * Get the user who created the view.
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Check if a user owns the view.
+     */
+    public function isOwnedBy(User $user): bool
+    {
+        return $this->user_id === $user->id;
+    }
+
+    /**
+     * Get the user preference key holding the default view for a page.
+     */
+    public static function defaultPreferenceKey(string $page): string
+    {
+        return "default_saved_views.{$page}";
+    }
+
+    /**
+     * Scope to views for a page.
+     */
+    public function scopeForPage(Builder $query, string $page): Builder
+    {
+        return $query->where('page', $page);
+    }
+
+    /**
+     * Scope to views a user can use: their own plus those shared with the team.
+     */
+    public function scopeVisibleTo(Builder $query, User $user): Builder
+    {
+        return $query->where(fn (Builder $q) => $q->where('user_id', $user->id)->orWhere('is_shared', true));
+    }
+}
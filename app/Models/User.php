@@ -9,6 +9,7 @@ use Illuminate\Database\Eloquent\Concerns\HasUuids;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
 use Illuminate\Database\Eloquent\Relations\HasMany;
+use Illuminate\Database\Eloquent\Relations\HasOne;
 use Illuminate\Foundation\Auth\User as Authenticatable;
 use Illuminate\Notifications\Notifiable;
 use Laravel\Sanctum\HasApiTokens;
@@ -41,6 +42,7 @@ class User extends Authenticatable
         'created_by',
         'api_token',
         'email_verified_at',
+        'preferences',
     ];
 
     /**
@@ -66,6 +68,7 @@ class User extends Authenticatable
             'password' => 'hashed',
             'is_active' => 'boolean',
             'force_sso' => 'boolean',
+            'preferences' => 'array',
         ];
     }
 
@@ -93,6 +96,22 @@ class User extends Authenticatable
         return $this->hasMany(PropertyAdjustment::class, 'created_by');
     }
 
+    /**
+     * Get the user's Dashboard digest subscription.
+     */
+    public function digestSubscription(): HasOne
+    {
+        return $this->hasOne(DashboardDigestSubscription::class);
+    }
+
+    /**
+     * Get the saved list views created by this user.
+     */
+    public function savedViews(): HasMany
+    {
+        return $this->hasMany(SavedView::class);
+    }
+
     /**
      * Check if the user is active.
      */
@@ -149,6 +168,26 @@ class User extends Authenticatable
         return $this->role?->hasAnyPermission($permissions) ?? false;
     }
 
+    /**
+     * Get a stored UI preference for this user.
+     */
+    public function getPreference(string $key, mixed $default = null): mixed
+    {
+        return data_get($this->preferences ?? [], $key, $default);
+    }
+
+    /**
+     * Store a UI preference for this user.
+     */
+    public function setPreference(string $key, mixed $value): void
+    {
+        $preferences = $this->preferences ?? [];
+        data_set($preferences, $key, $value);
+
+        $this->preferences = $preferences;
+        $this->save();
+    }
+
     /**
      * Scope a query to only include active users.
      *
@@ -0,0 +1,160 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Concerns\HasUuids;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * Utility Anomaly
+ *
+ * A month in which a property's utility cost was unusually high or low
+ * compared to the rest of the portfolio, or well over its own recent
+ * average. Anomalies stay open on the dashboards until someone acknowledges
+ * or dismisses them, or a later check stops flagging them; resolved
+ * anomalies are kept as history.
+ */
+class UtilityAnomaly extends Model
+{
+    use HasUuids;
+
+    /**
+     * Flagged for being far from the portfolio average cost per unit.
+     */
+    public const RULE_Z_SCORE = 'z_score';
+
+    /**
+     * Flagged for being well over the property's rolling average cost.
+     */
+    public const RULE_ROLLING_AVERAGE = 'rolling_average';
+
+    /**
+     * Not yet looked at.
+     */
+    public const STATUS_OPEN = 'open';
+
+    /**
+     * Seen and being dealt with.
+     */
+    public const STATUS_ACKNOWLEDGED = 'acknowledged';
+
+    /**
+     * Not a real problem, with the reason recorded.
+     */
+    public const STATUS_DISMISSED = 'dismissed';
+
+    /**
+     * No longer flagged once the month's bills or the detection settings changed.
+     */
+    public const STATUS_CLEARED = 'cleared';
+
+    /**
+     * Statuses that take an anomaly off the dashboards.
+     */
+    public const RESOLVED_STATUSES = [self::STATUS_ACKNOWLEDGED, self::STATUS_DISMISSED, self::STATUS_CLEARED];
+
+    protected $fillable = [
+        'property_id',
+        'utility_type_id',
+        'period_start',
+        'metric',
+        'rules',
+        'direction',
+        'value',
+        'average',
+        'deviation',
+        'weather_adjusted',
+        'cost',
+        'baseline_cost',
+        'percent_over_baseline',
+        'dollar_impact',
+        'status',
+        'dismissal_reason',
+        'utility_note_id',
+        'resolved_by',
+        'resolved_at',
+        'detected_at',
+    ];
+
+    protected $attributes = [
+        'status' => self::STATUS_OPEN,
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'period_start' => 'date',
+            'value' => 'decimal:4',
+            'average' => 'decimal:4',
+            'deviation' => 'decimal:2',
+            'rules' => 'array',
+            'weather_adjusted' => 'boolean',
+            'cost' => 'decimal:2',
+            'baseline_cost' => 'decimal:2',
+            'percent_over_baseline' => 'decimal:2',
+            'dollar_impact' => 'decimal:2',
+            'resolved_at' => 'datetime',
+            'detected_at' => 'datetime',
+        ];
+    }
+
+    /**
+     * Get the property the anomaly was detected for.
+     */
+    public function property(): BelongsTo
+    {
+        return $this->belongsTo(Property::class);
+    }
+
+    /**
+     * Get the utility type the anomaly was detected for.
+     */
+    public function utilityType(): BelongsTo
+    {
+        return $this->belongsTo(UtilityType::class);
+    }
+
+    /**
+     * Get the utility note linked to the anomaly.
+     */
+    public function note(): BelongsTo
+    {
+        return $this->belongsTo(UtilityNote::class, 'utility_note_id');
+    }
+
+    /**
+     * Get the user who acknowledged or dismissed the anomaly.
+     */
+    public function resolver(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'resolved_by');
+    }
+
+    /**
+     * Check if the anomaly has been acknowledged, dismissed, or cleared.
+     */
+    public function isResolved(): bool
+    {
+        return in_array($this->status, self::RESOLVED_STATUSES, true);
+    }
+
+    /**
+     * Scope to anomalies still waiting for someone to look at them.
+     */
+    public function scopeOpen(Builder $query): Builder
+    {
+        return $query->where('status', self::STATUS_OPEN);
+    }
+
+    /**
+     * Scope to acknowledged, dismissed, and cleared anomalies.
+     */
+    public function scopeResolved(Builder $query): Builder
+    {
+        return $query->whereIn('status', self::RESOLVED_STATUSES);
+    }
+}
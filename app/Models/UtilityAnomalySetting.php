@@ -0,0 +1,92 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Concerns\HasUuids;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * Utility Anomaly Setting
+ *
+ * How sensitive anomaly detection is for one utility type. A month is
+ * flagged when its cost per unit is far from the portfolio average
+ * (z-score) or when its cost is well over the property's own recent
+ * average, and the dollar impact is large enough to matter. Types without
+ * a saved row use the defaults below.
+ */
+class UtilityAnomalySetting extends Model
+{
+    use HasUuids;
+
+    /**
+     * Standard deviations from the portfolio average used when none is saved.
+     */
+    public const DEFAULT_Z_SCORE_THRESHOLD = 2.0;
+
+    /**
+     * Months averaged for the rolling average check when none is saved.
+     */
+    public const DEFAULT_ROLLING_MONTHS = 3;
+
+    /**
+     * Most months the rolling average check can look back.
+     */
+    public const MAX_ROLLING_MONTHS = 12;
+
+    protected $fillable = [
+        'utility_type_id',
+        'is_enabled',
+        'z_score_threshold',
+        'percent_over_average',
+        'rolling_months',
+        'min_dollar_impact',
+        'updated_by',
+    ];
+
+    protected $attributes = [
+        'is_enabled' => true,
+        'z_score_threshold' => self::DEFAULT_Z_SCORE_THRESHOLD,
+        'percent_over_average' => null,
+        'rolling_months' => self::DEFAULT_ROLLING_MONTHS,
+        'min_dollar_impact' => 0,
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'is_enabled' => 'boolean',
+            'z_score_threshold' => 'float',
+            'percent_over_average' => 'float',
+            'rolling_months' => 'integer',
+            'min_dollar_impact' => 'float',
+        ];
+    }
+
+    /**
+     * Get the utility type these settings are for.
+     */
+    public function utilityType(): BelongsTo
+    {
+        return $this->belongsTo(UtilityType::class);
+    }
+
+    /**
+     * Get the user who last changed these settings.
+     */
+    public function updater(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'updated_by');
+    }
+
+    /**
+     * Get the saved settings for a utility type, or unsaved defaults.
+     */
+    public static function forType(UtilityType $utilityType): self
+    {
+        return $utilityType->anomalySetting
+            ?? new self(['utility_type_id' => $utilityType->id]);
+    }
+}
@@ -0,0 +1,80 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Concerns\HasUuids;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * Utility Budget
+ *
+ * The planned spend for one property, utility type and month. Annual budgets
+ * are stored as twelve monthly rows so seasonal plans can be compared with
+ * actual expenses month by month.
+ */
+class UtilityBudget extends Model
+{
+    use HasUuids;
+
+    protected $fillable = [
+        'property_id',
+        'utility_type_id',
+        'year',
+        'month',
+        'amount',
+        'created_by',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'year' => 'integer',
+            'month' => 'integer',
+            'amount' => 'decimal:2',
+        ];
+    }
+
+    /**
+     * Get the property this budget belongs to.
+     */
+    public function property(): BelongsTo
+    {
+        return $this->belongsTo(Property::class);
+    }
+
+    /**
+     * Get the utility type this budget is for.
+     */
+    public function utilityType(): BelongsTo
+    {
+        return $this->belongsTo(UtilityType::class);
+    }
+
+    /**
+     * Get the user who entered or imported this budget.
+     */
+    public function creator(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'created_by');
+    }
+
+    /**
+     * Scope to budgets for a year.
+     */
+    public function scopeForYear(Builder $query, int $year): Builder
+    {
+        return $query->where('year', $year);
+    }
+
+    /**
+     * Scope to filter by utility type key.
+     */
+    public function scopeOfTypeKey(Builder $query, string $typeKey): Builder
+    {
+        return $query->whereHas('utilityType', fn ($q) => $q->where('key', $typeKey));
+    }
+}
@@ -15,6 +15,16 @@ class UtilityExpense extends Model
 {
     use HasFactory, HasUuids;
 
+    /**
+     * Usage read from the bill description during sync.
+     */
+    public const USAGE_SOURCE_PARSED = 'parsed';
+
+    /**
+     * Usage entered by a user, which later syncs leave alone.
+     */
+    public const USAGE_SOURCE_MANUAL = 'manual';
+
     protected $fillable = [
         'property_id',
         'utility_account_id',
@@ -23,6 +33,9 @@ class UtilityExpense extends Model
         'period_start',
         'period_end',
         'amount',
+        'usage_quantity',
+        'usage_unit',
+        'usage_source',
         'vendor_name',
         'description',
         'external_expense_id',
@@ -36,6 +49,7 @@ class UtilityExpense extends Model
             'period_start' => 'date',
             'period_end' => 'date',
             'amount' => 'decimal:2',
+            'usage_quantity' => 'decimal:4',
         ];
     }
 
@@ -63,6 +77,14 @@ class UtilityExpense extends Model
         return $this->belongsTo(BillDetail::class);
     }
 
+    /**
+     * Check if the usage was entered by a user.
+     */
+    public function hasManualUsage(): bool
+    {
+        return $this->usage_source === self::USAGE_SOURCE_MANUAL;
+    }
+
     /**
      * Get the utility type key from the linked account.
      */
@@ -9,6 +9,7 @@ use Illuminate\Database\Eloquent\Concerns\HasUuids;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\HasMany;
+use Illuminate\Database\Eloquent\Relations\HasOne;
 use Illuminate\Support\Collection;
 
 class UtilityType extends Model
@@ -25,11 +26,34 @@ class UtilityType extends Model
      */
     public const DEFAULT_COLOR_SCHEME = 'slate';
 
+    /**
+     * Degree days a weather-sensitive utility type's cost follows.
+     * Types without a basis are left as-is by weather normalization.
+     */
+    public const DEGREE_DAY_BASES = [
+        'heating' => 'Heating degree days',
+        'cooling' => 'Cooling degree days',
+        'total' => 'Heating + cooling degree days',
+    ];
+
+    /**
+     * Units a utility type's usage can be reported in.
+     * Bills measured in other units are converted when they can be.
+     */
+    public const USAGE_UNITS = [
+        'kwh' => 'kWh',
+        'therms' => 'therms',
+        'gallons' => 'gallons',
+        'ccf' => 'CCF',
+    ];
+
     protected $fillable = [
         'key',
         'label',
         'icon',
         'color_scheme',
+        'degree_day_basis',
+        'usage_unit',
         'sort_order',
         'is_system',
     ];
@@ -74,6 +98,14 @@ class UtilityType extends Model
         return $this->hasMany(PropertyUtilityExclusion::class);
     }
 
+    /**
+     * Get the anomaly detection settings for this type.
+     */
+    public function anomalySetting(): HasOne
+    {
+        return $this->hasOne(UtilityAnomalySetting::class);
+    }
+
     /**
      * Get the icon, falling back to default if not set.
      */
@@ -141,6 +173,9 @@ class UtilityType extends Model
                 'label' => $type->label,
                 'icon' => $type->icon_or_default,
                 'color_scheme' => $type->color_scheme_or_default,
+                'degree_day_basis' => $type->degree_day_basis,
+                'usage_unit' => $type->usage_unit,
+                'usage_unit_label' => self::USAGE_UNITS[$type->usage_unit] ?? null,
                 'is_system' => $type->is_system,
             ]);
     }
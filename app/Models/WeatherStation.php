@@ -0,0 +1,43 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Concerns\HasUuids;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+
+/**
+ * Weather Station
+ *
+ * A location that monthly degree days are reported for. Properties without
+ * ZIP-level degree days use the nearest station to their geocoded location.
+ */
+class WeatherStation extends Model
+{
+    use HasUuids;
+
+    protected $fillable = [
+        'code',
+        'name',
+        'latitude',
+        'longitude',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'latitude' => 'decimal:7',
+            'longitude' => 'decimal:7',
+        ];
+    }
+
+    /**
+     * Get the degree days reported for this station.
+     */
+    public function degreeDays(): HasMany
+    {
+        return $this->hasMany(DegreeDay::class);
+    }
+}
@@ -5,6 +5,7 @@ namespace App\Notifications;
 use App\Models\AlertRule;
 use Illuminate\Bus\Queueable;
 use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Notifications\AnonymousNotifiable;
 use Illuminate\Notifications\Messages\MailMessage;
 use Illuminate\Notifications\Notification;
 
@@ -24,11 +25,13 @@ class AlertNotification extends Notification implements ShouldQueue
     /**
      * Get the notification's delivery channels.
      *
+     * Recipient addresses get an email; users get an in-app feed entry.
+     *
      * @return array<int, string>
      */
     public function via(object $notifiable): array
     {
-        return ['mail'];
+        return $notifiable instanceof AnonymousNotifiable ? ['mail'] : ['database'];
     }
 
     /**
@@ -54,6 +57,10 @@ class AlertNotification extends Notification implements ShouldQueue
     public function toArray(object $notifiable): array
     {
         return [
+            'kind' => 'alert',
+            'title' => 'Alert: '.$this->rule->name,
+            'message' => $this->message,
+            'url' => route('dashboard'),
             'rule_id' => $this->rule->id,
             'rule_name' => $this->rule->name,
             'metric' => $this->rule->metric,
@@ -0,0 +1,64 @@
+<?php
+
+namespace App\Notifications;
+
+use Carbon\Carbon;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Notifications\Messages\MailMessage;
+use Illuminate\Notifications\Notification;
+
+class DashboardDigestNotification extends Notification implements ShouldQueue
+{
+    use Queueable;
+
+    /**
+     * Create a new notification instance.
+     *
+     * @param  array<string, mixed>  $digest  Built by DashboardDigestService::buildDigest()
+     */
+    public function __construct(
+        public readonly array $digest
+    ) {}
+
+    /**
+     * Get the notification's delivery channels.
+     *
+     * @return array<int, string>
+     */
+    public function via(object $notifiable): array
+    {
+        return ['mail'];
+    }
+
+    /**
+     * Get the mail representation of the notification.
+     */
+    public function toMail(object $notifiable): MailMessage
+    {
+        $date = Carbon::parse($this->digest['generated_at'])->format('M j, Y');
+        $cadence = $this->digest['cadence'] === 'monthly' ? 'Monthly' : 'Weekly';
+
+        return (new MailMessage)
+            ->subject("PMPulse {$cadence} Digest: {$date}")
+            ->view('emails.dashboard-digest', [
+                'digest' => $this->digest,
+                'dashboardUrl' => route('dashboard'),
+                'profileUrl' => route('profile.show'),
+            ]);
+    }
+
+    /**
+     * Get the array representation of the notification.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(object $notifiable): array
+    {
+        return [
+            'cadence' => $this->digest['cadence'],
+            'generated_at' => $this->digest['generated_at'],
+            'scope' => $this->digest['scope'],
+        ];
+    }
+}
@@ -0,0 +1,55 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Notifications;
+
+use App\Models\VendorDuplicateAnalysis;
+use Illuminate\Bus\Queueable;
+use Illuminate\Notifications\Notification;
+
+class DuplicateAnalysisCompletedNotification extends Notification
+{
+    use Queueable;
+
+    /**
+     * Create a new notification instance.
+     */
+    public function __construct(
+        public readonly VendorDuplicateAnalysis $analysis
+    ) {}
+
+    /**
+     * Get the notification's delivery channels.
+     *
+     * @return array<int, string>
+     */
+    public function via(object $notifiable): array
+    {
+        return ['database'];
+    }
+
+    /**
+     * Get the array representation of the notification.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(object $notifiable): array
+    {
+        $found = (int) $this->analysis->duplicates_found;
+
+        return [
+            'kind' => 'duplicate_analysis',
+            'title' => $this->analysis->isFailed()
+                ? 'Vendor duplicate analysis failed'
+                : 'Vendor duplicate analysis complete',
+            'message' => $this->analysis->isFailed()
+                ? ($this->analysis->error_message ?? 'The analysis did not finish.')
+                : ($found === 1 ? '1 potential duplicate found.' : "{$found} potential duplicates found."),
+            'url' => route('vendors.deduplication'),
+            'analysis_id' => $this->analysis->id,
+            'status' => $this->analysis->status,
+            'duplicates_found' => $found,
+        ];
+    }
+}
@@ -0,0 +1,81 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Notifications;
+
+use App\Models\PropertyNote;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Notifications\Messages\MailMessage;
+use Illuminate\Notifications\Notification;
+use Illuminate\Support\Str;
+
+class PropertyNoteMentionNotification extends Notification implements ShouldQueue
+{
+    use Queueable;
+
+    /**
+     * Create a new notification instance.
+     */
+    public function __construct(
+        public readonly PropertyNote $note
+    ) {}
+
+    /**
+     * Get the notification's delivery channels.
+     *
+     * @return array<int, string>
+     */
+    public function via(object $notifiable): array
+    {
+        return ['database', 'mail'];
+    }
+
+    /**
+     * Get the mail representation of the notification.
+     */
+    public function toMail(object $notifiable): MailMessage
+    {
+        $author = $this->note->user?->name ?? 'Someone';
+        $property = $this->note->property->name;
+
+        $message = (new MailMessage)
+            ->subject("{$author} mentioned you on {$property}")
+            ->greeting('Hello!')
+            ->line("{$author} mentioned you in a note on {$property}:");
+
+        if ($this->note->body !== null) {
+            $message->line('"'.Str::limit($this->note->body, 500).'"');
+        }
+
+        return $message
+            ->action('View Note', $this->url())
+            ->salutation('Best regards, PMPulse');
+    }
+
+    /**
+     * Get the array representation of the notification.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(object $notifiable): array
+    {
+        return [
+            'kind' => 'note_mention',
+            'title' => ($this->note->user?->name ?? 'Someone').' mentioned you on '.$this->note->property->name,
+            'message' => Str::limit((string) $this->note->body, 140),
+            'url' => $this->url(),
+            'property_id' => $this->note->property_id,
+            'note_id' => $this->note->id,
+        ];
+    }
+
+    /**
+     * Link to the note on the property's Overview tab.
+     */
+    private function url(): string
+    {
+        return route('properties.show', $this->note->property_id).'#note-'.$this->note->id;
+    }
+}
@@ -8,6 +8,7 @@ use App\Models\SyncFailureAlert;
 use App\Models\SyncRun;
 use Illuminate\Bus\Queueable;
 use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Notifications\AnonymousNotifiable;
 use Illuminate\Notifications\Messages\MailMessage;
 use Illuminate\Notifications\Notification;
 
@@ -26,11 +27,13 @@ class SyncFailureNotification extends Notification implements ShouldQueue
     /**
      * Get the notification's delivery channels.
      *
+     * Recipient addresses get an email; users get an in-app feed entry.
+     *
      * @return array<int, string>
      */
     public function via(object $notifiable): array
     {
-        return ['mail'];
+        return $notifiable instanceof AnonymousNotifiable ? ['mail'] : ['database'];
     }
 
     /**
@@ -89,6 +92,10 @@ class SyncFailureNotification extends Notification implements ShouldQueue
     public function toArray(object $notifiable): array
     {
         return [
+            'kind' => 'sync_failure',
+            'title' => "{$this->alert->consecutive_failures} consecutive sync failures",
+            'message' => $this->syncRun->error_summary ?? 'The last AppFolio sync failed.',
+            'url' => route('admin.sync'),
             'alert_id' => $this->alert->id,
             'connection_id' => $this->alert->appfolio_connection_id,
             'consecutive_failures' => $this->alert->consecutive_failures,
@@ -9,6 +9,9 @@ use App\Models\PropertyRollup;
 use App\Models\Unit;
 use App\Models\WorkOrder;
 use Carbon\Carbon;
+use Carbon\Exceptions\InvalidFormatException;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Support\Collection;
 use Illuminate\Support\Facades\DB;
 use Illuminate\Support\Facades\Log;
 
@@ -21,6 +24,85 @@ use Illuminate\Support\Facades\Log;
  */
 class AnalyticsService
 {
+    /**
+     * Prior periods the dashboard KPIs can be compared against.
+     */
+    public const COMPARISON_PERIODS = [
+        'last_week' => 'Last week',
+        'last_month' => 'Last month',
+        'last_year' => 'Same day last year',
+    ];
+
+    /**
+     * Default comparison period for dashboard KPI deltas.
+     */
+    public const DEFAULT_COMPARISON_PERIOD = 'last_week';
+
+    /**
+     * KPI columns that carry a period-over-period delta on the dashboard.
+     */
+    public const COMPARISON_METRICS = [
+        'occupancy_rate',
+        'delinquency_amount',
+        'open_work_orders',
+        'vacancy_count',
+    ];
+
+    /**
+     * Date ranges available for the dashboard trend charts.
+     */
+    public const TREND_RANGES = [
+        '30d' => 'Last 30 days',
+        '90d' => 'Last 90 days',
+        '365d' => 'Last 365 days',
+        'ytd' => 'Year to date',
+        'custom' => 'Custom',
+    ];
+
+    /**
+     * Default date range for the dashboard trend charts.
+     */
+    public const DEFAULT_TREND_RANGE = '30d';
+
+    /**
+     * Aggregation levels available for the dashboard trend charts.
+     */
+    public const TREND_GRANULARITIES = [
+        'daily' => 'Daily',
+        'weekly' => 'Weekly',
+        'monthly' => 'Monthly',
+    ];
+
+    /**
+     * Default aggregation level for the dashboard trend charts.
+     */
+    public const DEFAULT_TREND_GRANULARITY = 'daily';
+
+    /**
+     * Longest custom trend window, in days.
+     */
+    public const MAX_TREND_DAYS = 1095;
+
+    /**
+     * Columns the dashboard Property Summary can be sorted by.
+     */
+    public const SUMMARY_SORTS = [
+        'property_name',
+        'vacancy_count',
+        'delinquency_amount',
+        'open_work_orders',
+    ];
+
+    /**
+     * Rows per page in the dashboard Property Summary.
+     */
+    public const SUMMARY_PER_PAGE = 10;
+
+    /**
+     * Days of rollup history behind each Property Summary sparkline.
+     */
+    public const SPARKLINE_DAYS = 30;
+
     public function __construct(
         private readonly AdjustmentService $adjustmentService
     ) {}
@@ -329,12 +411,13 @@ class AnalyticsService
     /**
      * Get property rollups for the dashboard.
      */
-    public function getPropertyRollups(?Carbon $date = null): array
+    public function getPropertyRollups(?Carbon $date = null, ?array $propertyIds = null): array
     {
         $date = $date ?? now();
 
         return PropertyRollup::with('property')
             ->where('date', $date->toDateString())
+            ->when($propertyIds !== null, fn ($query) => $query->whereIn('property_id', $propertyIds))
             ->get()
             ->map(function ($rollup) {
                 return [
@@ -350,6 +433,90 @@ class AnalyticsService
             ->toArray();
     }
 
+    /**
+     * Get a sorted, searchable, paginated summary of the latest property rollups.
+     *
+     * Each row carries its last SPARKLINE_DAYS days of rollup history so the
+     * dashboard can draw per-metric sparklines. History is only loaded for the
+     * rows on the requested page.
+     *
+     * @param  array{search?: string|null, sort?: string|null, direction?: string|null, page?: int|null}  $filters
+     * @param  array<int, string>|null  $propertyIds  Limit to these properties (null for all)
+     * @return array{data: array, current_page: int, last_page: int, from: int|null, to: int|null, total: int, per_page: int, as_of: string|null, filters: array{search: string, sort: string, direction: string}}
+     */
+    public function getPropertySummary(array $filters = [], ?array $propertyIds = null): array
+    {
+        $search = is_string($filters['search'] ?? null) ? trim($filters['search']) : '';
+        $sort = in_array($filters['sort'] ?? null, self::SUMMARY_SORTS, true) ? $filters['sort'] : 'property_name';
+        $direction = ($filters['direction'] ?? 'asc') === 'desc' ? 'desc' : 'asc';
+        $page = max(1, (int) ($filters['page'] ?? 1));
+
+        $latestDate = PropertyRollup::query()
+            ->when($propertyIds !== null, fn ($query) => $query->whereIn('property_id', $propertyIds))
+            ->max('date');
+        $latestDate = $latestDate ? Carbon::parse($latestDate) : null;
+
+        $paginator = PropertyRollup::query()
+            ->join('properties', 'properties.id', '=', 'property_rollups.property_id')
+            ->select('property_rollups.*', 'properties.name as property_name')
+            ->where('property_rollups.date', $latestDate?->toDateString())
+            ->when($propertyIds !== null, fn ($query) => $query->whereIn('property_rollups.property_id', $propertyIds))
+            ->when($search !== '', fn ($query) => $query->whereIn(
+                'property_rollups.property_id',
+                Property::search($search)->select('id')
+            ))
+            ->orderBy($sort === 'property_name' ? 'properties.name' : "property_rollups.{$sort}", $direction)
+            ->orderBy('properties.name')
+            ->paginate(self::SUMMARY_PER_PAGE, ['*'], 'summary_page', $page);
+
+        $history = $latestDate && $paginator->isNotEmpty()
+            ? PropertyRollup::query()
+                ->whereIn('property_id', $paginator->pluck('property_id'))
+                ->whereBetween('date', [
+                    $latestDate->copy()->subDays(self::SPARKLINE_DAYS - 1)->toDateString(),
+                    $latestDate->toDateString(),
+                ])
+                ->orderBy('date')
+                ->get(['property_id', 'date', 'vacancy_count', 'delinquency_amount', 'open_work_orders'])
+                ->groupBy('property_id')
+            : collect();
+
+        return [
+            'data' => $paginator->getCollection()
+                ->map(fn (PropertyRollup $rollup) => [
+                    'property_id' => $rollup->property_id,
+                    'property_name' => $rollup->property_name,
+                    'vacancy_count' => $rollup->vacancy_count,
+                    'total_units' => $rollup->total_units,
+                    'occupancy_rate' => $rollup->occupancy_rate,
+                    'delinquency_amount' => $rollup->delinquency_amount,
+                    'open_work_orders' => $rollup->open_work_orders,
+                    'history' => $history->get($rollup->property_id, collect())
+                        ->map(fn (PropertyRollup $point) => [
+                            'date' => $point->date->toDateString(),
+                            'vacancy_count' => $point->vacancy_count,
+                            'delinquency_amount' => (float) $point->delinquency_amount,
+                            'open_work_orders' => $point->open_work_orders,
+                        ])
+                        ->values()
+                        ->all(),
+                ])
+                ->all(),
+            'current_page' => $paginator->currentPage(),
+            'last_page' => $paginator->lastPage(),
+            'from' => $paginator->firstItem(),
+            'to' => $paginator->lastItem(),
+            'total' => $paginator->total(),
+            'per_page' => $paginator->perPage(),
+            'as_of' => $latestDate?->toDateString(),
+            'filters' => [
+                'search' => $search,
+                'sort' => $sort,
+                'direction' => $direction,
+            ],
+        ];
+    }
+
     /**
      * Get KPI trends for a date range.
      */
@@ -361,12 +528,274 @@ class AnalyticsService
             ->toArray();
     }
 
+    /**
+     * Resolve a trend range selection into concrete start and end dates.
+     *
+     * Unknown ranges and incomplete custom ranges fall back to the default
+     * range so a stale or hand-edited URL still renders a chart.
+     *
+     * @return array{range: string, start: Carbon, end: Carbon}
+     */
+    public function resolveTrendWindow(?string $range, ?string $startDate = null, ?string $endDate = null): array
+    {
+        $range = array_key_exists((string) $range, self::TREND_RANGES) ? $range : self::DEFAULT_TREND_RANGE;
+        $end = now()->startOfDay();
+
+        if ($range === 'custom') {
+            if (! $startDate || ! $endDate) {
+                return $this->resolveTrendWindow(self::DEFAULT_TREND_RANGE);
+            }
+
+            try {
+                $start = Carbon::parse($startDate)->startOfDay();
+                $end = Carbon::parse($endDate)->startOfDay();
+            } catch (InvalidFormatException) {
+                return $this->resolveTrendWindow(self::DEFAULT_TREND_RANGE);
+            }
+
+            if ($start->gt($end)) {
+                [$start, $end] = [$end, $start];
+            }
+
+            if ($start->diffInDays($end) > self::MAX_TREND_DAYS) {
+                $start = $end->copy()->subDays(self::MAX_TREND_DAYS);
+            }
+
+            return ['range' => $range, 'start' => $start, 'end' => $end];
+        }
+
+        $start = match ($range) {
+            '90d' => $end->copy()->subDays(90),
+            '365d' => $end->copy()->subDays(365),
+            'ytd' => $end->copy()->startOfYear(),
+            default => $end->copy()->subDays(30),
+        };
+
+        return ['range' => $range, 'start' => $start, 'end' => $end];
+    }
+
+    /**
+     * Get KPI trend data aggregated to the given granularity.
+     *
+     * Daily returns the raw snapshots. Weekly and monthly buckets average the
+     * snapshot metrics across the days present in each bucket and are keyed
+     * by the first day of the week (Monday) or month.
+     */
+    public function getAggregatedKpiTrend(
+        Carbon $startDate,
+        Carbon $endDate,
+        string $granularity = self::DEFAULT_TREND_GRANULARITY,
+        ?array $propertyIds = null
+    ): array {
+        $snapshots = $propertyIds === null
+            ? DailyKpi::query()
+                ->whereBetween('date', [$startDate->toDateString(), $endDate->toDateString()])
+                ->orderBy('date')
+                ->get()
+            : $this->buildScopedKpiSnapshots(
+                $propertyIds,
+                fn ($query) => $query->whereBetween('date', [$startDate->toDateString(), $endDate->toDateString()])
+            );
+
+        if ($granularity === 'daily' || ! array_key_exists($granularity, self::TREND_GRANULARITIES)) {
+            return $snapshots->toArray();
+        }
+
+        return $snapshots
+            ->groupBy(fn (DailyKpi $kpi) => $granularity === 'monthly'
+                ? $kpi->date->copy()->startOfMonth()->toDateString()
+                : $kpi->date->copy()->startOfWeek()->toDateString())
+            ->map(fn ($bucket, string $bucketStart) => [
+                'date' => $bucketStart,
+                'occupancy_rate' => round((float) $bucket->avg('occupancy_rate'), 2),
+                'vacancy_count' => (int) round((float) $bucket->avg('vacancy_count')),
+                'total_units' => (int) round((float) $bucket->avg('total_units')),
+                'delinquency_amount' => round((float) $bucket->avg('delinquency_amount'), 2),
+                'delinquent_units' => (int) round((float) $bucket->avg('delinquent_units')),
+                'open_work_orders' => (int) round((float) $bucket->avg('open_work_orders')),
+                'days_in_period' => $bucket->count(),
+            ])
+            ->values()
+            ->toArray();
+    }
+
     /**
      * Get the latest KPIs.
      */
-    public function getLatestKpis(): ?DailyKpi
+    public function getLatestKpis(?array $propertyIds = null): ?DailyKpi
     {
-        return DailyKpi::latest('date')->first();
+        if ($propertyIds === null) {
+            return DailyKpi::latest('date')->first();
+        }
+
+        $latestDate = PropertyRollup::whereIn('property_id', $propertyIds)->max('date');
+
+        return $latestDate
+            ? $this->findKpiSnapshotOnOrBefore(Carbon::parse($latestDate), $propertyIds)
+            : null;
+    }
+
+    /**
+     * Resolve a dashboard scope to the property IDs it covers.
+     *
+     * Returns null for an empty scope, meaning the whole portfolio. Portfolio
+     * and property type filters narrow independently, so selecting both
+     * returns properties matching one of each.
+     *
+     * @param  array{portfolios?: array<int, string>, property_types?: array<int, string>}  $scope
+     * @return array<int, string>|null
+     */
+    public function resolveScopePropertyIds(array $scope): ?array
+    {
+        $portfolios = array_values(array_filter((array) ($scope['portfolios'] ?? [])));
+        $propertyTypes = array_values(array_filter((array) ($scope['property_types'] ?? [])));
+
+        if (empty($portfolios) && empty($propertyTypes)) {
+            return null;
+        }
+
+        return Property::query()
+            ->when($portfolios, fn ($query) => $query->whereIn('portfolio', $portfolios))
+            ->when($propertyTypes, fn ($query) => $query->whereIn('property_type', $propertyTypes))
+            ->pluck('id')
+            ->all();
+    }
+
+    /**
+     * Find the most recent KPI snapshot on or before a date.
+     *
+     * Scoped lookups are rebuilt from property rollups rather than DailyKpi.
+     */
+    private function findKpiSnapshotOnOrBefore(Carbon $date, ?array $propertyIds = null): ?DailyKpi
+    {
+        if ($propertyIds === null) {
+            return DailyKpi::query()
+                ->where('date', '<=', $date->toDateString())
+                ->latest('date')
+                ->first();
+        }
+
+        $snapshotDate = PropertyRollup::query()
+            ->whereIn('property_id', $propertyIds)
+            ->where('date', '<=', $date->toDateString())
+            ->max('date');
+
+        if (! $snapshotDate) {
+            return null;
+        }
+
+        return $this->buildScopedKpiSnapshots(
+            $propertyIds,
+            fn ($query) => $query->where('date', Carbon::parse($snapshotDate)->toDateString())
+        )->first();
+    }
+
+    /**
+     * Build portfolio-style KPI snapshots for a subset of properties.
+     *
+     * Sums the property rollups per date. Occupancy and average days open are
+     * weighted by unit count and open work orders respectively, matching how
+     * the portfolio-level DailyKpi is calculated. The returned models are not
+     * persisted.
+     *
+     * @param  array<int, string>  $propertyIds
+     * @param  callable(Builder): mixed  $constrain  Date constraint for the rollup query
+     * @return Collection<int, DailyKpi>
+     */
+    private function buildScopedKpiSnapshots(array $propertyIds, callable $constrain): Collection
+    {
+        $query = PropertyRollup::query()
+            ->whereIn('property_id', $propertyIds)
+            ->selectRaw('date')
+            ->selectRaw('SUM(vacancy_count) as vacancy_count')
+            ->selectRaw('SUM(total_units) as total_units')
+            ->selectRaw('SUM(occupancy_rate * total_units) as weighted_occupancy')
+            ->selectRaw('SUM(delinquency_amount) as delinquency_amount')
+            ->selectRaw('SUM(delinquent_units) as delinquent_units')
+            ->selectRaw('SUM(open_work_orders) as open_work_orders')
+            ->selectRaw('SUM(avg_days_open_work_orders * open_work_orders) as weighted_days_open')
+            ->groupBy('date')
+            ->orderBy('date');
+
+        $constrain($query);
+
+        return $query->toBase()->get()->map(function ($row) {
+            $totalUnits = (int) $row->total_units;
+            $openWorkOrders = (int) $row->open_work_orders;
+
+            return new DailyKpi([
+                'date' => $row->date,
+                'occupancy_rate' => $totalUnits > 0 ? round((float) $row->weighted_occupancy / $totalUnits, 2) : 0,
+                'vacancy_count' => (int) $row->vacancy_count,
+                'total_units' => $totalUnits,
+                'delinquency_amount' => round((float) $row->delinquency_amount, 2),
+                'delinquent_units' => (int) $row->delinquent_units,
+                'open_work_orders' => $openWorkOrders,
+                'avg_days_open_work_orders' => $openWorkOrders > 0
+                    ? round((float) $row->weighted_days_open / $openWorkOrders, 2)
+                    : 0,
+            ]);
+        });
+    }
+
+    /**
+     * Compare a KPI snapshot against the snapshot from a prior period.
+     *
+     * The prior snapshot is the most recent DailyKpi on or before the target
+     * date, so gaps in the history (e.g. missed nightly refreshes) still
+     * resolve to the closest earlier data point.
+     *
+     * @return array{period: string, previous_date: string|null, deltas: array<string, array{current: float, previous: float, change: float, percent_change: float|null}>}
+     */
+    public function getKpiComparison(
+        ?DailyKpi $current,
+        string $period = self::DEFAULT_COMPARISON_PERIOD,
+        ?array $propertyIds = null
+    ): array {
+        if (! array_key_exists($period, self::COMPARISON_PERIODS)) {
+            $period = self::DEFAULT_COMPARISON_PERIOD;
+        }
+
+        $result = [
+            'period' => $period,
+            'previous_date' => null,
+            'deltas' => [],
+        ];
+
+        if (! $current) {
+            return $result;
+        }
+
+        $targetDate = match ($period) {
+            'last_month' => $current->date->copy()->subMonthNoOverflow(),
+            'last_year' => $current->date->copy()->subYearNoOverflow(),
+            default => $current->date->copy()->subWeek(),
+        };
+
+        $previous = $this->findKpiSnapshotOnOrBefore($targetDate, $propertyIds);
+
+        if (! $previous) {
+            return $result;
+        }
+
+        $result['previous_date'] = $previous->date->toDateString();
+
+        foreach (self::COMPARISON_METRICS as $metric) {
+            $currentValue = (float) $current->{$metric};
+            $previousValue = (float) $previous->{$metric};
+            $change = $currentValue - $previousValue;
+
+            $result['deltas'][$metric] = [
+                'current' => $currentValue,
+                'previous' => $previousValue,
+                'change' => round($change, 2),
+                'percent_change' => $previousValue != 0.0
+                    ? round(($change / abs($previousValue)) * 100, 1)
+                    : null,
+            ];
+        }
+
+        return $result;
     }
 
     /**
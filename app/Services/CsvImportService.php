@@ -0,0 +1,85 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+/**
+ * CSV Import Service
+ *
+ * Reads admin-uploaded CSV files for the imports built on it (utility
+ * budgets, degree days). It handles the parts every import shares: header
+ * normalization, blank lines, short or long rows, and line numbers in error
+ * messages. Each import only parses its own rows.
+ */
+class CsvImportService
+{
+    /**
+     * Import a CSV file with a header row.
+     *
+     * Headers are trimmed and lowercased, dropping the byte order mark Excel
+     * adds. Each non-blank row is passed to $importRow keyed by header, with
+     * trimmed values and missing cells as empty strings. $importRow returns
+     * null once the row is saved, or a message saying why it was skipped.
+     * $checkColumns can reject the header before any rows are read.
+     *
+     * @param  array<int, string>  $requiredColumns
+     * @param  callable(array<string, string>): ?string  $importRow
+     * @param  (callable(array<int, string>): ?string)|null  $checkColumns
+     * @return array{imported: int, errors: array<int, string>}
+     */
+    public function import(string $path, array $requiredColumns, callable $importRow, ?callable $checkColumns = null): array
+    {
+        $handle = fopen($path, 'r');
+        if ($handle === false) {
+            return ['imported' => 0, 'errors' => ['The file could not be read.']];
+        }
+
+        try {
+            $header = fgetcsv($handle);
+            if ($header === false || $header === [null]) {
+                return ['imported' => 0, 'errors' => ['The file is empty.']];
+            }
+
+            $columns = array_map(
+                fn ($column) => strtolower(trim((string) preg_replace('/^\xEF\xBB\xBF/', '', (string) $column))),
+                $header
+            );
+
+            $missing = array_diff($requiredColumns, $columns);
+            if (! empty($missing)) {
+                return ['imported' => 0, 'errors' => ['Missing required columns: '.implode(', ', $missing).'.']];
+            }
+
+            $columnError = $checkColumns !== null ? $checkColumns($columns) : null;
+            if ($columnError !== null) {
+                return ['imported' => 0, 'errors' => [$columnError]];
+            }
+
+            $imported = 0;
+            $errors = [];
+            $line = 1;
+
+            while (($row = fgetcsv($handle)) !== false) {
+                $line++;
+
+                if ($row === [null] || trim(implode('', $row)) === '') {
+                    continue;
+                }
+
+                $row = array_pad(array_slice($row, 0, count($columns)), count($columns), null);
+                $error = $importRow(array_combine($columns, array_map(fn ($value) => trim((string) $value), $row)));
+
+                if ($error !== null) {
+                    $errors[] = "Line {$line}: {$error}";
+                } else {
+                    $imported++;
+                }
+            }
+
+            return ['imported' => $imported, 'errors' => $errors];
+        } finally {
+            fclose($handle);
+        }
+    }
+}
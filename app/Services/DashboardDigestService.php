@@ -0,0 +1,161 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\DashboardDigestSubscription;
+use App\Models\Setting;
+use App\Notifications\DashboardDigestNotification;
+use Carbon\Carbon;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Dashboard Digest Service
+ *
+ * Builds the weekly or monthly Dashboard snapshot emailed to subscribed
+ * users: KPI values with deltas, occupancy and delinquency trends, and the
+ * properties with the highest delinquency.
+ */
+class DashboardDigestService
+{
+    /**
+     * Number of trend buckets shown in a digest.
+     */
+    public const TREND_PERIODS = 12;
+
+    /**
+     * Number of properties listed in a digest.
+     */
+    public const TOP_PROPERTIES = 10;
+
+    public function __construct(
+        private readonly AnalyticsService $analyticsService
+    ) {}
+
+    /**
+     * Send every digest that is due.
+     *
+     * @return int Number of digests sent
+     */
+    public function sendDueDigests(?Carbon $now = null, bool $force = false): int
+    {
+        if (! Setting::isFeatureEnabled('notifications', true)) {
+            Log::info('Notifications are disabled via feature flag');
+
+            return 0;
+        }
+
+        $now = $now ?? now();
+        $sent = 0;
+
+        $subscriptions = DashboardDigestSubscription::query()
+            ->forActiveUsers()
+            ->with('user')
+            ->get();
+
+        foreach ($subscriptions as $subscription) {
+            if (! $force && ! $subscription->isDue($now)) {
+                continue;
+            }
+
+            try {
+                $this->send($subscription, $now);
+                $sent++;
+            } catch (\Exception $e) {
+                Log::error('Failed to send dashboard digest', [
+                    'subscription_id' => $subscription->id,
+                    'user_id' => $subscription->user_id,
+                    'error' => $e->getMessage(),
+                ]);
+            }
+        }
+
+        return $sent;
+    }
+
+    /**
+     * Build and send a single digest.
+     */
+    public function send(DashboardDigestSubscription $subscription, ?Carbon $now = null): void
+    {
+        $digest = $this->buildDigest($subscription, $now);
+
+        $subscription->user->notify(new DashboardDigestNotification($digest));
+
+        $subscription->markAsSent();
+
+        Log::info('Dashboard digest sent', [
+            'user_id' => $subscription->user_id,
+            'cadence' => $subscription->cadence,
+        ]);
+    }
+
+    /**
+     * Build the digest contents for a subscription.
+     *
+     * Weekly digests compare against last week and chart the last 12 weeks;
+     * monthly digests compare against last month and chart the last 12 months.
+     *
+     * @return array{cadence: string, generated_at: string, scope: array, kpis: array|null, comparison: array, trend: array, properties: array}
+     */
+    public function buildDigest(DashboardDigestSubscription $subscription, ?Carbon $now = null): array
+    {
+        $now = ($now ?? now())->copy()->startOfDay();
+        $monthly = $subscription->cadence === 'monthly';
+
+        $scope = $subscription->getScope();
+        $propertyIds = $this->analyticsService->resolveScopePropertyIds($scope);
+
+        $latestKpis = $this->analyticsService->getLatestKpis($propertyIds);
+
+        $comparison = $this->analyticsService->getKpiComparison(
+            $latestKpis,
+            $monthly ? 'last_month' : 'last_week',
+            $propertyIds,
+        );
+
+        $trendStart = $monthly
+            ? $now->copy()->subMonthsNoOverflow(self::TREND_PERIODS - 1)->startOfMonth()
+            : $now->copy()->subWeeks(self::TREND_PERIODS - 1)->startOfWeek();
+
+        $trend = $this->analyticsService->getAggregatedKpiTrend(
+            $trendStart,
+            $now,
+            $monthly ? 'monthly' : 'weekly',
+            $propertyIds,
+        );
+
+        $summary = $this->analyticsService->getPropertySummary([
+            'sort' => 'delinquency_amount',
+            'direction' => 'desc',
+        ], $propertyIds);
+
+        return [
+            'cadence' => $subscription->cadence,
+            'generated_at' => $now->toDateString(),
+            'scope' => $scope,
+            'kpis' => $latestKpis ? [
+                'date' => $latestKpis->date->toDateString(),
+                'occupancy_rate' => (float) $latestKpis->occupancy_rate,
+                'vacancy_count' => (int) $latestKpis->vacancy_count,
+                'delinquency_amount' => (float) $latestKpis->delinquency_amount,
+                'open_work_orders' => (int) $latestKpis->open_work_orders,
+            ] : null,
+            'comparison' => $comparison,
+            'trend' => array_map(fn (array $bucket) => [
+                'date' => $bucket['date'],
+                'occupancy_rate' => (float) $bucket['occupancy_rate'],
+                'delinquency_amount' => (float) $bucket['delinquency_amount'],
+            ], $trend),
+            'properties' => array_map(fn (array $row) => [
+                'property_id' => $row['property_id'],
+                'property_name' => $row['property_name'],
+                'occupancy_rate' => (float) $row['occupancy_rate'],
+                'vacancy_count' => (int) $row['vacancy_count'],
+                'delinquency_amount' => (float) $row['delinquency_amount'],
+                'open_work_orders' => (int) $row['open_work_orders'],
+            ], array_slice($summary['data'], 0, self::TOP_PROPERTIES)),
+        ];
+    }
+}
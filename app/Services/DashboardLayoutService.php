@@ -0,0 +1,221 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\User;
+
+/**
+ * Dashboard Layout Service
+ *
+ * Manages the per-user Dashboard widget layout. Layouts are stored in the
+ * user's preferences as an ordered list of widgets with a column width on a
+ * 12-column grid, and are sanitized against the widget registry on read so
+ * retired widgets or hand-edited data never break the page.
+ */
+class DashboardLayoutService
+{
+    /**
+     * Preference key the layout is stored under.
+     */
+    public const PREFERENCE_KEY = 'dashboard_layout';
+
+    /**
+     * Column widths a widget can take on the 12-column grid.
+     */
+    public const SIZES = [3, 4, 6, 8, 12];
+
+    /**
+     * Widgets available to place on the Dashboard.
+     *
+     * @var array<string, array{label: string, description: string, category: string, default_size: int, sizes: array<int, int>}>
+     */
+    public const WIDGETS = [
+        'kpi_occupancy' => [
+            'label' => 'Occupancy Rate',
+            'description' => 'Current occupancy with vacant unit count',
+            'category' => 'KPIs',
+            'default_size' => 3,
+            'sizes' => [3, 4, 6],
+        ],
+        'kpi_delinquency' => [
+            'label' => 'Total Delinquency',
+            'description' => 'Outstanding delinquent balances',
+            'category' => 'KPIs',
+            'default_size' => 3,
+            'sizes' => [3, 4, 6],
+        ],
+        'kpi_work_orders' => [
+            'label' => 'Open Work Orders',
+            'description' => 'Open work orders and average days open',
+            'category' => 'KPIs',
+            'default_size' => 3,
+            'sizes' => [3, 4, 6],
+        ],
+        'kpi_vacancy' => [
+            'label' => 'Vacancy Count',
+            'description' => 'Number of vacant units',
+            'category' => 'KPIs',
+            'default_size' => 3,
+            'sizes' => [3, 4, 6],
+        ],
+        'occupancy_chart' => [
+            'label' => 'Occupancy Rate Trend',
+            'description' => 'Occupancy over the selected date range',
+            'category' => 'Charts',
+            'default_size' => 6,
+            'sizes' => [6, 8, 12],
+        ],
+        'delinquency_chart' => [
+            'label' => 'Delinquency Trend',
+            'description' => 'Delinquency over the selected date range',
+            'category' => 'Charts',
+            'default_size' => 6,
+            'sizes' => [6, 8, 12],
+        ],
+        'sync_health' => [
+            'label' => 'Sync Health',
+            'description' => 'AppFolio sync status and recent runs',
+            'category' => 'Operations',
+            'default_size' => 4,
+            'sizes' => [4, 6, 12],
+        ],
+        'property_summary' => [
+            'label' => 'Property Summary',
+            'description' => 'Per-property vacancies, delinquency and work orders',
+            'category' => 'Operations',
+            'default_size' => 8,
+            'sizes' => [6, 8, 12],
+        ],
+        'utility_trend' => [
+            'label' => 'Utility Cost Trend',
+            'description' => 'Portfolio utility costs for the last 12 months',
+            'category' => 'Utilities',
+            'default_size' => 12,
+            'sizes' => [6, 8, 12],
+        ],
+        'utility_anomalies' => [
+            'label' => 'Utility Anomalies',
+            'description' => 'Open anomalies for properties with unusual utility costs',
+            'category' => 'Utilities',
+            'default_size' => 6,
+            'sizes' => [4, 6, 8, 12],
+        ],
+        'vendor_insurance' => [
+            'label' => 'Vendor Insurance Compliance',
+            'description' => 'Vendors with expired or soon-to-expire insurance',
+            'category' => 'Vendors',
+            'default_size' => 4,
+            'sizes' => [4, 6, 8, 12],
+        ],
+    ];
+
+    /**
+     * Layout used until a user customizes their Dashboard.
+     *
+     * @var array<int, array{key: string, size: int}>
+     */
+    public const DEFAULT_LAYOUT = [
+        ['key' => 'kpi_occupancy', 'size' => 3],
+        ['key' => 'kpi_delinquency', 'size' => 3],
+        ['key' => 'kpi_work_orders', 'size' => 3],
+        ['key' => 'kpi_vacancy', 'size' => 3],
+        ['key' => 'occupancy_chart', 'size' => 6],
+        ['key' => 'delinquency_chart', 'size' => 6],
+        ['key' => 'sync_health', 'size' => 4],
+        ['key' => 'property_summary', 'size' => 8],
+    ];
+
+    /**
+     * Get the user's Dashboard layout, falling back to the default.
+     *
+     * @return array<int, array{key: string, size: int}>
+     */
+    public function getLayout(User $user): array
+    {
+        $stored = $user->getPreference(self::PREFERENCE_KEY);
+
+        if (! is_array($stored)) {
+            return self::DEFAULT_LAYOUT;
+        }
+
+        return $this->sanitize($stored);
+    }
+
+    /**
+     * Save a Dashboard layout for the user.
+     *
+     * @param  array<int, array{key: string, size?: int}>  $layout
+     * @return array<int, array{key: string, size: int}> The layout as stored
+     */
+    public function saveLayout(User $user, array $layout): array
+    {
+        $layout = $this->sanitize($layout);
+        $user->setPreference(self::PREFERENCE_KEY, $layout);
+
+        return $layout;
+    }
+
+    /**
+     * Reset the user's Dashboard to the default layout.
+     */
+    public function resetLayout(User $user): void
+    {
+        $user->setPreference(self::PREFERENCE_KEY, null);
+    }
+
+    /**
+     * Check whether a widget is placed in a layout.
+     *
+     * @param  array<int, array{key: string, size: int}>  $layout
+     */
+    public function hasWidget(array $layout, string $key): bool
+    {
+        return in_array($key, array_column($layout, 'key'), true);
+    }
+
+    /**
+     * Get the widget registry for the frontend.
+     *
+     * @return array<int, array{key: string, label: string, description: string, category: string, default_size: int, sizes: array<int, int>}>
+     */
+    public function getRegistry(): array
+    {
+        return collect(self::WIDGETS)
+            ->map(fn (array $widget, string $key) => ['key' => $key, ...$widget])
+            ->values()
+            ->all();
+    }
+
+    /**
+     * Drop unknown or duplicate widgets and snap sizes to what each widget allows.
+     *
+     * @param  array<int, mixed>  $layout
+     * @return array<int, array{key: string, size: int}>
+     */
+    private function sanitize(array $layout): array
+    {
+        $seen = [];
+        $result = [];
+
+        foreach ($layout as $item) {
+            $key = is_array($item) ? ($item['key'] ?? null) : null;
+
+            if (! is_string($key) || ! isset(self::WIDGETS[$key]) || isset($seen[$key])) {
+                continue;
+            }
+
+            $widget = self::WIDGETS[$key];
+            $size = (int) ($item['size'] ?? $widget['default_size']);
+
+            $seen[$key] = true;
+            $result[] = [
+                'key' => $key,
+                'size' => in_array($size, $widget['sizes'], true) ? $size : $widget['default_size'],
+            ];
+        }
+
+        return $result;
+    }
+}
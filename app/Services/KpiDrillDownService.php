@@ -0,0 +1,189 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\LedgerTransaction;
+use App\Models\Property;
+use App\Models\Unit;
+use Carbon\Carbon;
+use Illuminate\Database\Eloquent\Builder;
+
+/**
+ * Lists the records behind a single point on the Dashboard trend charts.
+ *
+ * Delinquency is rebuilt from ledger transactions dated on or before the
+ * selected day, the same way AnalyticsService computes the KPI. Vacancy is
+ * rebuilt from lease dates because unit status is only stored for today.
+ */
+class KpiDrillDownService
+{
+    /**
+     * Metrics that support drill-down.
+     */
+    public const METRICS = [
+        'delinquency' => 'Delinquent balances',
+        'occupancy' => 'Vacant units',
+    ];
+
+    /**
+     * Maximum number of rows returned for a single drill-down.
+     */
+    public const MAX_ROWS = 200;
+
+    /**
+     * Get the drill-down rows for a chart point.
+     *
+     * For weekly and monthly charts the point covers a whole period, so the
+     * records are taken as of the period's last day (or today, if sooner).
+     *
+     * @param  array<int, string>|null  $propertyIds  Limit to these properties (null for all)
+     * @return array{metric: string, date: string, as_of: string, total_count: int, total_amount: float|null, truncated: bool, rows: array}
+     */
+    public function getDrillDown(string $metric, Carbon $date, string $granularity = 'daily', ?array $propertyIds = null): array
+    {
+        $asOf = $this->resolveAsOfDate($date, $granularity);
+
+        $rows = $metric === 'delinquency'
+            ? $this->getDelinquentBalances($asOf, $propertyIds)
+            : $this->getVacantUnits($asOf, $propertyIds);
+
+        return [
+            'metric' => $metric,
+            'date' => $date->toDateString(),
+            'as_of' => $asOf->toDateString(),
+            'total_count' => count($rows),
+            'total_amount' => $metric === 'delinquency'
+                ? round(array_sum(array_column($rows, 'balance')), 2)
+                : null,
+            'truncated' => count($rows) > self::MAX_ROWS,
+            'rows' => array_slice($rows, 0, self::MAX_ROWS),
+        ];
+    }
+
+    /**
+     * Resolve the day whose records back a chart point.
+     */
+    public function resolveAsOfDate(Carbon $date, string $granularity = 'daily'): Carbon
+    {
+        $asOf = match ($granularity) {
+            'weekly' => $date->copy()->endOfWeek(),
+            'monthly' => $date->copy()->endOfMonth(),
+            default => $date->copy(),
+        };
+
+        return $asOf->startOfDay()->min(now()->startOfDay());
+    }
+
+    /**
+     * Get outstanding ledger balances per unit as of a date, largest first.
+     *
+     * Transactions without a unit are grouped as a property-level balance.
+     *
+     * @param  array<int, string>|null  $propertyIds  Limit to these properties (null for all)
+     * @return array<int, array{property_id: string, property_name: string, unit_id: string|null, unit_number: string|null, charges: float, payments: float, balance: float, last_payment_date: string|null}>
+     */
+    public function getDelinquentBalances(Carbon $date, ?array $propertyIds = null): array
+    {
+        $balanceSql = 'SUM(CASE WHEN ledger_transactions.type = ? THEN ledger_transactions.amount ELSE 0 END)'
+            .' - SUM(CASE WHEN ledger_transactions.type = ? THEN ledger_transactions.amount ELSE 0 END)';
+
+        return LedgerTransaction::query()
+            ->join('properties', 'properties.id', '=', 'ledger_transactions.property_id')
+            ->leftJoin('units', 'units.id', '=', 'ledger_transactions.unit_id')
+            ->whereIn('ledger_transactions.property_id', $this->reportablePropertyIds($propertyIds))
+            ->where('ledger_transactions.date', '<=', $date->toDateString())
+            ->select(
+                'ledger_transactions.property_id',
+                'properties.name as property_name',
+                'ledger_transactions.unit_id',
+                'units.unit_number',
+            )
+            ->selectRaw('SUM(CASE WHEN ledger_transactions.type = ? THEN ledger_transactions.amount ELSE 0 END) as charges', ['charge'])
+            ->selectRaw('SUM(CASE WHEN ledger_transactions.type = ? THEN ledger_transactions.amount ELSE 0 END) as payments', ['payment'])
+            ->selectRaw('MAX(CASE WHEN ledger_transactions.type = ? THEN ledger_transactions.date END) as last_payment_date', ['payment'])
+            ->groupBy('ledger_transactions.property_id', 'properties.name', 'ledger_transactions.unit_id', 'units.unit_number')
+            ->havingRaw("{$balanceSql} > 0", ['charge', 'payment'])
+            ->toBase()
+            ->get()
+            ->map(fn ($row) => [
+                'property_id' => $row->property_id,
+                'property_name' => $row->property_name,
+                'unit_id' => $row->unit_id,
+                'unit_number' => $row->unit_number,
+                'charges' => round((float) $row->charges, 2),
+                'payments' => round((float) $row->payments, 2),
+                'balance' => round((float) $row->charges - (float) $row->payments, 2),
+                'last_payment_date' => $row->last_payment_date
+                    ? Carbon::parse($row->last_payment_date)->toDateString()
+                    : null,
+            ])
+            ->sortByDesc('balance')
+            ->values()
+            ->all();
+    }
+
+    /**
+     * Get units that were vacant on a date, longest vacant first.
+     *
+     * A unit counts as vacant when no lease covers the date, matching
+     * IngestionService::updateUnitStatusFromLeases(). Units marked
+     * not_ready are left out, as they are in the vacancy KPI.
+     *
+     * @param  array<int, string>|null  $propertyIds  Limit to these properties (null for all)
+     * @return array<int, array{property_id: string, property_name: string, unit_id: string, unit_number: string, unit_type: string|null, market_rent: float|null, vacant_since: string|null, days_vacant: int|null}>
+     */
+    public function getVacantUnits(Carbon $date, ?array $propertyIds = null): array
+    {
+        $day = $date->toDateString();
+
+        return Unit::query()
+            ->active()
+            ->where('status', '!=', 'not_ready')
+            ->whereIn('property_id', $this->reportablePropertyIds($propertyIds))
+            ->whereDoesntHave('leases', fn (Builder $query) => $query
+                ->where('start_date', '<=', $day)
+                ->where(fn (Builder $inner) => $inner->where('end_date', '>=', $day)->orWhereNull('end_date')))
+            ->with('property:id,name')
+            ->withMax(['leases as last_lease_end' => fn (Builder $query) => $query->where('end_date', '<', $day)], 'end_date')
+            ->get()
+            ->map(function (Unit $unit) use ($date) {
+                $vacantSince = $unit->last_lease_end
+                    ? Carbon::parse($unit->last_lease_end)->addDay()
+                    : null;
+
+                return [
+                    'property_id' => $unit->property_id,
+                    'property_name' => $unit->property?->name,
+                    'unit_id' => $unit->id,
+                    'unit_number' => $unit->unit_number,
+                    'unit_type' => $unit->unit_type,
+                    'market_rent' => $unit->market_rent !== null ? (float) $unit->market_rent : null,
+                    'vacant_since' => $vacantSince?->toDateString(),
+                    'days_vacant' => $vacantSince ? (int) $vacantSince->diffInDays($date) : null,
+                ];
+            })
+            ->sortBy([
+                ['days_vacant', 'desc'],
+                ['property_name', 'asc'],
+                ['unit_number', 'asc'],
+            ])
+            ->values()
+            ->all();
+    }
+
+    /**
+     * Active, report-included properties, optionally narrowed to a scope.
+     *
+     * @param  array<int, string>|null  $propertyIds
+     */
+    private function reportablePropertyIds(?array $propertyIds): Builder
+    {
+        return Property::query()
+            ->active()
+            ->forReports()
+            ->when($propertyIds !== null, fn (Builder $query) => $query->whereIn('id', $propertyIds))
+            ->select('id');
+    }
+}
@@ -0,0 +1,237 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Lease;
+use App\Models\Property;
+use App\Models\Unit;
+use Carbon\Carbon;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Support\Collection;
+
+/**
+ * Leasing Service
+ *
+ * Surfaces upcoming lease expirations across the portfolio: a month-by-month
+ * heatmap, the leases ending in the next 30/60/90 days grouped by property,
+ * and the occupancy the portfolio would fall to if none of them renew.
+ */
+class LeasingService
+{
+    /**
+     * Months covered by the expiration heatmap, starting with the current one.
+     */
+    public const HEATMAP_MONTHS = 12;
+
+    /**
+     * Expiration windows, in days, for the upcoming list and occupancy impact.
+     */
+    public const EXPIRATION_WINDOWS = [30, 60, 90];
+
+    /**
+     * Build the Leasing overview for active properties.
+     *
+     * Each unit counts its current lease only (started on or before today and
+     * not yet ended, newest first), the same rule the Rent Roll uses, so a unit
+     * with overlapping lease records is never counted twice.
+     *
+     * @param  array{portfolio?: string|null}  $filters
+     * @return array{as_of: string, heatmap: array, expirations: array, occupancy: array}
+     */
+    public function getOverview(array $filters = [], ?Carbon $asOf = null): array
+    {
+        $asOf = ($asOf ?? now())->copy()->startOfDay();
+
+        $properties = Property::query()
+            ->active()
+            ->when($filters['portfolio'] ?? null, fn (Builder $query, $portfolio) => $query->where('portfolio', $portfolio))
+            ->orderBy('name')
+            ->get(['id', 'name', 'portfolio']);
+
+        $unitCounts = Unit::query()
+            ->active()
+            ->whereIn('property_id', $properties->pluck('id'))
+            ->selectRaw('property_id, COUNT(*) as total')
+            ->groupBy('property_id')
+            ->pluck('total', 'property_id');
+
+        $leases = $this->currentLeases($properties->pluck('id')->all(), $asOf);
+
+        return [
+            'as_of' => $asOf->toDateString(),
+            'heatmap' => $this->buildHeatmap($properties, $leases, $asOf),
+            'expirations' => $this->buildExpirations($properties, $leases, $asOf),
+            'occupancy' => $this->buildOccupancyImpact($properties, $unitCounts, $leases, $asOf),
+        ];
+    }
+
+    /**
+     * Current lease for each active unit in the given properties.
+     *
+     * @param  array<int, string>  $propertyIds
+     * @return Collection<int, Lease>
+     */
+    private function currentLeases(array $propertyIds, Carbon $asOf): Collection
+    {
+        $day = $asOf->toDateString();
+
+        return Lease::query()
+            ->where('start_date', '<=', $day)
+            ->where(fn (Builder $query) => $query->where('end_date', '>=', $day)->orWhereNull('end_date'))
+            ->whereHas('unit', fn (Builder $query) => $query->active()->whereIn('property_id', $propertyIds))
+            ->with(['unit:id,property_id,unit_number,market_rent', 'person:id,name'])
+            ->orderByDesc('start_date')
+            ->get()
+            ->unique('unit_id')
+            ->values();
+    }
+
+    /**
+     * Count expirations per property per month.
+     *
+     * @param  Collection<int, Property>  $properties
+     * @param  Collection<int, Lease>  $leases
+     */
+    private function buildHeatmap(Collection $properties, Collection $leases, Carbon $asOf): array
+    {
+        $start = $asOf->copy()->startOfMonth();
+        $end = $start->copy()->addMonths(self::HEATMAP_MONTHS)->subDay();
+
+        $months = collect(range(0, self::HEATMAP_MONTHS - 1))
+            ->map(fn (int $offset) => $start->copy()->addMonths($offset))
+            ->map(fn (Carbon $month) => ['key' => $month->format('Y-m'), 'label' => $month->format('M Y')]);
+
+        $counts = $leases
+            ->filter(fn (Lease $lease) => $lease->end_date !== null && $lease->end_date->lte($end))
+            ->groupBy(fn (Lease $lease) => $lease->unit->property_id)
+            ->map(fn (Collection $group) => $group->countBy(fn (Lease $lease) => $lease->end_date->format('Y-m')));
+
+        $rows = $properties
+            ->filter(fn (Property $property) => $counts->has($property->id))
+            ->map(function (Property $property) use ($counts, $months) {
+                $byMonth = $months->mapWithKeys(fn (array $month) => [
+                    $month['key'] => $counts[$property->id][$month['key']] ?? 0,
+                ]);
+
+                return [
+                    'property_id' => $property->id,
+                    'property_name' => $property->name,
+                    'counts' => $byMonth->all(),
+                    'total' => $byMonth->sum(),
+                ];
+            })
+            ->values();
+
+        $totals = $months->mapWithKeys(fn (array $month) => [
+            $month['key'] => $rows->sum(fn (array $row) => $row['counts'][$month['key']]),
+        ]);
+
+        return [
+            'months' => $months->all(),
+            'rows' => $rows->all(),
+            'totals' => $totals->all(),
+            'max' => $rows->flatMap(fn (array $row) => array_values($row['counts']))->max() ?? 0,
+        ];
+    }
+
+    /**
+     * Leases ending within the longest window, grouped by property.
+     *
+     * @param  Collection<int, Property>  $properties
+     * @param  Collection<int, Lease>  $leases
+     */
+    private function buildExpirations(Collection $properties, Collection $leases, Carbon $asOf): array
+    {
+        $horizon = $asOf->copy()->addDays(max(self::EXPIRATION_WINDOWS));
+        $names = $properties->pluck('name', 'id');
+
+        $expiring = $leases
+            ->filter(fn (Lease $lease) => $lease->end_date !== null && $lease->end_date->lte($horizon))
+            ->map(function (Lease $lease) use ($asOf) {
+                $days = (int) $asOf->diffInDays($lease->end_date);
+
+                return [
+                    'lease_id' => $lease->id,
+                    'property_id' => $lease->unit->property_id,
+                    'unit_id' => $lease->unit_id,
+                    'unit_number' => $lease->unit->unit_number,
+                    'tenant_name' => $lease->person?->name,
+                    'end_date' => $lease->end_date->toDateString(),
+                    'days_to_expiration' => $days,
+                    'window' => collect(self::EXPIRATION_WINDOWS)->first(fn (int $window) => $days <= $window),
+                    'rent' => $lease->rent !== null ? (float) $lease->rent : null,
+                    'market_rent' => $lease->unit->market_rent !== null ? (float) $lease->unit->market_rent : null,
+                ];
+            })
+            ->sortBy([['days_to_expiration', 'asc'], ['unit_number', 'asc']]);
+
+        $groups = $expiring
+            ->groupBy('property_id')
+            ->map(fn (Collection $group, string $propertyId) => [
+                'property_id' => $propertyId,
+                'property_name' => $names[$propertyId] ?? null,
+                'leases' => $group->values()->all(),
+            ])
+            ->sortBy('property_name', SORT_NATURAL | SORT_FLAG_CASE)
+            ->values();
+
+        return [
+            'counts' => collect(self::EXPIRATION_WINDOWS)->mapWithKeys(fn (int $window) => [
+                $window => $expiring->where('days_to_expiration', '<=', $window)->count(),
+            ])->all(),
+            'groups' => $groups->all(),
+        ];
+    }
+
+    /**
+     * Project occupancy at each window if no expiring lease renews.
+     *
+     * Occupied means the unit has a current lease. A lease counts as gone once
+     * it is in that window's expiration list; open-ended (month-to-month)
+     * leases are assumed to continue.
+     *
+     * @param  Collection<int, Property>  $properties
+     * @param  Collection<string, int>  $unitCounts
+     * @param  Collection<int, Lease>  $leases
+     */
+    private function buildOccupancyImpact(Collection $properties, Collection $unitCounts, Collection $leases, Carbon $asOf): array
+    {
+        $project = function (Collection $leases, int $totalUnits) use ($asOf): array {
+            $occupied = $leases->count();
+            $rate = fn (int $units) => $totalUnits > 0 ? round($units / $totalUnits * 100, 2) : 0.0;
+
+            $projections = collect(self::EXPIRATION_WINDOWS)->map(function (int $window) use ($leases, $occupied, $asOf, $rate) {
+                $cutoff = $asOf->copy()->addDays($window);
+                $remaining = $occupied - $leases
+                    ->filter(fn (Lease $lease) => $lease->end_date !== null && $lease->end_date->lte($cutoff))
+                    ->count();
+
+                return [
+                    'days' => $window,
+                    'occupied_units' => $remaining,
+                    'occupancy_rate' => $rate($remaining),
+                ];
+            });
+
+            return [
+                'total_units' => $totalUnits,
+                'occupied_units' => $occupied,
+                'occupancy_rate' => $rate($occupied),
+                'projections' => $projections->all(),
+            ];
+        };
+
+        $byProperty = $leases->groupBy(fn (Lease $lease) => $lease->unit->property_id);
+
+        return [
+            'portfolio' => $project($leases, (int) $unitCounts->sum()),
+            'properties' => $properties
+                ->mapWithKeys(fn (Property $property) => [
+                    $property->id => $project($byProperty->get($property->id, collect()), (int) ($unitCounts[$property->id] ?? 0)),
+                ])
+                ->all(),
+        ];
+    }
+}
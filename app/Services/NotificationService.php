@@ -7,6 +7,7 @@ namespace App\Services;
 use App\Models\AlertRule;
 use App\Models\DailyKpi;
 use App\Models\Setting;
+use App\Models\User;
 use App\Models\WorkOrder;
 use App\Notifications\AlertNotification;
 use Illuminate\Support\Facades\Log;
@@ -21,7 +22,7 @@ use Illuminate\Support\Facades\Notification;
 class NotificationService
 {
     /**
-     * Evaluate all enabled alert rules.
+     * Evaluate all enabled alert rules that are not muted.
      */
     public function evaluateAlerts(): void
     {
@@ -39,7 +40,7 @@ class NotificationService
             return;
         }
 
-        $rules = AlertRule::enabled()->get();
+        $rules = AlertRule::enabled()->unmuted()->get();
 
         foreach ($rules as $rule) {
             try {
@@ -75,6 +76,28 @@ class NotificationService
         }
     }
 
+    /**
+     * Check whether a rule would fire against the latest KPI data.
+     *
+     * Ignores the rule's enabled and muted state so admins can try out
+     * thresholds before turning a rule on. Nothing is sent or recorded.
+     *
+     * @return array{kpi_date: string|null, value: float|null, formatted_value: string|null, would_fire: bool}
+     */
+    public function previewRule(AlertRule $rule): array
+    {
+        $latestKpis = DailyKpi::latest('date')->first();
+
+        $value = $latestKpis ? $this->getMetricValue($rule->metric, $latestKpis) : null;
+
+        return [
+            'kpi_date' => $latestKpis?->date->toDateString(),
+            'value' => $value,
+            'formatted_value' => $value !== null ? $this->formatMetricValue($rule->metric, $value) : null,
+            'would_fire' => $value !== null && $rule->evaluate($value),
+        ];
+    }
+
     /**
      * Get the current value for a metric.
      */
@@ -129,12 +152,14 @@ class NotificationService
         // Build the alert message
         $message = $this->buildAlertMessage($rule, $currentValue);
 
-        // Send notification
-        Notification::route('mail', $recipients)
-            ->notify(new AlertNotification($rule, $currentValue, $message));
+        // Send notification by email, plus an in-app entry for recipients with an account
+        $notification = new AlertNotification($rule, $currentValue, $message);
+
+        Notification::route('mail', $recipients)->notify($notification);
+        Notification::send(User::active()->whereIn('email', $recipients)->get(), $notification);
 
-        // Mark the rule as triggered
-        $rule->markAsTriggered();
+        // Mark the rule as triggered and record it in the history
+        $rule->markAsTriggered($currentValue, $recipients);
     }
 
     /**
@@ -0,0 +1,343 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Lease;
+use App\Models\Property;
+use App\Models\PropertyAdjustment;
+use App\Models\PropertyFlag;
+use App\Models\PropertyFlagRemoval;
+use App\Models\UtilityAnomaly;
+use App\Models\UtilityNote;
+use App\Models\WorkOrder;
+use Carbon\Carbon;
+use Closure;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Str;
+
+/**
+ * Property Activity Service
+ *
+ * Builds the property page's Activity timeline: flags added and removed,
+ * adjustments created and ended, utility notes, work orders opened and
+ * closed, leases started and ended, and detected utility anomalies, merged
+ * into one list with the newest first.
+ *
+ * Each kind of event is read from its own table as a separate stream. To
+ * serve page N, every stream contributes its newest N pages' worth of
+ * events and the merged list is sliced, so deep pages cost more than early
+ * ones. Events dated in the future (e.g. a lease that hasn't started) are
+ * left out until they happen.
+ */
+class PropertyActivityService
+{
+    /**
+     * Activity types the timeline can be filtered by.
+     */
+    public const TYPES = [
+        'flags' => 'Flags',
+        'adjustments' => 'Adjustments',
+        'utility_notes' => 'Utility Notes',
+        'work_orders' => 'Work Orders',
+        'leases' => 'Leases',
+        'anomalies' => 'Anomalies',
+    ];
+
+    /**
+     * Events per page.
+     */
+    public const PER_PAGE = 20;
+
+    /**
+     * Get one page of a property's activity, newest first.
+     *
+     * @param  array<int, string>  $types  Activity types to include; empty for all
+     * @return array{data: array<int, array<string, mixed>>, current_page: int, last_page: int, per_page: int, total: int}
+     */
+    public function getActivity(Property $property, array $types = [], int $page = 1, ?Carbon $asOf = null): array
+    {
+        $now = ($asOf ?? now())->copy();
+        $today = $now->copy()->startOfDay();
+        $page = max(1, $page);
+        $types = array_values(array_intersect(array_keys(self::TYPES), $types)) ?: array_keys(self::TYPES);
+
+        $streams = array_filter(
+            $this->streams($property, $now, $today),
+            fn (array $stream) => in_array($stream['type'], $types, true)
+        );
+
+        $total = 0;
+        $events = [];
+
+        foreach ($streams as $stream) {
+            $total += $stream['query']()->count();
+
+            $models = $stream['query']()
+                ->orderByDesc($stream['column'])
+                ->limit($page * self::PER_PAGE)
+                ->get();
+
+            foreach ($models as $model) {
+                $events[] = $stream['map']($model);
+            }
+        }
+
+        usort($events, fn (array $a, array $b) => [$b['occurred_at'], $b['id']] <=> [$a['occurred_at'], $a['id']]);
+
+        $data = array_map(function (array $event) {
+            $event['occurred_at'] = $event['occurred_at']->toIso8601String();
+
+            return $event;
+        }, array_slice($events, ($page - 1) * self::PER_PAGE, self::PER_PAGE));
+
+        return [
+            'data' => $data,
+            'current_page' => $page,
+            'last_page' => max(1, (int) ceil($total / self::PER_PAGE)),
+            'per_page' => self::PER_PAGE,
+            'total' => $total,
+        ];
+    }
+
+    /**
+     * Every event stream for the property.
+     *
+     * Each stream has the activity type it belongs to, a query factory for
+     * the rows that produce its events, the column the events are dated by,
+     * and a mapper from a row to an event.
+     *
+     * @return array<int, array{type: string, query: Closure(): Builder, column: string, map: Closure(Model): array<string, mixed>}>
+     */
+    private function streams(Property $property, Carbon $now, Carbon $today): array
+    {
+        $unitIds = $property->units()->select('id');
+
+        return [
+            [
+                'type' => 'flags',
+                'query' => fn () => PropertyFlag::query()
+                    ->with('creator:id,name')
+                    ->where('property_id', $property->id)
+                    ->where('created_at', '<=', $now),
+                'column' => 'created_at',
+                'map' => fn (PropertyFlag $flag) => $this->event(
+                    "flag-added:{$flag->id}", 'flags', 'added', $flag->created_at,
+                    "Flagged {$flag->flag_label}",
+                    $flag->reason,
+                    $flag->creator?->name
+                ),
+            ],
+            [
+                // Removed flags no longer exist, so their "added" event comes from the removal record
+                'type' => 'flags',
+                'query' => fn () => PropertyFlagRemoval::query()
+                    ->where('property_id', $property->id)
+                    ->whereNotNull('flagged_at')
+                    ->where('flagged_at', '<=', $now),
+                'column' => 'flagged_at',
+                'map' => fn (PropertyFlagRemoval $removal) => $this->event(
+                    "flag-added:{$removal->id}", 'flags', 'added', $removal->flagged_at,
+                    "Flagged {$removal->flag_label}",
+                    $removal->reason
+                ),
+            ],
+            [
+                'type' => 'flags',
+                'query' => fn () => PropertyFlagRemoval::query()
+                    ->with('remover:id,name')
+                    ->where('property_id', $property->id)
+                    ->where('removed_at', '<=', $now),
+                'column' => 'removed_at',
+                'map' => fn (PropertyFlagRemoval $removal) => $this->event(
+                    "flag-removed:{$removal->id}", 'flags', 'removed', $removal->removed_at,
+                    "Removed the {$removal->flag_label} flag",
+                    null,
+                    $removal->remover?->name
+                ),
+            ],
+            [
+                'type' => 'adjustments',
+                'query' => fn () => PropertyAdjustment::query()
+                    ->with('creator:id,name')
+                    ->where('property_id', $property->id)
+                    ->where('created_at', '<=', $now),
+                'column' => 'created_at',
+                'map' => fn (PropertyAdjustment $adjustment) => $this->event(
+                    "adjustment-created:{$adjustment->id}", 'adjustments', 'created', $adjustment->created_at,
+                    "{$this->adjustmentLabel($adjustment)} adjusted to {$adjustment->adjusted_value}",
+                    $adjustment->reason,
+                    $adjustment->creator?->name
+                ),
+            ],
+            [
+                // An adjustment still applies on its effective_to date, so it has ended once that day is past
+                'type' => 'adjustments',
+                'query' => fn () => PropertyAdjustment::query()
+                    ->where('property_id', $property->id)
+                    ->whereNotNull('effective_to')
+                    ->where('effective_to', '<', $today->toDateString()),
+                'column' => 'effective_to',
+                'map' => fn (PropertyAdjustment $adjustment) => $this->event(
+                    "adjustment-ended:{$adjustment->id}", 'adjustments', 'ended', $adjustment->effective_to,
+                    "{$this->adjustmentLabel($adjustment)} adjustment ended",
+                    "Was adjusted to {$adjustment->adjusted_value}",
+                    null,
+                    true
+                ),
+            ],
+            [
+                // Notes are kept one per utility type and edited in place, so only the latest save is known
+                'type' => 'utility_notes',
+                'query' => fn () => UtilityNote::query()
+                    ->with(['creator:id,name', 'utilityType:id,label'])
+                    ->where('property_id', $property->id)
+                    ->where('updated_at', '<=', $now),
+                'column' => 'updated_at',
+                'map' => fn (UtilityNote $note) => $this->event(
+                    "utility-note:{$note->id}", 'utility_notes',
+                    $note->updated_at->gt($note->created_at) ? 'updated' : 'added',
+                    $note->updated_at,
+                    $note->updated_at->gt($note->created_at)
+                        ? "{$note->utility_type_label} note updated"
+                        : "{$note->utility_type_label} note added",
+                    $note->note,
+                    $note->creator?->name
+                ),
+            ],
+            [
+                'type' => 'work_orders',
+                'query' => fn () => WorkOrder::query()
+                    ->with('unit:id,unit_number')
+                    ->where('property_id', $property->id)
+                    ->whereNotNull('opened_at')
+                    ->where('opened_at', '<=', $now),
+                'column' => 'opened_at',
+                'map' => fn (WorkOrder $workOrder) => $this->event(
+                    "work-order-opened:{$workOrder->id}", 'work_orders', 'opened', $workOrder->opened_at,
+                    $this->withUnit('Work order opened', $workOrder->unit?->unit_number),
+                    $workOrder->description ?: $workOrder->category
+                ),
+            ],
+            [
+                'type' => 'work_orders',
+                'query' => fn () => WorkOrder::query()
+                    ->with(['unit:id,unit_number', 'vendor:id,company_name'])
+                    ->where('property_id', $property->id)
+                    ->whereNotNull('closed_at')
+                    ->where('closed_at', '<=', $now),
+                'column' => 'closed_at',
+                'map' => fn (WorkOrder $workOrder) => $this->event(
+                    "work-order-closed:{$workOrder->id}", 'work_orders', 'closed', $workOrder->closed_at,
+                    $this->withUnit('Work order closed', $workOrder->unit?->unit_number),
+                    collect([
+                        $workOrder->vendor?->company_name ?? $workOrder->vendor_name,
+                        $workOrder->amount !== null ? '$'.number_format((float) $workOrder->amount, 2) : null,
+                    ])->filter()->implode(' · ') ?: null
+                ),
+            ],
+            [
+                'type' => 'leases',
+                'query' => fn () => Lease::query()
+                    ->with(['unit:id,unit_number', 'person:id,name'])
+                    ->whereIn('unit_id', $unitIds)
+                    ->whereNotNull('start_date')
+                    ->where('start_date', '<=', $today->toDateString()),
+                'column' => 'start_date',
+                'map' => fn (Lease $lease) => $this->event(
+                    "lease-started:{$lease->id}", 'leases', 'started', $lease->start_date,
+                    $this->withUnit('Lease started', $lease->unit?->unit_number),
+                    $lease->person?->name,
+                    null,
+                    true
+                ),
+            ],
+            [
+                'type' => 'leases',
+                'query' => fn () => Lease::query()
+                    ->with(['unit:id,unit_number', 'person:id,name'])
+                    ->whereIn('unit_id', $unitIds)
+                    ->whereNotNull('end_date')
+                    ->where('end_date', '<', $today->toDateString()),
+                'column' => 'end_date',
+                'map' => fn (Lease $lease) => $this->event(
+                    "lease-ended:{$lease->id}", 'leases', 'ended', $lease->end_date,
+                    $this->withUnit('Lease ended', $lease->unit?->unit_number),
+                    $lease->person?->name,
+                    null,
+                    true
+                ),
+            ],
+            [
+                'type' => 'anomalies',
+                'query' => fn () => UtilityAnomaly::query()
+                    ->with('utilityType:id,label')
+                    ->where('property_id', $property->id)
+                    ->where('detected_at', '<=', $now),
+                'column' => 'detected_at',
+                'map' => fn (UtilityAnomaly $anomaly) => $this->event(
+                    "anomaly:{$anomaly->id}", 'anomalies', $anomaly->direction, $anomaly->detected_at,
+                    sprintf(
+                        '%s cost unusually %s for %s',
+                        $anomaly->utilityType?->label ?? 'Utility',
+                        $anomaly->direction,
+                        $anomaly->period_start->format('F Y')
+                    ),
+                    $anomaly->deviation !== null
+                        ? sprintf(
+                            '$%s %s vs. $%s portfolio average (%+.1f std dev)',
+                            number_format((float) $anomaly->value, 2),
+                            Str::of($anomaly->metric)->replace('_', ' '),
+                            number_format((float) $anomaly->average, 2),
+                            (float) $anomaly->deviation
+                        )
+                        : sprintf(
+                            '$%s vs. $%s recent monthly average (%+.0f%%)',
+                            number_format((float) $anomaly->cost, 2),
+                            number_format((float) $anomaly->baseline_cost, 2),
+                            (float) $anomaly->percent_over_baseline
+                        )
+                ),
+            ],
+        ];
+    }
+
+    /**
+     * Build a timeline event.
+     *
+     * @return array{id: string, type: string, event: string, title: string, description: string|null, user_name: string|null, all_day: bool, occurred_at: Carbon}
+     */
+    private function event(
+        string $id,
+        string $type,
+        string $event,
+        Carbon $occurredAt,
+        string $title,
+        ?string $description = null,
+        ?string $userName = null,
+        bool $allDay = false,
+    ): array {
+        return [
+            'id' => $id,
+            'type' => $type,
+            'event' => $event,
+            'title' => $title,
+            'description' => $description,
+            'user_name' => $userName,
+            'all_day' => $allDay,
+            'occurred_at' => $occurredAt,
+        ];
+    }
+
+    private function adjustmentLabel(PropertyAdjustment $adjustment): string
+    {
+        return PropertyAdjustment::ADJUSTABLE_FIELDS[$adjustment->field_name]['label'] ?? $adjustment->field_name;
+    }
+
+    private function withUnit(string $title, ?string $unitNumber): string
+    {
+        return $unitNumber !== null ? "{$title} · Unit {$unitNumber}" : $title;
+    }
+}
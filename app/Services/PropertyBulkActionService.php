@@ -0,0 +1,218 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Property;
+use App\Models\PropertyAdjustment;
+use App\Models\PropertyFlag;
+use App\Models\User;
+use App\Models\UtilityType;
+use Carbon\Carbon;
+use Illuminate\Support\Facades\Log;
+use Throwable;
+
+/**
+ * Property Bulk Action Service
+ *
+ * Applies one flag, utility exclusion, or adjustment change to many
+ * properties at once. Each property is handled on its own, so one that
+ * can't take the change (e.g. it already has the flag) doesn't stop the
+ * rest; the result lists what happened to every property.
+ */
+class PropertyBulkActionService
+{
+    /**
+     * Available bulk actions.
+     */
+    public const ACTIONS = [
+        'add_flag' => 'Add flag',
+        'remove_flag' => 'Remove flag',
+        'exclude_utility' => 'Exclude from utility reports',
+        'include_utility' => 'Include in utility reports',
+        'create_adjustment' => 'Create adjustment',
+    ];
+
+    /**
+     * Most properties a single bulk action can touch.
+     */
+    public const MAX_PROPERTIES = 500;
+
+    public function __construct(
+        private readonly AdjustmentService $adjustmentService
+    ) {}
+
+    /**
+     * Apply an action to each property.
+     *
+     * @param  array<int, string>  $propertyIds
+     * @param  array<string, mixed>  $params  Validated action parameters
+     * @return array{results: array<int, array{property_id: string, property_name: string|null, success: bool, message: string}>, succeeded: int, failed: int}
+     */
+    public function apply(string $action, array $propertyIds, array $params, User $user): array
+    {
+        $properties = Property::query()
+            ->whereIn('id', $propertyIds)
+            ->with(['flags', 'utilityExclusions'])
+            ->get()
+            ->keyBy('id');
+
+        $utilityType = isset($params['utility_type_id'])
+            ? UtilityType::find($params['utility_type_id'])
+            : null;
+
+        $results = [];
+
+        foreach (array_unique($propertyIds) as $propertyId) {
+            $property = $properties->get($propertyId);
+
+            if ($property === null) {
+                $results[] = $this->result($propertyId, null, false, 'Property not found.');
+
+                continue;
+            }
+
+            try {
+                $outcome = match ($action) {
+                    'add_flag' => $this->addFlag($property, $params, $user),
+                    'remove_flag' => $this->removeFlag($property, $params, $user),
+                    'exclude_utility' => $this->excludeUtility($property, $utilityType, $params, $user),
+                    'include_utility' => $this->includeUtility($property, $utilityType),
+                    'create_adjustment' => $this->createAdjustment($property, $params, $user),
+                };
+
+                $results[] = $this->result($property->id, $property->name, $outcome['success'], $outcome['message']);
+            } catch (Throwable $e) {
+                Log::error('Bulk property action failed', [
+                    'action' => $action,
+                    'property_id' => $property->id,
+                    'error' => $e->getMessage(),
+                ]);
+
+                $results[] = $this->result($property->id, $property->name, false, 'Something went wrong applying this change.');
+            }
+        }
+
+        $succeeded = count(array_filter($results, fn (array $result) => $result['success']));
+
+        return [
+            'results' => $results,
+            'succeeded' => $succeeded,
+            'failed' => count($results) - $succeeded,
+        ];
+    }
+
+    /**
+     * @param  array<string, mixed>  $params
+     * @return array{success: bool, message: string}
+     */
+    private function addFlag(Property $property, array $params, User $user): array
+    {
+        $label = PropertyFlag::FLAG_TYPES[$params['flag_type']];
+
+        if ($property->flags->contains('flag_type', $params['flag_type'])) {
+            return ['success' => false, 'message' => "Already flagged {$label}."];
+        }
+
+        $property->flags()->create([
+            'flag_type' => $params['flag_type'],
+            'reason' => $params['reason'] ?? null,
+            'created_by' => $user->id,
+        ]);
+
+        return ['success' => true, 'message' => "Flagged {$label}."];
+    }
+
+    /**
+     * @param  array<string, mixed>  $params
+     * @return array{success: bool, message: string}
+     */
+    private function removeFlag(Property $property, array $params, User $user): array
+    {
+        $label = PropertyFlag::FLAG_TYPES[$params['flag_type']];
+        $flag = $property->flags->firstWhere('flag_type', $params['flag_type']);
+
+        if ($flag === null) {
+            return ['success' => false, 'message' => "Not flagged {$label}."];
+        }
+
+        $flag->remove($user->id);
+
+        return ['success' => true, 'message' => "Removed the {$label} flag."];
+    }
+
+    /**
+     * @param  array<string, mixed>  $params
+     * @return array{success: bool, message: string}
+     */
+    private function excludeUtility(Property $property, UtilityType $utilityType, array $params, User $user): array
+    {
+        if ($property->utilityExclusions->contains('utility_type_id', $utilityType->id)) {
+            return ['success' => false, 'message' => "Already excluded from {$utilityType->label} reports."];
+        }
+
+        $property->utilityExclusions()->create([
+            'utility_type_id' => $utilityType->id,
+            'reason' => $params['reason'] ?? null,
+            'created_by' => $user->id,
+        ]);
+
+        return ['success' => true, 'message' => "Excluded from {$utilityType->label} reports."];
+    }
+
+    /**
+     * @return array{success: bool, message: string}
+     */
+    private function includeUtility(Property $property, UtilityType $utilityType): array
+    {
+        $deleted = $property->utilityExclusions()->where('utility_type_id', $utilityType->id)->delete();
+
+        return $deleted > 0
+            ? ['success' => true, 'message' => "Included in {$utilityType->label} reports again."]
+            : ['success' => false, 'message' => "Not excluded from {$utilityType->label} reports."];
+    }
+
+    /**
+     * Skips properties that already have an adjustment to the same field in
+     * effect on the start date, so bulk edits never stack on manual ones.
+     *
+     * @param  array<string, mixed>  $params
+     * @return array{success: bool, message: string}
+     */
+    private function createAdjustment(Property $property, array $params, User $user): array
+    {
+        $field = $params['field_name'];
+        $label = PropertyAdjustment::ADJUSTABLE_FIELDS[$field]['label'];
+        $effectiveFrom = Carbon::parse($params['effective_from']);
+
+        if ($this->adjustmentService->hasAdjustment($property, $field, $effectiveFrom)) {
+            return ['success' => false, 'message' => "Already has a {$label} adjustment in effect on {$effectiveFrom->toDateString()}."];
+        }
+
+        $this->adjustmentService->createAdjustment(
+            property: $property,
+            field: $field,
+            adjustedValue: $params['adjusted_value'],
+            effectiveFrom: $effectiveFrom,
+            effectiveTo: isset($params['effective_to']) ? Carbon::parse($params['effective_to']) : null,
+            reason: $params['reason'],
+            createdBy: $user->id
+        );
+
+        return ['success' => true, 'message' => "{$label} adjusted to {$params['adjusted_value']}."];
+    }
+
+    /**
+     * @return array{property_id: string, property_name: string|null, success: bool, message: string}
+     */
+    private function result(string $propertyId, ?string $propertyName, bool $success, string $message): array
+    {
+        return [
+            'property_id' => $propertyId,
+            'property_name' => $propertyName,
+            'success' => $success,
+            'message' => $message,
+        ];
+    }
+}
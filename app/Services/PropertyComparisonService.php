@@ -0,0 +1,293 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Property;
+use App\Models\PropertyRollup;
+use App\Models\UtilityExpense;
+use App\Models\WorkOrder;
+use Carbon\Carbon;
+use Illuminate\Support\Collection;
+use Illuminate\Support\Str;
+
+/**
+ * Property Comparison Service
+ *
+ * Puts a handful of properties side by side: size (effective values, so
+ * adjustments are honored), occupancy, delinquency, work order volume and
+ * cost, and utility cost per unit and per square foot, plus monthly trends
+ * for overlaid charts.
+ */
+class PropertyComparisonService
+{
+    /**
+     * Fewest properties worth comparing.
+     */
+    public const MIN_PROPERTIES = 2;
+
+    /**
+     * Most properties that fit side by side.
+     */
+    public const MAX_PROPERTIES = 5;
+
+    /**
+     * Months covered by the trailing totals and the trend charts.
+     */
+    public const TREND_MONTHS = 12;
+
+    /**
+     * Metrics ranked best to worst, and whether a higher value is better.
+     */
+    public const RANKED_METRICS = [
+        'occupancy_rate' => true,
+        'delinquency_amount' => false,
+        'work_order_count' => false,
+        'work_order_spend' => false,
+        'avg_cost_per_work_order' => false,
+        'utility_cost_per_unit' => false,
+        'utility_cost_per_sqft' => false,
+    ];
+
+    /**
+     * Metrics charted month by month.
+     */
+    public const TREND_METRICS = [
+        'occupancy_rate' => 'Occupancy',
+        'delinquency_amount' => 'Delinquency',
+        'work_order_spend' => 'Work Order Spend',
+        'utility_cost_per_unit' => 'Utility Cost per Unit',
+    ];
+
+    public function __construct(
+        private readonly AdjustmentService $adjustmentService
+    ) {}
+
+    /**
+     * Resolve the requested properties, in the order given.
+     *
+     * Invalid and unknown IDs are dropped, as are duplicates and anything
+     * past MAX_PROPERTIES.
+     *
+     * @param  array<int, mixed>  $ids
+     * @return Collection<int, Property>
+     */
+    public function findProperties(array $ids): Collection
+    {
+        $ids = collect($ids)
+            ->filter(fn ($id) => is_string($id) && Str::isUuid($id))
+            ->unique()
+            ->take(self::MAX_PROPERTIES)
+            ->values();
+
+        if ($ids->isEmpty()) {
+            return collect();
+        }
+
+        $properties = Property::query()
+            ->whereIn('id', $ids)
+            ->withCount(['units', 'units as occupied_units_count' => function ($query) {
+                $query->where('status', 'occupied');
+            }])
+            ->get()
+            ->keyBy('id');
+
+        return $ids->map(fn (string $id) => $properties->get($id))->filter()->values();
+    }
+
+    /**
+     * Build one comparison row per property.
+     *
+     * Work order and utility totals cover the trailing TREND_MONTHS;
+     * delinquency comes from each property's latest rollup. Per-unit and
+     * per-sqft figures use the effective (adjusted) unit count and square
+     * footage. Metrics without data are null.
+     *
+     * @param  Collection<int, Property>  $properties  Properties from findProperties()
+     * @return array<int, array<string, mixed>>
+     */
+    public function getComparison(Collection $properties, ?Carbon $asOf = null): array
+    {
+        $asOf = ($asOf ?? now())->copy()->startOfDay();
+        $propertyIds = $properties->pluck('id')->all();
+
+        if (empty($propertyIds)) {
+            return [];
+        }
+
+        $periodStart = $asOf->copy()->subMonths(self::TREND_MONTHS);
+        $periodEnd = $asOf->copy()->endOfDay();
+
+        $delinquency = PropertyRollup::latestForProperties($propertyIds, $asOf->toDateString())
+            ->get(['property_rollups.property_id', 'property_rollups.delinquency_amount'])
+            ->pluck('delinquency_amount', 'property_id');
+
+        $workOrderCounts = WorkOrder::query()
+            ->whereIn('property_id', $propertyIds)
+            ->whereBetween('opened_at', [$periodStart, $periodEnd])
+            ->groupBy('property_id')
+            ->selectRaw('property_id, COUNT(*) as total')
+            ->pluck('total', 'property_id');
+
+        $workOrderSpend = WorkOrder::query()
+            ->whereIn('property_id', $propertyIds)
+            ->where('status', 'completed')
+            ->whereBetween('closed_at', [$periodStart, $periodEnd])
+            ->groupBy('property_id')
+            ->selectRaw('property_id, COUNT(*) as completed, COALESCE(SUM(amount), 0) as spend')
+            ->get()
+            ->keyBy('property_id');
+
+        $utilityCosts = UtilityExpense::query()
+            ->whereIn('property_id', $propertyIds)
+            ->inDateRange($periodStart, $asOf)
+            ->groupBy('property_id')
+            ->selectRaw('property_id, SUM(amount) as total')
+            ->toBase()
+            ->pluck('total', 'property_id');
+
+        return $properties->map(function (Property $property) use ($asOf, $delinquency, $workOrderCounts, $workOrderSpend, $utilityCosts) {
+            $effective = $this->adjustmentService->getEffectiveValuesWithMetadata($property, $asOf);
+            $unitCount = (int) ($effective['unit_count']['value'] ?? 0);
+            $sqft = (int) ($effective['total_sqft']['value'] ?? 0);
+
+            $completed = $workOrderSpend->get($property->id);
+            $spend = $completed ? (float) $completed->spend : 0.0;
+            $utilityCost = $utilityCosts->get($property->id);
+
+            return [
+                'id' => $property->id,
+                'name' => $property->name,
+                'address' => $property->full_address,
+                'property_type' => $property->property_type,
+                'portfolio' => $property->portfolio,
+                'unit_count' => $unitCount ?: null,
+                'total_sqft' => $sqft ?: null,
+                'adjusted_fields' => collect($effective)
+                    ->filter(fn (array $field) => $field['is_adjusted'])
+                    ->map(fn (array $field) => ['original' => $field['original'], 'label' => $field['label']])
+                    ->all(),
+                'occupancy_rate' => $property->units_count > 0
+                    ? round(($property->occupied_units_count / $property->units_count) * 100, 1)
+                    : null,
+                'delinquency_amount' => $delinquency->has($property->id)
+                    ? (float) $delinquency->get($property->id)
+                    : null,
+                'work_order_count' => (int) $workOrderCounts->get($property->id, 0),
+                'work_order_spend' => round($spend, 2),
+                'avg_cost_per_work_order' => $completed && $completed->completed > 0
+                    ? round($spend / $completed->completed, 2)
+                    : null,
+                'utility_cost' => $utilityCost !== null ? round((float) $utilityCost, 2) : null,
+                'utility_cost_per_unit' => $utilityCost !== null && $unitCount > 0
+                    ? round((float) $utilityCost / $unitCount, 2)
+                    : null,
+                'utility_cost_per_sqft' => $utilityCost !== null && $sqft > 0
+                    ? round((float) $utilityCost / $sqft, 4)
+                    : null,
+            ];
+        })->all();
+    }
+
+    /**
+     * Calculate best, worst, and average for each ranked metric.
+     *
+     * @param  array<int, array<string, mixed>>  $rows  Rows from getComparison()
+     * @return array<string, array{best: float|int, worst: float|int, avg: float}>
+     */
+    public function calculateComparisonStats(array $rows): array
+    {
+        if (count($rows) < self::MIN_PROPERTIES) {
+            return [];
+        }
+
+        $comparison = [];
+
+        foreach (self::RANKED_METRICS as $metric => $higherIsBetter) {
+            $values = array_filter(array_column($rows, $metric), fn ($v) => $v !== null);
+
+            if (empty($values)) {
+                continue;
+            }
+
+            $comparison[$metric] = [
+                'best' => $higherIsBetter ? max($values) : min($values),
+                'worst' => $higherIsBetter ? min($values) : max($values),
+                'avg' => array_sum($values) / count($values),
+            ];
+        }
+
+        return $comparison;
+    }
+
+    /**
+     * Build monthly trends for the overlaid charts.
+     *
+     * Each metric maps to TREND_MONTHS rows of { month, label } plus one
+     * value per property ID. Occupancy and delinquency use the last rollup
+     * of each month; utility cost per unit divides by the unit count in
+     * effect at month end.
+     *
+     * @param  Collection<int, Property>  $properties  Properties from findProperties()
+     * @return array<string, array<int, array<string, mixed>>>
+     */
+    public function getTrends(Collection $properties, ?Carbon $asOf = null): array
+    {
+        $end = ($asOf ?? now())->copy()->endOfMonth();
+        $start = $end->copy()->startOfMonth()->subMonths(self::TREND_MONTHS - 1);
+        $propertyIds = $properties->pluck('id')->all();
+
+        $rollups = PropertyRollup::query()
+            ->whereIn('property_id', $propertyIds)
+            ->whereBetween('date', [$start->toDateString(), $end->toDateString()])
+            ->orderBy('date')
+            ->get(['property_id', 'date', 'occupancy_rate', 'delinquency_amount'])
+            ->groupBy(fn (PropertyRollup $rollup) => $rollup->property_id.'|'.$rollup->date->format('Y-m'))
+            ->map(fn (Collection $monthRollups) => $monthRollups->last());
+
+        $workOrderSpend = WorkOrder::query()
+            ->whereIn('property_id', $propertyIds)
+            ->where('status', 'completed')
+            ->whereBetween('closed_at', [$start, $end])
+            ->get(['property_id', 'closed_at', 'amount'])
+            ->groupBy(fn (WorkOrder $workOrder) => $workOrder->property_id.'|'.$workOrder->closed_at->format('Y-m'))
+            ->map(fn (Collection $workOrders) => (float) $workOrders->sum('amount'));
+
+        $utilityCosts = UtilityExpense::query()
+            ->whereIn('property_id', $propertyIds)
+            ->inDateRange($start, $end)
+            ->get(['property_id', 'expense_date', 'amount'])
+            ->groupBy(fn (UtilityExpense $expense) => $expense->property_id.'|'.$expense->expense_date->format('Y-m'))
+            ->map(fn (Collection $expenses) => (float) $expenses->sum('amount'));
+
+        $trends = array_fill_keys(array_keys(self::TREND_METRICS), []);
+
+        for ($offset = 0; $offset < self::TREND_MONTHS; $offset++) {
+            $month = $start->copy()->addMonths($offset);
+            $monthKey = $month->format('Y-m');
+            $base = ['month' => $monthKey, 'label' => $month->format('M Y')];
+            $rows = array_fill_keys(array_keys(self::TREND_METRICS), $base);
+
+            foreach ($properties as $property) {
+                $key = $property->id.'|'.$monthKey;
+                $rollup = $rollups->get($key);
+                $unitCount = (int) $this->adjustmentService->getEffectiveValue($property, 'unit_count', $month->copy()->endOfMonth()->startOfDay());
+                $utilityCost = $utilityCosts->get($key);
+
+                $rows['occupancy_rate'][$property->id] = $rollup?->occupancy_rate !== null ? (float) $rollup->occupancy_rate : null;
+                $rows['delinquency_amount'][$property->id] = $rollup?->delinquency_amount !== null ? (float) $rollup->delinquency_amount : null;
+                $rows['work_order_spend'][$property->id] = round($workOrderSpend->get($key, 0.0), 2);
+                $rows['utility_cost_per_unit'][$property->id] = $utilityCost !== null && $unitCount > 0
+                    ? round($utilityCost / $unitCount, 2)
+                    : null;
+            }
+
+            foreach ($rows as $metric => $row) {
+                $trends[$metric][] = $row;
+            }
+        }
+
+        return $trends;
+    }
+}
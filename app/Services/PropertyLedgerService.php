@@ -0,0 +1,276 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Lease;
+use App\Models\LedgerTransaction;
+use App\Models\Property;
+use Carbon\Carbon;
+use Carbon\Exceptions\InvalidFormatException;
+use Illuminate\Contracts\Pagination\LengthAwarePaginator;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Support\Collection;
+
+/**
+ * Property Ledger Service
+ *
+ * Reads a property's ledger transactions for the Financials tab: the
+ * filterable transaction list, receivables aged per unit, and a monthly
+ * income-vs-expense trend.
+ *
+ * Balances follow the delinquency KPI: charges minus payments, with
+ * adjustments left out. Payments are applied to the oldest charges first,
+ * so whatever is still owed is the most recent charges.
+ */
+class PropertyLedgerService
+{
+    /**
+     * Delinquency aging buckets: key => [label, min days, max days].
+     */
+    public const AGING_BUCKETS = [
+        'days_0_30' => ['label' => '0–30 days', 'min' => 0, 'max' => 30],
+        'days_31_60' => ['label' => '31–60 days', 'min' => 31, 'max' => 60],
+        'days_61_90' => ['label' => '61–90 days', 'min' => 61, 'max' => 90],
+        'days_over_90' => ['label' => '90+ days', 'min' => 91, 'max' => null],
+    ];
+
+    /**
+     * Ledger rows per page.
+     */
+    public const LEDGER_PER_PAGE = 25;
+
+    /**
+     * Months shown in the income-vs-expense chart, including the current one.
+     */
+    public const TREND_MONTHS = 12;
+
+    /**
+     * Get a page of the property's ledger, newest first.
+     *
+     * Filters: `start_date` and `end_date` (Y-m-d, inclusive), `category`,
+     * and `unit_id`. Unparseable dates are ignored.
+     *
+     * @param  array{start_date?: string|null, end_date?: string|null, category?: string|null, unit_id?: string|null}  $filters
+     */
+    public function getLedger(Property $property, array $filters = []): LengthAwarePaginator
+    {
+        $startDate = $this->parseDate($filters['start_date'] ?? null);
+        $endDate = $this->parseDate($filters['end_date'] ?? null);
+
+        return LedgerTransaction::query()
+            ->where('property_id', $property->id)
+            ->with('unit:id,unit_number')
+            ->when($startDate, fn (Builder $query) => $query->where('date', '>=', $startDate->toDateString()))
+            ->when($endDate, fn (Builder $query) => $query->where('date', '<=', $endDate->toDateString()))
+            ->when($filters['category'] ?? null, fn (Builder $query, $category) => $query->where('category', $category))
+            ->when($filters['unit_id'] ?? null, fn (Builder $query, $unitId) => $query->where('unit_id', $unitId))
+            ->orderByDesc('date')
+            ->orderByDesc('created_at')
+            ->paginate(self::LEDGER_PER_PAGE, ['*'], 'ledger_page')
+            ->withQueryString()
+            ->through(fn (LedgerTransaction $transaction) => [
+                'id' => $transaction->id,
+                'date' => $transaction->date->toDateString(),
+                'type' => $transaction->type,
+                'category' => $transaction->category,
+                'description' => $transaction->description,
+                'amount' => (float) $transaction->amount,
+                'balance' => $transaction->balance !== null ? (float) $transaction->balance : null,
+                'unit_id' => $transaction->unit_id,
+                'unit_number' => $transaction->unit?->unit_number,
+            ]);
+    }
+
+    /**
+     * Categories and units that appear in the property's ledger.
+     *
+     * @return array{categories: array<int, string>, units: array<int, array{id: string, unit_number: string}>}
+     */
+    public function getFilterOptions(Property $property): array
+    {
+        return [
+            'categories' => LedgerTransaction::query()
+                ->where('property_id', $property->id)
+                ->whereNotNull('category')
+                ->distinct()
+                ->orderBy('category')
+                ->pluck('category')
+                ->all(),
+            'units' => $property->units()
+                ->whereHas('ledgerTransactions')
+                ->get(['id', 'unit_number'])
+                ->sortBy('unit_number', SORT_NATURAL | SORT_FLAG_CASE)
+                ->map(fn ($unit) => ['id' => $unit->id, 'unit_number' => $unit->unit_number])
+                ->values()
+                ->all(),
+        ];
+    }
+
+    /**
+     * Age each unit's outstanding balance into the AGING_BUCKETS.
+     *
+     * @return array{rows: array<int, array<string, mixed>>, totals: array<string, float>}
+     */
+    public function getAging(Property $property, ?Carbon $asOf = null): array
+    {
+        $asOf = ($asOf ?? now())->copy()->startOfDay();
+
+        $balances = LedgerTransaction::query()
+            ->where('ledger_transactions.property_id', $property->id)
+            ->whereNotNull('ledger_transactions.unit_id')
+            ->where('ledger_transactions.date', '<=', $asOf->toDateString())
+            ->join('units', 'units.id', '=', 'ledger_transactions.unit_id')
+            ->select('ledger_transactions.unit_id', 'units.unit_number')
+            ->selectRaw('SUM(CASE WHEN ledger_transactions.type = ? THEN ledger_transactions.amount ELSE 0 END) as charges', ['charge'])
+            ->selectRaw('SUM(CASE WHEN ledger_transactions.type = ? THEN ledger_transactions.amount ELSE 0 END) as payments', ['payment'])
+            ->selectRaw('MAX(CASE WHEN ledger_transactions.type = ? THEN ledger_transactions.date END) as last_payment_date', ['payment'])
+            ->groupBy('ledger_transactions.unit_id', 'units.unit_number')
+            ->havingRaw(
+                'SUM(CASE WHEN ledger_transactions.type = ? THEN ledger_transactions.amount ELSE 0 END)'
+                .' > SUM(CASE WHEN ledger_transactions.type = ? THEN ledger_transactions.amount ELSE 0 END)',
+                ['charge', 'payment']
+            )
+            ->toBase()
+            ->get();
+
+        $unitIds = $balances->pluck('unit_id')->all();
+
+        // Newest charges first, so the outstanding balance is allocated to them
+        $charges = LedgerTransaction::query()
+            ->whereIn('unit_id', $unitIds)
+            ->where('property_id', $property->id)
+            ->charges()
+            ->where('date', '<=', $asOf->toDateString())
+            ->orderByDesc('date')
+            ->get(['unit_id', 'date', 'amount'])
+            ->groupBy('unit_id');
+
+        $tenants = $this->currentTenantNames($unitIds, $asOf);
+
+        $rows = $balances->map(function ($row) use ($charges, $tenants, $asOf) {
+            $outstanding = round((float) $row->charges - (float) $row->payments, 2);
+            $buckets = array_fill_keys(array_keys(self::AGING_BUCKETS), 0.0);
+            $remaining = $outstanding;
+
+            foreach ($charges->get($row->unit_id, collect()) as $charge) {
+                if ($remaining <= 0) {
+                    break;
+                }
+
+                $allocated = min($remaining, (float) $charge->amount);
+                $buckets[$this->bucketFor((int) $charge->date->diffInDays($asOf))] += $allocated;
+                $remaining -= $allocated;
+            }
+
+            return [
+                'unit_id' => $row->unit_id,
+                'unit_number' => $row->unit_number,
+                'tenant_name' => $tenants[$row->unit_id] ?? null,
+                ...array_map(fn (float $amount) => round($amount, 2), $buckets),
+                'total' => $outstanding,
+                'last_payment_date' => $row->last_payment_date
+                    ? Carbon::parse($row->last_payment_date)->toDateString()
+                    : null,
+            ];
+        })
+            ->sortByDesc('total')
+            ->values();
+
+        $totals = collect(array_keys(self::AGING_BUCKETS))
+            ->mapWithKeys(fn (string $bucket) => [$bucket => round((float) $rows->sum($bucket), 2)])
+            ->put('total', round((float) $rows->sum('total'), 2));
+
+        return [
+            'rows' => $rows->all(),
+            'totals' => $totals->all(),
+        ];
+    }
+
+    /**
+     * Monthly income and expenses from the ledger.
+     *
+     * Income is payments received. Expenses are charges posted to the
+     * property itself rather than to a unit, since unit charges are amounts
+     * billed to tenants rather than money spent.
+     *
+     * @return array<int, array{month: string, label: string, income: float, expense: float, net: float}>
+     */
+    public function getIncomeExpenseTrend(Property $property, ?Carbon $asOf = null): array
+    {
+        $end = ($asOf ?? now())->copy()->endOfMonth();
+        $start = $end->copy()->startOfMonth()->subMonths(self::TREND_MONTHS - 1);
+
+        $totals = LedgerTransaction::query()
+            ->where('property_id', $property->id)
+            ->whereBetween('date', [$start->toDateString(), $end->toDateString()])
+            ->where(fn (Builder $query) => $query
+                ->where('type', 'payment')
+                ->orWhere(fn (Builder $inner) => $inner->where('type', 'charge')->whereNull('unit_id')))
+            ->get(['date', 'type', 'amount'])
+            ->groupBy(fn (LedgerTransaction $transaction) => $transaction->date->format('Y-m'));
+
+        return collect(range(0, self::TREND_MONTHS - 1))
+            ->map(function (int $offset) use ($start, $totals) {
+                $month = $start->copy()->addMonths($offset);
+                $transactions = $totals->get($month->format('Y-m'), collect());
+                $income = round((float) $transactions->where('type', 'payment')->sum('amount'), 2);
+                $expense = round((float) $transactions->where('type', 'charge')->sum('amount'), 2);
+
+                return [
+                    'month' => $month->format('Y-m'),
+                    'label' => $month->format('M Y'),
+                    'income' => $income,
+                    'expense' => $expense,
+                    'net' => round($income - $expense, 2),
+                ];
+            })
+            ->all();
+    }
+
+    /**
+     * Tenant on each unit's current lease.
+     *
+     * @param  array<int, string>  $unitIds
+     * @return Collection<string, string|null>
+     */
+    private function currentTenantNames(array $unitIds, Carbon $asOf): Collection
+    {
+        $day = $asOf->toDateString();
+
+        return Lease::query()
+            ->whereIn('unit_id', $unitIds)
+            ->where('start_date', '<=', $day)
+            ->where(fn (Builder $query) => $query->where('end_date', '>=', $day)->orWhereNull('end_date'))
+            ->with('person:id,name')
+            ->orderByDesc('start_date')
+            ->get()
+            ->unique('unit_id')
+            ->mapWithKeys(fn (Lease $lease) => [$lease->unit_id => $lease->person?->name]);
+    }
+
+    private function bucketFor(int $days): string
+    {
+        foreach (self::AGING_BUCKETS as $key => $bucket) {
+            if ($bucket['max'] === null || $days <= $bucket['max']) {
+                return $key;
+            }
+        }
+
+        return array_key_last(self::AGING_BUCKETS);
+    }
+
+    private function parseDate(mixed $value): ?Carbon
+    {
+        if (! is_string($value) || $value === '') {
+            return null;
+        }
+
+        try {
+            return Carbon::createFromFormat('Y-m-d', $value)->startOfDay();
+        } catch (InvalidFormatException) {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,259 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Property;
+use App\Models\PropertyNote;
+use App\Models\PropertyNoteAttachment;
+use App\Models\User;
+use App\Notifications\PropertyNoteMentionNotification;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Collection;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Notification;
+use Illuminate\Support\Facades\Storage;
+use Throwable;
+
+/**
+ * Property Note Service
+ *
+ * Threaded free-text notes on a property, with @mentions and file
+ * attachments. Mentioned users get an in-app notification and an email;
+ * attachments are stored on the default filesystem disk.
+ */
+class PropertyNoteService
+{
+    /**
+     * Threads shown per page, newest first.
+     */
+    public const THREADS_PER_PAGE = 10;
+
+    /**
+     * Most files that can be attached to one note.
+     */
+    public const MAX_ATTACHMENTS = 10;
+
+    /**
+     * Largest attachment allowed, in kilobytes.
+     */
+    public const MAX_ATTACHMENT_KB = 10240;
+
+    /**
+     * File extensions that can be attached: documents, spreadsheets, and photos.
+     */
+    public const ATTACHMENT_EXTENSIONS = [
+        'pdf', 'doc', 'docx', 'xls', 'xlsx', 'csv', 'txt',
+        'jpg', 'jpeg', 'png', 'gif', 'webp', 'heic',
+    ];
+
+    /**
+     * MIME types attachments may have, as sniffed from the file contents.
+     *
+     * Office files are sometimes sniffed as their generic zip or compound
+     * document container, so those are accepted too.
+     */
+    public const ATTACHMENT_MIME_TYPES = [
+        'application/pdf',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/zip',
+        'application/CDFV2',
+        'text/csv',
+        'text/plain',
+        'image/jpeg',
+        'image/png',
+        'image/gif',
+        'image/webp',
+        'image/heic',
+        'image/heif',
+    ];
+
+    /**
+     * Get a page of the property's note threads, newest first, each with its replies.
+     *
+     * @return array{data: array<int, array<string, mixed>>, current_page: int, last_page: int, total: int}
+     */
+    public function getThreads(Property $property, User $viewer, int $page = 1): array
+    {
+        $threads = $property->notes()
+            ->threads()
+            ->with([
+                'user:id,name',
+                'mentions:id,name',
+                'attachments',
+                'replies.user:id,name',
+                'replies.mentions:id,name',
+                'replies.attachments',
+            ])
+            ->latest()
+            ->paginate(self::THREADS_PER_PAGE, ['*'], 'page', max(1, $page));
+
+        return [
+            'data' => $threads->getCollection()
+                ->map(fn (PropertyNote $note) => $this->present($note, $viewer))
+                ->all(),
+            'current_page' => $threads->currentPage(),
+            'last_page' => $threads->lastPage(),
+            'total' => $threads->total(),
+        ];
+    }
+
+    /**
+     * Active users that can be @mentioned, by name.
+     *
+     * @return array<int, array{id: string, name: string}>
+     */
+    public function getMentionableUsers(): array
+    {
+        return User::active()
+            ->orderBy('name')
+            ->get(['id', 'name'])
+            ->map(fn (User $user) => ['id' => $user->id, 'name' => $user->name])
+            ->all();
+    }
+
+    /**
+     * Add a note, or a reply when a parent is given, and notify mentioned users.
+     *
+     * A reply to a reply joins the original thread. Mentions are only kept
+     * for users whose "@Name" is still in the body, and authors are never
+     * notified about themselves.
+     *
+     * @param  array<int, string>  $mentionIds
+     * @param  array<int, UploadedFile>  $files
+     */
+    public function createNote(
+        Property $property,
+        User $author,
+        ?string $body,
+        ?PropertyNote $parent = null,
+        array $mentionIds = [],
+        array $files = [],
+    ): PropertyNote {
+        $disk = config('filesystems.default');
+        $storedPaths = [];
+
+        try {
+            $note = DB::transaction(function () use ($property, $author, $body, $parent, $files, $disk, &$storedPaths) {
+                $note = $property->notes()->create([
+                    'parent_id' => $parent !== null ? ($parent->parent_id ?? $parent->id) : null,
+                    'user_id' => $author->id,
+                    'body' => $body,
+                ]);
+
+                foreach ($files as $file) {
+                    $path = $file->store("property-notes/{$property->id}", $disk);
+                    $storedPaths[] = $path;
+
+                    $note->attachments()->create([
+                        'disk' => $disk,
+                        'path' => $path,
+                        'original_name' => $file->getClientOriginalName(),
+                        'mime_type' => $file->getMimeType(),
+                        'size' => $file->getSize(),
+                    ]);
+                }
+
+                return $note;
+            });
+        } catch (Throwable $e) {
+            // Don't leave files behind for a note that was never saved
+            foreach ($storedPaths as $path) {
+                Storage::disk($disk)->delete($path);
+            }
+
+            throw $e;
+        }
+
+        $mentioned = $this->resolveMentions($body, $mentionIds, $author);
+        $note->mentions()->sync($mentioned->pluck('id')->all());
+
+        $note->setRelation('property', $property);
+        $note->setRelation('user', $author);
+
+        if ($mentioned->isNotEmpty()) {
+            Notification::send($mentioned, new PropertyNoteMentionNotification($note));
+        }
+
+        return $note->load(['mentions:id,name', 'attachments']);
+    }
+
+    /**
+     * Delete a note, its replies, and every file attached to them.
+     */
+    public function deleteNote(PropertyNote $note): void
+    {
+        $attachments = PropertyNoteAttachment::query()
+            ->whereIn('property_note_id', PropertyNote::where('parent_id', $note->id)->select('id'))
+            ->orWhere('property_note_id', $note->id)
+            ->get();
+
+        $note->delete();
+
+        $attachments->each(fn (PropertyNoteAttachment $attachment) => $attachment->deleteFile());
+    }
+
+    /**
+     * Shape a note, and its replies when it starts a thread, for the notes panel.
+     *
+     * @return array<string, mixed>
+     */
+    public function present(PropertyNote $note, User $viewer): array
+    {
+        $presented = [
+            'id' => $note->id,
+            'parent_id' => $note->parent_id,
+            'body' => $note->body,
+            'author' => $note->user !== null ? ['id' => $note->user->id, 'name' => $note->user->name] : null,
+            'created_at' => $note->created_at->toIso8601String(),
+            'can_delete' => $note->isAuthoredBy($viewer) || $viewer->isAdmin(),
+            'mentions' => $note->mentions
+                ->map(fn (User $user) => ['id' => $user->id, 'name' => $user->name])
+                ->values()
+                ->all(),
+            'attachments' => $note->attachments
+                ->map(fn (PropertyNoteAttachment $attachment) => [
+                    'id' => $attachment->id,
+                    'name' => $attachment->original_name,
+                    'mime_type' => $attachment->mime_type,
+                    'size' => $attachment->size,
+                    'is_image' => $attachment->isImage(),
+                    'url' => route('properties.notes.attachments.show', [$note->property_id, $note->id, $attachment->id]),
+                ])
+                ->values()
+                ->all(),
+        ];
+
+        if ($note->parent_id === null) {
+            $presented['replies'] = $note->replies
+                ->map(fn (PropertyNote $reply) => $this->present($reply, $viewer))
+                ->all();
+        }
+
+        return $presented;
+    }
+
+    /**
+     * The active users, other than the author, who are mentioned by name in the body.
+     *
+     * @param  array<int, string>  $mentionIds
+     * @return Collection<int, User>
+     */
+    private function resolveMentions(?string $body, array $mentionIds, User $author): Collection
+    {
+        if ($body === null || $mentionIds === []) {
+            return collect();
+        }
+
+        return User::active()
+            ->whereIn('id', array_unique($mentionIds))
+            ->where('id', '!=', $author->id)
+            ->get()
+            ->filter(fn (User $user) => mb_stripos($body, '@'.$user->name) !== false)
+            ->values();
+    }
+}
@@ -5,6 +5,9 @@ declare(strict_types=1);
 namespace App\Services;
 
 use App\Models\Property;
+use App\Models\PropertyRollup;
+use App\Models\UtilityExpense;
+use Carbon\Carbon;
 use Illuminate\Contracts\Pagination\LengthAwarePaginator as LengthAwarePaginatorContract;
 use Illuminate\Pagination\LengthAwarePaginator;
 use Illuminate\Support\Collection;
@@ -26,6 +29,16 @@ class PropertyService
      */
     public const ALLOWED_PAGE_SIZES = [15, 50, 100];
 
+    /**
+     * Columns the property list can be sorted by.
+     */
+    public const ALLOWED_SORTS = ['name', 'city', 'unit_count', 'total_sqft', 'property_type', 'is_active'];
+
+    /**
+     * Months of utility expenses behind the map's cost-per-unit metric.
+     */
+    public const MAP_UTILITY_MONTHS = 12;
+
     /**
      * Get a filtered, paginated list of properties.
      *
@@ -76,17 +89,22 @@ class PropertyService
             $query->where('is_active', (bool) $filters['is_active']);
         }
 
+        // Filter to a map area ("search this area")
+        $bounds = $this->parseBounds($filters['bounds'] ?? null);
+        if ($bounds !== null) {
+            $query->withinBounds(...$bounds);
+        }
+
         // Sorting
         $sortField = $filters['sort'] ?? 'name';
         $sortDirection = $filters['direction'] ?? 'asc';
-        $allowedSorts = ['name', 'city', 'unit_count', 'total_sqft', 'property_type', 'is_active'];
 
         // Map unit_count to units_count (withCount creates units_count)
         if ($sortField === 'unit_count') {
             $sortField = 'units_count';
         }
 
-        if (in_array($filters['sort'] ?? 'name', $allowedSorts)) {
+        if (in_array($filters['sort'] ?? 'name', self::ALLOWED_SORTS)) {
             $query->orderBy($sortField, $sortDirection === 'desc' ? 'desc' : 'asc');
         }
 
@@ -119,6 +137,55 @@ class PropertyService
         return $properties;
     }
 
+    /**
+     * Get the metrics the property map can color markers by.
+     *
+     * Delinquency and open work orders come from each property's most recent
+     * rollup; utility cost per unit is the trailing MAP_UTILITY_MONTHS of
+     * utility expenses over the effective unit count. Metrics without data
+     * are null.
+     *
+     * @param  iterable<Property>  $properties  Properties from getFilteredProperties()
+     * @return array<string, array{occupancy_rate: float|null, delinquency_amount: float|null, open_work_orders: int|null, utility_cost_per_unit: float|null}>
+     */
+    public function getMapMetrics(iterable $properties, ?Carbon $asOf = null): array
+    {
+        $asOf = ($asOf ?? now())->copy()->startOfDay();
+        $properties = collect($properties);
+        $propertyIds = $properties->pluck('id')->all();
+
+        if (empty($propertyIds)) {
+            return [];
+        }
+
+        $rollups = PropertyRollup::latestForProperties($propertyIds, $asOf->toDateString())
+            ->get(['property_rollups.property_id', 'property_rollups.delinquency_amount', 'property_rollups.open_work_orders'])
+            ->keyBy('property_id');
+
+        $utilityCosts = UtilityExpense::query()
+            ->whereIn('property_id', $propertyIds)
+            ->inDateRange($asOf->copy()->subMonths(self::MAP_UTILITY_MONTHS), $asOf)
+            ->groupBy('property_id')
+            ->selectRaw('property_id, SUM(amount) as total')
+            ->toBase()
+            ->pluck('total', 'property_id');
+
+        return $properties->mapWithKeys(function (Property $property) use ($rollups, $utilityCosts) {
+            $rollup = $rollups->get($property->id);
+            $unitCount = (int) ($property->effective_values['unit_count']['value'] ?? $property->unit_count ?? 0);
+            $utilityCost = $utilityCosts->get($property->id);
+
+            return [$property->id => [
+                'occupancy_rate' => $property->occupancy_rate,
+                'delinquency_amount' => $rollup ? (float) $rollup->delinquency_amount : null,
+                'open_work_orders' => $rollup ? (int) $rollup->open_work_orders : null,
+                'utility_cost_per_unit' => $utilityCost !== null && $unitCount > 0
+                    ? round((float) $utilityCost / $unitCount, 2)
+                    : null,
+            ]];
+        })->all();
+    }
+
     /**
      * Get unique portfolios from all properties.
      *
@@ -238,4 +305,30 @@ class PropertyService
                 ])),
             ]);
     }
+
+    /**
+     * Parse a "south,west,north,east" bounding box.
+     *
+     * @return array{0: float, 1: float, 2: float, 3: float}|null
+     */
+    private function parseBounds(mixed $bounds): ?array
+    {
+        if (! is_string($bounds) || $bounds === '') {
+            return null;
+        }
+
+        $parts = explode(',', $bounds);
+
+        if (count($parts) !== 4 || array_filter($parts, fn ($part) => ! is_numeric(trim($part)))) {
+            return null;
+        }
+
+        [$south, $west, $north, $east] = array_map(fn ($part) => (float) $part, $parts);
+
+        if ($south > $north || abs($south) > 90 || abs($north) > 90 || abs($west) > 180 || abs($east) > 180) {
+            return null;
+        }
+
+        return [$south, $west, $north, $east];
+    }
 }
@@ -0,0 +1,215 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Lease;
+use App\Models\Property;
+use App\Models\Unit;
+use Carbon\Carbon;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Support\Collection;
+
+/**
+ * Rent Roll Service
+ *
+ * Joins a property's units to the lease and tenant in place on a given day,
+ * comparing market rent to the rent actually charged.
+ */
+class RentRollService
+{
+    /**
+     * Leases ending within this many days count as expiring.
+     */
+    public const EXPIRING_DAYS = 60;
+
+    /**
+     * Rent roll filters and their labels.
+     */
+    public const FILTERS = [
+        'all' => 'All Units',
+        'leased' => 'Leased',
+        'vacant' => 'Vacant',
+        'expiring' => 'Expiring in 60 Days',
+        'month_to_month' => 'Month to Month',
+    ];
+
+    /**
+     * Columns the rent roll can be sorted by.
+     */
+    public const SORTS = [
+        'unit_number',
+        'tenant_name',
+        'market_rent',
+        'rent',
+        'loss_to_lease',
+        'lease_end',
+        'days_to_expiration',
+    ];
+
+    /**
+     * Get the rent roll for a property.
+     *
+     * Filters: `filter` (see FILTERS), `search` (unit number or tenant name),
+     * `sort` (see SORTS) and `direction`. The summary always covers every unit
+     * so the totals do not move as the table is filtered.
+     *
+     * @param  array{filter?: string|null, search?: string|null, sort?: string|null, direction?: string|null}  $filters
+     * @return array{filters: array, summary: array, rows: array}
+     */
+    public function getRentRoll(Property $property, array $filters = [], ?Carbon $asOf = null): array
+    {
+        $asOf = ($asOf ?? now())->copy()->startOfDay();
+
+        $filter = is_string($filters['filter'] ?? null) && array_key_exists($filters['filter'], self::FILTERS) ? $filters['filter'] : 'all';
+        $search = is_string($filters['search'] ?? null) ? trim($filters['search']) : '';
+        $sort = in_array($filters['sort'] ?? null, self::SORTS, true) ? $filters['sort'] : 'unit_number';
+        $direction = ($filters['direction'] ?? 'asc') === 'desc' ? 'desc' : 'asc';
+
+        $rows = $this->buildRows($property, $asOf);
+
+        return [
+            'filters' => [
+                'filter' => $filter,
+                'search' => $search,
+                'sort' => $sort,
+                'direction' => $direction,
+            ],
+            'as_of' => $asOf->toDateString(),
+            'summary' => $this->summarize($rows),
+            'rows' => $this->sortRows($this->filterRows($rows, $filter, $search), $sort, $direction)->all(),
+        ];
+    }
+
+    /**
+     * Build one row per active unit with its current lease, if any.
+     *
+     * A lease is current when it has started and has not yet ended, the same
+     * rule analytics use for occupancy. If leases overlap, the newest wins.
+     *
+     * @return Collection<int, array<string, mixed>>
+     */
+    private function buildRows(Property $property, Carbon $asOf): Collection
+    {
+        $day = $asOf->toDateString();
+
+        return $property->units()
+            ->active()
+            ->with(['leases' => fn ($query) => $query
+                ->where('start_date', '<=', $day)
+                ->where(fn (Builder $inner) => $inner->where('end_date', '>=', $day)->orWhereNull('end_date'))
+                ->with('person:id,name,email,phone')
+                ->orderByDesc('start_date')])
+            ->get()
+            ->map(function (Unit $unit) use ($asOf) {
+                /** @var Lease|null $lease */
+                $lease = $unit->leases->first();
+
+                $marketRent = $unit->market_rent !== null ? (float) $unit->market_rent : null;
+                $rent = $lease?->rent !== null ? (float) $lease->rent : null;
+
+                return [
+                    'unit_id' => $unit->id,
+                    'unit_number' => $unit->unit_number,
+                    'unit_type' => $unit->unit_type,
+                    'unit_status' => $unit->status,
+                    'bedrooms' => $unit->bedrooms,
+                    'bathrooms' => $unit->bathrooms !== null ? (float) $unit->bathrooms : null,
+                    'sqft' => $unit->sqft,
+                    'market_rent' => $marketRent,
+                    'lease_id' => $lease?->id,
+                    'lease_status' => $lease?->status,
+                    'tenant_name' => $lease?->person?->name,
+                    'tenant_email' => $lease?->person?->email,
+                    'tenant_phone' => $lease?->person?->phone,
+                    'lease_start' => $lease?->start_date?->toDateString(),
+                    'lease_end' => $lease?->end_date?->toDateString(),
+                    'rent' => $rent,
+                    'security_deposit' => $lease?->security_deposit !== null ? (float) $lease->security_deposit : null,
+                    'loss_to_lease' => $marketRent !== null && $rent !== null ? round($marketRent - $rent, 2) : null,
+                    'days_to_expiration' => $lease?->end_date ? (int) $asOf->diffInDays($lease->end_date) : null,
+                ];
+            });
+    }
+
+    /**
+     * Totals across every unit.
+     *
+     * @param  Collection<int, array<string, mixed>>  $rows
+     * @return array<string, float|int>
+     */
+    private function summarize(Collection $rows): array
+    {
+        $leased = $rows->whereNotNull('lease_id');
+
+        return [
+            'total_units' => $rows->count(),
+            'leased_units' => $leased->count(),
+            'vacant_units' => $rows->count() - $leased->count(),
+            'total_market_rent' => round((float) $rows->sum('market_rent'), 2),
+            'total_rent' => round((float) $leased->sum('rent'), 2),
+            'total_loss_to_lease' => round((float) $leased->sum('loss_to_lease'), 2),
+            'expiring_units' => $rows->filter(fn (array $row) => $this->isExpiring($row))->count(),
+        ];
+    }
+
+    /**
+     * @param  Collection<int, array<string, mixed>>  $rows
+     * @return Collection<int, array<string, mixed>>
+     */
+    private function filterRows(Collection $rows, string $filter, string $search): Collection
+    {
+        $rows = match ($filter) {
+            'leased' => $rows->whereNotNull('lease_id'),
+            'vacant' => $rows->whereNull('lease_id'),
+            'expiring' => $rows->filter(fn (array $row) => $this->isExpiring($row)),
+            'month_to_month' => $rows->filter(fn (array $row) => $row['lease_id'] !== null && $row['lease_end'] === null),
+            default => $rows,
+        };
+
+        if ($search !== '') {
+            $rows = $rows->filter(fn (array $row) => str_contains(mb_strtolower((string) $row['unit_number']), mb_strtolower($search))
+                || str_contains(mb_strtolower((string) $row['tenant_name']), mb_strtolower($search)));
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Sort rows, keeping empty values last in either direction.
+     *
+     * @param  Collection<int, array<string, mixed>>  $rows
+     * @return Collection<int, array<string, mixed>>
+     */
+    private function sortRows(Collection $rows, string $sort, string $direction): Collection
+    {
+        return $rows->sort(function (array $a, array $b) use ($sort, $direction) {
+            $left = $a[$sort];
+            $right = $b[$sort];
+
+            if ($left === null || $right === null) {
+                return ($left === null) <=> ($right === null)
+                    ?: strnatcasecmp((string) $a['unit_number'], (string) $b['unit_number']);
+            }
+
+            $result = is_string($left)
+                ? strnatcasecmp($left, (string) $right)
+                : $left <=> $right;
+
+            if ($result === 0) {
+                return strnatcasecmp((string) $a['unit_number'], (string) $b['unit_number']);
+            }
+
+            return $direction === 'desc' ? -$result : $result;
+        })->values();
+    }
+
+    /**
+     * @param  array<string, mixed>  $row
+     */
+    private function isExpiring(array $row): bool
+    {
+        return $row['days_to_expiration'] !== null && $row['days_to_expiration'] <= self::EXPIRING_DAYS;
+    }
+}
@@ -0,0 +1,103 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\SavedView;
+use App\Models\User;
+use Illuminate\Support\Str;
+
+/**
+ * Saved View Service
+ *
+ * Named filter/sort presets for list pages. Views belong to the user who
+ * saved them and can be shared with the rest of the team; each user can
+ * pick one visible view per page as their default.
+ */
+class SavedViewService
+{
+    /**
+     * List the views a user can pick on a page: their own first, then
+     * views shared by others, each group by name.
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    public function getViews(User $user, string $page): array
+    {
+        return SavedView::query()
+            ->forPage($page)
+            ->visibleTo($user)
+            ->with('user:id,name')
+            ->get()
+            ->sortBy([
+                fn (SavedView $a, SavedView $b) => (int) ! $a->isOwnedBy($user) <=> (int) ! $b->isOwnedBy($user),
+                fn (SavedView $a, SavedView $b) => strcasecmp($a->name, $b->name),
+            ])
+            ->map(fn (SavedView $view) => $this->present($view, $user))
+            ->values()
+            ->all();
+    }
+
+    /**
+     * Find a view the user is allowed to use on a page.
+     */
+    public function findVisible(User $user, string $page, mixed $id): ?SavedView
+    {
+        if (! is_string($id) || ! Str::isUuid($id)) {
+            return null;
+        }
+
+        return SavedView::query()
+            ->forPage($page)
+            ->visibleTo($user)
+            ->find($id);
+    }
+
+    /**
+     * Get the user's default view for a page.
+     *
+     * A default that has since been deleted or unshared is ignored.
+     */
+    public function getDefault(User $user, string $page): ?SavedView
+    {
+        return $this->findVisible($user, $page, $user->getPreference(SavedView::defaultPreferenceKey($page)));
+    }
+
+    /**
+     * Set or clear the user's default view for a page.
+     */
+    public function setDefault(User $user, string $page, ?SavedView $view): void
+    {
+        $user->setPreference(SavedView::defaultPreferenceKey($page), $view?->id);
+    }
+
+    /**
+     * Keep only the filter keys the page stores, dropping empty values.
+     *
+     * @param  array<string, mixed>  $filters
+     * @return array<string, mixed>
+     */
+    public function normalizeFilters(string $page, array $filters): array
+    {
+        return collect($filters)
+            ->only(SavedView::PAGES[$page] ?? [])
+            ->reject(fn ($value) => $value === null || $value === '')
+            ->all();
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function present(SavedView $view, User $user): array
+    {
+        return [
+            'id' => $view->id,
+            'name' => $view->name,
+            'filters' => $view->filters,
+            'is_shared' => $view->is_shared,
+            'is_owner' => $view->isOwnedBy($user),
+            'owner_name' => $view->user?->name,
+        ];
+    }
+}
@@ -138,9 +138,11 @@ class SyncFailureAlertService
             'recipients' => $recipients,
         ]);
 
-        // Send notification
-        Notification::route('mail', $recipients)
-            ->notify(new SyncFailureNotification($alert, $syncRun));
+        // Send notification by email, plus an in-app entry for recipients with an account
+        $notification = new SyncFailureNotification($alert, $syncRun);
+
+        Notification::route('mail', $recipients)->notify($notification);
+        Notification::send(User::active()->whereIn('email', $recipients)->get(), $notification);
 
         // Mark alert as sent
         $alert->markAlertSent();
@@ -0,0 +1,197 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Lease;
+use App\Models\LedgerTransaction;
+use App\Models\Unit;
+use App\Models\WorkOrder;
+use Carbon\Carbon;
+
+/**
+ * Unit Detail Service
+ *
+ * Gathers everything the unit drawer on the property page shows: the unit's
+ * attributes, its lease history with tenants, its work orders, and its
+ * ledger balance with the latest transactions.
+ *
+ * The balance follows the delinquency KPI used on the Financials tab:
+ * charges minus payments, with adjustments left out.
+ */
+class UnitDetailService
+{
+    /**
+     * Most recent work orders listed for a unit.
+     */
+    public const WORK_ORDER_LIMIT = 25;
+
+    /**
+     * Most recent ledger transactions listed for a unit.
+     */
+    public const LEDGER_LIMIT = 10;
+
+    /**
+     * Build the drawer payload for a unit.
+     *
+     * @return array{unit: array<string, mixed>, leases: array<int, array<string, mixed>>, work_orders: array{total: int, open: int, total_cost: float, items: array<int, array<string, mixed>>}, ledger: array{balance: float, charges: float, payments: float, last_payment_date: string|null, recent: array<int, array<string, mixed>>}}
+     */
+    public function getDetail(Unit $unit, ?Carbon $asOf = null): array
+    {
+        $asOf = ($asOf ?? now())->copy()->startOfDay();
+
+        return [
+            'unit' => [
+                'id' => $unit->id,
+                'unit_number' => $unit->unit_number,
+                'unit_type' => $unit->unit_type,
+                'status' => $unit->status,
+                'bedrooms' => $unit->bedrooms,
+                'bathrooms' => $unit->bathrooms !== null ? (float) $unit->bathrooms : null,
+                'sqft' => $unit->sqft,
+                'market_rent' => $unit->market_rent !== null ? (float) $unit->market_rent : null,
+                'advertised_rent' => $unit->advertised_rent !== null ? (float) $unit->advertised_rent : null,
+                'rentable' => $unit->rentable,
+                'is_active' => $unit->is_active,
+                'external_id' => $unit->external_id,
+            ],
+            'leases' => $this->getLeaseHistory($unit, $asOf),
+            'work_orders' => $this->getWorkOrders($unit),
+            'ledger' => $this->getLedgerBalance($unit, $asOf),
+        ];
+    }
+
+    /**
+     * Every lease on the unit, newest first.
+     *
+     * A lease is `current` when it has started and not yet ended, the same
+     * rule the Rent Roll uses; when leases overlap, only the most recently
+     * started one is current. Others are `future` or `past`.
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    private function getLeaseHistory(Unit $unit, Carbon $asOf): array
+    {
+        $currentFound = false;
+
+        return $unit->leases()
+            ->with('person:id,name,email,phone')
+            ->orderByDesc('start_date')
+            ->get()
+            ->map(function (Lease $lease) use ($asOf, &$currentFound) {
+                if ($lease->start_date !== null && $lease->start_date->gt($asOf)) {
+                    $timing = 'future';
+                } elseif (! $currentFound && $lease->start_date !== null && ($lease->end_date === null || $lease->end_date->gte($asOf))) {
+                    $timing = 'current';
+                    $currentFound = true;
+                } else {
+                    $timing = 'past';
+                }
+
+                return [
+                    'id' => $lease->id,
+                    'tenant_name' => $lease->person?->name,
+                    'tenant_email' => $lease->person?->email,
+                    'tenant_phone' => $lease->person?->phone,
+                    'start_date' => $lease->start_date?->toDateString(),
+                    'end_date' => $lease->end_date?->toDateString(),
+                    'rent' => $lease->rent !== null ? (float) $lease->rent : null,
+                    'security_deposit' => $lease->security_deposit !== null ? (float) $lease->security_deposit : null,
+                    'status' => $lease->status,
+                    'timing' => $timing,
+                ];
+            })
+            ->all();
+    }
+
+    /**
+     * The unit's work orders, newest first, with totals across all of them.
+     *
+     * @return array{total: int, open: int, total_cost: float, items: array<int, array<string, mixed>>}
+     */
+    private function getWorkOrders(Unit $unit): array
+    {
+        $totals = $unit->workOrders()
+            ->selectRaw("
+                COUNT(*) as total,
+                SUM(CASE WHEN status IN ('open', 'in_progress') THEN 1 ELSE 0 END) as open,
+                COALESCE(SUM(amount), 0) as total_cost
+            ")
+            ->toBase()
+            ->first();
+
+        $items = $unit->workOrders()
+            ->with('vendor:id,company_name')
+            ->orderByDesc('opened_at')
+            ->limit(self::WORK_ORDER_LIMIT)
+            ->get()
+            ->map(fn (WorkOrder $workOrder) => [
+                'id' => $workOrder->id,
+                'external_id' => $workOrder->external_id,
+                'status' => $workOrder->status,
+                'priority' => $workOrder->priority,
+                'category' => $workOrder->category,
+                'description' => $workOrder->description,
+                'vendor_id' => $workOrder->vendor_id,
+                'vendor_name' => $workOrder->vendor?->company_name ?? $workOrder->vendor_name,
+                'amount' => $workOrder->amount !== null ? (float) $workOrder->amount : null,
+                'opened_at' => $workOrder->opened_at?->toDateString(),
+                'closed_at' => $workOrder->closed_at?->toDateString(),
+                'days_open' => $workOrder->days_open,
+            ])
+            ->all();
+
+        return [
+            'total' => (int) ($totals->total ?? 0),
+            'open' => (int) ($totals->open ?? 0),
+            'total_cost' => round((float) ($totals->total_cost ?? 0), 2),
+            'items' => $items,
+        ];
+    }
+
+    /**
+     * The unit's balance as of the given date, with its latest transactions.
+     *
+     * @return array{balance: float, charges: float, payments: float, last_payment_date: string|null, recent: array<int, array<string, mixed>>}
+     */
+    private function getLedgerBalance(Unit $unit, Carbon $asOf): array
+    {
+        $totals = $unit->ledgerTransactions()
+            ->where('date', '<=', $asOf->toDateString())
+            ->selectRaw('COALESCE(SUM(CASE WHEN type = ? THEN amount ELSE 0 END), 0) as charges', ['charge'])
+            ->selectRaw('COALESCE(SUM(CASE WHEN type = ? THEN amount ELSE 0 END), 0) as payments', ['payment'])
+            ->selectRaw('MAX(CASE WHEN type = ? THEN date END) as last_payment_date', ['payment'])
+            ->toBase()
+            ->first();
+
+        $charges = round((float) ($totals->charges ?? 0), 2);
+        $payments = round((float) ($totals->payments ?? 0), 2);
+
+        $recent = $unit->ledgerTransactions()
+            ->where('date', '<=', $asOf->toDateString())
+            ->orderByDesc('date')
+            ->orderByDesc('created_at')
+            ->limit(self::LEDGER_LIMIT)
+            ->get()
+            ->map(fn (LedgerTransaction $transaction) => [
+                'id' => $transaction->id,
+                'date' => $transaction->date->toDateString(),
+                'type' => $transaction->type,
+                'category' => $transaction->category,
+                'description' => $transaction->description,
+                'amount' => (float) $transaction->amount,
+            ])
+            ->all();
+
+        return [
+            'balance' => round($charges - $payments, 2),
+            'charges' => $charges,
+            'payments' => $payments,
+            'last_payment_date' => $totals?->last_payment_date
+                ? Carbon::parse($totals->last_payment_date)->toDateString()
+                : null,
+            'recent' => $recent,
+        ];
+    }
+}
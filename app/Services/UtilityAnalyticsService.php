@@ -264,8 +264,22 @@ class UtilityAnalyticsService
     {
         // Compute portfolio data with per-property values in a single pass
         $portfolioData = $this->computePortfolioData($utilityType, $period, $metric);
-        $average = $portfolioData['average'];
-        $stdDev = $portfolioData['std_dev'];
+
+        return $this->detectAnomalies($portfolioData['property_values'], $threshold);
+    }
+
+    /**
+     * Flag the property values outside a number of standard deviations from their average.
+     *
+     * @param  array  $propertyValues  List of ['property_id', 'property_name', 'value'] arrays
+     * @param  float  $threshold  Number of standard deviations for anomaly detection
+     * @return array List of properties with anomalous values, most anomalous first
+     */
+    public function detectAnomalies(array $propertyValues, float $threshold = 2.0): array
+    {
+        $values = array_column($propertyValues, 'value');
+        $average = count($values) > 0 ? array_sum($values) / count($values) : 0;
+        $stdDev = $this->calculateStdDev($values, $average);
 
         if ($stdDev <= 0) {
             return [];
@@ -276,8 +290,7 @@ class UtilityAnalyticsService
 
         $anomalies = [];
 
-        // Use the already-computed property values from portfolioData
-        foreach ($portfolioData['property_values'] as $propertyData) {
+        foreach ($propertyValues as $propertyData) {
             $value = $propertyData['value'];
 
             if ($value < $lowerBound || $value > $upperBound) {
@@ -435,29 +448,17 @@ class UtilityAnalyticsService
     }
 
     /**
-     * Get portfolio trend data using a single aggregated query.
+     * Get monthly expense totals per property and utility type.
      *
-     * Returns monthly totals for each utility type across all properties,
-     * replacing the nested loop pattern in getPortfolioTrend().
+     * Properties excluded from a utility type are left out of that type's rows.
      *
-     * @param  array  $utilityTypes  Array of utility types
-     * @param  int  $months  Number of months to include
-     * @param  Carbon|null  $referenceDate  Reference date (defaults to now)
-     * @return Collection Monthly totals grouped by month and utility type
+     * @param  array  $propertyIds  Properties to include
+     * @param  array  $utilityTypeKeys  Utility type keys to include
+     * @return Collection Rows with month, utility_type, property_id and total
      */
-    public function getPortfolioTrendData(array $utilityTypeKeys, int $months = 12, ?Carbon $referenceDate = null): Collection
+    public function getPortfolioMonthlyExpenses(array $propertyIds, array $utilityTypeKeys, Carbon $startDate, Carbon $endDate): Collection
     {
-        $date = $referenceDate ?? now();
-        $endDate = $date->copy()->endOfMonth();
-        $startDate = $date->copy()->subMonths($months - 1)->startOfMonth();
-
-        // Get properties that should be included in portfolio calculations
-        $propertyIds = Property::active()
-            ->forUtilityReports()
-            ->pluck('id')
-            ->toArray();
-
-        if (empty($propertyIds)) {
+        if (empty($propertyIds) || empty($utilityTypeKeys)) {
             return collect();
         }
 
@@ -485,14 +486,44 @@ class UtilityAnalyticsService
             ->toBase()
             ->get();
 
-        // Filter out excluded properties per utility type and re-aggregate
-        $filtered = $results->reject(function ($item) use ($exclusionsByType) {
+        // Filter out excluded properties per utility type
+        return $results->reject(function ($item) use ($exclusionsByType) {
             $excludedIds = $exclusionsByType[$item->utility_type] ?? [];
 
             return in_array($item->property_id, $excludedIds);
-        });
+        })->values();
+    }
 
-        // Re-aggregate by month and utility_type after filtering
+    /**
+     * Get portfolio trend data using a single aggregated query.
+     *
+     * Returns monthly totals for each utility type across all properties,
+     * replacing the nested loop pattern in getPortfolioTrend().
+     *
+     * @param  array  $utilityTypes  Array of utility types
+     * @param  int  $months  Number of months to include
+     * @param  Carbon|null  $referenceDate  Reference date (defaults to now)
+     * @return Collection Monthly totals grouped by month and utility type
+     */
+    public function getPortfolioTrendData(array $utilityTypeKeys, int $months = 12, ?Carbon $referenceDate = null): Collection
+    {
+        $date = $referenceDate ?? now();
+        $endDate = $date->copy()->endOfMonth();
+        $startDate = $date->copy()->subMonths($months - 1)->startOfMonth();
+
+        // Get properties that should be included in portfolio calculations
+        $propertyIds = Property::active()
+            ->forUtilityReports()
+            ->pluck('id')
+            ->toArray();
+
+        if (empty($propertyIds)) {
+            return collect();
+        }
+
+        $filtered = $this->getPortfolioMonthlyExpenses($propertyIds, $utilityTypeKeys, $startDate, $endDate);
+
+        // Re-aggregate by month and utility_type
         return $filtered->groupBy(fn ($item) => $item->month.'|'.$item->utility_type)
             ->map(function ($group) {
                 $first = $group->first();
@@ -506,6 +537,79 @@ class UtilityAnalyticsService
             ->values();
     }
 
+    /**
+     * Get portfolio trend data across all utility types.
+     *
+     * Uses a single bulk query to fetch all monthly totals instead of
+     * N+1 queries per month/utility type combination.
+     */
+    public function getPortfolioTrend(array $utilityTypes, int $months = 12): array
+    {
+        $date = Carbon::now();
+
+        // Fetch all trend data in a single query
+        $trendData = $this->getPortfolioTrendData($utilityTypes, $months, $date);
+
+        // Group by month for efficient lookup
+        $monthlyData = $trendData->groupBy(fn ($item) => Carbon::parse($item->month)->format('Y-m'));
+
+        $data = [];
+        for ($i = $months - 1; $i >= 0; $i--) {
+            $periodDate = $date->copy()->subMonths($i);
+            $monthKey = $periodDate->format('Y-m');
+
+            $row = [
+                'period' => $periodDate->format('M Y'),
+                'date' => $periodDate->toDateString(),
+            ];
+
+            // Initialize all utility types to 0
+            $total = 0;
+            foreach ($utilityTypes as $type) {
+                $row[$type] = 0;
+            }
+
+            // Fill in actual values from the query result
+            $monthItems = $monthlyData->get($monthKey, collect());
+            foreach ($monthItems as $item) {
+                $row[$item->utility_type] = (float) $item->total;
+                $total += (float) $item->total;
+            }
+
+            $row['total'] = $total;
+            $data[] = $row;
+        }
+
+        return $data;
+    }
+
+    /**
+     * Get the most significant anomalies across several utility types.
+     *
+     * @param  Collection<int, UtilityType>  $utilityTypes  Utility type models to check
+     * @param  array  $period  Period config ['type' => 'month|quarter|year', 'date' => Carbon]
+     * @param  int  $limit  Maximum anomalies to return, ordered by absolute deviation
+     * @return array List of anomalies tagged with utility_type and utility_label
+     */
+    public function getPortfolioAnomalies(Collection $utilityTypes, array $period, int $limit = 10): array
+    {
+        $anomalies = [];
+        foreach ($utilityTypes as $typeModel) {
+            $type = $typeModel->key;
+            $typeAnomalies = $this->getAnomalies($type, $period, 2.0);
+            foreach ($typeAnomalies as $anomaly) {
+                $anomaly['utility_type'] = $type;
+                $anomaly['utility_label'] = $typeModel->label;
+                $anomalies[] = $anomaly;
+            }
+        }
+
+        // Sort by absolute deviation and limit
+        usort($anomalies, fn ($a, $b) => abs($b['deviation']) <=> abs($a['deviation']));
+
+        return array_slice($anomalies, 0, $limit);
+    }
+
     /**
      * Get property comparison data using bulk queries.
      *
@@ -657,8 +761,12 @@ class UtilityAnalyticsService
      * Similar to getPropertyComparisonDataBulk but with additional filtering capabilities.
      * Includes property_type in returned data for display purposes.
      *
+     * With the excluded_only filter the comparison covers the properties left
+     * out of utility reports instead: those with an exclusion flag and those
+     * excluded from this utility type.
+     *
      * @param  string  $utilityType  The utility type to compare
-     * @param  array  $filters  Filters: unit_count_min, unit_count_max, property_types
+     * @param  array  $filters  Filters: unit_count_min, unit_count_max, property_types, excluded_only
      * @param  Carbon|null  $referenceDate  Reference date (defaults to now)
      * @return array Comparison data with properties, totals, and averages
      */
@@ -673,11 +781,22 @@ class UtilityAnalyticsService
         $utilityExcludedIds = PropertyUtilityExclusion::getExcludedPropertyIdsByTypeKey($utilityType);
 
         // Build base query with filters
-        $query = Property::active()
-            ->forUtilityReports()
-            ->when(! empty($utilityExcludedIds), function ($q) use ($utilityExcludedIds) {
-                $q->whereNotIn('id', $utilityExcludedIds);
+        $query = Property::active();
+
+        if (! empty($filters['excluded_only'])) {
+            $query->where(function ($q) use ($utilityExcludedIds) {
+                $q->whereHas('flags', function ($flagQuery) {
+                    $flagQuery->whereIn('flag_type', PropertyFlag::UTILITY_EXCLUSION_FLAGS);
+                })->when(! empty($utilityExcludedIds), function ($q) use ($utilityExcludedIds) {
+                    $q->orWhereIn('id', $utilityExcludedIds);
+                });
             });
+        } else {
+            $query->forUtilityReports()
+                ->when(! empty($utilityExcludedIds), function ($q) use ($utilityExcludedIds) {
+                    $q->whereNotIn('id', $utilityExcludedIds);
+                });
+        }
 
         // Apply unit count filters
         if (isset($filters['unit_count_min']) && is_numeric($filters['unit_count_min'])) {
@@ -1003,7 +1122,7 @@ class UtilityAnalyticsService
     /**
      * Get the effective unit count for a property (respecting adjustments).
      */
-    private function getEffectiveUnitCount(Property $property, Carbon $date): int
+    public function getEffectiveUnitCount(Property $property, Carbon $date): int
     {
         if ($this->adjustmentService->hasAdjustment($property, 'unit_count', $date)) {
             return (int) $this->adjustmentService->getEffectiveValue($property, 'unit_count', $date);
@@ -1016,7 +1135,7 @@ class UtilityAnalyticsService
     /**
      * Get the effective square footage for a property (respecting adjustments).
      */
-    private function getEffectiveSqft(Property $property, Carbon $date): int
+    public function getEffectiveSqft(Property $property, Carbon $date): int
     {
         if ($this->adjustmentService->hasAdjustment($property, 'total_sqft', $date)) {
             return (int) $this->adjustmentService->getEffectiveValue($property, 'total_sqft', $date);
@@ -1030,7 +1149,7 @@ class UtilityAnalyticsService
      *
      * @return array{Carbon, Carbon} [startDate, endDate]
      */
-    private function getPeriodDates(array $period): array
+    public function getPeriodDates(array $period): array
     {
         $date = $period['date'] ?? now();
         $type = $period['type'] ?? 'month';
@@ -0,0 +1,436 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Property;
+use App\Models\User;
+use App\Models\UtilityAnomaly;
+use App\Models\UtilityAnomalySetting;
+use App\Models\UtilityNote;
+use App\Models\UtilityType;
+use Carbon\Carbon;
+use Illuminate\Contracts\Pagination\LengthAwarePaginator;
+use Illuminate\Support\Collection;
+
+/**
+ * Utility Anomaly Service
+ *
+ * Detects and stores months in which a property's utility cost looks wrong,
+ * using each utility type's anomaly settings: the standard-deviation check
+ * against the portfolio average (run on weather-adjusted costs for
+ * weather-sensitive types), a percent-over-rolling-average check against the
+ * property's own recent months, and a minimum dollar impact. Stored anomalies
+ * stay open on the dashboards until they are acknowledged or dismissed.
+ */
+class UtilityAnomalyService
+{
+    /**
+     * Metric anomalies are recorded for.
+     */
+    public const METRIC = 'per_unit';
+
+    public function __construct(
+        private readonly WeatherNormalizationService $normalizationService,
+        private readonly UtilityAnalyticsService $analyticsService
+    ) {}
+
+    /**
+     * Detect and store the anomalies for a month.
+     *
+     * Re-running for the same month refreshes the stored values but keeps
+     * the original detection time and status. Open anomalies the current
+     * settings no longer flag are cleared rather than deleted, so they stay
+     * in the history and on the property timeline, and reopen if they are
+     * flagged again.
+     *
+     * @param  UtilityType|null  $utilityType  Only check this type (defaults to all types)
+     * @return int Number of newly detected anomalies
+     */
+    public function recordAnomalies(Carbon $month, ?UtilityType $utilityType = null): int
+    {
+        $periodStart = $month->copy()->startOfMonth();
+        $utilityTypes = $utilityType !== null
+            ? collect([$utilityType->load('anomalySetting')])
+            : UtilityType::ordered()->with('anomalySetting')->get();
+        $created = 0;
+
+        foreach ($utilityTypes as $type) {
+            $anomalies = $this->detectAnomalies($type, UtilityAnomalySetting::forType($type), $periodStart);
+
+            foreach ($anomalies as $propertyId => $attributes) {
+                $record = UtilityAnomaly::firstOrNew([
+                    'property_id' => $propertyId,
+                    'utility_type_id' => $type->id,
+                    'period_start' => $periodStart->toDateString(),
+                    'metric' => self::METRIC,
+                ]);
+
+                $record->fill($attributes);
+
+                if (! $record->exists) {
+                    $record->detected_at = now();
+                    $created++;
+                } elseif ($record->status === UtilityAnomaly::STATUS_CLEARED) {
+                    $record->fill([
+                        'status' => UtilityAnomaly::STATUS_OPEN,
+                        'resolved_at' => null,
+                    ]);
+                }
+
+                $record->save();
+            }
+
+            UtilityAnomaly::open()
+                ->where('utility_type_id', $type->id)
+                ->where('period_start', $periodStart->toDateString())
+                ->where('metric', self::METRIC)
+                ->whereNotIn('property_id', array_keys($anomalies))
+                ->update([
+                    'status' => UtilityAnomaly::STATUS_CLEARED,
+                    'resolved_by' => null,
+                    'resolved_at' => now(),
+                ]);
+        }
+
+        return $created;
+    }
+
+    /**
+     * Find a utility type's anomalies for a month.
+     *
+     * A property is flagged when any enabled check finds it and the cost
+     * difference behind that check is at least the minimum dollar impact.
+     *
+     * @return array<string, array<string, mixed>> Anomaly attributes keyed by property ID
+     */
+    public function detectAnomalies(UtilityType $utilityType, UtilityAnomalySetting $settings, Carbon $month): array
+    {
+        if (! $settings->is_enabled) {
+            return [];
+        }
+
+        $periodStart = $month->copy()->startOfMonth();
+        $anomalies = [];
+
+        if ($settings->z_score_threshold !== null) {
+            foreach ($this->getZScoreAnomalies($utilityType, $settings, $periodStart) as $propertyId => $anomaly) {
+                $anomalies[$propertyId] = $anomaly;
+            }
+        }
+
+        if ($settings->percent_over_average !== null) {
+            foreach ($this->getRollingAverageAnomalies($utilityType, $settings, $periodStart) as $propertyId => $anomaly) {
+                $existing = $anomalies[$propertyId] ?? null;
+
+                $anomalies[$propertyId] = $existing === null ? $anomaly : [
+                    ...$existing,
+                    'rules' => [...$existing['rules'], UtilityAnomaly::RULE_ROLLING_AVERAGE],
+                    'cost' => $anomaly['cost'],
+                    'baseline_cost' => $anomaly['baseline_cost'],
+                    'percent_over_baseline' => $anomaly['percent_over_baseline'],
+                    'dollar_impact' => abs($anomaly['dollar_impact']) > abs($existing['dollar_impact'])
+                        ? $anomaly['dollar_impact']
+                        : $existing['dollar_impact'],
+                ];
+            }
+        }
+
+        return $anomalies;
+    }
+
+    /**
+     * Get open anomalies for the dashboards, newest month first.
+     *
+     * Properties that have since been deactivated or excluded from utility
+     * reports are left out.
+     *
+     * @return array List of anomalies in the shape used by the anomaly alerts
+     */
+    public function getOpenAnomalies(int $limit = 10): array
+    {
+        $anomalies = UtilityAnomaly::open()
+            ->with(['property:id,name', 'utilityType:id,key,label', 'note'])
+            ->whereHas('property', fn ($query) => $query->active()->forUtilityReports())
+            ->orderByDesc('period_start')
+            ->orderByRaw('ABS(COALESCE(dollar_impact, 0)) DESC')
+            ->limit($limit)
+            ->get();
+
+        return $this->formatAnomalies($anomalies);
+    }
+
+    /**
+     * Get a page of open or resolved anomalies.
+     *
+     * @param  string  $status  'open' or 'resolved'
+     * @param  string|null  $utilityType  Utility type key to filter by
+     */
+    public function getHistory(string $status, ?string $utilityType = null, int $perPage = 25): LengthAwarePaginator
+    {
+        $paginator = UtilityAnomaly::query()
+            ->with(['property:id,name', 'utilityType:id,key,label', 'note', 'resolver:id,name'])
+            ->when($status === 'resolved', fn ($query) => $query->resolved(), fn ($query) => $query->open())
+            ->when($utilityType !== null, fn ($query) => $query->whereHas('utilityType', fn ($q) => $q->where('key', $utilityType)))
+            ->when(
+                $status === 'resolved',
+                fn ($query) => $query->orderByDesc('resolved_at'),
+                fn ($query) => $query->orderByDesc('period_start')->orderByDesc('detected_at')
+            )
+            ->paginate($perPage)
+            ->withQueryString();
+
+        $paginator->setCollection(collect($this->formatAnomalies($paginator->getCollection())));
+
+        return $paginator;
+    }
+
+    /**
+     * Mark an anomaly as seen and being dealt with.
+     */
+    public function acknowledge(UtilityAnomaly $anomaly, User $user): void
+    {
+        $anomaly->update([
+            'status' => UtilityAnomaly::STATUS_ACKNOWLEDGED,
+            'dismissal_reason' => null,
+            'resolved_by' => $user->id,
+            'resolved_at' => now(),
+        ]);
+    }
+
+    /**
+     * Dismiss an anomaly that isn't a real problem.
+     */
+    public function dismiss(UtilityAnomaly $anomaly, User $user, string $reason): void
+    {
+        $anomaly->update([
+            'status' => UtilityAnomaly::STATUS_DISMISSED,
+            'dismissal_reason' => $reason,
+            'resolved_by' => $user->id,
+            'resolved_at' => now(),
+        ]);
+    }
+
+    /**
+     * Put a resolved anomaly back on the dashboards.
+     */
+    public function reopen(UtilityAnomaly $anomaly): void
+    {
+        $anomaly->update([
+            'status' => UtilityAnomaly::STATUS_OPEN,
+            'dismissal_reason' => null,
+            'resolved_by' => null,
+            'resolved_at' => null,
+        ]);
+    }
+
+    /**
+     * Save the property's utility note for the anomaly's type and link it.
+     *
+     * Each property has one note per utility type, so this updates the
+     * existing note when there is one.
+     */
+    public function linkNote(UtilityAnomaly $anomaly, User $user, string $text): UtilityNote
+    {
+        $note = UtilityNote::updateOrCreate(
+            [
+                'property_id' => $anomaly->property_id,
+                'utility_type_id' => $anomaly->utility_type_id,
+            ],
+            [
+                'note' => $text,
+                'created_by' => $user->id,
+            ]
+        );
+
+        $anomaly->update(['utility_note_id' => $note->id]);
+
+        return $note;
+    }
+
+    /**
+     * Find properties far from the portfolio average cost per unit.
+     *
+     * @return array<string, array<string, mixed>> Keyed by property ID
+     */
+    private function getZScoreAnomalies(UtilityType $utilityType, UtilityAnomalySetting $settings, Carbon $periodStart): array
+    {
+        $found = $this->normalizationService->getAnomalies(
+            $utilityType->key,
+            ['type' => 'month', 'date' => $periodStart->copy()],
+            $settings->z_score_threshold,
+            self::METRIC
+        );
+
+        if (empty($found)) {
+            return [];
+        }
+
+        $properties = Property::whereIn('id', array_column($found, 'property_id'))->get()->keyBy('id');
+
+        $anomalies = [];
+        foreach ($found as $anomaly) {
+            $property = $properties->get($anomaly['property_id']);
+            $unitCount = $property !== null ? $this->analyticsService->getEffectiveUnitCount($property, $periodStart) : 0;
+            $impact = ($anomaly['value'] - $anomaly['average']) * $unitCount;
+
+            if (abs($impact) < $settings->min_dollar_impact) {
+                continue;
+            }
+
+            $anomalies[$anomaly['property_id']] = [
+                ...$this->emptyAttributes(),
+                'rules' => [UtilityAnomaly::RULE_Z_SCORE],
+                'direction' => $anomaly['type'],
+                'value' => $anomaly['value'],
+                'average' => $anomaly['average'],
+                'deviation' => $anomaly['deviation'],
+                'weather_adjusted' => $anomaly['weather_adjusted'] ?? false,
+                'dollar_impact' => round($impact, 2),
+            ];
+        }
+
+        return $anomalies;
+    }
+
+    /**
+     * Find properties whose cost is well over their own rolling average.
+     *
+     * The average covers the configured number of months before the one
+     * being checked, skipping months without bills. Weather-sensitive types
+     * compare weather-adjusted costs so a cold month isn't measured against
+     * a mild autumn.
+     *
+     * @return array<string, array<string, mixed>> Keyed by property ID
+     */
+    private function getRollingAverageAnomalies(UtilityType $utilityType, UtilityAnomalySetting $settings, Carbon $periodStart): array
+    {
+        $startDate = $periodStart->copy()->subMonths($settings->rolling_months);
+        $endDate = $periodStart->copy()->endOfMonth();
+
+        $properties = Property::active()->forUtilityReports()->get();
+        $expenses = $this->analyticsService->getPortfolioMonthlyExpenses(
+            $properties->pluck('id')->all(),
+            [$utilityType->key],
+            $startDate,
+            $endDate
+        );
+
+        $weatherAdjusted = $this->normalizationService->canNormalize($utilityType->key);
+        $factors = $weatherAdjusted
+            ? $this->normalizationService->getAdjustmentFactors($properties, (string) $this->normalizationService->getBasisForType($utilityType->key), $startDate, $endDate)
+            : [];
+
+        $costs = [];
+        foreach ($expenses as $item) {
+            $monthKey = Carbon::parse($item->month)->format('Y-m');
+            $costs[$item->property_id][$monthKey] = (float) $item->total * ($factors[$item->property_id][$monthKey] ?? 1.0);
+        }
+
+        $monthKey = $periodStart->format('Y-m');
+        $anomalies = [];
+        foreach ($costs as $propertyId => $months) {
+            $cost = $months[$monthKey] ?? 0;
+            unset($months[$monthKey]);
+
+            if ($cost <= 0 || empty($months)) {
+                continue;
+            }
+
+            $baseline = array_sum($months) / count($months);
+            if ($baseline <= 0) {
+                continue;
+            }
+
+            $percentOver = (($cost - $baseline) / $baseline) * 100;
+            $impact = $cost - $baseline;
+
+            if ($percentOver < $settings->percent_over_average || $impact < $settings->min_dollar_impact) {
+                continue;
+            }
+
+            $anomalies[$propertyId] = [
+                ...$this->emptyAttributes(),
+                'rules' => [UtilityAnomaly::RULE_ROLLING_AVERAGE],
+                'direction' => 'high',
+                'weather_adjusted' => isset($factors[$propertyId]),
+                'cost' => round($cost, 2),
+                'baseline_cost' => round($baseline, 2),
+                'percent_over_baseline' => round($percentOver, 2),
+                'dollar_impact' => round($impact, 2),
+            ];
+        }
+
+        return $anomalies;
+    }
+
+    /**
+     * Get anomaly figures with every check's values cleared.
+     *
+     * Re-detected anomalies are filled from this so a check that no longer
+     * applies doesn't leave its old figures behind.
+     */
+    private function emptyAttributes(): array
+    {
+        return [
+            'value' => null,
+            'average' => null,
+            'deviation' => null,
+            'weather_adjusted' => false,
+            'cost' => null,
+            'baseline_cost' => null,
+            'percent_over_baseline' => null,
+        ];
+    }
+
+    /**
+     * Format stored anomalies for the frontend.
+     *
+     * Anomalies without a linked note carry the property's current note for
+     * the type, so adding a note starts from what is already there.
+     *
+     * @param  Collection<int, UtilityAnomaly>  $anomalies
+     */
+    private function formatAnomalies(Collection $anomalies): array
+    {
+        $notes = UtilityNote::query()
+            ->whereIn('property_id', $anomalies->pluck('property_id')->unique()->all())
+            ->get()
+            ->keyBy(fn (UtilityNote $note) => "{$note->property_id}:{$note->utility_type_id}");
+
+        return $anomalies->map(function (UtilityAnomaly $anomaly) use ($notes) {
+            $note = $anomaly->note ?? $notes->get("{$anomaly->property_id}:{$anomaly->utility_type_id}");
+
+            return [
+                'id' => $anomaly->id,
+                'property_id' => $anomaly->property_id,
+                'property_name' => $anomaly->property?->name,
+                'utility_type' => $anomaly->utilityType?->key,
+                'utility_label' => $anomaly->utilityType?->label,
+                'type' => $anomaly->direction,
+                'rules' => $anomaly->rules ?? [UtilityAnomaly::RULE_Z_SCORE],
+                'period' => $anomaly->period_start->format('M Y'),
+                'period_start' => $anomaly->period_start->toDateString(),
+                'value' => $anomaly->value !== null ? (float) $anomaly->value : null,
+                'average' => $anomaly->average !== null ? (float) $anomaly->average : null,
+                'deviation' => $anomaly->deviation !== null ? (float) $anomaly->deviation : null,
+                'weather_adjusted' => $anomaly->weather_adjusted,
+                'cost' => $anomaly->cost !== null ? (float) $anomaly->cost : null,
+                'baseline_cost' => $anomaly->baseline_cost !== null ? (float) $anomaly->baseline_cost : null,
+                'percent_over_baseline' => $anomaly->percent_over_baseline !== null ? (float) $anomaly->percent_over_baseline : null,
+                'dollar_impact' => $anomaly->dollar_impact !== null ? (float) $anomaly->dollar_impact : null,
+                'status' => $anomaly->status,
+                'dismissal_reason' => $anomaly->dismissal_reason,
+                'resolved_by' => $anomaly->resolver?->name,
+                'resolved_at' => $anomaly->resolved_at?->toIso8601String(),
+                'detected_at' => $anomaly->detected_at->toIso8601String(),
+                'note' => $note !== null ? [
+                    'id' => $note->id,
+                    'note' => $note->note,
+                    'linked' => $note->id === $anomaly->utility_note_id,
+                ] : null,
+            ];
+        })->values()->all();
+    }
+}
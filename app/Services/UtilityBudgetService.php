@@ -0,0 +1,482 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Property;
+use App\Models\PropertyUtilityExclusion;
+use App\Models\UtilityBudget;
+use App\Models\UtilityExpense;
+use App\Models\UtilityType;
+use Carbon\Carbon;
+use Illuminate\Support\Collection;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Utility Budget Service
+ *
+ * Manages annual utility budgets per property and utility type, stored as
+ * twelve monthly amounts, and compares them with actual utility expenses.
+ * Year-to-date comparisons only count closed months, since bills for the
+ * current month are usually still arriving.
+ */
+class UtilityBudgetService
+{
+    /**
+     * CSV column names for the monthly amounts, January first.
+     */
+    public const MONTH_COLUMNS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+    /**
+     * Percent over the annual budget a year-end forecast must reach to be flagged.
+     */
+    public const OVER_BUDGET_THRESHOLD = 5.0;
+
+    public function __construct(
+        private readonly UtilityAnalyticsService $analyticsService,
+        private readonly CsvImportService $csvImportService = new CsvImportService
+    ) {}
+
+    /**
+     * Split an annual amount evenly across the twelve months.
+     *
+     * Cents that don't divide evenly go to December so the months always
+     * add back up to the annual amount.
+     *
+     * @return array<int, float> Monthly amounts keyed by month number (1-12)
+     */
+    public function splitAnnualAmount(float $annualAmount): array
+    {
+        $monthly = floor($annualAmount * 100 / 12) / 100;
+        $months = array_fill(1, 12, $monthly);
+        $months[12] = round($annualAmount - ($monthly * 11), 2);
+
+        return $months;
+    }
+
+    /**
+     * Save a property's budget for a utility type and year, replacing any existing months.
+     *
+     * @param  array<int, float|int|string|null>  $monthlyAmounts  Amounts keyed by month number (1-12); missing months are budgeted at zero
+     */
+    public function saveBudget(string $propertyId, string $utilityTypeId, int $year, array $monthlyAmounts, ?string $userId = null): void
+    {
+        DB::transaction(function () use ($propertyId, $utilityTypeId, $year, $monthlyAmounts, $userId): void {
+            foreach (range(1, 12) as $month) {
+                UtilityBudget::updateOrCreate(
+                    [
+                        'property_id' => $propertyId,
+                        'utility_type_id' => $utilityTypeId,
+                        'year' => $year,
+                        'month' => $month,
+                    ],
+                    [
+                        'amount' => round((float) ($monthlyAmounts[$month] ?? 0), 2),
+                        'created_by' => $userId,
+                    ]
+                );
+            }
+        });
+    }
+
+    /**
+     * Delete a property's budget for a utility type and year.
+     *
+     * @return int Number of monthly rows deleted
+     */
+    public function deleteBudget(string $propertyId, string $utilityTypeId, int $year): int
+    {
+        return UtilityBudget::query()
+            ->where('property_id', $propertyId)
+            ->where('utility_type_id', $utilityTypeId)
+            ->forYear($year)
+            ->delete();
+    }
+
+    /**
+     * Get every budget entered for a year, one row per property and utility type.
+     */
+    public function getBudgetsForYear(int $year): Collection
+    {
+        return UtilityBudget::query()
+            ->forYear($year)
+            ->with(['property:id,name', 'utilityType', 'creator:id,name'])
+            ->get()
+            ->groupBy(fn (UtilityBudget $budget) => $budget->property_id.'|'.$budget->utility_type_id)
+            ->map(function (Collection $budgets) use ($year) {
+                $first = $budgets->first();
+                $latest = $budgets->sortByDesc('updated_at')->first();
+                $months = array_fill(1, 12, 0.0);
+                foreach ($budgets as $budget) {
+                    $months[$budget->month] = (float) $budget->amount;
+                }
+
+                return [
+                    'property_id' => $first->property_id,
+                    'property_name' => $first->property?->name ?? 'Unknown',
+                    'utility_type_id' => $first->utility_type_id,
+                    'utility_type_key' => $first->utilityType?->key,
+                    'utility_type_label' => $first->utilityType?->label ?? 'Unknown',
+                    'year' => $year,
+                    'months' => array_values($months),
+                    'annual' => round(array_sum($months), 2),
+                    'updated_by' => $latest->creator?->name,
+                    'updated_at' => $latest->updated_at->toIso8601String(),
+                ];
+            })
+            ->sortBy(fn (array $row) => strtolower($row['property_name'].'|'.$row['utility_type_label']))
+            ->values();
+    }
+
+    /**
+     * Import budgets from a CSV file.
+     *
+     * The file needs a header row with property, utility_type and year
+     * columns, plus either an annual column (split evenly across the months)
+     * or jan-dec columns. Properties are matched by external ID or name and
+     * utility types by key or label. Rows that can't be read are skipped and
+     * reported; the rest are saved.
+     *
+     * @return array{imported: int, errors: array<int, string>}
+     */
+    public function importCsv(string $path, ?string $userId = null): array
+    {
+        $properties = Property::query()->get(['id', 'external_id', 'name']);
+        $propertiesByExternalId = $properties->filter(fn (Property $p) => $p->external_id !== null)
+            ->keyBy(fn (Property $p) => strtolower((string) $p->external_id));
+        $propertiesByName = $properties->keyBy(fn (Property $p) => strtolower($p->name));
+
+        $utilityTypes = UtilityType::all();
+        $typesByKey = $utilityTypes->keyBy(fn (UtilityType $t) => strtolower($t->key));
+        $typesByLabel = $utilityTypes->keyBy(fn (UtilityType $t) => strtolower($t->label));
+
+        $hasAnnual = false;
+        $hasMonths = false;
+
+        return $this->csvImportService->import(
+            $path,
+            ['property', 'utility_type', 'year'],
+            function (array $values) use ($propertiesByExternalId, $propertiesByName, $typesByKey, $typesByLabel, &$hasAnnual, &$hasMonths, $userId): ?string {
+                $propertyRef = strtolower($values['property']);
+                $property = $propertiesByExternalId->get($propertyRef) ?? $propertiesByName->get($propertyRef);
+                if (! $property) {
+                    return "unknown property \"{$values['property']}\".";
+                }
+
+                $typeRef = strtolower($values['utility_type']);
+                $utilityType = $typesByKey->get($typeRef) ?? $typesByLabel->get($typeRef);
+                if (! $utilityType) {
+                    return "unknown utility type \"{$values['utility_type']}\".";
+                }
+
+                $year = filter_var($values['year'], FILTER_VALIDATE_INT, ['options' => ['min_range' => 2000, 'max_range' => 2100]]);
+                if ($year === false) {
+                    return "invalid year \"{$values['year']}\".";
+                }
+
+                $monthlyAmounts = $this->readAmounts($values, $hasMonths, $hasAnnual);
+                if (is_string($monthlyAmounts)) {
+                    return $monthlyAmounts;
+                }
+
+                $this->saveBudget($property->id, $utilityType->id, $year, $monthlyAmounts, $userId);
+
+                return null;
+            },
+            function (array $columns) use (&$hasAnnual, &$hasMonths): ?string {
+                $hasAnnual = in_array('annual', $columns, true);
+                $hasMonths = array_diff(self::MONTH_COLUMNS, $columns) === [];
+
+                return $hasAnnual || $hasMonths ? null : 'Add an annual column or jan through dec columns.';
+            }
+        );
+    }
+
+    /**
+     * Compare budget with actual spend for properties in one utility type.
+     *
+     * The year-end forecast adds the rest of the year's budget to the actual
+     * spend so far, scaled by how far over or under budget the property has
+     * run in the closed months. Properties without a budget for the year are
+     * left out.
+     *
+     * @param  array<int, string>  $propertyIds
+     * @return array<string, array<string, float|int|null>> Budget figures keyed by property ID
+     */
+    public function getBudgetVsActual(array $propertyIds, string $utilityType, ?Carbon $asOf = null): array
+    {
+        if (empty($propertyIds)) {
+            return [];
+        }
+
+        $date = ($asOf ?? now())->copy()->startOfDay();
+        $closedMonths = $date->month - 1;
+
+        $budgets = UtilityBudget::query()
+            ->whereIn('property_id', $propertyIds)
+            ->forYear($date->year)
+            ->ofTypeKey($utilityType)
+            ->toBase()
+            ->get(['property_id', 'month', 'amount'])
+            ->groupBy('property_id');
+
+        if ($budgets->isEmpty()) {
+            return [];
+        }
+
+        $actuals = $closedMonths > 0
+            ? $this->getActualsByProperty(
+                $budgets->keys()->all(),
+                $utilityType,
+                $date->copy()->startOfYear(),
+                $date->copy()->subMonthNoOverflow()->endOfMonth()
+            )
+            : collect();
+
+        $results = [];
+        foreach ($budgets as $propertyId => $months) {
+            $annualBudget = (float) $months->sum('amount');
+            $budgetYtd = (float) $months->where('month', '<=', $closedMonths)->sum('amount');
+            $actualYtd = (float) ($actuals[$propertyId] ?? 0);
+
+            $pace = $budgetYtd > 0 ? $actualYtd / $budgetYtd : 1.0;
+            $forecast = $actualYtd + (($annualBudget - $budgetYtd) * $pace);
+
+            $results[$propertyId] = [
+                'year' => $date->year,
+                'closed_months' => $closedMonths,
+                'annual_budget' => round($annualBudget, 2),
+                'budget_ytd' => round($budgetYtd, 2),
+                'actual_ytd' => round($actualYtd, 2),
+                'variance_ytd' => round($actualYtd - $budgetYtd, 2),
+                'variance_ytd_percent' => $this->percentOf($actualYtd - $budgetYtd, $budgetYtd),
+                'forecast' => round($forecast, 2),
+                'forecast_variance' => round($forecast - $annualBudget, 2),
+                'forecast_variance_percent' => $this->percentOf($forecast - $annualBudget, $annualBudget),
+            ];
+        }
+
+        return $results;
+    }
+
+    /**
+     * Get portfolio budget figures for each utility type.
+     *
+     * The period budget is every budgeted month that overlaps the period, and
+     * the actual spend it's compared with only counts budgeted properties so
+     * the variance isn't skewed by properties without a plan.
+     *
+     * @param  array<int, string>  $utilityTypes  Utility type keys
+     * @param  array  $period  Period config ['type' => ..., 'date' => Carbon]
+     * @return array<string, array<string, float|int|null>> Budget summary keyed by utility type
+     */
+    public function getPortfolioBudgetSummary(array $utilityTypes, array $period, ?Carbon $asOf = null): array
+    {
+        [$startDate, $endDate] = $this->analyticsService->getPeriodDates($period);
+        $propertyIds = Property::active()->forUtilityReports()->pluck('id')->all();
+
+        $summary = [];
+        foreach ($utilityTypes as $type) {
+            $typePropertyIds = array_values(array_diff(
+                $propertyIds,
+                PropertyUtilityExclusion::getExcludedPropertyIdsByTypeKey($type)
+            ));
+
+            $periodBudgets = empty($typePropertyIds) ? collect() : UtilityBudget::query()
+                ->whereIn('property_id', $typePropertyIds)
+                ->ofTypeKey($type)
+                ->whereRaw('(year * 12 + month) between ? and ?', [
+                    $startDate->year * 12 + $startDate->month,
+                    $endDate->year * 12 + $endDate->month,
+                ])
+                ->toBase()
+                ->get(['property_id', 'amount']);
+
+            $budget = $periodBudgets->isEmpty() ? null : round((float) $periodBudgets->sum('amount'), 2);
+            $actual = null;
+            if ($budget !== null) {
+                $budgetedIds = $periodBudgets->pluck('property_id')->unique()->values()->all();
+                $actual = round((float) $this->getActualsByProperty($budgetedIds, $type, $startDate, $endDate)->sum(), 2);
+            }
+
+            $yearFigures = collect($this->getBudgetVsActual($typePropertyIds, $type, $asOf));
+            $annualBudget = $yearFigures->isEmpty() ? null : round((float) $yearFigures->sum('annual_budget'), 2);
+            $forecast = $yearFigures->isEmpty() ? null : round((float) $yearFigures->sum('forecast'), 2);
+
+            $summary[$type] = [
+                'budget' => $budget,
+                'budget_actual' => $actual,
+                'budget_variance' => $budget !== null ? round($actual - $budget, 2) : null,
+                'budget_variance_percent' => $budget !== null ? $this->percentOf($actual - $budget, $budget) : null,
+                'annual_budget' => $annualBudget,
+                'forecast' => $forecast,
+                'forecast_variance_percent' => $annualBudget !== null ? $this->percentOf($forecast - $annualBudget, $annualBudget) : null,
+                'budgeted_property_count' => $yearFigures->count(),
+            ];
+        }
+
+        return $summary;
+    }
+
+    /**
+     * Get properties whose year-end forecast is over budget.
+     *
+     * Alerts are tagged with type 'over_budget' so they can be listed with
+     * the cost anomalies. Nothing is flagged until at least one budgeted
+     * month has closed.
+     *
+     * @param  Collection  $utilityTypes  UtilityType models to check
+     * @return array Alerts ordered by how far over budget the forecast is
+     */
+    public function getOverBudgetAlerts(Collection $utilityTypes, ?Carbon $asOf = null, int $limit = 10): array
+    {
+        $properties = Property::active()->forUtilityReports()->pluck('name', 'id');
+
+        $alerts = [];
+        foreach ($utilityTypes as $typeModel) {
+            $propertyIds = array_values(array_diff(
+                $properties->keys()->all(),
+                PropertyUtilityExclusion::getExcludedPropertyIdsByTypeKey($typeModel->key)
+            ));
+
+            foreach ($this->getBudgetVsActual($propertyIds, $typeModel->key, $asOf) as $propertyId => $figures) {
+                if ($figures['budget_ytd'] <= 0
+                    || $figures['forecast_variance_percent'] === null
+                    || $figures['forecast_variance_percent'] < self::OVER_BUDGET_THRESHOLD) {
+                    continue;
+                }
+
+                $alerts[] = [
+                    'property_id' => $propertyId,
+                    'property_name' => $properties->get($propertyId),
+                    'utility_type' => $typeModel->key,
+                    'utility_label' => $typeModel->label,
+                    'type' => 'over_budget',
+                    'forecast' => $figures['forecast'],
+                    'budget' => $figures['annual_budget'],
+                    'variance_percent' => $figures['forecast_variance_percent'],
+                ];
+            }
+        }
+
+        usort($alerts, fn ($a, $b) => $b['variance_percent'] <=> $a['variance_percent']);
+
+        return array_slice($alerts, 0, $limit);
+    }
+
+    /**
+     * Add the year's budget figures to property comparison rows.
+     *
+     * Rows for properties without a budget get null figures.
+     */
+    public function attachBudgetsToComparisonData(array &$comparisonData, string $utilityType, ?Carbon $asOf = null): void
+    {
+        if (empty($comparisonData['properties'])) {
+            return;
+        }
+
+        $budgets = $this->getBudgetVsActual(
+            array_column($comparisonData['properties'], 'property_id'),
+            $utilityType,
+            $asOf
+        );
+
+        foreach ($comparisonData['properties'] as &$property) {
+            $figures = $budgets[$property['property_id']] ?? null;
+            $property['annual_budget'] = $figures['annual_budget'] ?? null;
+            $property['budget_ytd'] = $figures['budget_ytd'] ?? null;
+            $property['actual_ytd'] = $figures['actual_ytd'] ?? null;
+            $property['budget_variance'] = $figures['variance_ytd'] ?? null;
+            $property['budget_variance_percent'] = $figures['variance_ytd_percent'] ?? null;
+            $property['budget_forecast'] = $figures['forecast'] ?? null;
+        }
+        unset($property);
+
+        $comparisonData['totals']['annual_budget'] = empty($budgets) ? null : round(array_sum(array_column($budgets, 'annual_budget')), 2);
+        $comparisonData['totals']['budget_forecast'] = empty($budgets) ? null : round(array_sum(array_column($budgets, 'forecast')), 2);
+    }
+
+    /**
+     * Read a CSV row's monthly amounts.
+     *
+     * Month columns win when any of them is filled in; otherwise the annual
+     * column is split evenly.
+     *
+     * @return array<int, float>|string Monthly amounts keyed 1-12, or an error message
+     */
+    private function readAmounts(array $values, bool $hasMonths, bool $hasAnnual): array|string
+    {
+        $useMonths = $hasMonths && collect(self::MONTH_COLUMNS)->contains(fn ($column) => $values[$column] !== '');
+
+        if (! $useMonths) {
+            $annual = $hasAnnual ? $this->parseAmount($values['annual']) : null;
+
+            return $annual === null
+                ? 'the annual amount must be a number of zero or more.'
+                : $this->splitAnnualAmount($annual);
+        }
+
+        $amounts = [];
+        foreach (self::MONTH_COLUMNS as $index => $column) {
+            $amount = $values[$column] === '' ? 0.0 : $this->parseAmount($values[$column]);
+            if ($amount === null) {
+                return "the {$column} amount must be a number of zero or more.";
+            }
+            $amounts[$index + 1] = $amount;
+        }
+
+        return $amounts;
+    }
+
+    /**
+     * Parse a currency amount such as "$1,250.00".
+     */
+    private function parseAmount(string $value): ?float
+    {
+        $value = str_replace(['$', ',', ' '], '', $value);
+
+        if ($value === '' || ! is_numeric($value) || (float) $value < 0) {
+            return null;
+        }
+
+        return round((float) $value, 2);
+    }
+
+    /**
+     * Sum expenses per property for a utility type in a date range.
+     *
+     * @param  array<int, string>  $propertyIds
+     * @return Collection<string, float> Totals keyed by property ID
+     */
+    private function getActualsByProperty(array $propertyIds, string $utilityType, Carbon $startDate, Carbon $endDate): Collection
+    {
+        if (empty($propertyIds)) {
+            return collect();
+        }
+
+        return UtilityExpense::query()
+            ->join('utility_accounts', 'utility_expenses.utility_account_id', '=', 'utility_accounts.id')
+            ->join('utility_types', 'utility_accounts.utility_type_id', '=', 'utility_types.id')
+            ->whereIn('utility_expenses.property_id', $propertyIds)
+            ->where('utility_types.key', $utilityType)
+            ->whereBetween('expense_date', [$startDate, $endDate])
+            ->groupBy('utility_expenses.property_id')
+            ->toBase()
+            ->selectRaw('utility_expenses.property_id, SUM(amount) as total')
+            ->pluck('total', 'property_id')
+            ->map(fn ($total) => (float) $total);
+    }
+
+    /**
+     * Express a difference as a percent of a base amount.
+     */
+    private function percentOf(float $difference, float $base): ?float
+    {
+        if ($base <= 0) {
+            return null;
+        }
+
+        return round(($difference / $base) * 100, 1);
+    }
+}
@@ -9,6 +9,7 @@ use App\Models\Property;
 use App\Models\UtilityAccount;
 use App\Models\UtilityExpense;
 use Carbon\Carbon;
+use Illuminate\Support\Collection;
 use Illuminate\Support\Facades\DB;
 use Illuminate\Support\Facades\Log;
 
@@ -45,6 +46,10 @@ class UtilityExpenseService
 
     private array $errors = [];
 
+    public function __construct(
+        private readonly UtilityUsageService $usageService
+    ) {}
+
     /**
      * Process expense data and create utility expense records.
      *
@@ -143,20 +148,17 @@ class UtilityExpenseService
             $vendorName,
             $description
         ) {
-            $utilityExpense = UtilityExpense::updateOrCreate(
-                ['external_expense_id' => $externalExpenseId],
-                [
-                    'property_id' => $propertyId,
-                    'utility_account_id' => $utilityAccountId,
-                    'gl_account_number' => $glAccountNumber,
-                    'expense_date' => $expenseDate,
-                    'period_start' => $periodStart,
-                    'period_end' => $periodEnd,
-                    'amount' => $amount,
-                    'vendor_name' => $vendorName,
-                    'description' => $description,
-                ]
-            );
+            $utilityExpense = $this->saveExpense($externalExpenseId, [
+                'property_id' => $propertyId,
+                'utility_account_id' => $utilityAccountId,
+                'gl_account_number' => $glAccountNumber,
+                'expense_date' => $expenseDate,
+                'period_start' => $periodStart,
+                'period_end' => $periodEnd,
+                'amount' => $amount,
+                'vendor_name' => $vendorName,
+                'description' => $description,
+            ]);
 
             if ($utilityExpense->wasRecentlyCreated) {
                 $this->created++;
@@ -166,6 +168,25 @@ class UtilityExpenseService
         });
     }
 
+    /**
+     * Create or update a utility expense by its external ID.
+     *
+     * Usage is read from the description unless a user entered it by hand.
+     */
+    private function saveExpense(string $externalExpenseId, array $attributes): UtilityExpense
+    {
+        $utilityExpense = UtilityExpense::firstOrNew(['external_expense_id' => $externalExpenseId]);
+        $utilityExpense->fill($attributes);
+
+        if (! $utilityExpense->hasManualUsage()) {
+            $utilityExpense->fill($this->usageService->usageAttributesFromDescription($attributes['description']));
+        }
+
+        $utilityExpense->save();
+
+        return $utilityExpense;
+    }
+
     /**
      * Generate a unique ID for an expense from composite fields.
      *
@@ -498,21 +519,18 @@ class UtilityExpenseService
             $externalExpenseId,
             $amount
         ) {
-            $utilityExpense = UtilityExpense::updateOrCreate(
-                ['external_expense_id' => $externalExpenseId],
-                [
-                    'property_id' => $billDetail->property_id,
-                    'utility_account_id' => $utilityAccount->id,
-                    'gl_account_number' => $glAccountNumber,
-                    'expense_date' => $billDetail->bill_date,
-                    'period_start' => $billDetail->service_from,
-                    'period_end' => $billDetail->service_to,
-                    'amount' => abs($amount),
-                    'vendor_name' => $billDetail->payee_name,
-                    'description' => $billDetail->description,
-                    'bill_detail_id' => $billDetail->id,
-                ]
-            );
+            $utilityExpense = $this->saveExpense($externalExpenseId, [
+                'property_id' => $billDetail->property_id,
+                'utility_account_id' => $utilityAccount->id,
+                'gl_account_number' => $glAccountNumber,
+                'expense_date' => $billDetail->bill_date,
+                'period_start' => $billDetail->service_from,
+                'period_end' => $billDetail->service_to,
+                'amount' => abs($amount),
+                'vendor_name' => $billDetail->payee_name,
+                'description' => $billDetail->description,
+                'bill_detail_id' => $billDetail->id,
+            ]);
 
             if ($utilityExpense->wasRecentlyCreated) {
                 $this->created++;
@@ -550,6 +568,11 @@ class UtilityExpenseService
             $deleteQuery->where('expense_date', '<=', $toDate);
         }
 
+        // Hold on to usage entered by hand so it survives the rebuild
+        $manualUsage = (clone $deleteQuery)
+            ->where('usage_source', UtilityExpense::USAGE_SOURCE_MANUAL)
+            ->get(['external_expense_id', 'usage_quantity', 'usage_unit']);
+
         // Delete existing utility expenses and get count from delete() return value
         $deletedCount = $deleteQuery->delete();
 
@@ -605,6 +628,8 @@ class UtilityExpenseService
             }
         });
 
+        $this->restoreManualUsage($manualUsage);
+
         $stats = $this->getStats();
         $stats['deleted'] = $deletedCount;
 
@@ -613,6 +638,22 @@ class UtilityExpenseService
         return $stats;
     }
 
+    /**
+     * Reapply manually entered usage to rebuilt expenses.
+     *
+     * @param  Collection<int, UtilityExpense>  $manualUsage
+     */
+    private function restoreManualUsage(Collection $manualUsage): void
+    {
+        foreach ($manualUsage as $usage) {
+            UtilityExpense::where('external_expense_id', $usage->external_expense_id)->update([
+                'usage_quantity' => $usage->usage_quantity,
+                'usage_unit' => $usage->usage_unit,
+                'usage_source' => UtilityExpense::USAGE_SOURCE_MANUAL,
+            ]);
+        }
+    }
+
     /**
      * Get unmatched GL accounts from recent expenses.
      *
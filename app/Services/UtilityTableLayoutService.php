@@ -0,0 +1,200 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\User;
+
+/**
+ * Utility Table Layout Service
+ *
+ * Manages the per-user layout of the utility data tables: which columns show
+ * and in what order, the sort columns, and the properties pinned to the top.
+ * Each table (the Data Table page and the Excluded page) keeps its own layout
+ * in the user's preferences, sanitized against the known columns on read so
+ * columns added or retired later never break the page.
+ */
+class UtilityTableLayoutService
+{
+    /**
+     * Preference key the layouts are stored under.
+     */
+    public const PREFERENCE_KEY = 'utility_table_layouts';
+
+    /**
+     * Tables that keep their own layout.
+     */
+    public const TABLES = ['data', 'excluded'];
+
+    /**
+     * Table columns in their default order.
+     *
+     * Keep in sync with COLUMNS in UtilityDataTable.jsx.
+     */
+    public const COLUMNS = [
+        'property_name',
+        'property_type',
+        'unit_count',
+        'total_sqft',
+        'current_month',
+        'prev_month',
+        'prev_3_months',
+        'prev_12_months',
+        'avg_per_unit',
+        'avg_per_sqft',
+        'budget_ytd',
+        'budget_variance_percent',
+        'budget_forecast',
+        'note',
+    ];
+
+    /**
+     * Columns that can't be sorted on.
+     */
+    public const UNSORTABLE_COLUMNS = ['note'];
+
+    /**
+     * Column that always shows, pinned as the first column.
+     */
+    public const LOCKED_COLUMN = 'property_name';
+
+    /**
+     * Most columns a table can be sorted by at once.
+     */
+    public const MAX_SORT_COLUMNS = 3;
+
+    /**
+     * Most properties that can be pinned to the top of a table.
+     */
+    public const MAX_PINNED = 25;
+
+    /**
+     * Sort used until a user picks their own.
+     *
+     * @var array<int, array{key: string, direction: string}>
+     */
+    public const DEFAULT_SORT = [
+        ['key' => 'property_name', 'direction' => 'asc'],
+    ];
+
+    /**
+     * Get the user's layout for a table, falling back to the default.
+     *
+     * @return array{columns: array<int, array{key: string, visible: bool}>, sort: array<int, array{key: string, direction: string}>, pinned: array<int, string>}
+     */
+    public function getLayout(User $user, string $table): array
+    {
+        $stored = $user->getPreference(self::PREFERENCE_KEY.'.'.$table);
+
+        if (! is_array($stored)) {
+            return $this->getDefaultLayout();
+        }
+
+        return $this->sanitize($stored);
+    }
+
+    /**
+     * Save a table layout for the user.
+     *
+     * @param  array<string, mixed>  $layout
+     * @return array{columns: array<int, array{key: string, visible: bool}>, sort: array<int, array{key: string, direction: string}>, pinned: array<int, string>} The layout as stored
+     */
+    public function saveLayout(User $user, string $table, array $layout): array
+    {
+        $layout = $this->sanitize($layout);
+        $user->setPreference(self::PREFERENCE_KEY.'.'.$table, $layout);
+
+        return $layout;
+    }
+
+    /**
+     * Reset a table to the default layout.
+     */
+    public function resetLayout(User $user, string $table): void
+    {
+        $user->setPreference(self::PREFERENCE_KEY.'.'.$table, null);
+    }
+
+    /**
+     * Get the layout used until a user customizes a table.
+     *
+     * @return array{columns: array<int, array{key: string, visible: bool}>, sort: array<int, array{key: string, direction: string}>, pinned: array<int, string>}
+     */
+    public function getDefaultLayout(): array
+    {
+        return [
+            'columns' => array_map(fn (string $key) => ['key' => $key, 'visible' => true], self::COLUMNS),
+            'sort' => self::DEFAULT_SORT,
+            'pinned' => [],
+        ];
+    }
+
+    /**
+     * Get the columns a table can be sorted by.
+     *
+     * @return array<int, string>
+     */
+    public static function getSortableColumns(): array
+    {
+        return array_values(array_diff(self::COLUMNS, self::UNSORTABLE_COLUMNS));
+    }
+
+    /**
+     * Drop unknown or duplicate entries, keep the locked column first and
+     * visible, and append columns the stored layout doesn't know about yet.
+     *
+     * @param  array<string, mixed>  $layout
+     * @return array{columns: array<int, array{key: string, visible: bool}>, sort: array<int, array{key: string, direction: string}>, pinned: array<int, string>}
+     */
+    private function sanitize(array $layout): array
+    {
+        $columns = [self::LOCKED_COLUMN => true];
+        foreach ((array) ($layout['columns'] ?? []) as $column) {
+            $key = is_array($column) ? ($column['key'] ?? null) : null;
+
+            if (! is_string($key) || ! in_array($key, self::COLUMNS, true) || isset($columns[$key])) {
+                continue;
+            }
+
+            $columns[$key] = (bool) ($column['visible'] ?? true);
+        }
+        foreach (self::COLUMNS as $key) {
+            $columns[$key] ??= true;
+        }
+
+        $sortable = self::getSortableColumns();
+        $sort = [];
+        foreach ((array) ($layout['sort'] ?? []) as $item) {
+            $key = is_array($item) ? ($item['key'] ?? null) : null;
+
+            if (! is_string($key) || ! in_array($key, $sortable, true) || isset($sort[$key])) {
+                continue;
+            }
+
+            $sort[$key] = ($item['direction'] ?? 'asc') === 'desc' ? 'desc' : 'asc';
+        }
+        $sort = array_slice($sort, 0, self::MAX_SORT_COLUMNS, true);
+
+        $pinned = array_values(array_unique(array_filter(
+            (array) ($layout['pinned'] ?? []),
+            fn ($id) => is_string($id) && $id !== ''
+        )));
+
+        return [
+            'columns' => array_map(
+                fn (string $key, bool $visible) => ['key' => $key, 'visible' => $visible],
+                array_keys($columns),
+                array_values($columns)
+            ),
+            'sort' => empty($sort)
+                ? self::DEFAULT_SORT
+                : array_map(
+                    fn (string $key, string $direction) => ['key' => $key, 'direction' => $direction],
+                    array_keys($sort),
+                    array_values($sort)
+                ),
+            'pinned' => array_slice($pinned, 0, self::MAX_PINNED),
+        ];
+    }
+}
@@ -0,0 +1,368 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Property;
+use App\Models\PropertyUtilityExclusion;
+use App\Models\UtilityExpense;
+use App\Models\UtilityType;
+use Carbon\Carbon;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Utility Usage Service
+ *
+ * Reads usage quantities (kWh, therms, gallons) from bill descriptions and
+ * reports usage and effective rates alongside cost. Each utility type reports
+ * usage in its configured unit; bills measured in another unit are converted
+ * when a conversion is known and left out otherwise.
+ */
+class UtilityUsageService
+{
+    /**
+     * Units a bill's usage can be recorded in.
+     */
+    public const UNIT_LABELS = [
+        'kwh' => 'kWh',
+        'mwh' => 'MWh',
+        'therms' => 'therms',
+        'dth' => 'Dth',
+        'ccf' => 'CCF',
+        'hcf' => 'HCF',
+        'mcf' => 'MCF',
+        'gallons' => 'gallons',
+        'kgal' => 'kgal',
+    ];
+
+    /**
+     * How much of each utility type unit one bill unit is.
+     *
+     * CCF means different things for gas and water, so conversions are
+     * looked up by the utility type's unit rather than by the bill's.
+     */
+    public const CONVERSIONS = [
+        'kwh' => ['kwh' => 1.0, 'mwh' => 1000.0],
+        'therms' => ['therms' => 1.0, 'dth' => 10.0, 'ccf' => 1.037, 'mcf' => 10.37],
+        'gallons' => ['gallons' => 1.0, 'kgal' => 1000.0, 'ccf' => 748.052, 'hcf' => 748.052],
+        'ccf' => ['ccf' => 1.0, 'hcf' => 1.0, 'gallons' => 1 / 748.052, 'kgal' => 1000 / 748.052],
+    ];
+
+    /**
+     * Unit spellings found on bills, mapped to unit keys.
+     */
+    private const UNIT_ALIASES = [
+        'kw-h' => 'kwh',
+        'kwh' => 'kwh',
+        'mwh' => 'mwh',
+        'therms' => 'therms',
+        'therm' => 'therms',
+        'thms' => 'therms',
+        'thm' => 'therms',
+        'dth' => 'dth',
+        'ccf' => 'ccf',
+        'hcf' => 'hcf',
+        'mcf' => 'mcf',
+        'kgal' => 'kgal',
+        'gallons' => 'gallons',
+        'gallon' => 'gallons',
+        'gals' => 'gallons',
+        'gal' => 'gallons',
+    ];
+
+    /**
+     * Cache of utility type key => usage unit.
+     *
+     * @var array<string, string|null>|null
+     */
+    private ?array $typeUnits = null;
+
+    /**
+     * Read a usage quantity from a bill description.
+     *
+     * Matches the first number followed by a known unit, such as
+     * "1,234 kWh" or "56.5 therms". Dollar amounts are ignored.
+     *
+     * @return array{quantity: float, unit: string}|null
+     */
+    public function parseDescription(?string $description): ?array
+    {
+        if ($description === null || $description === '') {
+            return null;
+        }
+
+        $units = implode('|', array_map(fn ($alias) => preg_quote($alias, '/'), array_keys(self::UNIT_ALIASES)));
+        $pattern = '/(?<![\d.,$])(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?\s*('.$units.')\b/i';
+
+        if (! preg_match($pattern, $description, $matches)) {
+            return null;
+        }
+
+        $quantity = (float) (str_replace(',', '', $matches[1]).$matches[2]);
+
+        if ($quantity <= 0) {
+            return null;
+        }
+
+        return [
+            'quantity' => $quantity,
+            'unit' => self::UNIT_ALIASES[strtolower($matches[3])],
+        ];
+    }
+
+    /**
+     * Get the usage attributes to store on an expense from its description.
+     *
+     * @return array{usage_quantity: float|null, usage_unit: string|null, usage_source: string|null}
+     */
+    public function usageAttributesFromDescription(?string $description): array
+    {
+        $usage = $this->parseDescription($description);
+
+        return [
+            'usage_quantity' => $usage['quantity'] ?? null,
+            'usage_unit' => $usage['unit'] ?? null,
+            'usage_source' => $usage !== null ? UtilityExpense::USAGE_SOURCE_PARSED : null,
+        ];
+    }
+
+    /**
+     * Convert a quantity into a utility type's unit.
+     *
+     * Returns null when there is no known conversion between the units.
+     */
+    public function convert(float $quantity, string $fromUnit, string $toUnit): ?float
+    {
+        $factor = self::CONVERSIONS[$toUnit][$fromUnit] ?? null;
+
+        return $factor !== null ? $quantity * $factor : null;
+    }
+
+    /**
+     * Get the unit a utility type reports usage in.
+     */
+    public function getUnitForType(string $utilityType): ?string
+    {
+        if ($this->typeUnits === null) {
+            $this->typeUnits = UtilityType::pluck('usage_unit', 'key')->all();
+        }
+
+        return $this->typeUnits[$utilityType] ?? null;
+    }
+
+    /**
+     * Get monthly usage for properties, in the utility type's unit.
+     *
+     * The cost returned with each month only covers bills that had usage,
+     * so dividing it by the usage gives the effective rate.
+     *
+     * @param  array  $propertyIds  Property UUIDs
+     * @return array<string, array<string, array{usage: float, cost: float}>> Keyed by property ID, then 'Y-m'
+     */
+    public function getMonthlyUsage(array $propertyIds, string $utilityType, Carbon $startDate, Carbon $endDate): array
+    {
+        $unit = $this->getUnitForType($utilityType);
+
+        if ($unit === null || empty($propertyIds)) {
+            return [];
+        }
+
+        // Use toBase() to get plain objects and avoid Eloquent accessor conflicts
+        $rows = UtilityExpense::query()
+            ->select([
+                'utility_expenses.property_id',
+                'utility_expenses.usage_unit',
+                DB::raw("DATE_TRUNC('month', expense_date) as month"),
+                DB::raw('SUM(usage_quantity) as quantity'),
+                DB::raw('SUM(amount) as cost'),
+            ])
+            ->join('utility_accounts', 'utility_expenses.utility_account_id', '=', 'utility_accounts.id')
+            ->join('utility_types', 'utility_accounts.utility_type_id', '=', 'utility_types.id')
+            ->whereIn('utility_expenses.property_id', $propertyIds)
+            ->where('utility_types.key', $utilityType)
+            ->whereNotNull('utility_expenses.usage_quantity')
+            ->whereNotNull('utility_expenses.usage_unit')
+            ->whereBetween('expense_date', [$startDate, $endDate])
+            ->groupBy('utility_expenses.property_id', 'utility_expenses.usage_unit', DB::raw("DATE_TRUNC('month', expense_date)"))
+            ->toBase()
+            ->get();
+
+        $usage = [];
+        foreach ($rows as $row) {
+            $quantity = $this->convert((float) $row->quantity, $row->usage_unit, $unit);
+
+            if ($quantity === null) {
+                continue;
+            }
+
+            $monthKey = Carbon::parse($row->month)->format('Y-m');
+            $usage[$row->property_id][$monthKey]['usage'] = ($usage[$row->property_id][$monthKey]['usage'] ?? 0) + $quantity;
+            $usage[$row->property_id][$monthKey]['cost'] = ($usage[$row->property_id][$monthKey]['cost'] ?? 0) + (float) $row->cost;
+        }
+
+        return $usage;
+    }
+
+    /**
+     * Add usage and effective rate to a property's cost trend.
+     *
+     * @param  array  $trend  Rows from UtilityAnalyticsService::getTrend() with 'month' periods
+     * @return array The rows with usage, usage_unit and effective_rate added
+     */
+    public function addUsageToTrend(Property $property, string $utilityType, array $trend): array
+    {
+        $unit = $this->getUnitForType($utilityType);
+        $usage = [];
+
+        if ($unit !== null && ! empty($trend)) {
+            $usage = $this->getMonthlyUsage(
+                [$property->id],
+                $utilityType,
+                Carbon::parse($trend[0]['date'])->startOfMonth(),
+                Carbon::parse($trend[count($trend) - 1]['date'])->endOfMonth()
+            )[$property->id] ?? [];
+        }
+
+        return array_map(function (array $row) use ($usage, $unit) {
+            $month = $usage[Carbon::parse($row['date'])->format('Y-m')] ?? null;
+
+            return [
+                ...$row,
+                'usage' => $month !== null ? round($month['usage'], 2) : null,
+                'usage_unit' => $unit,
+                'effective_rate' => $month !== null ? $this->rate($month['cost'], $month['usage']) : null,
+            ];
+        }, $trend);
+    }
+
+    /**
+     * Get portfolio usage and effective rates by month for each utility type.
+     *
+     * Rows have the period and date of UtilityAnalyticsService::getPortfolioTrend()
+     * plus 'usage' and 'rate' maps keyed by utility type. Types without a usage
+     * unit are left out. Returns null when no bills have usage.
+     */
+    public function getPortfolioUsageTrend(array $utilityTypes, int $months = 12): ?array
+    {
+        $date = Carbon::now();
+        $startDate = $date->copy()->subMonths($months - 1)->startOfMonth();
+        $endDate = $date->copy()->endOfMonth();
+
+        $propertyIds = Property::active()->forUtilityReports()->pluck('id')->all();
+
+        // Sum usage and the cost of bills with usage by type and month
+        $totals = [];
+        foreach ($utilityTypes as $type) {
+            $excludedIds = PropertyUtilityExclusion::getExcludedPropertyIdsByTypeKey($type);
+            $monthlyUsage = $this->getMonthlyUsage(array_values(array_diff($propertyIds, $excludedIds)), $type, $startDate, $endDate);
+
+            foreach ($monthlyUsage as $propertyMonths) {
+                foreach ($propertyMonths as $monthKey => $month) {
+                    $totals[$type][$monthKey]['usage'] = ($totals[$type][$monthKey]['usage'] ?? 0) + $month['usage'];
+                    $totals[$type][$monthKey]['cost'] = ($totals[$type][$monthKey]['cost'] ?? 0) + $month['cost'];
+                }
+            }
+        }
+
+        if (empty($totals)) {
+            return null;
+        }
+
+        $data = [];
+        for ($i = $months - 1; $i >= 0; $i--) {
+            $periodDate = $date->copy()->subMonths($i);
+            $monthKey = $periodDate->format('Y-m');
+
+            $row = [
+                'period' => $periodDate->format('M Y'),
+                'date' => $periodDate->toDateString(),
+                'usage' => [],
+                'rate' => [],
+            ];
+
+            foreach (array_keys($totals) as $type) {
+                $month = $totals[$type][$monthKey] ?? null;
+                $row['usage'][$type] = $month !== null ? round($month['usage'], 2) : null;
+                $row['rate'][$type] = $month !== null ? $this->rate($month['cost'], $month['usage']) : null;
+            }
+
+            $data[] = $row;
+        }
+
+        return $data;
+    }
+
+    /**
+     * Add usage and effective rates to property comparison data.
+     *
+     * Each property gains 'usage' and 'rate' maps with the same period keys
+     * as its costs: current_month, prev_month, and the monthly averages
+     * prev_3_months and prev_12_months.
+     *
+     * @param  array  $comparisonData  Output of getFilteredPropertyComparisonData(), modified in place
+     */
+    public function addUsageToComparisonData(array &$comparisonData, string $utilityType, ?Carbon $referenceDate = null): void
+    {
+        $now = $referenceDate ?? now();
+        $unit = $this->getUnitForType($utilityType);
+
+        $comparisonData['usage_unit'] = $unit;
+        $comparisonData['usage_available'] = false;
+
+        if (empty($comparisonData['properties'])) {
+            return;
+        }
+
+        $monthlyUsage = $this->getMonthlyUsage(
+            array_column($comparisonData['properties'], 'property_id'),
+            $utilityType,
+            $now->copy()->subMonths(12)->startOfMonth(),
+            $now->copy()->endOfMonth()
+        );
+
+        $currentMonth = $now->format('Y-m');
+        $prevMonths = [];
+        for ($i = 1; $i <= 12; $i++) {
+            $prevMonths[] = $now->copy()->subMonths($i)->format('Y-m');
+        }
+
+        $windows = [
+            'current_month' => [[$currentMonth], 1],
+            'prev_month' => [array_slice($prevMonths, 0, 1), 1],
+            'prev_3_months' => [array_slice($prevMonths, 0, 3), 3],
+            'prev_12_months' => [$prevMonths, 12],
+        ];
+
+        foreach ($comparisonData['properties'] as &$property) {
+            $months = $monthlyUsage[$property['property_id']] ?? [];
+            $property['usage'] = [];
+            $property['rate'] = [];
+
+            foreach ($windows as $key => [$monthKeys, $divisor]) {
+                $usage = 0.0;
+                $cost = 0.0;
+                foreach ($monthKeys as $monthKey) {
+                    $usage += $months[$monthKey]['usage'] ?? 0;
+                    $cost += $months[$monthKey]['cost'] ?? 0;
+                }
+
+                $property['usage'][$key] = $usage > 0 ? round($usage / $divisor, 2) : null;
+                $property['rate'][$key] = $usage > 0 ? $this->rate($cost, $usage) : null;
+            }
+
+            if (! empty($months)) {
+                $comparisonData['usage_available'] = true;
+            }
+        }
+        unset($property);
+    }
+
+    /**
+     * Calculate an effective rate, in dollars per unit of usage.
+     */
+    private function rate(float $cost, float $usage): ?float
+    {
+        return $usage > 0 ? round($cost / $usage, 4) : null;
+    }
+}
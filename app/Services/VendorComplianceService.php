@@ -491,6 +491,40 @@ class VendorComplianceService
         ];
     }
 
+    /**
+     * Get vendors whose insurance has expired or expires within 30 days.
+     *
+     * Expired vendors are listed first, then those expiring soon.
+     *
+     * @return array<int, array{vendor: Vendor, insurance_status: array}>
+     */
+    public function getVendorsNeedingAttention(int $limit = 5): array
+    {
+        $baseQuery = fn () => Vendor::query()
+            ->canonical()
+            ->active()
+            ->usable()
+            ->orderBy('company_name');
+
+        $expired = $baseQuery()->withExpiredInsurance()->limit($limit)->get();
+
+        $expiringSoon = $expired->count() < $limit
+            ? $baseQuery()
+                ->withExpiringSoonInsurance(30)
+                ->whereNotIn('id', $expired->pluck('id'))
+                ->limit($limit - $expired->count())
+                ->get()
+            : collect();
+
+        return $expired->concat($expiringSoon)
+            ->map(fn (Vendor $vendor) => [
+                'vendor' => $vendor,
+                'insurance_status' => $this->getInsuranceStatus($vendor),
+            ])
+            ->values()
+            ->all();
+    }
+
     /**
      * Get compliance summary statistics using optimized count queries.
      *
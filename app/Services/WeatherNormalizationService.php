@@ -0,0 +1,724 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\DegreeDay;
+use App\Models\Property;
+use App\Models\PropertyUtilityExclusion;
+use App\Models\UtilityType;
+use App\Models\WeatherStation;
+use Carbon\Carbon;
+use Illuminate\Support\Collection;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Weather Normalization Service
+ *
+ * Adjusts weather-sensitive utility costs to a normal month using imported
+ * heating and cooling degree days. Each property uses the degree days for its
+ * ZIP code, or those of the nearest weather station to its geocoded location.
+ * A month's cost is scaled by the location's normal degree days for that
+ * calendar month (the average across every imported year) divided by the
+ * actual degree days, so a cold January no longer looks like a cost spike.
+ */
+class WeatherNormalizationService
+{
+    /**
+     * Farthest a weather station can be from a property and still be used for it.
+     */
+    public const MAX_STATION_DISTANCE_MILES = 50.0;
+
+    /**
+     * Smallest adjustment applied to a month's cost.
+     */
+    public const MIN_FACTOR = 0.5;
+
+    /**
+     * Largest adjustment applied to a month's cost. Mild months have few
+     * degree days, so an unbounded ratio would swing wildly.
+     */
+    public const MAX_FACTOR = 2.0;
+
+    private const EARTH_RADIUS_MILES = 3958.8;
+
+    /**
+     * Request-scoped cache for locations and degree-day series.
+     */
+    private array $cache = [];
+
+    public function __construct(
+        private readonly UtilityAnalyticsService $analyticsService,
+        private readonly CsvImportService $csvImportService = new CsvImportService
+    ) {}
+
+    /**
+     * Check whether any degree days have been imported.
+     */
+    public function hasDegreeDays(): bool
+    {
+        return $this->cache['has_degree_days'] ??= DegreeDay::query()->exists();
+    }
+
+    /**
+     * Get the degree-day basis for a utility type, or null when it isn't weather-sensitive.
+     */
+    public function getBasisForType(string $utilityType): ?string
+    {
+        $bases = $this->cache['bases'] ??= UtilityType::query()
+            ->whereNotNull('degree_day_basis')
+            ->pluck('degree_day_basis', 'key')
+            ->all();
+
+        return $bases[$utilityType] ?? null;
+    }
+
+    /**
+     * Check whether a utility type's costs can be weather-adjusted.
+     */
+    public function canNormalize(string $utilityType): bool
+    {
+        return $this->getBasisForType($utilityType) !== null && $this->hasDegreeDays();
+    }
+
+    /**
+     * Import monthly degree days from a CSV file.
+     *
+     * Expects a header row with month, hdd and cdd columns plus a zip or
+     * station column. New stations also need latitude and longitude; an
+     * optional name column labels them. Re-importing a month replaces it.
+     *
+     * @return array{imported: int, errors: array<int, string>}
+     */
+    public function importCsv(string $path): array
+    {
+        $stations = WeatherStation::all()->keyBy(fn (WeatherStation $s) => strtoupper($s->code));
+
+        $result = $this->csvImportService->import(
+            $path,
+            ['month', 'hdd', 'cdd'],
+            function (array $values) use ($stations): ?string {
+                $month = $this->parseMonth($values['month']);
+                if ($month === null) {
+                    return "invalid month \"{$values['month']}\".";
+                }
+
+                $heating = $this->parseDegreeDays($values['hdd']);
+                $cooling = $this->parseDegreeDays($values['cdd']);
+                if ($heating === null || $cooling === null) {
+                    return 'degree days must be numbers of zero or more.';
+                }
+
+                $zip = $values['zip'] ?? '';
+                $stationCode = strtoupper($values['station'] ?? '');
+
+                if ($zip !== '') {
+                    if (! preg_match('/^(\d{5})(-\d{4})?$/', $zip, $matches)) {
+                        return "invalid ZIP code \"{$zip}\".";
+                    }
+                    $location = ['zip' => $matches[1], 'weather_station_id' => null];
+                } elseif ($stationCode !== '') {
+                    $station = $this->findOrCreateStation($stations, $stationCode, $values);
+                    if (is_string($station)) {
+                        return $station;
+                    }
+                    $location = ['zip' => null, 'weather_station_id' => $station->id];
+                } else {
+                    return 'add a ZIP code or station.';
+                }
+
+                DegreeDay::updateOrCreate(
+                    [...$location, 'month' => $month->toDateString()],
+                    ['heating_degree_days' => $heating, 'cooling_degree_days' => $cooling]
+                );
+
+                return null;
+            },
+            fn (array $columns) => in_array('zip', $columns, true) || in_array('station', $columns, true)
+                ? null
+                : 'Add a zip or station column.'
+        );
+
+        $this->cache = [];
+
+        return $result;
+    }
+
+    /**
+     * Match properties to the location whose degree days they use.
+     *
+     * A ZIP code with imported degree days wins; otherwise the nearest
+     * station within MAX_STATION_DISTANCE_MILES of the property's
+     * coordinates is used. Unmatched properties map to null.
+     *
+     * @param  Collection<int, Property>  $properties
+     * @return array<string, array{key: string, type: string, label: string, distance: float|null}|null> Keyed by property ID
+     */
+    public function resolveLocations(Collection $properties): array
+    {
+        $zips = $this->cache['zips'] ??= DegreeDay::query()
+            ->whereNotNull('zip')
+            ->distinct()
+            ->pluck('zip')
+            ->flip()
+            ->all();
+
+        $stations = $this->cache['stations'] ??= WeatherStation::query()
+            ->whereHas('degreeDays')
+            ->get();
+
+        $locations = [];
+        foreach ($properties as $property) {
+            $zip = substr(trim((string) $property->zip), 0, 5);
+
+            if ($zip !== '' && isset($zips[$zip])) {
+                $locations[$property->id] = [
+                    'key' => "zip:{$zip}",
+                    'type' => 'zip',
+                    'label' => "ZIP {$zip}",
+                    'distance' => null,
+                ];
+
+                continue;
+            }
+
+            $locations[$property->id] = $property->hasCoordinates()
+                ? $this->findNearestStation($stations, (float) $property->latitude, (float) $property->longitude)
+                : null;
+        }
+
+        return $locations;
+    }
+
+    /**
+     * Get each property's monthly weather adjustment factors.
+     *
+     * @param  Collection<int, Property>  $properties
+     * @param  string  $basis  Degree-day basis ('heating', 'cooling' or 'total')
+     * @return array<string, array<string, float>> Factors keyed by property ID, then 'Y-m'
+     */
+    public function getAdjustmentFactors(Collection $properties, string $basis, Carbon $startDate, Carbon $endDate): array
+    {
+        $locations = array_filter($this->resolveLocations($properties));
+        $series = $this->getDegreeDaySeries(array_unique(array_column($locations, 'key')), $basis);
+
+        $factors = [];
+        foreach ($locations as $propertyId => $location) {
+            $locationSeries = $series[$location['key']] ?? null;
+            if ($locationSeries === null) {
+                continue;
+            }
+
+            $month = $startDate->copy()->startOfMonth();
+            while ($month->lte($endDate)) {
+                $monthKey = $month->format('Y-m');
+                $actual = $locationSeries['actual'][$monthKey] ?? null;
+                $normal = $locationSeries['normal'][$month->month] ?? null;
+
+                if ($actual !== null && $actual > 0 && $normal !== null && $normal > 0) {
+                    $factors[$propertyId][$monthKey] = max(self::MIN_FACTOR, min(self::MAX_FACTOR, $normal / $actual));
+                }
+
+                $month->addMonth();
+            }
+        }
+
+        return $factors;
+    }
+
+    /**
+     * Add weather-adjusted cost figures to a property's monthly trend.
+     *
+     * Each row gains weather_adjusted_cost and weather_adjusted_cost_per_unit,
+     * left null for months without degree days.
+     *
+     * @param  array  $trend  Rows from UtilityAnalyticsService::getTrend() with 'month' periods
+     */
+    public function normalizeTrend(Property $property, string $utilityType, array $trend): array
+    {
+        $basis = $this->getBasisForType($utilityType);
+        $factors = [];
+
+        if ($basis !== null && $this->hasDegreeDays() && ! empty($trend)) {
+            $factors = $this->getAdjustmentFactors(
+                collect([$property]),
+                $basis,
+                Carbon::parse($trend[0]['date']),
+                Carbon::parse($trend[count($trend) - 1]['date'])->endOfMonth()
+            )[$property->id] ?? [];
+        }
+
+        return array_map(function (array $row) use ($factors) {
+            $factor = $factors[Carbon::parse($row['date'])->format('Y-m')] ?? null;
+
+            return [
+                ...$row,
+                'weather_adjusted_cost' => $factor !== null ? round($row['cost'] * $factor, 2) : null,
+                'weather_adjusted_cost_per_unit' => $factor !== null && $row['cost_per_unit'] !== null
+                    ? round($row['cost_per_unit'] * $factor, 2)
+                    : null,
+            ];
+        }, $trend);
+    }
+
+    /**
+     * Get the portfolio cost trend with weather-sensitive types adjusted.
+     *
+     * Same shape as UtilityAnalyticsService::getPortfolioTrend(). Types without
+     * a degree-day basis and properties without degree days keep their actual
+     * costs. Returns null when no degree days have been imported.
+     */
+    public function getPortfolioTrend(array $utilityTypes, int $months = 12): ?array
+    {
+        if (! $this->hasDegreeDays()) {
+            return null;
+        }
+
+        $date = Carbon::now();
+        $startDate = $date->copy()->subMonths($months - 1)->startOfMonth();
+        $endDate = $date->copy()->endOfMonth();
+
+        $properties = Property::active()->forUtilityReports()->get();
+        $expenses = $this->analyticsService->getPortfolioMonthlyExpenses(
+            $properties->pluck('id')->all(),
+            $utilityTypes,
+            $startDate,
+            $endDate
+        );
+
+        $factorsByType = [];
+        foreach ($utilityTypes as $type) {
+            $basis = $this->getBasisForType($type);
+            $factorsByType[$type] = $basis !== null
+                ? $this->getAdjustmentFactors($properties, $basis, $startDate, $endDate)
+                : [];
+        }
+
+        // Sum the adjusted costs by month and type
+        $totals = [];
+        foreach ($expenses as $item) {
+            $monthKey = Carbon::parse($item->month)->format('Y-m');
+            $factor = $factorsByType[$item->utility_type][$item->property_id][$monthKey] ?? 1.0;
+            $totals[$monthKey][$item->utility_type] = ($totals[$monthKey][$item->utility_type] ?? 0) + (float) $item->total * $factor;
+        }
+
+        $data = [];
+        for ($i = $months - 1; $i >= 0; $i--) {
+            $periodDate = $date->copy()->subMonths($i);
+            $monthKey = $periodDate->format('Y-m');
+
+            $row = [
+                'period' => $periodDate->format('M Y'),
+                'date' => $periodDate->toDateString(),
+            ];
+
+            $total = 0;
+            foreach ($utilityTypes as $type) {
+                $row[$type] = round($totals[$monthKey][$type] ?? 0, 2);
+                $total += $row[$type];
+            }
+
+            $row['total'] = round($total, 2);
+            $data[] = $row;
+        }
+
+        return $data;
+    }
+
+    /**
+     * Get properties with anomalous utility costs after weather adjustment.
+     *
+     * Weather-sensitive types are compared on their adjusted costs so a cold
+     * or hot month doesn't flag the whole portfolio; other types fall back to
+     * UtilityAnalyticsService::getAnomalies().
+     *
+     * @param  string  $utilityType  The utility type (water, electric, gas, etc.)
+     * @param  array  $period  Period config ['type' => 'month|quarter|year', 'date' => Carbon]
+     * @param  float  $threshold  Number of standard deviations for anomaly detection
+     * @param  string  $metric  The metric to analyze ('per_unit' or 'per_sqft')
+     * @return array List of properties with anomalous values
+     */
+    public function getAnomalies(string $utilityType, array $period, float $threshold = 2.0, string $metric = 'per_unit'): array
+    {
+        if (! $this->canNormalize($utilityType)) {
+            return $this->analyticsService->getAnomalies($utilityType, $period, $threshold, $metric);
+        }
+
+        [$startDate, $endDate] = $this->analyticsService->getPeriodDates($period);
+        $date = $period['date'] ?? now();
+
+        $excludedIds = PropertyUtilityExclusion::getExcludedPropertyIdsByTypeKey($utilityType);
+        $properties = Property::active()
+            ->forUtilityReports()
+            ->when(! empty($excludedIds), fn ($query) => $query->whereNotIn('id', $excludedIds))
+            ->get();
+
+        $costs = $this->getAdjustedCostsByProperty($properties, $utilityType, $startDate, $endDate);
+
+        $propertyValues = [];
+        foreach ($properties as $property) {
+            $cost = $costs[$property->id] ?? 0;
+            if ($cost <= 0) {
+                continue;
+            }
+
+            $divisor = $metric === 'per_unit'
+                ? $this->analyticsService->getEffectiveUnitCount($property, $date)
+                : $this->analyticsService->getEffectiveSqft($property, $date);
+
+            if ($divisor > 0) {
+                $propertyValues[] = [
+                    'property_id' => $property->id,
+                    'property_name' => $property->name,
+                    'value' => $cost / $divisor,
+                ];
+            }
+        }
+
+        return array_map(
+            fn (array $anomaly) => [...$anomaly, 'weather_adjusted' => true],
+            $this->analyticsService->detectAnomalies($propertyValues, $threshold)
+        );
+    }
+
+    /**
+     * Replace the costs in property comparison data with weather-adjusted costs.
+     *
+     * Recomputes the month columns, averages and totals produced by
+     * UtilityAnalyticsService::getFilteredPropertyComparisonData(), so run it
+     * before formatting or heat map statistics are calculated. Rows gain a
+     * weather_adjusted flag telling whether degree days were found.
+     */
+    public function normalizeComparisonData(array &$comparisonData, string $utilityType, ?Carbon $referenceDate = null): void
+    {
+        $basis = $this->getBasisForType($utilityType);
+        if ($basis === null || ! $this->hasDegreeDays() || empty($comparisonData['properties'])) {
+            return;
+        }
+
+        $now = $referenceDate ?? now();
+        $currentMonthStart = $now->copy()->startOfMonth();
+        $currentMonthEnd = $now->copy()->endOfMonth();
+        $prevMonthStart = $now->copy()->subMonth()->startOfMonth();
+        $prevMonthEnd = $now->copy()->subMonth()->endOfMonth();
+        $prev3MonthStart = $now->copy()->subMonths(3)->startOfMonth();
+        $prev12MonthStart = $now->copy()->subMonths(12)->startOfMonth();
+
+        $properties = Property::query()
+            ->whereIn('id', array_column($comparisonData['properties'], 'property_id'))
+            ->get(['id', 'zip', 'latitude', 'longitude']);
+
+        $factors = $this->getAdjustmentFactors($properties, $basis, $prev12MonthStart, $currentMonthEnd);
+        $expenses = $this->analyticsService
+            ->getPortfolioMonthlyExpenses($properties->pluck('id')->all(), [$utilityType], $prev12MonthStart, $currentMonthEnd)
+            ->groupBy('property_id');
+
+        $totals = ['current_month' => 0, 'prev_month' => 0, 'prev_3_months' => 0, 'prev_12_months' => 0];
+
+        foreach ($comparisonData['properties'] as &$row) {
+            $propertyFactors = $factors[$row['property_id']] ?? [];
+            $monthlyCosts = [];
+            foreach ($expenses->get($row['property_id'], collect()) as $item) {
+                $month = Carbon::parse($item->month);
+                $monthlyCosts[] = [
+                    'month' => $month,
+                    'cost' => (float) $item->total * ($propertyFactors[$month->format('Y-m')] ?? 1.0),
+                ];
+            }
+
+            $sumBetween = fn (Carbon $start, Carbon $end) => round(array_sum(array_column(
+                array_filter($monthlyCosts, fn (array $m) => $m['month']->between($start, $end)),
+                'cost'
+            )), 2);
+
+            $currentMonth = $sumBetween($currentMonthStart, $currentMonthEnd);
+            $prevMonth = $sumBetween($prevMonthStart, $prevMonthEnd);
+            $prev3Total = $sumBetween($prev3MonthStart, $prevMonthEnd);
+            $prev12Total = $sumBetween($prev12MonthStart, $prevMonthEnd);
+
+            $row['current_month'] = $currentMonth > 0 ? $currentMonth : null;
+            $row['prev_month'] = $prevMonth > 0 ? $prevMonth : null;
+            $row['prev_3_months'] = $prev3Total > 0 ? round($prev3Total / 3, 2) : null;
+            $row['prev_12_months'] = $prev12Total > 0 ? round($prev12Total / 12, 2) : null;
+            $row['avg_per_unit'] = $prev12Total > 0 && $row['unit_count'] > 0
+                ? round($prev12Total / 12 / $row['unit_count'], 2)
+                : null;
+            $row['avg_per_sqft'] = $prev12Total > 0 && $row['total_sqft'] > 0
+                ? round($prev12Total / 12 / $row['total_sqft'], 4)
+                : null;
+            $row['weather_adjusted'] = ! empty($propertyFactors);
+
+            $totals['current_month'] += $currentMonth;
+            $totals['prev_month'] += $prevMonth;
+            $totals['prev_3_months'] += $prev3Total;
+            $totals['prev_12_months'] += $prev12Total;
+        }
+        unset($row);
+
+        $propertyCount = count($comparisonData['properties']);
+        $comparisonData['totals'] = $totals;
+        $comparisonData['averages'] = [
+            'current_month' => round($totals['current_month'] / $propertyCount, 2),
+            'prev_month' => round($totals['prev_month'] / $propertyCount, 2),
+            'prev_3_months' => round($totals['prev_3_months'] / 3 / $propertyCount, 2),
+            'prev_12_months' => round($totals['prev_12_months'] / 12 / $propertyCount, 2),
+        ];
+        $comparisonData['weather_adjusted'] = true;
+    }
+
+    /**
+     * Summarize the imported degree days by location for the admin page.
+     *
+     * @return array<int, array{type: string, zip: string|null, code: string|null, name: string|null, latitude: float|null, longitude: float|null, first_month: string, last_month: string, month_count: int}>
+     */
+    public function getLocationSummary(): array
+    {
+        $rows = DegreeDay::query()
+            ->leftJoin('weather_stations', 'degree_days.weather_station_id', '=', 'weather_stations.id')
+            ->groupBy('degree_days.zip', 'weather_stations.id', 'weather_stations.code', 'weather_stations.name', 'weather_stations.latitude', 'weather_stations.longitude')
+            ->orderByRaw('weather_stations.code IS NOT NULL, degree_days.zip, weather_stations.code')
+            ->toBase()
+            ->select([
+                'degree_days.zip',
+                'weather_stations.code',
+                'weather_stations.name',
+                'weather_stations.latitude',
+                'weather_stations.longitude',
+                DB::raw('MIN(degree_days.month) as first_month'),
+                DB::raw('MAX(degree_days.month) as last_month'),
+                DB::raw('COUNT(*) as month_count'),
+            ])
+            ->get();
+
+        return $rows->map(fn ($row) => [
+            'type' => $row->zip !== null ? 'zip' : 'station',
+            'zip' => $row->zip,
+            'code' => $row->code,
+            'name' => $row->name,
+            'latitude' => $row->latitude !== null ? (float) $row->latitude : null,
+            'longitude' => $row->longitude !== null ? (float) $row->longitude : null,
+            'first_month' => Carbon::parse($row->first_month)->format('Y-m'),
+            'last_month' => Carbon::parse($row->last_month)->format('Y-m'),
+            'month_count' => (int) $row->month_count,
+        ])->all();
+    }
+
+    /**
+     * List the active properties with the degree-day location each one uses.
+     *
+     * @return array<int, array{id: string, name: string, zip: string|null, has_coordinates: bool, location: array|null}>
+     */
+    public function getPropertyMatches(): array
+    {
+        $properties = Property::active()
+            ->forUtilityReports()
+            ->orderBy('name')
+            ->get(['id', 'name', 'zip', 'latitude', 'longitude']);
+
+        $locations = $this->resolveLocations($properties);
+
+        return $properties->map(fn (Property $property) => [
+            'id' => $property->id,
+            'name' => $property->name,
+            'zip' => $property->zip,
+            'has_coordinates' => $property->hasCoordinates(),
+            'location' => $locations[$property->id] ?? null,
+        ])->all();
+    }
+
+    /**
+     * Sum each property's weather-adjusted cost for a utility type in a date range.
+     *
+     * @param  Collection<int, Property>  $properties
+     * @return array<string, float> Keyed by property ID
+     */
+    private function getAdjustedCostsByProperty(Collection $properties, string $utilityType, Carbon $startDate, Carbon $endDate): array
+    {
+        $factors = $this->getAdjustmentFactors($properties, (string) $this->getBasisForType($utilityType), $startDate, $endDate);
+        $expenses = $this->analyticsService->getPortfolioMonthlyExpenses(
+            $properties->pluck('id')->all(),
+            [$utilityType],
+            $startDate,
+            $endDate
+        );
+
+        $costs = [];
+        foreach ($expenses as $item) {
+            $factor = $factors[$item->property_id][Carbon::parse($item->month)->format('Y-m')] ?? 1.0;
+            $costs[$item->property_id] = ($costs[$item->property_id] ?? 0) + (float) $item->total * $factor;
+        }
+
+        return $costs;
+    }
+
+    /**
+     * Load actual monthly degree days and calendar-month normals per location.
+     *
+     * @param  array<int, string>  $locationKeys  Keys like 'zip:94110' or 'station:{id}'
+     * @return array<string, array{actual: array<string, float>, normal: array<int, float>}>
+     */
+    private function getDegreeDaySeries(array $locationKeys, string $basis): array
+    {
+        if (empty($locationKeys)) {
+            return [];
+        }
+
+        $zips = [];
+        $stationIds = [];
+        foreach ($locationKeys as $key) {
+            [$type, $value] = explode(':', $key, 2);
+            if ($type === 'zip') {
+                $zips[] = $value;
+            } else {
+                $stationIds[] = $value;
+            }
+        }
+
+        $rows = DegreeDay::query()
+            ->where(function ($query) use ($zips, $stationIds) {
+                $query->whereIn('zip', $zips)->orWhereIn('weather_station_id', $stationIds);
+            })
+            ->get(['zip', 'weather_station_id', 'month', 'heating_degree_days', 'cooling_degree_days']);
+
+        $series = [];
+        $byCalendarMonth = [];
+        foreach ($rows as $row) {
+            $key = $row->zip !== null ? "zip:{$row->zip}" : "station:{$row->weather_station_id}";
+            $degreeDays = match ($basis) {
+                'heating' => (float) $row->heating_degree_days,
+                'cooling' => (float) $row->cooling_degree_days,
+                default => (float) $row->heating_degree_days + (float) $row->cooling_degree_days,
+            };
+
+            $series[$key]['actual'][$row->month->format('Y-m')] = $degreeDays;
+            $byCalendarMonth[$key][$row->month->month][] = $degreeDays;
+        }
+
+        foreach ($byCalendarMonth as $key => $months) {
+            foreach ($months as $month => $values) {
+                $series[$key]['normal'][$month] = array_sum($values) / count($values);
+            }
+        }
+
+        return $series;
+    }
+
+    /**
+     * Find the closest station to a point within MAX_STATION_DISTANCE_MILES.
+     *
+     * @param  Collection<int, WeatherStation>  $stations
+     */
+    private function findNearestStation(Collection $stations, float $latitude, float $longitude): ?array
+    {
+        $nearest = null;
+        $nearestDistance = self::MAX_STATION_DISTANCE_MILES;
+
+        foreach ($stations as $station) {
+            $distance = $this->distanceInMiles($latitude, $longitude, (float) $station->latitude, (float) $station->longitude);
+
+            if ($distance <= $nearestDistance) {
+                $nearest = $station;
+                $nearestDistance = $distance;
+            }
+        }
+
+        if ($nearest === null) {
+            return null;
+        }
+
+        return [
+            'key' => "station:{$nearest->id}",
+            'type' => 'station',
+            'label' => $nearest->name ? "{$nearest->name} ({$nearest->code})" : $nearest->code,
+            'distance' => round($nearestDistance, 1),
+        ];
+    }
+
+    /**
+     * Great-circle distance between two points using the haversine formula.
+     */
+    private function distanceInMiles(float $lat1, float $lng1, float $lat2, float $lng2): float
+    {
+        $latDelta = deg2rad($lat2 - $lat1);
+        $lngDelta = deg2rad($lng2 - $lng1);
+
+        $a = sin($latDelta / 2) ** 2
+            + cos(deg2rad($lat1)) * cos(deg2rad($lat2)) * sin($lngDelta / 2) ** 2;
+
+        return self::EARTH_RADIUS_MILES * 2 * atan2(sqrt($a), sqrt(1 - $a));
+    }
+
+    /**
+     * Find a station by code, creating or moving it when coordinates are given.
+     *
+     * @param  Collection<string, WeatherStation>  $stations  Known stations keyed by upper-case code, updated in place
+     * @return WeatherStation|string The station, or an error message
+     */
+    private function findOrCreateStation(Collection $stations, string $code, array $values): WeatherStation|string
+    {
+        $latitude = $values['latitude'] ?? '';
+        $longitude = $values['longitude'] ?? '';
+        $hasCoordinates = $latitude !== '' || $longitude !== '';
+
+        if ($hasCoordinates) {
+            $validLatitude = is_numeric($latitude) && abs((float) $latitude) <= 90;
+            $validLongitude = is_numeric($longitude) && abs((float) $longitude) <= 180;
+            if (! $validLatitude || ! $validLongitude) {
+                return "invalid coordinates for station \"{$code}\".";
+            }
+        }
+
+        $station = $stations->get($code);
+        if (! $station && ! $hasCoordinates) {
+            return "new station \"{$code}\" needs a latitude and longitude.";
+        }
+
+        $attributes = array_filter([
+            'name' => ($values['name'] ?? '') !== '' ? $values['name'] : null,
+            'latitude' => $hasCoordinates ? (float) $latitude : null,
+            'longitude' => $hasCoordinates ? (float) $longitude : null,
+        ], fn ($value) => $value !== null);
+
+        if ($station) {
+            $station->update($attributes);
+        } else {
+            $station = WeatherStation::create(['code' => $code, ...$attributes]);
+            $stations->put($code, $station);
+        }
+
+        return $station;
+    }
+
+    /**
+     * Parse a month such as "2026-01" or "1/15/2026" to the first of the month.
+     */
+    private function parseMonth(string $value): ?Carbon
+    {
+        if (preg_match('/^(\d{4})-(\d{1,2})$/', $value, $matches)) {
+            $month = (int) $matches[2];
+
+            return $month >= 1 && $month <= 12 ? Carbon::create((int) $matches[1], $month, 1) : null;
+        }
+
+        try {
+            return $value === '' ? null : Carbon::parse($value)->startOfMonth()->startOfDay();
+        } catch (\Exception) {
+            return null;
+        }
+    }
+
+    /**
+     * Parse a degree-day value, which must be zero or more.
+     */
+    private function parseDegreeDays(string $value): ?float
+    {
+        $value = str_replace(',', '', $value);
+
+        if ($value === '' || ! is_numeric($value) || (float) $value < 0) {
+            return null;
+        }
+
+        return round((float) $value, 1);
+    }
+}
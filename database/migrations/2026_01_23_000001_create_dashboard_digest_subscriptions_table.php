@@ -0,0 +1,40 @@
+<?php
+
+declare(strict_types=1);
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('dashboard_digest_subscriptions', function (Blueprint $table) {
+            $table->uuid('id')->primary();
+            $table->foreignUuid('user_id')
+                ->unique()
+                ->constrained('users')
+                ->cascadeOnDelete();
+            $table->string('cadence'); // weekly, monthly
+            $table->json('portfolios')->nullable(); // Empty means the whole portfolio
+            $table->json('property_types')->nullable();
+            $table->timestamp('last_sent_at')->nullable();
+            $table->timestamps();
+
+            // Index
+            $table->index('cadence');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('dashboard_digest_subscriptions');
+    }
+};
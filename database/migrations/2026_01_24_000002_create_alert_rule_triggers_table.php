@@ -0,0 +1,40 @@
+<?php
+
+declare(strict_types=1);
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('alert_rule_triggers', function (Blueprint $table) {
+            $table->uuid('id')->primary();
+            $table->foreignUuid('alert_rule_id')
+                ->constrained('alert_rules')
+                ->cascadeOnDelete();
+            $table->decimal('value', 12, 2); // Metric value that tripped the rule
+            $table->string('operator'); // Rule settings at the time it fired
+            $table->decimal('threshold', 12, 2);
+            $table->json('recipients');
+            $table->timestamp('triggered_at');
+            $table->timestamps();
+
+            // Index
+            $table->index(['alert_rule_id', 'triggered_at']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('alert_rule_triggers');
+    }
+};
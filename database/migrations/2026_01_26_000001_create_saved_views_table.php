@@ -0,0 +1,40 @@
+<?php
+
+declare(strict_types=1);
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('saved_views', function (Blueprint $table) {
+            $table->uuid('id')->primary();
+            $table->foreignUuid('user_id')
+                ->constrained('users')
+                ->cascadeOnDelete();
+            $table->string('page'); // e.g. properties
+            $table->string('name');
+            $table->json('filters');
+            $table->boolean('is_shared')->default(false);
+            $table->timestamps();
+
+            // Index
+            $table->unique(['user_id', 'page', 'name']);
+            $table->index(['page', 'is_shared']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('saved_views');
+    }
+};
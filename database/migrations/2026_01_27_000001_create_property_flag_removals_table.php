@@ -0,0 +1,38 @@
+<?php
+
+declare(strict_types=1);
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('property_flag_removals', function (Blueprint $table) {
+            $table->uuid('id')->primary();
+            $table->foreignUuid('property_id')->constrained()->cascadeOnDelete();
+            $table->string('flag_type', 50);
+            $table->text('reason')->nullable(); // Reason the flag was added with
+            $table->timestamp('flagged_at')->nullable();
+            $table->foreignUuid('removed_by')->nullable()->constrained('users')->nullOnDelete();
+            $table->timestamp('removed_at');
+            $table->timestamps();
+
+            // Index
+            $table->index(['property_id', 'removed_at']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('property_flag_removals');
+    }
+};
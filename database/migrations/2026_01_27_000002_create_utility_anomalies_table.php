@@ -0,0 +1,42 @@
+<?php
+
+declare(strict_types=1);
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('utility_anomalies', function (Blueprint $table) {
+            $table->uuid('id')->primary();
+            $table->foreignUuid('property_id')->constrained()->cascadeOnDelete();
+            $table->foreignUuid('utility_type_id')->constrained('utility_types')->cascadeOnDelete();
+            $table->date('period_start'); // First day of the month the anomaly covers
+            $table->string('metric', 20); // per_unit or per_sqft
+            $table->string('direction', 10); // high or low
+            $table->decimal('value', 12, 4);
+            $table->decimal('average', 12, 4);
+            $table->decimal('deviation', 8, 2); // Standard deviations from the average
+            $table->timestamp('detected_at');
+            $table->timestamps();
+
+            // Index
+            $table->unique(['property_id', 'utility_type_id', 'period_start', 'metric']);
+            $table->index(['property_id', 'detected_at']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('utility_anomalies');
+    }
+};
@@ -0,0 +1,61 @@
+<?php
+
+declare(strict_types=1);
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('property_notes', function (Blueprint $table) {
+            $table->uuid('id')->primary();
+            $table->foreignUuid('property_id')->constrained()->cascadeOnDelete();
+            $table->foreignUuid('parent_id')->nullable()->constrained('property_notes')->cascadeOnDelete(); // Null for a thread's first note
+            $table->foreignUuid('user_id')->nullable()->constrained()->nullOnDelete();
+            $table->text('body')->nullable();
+            $table->timestamps();
+
+            // Index
+            $table->index(['property_id', 'parent_id', 'created_at']);
+        });
+
+        // Users @mentioned in a note
+        Schema::create('property_note_mentions', function (Blueprint $table) {
+            $table->foreignUuid('property_note_id')->constrained()->cascadeOnDelete();
+            $table->foreignUuid('user_id')->constrained()->cascadeOnDelete();
+            $table->timestamps();
+
+            $table->primary(['property_note_id', 'user_id']);
+        });
+
+        Schema::create('property_note_attachments', function (Blueprint $table) {
+            $table->uuid('id')->primary();
+            $table->foreignUuid('property_note_id')->constrained()->cascadeOnDelete();
+            $table->string('disk', 50);
+            $table->string('path');
+            $table->string('original_name');
+            $table->string('mime_type', 100)->nullable();
+            $table->unsignedBigInteger('size'); // Bytes
+            $table->timestamps();
+
+            // Index
+            $table->index('property_note_id');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('property_note_attachments');
+        Schema::dropIfExists('property_note_mentions');
+        Schema::dropIfExists('property_notes');
+    }
+};
@@ -0,0 +1,39 @@
+<?php
+
+declare(strict_types=1);
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('utility_budgets', function (Blueprint $table) {
+            $table->uuid('id')->primary();
+            $table->foreignUuid('property_id')->constrained()->cascadeOnDelete();
+            $table->foreignUuid('utility_type_id')->constrained('utility_types')->cascadeOnDelete();
+            $table->unsignedSmallInteger('year');
+            $table->unsignedTinyInteger('month'); // 1-12
+            $table->decimal('amount', 12, 2);
+            $table->foreignUuid('created_by')->nullable()->constrained('users')->nullOnDelete();
+            $table->timestamps();
+
+            // Index
+            $table->unique(['property_id', 'utility_type_id', 'year', 'month']);
+            $table->index(['utility_type_id', 'year']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('utility_budgets');
+    }
+};
@@ -0,0 +1,62 @@
+<?php
+
+declare(strict_types=1);
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('weather_stations', function (Blueprint $table) {
+            $table->uuid('id')->primary();
+            $table->string('code', 50)->unique();
+            $table->string('name')->nullable();
+            $table->decimal('latitude', 10, 7);
+            $table->decimal('longitude', 10, 7);
+            $table->timestamps();
+        });
+
+        // Monthly degree days keyed by either a ZIP code or a weather station
+        Schema::create('degree_days', function (Blueprint $table) {
+            $table->uuid('id')->primary();
+            $table->string('zip', 10)->nullable();
+            $table->foreignUuid('weather_station_id')->nullable()->constrained()->cascadeOnDelete();
+            $table->date('month'); // First day of the month
+            $table->decimal('heating_degree_days', 8, 1)->default(0);
+            $table->decimal('cooling_degree_days', 8, 1)->default(0);
+            $table->timestamps();
+
+            // Index
+            $table->unique(['zip', 'month']);
+            $table->unique(['weather_station_id', 'month']);
+        });
+
+        Schema::table('utility_types', function (Blueprint $table) {
+            $table->string('degree_day_basis', 20)->nullable()->after('color_scheme');
+        });
+
+        // Gas mostly heats; electric covers both heating and cooling loads
+        DB::table('utility_types')->where('key', 'gas')->update(['degree_day_basis' => 'heating']);
+        DB::table('utility_types')->where('key', 'electric')->update(['degree_day_basis' => 'total']);
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('utility_types', function (Blueprint $table) {
+            $table->dropColumn('degree_day_basis');
+        });
+
+        Schema::dropIfExists('degree_days');
+        Schema::dropIfExists('weather_stations');
+    }
+};
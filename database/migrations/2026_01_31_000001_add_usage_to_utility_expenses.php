@@ -0,0 +1,46 @@
+<?php
+
+declare(strict_types=1);
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('utility_expenses', function (Blueprint $table) {
+            $table->decimal('usage_quantity', 14, 4)->nullable()->after('amount');
+            $table->string('usage_unit', 10)->nullable()->after('usage_quantity');
+            $table->string('usage_source', 10)->nullable()->after('usage_unit'); // parsed or manual
+        });
+
+        // Unit usage is reported in for each utility type
+        Schema::table('utility_types', function (Blueprint $table) {
+            $table->string('usage_unit', 10)->nullable()->after('degree_day_basis');
+        });
+
+        DB::table('utility_types')->where('key', 'electric')->update(['usage_unit' => 'kwh']);
+        DB::table('utility_types')->where('key', 'gas')->update(['usage_unit' => 'therms']);
+        DB::table('utility_types')->where('key', 'water')->update(['usage_unit' => 'gallons']);
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('utility_types', function (Blueprint $table) {
+            $table->dropColumn('usage_unit');
+        });
+
+        Schema::table('utility_expenses', function (Blueprint $table) {
+            $table->dropColumn(['usage_quantity', 'usage_unit', 'usage_source']);
+        });
+    }
+};
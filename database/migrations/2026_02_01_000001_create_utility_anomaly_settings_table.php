@@ -0,0 +1,36 @@
+<?php
+
+declare(strict_types=1);
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('utility_anomaly_settings', function (Blueprint $table) {
+            $table->uuid('id')->primary();
+            $table->foreignUuid('utility_type_id')->unique()->constrained('utility_types')->cascadeOnDelete();
+            $table->boolean('is_enabled')->default(true);
+            $table->decimal('z_score_threshold', 4, 2)->nullable(); // Null turns the portfolio check off
+            $table->decimal('percent_over_average', 6, 2)->nullable(); // Null turns the rolling average check off
+            $table->unsignedTinyInteger('rolling_months')->default(3);
+            $table->decimal('min_dollar_impact', 10, 2)->default(0);
+            $table->foreignUuid('updated_by')->nullable()->constrained('users')->nullOnDelete();
+            $table->timestamps();
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('utility_anomaly_settings');
+    }
+};
@@ -0,0 +1,64 @@
+<?php
+
+declare(strict_types=1);
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('utility_anomalies', function (Blueprint $table) {
+            // Anomalies found only by the rolling average check have no portfolio comparison
+            $table->decimal('value', 12, 4)->nullable()->change();
+            $table->decimal('average', 12, 4)->nullable()->change();
+            $table->decimal('deviation', 8, 2)->nullable()->change();
+
+            $table->json('rules')->nullable()->after('metric'); // Checks that flagged the month
+            $table->boolean('weather_adjusted')->default(false)->after('deviation');
+            $table->decimal('cost', 12, 2)->nullable()->after('weather_adjusted');
+            $table->decimal('baseline_cost', 12, 2)->nullable()->after('cost'); // Rolling average monthly cost
+            $table->decimal('percent_over_baseline', 8, 2)->nullable()->after('baseline_cost');
+            $table->decimal('dollar_impact', 12, 2)->nullable()->after('percent_over_baseline');
+            $table->string('status', 15)->default('open')->after('dollar_impact'); // open, acknowledged, dismissed or cleared
+            $table->text('dismissal_reason')->nullable()->after('status');
+            $table->foreignUuid('utility_note_id')->nullable()->after('dismissal_reason')->constrained('utility_notes')->nullOnDelete();
+            $table->foreignUuid('resolved_by')->nullable()->after('utility_note_id')->constrained('users')->nullOnDelete();
+            $table->timestamp('resolved_at')->nullable()->after('resolved_by');
+
+            $table->index(['status', 'period_start']);
+        });
+
+        // Anomalies recorded so far all came from the portfolio check
+        DB::table('utility_anomalies')->update(['rules' => json_encode(['z_score'])]);
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('utility_anomalies', function (Blueprint $table) {
+            $table->dropIndex(['status', 'period_start']);
+            $table->dropConstrainedForeignId('utility_note_id');
+            $table->dropConstrainedForeignId('resolved_by');
+            $table->dropColumn([
+                'rules',
+                'weather_adjusted',
+                'cost',
+                'baseline_cost',
+                'percent_over_baseline',
+                'dollar_impact',
+                'status',
+                'dismissal_reason',
+                'resolved_at',
+            ]);
+        });
+    }
+};
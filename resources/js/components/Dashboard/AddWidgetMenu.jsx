@@ -0,0 +1,70 @@
+import { Popover, Transition } from '@headlessui/react';
+import { PlusIcon } from '@heroicons/react/24/outline';
+
+/**
+ * AddWidgetMenu - Lists registry widgets not yet on the Dashboard, grouped
+ * by category.
+ *
+ * @param {Object} props
+ * @param {Array} props.widgets - Available registry entries { key, label, description, category }
+ * @param {Function} props.onAdd - Called with the widget key
+ */
+export default function AddWidgetMenu({ widgets, onAdd }) {
+    const categories = widgets.reduce((acc, widget) => {
+        (acc[widget.category] = acc[widget.category] || []).push(widget);
+        return acc;
+    }, {});
+
+    return (
+        <Popover className="relative">
+            <Popover.Button
+                disabled={widgets.length === 0}
+                className="btn-secondary flex items-center gap-1 min-h-[44px] disabled:opacity-50"
+            >
+                <PlusIcon className="w-4 h-4" />
+                Add Widget
+            </Popover.Button>
+
+            <Transition
+                enter="transition duration-100 ease-out"
+                enterFrom="transform scale-95 opacity-0"
+                enterTo="transform scale-100 opacity-100"
+                leave="transition duration-75 ease-in"
+                leaveFrom="transform scale-100 opacity-100"
+                leaveTo="transform scale-95 opacity-0"
+            >
+                <Popover.Panel className="absolute right-0 z-20 mt-2 w-80 max-h-96 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg">
+                    {({ close }) => (
+                        <div className="py-2">
+                            {Object.entries(categories).map(([category, items]) => (
+                                <div key={category}>
+                                    <p className="px-4 pt-2 pb-1 text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        {category}
+                                    </p>
+                                    {items.map((widget) => (
+                                        <button
+                                            key={widget.key}
+                                            type="button"
+                                            onClick={() => {
+                                                onAdd(widget.key);
+                                                close();
+                                            }}
+                                            className="w-full text-left px-4 py-2 min-h-[44px] hover:bg-gray-50"
+                                        >
+                                            <span className="block text-sm font-medium text-gray-900">
+                                                {widget.label}
+                                            </span>
+                                            <span className="block text-xs text-gray-500">
+                                                {widget.description}
+                                            </span>
+                                        </button>
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </Popover.Panel>
+            </Transition>
+        </Popover>
+    );
+}
@@ -0,0 +1,125 @@
+import {
+    ArrowUpIcon,
+    ArrowDownIcon,
+    XMarkIcon,
+    Bars2Icon,
+} from '@heroicons/react/24/outline';
+
+/**
+ * Grid classes for each widget width. Small widgets sit two to a row on
+ * mobile; everything else spans the full width until the 12-column grid
+ * kicks in at lg.
+ */
+export const WIDGET_SIZE_CLASSES = {
+    3: 'col-span-1 lg:col-span-3',
+    4: 'col-span-2 lg:col-span-4',
+    6: 'col-span-2 lg:col-span-6',
+    8: 'col-span-2 lg:col-span-8',
+    12: 'col-span-2 lg:col-span-12',
+};
+
+const SIZE_LABELS = {
+    3: 'Quarter',
+    4: 'Third',
+    6: 'Half',
+    8: 'Two thirds',
+    12: 'Full width',
+};
+
+/**
+ * DashboardWidget - Grid cell for a Dashboard widget. In edit mode it adds a
+ * toolbar for reordering (drag or arrow buttons), resizing and removing.
+ *
+ * @param {Object} props
+ * @param {Object} props.widget - Registry entry { key, label, sizes }
+ * @param {number} props.size - Current column width
+ * @param {boolean} props.editing - Whether the layout is being edited
+ * @param {boolean} props.isFirst - Disables "move up"
+ * @param {boolean} props.isLast - Disables "move down"
+ * @param {boolean} props.isDragTarget - Highlights the drop position
+ * @param {Function} props.onMove - Called with -1 or 1
+ * @param {Function} props.onResize - Called with the new size
+ * @param {Function} props.onRemove - Removes the widget
+ * @param {Object} props.dragHandlers - onDragStart/onDragOver/onDrop/onDragEnd
+ * @param {React.ReactNode} props.children - Widget content
+ */
+export default function DashboardWidget({
+    widget,
+    size,
+    editing = false,
+    isFirst = false,
+    isLast = false,
+    isDragTarget = false,
+    onMove,
+    onResize,
+    onRemove,
+    dragHandlers = {},
+    children,
+}) {
+    const sizeClass = WIDGET_SIZE_CLASSES[size] || WIDGET_SIZE_CLASSES[12];
+
+    if (!editing) {
+        return <div className={sizeClass}>{children}</div>;
+    }
+
+    return (
+        <div
+            className={`${sizeClass} flex flex-col rounded-lg border-2 border-dashed ${
+                isDragTarget ? 'border-blue-500 bg-blue-50' : 'border-gray-300'
+            }`}
+            draggable
+            {...dragHandlers}
+        >
+            <div className="flex items-center gap-2 px-2 py-1 bg-gray-50 border-b border-gray-200 rounded-t-lg">
+                <Bars2Icon className="w-5 h-5 text-gray-400 cursor-move flex-shrink-0" aria-hidden="true" />
+                <span className="flex-1 min-w-0 text-sm font-medium text-gray-700 truncate">
+                    {widget.label}
+                </span>
+                {widget.sizes?.length > 1 && (
+                    <select
+                        value={size}
+                        onChange={(e) => onResize(parseInt(e.target.value, 10))}
+                        className="text-xs rounded-md border-gray-300 py-1"
+                        aria-label={`Width of ${widget.label}`}
+                    >
+                        {widget.sizes.map((option) => (
+                            <option key={option} value={option}>
+                                {SIZE_LABELS[option] || option}
+                            </option>
+                        ))}
+                    </select>
+                )}
+                <button
+                    type="button"
+                    onClick={() => onMove(-1)}
+                    disabled={isFirst}
+                    className="p-2 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                    aria-label={`Move ${widget.label} earlier`}
+                >
+                    <ArrowUpIcon className="w-4 h-4" />
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onMove(1)}
+                    disabled={isLast}
+                    className="p-2 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                    aria-label={`Move ${widget.label} later`}
+                >
+                    <ArrowDownIcon className="w-4 h-4" />
+                </button>
+                <button
+                    type="button"
+                    onClick={onRemove}
+                    className="p-2 text-gray-500 hover:text-red-600"
+                    aria-label={`Remove ${widget.label}`}
+                >
+                    <XMarkIcon className="w-4 h-4" />
+                </button>
+            </div>
+            {/* Content is inert while editing so drags aren't swallowed by charts and links */}
+            <div className="flex-1 pointer-events-none select-none opacity-90">
+                {children}
+            </div>
+        </div>
+    );
+}
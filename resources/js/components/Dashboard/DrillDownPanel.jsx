@@ -0,0 +1,214 @@
+import { Fragment, useState, useEffect } from 'react';
+import { Link } from '@inertiajs/react';
+import { Dialog, Transition } from '@headlessui/react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { formatTrendDate } from './kpiTrends';
+
+const TITLES = {
+    delinquency: 'Delinquent Balances',
+    occupancy: 'Vacant Units',
+};
+
+const formatCurrency = (value) => {
+    if (value === null || value === undefined) return '-';
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0,
+    }).format(value);
+};
+
+const formatDate = (value) => {
+    if (!value) return '-';
+    return new Date(`${value}T00:00:00`).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+    });
+};
+
+/**
+ * DrillDownPanel - Side panel listing the properties and units behind one
+ * point on a Dashboard trend chart. Delinquency shows outstanding ledger
+ * balances; occupancy shows vacant units. Each row links to its property.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.selection - { metric, date } of the clicked point, or null when closed
+ * @param {string} props.granularity - Chart granularity, so weekly/monthly points resolve to a period
+ * @param {Function} props.onClose - Closes the panel
+ */
+export default function DrillDownPanel({ selection, granularity = 'daily', onClose }) {
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!selection) {
+            return undefined;
+        }
+
+        const controller = new AbortController();
+
+        const fetchDrillDown = async () => {
+            setLoading(true);
+            setError(null);
+            setData(null);
+            try {
+                const response = await fetch(route('api.dashboard.drilldown', {
+                    metric: selection.metric,
+                    date: selection.date,
+                    granularity,
+                }), {
+                    headers: {
+                        'Accept': 'application/json',
+                        'X-Requested-With': 'XMLHttpRequest',
+                    },
+                    credentials: 'same-origin',
+                    signal: controller.signal,
+                });
+                if (!response.ok) {
+                    throw new Error(`Request failed with status ${response.status}`);
+                }
+                setData(await response.json());
+            } catch (err) {
+                if (err.name !== 'AbortError') {
+                    console.error('Failed to fetch drill-down data:', err);
+                    setError('Could not load the records for this point.');
+                }
+            } finally {
+                if (!controller.signal.aborted) {
+                    setLoading(false);
+                }
+            }
+        };
+
+        fetchDrillDown();
+
+        return () => controller.abort();
+    }, [selection, granularity]);
+
+    const metric = selection?.metric;
+    const rows = data?.rows || [];
+
+    return (
+        <Transition show={!!selection} as={Fragment}>
+            <Dialog onClose={onClose} className="relative z-50">
+                {/* Backdrop */}
+                <Transition.Child
+                    as={Fragment}
+                    enter="ease-out duration-300"
+                    enterFrom="opacity-0"
+                    enterTo="opacity-100"
+                    leave="ease-in duration-200"
+                    leaveFrom="opacity-100"
+                    leaveTo="opacity-0"
+                >
+                    <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+                </Transition.Child>
+
+                {/* Panel */}
+                <Transition.Child
+                    as={Fragment}
+                    enter="ease-out duration-300"
+                    enterFrom="translate-x-full"
+                    enterTo="translate-x-0"
+                    leave="ease-in duration-200"
+                    leaveFrom="translate-x-0"
+                    leaveTo="translate-x-full"
+                >
+                    <Dialog.Panel className="fixed inset-y-0 right-0 w-full sm:w-[28rem] bg-white shadow-xl flex flex-col">
+                        <div className="flex items-start justify-between px-6 py-4 border-b border-gray-200">
+                            <div>
+                                <Dialog.Title className="text-lg font-medium text-gray-900">
+                                    {TITLES[metric]}
+                                </Dialog.Title>
+                                {selection && (
+                                    <p className="text-sm text-gray-500">
+                                        {granularity === 'daily'
+                                            ? formatDate(selection.date)
+                                            : `${formatTrendDate(selection.date, granularity)}, as of ${formatDate(data?.as_of)}`}
+                                    </p>
+                                )}
+                            </div>
+                            <button
+                                type="button"
+                                onClick={onClose}
+                                className="p-2 -mr-2 min-w-[44px] min-h-[44px] flex items-center justify-center text-gray-400 hover:text-gray-600 active:text-gray-800 rounded-lg hover:bg-gray-100 active:bg-gray-200"
+                                aria-label="Close panel"
+                            >
+                                <XMarkIcon className="w-6 h-6" />
+                            </button>
+                        </div>
+
+                        {data && (
+                            <div className="px-6 py-3 bg-gray-50 border-b border-gray-200 text-sm text-gray-700">
+                                {metric === 'delinquency'
+                                    ? `${data.total_count} balances totaling ${formatCurrency(data.total_amount)}`
+                                    : `${data.total_count} vacant units`}
+                                {data.truncated && (
+                                    <span className="block text-xs text-gray-500">
+                                        Showing the first {rows.length}
+                                    </span>
+                                )}
+                            </div>
+                        )}
+
+                        <div className="flex-1 overflow-y-auto">
+                            {loading && (
+                                <div className="p-6 text-center text-gray-500">Loading...</div>
+                            )}
+                            {error && (
+                                <div className="p-6 text-center text-red-600">{error}</div>
+                            )}
+                            {data && rows.length === 0 && (
+                                <div className="p-6 text-center text-gray-500">
+                                    {metric === 'delinquency' ? 'No outstanding balances' : 'No vacant units'}
+                                </div>
+                            )}
+                            <ul className="divide-y divide-gray-200">
+                                {rows.map((row) => (
+                                    <li key={`${row.property_id}-${row.unit_id ?? 'property'}`}>
+                                        <Link
+                                            href={route('properties.show', row.property_id)}
+                                            className="flex items-center justify-between gap-4 px-6 py-3 min-h-[44px] hover:bg-gray-50 active:bg-gray-100"
+                                        >
+                                            <div className="min-w-0">
+                                                <p className="text-sm font-medium text-blue-600 truncate">
+                                                    {row.property_name}
+                                                </p>
+                                                <p className="text-xs text-gray-500">
+                                                    {row.unit_number ? `Unit ${row.unit_number}` : 'Property level'}
+                                                    {metric === 'occupancy' && row.unit_type && ` · ${row.unit_type}`}
+                                                </p>
+                                            </div>
+                                            {metric === 'delinquency' ? (
+                                                <div className="text-right flex-shrink-0">
+                                                    <p className="text-sm font-medium text-red-600">
+                                                        {formatCurrency(row.balance)}
+                                                    </p>
+                                                    <p className="text-xs text-gray-500">
+                                                        Last paid {formatDate(row.last_payment_date)}
+                                                    </p>
+                                                </div>
+                                            ) : (
+                                                <div className="text-right flex-shrink-0">
+                                                    <p className="text-sm text-gray-900">
+                                                        {row.days_vacant !== null ? `${row.days_vacant} days` : 'Never leased'}
+                                                    </p>
+                                                    <p className="text-xs text-gray-500">
+                                                        {formatCurrency(row.market_rent)} market rent
+                                                    </p>
+                                                </div>
+                                            )}
+                                        </Link>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    </Dialog.Panel>
+                </Transition.Child>
+            </Dialog>
+        </Transition>
+    );
+}
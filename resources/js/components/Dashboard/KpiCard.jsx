@@ -1,6 +1,32 @@
 import { ArrowUpIcon, ArrowDownIcon } from '@heroicons/react/24/solid';
 
-export default function KpiCard({ title, value, subtitle, trend, trendDirection, icon: Icon }) {
+/**
+ * KpiCard - Dashboard metric card with optional period-over-period trend.
+ *
+ * trendDirection controls the arrow ('up', 'down' or 'flat'); trendSentiment
+ * controls the color ('positive', 'negative' or 'neutral') so metrics where a
+ * rising value is bad can show an up arrow in red. When no sentiment is given,
+ * up is treated as positive and down as negative.
+ */
+export default function KpiCard({
+    title,
+    value,
+    subtitle,
+    trend,
+    trendDirection,
+    trendSentiment,
+    trendLabel = 'vs last period',
+    icon: Icon,
+}) {
+    const sentiment = trendSentiment
+        ?? (trendDirection === 'up' ? 'positive' : trendDirection === 'down' ? 'negative' : 'neutral');
+
+    const iconColor = sentiment === 'positive'
+        ? 'text-green-500'
+        : sentiment === 'negative'
+        ? 'text-red-500'
+        : 'text-gray-400';
+
     return (
         <div className="card">
             <div className="card-body">
@@ -21,22 +47,22 @@ export default function KpiCard({ title, value, subtitle, trend, trendDirection,
                 {trend !== undefined && (
                     <div className="mt-3 md:mt-4 flex items-center flex-wrap">
                         {trendDirection === 'up' ? (
-                            <ArrowUpIcon className="w-3 h-3 md:w-4 md:h-4 text-green-500" />
+                            <ArrowUpIcon className={`w-3 h-3 md:w-4 md:h-4 ${iconColor}`} />
                         ) : trendDirection === 'down' ? (
-                            <ArrowDownIcon className="w-3 h-3 md:w-4 md:h-4 text-red-500" />
+                            <ArrowDownIcon className={`w-3 h-3 md:w-4 md:h-4 ${iconColor}`} />
                         ) : null}
                         <span
                             className={`ml-1 text-xs md:text-sm font-medium ${
-                                trendDirection === 'up'
+                                sentiment === 'positive'
                                     ? 'text-green-600'
-                                    : trendDirection === 'down'
+                                    : sentiment === 'negative'
                                     ? 'text-red-600'
                                     : 'text-gray-600'
                             }`}
                         >
                             {trend}
                         </span>
-                        <span className="ml-1 md:ml-2 text-xs md:text-sm text-gray-500">vs last period</span>
+                        <span className="ml-1 md:ml-2 text-xs md:text-sm text-gray-500">{trendLabel}</span>
                     </div>
                 )}
             </div>
@@ -0,0 +1,145 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { router } from '@inertiajs/react';
+import { PauseIcon, PlayIcon } from '@heroicons/react/24/outline';
+
+const STORAGE_KEY = 'dashboardLiveRefreshPaused';
+
+const formatAge = (seconds) => {
+    if (seconds < 5) return 'just now';
+    if (seconds < 60) return `${seconds} seconds ago`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return minutes === 1 ? '1 minute ago' : `${minutes} minutes ago`;
+    const hours = Math.floor(minutes / 60);
+    return hours === 1 ? '1 hour ago' : `${hours} hours ago`;
+};
+
+/**
+ * LiveRefreshIndicator - Keeps the Dashboard current without a manual reload.
+ * Polls a lightweight version endpoint and, when a sync run finishes or
+ * analytics are refreshed, reloads only the listed page props. Shows how long
+ * ago the data was loaded and lets presenters pause updates; the paused state
+ * is remembered in the browser.
+ *
+ * @param {Object} props
+ * @param {string[]} props.only - Page props to reload when the data changes
+ * @param {number} props.interval - Milliseconds between version checks
+ */
+export default function LiveRefreshIndicator({ only, interval = 30000 }) {
+    const [paused, setPaused] = useState(() => {
+        try {
+            return localStorage.getItem(STORAGE_KEY) === '1';
+        } catch {
+            return false;
+        }
+    });
+    const [updatedAt, setUpdatedAt] = useState(() => Date.now());
+    const [now, setNow] = useState(() => Date.now());
+    const [refreshing, setRefreshing] = useState(false);
+    const versionRef = useRef(null);
+    const onlyRef = useRef(only);
+    onlyRef.current = only;
+
+    const checkVersion = useCallback(async () => {
+        try {
+            const response = await fetch(route('api.dashboard.version'), {
+                headers: {
+                    'Accept': 'application/json',
+                    'X-Requested-With': 'XMLHttpRequest',
+                },
+                credentials: 'same-origin',
+            });
+            if (!response.ok) return;
+
+            const { version } = await response.json();
+            const previous = versionRef.current;
+            versionRef.current = version;
+
+            // The first check only records the version the page was loaded with
+            if (previous === null || previous === version) return;
+
+            router.reload({
+                only: onlyRef.current,
+                preserveScroll: true,
+                preserveState: true,
+                onStart: () => setRefreshing(true),
+                onSuccess: () => setUpdatedAt(Date.now()),
+                onFinish: () => setRefreshing(false),
+            });
+        } catch (error) {
+            console.error('Failed to check for dashboard updates:', error);
+        }
+    }, []);
+
+    // Poll while visible and not paused; check right away when the tab comes back
+    useEffect(() => {
+        if (paused) return undefined;
+
+        checkVersion();
+        const timer = setInterval(() => {
+            if (document.visibilityState === 'visible') {
+                checkVersion();
+            }
+        }, interval);
+
+        const handleVisibility = () => {
+            if (document.visibilityState === 'visible') {
+                checkVersion();
+            }
+        };
+        document.addEventListener('visibilitychange', handleVisibility);
+
+        return () => {
+            clearInterval(timer);
+            document.removeEventListener('visibilitychange', handleVisibility);
+        };
+    }, [paused, interval, checkVersion]);
+
+    // Tick the "updated N seconds ago" label
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const togglePaused = () => {
+        setPaused((current) => {
+            const next = !current;
+            try {
+                localStorage.setItem(STORAGE_KEY, next ? '1' : '0');
+            } catch {
+                // localStorage may be unavailable (private browsing)
+            }
+            return next;
+        });
+    };
+
+    const age = Math.max(0, Math.floor((now - updatedAt) / 1000));
+
+    return (
+        <div className="flex items-center gap-2 text-xs text-gray-500">
+            <span className="flex items-center gap-1.5">
+                <span
+                    className={`inline-block w-2 h-2 rounded-full ${
+                        paused ? 'bg-gray-300' : refreshing ? 'bg-blue-500 animate-pulse' : 'bg-green-500'
+                    }`}
+                    aria-hidden="true"
+                />
+                {/* Only status changes are announced, not the age ticking every second */}
+                <span>
+                    <span aria-live="polite">{refreshing ? 'Updating...' : 'Updated'}</span>
+                    {!refreshing && ` ${formatAge(age)}`}
+                    <span aria-live="polite">{paused ? ' · Live updates paused' : ''}</span>
+                </span>
+            </span>
+            <button
+                type="button"
+                onClick={togglePaused}
+                className="p-2 min-w-[44px] min-h-[44px] flex items-center justify-center text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100"
+                aria-pressed={paused}
+                aria-label={paused ? 'Resume live updates' : 'Pause live updates'}
+                title={paused ? 'Resume live updates' : 'Pause live updates'}
+            >
+                {paused ? <PlayIcon className="w-4 h-4" /> : <PauseIcon className="w-4 h-4" />}
+            </button>
+        </div>
+    );
+}
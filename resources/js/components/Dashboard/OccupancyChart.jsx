@@ -7,8 +7,17 @@ import {
     Tooltip,
     ResponsiveContainer,
 } from 'recharts';
+import { formatTrendDate } from './kpiTrends';
 
-export default function OccupancyChart({ data }) {
+/**
+ * OccupancyChart - Occupancy rate line chart for the Dashboard trend window.
+ *
+ * @param {Object} props
+ * @param {Array} props.data - KPI trend rows
+ * @param {string} props.granularity - daily, weekly or monthly
+ * @param {Function} props.onSelect - Optional; called with the clicked point's YYYY-MM-DD date
+ */
+export default function OccupancyChart({ data, granularity = 'daily', onSelect }) {
     if (!data || data.length === 0) {
         return (
             <div className="card">
@@ -25,19 +34,30 @@ export default function OccupancyChart({ data }) {
     }
 
     const chartData = data.map((item) => ({
-        date: new Date(item.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+        date: formatTrendDate(item.date, granularity),
+        isoDate: String(item.date).slice(0, 10),
         occupancy: parseFloat(item.occupancy_rate) || 0,
     }));
 
+    const handleClick = (state) => {
+        const point = state?.activePayload?.[0]?.payload;
+        if (onSelect && point) {
+            onSelect(point.isoDate);
+        }
+    };
+
     return (
         <div className="card">
             <div className="card-header">
                 <h3 className="text-base md:text-lg font-medium text-gray-900">Occupancy Rate Trend</h3>
+                {onSelect && (
+                    <p className="text-xs text-gray-500">Click a point to see the vacant units behind it</p>
+                )}
             </div>
             <div className="card-body">
-                <div className="h-48 md:h-64">
+                <div className={`h-48 md:h-64 ${onSelect ? 'cursor-pointer' : ''}`}>
                     <ResponsiveContainer width="100%" height="100%">
-                        <LineChart data={chartData} margin={{ top: 5, right: 5, left: -10, bottom: 5 }}>
+                        <LineChart data={chartData} margin={{ top: 5, right: 5, left: -10, bottom: 5 }} onClick={handleClick}>
                             <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                             <XAxis
                                 dataKey="date"
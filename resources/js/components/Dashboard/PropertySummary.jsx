@@ -0,0 +1,235 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, router } from '@inertiajs/react';
+import { ChevronUpIcon, ChevronDownIcon } from '@heroicons/react/24/outline';
+import Pagination, { fromLaravelPagination } from '../Pagination';
+import { SearchInput } from '../FilterBar';
+import Sparkline from './Sparkline';
+
+const METRICS = [
+    { field: 'vacancy_count', label: 'Vacancies', color: '#F59E0B' },
+    { field: 'delinquency_amount', label: 'Delinquency', color: '#EF4444' },
+    { field: 'open_work_orders', label: 'Work Orders', color: '#3B82F6' },
+];
+
+const formatCurrency = (value) => {
+    if (!value) return '$0';
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0,
+    }).format(value);
+};
+
+const formatMetric = (field, value) => (
+    field === 'delinquency_amount' ? formatCurrency(value) : (value ?? 0)
+);
+
+/**
+ * PropertySummary - Per-property vacancies, delinquency and work orders
+ * for the Dashboard, with sorting, a quick filter, pagination and 30-day
+ * sparklines. Table on desktop, cards on mobile.
+ *
+ * Changes re-request only the propertySummary prop so the rest of the
+ * Dashboard is left alone.
+ *
+ * @param {Object} props
+ * @param {Object} props.summary - Paginated rows from AnalyticsService::getPropertySummary
+ */
+export default function PropertySummary({ summary }) {
+    const rows = summary?.data || [];
+    const filters = summary?.filters || { search: '', sort: 'property_name', direction: 'asc' };
+    const [search, setSearch] = useState(filters.search || '');
+    const debounceRef = useRef(null);
+
+    useEffect(() => () => clearTimeout(debounceRef.current), []);
+
+    const reload = (params) => {
+        // Keep the rest of the Dashboard query string (compare, range, ...) intact
+        const current = Object.fromEntries(new URLSearchParams(window.location.search));
+        router.get(route('dashboard'), {
+            ...current,
+            summary_search: filters.search || undefined,
+            summary_sort: filters.sort,
+            summary_direction: filters.direction,
+            ...params,
+        }, {
+            only: ['propertySummary'],
+            preserveState: true,
+            preserveScroll: true,
+            replace: true,
+        });
+    };
+
+    const handleSearchChange = (value) => {
+        setSearch(value);
+        clearTimeout(debounceRef.current);
+        debounceRef.current = setTimeout(() => {
+            reload({ summary_search: value || undefined, summary_page: 1 });
+        }, 300);
+    };
+
+    const handleSort = (field) => {
+        const direction = filters.sort === field && filters.direction === 'asc' ? 'desc' : 'asc';
+        reload({ summary_sort: field, summary_direction: direction, summary_page: 1 });
+    };
+
+    const handlePageChange = (page) => {
+        reload({ summary_page: page });
+    };
+
+    const SortIcon = ({ field }) => {
+        if (filters.sort !== field) {
+            return <ChevronUpIcon className="w-4 h-4 text-gray-300" />;
+        }
+        return filters.direction === 'asc'
+            ? <ChevronUpIcon className="w-4 h-4 text-blue-600" />
+            : <ChevronDownIcon className="w-4 h-4 text-blue-600" />;
+    };
+
+    const SortableHeader = ({ field, children }) => {
+        const isSorted = filters.sort === field;
+        const sortDirection = isSorted ? (filters.direction === 'asc' ? 'ascending' : 'descending') : 'none';
+
+        return (
+            <th
+                className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                aria-sort={sortDirection}
+            >
+                <button
+                    type="button"
+                    className="flex items-center gap-1 hover:text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 rounded"
+                    onClick={() => handleSort(field)}
+                >
+                    {children}
+                    <SortIcon field={field} />
+                </button>
+            </th>
+        );
+    };
+
+    const historyFor = (row, field) => (row.history || []).map((point) => parseFloat(point[field]) || 0);
+
+    const emptyMessage = filters.search
+        ? `No properties match "${filters.search}"`
+        : 'No property data available';
+
+    return (
+        <div className="card h-full">
+            <div className="card-header flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                <div>
+                    <h3 className="text-lg font-medium text-gray-900">Property Summary</h3>
+                    {summary?.as_of && (
+                        <p className="text-xs text-gray-500">Trends cover the last 30 days</p>
+                    )}
+                </div>
+                <div className="sm:w-64">
+                    <SearchInput
+                        value={search}
+                        onChange={handleSearchChange}
+                        placeholder="Filter properties..."
+                        className="min-h-[44px]"
+                    />
+                </div>
+            </div>
+
+            {/* Desktop Table */}
+            <div className="hidden md:block overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <SortableHeader field="property_name">Property</SortableHeader>
+                            {METRICS.map((metric) => (
+                                <SortableHeader key={metric.field} field={metric.field}>
+                                    {metric.label}
+                                </SortableHeader>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {rows.length === 0 ? (
+                            <tr>
+                                <td colSpan="4" className="px-6 py-8 text-center text-gray-500">
+                                    {emptyMessage}
+                                </td>
+                            </tr>
+                        ) : (
+                            rows.map((property) => (
+                                <tr key={property.property_id} className="hover:bg-gray-50">
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                        <Link
+                                            href={route('properties.show', property.property_id)}
+                                            className="text-blue-600 hover:text-blue-800"
+                                        >
+                                            {property.property_name}
+                                        </Link>
+                                    </td>
+                                    {METRICS.map((metric) => (
+                                        <td key={metric.field} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                            <div className="flex items-center gap-3">
+                                                <span className="min-w-[3rem]">
+                                                    {formatMetric(metric.field, property[metric.field])}
+                                                </span>
+                                                <Sparkline
+                                                    values={historyFor(property, metric.field)}
+                                                    color={metric.color}
+                                                    label={`${metric.label} over the last 30 days`}
+                                                />
+                                            </div>
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* Mobile Cards */}
+            <div className="md:hidden divide-y divide-gray-200">
+                {rows.length === 0 ? (
+                    <div className="p-4 text-center text-gray-500">
+                        {emptyMessage}
+                    </div>
+                ) : (
+                    rows.map((property) => (
+                        <Link
+                            key={property.property_id}
+                            href={route('properties.show', property.property_id)}
+                            className="block p-4 active:bg-gray-50"
+                        >
+                            <div className="font-medium text-blue-600 mb-2">
+                                {property.property_name}
+                            </div>
+                            <div className="grid grid-cols-3 gap-2 text-sm">
+                                {METRICS.map((metric) => (
+                                    <div key={metric.field}>
+                                        <div className="text-gray-500 text-xs">{metric.label}</div>
+                                        <div className="text-gray-900">
+                                            {formatMetric(metric.field, property[metric.field])}
+                                        </div>
+                                        <Sparkline
+                                            values={historyFor(property, metric.field)}
+                                            color={metric.color}
+                                            width={64}
+                                            height={16}
+                                        />
+                                    </div>
+                                ))}
+                            </div>
+                        </Link>
+                    ))
+                )}
+            </div>
+
+            {summary && (
+                <div className="px-4 py-3 border-t border-gray-200">
+                    <Pagination
+                        {...fromLaravelPagination(summary)}
+                        onPageChange={handlePageChange}
+                    />
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react';
+import { Popover, Transition } from '@headlessui/react';
+import { router } from '@inertiajs/react';
+import { ChevronDownIcon, FunnelIcon } from '@heroicons/react/24/outline';
+
+/**
+ * ScopeSelector - Narrows the Dashboard to selected portfolios and/or
+ * property types. The selection is saved to the user's preferences.
+ *
+ * @param {Object} props
+ * @param {Object} props.scope - Current { portfolios: string[], property_types: string[] }
+ * @param {Object} props.options - { portfolios: string[], propertyTypes: string[] }
+ */
+export default function ScopeSelector({ scope, options }) {
+    const [portfolios, setPortfolios] = useState(scope?.portfolios || []);
+    const [propertyTypes, setPropertyTypes] = useState(scope?.property_types || []);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        setPortfolios(scope?.portfolios || []);
+        setPropertyTypes(scope?.property_types || []);
+    }, [scope]);
+
+    const portfolioOptions = options?.portfolios || [];
+    const propertyTypeOptions = options?.propertyTypes || [];
+
+    if (portfolioOptions.length === 0 && propertyTypeOptions.length === 0) {
+        return null;
+    }
+
+    const activeCount = (scope?.portfolios?.length || 0) + (scope?.property_types?.length || 0);
+
+    const summary = () => {
+        if (activeCount === 0) return 'All properties';
+        const selected = [...(scope.portfolios || []), ...(scope.property_types || [])];
+        return selected.length <= 2 ? selected.join(', ') : `${selected.length} filters`;
+    };
+
+    const toggle = (list, setList, value) => {
+        setList(list.includes(value) ? list.filter((item) => item !== value) : [...list, value]);
+    };
+
+    const save = (nextPortfolios, nextPropertyTypes, close) => {
+        router.put(route('dashboard.scope.update'), {
+            portfolios: nextPortfolios,
+            property_types: nextPropertyTypes,
+        }, {
+            preserveScroll: true,
+            onStart: () => setSaving(true),
+            onFinish: () => {
+                setSaving(false);
+                close();
+            },
+        });
+    };
+
+    const renderOptions = (title, values, selected, setSelected) => (
+        values.length > 0 && (
+            <fieldset>
+                <legend className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">
+                    {title}
+                </legend>
+                <div className="space-y-1 max-h-48 overflow-y-auto">
+                    {values.map((value) => (
+                        <label
+                            key={value}
+                            className="flex items-center gap-3 px-2 py-2 min-h-[44px] rounded-md hover:bg-gray-50 cursor-pointer"
+                        >
+                            <input
+                                type="checkbox"
+                                checked={selected.includes(value)}
+                                onChange={() => toggle(selected, setSelected, value)}
+                                className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                            <span className="text-sm text-gray-700">{value}</span>
+                        </label>
+                    ))}
+                </div>
+            </fieldset>
+        )
+    );
+
+    return (
+        <Popover className="relative">
+            <span className="label">Scope</span>
+            <Popover.Button className="w-full sm:w-56 flex items-center justify-between gap-2 px-3 py-2 min-h-[44px] bg-white border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500">
+                <span className="flex items-center gap-2 min-w-0">
+                    <FunnelIcon className="w-4 h-4 flex-shrink-0 text-gray-400" />
+                    <span className="truncate">{summary()}</span>
+                </span>
+                <ChevronDownIcon className="w-4 h-4 flex-shrink-0 text-gray-400" />
+            </Popover.Button>
+
+            <Transition
+                enter="transition duration-100 ease-out"
+                enterFrom="transform scale-95 opacity-0"
+                enterTo="transform scale-100 opacity-100"
+                leave="transition duration-75 ease-in"
+                leaveFrom="transform scale-100 opacity-100"
+                leaveTo="transform scale-95 opacity-0"
+            >
+                <Popover.Panel className="absolute right-0 z-20 mt-2 w-72 bg-white border border-gray-200 rounded-lg shadow-lg">
+                    {({ close }) => (
+                        <div className="p-4 space-y-4">
+                            {renderOptions('Portfolios', portfolioOptions, portfolios, setPortfolios)}
+                            {renderOptions('Property Types', propertyTypeOptions, propertyTypes, setPropertyTypes)}
+
+                            <div className="flex items-center justify-between pt-2 border-t border-gray-200">
+                                <button
+                                    type="button"
+                                    onClick={() => save([], [], close)}
+                                    disabled={saving || activeCount === 0}
+                                    className="text-sm text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                                >
+                                    Show all
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => save(portfolios, propertyTypes, close)}
+                                    disabled={saving}
+                                    className="btn-primary"
+                                >
+                                    {saving ? 'Saving...' : 'Apply'}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </Popover.Panel>
+            </Transition>
+        </Popover>
+    );
+}
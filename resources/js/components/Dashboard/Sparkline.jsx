@@ -0,0 +1,61 @@
+/**
+ * Sparkline - A tiny inline SVG trend line with no axes.
+ *
+ * Kept dependency-free so a table full of them stays cheap to render.
+ *
+ * @param {Object} props
+ * @param {Array<number>} props.values - Data points, oldest first
+ * @param {number} props.width - Width in pixels
+ * @param {number} props.height - Height in pixels
+ * @param {string} props.color - Stroke color
+ * @param {string} props.label - Accessible description
+ */
+export default function Sparkline({
+    values = [],
+    width = 72,
+    height = 20,
+    color = '#3B82F6',
+    label,
+}) {
+    if (values.length < 2) {
+        return <span className="inline-block" style={{ width, height }} aria-hidden="true" />;
+    }
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    const padding = 2;
+    const step = (width - padding * 2) / (values.length - 1);
+
+    const points = values
+        .map((value, index) => {
+            const x = padding + index * step;
+            // Flat series sit in the middle instead of on the floor
+            const y = max === min
+                ? height / 2
+                : height - padding - ((value - min) / range) * (height - padding * 2);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        })
+        .join(' ');
+
+    return (
+        <svg
+            width={width}
+            height={height}
+            viewBox={`0 0 ${width} ${height}`}
+            className="inline-block align-middle"
+            role={label ? 'img' : undefined}
+            aria-label={label}
+            aria-hidden={label ? undefined : 'true'}
+        >
+            <polyline
+                points={points}
+                fill="none"
+                stroke={color}
+                strokeWidth="1.5"
+                strokeLinejoin="round"
+                strokeLinecap="round"
+            />
+        </svg>
+    );
+}
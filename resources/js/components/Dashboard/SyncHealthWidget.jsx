@@ -22,8 +22,12 @@ export default function SyncHealthWidget({ initialData }) {
     const [showErrors, setShowErrors] = useState(false);
     const [showResources, setShowResources] = useState(false);
 
+    // Pick up fresh data when the Dashboard reloads its props after a sync
     useEffect(() => {
-        if (!initialData) {
+        if (initialData) {
+            setData(initialData);
+            setLoading(false);
+        } else {
             fetchHealthData();
         }
     }, [initialData]);
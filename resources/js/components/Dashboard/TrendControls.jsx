@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+
+/**
+ * TrendControls - Date range and granularity selectors shared by the
+ * Dashboard trend charts.
+ *
+ * @param {Object} props
+ * @param {Object} props.filters - Current { range, start_date, end_date, granularity }
+ * @param {Object} props.options - { ranges: {value: label}, granularities: {value: label} }
+ * @param {Function} props.onChange - Called with the next filters object
+ * @param {boolean} props.loading - Whether the charts are re-fetching
+ */
+export default function TrendControls({ filters, options, onChange, loading = false }) {
+    const [customStart, setCustomStart] = useState(filters.start_date || '');
+    const [customEnd, setCustomEnd] = useState(filters.end_date || '');
+    const [showCustom, setShowCustom] = useState(filters.range === 'custom');
+
+    useEffect(() => {
+        setCustomStart(filters.start_date || '');
+        setCustomEnd(filters.end_date || '');
+    }, [filters.start_date, filters.end_date]);
+
+    const ranges = Object.entries(options?.ranges || {});
+    const granularities = Object.entries(options?.granularities || {});
+    const today = new Date().toISOString().split('T')[0];
+
+    const handleRangeChange = (e) => {
+        const range = e.target.value;
+        if (range === 'custom') {
+            // Wait for both dates before fetching
+            setShowCustom(true);
+            return;
+        }
+        setShowCustom(false);
+        onChange({ ...filters, range });
+    };
+
+    const handleApplyCustom = (e) => {
+        e.preventDefault();
+        if (!customStart || !customEnd) return;
+        onChange({ ...filters, range: 'custom', start_date: customStart, end_date: customEnd });
+    };
+
+    return (
+        <div className="card">
+            <div className="card-body">
+                <div className="flex flex-col lg:flex-row lg:items-end gap-3 lg:gap-4">
+                    {/* Range Preset */}
+                    <div className="lg:w-48">
+                        <label htmlFor="trend-range" className="label">
+                            Date Range
+                        </label>
+                        <select
+                            id="trend-range"
+                            value={showCustom ? 'custom' : filters.range}
+                            onChange={handleRangeChange}
+                            className="input min-h-[44px]"
+                        >
+                            {ranges.map(([value, label]) => (
+                                <option key={value} value={value}>
+                                    {label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Custom Dates */}
+                    {showCustom && (
+                        <form onSubmit={handleApplyCustom} className="flex flex-col sm:flex-row sm:items-end gap-3">
+                            <div>
+                                <label htmlFor="trend-start" className="label">
+                                    From
+                                </label>
+                                <input
+                                    type="date"
+                                    id="trend-start"
+                                    value={customStart}
+                                    onChange={(e) => setCustomStart(e.target.value)}
+                                    max={customEnd || today}
+                                    required
+                                    className="input min-h-[44px]"
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="trend-end" className="label">
+                                    To
+                                </label>
+                                <input
+                                    type="date"
+                                    id="trend-end"
+                                    value={customEnd}
+                                    onChange={(e) => setCustomEnd(e.target.value)}
+                                    min={customStart}
+                                    max={today}
+                                    required
+                                    className="input min-h-[44px]"
+                                />
+                            </div>
+                            <button type="submit" className="btn-secondary min-h-[44px]">
+                                Apply
+                            </button>
+                        </form>
+                    )}
+
+                    {/* Granularity Toggle */}
+                    <div className="lg:ml-auto">
+                        <span className="label">Group By</span>
+                        <div className="flex items-center gap-3">
+                            <div className="flex rounded-md shadow-sm" role="group" aria-label="Trend granularity">
+                                {granularities.map(([value, label], index) => (
+                                    <button
+                                        key={value}
+                                        type="button"
+                                        onClick={() => onChange({ ...filters, granularity: value })}
+                                        aria-pressed={filters.granularity === value}
+                                        className={`flex-1 px-4 py-2 min-h-[44px] text-sm font-medium border ${
+                                            index === 0 ? 'rounded-l-md' : 'border-l-0'
+                                        } ${
+                                            index === granularities.length - 1 ? 'rounded-r-md' : ''
+                                        } ${
+                                            filters.granularity === value
+                                                ? 'bg-blue-50 border-blue-500 text-blue-700 z-10'
+                                                : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                                        }`}
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                            {loading && (
+                                <ArrowPathIcon className="w-5 h-5 text-gray-400 animate-spin" aria-label="Loading" />
+                            )}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { Link } from '@inertiajs/react';
+import { ShieldExclamationIcon } from '@heroicons/react/24/outline';
+import { InsuranceComplianceCard, InsuranceStatusBadge } from '../Vendor';
+
+/**
+ * VendorInsuranceWidget - Dashboard widget listing vendors whose insurance
+ * has expired or expires soon. Selecting a vendor shows its full
+ * InsuranceComplianceCard.
+ *
+ * @param {Object} props
+ * @param {Array} props.vendors - [{ vendor, insurance_status }]
+ * @param {Object} props.stats - Compliance counts from VendorComplianceService::getComplianceStats
+ */
+export default function VendorInsuranceWidget({ vendors = [], stats }) {
+    const [selectedId, setSelectedId] = useState(null);
+    const selected = vendors.find((item) => item.vendor.id === selectedId);
+
+    if (selected) {
+        return (
+            <div className="space-y-2">
+                <button
+                    type="button"
+                    onClick={() => setSelectedId(null)}
+                    className="text-sm text-blue-600 hover:text-blue-800 min-h-[44px]"
+                >
+                    &larr; All vendors
+                </button>
+                <InsuranceComplianceCard
+                    vendor={selected.vendor}
+                    insuranceStatus={selected.insurance_status}
+                />
+            </div>
+        );
+    }
+
+    return (
+        <div className="card h-full">
+            <div className="card-header flex items-center justify-between">
+                <div className="flex items-center gap-2">
+                    <ShieldExclamationIcon className="w-5 h-5 text-gray-400" />
+                    <h3 className="text-lg font-medium text-gray-900">Vendor Insurance</h3>
+                </div>
+                <Link
+                    href={route('vendors.compliance')}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                >
+                    View all
+                </Link>
+            </div>
+            <div className="card-body space-y-4">
+                {stats && (
+                    <div className="grid grid-cols-2 gap-3 text-center">
+                        <div className="p-2 rounded-lg bg-red-50">
+                            <p className="text-lg font-semibold text-red-700">{stats.expired}</p>
+                            <p className="text-xs text-red-600">Expired</p>
+                        </div>
+                        <div className="p-2 rounded-lg bg-yellow-50">
+                            <p className="text-lg font-semibold text-yellow-700">{stats.expiring_soon}</p>
+                            <p className="text-xs text-yellow-600">Expiring in 30 days</p>
+                        </div>
+                    </div>
+                )}
+
+                {vendors.length === 0 ? (
+                    <p className="text-sm text-gray-500 text-center py-4">
+                        All vendor insurance is current
+                    </p>
+                ) : (
+                    <ul className="divide-y divide-gray-200">
+                        {vendors.map(({ vendor, insurance_status: status }) => (
+                            <li key={vendor.id}>
+                                <button
+                                    type="button"
+                                    onClick={() => setSelectedId(vendor.id)}
+                                    className="w-full flex items-center justify-between gap-2 py-2 min-h-[44px] text-left hover:bg-gray-50"
+                                >
+                                    <span className="text-sm font-medium text-gray-900 truncate">
+                                        {vendor.company_name}
+                                    </span>
+                                    <InsuranceStatusBadge status={status} />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+}
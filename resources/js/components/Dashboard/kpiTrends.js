@@ -0,0 +1,83 @@
+/**
+ * Dashboard KPI trend helpers
+ */
+
+/**
+ * Whether a rising value is good or bad news for each KPI.
+ * Used to color deltas so that, e.g., rising delinquency renders red.
+ */
+export const KPI_POLARITY = {
+    occupancy_rate: 'higher_is_better',
+    delinquency_amount: 'lower_is_better',
+    open_work_orders: 'lower_is_better',
+    vacancy_count: 'lower_is_better',
+};
+
+const formatChange = (metric, change) => {
+    const sign = change > 0 ? '+' : change < 0 ? '-' : '';
+    const magnitude = Math.abs(change);
+
+    switch (metric) {
+        case 'occupancy_rate':
+            return `${sign}${magnitude.toFixed(1)} pts`;
+        case 'delinquency_amount':
+            return `${sign}${new Intl.NumberFormat('en-US', {
+                style: 'currency',
+                currency: 'USD',
+                minimumFractionDigits: 0,
+                maximumFractionDigits: 0,
+            }).format(magnitude)}`;
+        default:
+            return `${sign}${Math.round(magnitude).toLocaleString()}`;
+    }
+};
+
+/**
+ * Build KpiCard trend props from a backend comparison delta.
+ * @param {string} metric - DailyKpi column name
+ * @param {Object|undefined} delta - { current, previous, change, percent_change }
+ * @returns {Object} { trend, trendDirection, trendSentiment } or {} when no prior data
+ */
+export const buildKpiTrend = (metric, delta) => {
+    if (!delta) return {};
+
+    const change = parseFloat(delta.change) || 0;
+    const direction = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+
+    let sentiment = 'neutral';
+    if (direction !== 'flat') {
+        const risingIsGood = KPI_POLARITY[metric] !== 'lower_is_better';
+        sentiment = (direction === 'up') === risingIsGood ? 'positive' : 'negative';
+    }
+
+    // Percent change is omitted for occupancy, where the point change is already a percentage
+    const percent = metric !== 'occupancy_rate' && delta.percent_change !== null && delta.percent_change !== undefined
+        ? ` (${Math.abs(delta.percent_change).toFixed(1)}%)`
+        : '';
+
+    return {
+        trend: `${formatChange(metric, change)}${percent}`,
+        trendDirection: direction,
+        trendSentiment: sentiment,
+    };
+};
+
+/**
+ * Format a trend bucket date for chart axes.
+ * Dates arrive as YYYY-MM-DD and are parsed as local dates to avoid
+ * timezone shifts pushing a bucket onto the previous day.
+ * @param {string} date - Bucket start date (YYYY-MM-DD or ISO timestamp)
+ * @param {string} granularity - 'daily', 'weekly' or 'monthly'
+ * @returns {string} Axis label
+ */
+export const formatTrendDate = (date, granularity = 'daily') => {
+    const [year, month, day] = String(date).slice(0, 10).split('-').map(Number);
+    const parsed = new Date(year, month - 1, day);
+
+    if (granularity === 'monthly') {
+        return parsed.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+
+    const label = parsed.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return granularity === 'weekly' ? `Wk of ${label}` : label;
+};
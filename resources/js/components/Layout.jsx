@@ -4,6 +4,7 @@ import {
     HomeIcon,
     BuildingOfficeIcon,
     BoltIcon,
+    CalendarDaysIcon,
     Cog6ToothIcon,
     ArrowRightOnRectangleIcon,
     WrenchScrewdriverIcon,
@@ -14,6 +15,7 @@ import {
 } from '@heroicons/react/24/outline';
 import PropertySearch from './PropertySearch';
 import MobileDrawer from './MobileDrawer';
+import NotificationBell from './NotificationBell';
 
 export default function Layout({ children }) {
     const { auth, flash } = usePage().props;
@@ -25,6 +27,7 @@ export default function Layout({ children }) {
     const navigation = [
         { name: 'Dashboard', routeName: 'dashboard', icon: HomeIcon },
         { name: 'Properties', routeName: 'properties.index', icon: BuildingOfficeIcon },
+        { name: 'Leasing', routeName: 'leasing.index', icon: CalendarDaysIcon },
         { name: 'Utilities', routeName: 'utilities.index', icon: BoltIcon },
         { name: 'Vendors', routeName: 'vendors.index', icon: WrenchScrewdriverIcon },
         ...(isAdmin ? [{ name: 'Admin', routeName: 'admin.users.index', icon: Cog6ToothIcon }] : []),
@@ -139,6 +142,11 @@ export default function Layout({ children }) {
                         <div className="hidden md:block flex-1 max-w-md">
                             <PropertySearch />
                         </div>
+
+                        {/* Notification bell */}
+                        <div className="md:ml-auto">
+                            <NotificationBell />
+                        </div>
                     </div>
 
                     {/* Mobile search overlay */}
@@ -0,0 +1,109 @@
+import { Link } from '@inertiajs/react';
+
+// Five shades from light to dark amber; index 0 is used for empty cells
+const CELL_SHADES = [
+    'bg-gray-50 text-gray-300',
+    'bg-amber-100 text-amber-900',
+    'bg-amber-200 text-amber-900',
+    'bg-amber-400 text-white',
+    'bg-amber-600 text-white',
+];
+
+const getShade = (count, max) => {
+    if (!count || !max) return CELL_SHADES[0];
+    const level = Math.ceil((count / max) * (CELL_SHADES.length - 1));
+    return CELL_SHADES[Math.min(Math.max(level, 1), CELL_SHADES.length - 1)];
+};
+
+/**
+ * ExpirationHeatmap - Lease expirations per property per month. Darker cells
+ * mean more leases ending that month; each row links to the property's Units tab.
+ *
+ * @param {Object} props
+ * @param {Object} props.heatmap - { months, rows, totals, max } from LeasingService
+ */
+export default function ExpirationHeatmap({ heatmap }) {
+    const months = heatmap?.months || [];
+    const rows = heatmap?.rows || [];
+
+    return (
+        <div className="card">
+            <div className="card-header">
+                <h2 className="text-base md:text-lg font-medium text-gray-900">Expirations by Month</h2>
+                <p className="text-sm text-gray-500">Current leases ending in the next {months.length} months</p>
+            </div>
+
+            {rows.length === 0 ? (
+                <div className="card-body py-12 text-center text-gray-500">
+                    No leases expire in the next {months.length} months
+                </div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="sticky left-0 z-10 bg-gray-50 px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Property
+                                </th>
+                                {months.map((month) => (
+                                    <th
+                                        key={month.key}
+                                        className="px-2 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap"
+                                    >
+                                        {month.label}
+                                    </th>
+                                ))}
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Total
+                                </th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {rows.map((row) => (
+                                <tr key={row.property_id} className="hover:bg-gray-50">
+                                    <td className="sticky left-0 z-10 bg-white px-4 py-2 whitespace-nowrap">
+                                        <Link
+                                            href={route('properties.show', { property: row.property_id, tab: 'units' })}
+                                            className="font-medium text-gray-900 hover:text-blue-600"
+                                        >
+                                            {row.property_name}
+                                        </Link>
+                                    </td>
+                                    {months.map((month) => {
+                                        const count = row.counts[month.key] || 0;
+                                        return (
+                                            <td key={month.key} className="px-1 py-1 text-center">
+                                                <span
+                                                    className={`inline-flex items-center justify-center w-10 h-8 rounded font-medium ${getShade(count, heatmap.max)}`}
+                                                    title={`${row.property_name}: ${count} expiring in ${month.label}`}
+                                                >
+                                                    {count || '·'}
+                                                </span>
+                                            </td>
+                                        );
+                                    })}
+                                    <td className="px-4 py-2 text-right font-semibold text-gray-900">{row.total}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                        <tfoot className="bg-gray-50 border-t border-gray-200">
+                            <tr>
+                                <td className="sticky left-0 z-10 bg-gray-50 px-4 py-3 text-xs font-medium text-gray-500 uppercase">
+                                    Portfolio
+                                </td>
+                                {months.map((month) => (
+                                    <td key={month.key} className="px-1 py-3 text-center font-semibold text-gray-900">
+                                        {heatmap.totals[month.key] || 0}
+                                    </td>
+                                ))}
+                                <td className="px-4 py-3 text-right font-semibold text-gray-900">
+                                    {Object.values(heatmap.totals).reduce((sum, count) => sum + count, 0)}
+                                </td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,196 @@
+import { useState, useEffect } from 'react';
+import { Link, usePage } from '@inertiajs/react';
+import { Popover, Transition } from '@headlessui/react';
+import axios from 'axios';
+import {
+    BellIcon,
+    BellAlertIcon,
+    ExclamationTriangleIcon,
+    DocumentDuplicateIcon,
+    ChatBubbleLeftEllipsisIcon,
+    CheckIcon,
+} from '@heroicons/react/24/outline';
+
+const KIND_STYLES = {
+    alert: { icon: BellAlertIcon, color: 'text-amber-600 bg-amber-50' },
+    sync_failure: { icon: ExclamationTriangleIcon, color: 'text-red-600 bg-red-50' },
+    duplicate_analysis: { icon: DocumentDuplicateIcon, color: 'text-blue-600 bg-blue-50' },
+    note_mention: { icon: ChatBubbleLeftEllipsisIcon, color: 'text-purple-600 bg-purple-50' },
+};
+
+const formatRelativeTime = (dateString) => {
+    const diffMins = Math.floor((new Date() - new Date(dateString)) / 60000);
+    const diffHours = Math.floor(diffMins / 60);
+    const diffDays = Math.floor(diffHours / 24);
+
+    if (diffMins < 1) return 'Just now';
+    if (diffMins < 60) return `${diffMins}m ago`;
+    if (diffHours < 24) return `${diffHours}h ago`;
+    return `${diffDays}d ago`;
+};
+
+/**
+ * NotificationBell - Header bell with an unread badge and a dropdown feed of
+ * alert firings, sync failures, finished vendor duplicate analyses, and
+ * @mentions in property notes.
+ * Read state is stored per user on the server.
+ */
+export default function NotificationBell() {
+    const { notifications: shared } = usePage().props;
+    const [unreadCount, setUnreadCount] = useState(shared?.unread_count ?? 0);
+    const [items, setItems] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Keep the badge in step with the count shared on each page visit
+    useEffect(() => {
+        setUnreadCount(shared?.unread_count ?? 0);
+    }, [shared?.unread_count]);
+
+    const loadFeed = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await axios.get(route('api.notifications.index'));
+            setItems(response.data.notifications);
+            setUnreadCount(response.data.unread_count);
+        } catch (err) {
+            console.error('Failed to load notifications:', err);
+            setError('Could not load notifications.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const acknowledge = async (item) => {
+        try {
+            const response = await axios.post(route('api.notifications.read', item.id));
+            setItems((current) => current.map((existing) => (
+                existing.id === item.id ? response.data.notification : existing
+            )));
+            setUnreadCount(response.data.unread_count);
+        } catch (err) {
+            console.error('Failed to acknowledge notification:', err);
+        }
+    };
+
+    const markAllRead = async () => {
+        try {
+            await axios.post(route('api.notifications.read-all'));
+            const readAt = new Date().toISOString();
+            setItems((current) => (current || []).map((item) => ({ ...item, read_at: item.read_at ?? readAt })));
+            setUnreadCount(0);
+        } catch (err) {
+            console.error('Failed to mark notifications as read:', err);
+        }
+    };
+
+    return (
+        <Popover className="relative">
+            {({ open }) => (
+                <>
+                    <Popover.Button
+                        onClick={() => {
+                            if (!open) loadFeed();
+                        }}
+                        className="relative p-2 min-w-[44px] min-h-[44px] flex items-center justify-center text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        aria-label={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+                    >
+                        <BellIcon className="w-6 h-6" />
+                        {unreadCount > 0 && (
+                            <span className="absolute top-1 right-1 min-w-[18px] h-[18px] px-1 flex items-center justify-center rounded-full bg-red-600 text-[10px] font-semibold text-white">
+                                {unreadCount > 99 ? '99+' : unreadCount}
+                            </span>
+                        )}
+                    </Popover.Button>
+
+                    <Transition
+                        enter="transition duration-100 ease-out"
+                        enterFrom="transform scale-95 opacity-0"
+                        enterTo="transform scale-100 opacity-100"
+                        leave="transition duration-75 ease-in"
+                        leaveFrom="transform scale-100 opacity-100"
+                        leaveTo="transform scale-95 opacity-0"
+                    >
+                        <Popover.Panel className="absolute right-0 z-50 mt-2 w-80 sm:w-96 bg-white border border-gray-200 rounded-lg shadow-lg">
+                            {({ close }) => (
+                                <div>
+                                    <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+                                        <h3 className="text-sm font-medium text-gray-900">Notifications</h3>
+                                        <button
+                                            type="button"
+                                            onClick={markAllRead}
+                                            disabled={unreadCount === 0}
+                                            className="text-xs font-medium text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                                        >
+                                            Mark all read
+                                        </button>
+                                    </div>
+
+                                    <div className="max-h-96 overflow-y-auto">
+                                        {loading && !items && (
+                                            <div className="p-6 text-center text-sm text-gray-500">Loading...</div>
+                                        )}
+                                        {error && (
+                                            <div className="p-6 text-center text-sm text-red-600">{error}</div>
+                                        )}
+                                        {items && items.length === 0 && (
+                                            <div className="p-6 text-center text-sm text-gray-500">You're all caught up</div>
+                                        )}
+                                        <ul className="divide-y divide-gray-100">
+                                            {(items || []).map((item) => {
+                                                const style = KIND_STYLES[item.kind] || KIND_STYLES.alert;
+                                                const Icon = style.icon;
+                                                return (
+                                                    <li
+                                                        key={item.id}
+                                                        className={`flex items-start gap-3 px-4 py-3 ${item.read_at ? '' : 'bg-blue-50/40'}`}
+                                                    >
+                                                        <span className={`flex-shrink-0 p-1.5 rounded-full ${style.color}`}>
+                                                            <Icon className="w-4 h-4" />
+                                                        </span>
+                                                        <div className="flex-1 min-w-0">
+                                                            {item.url ? (
+                                                                <Link
+                                                                    href={item.url}
+                                                                    onClick={() => {
+                                                                        if (!item.read_at) acknowledge(item);
+                                                                        close();
+                                                                    }}
+                                                                    className="text-sm font-medium text-gray-900 hover:text-blue-600"
+                                                                >
+                                                                    {item.title}
+                                                                </Link>
+                                                            ) : (
+                                                                <p className="text-sm font-medium text-gray-900">{item.title}</p>
+                                                            )}
+                                                            {item.message && (
+                                                                <p className="mt-0.5 text-xs text-gray-600 line-clamp-2">{item.message}</p>
+                                                            )}
+                                                            <p className="mt-1 text-xs text-gray-400">{formatRelativeTime(item.created_at)}</p>
+                                                        </div>
+                                                        {!item.read_at && (
+                                                            <button
+                                                                type="button"
+                                                                onClick={() => acknowledge(item)}
+                                                                className="flex-shrink-0 p-1 text-gray-400 hover:text-green-600 rounded"
+                                                                title="Acknowledge"
+                                                                aria-label={`Acknowledge ${item.title}`}
+                                                            >
+                                                                <CheckIcon className="w-4 h-4" />
+                                                            </button>
+                                                        )}
+                                                    </li>
+                                                );
+                                            })}
+                                        </ul>
+                                    </div>
+                                </div>
+                            )}
+                        </Popover.Panel>
+                    </Transition>
+                </>
+            )}
+        </Popover>
+    );
+}
@@ -0,0 +1,218 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import {
+    ArrowTrendingUpIcon,
+    ChevronLeftIcon,
+    ChevronRightIcon,
+    ClockIcon,
+    DocumentTextIcon,
+    FlagIcon,
+    HomeModernIcon,
+    PencilSquareIcon,
+    WrenchScrewdriverIcon,
+} from '@heroicons/react/24/outline';
+
+// Icon and dot color for each activity type
+const TYPE_STYLES = {
+    flags: { icon: FlagIcon, className: 'bg-amber-100 text-amber-700' },
+    adjustments: { icon: PencilSquareIcon, className: 'bg-purple-100 text-purple-700' },
+    utility_notes: { icon: DocumentTextIcon, className: 'bg-blue-100 text-blue-700' },
+    work_orders: { icon: WrenchScrewdriverIcon, className: 'bg-orange-100 text-orange-700' },
+    leases: { icon: HomeModernIcon, className: 'bg-green-100 text-green-700' },
+    anomalies: { icon: ArrowTrendingUpIcon, className: 'bg-red-100 text-red-700' },
+};
+
+const formatOccurredAt = (event) => {
+    // Date-only events are sent as midnight in the server's timezone; show just the day
+    if (event.all_day) {
+        return new Date(`${event.occurred_at.slice(0, 10)}T00:00:00`).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+        });
+    }
+
+    return new Date(event.occurred_at).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+    });
+};
+
+/**
+ * ActivityTab - Reverse-chronological timeline of everything that happened
+ * to a property: flags, adjustments, utility notes, work orders, leases,
+ * and utility anomalies. Loaded a page at a time from the activity endpoint.
+ *
+ * @param {Object} props
+ * @param {string} props.propertyId - Property to show activity for
+ * @param {Object} props.activityTypes - Activity type keys mapped to labels
+ */
+export default function ActivityTab({ propertyId, activityTypes }) {
+    const [selectedTypes, setSelectedTypes] = useState([]);
+    const [page, setPage] = useState(1);
+    const [activity, setActivity] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setIsLoading(true);
+        setError(null);
+
+        axios.get(route('properties.activity', propertyId), { params: { types: selectedTypes, page } })
+            .then((response) => {
+                if (!cancelled) setActivity(response.data);
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err.response?.data?.message || 'Failed to load activity.');
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [propertyId, selectedTypes, page]);
+
+    const toggleType = (type) => {
+        setSelectedTypes((current) => (
+            current.includes(type) ? current.filter((t) => t !== type) : [...current, type]
+        ));
+        setPage(1);
+    };
+
+    const clearTypes = () => {
+        setSelectedTypes([]);
+        setPage(1);
+    };
+
+    const events = activity?.data ?? [];
+
+    return (
+        <div className="card">
+            <div className="card-header">
+                <h2 className="text-base md:text-lg font-medium text-gray-900">Activity</h2>
+                <p className="text-sm text-gray-500">
+                    {activity ? `${activity.total.toLocaleString()} events` : 'Everything that has happened to this property'}
+                </p>
+            </div>
+
+            {/* Type filters */}
+            <div className="px-4 sm:px-6 py-3 border-b border-gray-200 flex flex-wrap gap-2">
+                <button
+                    type="button"
+                    onClick={clearTypes}
+                    aria-pressed={selectedTypes.length === 0}
+                    className={`px-3 py-1.5 min-h-[44px] sm:min-h-0 rounded-full text-sm font-medium border ${
+                        selectedTypes.length === 0
+                            ? 'bg-blue-600 border-blue-600 text-white'
+                            : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                >
+                    All
+                </button>
+                {Object.entries(activityTypes).map(([type, label]) => {
+                    const isSelected = selectedTypes.includes(type);
+
+                    return (
+                        <button
+                            key={type}
+                            type="button"
+                            onClick={() => toggleType(type)}
+                            aria-pressed={isSelected}
+                            className={`px-3 py-1.5 min-h-[44px] sm:min-h-0 rounded-full text-sm font-medium border ${
+                                isSelected
+                                    ? 'bg-blue-600 border-blue-600 text-white'
+                                    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                            }`}
+                        >
+                            {label}
+                        </button>
+                    );
+                })}
+            </div>
+
+            <div className="card-body">
+                {error ? (
+                    <p className="py-8 text-center text-sm text-red-600">{error}</p>
+                ) : isLoading && !activity ? (
+                    <p className="py-8 text-center text-sm text-gray-500">Loading activity...</p>
+                ) : events.length === 0 ? (
+                    <div className="py-8 text-center">
+                        <ClockIcon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                        <p className="text-gray-500">No activity yet</p>
+                    </div>
+                ) : (
+                    <ul className={`-mb-6 ${isLoading ? 'opacity-50' : ''}`}>
+                        {events.map((event, index) => {
+                            const style = TYPE_STYLES[event.type] ?? { icon: ClockIcon, className: 'bg-gray-100 text-gray-600' };
+                            const Icon = style.icon;
+
+                            return (
+                                <li key={event.id} className="relative pb-6">
+                                    {/* Connector line between events */}
+                                    {index < events.length - 1 && (
+                                        <span className="absolute left-4 top-9 -ml-px h-[calc(100%-2.25rem)] w-0.5 bg-gray-200" aria-hidden="true" />
+                                    )}
+                                    <div className="relative flex gap-3">
+                                        <span className={`flex h-8 w-8 flex-shrink-0 items-center justify-center rounded-full ${style.className}`}>
+                                            <Icon className="w-4 h-4" />
+                                        </span>
+                                        <div className="min-w-0 flex-1">
+                                            <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-1">
+                                                <p className="text-sm font-medium text-gray-900">{event.title}</p>
+                                                <time dateTime={event.occurred_at} className="text-xs text-gray-500 whitespace-nowrap">
+                                                    {formatOccurredAt(event)}
+                                                </time>
+                                            </div>
+                                            {event.description && (
+                                                <p className="mt-0.5 text-sm text-gray-600 line-clamp-3 whitespace-pre-line">{event.description}</p>
+                                            )}
+                                            <p className="mt-0.5 text-xs text-gray-400">
+                                                {activityTypes[event.type] ?? event.type}
+                                                {event.user_name ? ` · by ${event.user_name}` : ''}
+                                            </p>
+                                        </div>
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+
+            {/* Pagination */}
+            {activity && activity.last_page > 1 && (
+                <div className="px-4 sm:px-6 py-3 border-t border-gray-200 flex items-center justify-between">
+                    <p className="text-sm text-gray-500">
+                        Page {activity.current_page} of {activity.last_page}
+                    </p>
+                    <div className="flex gap-2">
+                        <button
+                            type="button"
+                            onClick={() => setPage((p) => p - 1)}
+                            disabled={isLoading || activity.current_page <= 1}
+                            className="btn-secondary min-h-[44px] sm:min-h-0 disabled:opacity-50"
+                        >
+                            <ChevronLeftIcon className="w-4 h-4 mr-1" />
+                            Newer
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setPage((p) => p + 1)}
+                            disabled={isLoading || activity.current_page >= activity.last_page}
+                            className="btn-secondary min-h-[44px] sm:min-h-0 disabled:opacity-50"
+                        >
+                            Older
+                            <ChevronRightIcon className="w-4 h-4 ml-1" />
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,309 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { Dialog, DialogBackdrop, DialogPanel, DialogTitle } from '@headlessui/react';
+import { CheckCircleIcon, XCircleIcon, XMarkIcon } from '@heroicons/react/24/outline';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyForm = () => ({
+    flag_type: '',
+    utility_type_id: '',
+    field_name: '',
+    adjusted_value: '',
+    effective_from: today(),
+    effective_to: '',
+    reason: '',
+});
+
+/**
+ * BulkActionBar - Applies a flag, utility exclusion, or adjustment to every
+ * selected property in one request, then lists the outcome per property.
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.selectedIds - Selected property IDs
+ * @param {Object} props.actions - Bulk action key => label
+ * @param {Object} props.flagTypes - Flag type key => label
+ * @param {Array} props.utilityTypes - Utility types ({ id, label })
+ * @param {Object} props.adjustableFields - Adjustable field key => { label, type }
+ * @param {Function} props.onClear - Clears the selection
+ * @param {Function} props.onComplete - Called after the action ran, to reload the list
+ */
+export default function BulkActionBar({ selectedIds, actions, flagTypes, utilityTypes, adjustableFields, onClear, onComplete }) {
+    const [action, setAction] = useState('');
+    const [form, setForm] = useState(emptyForm);
+    const [errors, setErrors] = useState({});
+    const [processing, setProcessing] = useState(false);
+    const [summary, setSummary] = useState(null);
+
+    const setField = (key, value) => setForm((current) => ({ ...current, [key]: value }));
+
+    const fieldsFor = () => {
+        switch (action) {
+            case 'add_flag':
+                return { flag_type: form.flag_type, reason: form.reason };
+            case 'remove_flag':
+                return { flag_type: form.flag_type };
+            case 'exclude_utility':
+                return { utility_type_id: form.utility_type_id, reason: form.reason };
+            case 'include_utility':
+                return { utility_type_id: form.utility_type_id };
+            case 'create_adjustment':
+                return {
+                    field_name: form.field_name,
+                    adjusted_value: form.adjusted_value,
+                    effective_from: form.effective_from,
+                    effective_to: form.effective_to || null,
+                    reason: form.reason,
+                };
+            default:
+                return {};
+        }
+    };
+
+    const handleApply = async (e) => {
+        e.preventDefault();
+        setProcessing(true);
+        setErrors({});
+
+        try {
+            const response = await axios.post(route('properties.bulk'), {
+                action,
+                property_ids: selectedIds,
+                ...fieldsFor(),
+            });
+
+            setSummary(response.data);
+            setAction('');
+            setForm(emptyForm());
+            onComplete?.();
+        } catch (err) {
+            if (err.response?.status === 422) {
+                setErrors(Object.fromEntries(
+                    Object.entries(err.response.data.errors || {}).map(([key, messages]) => [key, messages[0]])
+                ));
+            } else {
+                setErrors({ action: err.response?.data?.message || 'Failed to apply the change.' });
+            }
+        } finally {
+            setProcessing(false);
+        }
+    };
+
+    const closeSummary = () => {
+        if (summary?.failed === 0) {
+            onClear();
+        }
+        setSummary(null);
+    };
+
+    const fieldError = (key) => errors[key] && (
+        <p className="mt-1 text-sm text-red-600">{errors[key]}</p>
+    );
+
+    const showsReason = ['add_flag', 'exclude_utility', 'create_adjustment'].includes(action);
+
+    return (
+        <>
+            {selectedIds.length > 0 && (
+                <form onSubmit={handleApply} className="flex flex-wrap items-end gap-4 px-6 py-3 bg-blue-50 border-b border-blue-100">
+                    <div className="flex items-center gap-2 self-center">
+                        <span className="text-sm font-medium text-blue-900">
+                            {selectedIds.length} selected
+                        </span>
+                        <button
+                            type="button"
+                            onClick={onClear}
+                            className="text-blue-700 hover:text-blue-900"
+                            title="Clear selection"
+                        >
+                            <XMarkIcon className="w-4 h-4" />
+                        </button>
+                    </div>
+
+                    <div>
+                        <label htmlFor="bulk-action" className="label">Action</label>
+                        <select
+                            id="bulk-action"
+                            className="input"
+                            value={action}
+                            onChange={(e) => {
+                                setAction(e.target.value);
+                                setErrors({});
+                            }}
+                        >
+                            <option value="">Choose an action...</option>
+                            {Object.entries(actions || {}).map(([key, label]) => (
+                                <option key={key} value={key}>{label}</option>
+                            ))}
+                        </select>
+                        {fieldError('action')}
+                        {fieldError('property_ids')}
+                    </div>
+
+                    {(action === 'add_flag' || action === 'remove_flag') && (
+                        <div>
+                            <label htmlFor="bulk-flag-type" className="label">Flag</label>
+                            <select
+                                id="bulk-flag-type"
+                                className="input"
+                                value={form.flag_type}
+                                onChange={(e) => setField('flag_type', e.target.value)}
+                            >
+                                <option value="">Select a flag...</option>
+                                {Object.entries(flagTypes || {}).map(([key, label]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                            {fieldError('flag_type')}
+                        </div>
+                    )}
+
+                    {(action === 'exclude_utility' || action === 'include_utility') && (
+                        <div>
+                            <label htmlFor="bulk-utility-type" className="label">Utility</label>
+                            <select
+                                id="bulk-utility-type"
+                                className="input"
+                                value={form.utility_type_id}
+                                onChange={(e) => setField('utility_type_id', e.target.value)}
+                            >
+                                <option value="">Select a utility...</option>
+                                {(utilityTypes || []).map((type) => (
+                                    <option key={type.id} value={type.id}>{type.label}</option>
+                                ))}
+                            </select>
+                            {fieldError('utility_type_id')}
+                        </div>
+                    )}
+
+                    {action === 'create_adjustment' && (
+                        <>
+                            <div>
+                                <label htmlFor="bulk-field-name" className="label">Field</label>
+                                <select
+                                    id="bulk-field-name"
+                                    className="input"
+                                    value={form.field_name}
+                                    onChange={(e) => setField('field_name', e.target.value)}
+                                >
+                                    <option value="">Select a field...</option>
+                                    {Object.entries(adjustableFields || {}).map(([key, field]) => (
+                                        <option key={key} value={key}>{field.label}</option>
+                                    ))}
+                                </select>
+                                {fieldError('field_name')}
+                            </div>
+                            <div>
+                                <label htmlFor="bulk-adjusted-value" className="label">Value</label>
+                                <input
+                                    id="bulk-adjusted-value"
+                                    type="number"
+                                    min="0"
+                                    step={adjustableFields?.[form.field_name]?.type === 'decimal' ? '0.01' : '1'}
+                                    className="input w-28"
+                                    value={form.adjusted_value}
+                                    onChange={(e) => setField('adjusted_value', e.target.value)}
+                                />
+                                {fieldError('adjusted_value')}
+                            </div>
+                            <div>
+                                <label htmlFor="bulk-effective-from" className="label">From</label>
+                                <input
+                                    id="bulk-effective-from"
+                                    type="date"
+                                    className="input"
+                                    value={form.effective_from}
+                                    onChange={(e) => setField('effective_from', e.target.value)}
+                                />
+                                {fieldError('effective_from')}
+                            </div>
+                            <div>
+                                <label htmlFor="bulk-effective-to" className="label">To (optional)</label>
+                                <input
+                                    id="bulk-effective-to"
+                                    type="date"
+                                    className="input"
+                                    value={form.effective_to}
+                                    onChange={(e) => setField('effective_to', e.target.value)}
+                                />
+                                {fieldError('effective_to')}
+                            </div>
+                        </>
+                    )}
+
+                    {showsReason && (
+                        <div className="flex-1 min-w-[12rem]">
+                            <label htmlFor="bulk-reason" className="label">
+                                Reason{action === 'create_adjustment' ? '' : ' (optional)'}
+                            </label>
+                            <input
+                                id="bulk-reason"
+                                type="text"
+                                className="input w-full"
+                                value={form.reason}
+                                onChange={(e) => setField('reason', e.target.value)}
+                                maxLength={action === 'create_adjustment' ? 1000 : 500}
+                            />
+                            {fieldError('reason')}
+                        </div>
+                    )}
+
+                    <button
+                        type="submit"
+                        className="btn-primary disabled:opacity-50"
+                        disabled={!action || processing}
+                    >
+                        {processing ? 'Applying...' : `Apply to ${selectedIds.length}`}
+                    </button>
+                </form>
+            )}
+
+            <Dialog open={summary !== null} onClose={closeSummary} className="relative z-50">
+                <DialogBackdrop
+                    transition
+                    className="fixed inset-0 bg-black/50 transition-opacity data-[closed]:opacity-0 data-[enter]:duration-200 data-[leave]:duration-150"
+                />
+
+                <div className="fixed inset-0 overflow-y-auto">
+                    <div className="flex min-h-full items-center justify-center p-4">
+                        <DialogPanel
+                            transition
+                            className="relative bg-white rounded-lg shadow-xl max-w-lg w-full transform transition-all data-[closed]:scale-95 data-[closed]:opacity-0 data-[enter]:duration-200 data-[leave]:duration-150"
+                        >
+                            <div className="p-6">
+                                <DialogTitle className="text-lg font-semibold text-gray-900 mb-1">
+                                    Bulk action results
+                                </DialogTitle>
+                                <p className="text-sm text-gray-500 mb-4">
+                                    {summary?.succeeded || 0} succeeded, {summary?.failed || 0} failed
+                                </p>
+                                <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                                    {(summary?.results || []).map((result) => (
+                                        <li key={result.property_id} className="flex items-start gap-3 p-3">
+                                            {result.success ? (
+                                                <CheckCircleIcon className="w-5 h-5 text-green-600 flex-shrink-0" />
+                                            ) : (
+                                                <XCircleIcon className="w-5 h-5 text-red-600 flex-shrink-0" />
+                                            )}
+                                            <div className="min-w-0">
+                                                <p className="text-sm font-medium text-gray-900 truncate">
+                                                    {result.property_name || result.property_id}
+                                                </p>
+                                                <p className="text-sm text-gray-500">{result.message}</p>
+                                            </div>
+                                        </li>
+                                    ))}
+                                </ul>
+                                <div className="flex justify-end mt-4">
+                                    <button type="button" onClick={closeSummary} className="btn-primary">
+                                        Done
+                                    </button>
+                                </div>
+                            </div>
+                        </DialogPanel>
+                    </div>
+                </div>
+            </Dialog>
+        </>
+    );
+}
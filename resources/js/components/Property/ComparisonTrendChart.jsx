@@ -0,0 +1,84 @@
+import {
+    LineChart,
+    Line,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend,
+    ResponsiveContainer,
+} from 'recharts';
+
+/**
+ * ComparisonTrendChart - One metric over time with a line per property.
+ *
+ * @param {Object} props
+ * @param {string} props.title - Chart title
+ * @param {Array} props.data - Rows of { month, label, [propertyId]: value }
+ * @param {Array} props.properties - Properties being compared ({ id, name })
+ * @param {Object} props.colors - Property ID => line color
+ * @param {Function} props.formatValue - Formats a value for the tooltip
+ * @param {Function} props.formatAxis - Formats a value for the Y-axis
+ */
+export default function ComparisonTrendChart({ title, data, properties, colors, formatValue, formatAxis }) {
+    const names = Object.fromEntries(properties.map((property) => [property.id, property.name]));
+    const hasData = (data || []).some((row) => properties.some((property) => row[property.id] !== null && row[property.id] !== undefined && row[property.id] !== 0));
+
+    return (
+        <div className="card">
+            <div className="card-header">
+                <h3 className="text-base font-medium text-gray-900">{title}</h3>
+            </div>
+            <div className="card-body">
+                {!hasData ? (
+                    <div className="h-48 md:h-64 flex items-center justify-center text-gray-500 text-sm">
+                        No data in this period
+                    </div>
+                ) : (
+                    <div className="h-48 md:h-64">
+                        <ResponsiveContainer width="100%" height="100%">
+                            <LineChart data={data} margin={{ top: 5, right: 5, left: -10, bottom: 5 }}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                                <XAxis
+                                    dataKey="label"
+                                    tick={{ fontSize: 10, fill: '#6B7280' }}
+                                    tickLine={false}
+                                    axisLine={{ stroke: '#E5E7EB' }}
+                                    interval="preserveStartEnd"
+                                />
+                                <YAxis
+                                    tick={{ fontSize: 10, fill: '#6B7280' }}
+                                    tickLine={false}
+                                    axisLine={{ stroke: '#E5E7EB' }}
+                                    tickFormatter={formatAxis}
+                                    width={50}
+                                />
+                                <Tooltip
+                                    formatter={(value, key) => [formatValue(value), names[key] || key]}
+                                    contentStyle={{
+                                        backgroundColor: 'white',
+                                        border: '1px solid #E5E7EB',
+                                        borderRadius: '8px',
+                                        boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+                                    }}
+                                />
+                                <Legend formatter={(key) => names[key] || key} wrapperStyle={{ fontSize: 12 }} />
+                                {properties.map((property) => (
+                                    <Line
+                                        key={property.id}
+                                        type="monotone"
+                                        dataKey={property.id}
+                                        stroke={colors[property.id]}
+                                        strokeWidth={2}
+                                        dot={{ r: 2 }}
+                                        connectNulls
+                                    />
+                                ))}
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
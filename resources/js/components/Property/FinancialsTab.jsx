@@ -0,0 +1,359 @@
+import { useState } from 'react';
+import { router } from '@inertiajs/react';
+import MobileCard from '../MobileCard';
+import Pagination, { fromLaravelPagination } from '../Pagination';
+import IncomeExpenseChart from './IncomeExpenseChart';
+import { BanknotesIcon, FunnelIcon, XMarkIcon } from '@heroicons/react/24/outline';
+
+const formatCurrency = (amount, decimals = 0) => {
+    if (amount === null || amount === undefined) return '-';
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+    }).format(amount);
+};
+
+const formatDate = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+    });
+};
+
+const TYPE_BADGES = {
+    charge: { label: 'Charge', className: 'bg-red-100 text-red-800', variant: 'danger' },
+    payment: { label: 'Payment', className: 'bg-green-100 text-green-800', variant: 'success' },
+    adjustment: { label: 'Adjustment', className: 'bg-gray-100 text-gray-800', variant: 'neutral' },
+};
+
+// Filter keys mapped to their query string parameters
+const FILTER_PARAMS = {
+    start_date: 'ledger_start_date',
+    end_date: 'ledger_end_date',
+    category: 'ledger_category',
+    unit_id: 'ledger_unit',
+};
+
+/**
+ * FinancialsTab - Property ledger with date, category and unit filters, a
+ * delinquency aging table per unit, and a monthly income-vs-expense chart.
+ *
+ * @param {Object} props
+ * @param {Object} props.property - The property being viewed
+ * @param {Object} props.financials - Ledger page, filters, aging and trend data
+ */
+export default function FinancialsTab({ property, financials }) {
+    const { ledger, filters = {}, filterOptions = {}, aging, agingBuckets = {}, trend } = financials || {};
+    const [draft, setDraft] = useState({
+        start_date: filters.start_date || '',
+        end_date: filters.end_date || '',
+        category: filters.category || '',
+        unit_id: filters.unit_id || '',
+    });
+
+    const bucketKeys = Object.keys(agingBuckets);
+    const agingRows = aging?.rows || [];
+    const transactions = ledger?.data || [];
+    const hasActiveFilters = Object.values(filters).some(Boolean);
+
+    const visit = (values, page = null) => {
+        const data = { tab: 'financials' };
+        Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+            if (values[key]) data[param] = values[key];
+        });
+        if (page && page > 1) data.ledger_page = page;
+
+        router.get(route('properties.show', property.id), data, {
+            only: ['financials'],
+            preserveScroll: true,
+            preserveState: true,
+            replace: true,
+        });
+    };
+
+    const applyFilters = (e) => {
+        e.preventDefault();
+        visit(draft);
+    };
+
+    const clearFilters = () => {
+        const empty = { start_date: '', end_date: '', category: '', unit_id: '' };
+        setDraft(empty);
+        visit(empty);
+    };
+
+    return (
+        <div className="space-y-6">
+            <IncomeExpenseChart data={trend} />
+
+            {/* Delinquency Aging */}
+            <div className="card">
+                <div className="card-header flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1">
+                    <h2 className="text-base md:text-lg font-medium text-gray-900">Delinquency Aging</h2>
+                    <span className="text-sm text-gray-500">
+                        {formatCurrency(aging?.totals?.total ?? 0)} outstanding across {agingRows.length} {agingRows.length === 1 ? 'unit' : 'units'}
+                    </span>
+                </div>
+
+                {agingRows.length === 0 ? (
+                    <div className="card-body py-12 text-center">
+                        <BanknotesIcon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                        <p className="text-gray-500">No units have an outstanding balance</p>
+                    </div>
+                ) : (
+                    <>
+                        {/* Mobile */}
+                        <div className="md:hidden divide-y divide-gray-200">
+                            {agingRows.map((row) => (
+                                <MobileCard
+                                    key={row.unit_id}
+                                    header={`Unit ${row.unit_number}`}
+                                    subheader={row.tenant_name}
+                                    badges={row.days_over_90 > 0 ? [{ label: '90+ days', variant: 'danger' }] : []}
+                                    fields={[
+                                        ...bucketKeys.map((key) => ({ label: agingBuckets[key], value: formatCurrency(row[key]) })),
+                                        { label: 'Total', value: formatCurrency(row.total) },
+                                        { label: 'Last Payment', value: formatDate(row.last_payment_date) },
+                                    ]}
+                                />
+                            ))}
+                        </div>
+
+                        {/* Desktop */}
+                        <div className="hidden md:block overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Unit</th>
+                                        {bucketKeys.map((key) => (
+                                            <th key={key} className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                                {agingBuckets[key]}
+                                            </th>
+                                        ))}
+                                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Payment</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {agingRows.map((row) => (
+                                        <tr key={row.unit_id} className="hover:bg-gray-50">
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <div className="text-sm font-medium text-gray-900">{row.unit_number}</div>
+                                                {row.tenant_name && (
+                                                    <div className="text-xs text-gray-500">{row.tenant_name}</div>
+                                                )}
+                                            </td>
+                                            {bucketKeys.map((key) => (
+                                                <td
+                                                    key={key}
+                                                    className={`px-6 py-4 whitespace-nowrap text-sm text-right ${
+                                                        row[key] > 0
+                                                            ? (key === 'days_over_90' ? 'text-red-600 font-medium' : 'text-gray-900')
+                                                            : 'text-gray-300'
+                                                    }`}
+                                                >
+                                                    {row[key] > 0 ? formatCurrency(row[key]) : '-'}
+                                                </td>
+                                            ))}
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-semibold text-gray-900">
+                                                {formatCurrency(row.total)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                {formatDate(row.last_payment_date)}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                                <tfoot className="bg-gray-50 border-t border-gray-200">
+                                    <tr>
+                                        <td className="px-6 py-3 text-xs font-medium text-gray-500 uppercase">Total</td>
+                                        {bucketKeys.map((key) => (
+                                            <td key={key} className="px-6 py-3 text-sm text-right font-semibold text-gray-900">
+                                                {formatCurrency(aging.totals[key])}
+                                            </td>
+                                        ))}
+                                        <td className="px-6 py-3 text-sm text-right font-semibold text-gray-900">
+                                            {formatCurrency(aging.totals.total)}
+                                        </td>
+                                        <td />
+                                    </tr>
+                                </tfoot>
+                            </table>
+                        </div>
+                    </>
+                )}
+            </div>
+
+            {/* Transaction Ledger */}
+            <div className="card">
+                <div className="card-header">
+                    <h2 className="text-base md:text-lg font-medium text-gray-900">
+                        Ledger ({ledger?.total || 0})
+                    </h2>
+                </div>
+
+                <form onSubmit={applyFilters} className="px-4 md:px-6 py-4 border-b border-gray-200 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3 items-end">
+                    <div>
+                        <label htmlFor="ledger-start" className="label">From</label>
+                        <input
+                            id="ledger-start"
+                            type="date"
+                            className="input min-h-[44px] sm:min-h-0"
+                            value={draft.start_date}
+                            max={draft.end_date || undefined}
+                            onChange={(e) => setDraft({ ...draft, start_date: e.target.value })}
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="ledger-end" className="label">To</label>
+                        <input
+                            id="ledger-end"
+                            type="date"
+                            className="input min-h-[44px] sm:min-h-0"
+                            value={draft.end_date}
+                            min={draft.start_date || undefined}
+                            onChange={(e) => setDraft({ ...draft, end_date: e.target.value })}
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="ledger-category" className="label">Category</label>
+                        <select
+                            id="ledger-category"
+                            className="input min-h-[44px] sm:min-h-0"
+                            value={draft.category}
+                            onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+                        >
+                            <option value="">All Categories</option>
+                            {(filterOptions.categories || []).map((category) => (
+                                <option key={category} value={category}>{category}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="ledger-unit" className="label">Unit</label>
+                        <select
+                            id="ledger-unit"
+                            className="input min-h-[44px] sm:min-h-0"
+                            value={draft.unit_id}
+                            onChange={(e) => setDraft({ ...draft, unit_id: e.target.value })}
+                        >
+                            <option value="">All Units</option>
+                            {(filterOptions.units || []).map((unit) => (
+                                <option key={unit.id} value={unit.id}>{unit.unit_number}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="flex gap-2">
+                        <button type="submit" className="btn-primary flex items-center justify-center flex-1 min-h-[44px] sm:min-h-0">
+                            <FunnelIcon className="w-4 h-4 mr-1" />
+                            Filter
+                        </button>
+                        {hasActiveFilters && (
+                            <button
+                                type="button"
+                                onClick={clearFilters}
+                                className="btn-secondary flex items-center justify-center min-h-[44px] sm:min-h-0"
+                                aria-label="Clear ledger filters"
+                            >
+                                <XMarkIcon className="w-4 h-4" />
+                            </button>
+                        )}
+                    </div>
+                </form>
+
+                {/* Mobile */}
+                <div className="md:hidden divide-y divide-gray-200">
+                    {transactions.length === 0 ? (
+                        <div className="px-4 py-12 text-center text-gray-500">
+                            {hasActiveFilters ? 'No transactions match the selected filters' : 'No ledger transactions for this property'}
+                        </div>
+                    ) : (
+                        transactions.map((transaction) => {
+                            const badge = TYPE_BADGES[transaction.type] || { label: transaction.type, variant: 'neutral' };
+                            return (
+                                <MobileCard
+                                    key={transaction.id}
+                                    header={formatCurrency(transaction.amount, 2)}
+                                    subheader={transaction.description || transaction.category}
+                                    badges={[{ label: badge.label, variant: badge.variant }]}
+                                    fields={[
+                                        { label: 'Date', value: formatDate(transaction.date) },
+                                        { label: 'Unit', value: transaction.unit_number || 'Property' },
+                                        { label: 'Category', value: transaction.category || '-' },
+                                        { label: 'Balance', value: formatCurrency(transaction.balance, 2) },
+                                    ]}
+                                />
+                            );
+                        })
+                    )}
+                </div>
+
+                {/* Desktop */}
+                <div className="hidden md:block overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Unit</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {transactions.length === 0 ? (
+                                <tr>
+                                    <td colSpan="7" className="px-6 py-12 text-center text-gray-500">
+                                        {hasActiveFilters ? 'No transactions match the selected filters' : 'No ledger transactions for this property'}
+                                    </td>
+                                </tr>
+                            ) : (
+                                transactions.map((transaction) => {
+                                    const badge = TYPE_BADGES[transaction.type] || { label: transaction.type, className: 'bg-gray-100 text-gray-800' };
+                                    return (
+                                        <tr key={transaction.id} className="hover:bg-gray-50">
+                                            <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{formatDate(transaction.date)}</td>
+                                            <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">
+                                                {transaction.unit_number || <span className="text-gray-400">Property</span>}
+                                            </td>
+                                            <td className="px-6 py-3 whitespace-nowrap">
+                                                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${badge.className}`}>
+                                                    {badge.label}
+                                                </span>
+                                            </td>
+                                            <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{transaction.category || '-'}</td>
+                                            <td className="px-6 py-3 text-sm text-gray-500 max-w-xs truncate" title={transaction.description || undefined}>
+                                                {transaction.description || '-'}
+                                            </td>
+                                            <td className={`px-6 py-3 whitespace-nowrap text-sm text-right font-medium ${transaction.type === 'payment' ? 'text-green-600' : 'text-gray-900'}`}>
+                                                {transaction.type === 'payment' ? '−' : ''}{formatCurrency(transaction.amount, 2)}
+                                            </td>
+                                            <td className="px-6 py-3 whitespace-nowrap text-sm text-right text-gray-500">
+                                                {formatCurrency(transaction.balance, 2)}
+                                            </td>
+                                        </tr>
+                                    );
+                                })
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+
+                {ledger?.last_page > 1 && (
+                    <div className="px-4 py-3 border-t border-gray-200">
+                        <Pagination
+                            {...fromLaravelPagination(ledger)}
+                            onPageChange={(page) => visit(filters, page)}
+                        />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,95 @@
+import {
+    ComposedChart,
+    Bar,
+    Line,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend,
+    ResponsiveContainer,
+} from 'recharts';
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+}).format(value);
+
+// Shorter format for the Y-axis
+const formatCurrencyShort = (value) => {
+    if (Math.abs(value) >= 1000) {
+        return `$${(value / 1000).toFixed(0)}k`;
+    }
+    return `$${value}`;
+};
+
+const SERIES_LABELS = {
+    income: 'Income',
+    expense: 'Expenses',
+    net: 'Net',
+};
+
+/**
+ * IncomeExpenseChart - Monthly income (payments received) against expenses
+ * (property-level charges) from the ledger, with net income as a line.
+ *
+ * @param {Object} props
+ * @param {Array} props.data - Rows of { month, label, income, expense, net }
+ */
+export default function IncomeExpenseChart({ data }) {
+    const hasActivity = (data || []).some((row) => row.income !== 0 || row.expense !== 0);
+
+    return (
+        <div className="card">
+            <div className="card-header">
+                <h3 className="text-base md:text-lg font-medium text-gray-900">Income vs. Expenses</h3>
+                <p className="text-xs text-gray-500">Payments received against property-level charges, last {data?.length || 0} months</p>
+            </div>
+            <div className="card-body">
+                {!hasActivity ? (
+                    <div className="h-48 md:h-64 flex items-center justify-center text-gray-500">
+                        No ledger activity in this period
+                    </div>
+                ) : (
+                    <div className="h-48 md:h-64">
+                        <ResponsiveContainer width="100%" height="100%">
+                            <ComposedChart data={data} margin={{ top: 5, right: 5, left: -10, bottom: 5 }}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                                <XAxis
+                                    dataKey="label"
+                                    tick={{ fontSize: 10, fill: '#6B7280' }}
+                                    tickLine={false}
+                                    axisLine={{ stroke: '#E5E7EB' }}
+                                    interval="preserveStartEnd"
+                                />
+                                <YAxis
+                                    tick={{ fontSize: 10, fill: '#6B7280' }}
+                                    tickLine={false}
+                                    axisLine={{ stroke: '#E5E7EB' }}
+                                    tickFormatter={formatCurrencyShort}
+                                    width={45}
+                                />
+                                <Tooltip
+                                    formatter={(value, name) => [formatCurrency(value), SERIES_LABELS[name] || name]}
+                                    contentStyle={{
+                                        backgroundColor: 'white',
+                                        border: '1px solid #E5E7EB',
+                                        borderRadius: '8px',
+                                        boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+                                        fontSize: '12px',
+                                    }}
+                                />
+                                <Legend formatter={(value) => SERIES_LABELS[value] || value} wrapperStyle={{ fontSize: '12px' }} />
+                                <Bar dataKey="income" fill="#22C55E" radius={[4, 4, 0, 0]} />
+                                <Bar dataKey="expense" fill="#EF4444" radius={[4, 4, 0, 0]} />
+                                <Line type="monotone" dataKey="net" stroke="#3B82F6" strokeWidth={2} dot={false} />
+                            </ComposedChart>
+                        </ResponsiveContainer>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,134 @@
+import { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { BuildingOfficeIcon, MagnifyingGlassIcon, PlusIcon, XMarkIcon } from '@heroicons/react/24/outline';
+
+/**
+ * PropertyComparePicker - Chips for the properties being compared, plus a
+ * search box to add more (up to the maximum).
+ *
+ * @param {Object} props
+ * @param {Array} props.selected - Selected properties ({ id, name })
+ * @param {number} props.max - Most properties that can be selected
+ * @param {Function} props.onChange - Called with the new list of property IDs
+ */
+export default function PropertyComparePicker({ selected, max, onChange }) {
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const debounceRef = useRef(null);
+
+    const selectedIds = selected.map((property) => property.id);
+    const isFull = selected.length >= max;
+
+    useEffect(() => () => clearTimeout(debounceRef.current), []);
+
+    const search = async (value) => {
+        if (value.length < 2) {
+            setResults([]);
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            const response = await axios.get(route('properties.search'), { params: { q: value } });
+            setResults(response.data);
+        } catch (err) {
+            console.error('Property search failed:', err);
+            setResults([]);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleQueryChange = (value) => {
+        setQuery(value);
+        clearTimeout(debounceRef.current);
+        debounceRef.current = setTimeout(() => search(value), 300);
+    };
+
+    const add = (property) => {
+        setQuery('');
+        setResults([]);
+        onChange([...selectedIds, property.id]);
+    };
+
+    const remove = (propertyId) => {
+        onChange(selectedIds.filter((id) => id !== propertyId));
+    };
+
+    const available = results.filter((property) => !selectedIds.includes(property.id));
+
+    return (
+        <div className="space-y-3">
+            <div className="flex flex-wrap gap-2">
+                {selected.map((property) => (
+                    <span
+                        key={property.id}
+                        className="inline-flex items-center gap-1 pl-3 pr-1 py-1 rounded-full bg-blue-50 text-sm text-blue-800 border border-blue-200"
+                    >
+                        {property.name}
+                        <button
+                            type="button"
+                            onClick={() => remove(property.id)}
+                            className="p-1 rounded-full text-blue-600 hover:text-blue-900 hover:bg-blue-100"
+                            aria-label={`Remove ${property.name}`}
+                        >
+                            <XMarkIcon className="w-3.5 h-3.5" />
+                        </button>
+                    </span>
+                ))}
+                {selected.length === 0 && (
+                    <span className="text-sm text-gray-500">No properties selected</span>
+                )}
+            </div>
+
+            <div className="relative max-w-md">
+                <label htmlFor="compare-search" className="label">
+                    Add a property (up to {max})
+                </label>
+                <div className="relative">
+                    <input
+                        id="compare-search"
+                        type="text"
+                        className="input pl-10 min-h-[44px] sm:min-h-0"
+                        placeholder={isFull ? 'Remove one to add another' : 'Search by name or address...'}
+                        value={query}
+                        onChange={(e) => handleQueryChange(e.target.value)}
+                        disabled={isFull}
+                        autoComplete="off"
+                    />
+                    <MagnifyingGlassIcon className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                </div>
+
+                {query.length >= 2 && (
+                    <ul className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-64 overflow-y-auto">
+                        {isLoading ? (
+                            <li className="px-4 py-3 text-sm text-gray-500">Searching...</li>
+                        ) : available.length === 0 ? (
+                            <li className="px-4 py-3 text-sm text-gray-500">No matching properties</li>
+                        ) : (
+                            available.map((property) => (
+                                <li key={property.id}>
+                                    <button
+                                        type="button"
+                                        onClick={() => add(property)}
+                                        className="w-full flex items-center gap-3 px-4 py-2 min-h-[44px] sm:min-h-0 text-left hover:bg-gray-50"
+                                    >
+                                        <BuildingOfficeIcon className="w-5 h-5 flex-shrink-0 text-gray-400" />
+                                        <span className="flex-1 min-w-0">
+                                            <span className="block text-sm font-medium text-gray-900 truncate">{property.name}</span>
+                                            {property.address && (
+                                                <span className="block text-xs text-gray-500 truncate">{property.address}</span>
+                                            )}
+                                        </span>
+                                        <PlusIcon className="w-4 h-4 flex-shrink-0 text-gray-400" />
+                                    </button>
+                                </li>
+                            ))
+                        )}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,485 @@
+import { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import {
+    ArrowUturnLeftIcon,
+    ChatBubbleLeftRightIcon,
+    DocumentIcon,
+    PaperClipIcon,
+    TrashIcon,
+    XMarkIcon,
+} from '@heroicons/react/24/outline';
+
+// Longest text after "@" still treated as a mention being typed
+const MAX_MENTION_QUERY = 30;
+const MAX_SUGGESTIONS = 5;
+
+const formatNoteDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+});
+
+const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find the "@name" being typed just before the caret, if any.
+ */
+const findMentionQuery = (text, caret) => {
+    const at = text.lastIndexOf('@', caret - 1);
+    if (at === -1 || (at > 0 && !/\s/.test(text[at - 1]))) return null;
+
+    const query = text.slice(at + 1, caret);
+    if (query.length > MAX_MENTION_QUERY || query.includes('\n')) return null;
+
+    return { start: at, query };
+};
+
+/**
+ * Note text with @mentions of known users highlighted.
+ */
+function NoteBody({ body, mentions }) {
+    if (!body) return null;
+
+    if (mentions.length === 0) {
+        return <p className="text-sm text-gray-700 whitespace-pre-line break-words">{body}</p>;
+    }
+
+    const pattern = new RegExp(`(@(?:${mentions.map((user) => escapeRegExp(user.name)).join('|')}))`, 'gi');
+
+    return (
+        <p className="text-sm text-gray-700 whitespace-pre-line break-words">
+            {body.split(pattern).map((part, index) => (
+                index % 2 === 1
+                    ? <span key={index} className="font-medium text-blue-700 bg-blue-50 rounded px-0.5">{part}</span>
+                    : part
+            ))}
+        </p>
+    );
+}
+
+function AttachmentList({ attachments }) {
+    if (attachments.length === 0) return null;
+
+    const images = attachments.filter((attachment) => attachment.is_image);
+    const files = attachments.filter((attachment) => !attachment.is_image);
+
+    return (
+        <div className="mt-2 space-y-2">
+            {images.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    {images.map((image) => (
+                        <a key={image.id} href={image.url} target="_blank" rel="noopener noreferrer" title={image.name}>
+                            <img
+                                src={image.url}
+                                alt={image.name}
+                                loading="lazy"
+                                className="h-24 w-24 object-cover rounded-lg border border-gray-200 hover:opacity-90"
+                            />
+                        </a>
+                    ))}
+                </div>
+            )}
+            {files.length > 0 && (
+                <ul className="space-y-1">
+                    {files.map((file) => (
+                        <li key={file.id}>
+                            <a
+                                href={file.url}
+                                className="inline-flex items-center gap-1.5 text-sm text-blue-600 hover:text-blue-800"
+                            >
+                                <DocumentIcon className="w-4 h-4 flex-shrink-0" />
+                                <span className="truncate max-w-[16rem]">{file.name}</span>
+                                <span className="text-xs text-gray-400">{formatFileSize(file.size)}</span>
+                            </a>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Text box for a new note or reply, with @mention suggestions and file attachments.
+ */
+function NoteComposer({ propertyId, parentId = null, users, onPosted, onCancel, placeholder, autoFocus = false }) {
+    const [body, setBody] = useState('');
+    const [mentionIds, setMentionIds] = useState([]);
+    const [files, setFiles] = useState([]);
+    const [mention, setMention] = useState(null);
+    const [highlighted, setHighlighted] = useState(0);
+    const [isPosting, setIsPosting] = useState(false);
+    const [error, setError] = useState(null);
+    const textareaRef = useRef(null);
+    const fileInputRef = useRef(null);
+
+    const suggestions = mention
+        ? users
+            .filter((user) => user.name.toLowerCase().includes(mention.query.toLowerCase()))
+            .slice(0, MAX_SUGGESTIONS)
+        : [];
+
+    const handleChange = (e) => {
+        setBody(e.target.value);
+        setMention(findMentionQuery(e.target.value, e.target.selectionStart));
+        setHighlighted(0);
+    };
+
+    const selectUser = (user) => {
+        const caret = mention.start + mention.query.length + 1;
+        const inserted = `@${user.name} `;
+        const nextBody = body.slice(0, mention.start) + inserted + body.slice(caret);
+
+        setBody(nextBody);
+        setMentionIds((current) => (current.includes(user.id) ? current : [...current, user.id]));
+        setMention(null);
+
+        requestAnimationFrame(() => {
+            const position = mention.start + inserted.length;
+            textareaRef.current?.focus();
+            textareaRef.current?.setSelectionRange(position, position);
+        });
+    };
+
+    const handleKeyDown = (e) => {
+        if (suggestions.length === 0) return;
+
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setHighlighted((index) => (index + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setHighlighted((index) => (index - 1 + suggestions.length) % suggestions.length);
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            selectUser(suggestions[highlighted]);
+        } else if (e.key === 'Escape') {
+            setMention(null);
+        }
+    };
+
+    const handleFiles = (e) => {
+        setFiles((current) => [...current, ...Array.from(e.target.files)]);
+        e.target.value = '';
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!body.trim() && files.length === 0) return;
+
+        const data = new FormData();
+        if (body.trim()) data.append('body', body.trim());
+        if (parentId) data.append('parent_id', parentId);
+        mentionIds.forEach((id) => data.append('mentions[]', id));
+        files.forEach((file) => data.append('attachments[]', file));
+
+        setIsPosting(true);
+        setError(null);
+
+        axios.post(route('properties.notes.store', propertyId), data)
+            .then((response) => {
+                setBody('');
+                setMentionIds([]);
+                setFiles([]);
+                onPosted(response.data.note);
+            })
+            .catch((err) => {
+                const errors = err.response?.data?.errors;
+                setError(errors ? Object.values(errors)[0][0] : (err.response?.data?.message || 'Failed to save the note.'));
+            })
+            .finally(() => setIsPosting(false));
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-2">
+            <div className="relative">
+                <textarea
+                    ref={textareaRef}
+                    value={body}
+                    onChange={handleChange}
+                    onKeyDown={handleKeyDown}
+                    onBlur={() => setTimeout(() => setMention(null), 150)}
+                    rows={parentId ? 2 : 3}
+                    maxLength={5000}
+                    autoFocus={autoFocus}
+                    placeholder={placeholder}
+                    className="input w-full"
+                    aria-label={parentId ? 'Reply' : 'New note'}
+                />
+                {suggestions.length > 0 && (
+                    <ul className="absolute z-20 left-0 mt-1 w-64 bg-white border border-gray-200 rounded-lg shadow-lg py-1" role="listbox">
+                        {suggestions.map((user, index) => (
+                            <li key={user.id} role="option" aria-selected={index === highlighted}>
+                                <button
+                                    type="button"
+                                    onMouseDown={(e) => e.preventDefault()}
+                                    onClick={() => selectUser(user)}
+                                    className={`w-full text-left px-3 py-2 text-sm ${
+                                        index === highlighted ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-50'
+                                    }`}
+                                >
+                                    {user.name}
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            {files.length > 0 && (
+                <ul className="flex flex-wrap gap-2">
+                    {files.map((file, index) => (
+                        <li key={`${file.name}-${index}`} className="inline-flex items-center gap-1 px-2 py-1 bg-gray-100 rounded text-xs text-gray-700">
+                            <PaperClipIcon className="w-3.5 h-3.5" />
+                            <span className="truncate max-w-[10rem]">{file.name}</span>
+                            <button
+                                type="button"
+                                onClick={() => setFiles((current) => current.filter((_, i) => i !== index))}
+                                className="text-gray-400 hover:text-gray-600"
+                                aria-label={`Remove ${file.name}`}
+                            >
+                                <XMarkIcon className="w-3.5 h-3.5" />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <div className="flex items-center justify-between gap-2">
+                <div>
+                    <input ref={fileInputRef} type="file" multiple onChange={handleFiles} className="hidden" />
+                    <button
+                        type="button"
+                        onClick={() => fileInputRef.current?.click()}
+                        className="inline-flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900 min-h-[44px] sm:min-h-0"
+                    >
+                        <PaperClipIcon className="w-4 h-4" />
+                        Attach files
+                    </button>
+                </div>
+                <div className="flex items-center gap-2">
+                    {onCancel && (
+                        <button type="button" onClick={onCancel} className="btn-secondary min-h-[44px] sm:min-h-0">
+                            Cancel
+                        </button>
+                    )}
+                    <button
+                        type="submit"
+                        disabled={isPosting || (!body.trim() && files.length === 0)}
+                        className="btn-primary min-h-[44px] sm:min-h-0 disabled:opacity-50"
+                    >
+                        {isPosting ? 'Saving...' : parentId ? 'Reply' : 'Add Note'}
+                    </button>
+                </div>
+            </div>
+        </form>
+    );
+}
+
+function NoteItem({ note, onReply, onDelete, isReply = false }) {
+    return (
+        <div id={`note-${note.id}`} className="flex gap-3">
+            <div className={`${isReply ? 'w-7 h-7 text-xs' : 'w-9 h-9 text-sm'} flex-shrink-0 rounded-full bg-gray-200 text-gray-600 font-medium flex items-center justify-center`}>
+                {(note.author?.name || '?').charAt(0).toUpperCase()}
+            </div>
+            <div className="min-w-0 flex-1">
+                <div className="flex flex-wrap items-baseline gap-x-2">
+                    <span className="text-sm font-medium text-gray-900">{note.author?.name || 'Former user'}</span>
+                    <time dateTime={note.created_at} className="text-xs text-gray-500">{formatNoteDate(note.created_at)}</time>
+                </div>
+                <NoteBody body={note.body} mentions={note.mentions} />
+                <AttachmentList attachments={note.attachments} />
+                <div className="mt-1 flex items-center gap-3">
+                    {onReply && (
+                        <button
+                            type="button"
+                            onClick={onReply}
+                            className="inline-flex items-center gap-1 text-xs text-gray-500 hover:text-gray-800 min-h-[44px] sm:min-h-0"
+                        >
+                            <ArrowUturnLeftIcon className="w-3.5 h-3.5" />
+                            Reply
+                        </button>
+                    )}
+                    {note.can_delete && (
+                        <button
+                            type="button"
+                            onClick={() => onDelete(note)}
+                            className="inline-flex items-center gap-1 text-xs text-gray-500 hover:text-red-600 min-h-[44px] sm:min-h-0"
+                        >
+                            <TrashIcon className="w-3.5 h-3.5" />
+                            Delete
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * PropertyNotes - Threaded notes on a property. Colleagues can be
+ * @mentioned, which notifies them in-app and by email, and files such as
+ * inspection reports and photos can be attached.
+ *
+ * @param {Object} props
+ * @param {string} props.propertyId - Property the notes belong to
+ */
+export default function PropertyNotes({ propertyId }) {
+    const [threads, setThreads] = useState([]);
+    const [users, setUsers] = useState([]);
+    const [page, setPage] = useState(1);
+    const [lastPage, setLastPage] = useState(1);
+    const [total, setTotal] = useState(0);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [replyingTo, setReplyingTo] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setIsLoading(true);
+        setError(null);
+
+        axios.get(route('properties.notes.index', propertyId), { params: { page } })
+            .then((response) => {
+                if (cancelled) return;
+                const { threads: result, mentionable_users: mentionable } = response.data;
+                setThreads((current) => (page === 1 ? result.data : [...current, ...result.data]));
+                setLastPage(result.last_page);
+                setTotal(result.total);
+                setUsers(mentionable);
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err.response?.data?.message || 'Failed to load notes.');
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [propertyId, page]);
+
+    // Scroll to a note linked from a mention notification
+    useEffect(() => {
+        if (isLoading || !window.location.hash.startsWith('#note-')) return;
+        document.getElementById(window.location.hash.slice(1))?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [isLoading]);
+
+    const handleThreadPosted = (note) => {
+        setThreads((current) => [note, ...current]);
+        setTotal((count) => count + 1);
+    };
+
+    const handleReplyPosted = (reply) => {
+        setThreads((current) => current.map((thread) => (
+            thread.id === reply.parent_id ? { ...thread, replies: [...thread.replies, reply] } : thread
+        )));
+        setReplyingTo(null);
+    };
+
+    const handleDelete = (note) => {
+        const message = note.parent_id || note.replies.length === 0
+            ? 'Delete this note?'
+            : 'Delete this note and all of its replies?';
+        if (!confirm(message)) return;
+
+        axios.delete(route('properties.notes.destroy', [propertyId, note.id]))
+            .then(() => {
+                if (note.parent_id) {
+                    setThreads((current) => current.map((thread) => (
+                        thread.id === note.parent_id
+                            ? { ...thread, replies: thread.replies.filter((reply) => reply.id !== note.id) }
+                            : thread
+                    )));
+                } else {
+                    setThreads((current) => current.filter((thread) => thread.id !== note.id));
+                    setTotal((count) => count - 1);
+                }
+            })
+            .catch((err) => {
+                alert(err.response?.data?.message || 'Failed to delete the note.');
+            });
+    };
+
+    return (
+        <div className="card">
+            <div className="card-header flex items-center justify-between">
+                <h2 className="text-base md:text-lg font-medium text-gray-900">Notes</h2>
+                {total > 0 && <span className="text-sm text-gray-500">{total} {total === 1 ? 'thread' : 'threads'}</span>}
+            </div>
+            <div className="card-body space-y-6">
+                <NoteComposer
+                    propertyId={propertyId}
+                    users={users}
+                    onPosted={handleThreadPosted}
+                    placeholder="Add a note... Type @ to mention someone"
+                />
+
+                {error ? (
+                    <p className="text-sm text-red-600">{error}</p>
+                ) : isLoading && threads.length === 0 ? (
+                    <p className="py-4 text-center text-sm text-gray-500">Loading notes...</p>
+                ) : threads.length === 0 ? (
+                    <div className="py-6 text-center">
+                        <ChatBubbleLeftRightIcon className="w-10 h-10 text-gray-300 mx-auto mb-2" />
+                        <p className="text-sm text-gray-500">No notes yet</p>
+                    </div>
+                ) : (
+                    <ul className="divide-y divide-gray-100">
+                        {threads.map((thread) => (
+                            <li key={thread.id} className="py-4 first:pt-0">
+                                <NoteItem
+                                    note={thread}
+                                    onReply={() => setReplyingTo(thread.id)}
+                                    onDelete={handleDelete}
+                                />
+                                {(thread.replies.length > 0 || replyingTo === thread.id) && (
+                                    <div className="mt-3 ml-12 pl-4 border-l-2 border-gray-100 space-y-3">
+                                        {thread.replies.map((reply) => (
+                                            <NoteItem key={reply.id} note={reply} onDelete={handleDelete} isReply />
+                                        ))}
+                                        {replyingTo === thread.id && (
+                                            <NoteComposer
+                                                propertyId={propertyId}
+                                                parentId={thread.id}
+                                                users={users}
+                                                onPosted={handleReplyPosted}
+                                                onCancel={() => setReplyingTo(null)}
+                                                placeholder="Write a reply..."
+                                                autoFocus
+                                            />
+                                        )}
+                                    </div>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {page < lastPage && (
+                    <div className="text-center">
+                        <button
+                            type="button"
+                            onClick={() => setPage((current) => current + 1)}
+                            disabled={isLoading}
+                            className="btn-secondary min-h-[44px] sm:min-h-0 disabled:opacity-50"
+                        >
+                            {isLoading ? 'Loading...' : 'Load older notes'}
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,303 @@
+import { useState, useCallback } from 'react';
+import { router } from '@inertiajs/react';
+import MobileCard from '../MobileCard';
+import StatsGrid from '../StatsGrid';
+import StatCard from '../StatCard';
+import {
+    ChevronUpIcon,
+    ChevronDownIcon,
+    DocumentTextIcon,
+    ArrowDownTrayIcon,
+    MagnifyingGlassIcon,
+} from '@heroicons/react/24/outline';
+
+const DEFAULT_FILTERS = { filter: 'all', search: '', sort: 'unit_number', direction: 'asc' };
+
+const formatCurrency = (amount) => {
+    if (amount === null || amount === undefined) return '-';
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0,
+    }).format(amount);
+};
+
+const formatDate = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+    });
+};
+
+const getLossToLeaseClass = (amount) => {
+    if (amount === null || amount === undefined || amount === 0) return 'text-gray-900';
+    return amount > 0 ? 'text-red-600' : 'text-green-600';
+};
+
+const getExpirationBadge = (row) => {
+    if (!row.lease_id) return { label: 'Vacant', variant: 'warning' };
+    if (row.days_to_expiration === null) return { label: 'Month to Month', variant: 'info' };
+    if (row.days_to_expiration <= 30) return { label: `${row.days_to_expiration}d left`, variant: 'danger' };
+    if (row.days_to_expiration <= 60) return { label: `${row.days_to_expiration}d left`, variant: 'warning' };
+    return { label: 'Leased', variant: 'success' };
+};
+
+const BADGE_CLASSES = {
+    success: 'bg-green-100 text-green-800',
+    warning: 'bg-yellow-100 text-yellow-800',
+    danger: 'bg-red-100 text-red-800',
+    info: 'bg-blue-100 text-blue-800',
+};
+
+/**
+ * RentRollTab - Units joined to their current lease and tenant, comparing
+ * market rent to actual rent. Filter, search and sort are applied on the
+ * server and kept in the URL so the CSV export matches what is on screen.
+ *
+ * @param {Object} props
+ * @param {Object} props.property - The property being viewed
+ * @param {Object} props.rentRoll - Rows, summary and applied filters
+ * @param {Object} props.filterOptions - Filter keys and labels
+ */
+export default function RentRollTab({ property, rentRoll, filterOptions }) {
+    const filters = { ...DEFAULT_FILTERS, ...(rentRoll?.filters || {}) };
+    const rows = rentRoll?.rows || [];
+    const summary = rentRoll?.summary || {};
+    const [search, setSearch] = useState(filters.search);
+
+    // Only non-default values go in the URL
+    const buildParams = useCallback((next) => {
+        const params = {};
+        if (next.filter !== DEFAULT_FILTERS.filter) params.rent_roll_filter = next.filter;
+        if (next.search) params.rent_roll_search = next.search;
+        if (next.sort !== DEFAULT_FILTERS.sort) params.rent_roll_sort = next.sort;
+        if (next.direction !== DEFAULT_FILTERS.direction) params.rent_roll_direction = next.direction;
+        return params;
+    }, []);
+
+    const updateFilters = useCallback((changes) => {
+        router.get(
+            route('properties.show', property.id),
+            { tab: 'rent-roll', ...buildParams({ ...filters, ...changes }) },
+            { only: ['rentRoll'], preserveScroll: true, preserveState: true, replace: true }
+        );
+    }, [property.id, filters, buildParams]);
+
+    const handleSort = (field) => {
+        const direction = filters.sort === field && filters.direction === 'asc' ? 'desc' : 'asc';
+        updateFilters({ sort: field, direction });
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        updateFilters({ search: search.trim() });
+    };
+
+    const exportUrl = route('properties.rent-roll.export', { property: property.id, ...buildParams(filters) });
+
+    const SortableHeader = ({ field, children, align = 'left' }) => {
+        const isSorted = filters.sort === field;
+        const sortDirection = isSorted ? (filters.direction === 'asc' ? 'ascending' : 'descending') : 'none';
+
+        return (
+            <th
+                className={`px-6 py-3 ${align === 'right' ? 'text-right' : 'text-left'} text-xs font-medium text-gray-500 uppercase tracking-wider`}
+                aria-sort={sortDirection}
+            >
+                <button
+                    type="button"
+                    className={`flex items-center gap-1 hover:text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 rounded ${align === 'right' ? 'ml-auto' : ''}`}
+                    onClick={() => handleSort(field)}
+                >
+                    {children}
+                    {isSorted && filters.direction === 'desc'
+                        ? <ChevronDownIcon className="w-4 h-4 text-blue-600" />
+                        : <ChevronUpIcon className={`w-4 h-4 ${isSorted ? 'text-blue-600' : 'text-gray-300'}`} />}
+                </button>
+            </th>
+        );
+    };
+
+    const emptyMessage = summary.total_units === 0
+        ? 'No units found for this property'
+        : 'No units match the selected filter';
+
+    return (
+        <div className="space-y-6">
+            {/* Summary */}
+            <StatsGrid columns={4}>
+                <StatCard
+                    label="Leased Units"
+                    value={`${summary.leased_units ?? 0} / ${summary.total_units ?? 0}`}
+                    subtitle={`${summary.vacant_units ?? 0} vacant`}
+                />
+                <StatCard
+                    label="Market Rent"
+                    value={formatCurrency(summary.total_market_rent ?? 0)}
+                    subtitle="All units, monthly"
+                />
+                <StatCard
+                    label="Actual Rent"
+                    value={formatCurrency(summary.total_rent ?? 0)}
+                    subtitle="Leased units, monthly"
+                />
+                <StatCard
+                    label="Loss to Lease"
+                    value={formatCurrency(summary.total_loss_to_lease ?? 0)}
+                    subtitle={`${summary.expiring_units ?? 0} expiring in 60 days`}
+                />
+            </StatsGrid>
+
+            <div className="card">
+                <div className="card-header flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+                    <h2 className="text-base md:text-lg font-medium text-gray-900">
+                        Rent Roll ({rows.length})
+                    </h2>
+                    <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                        <form onSubmit={handleSearch} className="relative">
+                            <input
+                                type="text"
+                                className="input pl-9 text-sm min-h-[44px] sm:min-h-0 w-full sm:w-56"
+                                placeholder="Unit or tenant..."
+                                value={search}
+                                onChange={(e) => setSearch(e.target.value)}
+                                aria-label="Search rent roll"
+                            />
+                            <MagnifyingGlassIcon className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                        </form>
+                        <select
+                            className="input text-sm min-h-[44px] sm:min-h-0 w-full sm:w-auto"
+                            value={filters.filter}
+                            onChange={(e) => updateFilters({ filter: e.target.value })}
+                            aria-label="Filter rent roll"
+                        >
+                            {Object.entries(filterOptions || {}).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                        <a
+                            href={exportUrl}
+                            className="btn-secondary flex items-center justify-center text-sm min-h-[44px] sm:min-h-0"
+                        >
+                            <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+                            Export CSV
+                        </a>
+                    </div>
+                </div>
+
+                {/* Mobile Card View */}
+                <div className="md:hidden divide-y divide-gray-200">
+                    {rows.length === 0 ? (
+                        <div className="px-4 py-12 text-center">
+                            <DocumentTextIcon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                            <p className="text-gray-500">{emptyMessage}</p>
+                        </div>
+                    ) : (
+                        rows.map((row) => (
+                            <MobileCard
+                                key={row.unit_id}
+                                header={`Unit ${row.unit_number}`}
+                                subheader={row.tenant_name || (row.lease_id ? 'Unknown tenant' : 'No current lease')}
+                                badges={[getExpirationBadge(row)]}
+                                fields={[
+                                    { label: 'Market Rent', value: formatCurrency(row.market_rent) },
+                                    { label: 'Actual Rent', value: formatCurrency(row.rent) },
+                                    {
+                                        label: 'Loss to Lease',
+                                        value: (
+                                            <span className={getLossToLeaseClass(row.loss_to_lease)}>
+                                                {formatCurrency(row.loss_to_lease)}
+                                            </span>
+                                        ),
+                                    },
+                                    { label: 'Lease End', value: row.lease_id && !row.lease_end ? 'Month to Month' : formatDate(row.lease_end) },
+                                ]}
+                            />
+                        ))
+                    )}
+                </div>
+
+                {/* Desktop Table View */}
+                <div className="hidden md:block overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <SortableHeader field="unit_number">Unit</SortableHeader>
+                                <SortableHeader field="tenant_name">Tenant</SortableHeader>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Lease Term
+                                </th>
+                                <SortableHeader field="days_to_expiration" align="right">Days Left</SortableHeader>
+                                <SortableHeader field="market_rent" align="right">Market Rent</SortableHeader>
+                                <SortableHeader field="rent" align="right">Actual Rent</SortableHeader>
+                                <SortableHeader field="loss_to_lease" align="right">Loss to Lease</SortableHeader>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {rows.length === 0 ? (
+                                <tr>
+                                    <td colSpan="7" className="px-6 py-12 text-center">
+                                        <DocumentTextIcon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                                        <p className="text-gray-500">{emptyMessage}</p>
+                                    </td>
+                                </tr>
+                            ) : (
+                                rows.map((row) => {
+                                    const badge = getExpirationBadge(row);
+                                    return (
+                                        <tr key={row.unit_id} className="hover:bg-gray-50">
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <div className="text-sm font-medium text-gray-900">{row.unit_number}</div>
+                                                {row.unit_type && (
+                                                    <div className="text-xs text-gray-500">{row.unit_type}</div>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {row.lease_id ? (
+                                                    <>
+                                                        <div className="text-sm text-gray-900">{row.tenant_name || 'Unknown tenant'}</div>
+                                                        {row.tenant_email && (
+                                                            <div className="text-xs text-gray-500">{row.tenant_email}</div>
+                                                        )}
+                                                    </>
+                                                ) : (
+                                                    <span className="text-sm text-gray-400 italic">Vacant</span>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                {row.lease_id
+                                                    ? `${formatDate(row.lease_start)} – ${row.lease_end ? formatDate(row.lease_end) : 'Month to Month'}`
+                                                    : '-'}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-right">
+                                                {row.lease_id ? (
+                                                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${BADGE_CLASSES[badge.variant]}`}>
+                                                        {row.days_to_expiration !== null ? row.days_to_expiration : 'MTM'}
+                                                    </span>
+                                                ) : (
+                                                    <span className="text-sm text-gray-400">-</span>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 text-right">
+                                                {formatCurrency(row.market_rent)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 text-right">
+                                                {formatCurrency(row.rent)}
+                                            </td>
+                                            <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${getLossToLeaseClass(row.loss_to_lease)}`}>
+                                                {formatCurrency(row.loss_to_lease)}
+                                            </td>
+                                        </tr>
+                                    );
+                                })
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,297 @@
+import { useState } from 'react';
+import { Popover, Transition } from '@headlessui/react';
+import { router, useForm } from '@inertiajs/react';
+import {
+    BookmarkIcon,
+    CheckIcon,
+    ChevronDownIcon,
+    LinkIcon,
+    StarIcon,
+    UsersIcon,
+} from '@heroicons/react/24/outline';
+
+// Values a filter takes when it is left out of a saved view
+const FILTER_DEFAULTS = {
+    search: '',
+    portfolio: '',
+    property_type: '',
+    is_active: '',
+    bounds: '',
+    sort: 'name',
+    direction: 'asc',
+    per_page: '15',
+    view_mode: 'table',
+};
+
+const normalize = (key, value) => {
+    if (value === true) return '1';
+    if (value === false) return '0';
+    if (value === null || value === undefined || value === '') return FILTER_DEFAULTS[key];
+    return String(value);
+};
+
+const filtersMatch = (saved, current) => Object.keys(FILTER_DEFAULTS)
+    .every((key) => normalize(key, saved?.[key]) === normalize(key, current?.[key]));
+
+/**
+ * SavedViewsMenu - Switch between, save, and manage named Properties list
+ * views (filters, sort, page size, and table/map mode).
+ *
+ * @param {Object} props
+ * @param {Array} props.views - Views visible to the user: own and shared
+ * @param {string|null} props.activeViewId - View currently applied
+ * @param {string|null} props.defaultViewId - View applied when opening the page
+ * @param {Object} props.currentFilters - Filters currently on screen, in saved-view shape
+ * @param {Function} props.onSelect - Called with a view to apply it
+ */
+export default function SavedViewsMenu({ views = [], activeViewId, defaultViewId, currentFilters, onSelect }) {
+    const [renaming, setRenaming] = useState(false);
+    const [renameValue, setRenameValue] = useState('');
+    const [copied, setCopied] = useState(false);
+    const form = useForm({
+        name: '',
+        is_shared: false,
+        is_default: false,
+        filters: {},
+    });
+
+    const activeView = views.find((view) => view.id === activeViewId) || null;
+    const isModified = activeView !== null && !filtersMatch(activeView.filters, currentFilters);
+    const ownViews = views.filter((view) => view.is_owner);
+    const sharedViews = views.filter((view) => !view.is_owner);
+
+    const updateView = (data) => {
+        router.patch(route('properties.views.update', activeView.id), data, {
+            preserveScroll: true,
+            preserveState: true,
+        });
+    };
+
+    const setDefault = (viewId) => {
+        router.put(route('properties.views.default'), { saved_view_id: viewId }, {
+            preserveScroll: true,
+            preserveState: true,
+        });
+    };
+
+    const deleteView = () => {
+        if (!confirm(`Delete the view "${activeView.name}"?`)) return;
+        router.delete(route('properties.views.destroy', activeView.id));
+    };
+
+    const saveView = (e, close) => {
+        e.preventDefault();
+        form.transform((data) => ({ ...data, filters: currentFilters }));
+        form.post(route('properties.views.store'), {
+            onSuccess: () => {
+                form.reset();
+                close();
+            },
+        });
+    };
+
+    const rename = (e) => {
+        e.preventDefault();
+        updateView({ name: renameValue });
+        setRenaming(false);
+    };
+
+    const copyLink = () => {
+        const url = route('properties.index', { view: activeView.id });
+        navigator.clipboard?.writeText(url).then(() => {
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        });
+    };
+
+    const renderView = (view, close) => (
+        <li key={view.id}>
+            <button
+                type="button"
+                onClick={() => {
+                    onSelect(view);
+                    close();
+                }}
+                className="w-full flex items-center gap-2 px-2 py-2 min-h-[44px] sm:min-h-0 rounded-md text-left text-sm text-gray-700 hover:bg-gray-50"
+            >
+                <CheckIcon className={`w-4 h-4 flex-shrink-0 ${view.id === activeViewId ? 'text-blue-600' : 'invisible'}`} />
+                <span className="flex-1 min-w-0">
+                    <span className="block truncate">{view.name}</span>
+                    {!view.is_owner && view.owner_name && (
+                        <span className="block text-xs text-gray-500 truncate">by {view.owner_name}</span>
+                    )}
+                </span>
+                {view.is_owner && view.is_shared && (
+                    <UsersIcon className="w-4 h-4 flex-shrink-0 text-gray-400" title="Shared with the team" />
+                )}
+                {view.id === defaultViewId && (
+                    <StarIcon className="w-4 h-4 flex-shrink-0 text-yellow-500" title="Default view" />
+                )}
+            </button>
+        </li>
+    );
+
+    const renderGroup = (title, groupViews, close) => (
+        groupViews.length > 0 && (
+            <div>
+                <p className="px-2 text-xs font-medium text-gray-500 uppercase tracking-wider mb-1">{title}</p>
+                <ul className="space-y-0.5 max-h-48 overflow-y-auto">
+                    {groupViews.map((view) => renderView(view, close))}
+                </ul>
+            </div>
+        )
+    );
+
+    const actionClass = 'text-left text-sm text-gray-600 hover:text-gray-900 min-h-[44px] sm:min-h-0';
+
+    return (
+        <Popover className="relative">
+            <Popover.Button className="flex items-center gap-2 px-3 py-2 min-h-[44px] bg-white border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500">
+                <BookmarkIcon className="w-4 h-4 flex-shrink-0 text-gray-400" />
+                <span className="truncate max-w-[10rem]">{activeView ? activeView.name : 'Saved views'}</span>
+                {isModified && <span className="text-xs text-gray-500">(edited)</span>}
+                <ChevronDownIcon className="w-4 h-4 flex-shrink-0 text-gray-400" />
+            </Popover.Button>
+
+            <Transition
+                enter="transition duration-100 ease-out"
+                enterFrom="transform scale-95 opacity-0"
+                enterTo="transform scale-100 opacity-100"
+                leave="transition duration-75 ease-in"
+                leaveFrom="transform scale-100 opacity-100"
+                leaveTo="transform scale-95 opacity-0"
+            >
+                <Popover.Panel className="absolute right-0 z-20 mt-2 w-80 bg-white border border-gray-200 rounded-lg shadow-lg">
+                    {({ close }) => (
+                        <div className="p-4 space-y-4">
+                            {views.length === 0 ? (
+                                <p className="text-sm text-gray-500">
+                                    No saved views yet. Save the current filters and sort to get back to them in one click.
+                                </p>
+                            ) : (
+                                <>
+                                    {renderGroup('My views', ownViews, close)}
+                                    {renderGroup('Shared with the team', sharedViews, close)}
+                                </>
+                            )}
+
+                            {activeView && (
+                                <div className="pt-3 border-t border-gray-200 flex flex-col gap-2">
+                                    {activeView.is_owner && renaming && (
+                                        <form onSubmit={rename} className="flex gap-2">
+                                            <input
+                                                type="text"
+                                                className="input flex-1"
+                                                value={renameValue}
+                                                onChange={(e) => setRenameValue(e.target.value)}
+                                                maxLength={100}
+                                                aria-label="View name"
+                                                autoFocus
+                                            />
+                                            <button type="submit" className="btn-secondary" disabled={!renameValue.trim()}>
+                                                Save
+                                            </button>
+                                        </form>
+                                    )}
+                                    {activeView.is_owner && isModified && (
+                                        <button
+                                            type="button"
+                                            onClick={() => updateView({ filters: currentFilters })}
+                                            className="text-left text-sm font-medium text-blue-600 hover:text-blue-800 min-h-[44px] sm:min-h-0"
+                                        >
+                                            Update "{activeView.name}" with current filters
+                                        </button>
+                                    )}
+                                    <button
+                                        type="button"
+                                        onClick={() => setDefault(activeView.id === defaultViewId ? null : activeView.id)}
+                                        className={actionClass}
+                                    >
+                                        {activeView.id === defaultViewId ? 'Clear default view' : 'Set as my default view'}
+                                    </button>
+                                    <button type="button" onClick={copyLink} className={`flex items-center gap-1 ${actionClass}`}>
+                                        <LinkIcon className="w-4 h-4" />
+                                        {copied ? 'Link copied' : 'Copy link'}
+                                    </button>
+                                    {activeView.is_owner && (
+                                        <>
+                                            <button
+                                                type="button"
+                                                onClick={() => updateView({ is_shared: !activeView.is_shared })}
+                                                className={actionClass}
+                                            >
+                                                {activeView.is_shared ? 'Stop sharing with the team' : 'Share with the team'}
+                                            </button>
+                                            {!renaming && (
+                                                <button
+                                                    type="button"
+                                                    onClick={() => {
+                                                        setRenameValue(activeView.name);
+                                                        setRenaming(true);
+                                                    }}
+                                                    className={actionClass}
+                                                >
+                                                    Rename
+                                                </button>
+                                            )}
+                                            <button
+                                                type="button"
+                                                onClick={deleteView}
+                                                className="text-left text-sm text-red-600 hover:text-red-800 min-h-[44px] sm:min-h-0"
+                                            >
+                                                Delete view
+                                            </button>
+                                        </>
+                                    )}
+                                </div>
+                            )}
+
+                            <form onSubmit={(e) => saveView(e, close)} className="pt-3 border-t border-gray-200 space-y-2">
+                                <label htmlFor="saved-view-name" className="label">Save current view as</label>
+                                <input
+                                    id="saved-view-name"
+                                    type="text"
+                                    className={`input ${form.errors.name ? 'border-red-300' : ''}`}
+                                    placeholder="e.g. Active multifamily"
+                                    value={form.data.name}
+                                    onChange={(e) => form.setData('name', e.target.value)}
+                                    maxLength={100}
+                                />
+                                {form.errors.name && (
+                                    <p className="text-sm text-red-600">{form.errors.name}</p>
+                                )}
+                                <label className="flex items-center gap-2 text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={form.data.is_shared}
+                                        onChange={(e) => form.setData('is_shared', e.target.checked)}
+                                        className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                    />
+                                    Share with the team
+                                </label>
+                                <label className="flex items-center gap-2 text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={form.data.is_default}
+                                        onChange={(e) => form.setData('is_default', e.target.checked)}
+                                        className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                    />
+                                    Make this my default view
+                                </label>
+                                <div className="flex justify-end">
+                                    <button
+                                        type="submit"
+                                        className="btn-primary"
+                                        disabled={form.processing || !form.data.name.trim()}
+                                    >
+                                        {form.processing ? 'Saving...' : 'Save view'}
+                                    </button>
+                                </div>
+                            </form>
+                        </div>
+                    )}
+                </Popover.Panel>
+            </Transition>
+        </Popover>
+    );
+}
@@ -0,0 +1,305 @@
+import { Fragment, useEffect, useState } from 'react';
+import { Link } from '@inertiajs/react';
+import axios from 'axios';
+import { Dialog, Transition } from '@headlessui/react';
+import {
+    BanknotesIcon,
+    DocumentTextIcon,
+    HomeModernIcon,
+    WrenchScrewdriverIcon,
+    XMarkIcon,
+} from '@heroicons/react/24/outline';
+import { WorkOrderStatusBadge } from '../Vendor';
+
+const formatCurrency = (amount) => {
+    if (amount === null || amount === undefined) return '-';
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+    }).format(amount);
+};
+
+const formatDate = (date) => {
+    if (!date) return '-';
+    return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+    });
+};
+
+const LEASE_TIMING_STYLES = {
+    current: 'bg-green-100 text-green-800',
+    future: 'bg-blue-100 text-blue-800',
+    past: 'bg-gray-100 text-gray-700',
+};
+
+const STATUS_LABELS = {
+    occupied: 'Occupied',
+    vacant: 'Vacant',
+    not_ready: 'Not Ready',
+};
+
+function Section({ icon: Icon, title, children }) {
+    return (
+        <section className="px-6 py-5 border-b border-gray-200">
+            <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-900 mb-3">
+                <Icon className="w-5 h-5 text-gray-400" />
+                {title}
+            </h3>
+            {children}
+        </section>
+    );
+}
+
+/**
+ * UnitDetailDrawer - Slide-over with a unit's attributes, lease history,
+ * work orders, and ledger balance, loaded when a unit row is clicked.
+ *
+ * @param {Object} props
+ * @param {string} props.propertyId - Property the unit belongs to
+ * @param {Object|null} props.unit - Unit row that was clicked; null when closed
+ * @param {Function} props.onClose - Closes the drawer
+ */
+export default function UnitDetailDrawer({ propertyId, unit, onClose }) {
+    const [detail, setDetail] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null);
+    // Keep the last unit while the drawer animates closed
+    const [shownUnit, setShownUnit] = useState(unit);
+
+    useEffect(() => {
+        if (!unit) return;
+
+        setShownUnit(unit);
+
+        let cancelled = false;
+        setDetail(null);
+        setError(null);
+        setIsLoading(true);
+
+        axios.get(route('properties.units.show', [propertyId, unit.id]))
+            .then((response) => {
+                if (!cancelled) setDetail(response.data);
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err.response?.data?.message || 'Failed to load unit details.');
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [propertyId, unit?.id]);
+
+    const attributes = detail?.unit ?? shownUnit;
+
+    return (
+        <Transition show={unit !== null} as={Fragment}>
+            <Dialog onClose={onClose} className="relative z-50">
+                {/* Backdrop */}
+                <Transition.Child
+                    as={Fragment}
+                    enter="ease-out duration-300"
+                    enterFrom="opacity-0"
+                    enterTo="opacity-100"
+                    leave="ease-in duration-200"
+                    leaveFrom="opacity-100"
+                    leaveTo="opacity-0"
+                >
+                    <div className="fixed inset-0 bg-black/30" aria-hidden="true" />
+                </Transition.Child>
+
+                {/* Drawer panel */}
+                <Transition.Child
+                    as={Fragment}
+                    enter="ease-out duration-300"
+                    enterFrom="translate-x-full"
+                    enterTo="translate-x-0"
+                    leave="ease-in duration-200"
+                    leaveFrom="translate-x-0"
+                    leaveTo="translate-x-full"
+                >
+                    <Dialog.Panel className="fixed inset-y-0 right-0 w-full sm:max-w-lg bg-white shadow-xl flex flex-col">
+                        {/* Header with close button */}
+                        <div className="flex items-center justify-between h-16 px-6 border-b border-gray-200 flex-shrink-0">
+                            <div className="min-w-0">
+                                <Dialog.Title className="text-lg font-semibold text-gray-900 truncate">
+                                    Unit {attributes?.unit_number}
+                                </Dialog.Title>
+                                {attributes?.status && (
+                                    <p className="text-sm text-gray-500">
+                                        {STATUS_LABELS[attributes.status] || attributes.status}
+                                        {attributes.unit_type ? ` · ${attributes.unit_type}` : ''}
+                                    </p>
+                                )}
+                            </div>
+                            <button
+                                type="button"
+                                onClick={onClose}
+                                className="p-2 -mr-2 min-w-[44px] min-h-[44px] flex items-center justify-center text-gray-400 hover:text-gray-600 active:text-gray-800 rounded-lg hover:bg-gray-100 active:bg-gray-200"
+                                aria-label="Close unit details"
+                            >
+                                <XMarkIcon className="w-6 h-6" />
+                            </button>
+                        </div>
+
+                        <div className="flex-1 overflow-y-auto">
+                            {/* Attributes */}
+                            <Section icon={HomeModernIcon} title="Unit">
+                                <dl className="grid grid-cols-2 gap-x-4 gap-y-3 text-sm">
+                                    <div>
+                                        <dt className="text-gray-500">Bed / Bath</dt>
+                                        <dd className="text-gray-900">
+                                            {attributes?.bedrooms ?? '-'} / {attributes?.bathrooms ?? '-'}
+                                        </dd>
+                                    </div>
+                                    <div>
+                                        <dt className="text-gray-500">Sq Ft</dt>
+                                        <dd className="text-gray-900">{attributes?.sqft ? attributes.sqft.toLocaleString() : '-'}</dd>
+                                    </div>
+                                    <div>
+                                        <dt className="text-gray-500">Market Rent</dt>
+                                        <dd className="text-gray-900">{formatCurrency(attributes?.market_rent)}</dd>
+                                    </div>
+                                    <div>
+                                        <dt className="text-gray-500">Advertised Rent</dt>
+                                        <dd className="text-gray-900">{formatCurrency(attributes?.advertised_rent)}</dd>
+                                    </div>
+                                    {detail && (
+                                        <div>
+                                            <dt className="text-gray-500">Rentable</dt>
+                                            <dd className="text-gray-900">{detail.unit.rentable ? 'Yes' : 'No'}</dd>
+                                        </div>
+                                    )}
+                                </dl>
+                            </Section>
+
+                            {isLoading && (
+                                <div className="px-6 py-12 text-center text-sm text-gray-500">Loading unit history...</div>
+                            )}
+
+                            {error && (
+                                <div className="px-6 py-12 text-center text-sm text-red-600">{error}</div>
+                            )}
+
+                            {detail && (
+                                <>
+                                    {/* Ledger balance */}
+                                    <Section icon={BanknotesIcon} title="Ledger Balance">
+                                        <div className="flex items-baseline justify-between mb-3">
+                                            <p className={`text-2xl font-semibold ${detail.ledger.balance > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                                                {formatCurrency(detail.ledger.balance)}
+                                            </p>
+                                            <p className="text-xs text-gray-500">
+                                                Last payment {formatDate(detail.ledger.last_payment_date)}
+                                            </p>
+                                        </div>
+                                        {detail.ledger.recent.length === 0 ? (
+                                            <p className="text-sm text-gray-500">No ledger transactions</p>
+                                        ) : (
+                                            <ul className="divide-y divide-gray-100 text-sm">
+                                                {detail.ledger.recent.map((transaction) => (
+                                                    <li key={transaction.id} className="flex items-center justify-between py-2">
+                                                        <div className="min-w-0">
+                                                            <p className="text-gray-900 truncate">
+                                                                {transaction.category || transaction.description || transaction.type}
+                                                            </p>
+                                                            <p className="text-xs text-gray-500">{formatDate(transaction.date)}</p>
+                                                        </div>
+                                                        <span className={transaction.type === 'payment' ? 'text-green-700' : 'text-gray-900'}>
+                                                            {transaction.type === 'payment' ? '-' : ''}{formatCurrency(transaction.amount)}
+                                                        </span>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                    </Section>
+
+                                    {/* Lease history */}
+                                    <Section icon={DocumentTextIcon} title={`Lease History (${detail.leases.length})`}>
+                                        {detail.leases.length === 0 ? (
+                                            <p className="text-sm text-gray-500">No leases on record</p>
+                                        ) : (
+                                            <ul className="space-y-3">
+                                                {detail.leases.map((lease) => (
+                                                    <li key={lease.id} className="p-3 border border-gray-200 rounded-lg text-sm">
+                                                        <div className="flex items-start justify-between gap-2">
+                                                            <div className="min-w-0">
+                                                                <p className="font-medium text-gray-900 truncate">{lease.tenant_name || 'Unknown tenant'}</p>
+                                                                {(lease.tenant_email || lease.tenant_phone) && (
+                                                                    <p className="text-xs text-gray-500 truncate">
+                                                                        {[lease.tenant_email, lease.tenant_phone].filter(Boolean).join(' · ')}
+                                                                    </p>
+                                                                )}
+                                                            </div>
+                                                            <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium capitalize ${LEASE_TIMING_STYLES[lease.timing]}`}>
+                                                                {lease.timing}
+                                                            </span>
+                                                        </div>
+                                                        <div className="mt-2 flex items-center justify-between text-gray-600">
+                                                            <span>{formatDate(lease.start_date)} – {lease.end_date ? formatDate(lease.end_date) : 'Month-to-month'}</span>
+                                                            <span className="font-medium text-gray-900">{formatCurrency(lease.rent)}</span>
+                                                        </div>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                    </Section>
+
+                                    {/* Work orders */}
+                                    <Section icon={WrenchScrewdriverIcon} title={`Work Orders (${detail.work_orders.total})`}>
+                                        <div className="grid grid-cols-2 gap-3 mb-3 text-sm">
+                                            <div className="p-2 bg-gray-50 rounded">
+                                                <p className="text-xs text-gray-500">Open</p>
+                                                <p className="font-medium text-gray-900">{detail.work_orders.open}</p>
+                                            </div>
+                                            <div className="p-2 bg-gray-50 rounded">
+                                                <p className="text-xs text-gray-500">Total Cost</p>
+                                                <p className="font-medium text-gray-900">{formatCurrency(detail.work_orders.total_cost)}</p>
+                                            </div>
+                                        </div>
+                                        {detail.work_orders.items.length === 0 ? (
+                                            <p className="text-sm text-gray-500">No work orders</p>
+                                        ) : (
+                                            <ul className="divide-y divide-gray-100 text-sm">
+                                                {detail.work_orders.items.map((workOrder) => (
+                                                    <li key={workOrder.id} className="py-3">
+                                                        <div className="flex items-start justify-between gap-2">
+                                                            <p className="text-gray-900 line-clamp-2">
+                                                                {workOrder.description || workOrder.category || 'Work order'}
+                                                            </p>
+                                                            <WorkOrderStatusBadge status={workOrder.status} />
+                                                        </div>
+                                                        <div className="mt-1 flex flex-wrap gap-x-3 gap-y-1 text-xs text-gray-500">
+                                                            <span>Opened {formatDate(workOrder.opened_at)}</span>
+                                                            <span>{workOrder.days_open} days open</span>
+                                                            {workOrder.vendor_id ? (
+                                                                <Link href={route('vendors.show', workOrder.vendor_id)} className="text-blue-600 hover:text-blue-800">
+                                                                    {workOrder.vendor_name}
+                                                                </Link>
+                                                            ) : workOrder.vendor_name && (
+                                                                <span>{workOrder.vendor_name}</span>
+                                                            )}
+                                                            {workOrder.amount !== null && (
+                                                                <span className="font-medium text-gray-700">{formatCurrency(workOrder.amount)}</span>
+                                                            )}
+                                                        </div>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                    </Section>
+                                </>
+                            )}
+                        </div>
+                    </Dialog.Panel>
+                </Transition.Child>
+            </Dialog>
+        </Transition>
+    );
+}
@@ -1,6 +1,7 @@
-import { GoogleMap, useJsApiLoader, Marker, InfoWindow } from '@react-google-maps/api';
+import { GoogleMap, useJsApiLoader, Marker, MarkerClusterer, InfoWindow } from '@react-google-maps/api';
 import { Link } from '@inertiajs/react';
 import { useMemo, useState, useCallback, useRef, useEffect } from 'react';
+import { MagnifyingGlassIcon } from '@heroicons/react/24/outline';
 
 // Responsive container style - calculated based on screen size
 const getContainerStyle = (isMobile) => ({
@@ -13,10 +14,127 @@ const DEFAULT_CENTER = { lat: 37.7749, lng: -122.4194 };
 const DEFAULT_ZOOM = 12;
 const SINGLE_PROPERTY_ZOOM = 15;
 
-export default function PropertyMap({ properties, apiKey }) {
+const METRIC_STORAGE_KEY = 'pmpulse-properties-map-metric';
+
+const COLORS = {
+    good: '#22C55E',
+    warning: '#EAB308',
+    bad: '#EF4444',
+    none: '#9CA3AF',
+};
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+}).format(value);
+
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Metrics markers can be colored by. `rate` returns good/warning/bad for a
+// value; `context` is computed once from all values on the map.
+const MAP_METRICS = {
+    occupancy_rate: {
+        label: 'Occupancy',
+        format: (value) => `${value}% occupied`,
+        rate: (value) => (value >= 90 ? 'good' : value >= 70 ? 'warning' : 'bad'),
+        legend: () => ({ good: '90%+', warning: '70–89%', bad: 'Under 70%' }),
+    },
+    delinquency_amount: {
+        label: 'Delinquency',
+        format: (value) => `${formatCurrency(value)} delinquent`,
+        rate: (value) => (value < 1000 ? 'good' : value < 5000 ? 'warning' : 'bad'),
+        legend: () => ({ good: 'Under $1k', warning: '$1k–$5k', bad: '$5k+' }),
+    },
+    open_work_orders: {
+        label: 'Open Work Orders',
+        format: (value) => `${value} open work order${value === 1 ? '' : 's'}`,
+        rate: (value) => (value <= 2 ? 'good' : value <= 5 ? 'warning' : 'bad'),
+        legend: () => ({ good: '0–2', warning: '3–5', bad: '6+' }),
+    },
+    utility_cost_per_unit: {
+        label: 'Utility Cost / Unit',
+        format: (value) => `${formatCurrency(value)} utilities per unit (12 mo)`,
+        rate: (value, typical) => (value <= typical ? 'good' : value <= typical * 1.25 ? 'warning' : 'bad'),
+        context: (values) => median(values),
+        legend: (typical) => typical === null ? {} : ({
+            good: `≤ ${formatCurrency(typical)} (median)`,
+            warning: 'Up to 25% above',
+            bad: 'More than 25% above',
+        }),
+    },
+};
+
+const markerIcon = (color) => ({
+    path: window.google.maps.SymbolPath.CIRCLE,
+    scale: 8,
+    fillColor: color,
+    fillOpacity: 1,
+    strokeColor: '#FFFFFF',
+    strokeWeight: 2,
+});
+
+// Cluster icons drawn inline so clustering doesn't load images from elsewhere
+const clusterIcon = (size) => `data:image/svg+xml;charset=UTF-8,${encodeURIComponent(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}"><circle cx="${size / 2}" cy="${size / 2}" r="${size / 2 - 2}" fill="#2563EB" fill-opacity="0.85" stroke="#FFFFFF" stroke-width="2"/></svg>`
+)}`;
+
+const CLUSTER_OPTIONS = {
+    averageCenter: true,
+    maxZoom: 14,
+    styles: [36, 44, 52].map((size) => ({
+        url: clusterIcon(size),
+        width: size,
+        height: size,
+        textColor: '#FFFFFF',
+        textSize: 12,
+    })),
+};
+
+const boundsToParam = (bounds) => {
+    const northEast = bounds.getNorthEast();
+    const southWest = bounds.getSouthWest();
+    return [southWest.lat(), southWest.lng(), northEast.lat(), northEast.lng()]
+        .map((value) => value.toFixed(6))
+        .join(',');
+};
+
+/**
+ * PropertyMap - Clustered map of geocoded properties with markers colored by
+ * a selectable metric, and a "search this area" action once the map moves.
+ *
+ * @param {Object} props
+ * @param {Array} props.properties - Properties with latitude/longitude
+ * @param {string} props.apiKey - Google Maps API key
+ * @param {Object} props.metrics - Property ID => { occupancy_rate, delinquency_amount, open_work_orders, utility_cost_per_unit }
+ * @param {Function} props.onSearchArea - Called with "south,west,north,east" to filter the list to the visible area
+ */
+export default function PropertyMap({ properties, apiKey, metrics = {}, onSearchArea }) {
     const [selectedProperty, setSelectedProperty] = useState(null);
     const [isMobile, setIsMobile] = useState(false);
+    const [metric, setMetric] = useState(() => {
+        if (typeof window !== 'undefined') {
+            const stored = localStorage.getItem(METRIC_STORAGE_KEY);
+            if (stored && MAP_METRICS[stored]) {
+                return stored;
+            }
+        }
+        return 'occupancy_rate';
+    });
+    const [areaChanged, setAreaChanged] = useState(false);
     const mapRef = useRef(null);
+    const hasSettledRef = useRef(false);
+
+    // Persist the metric choice
+    useEffect(() => {
+        localStorage.setItem(METRIC_STORAGE_KEY, metric);
+    }, [metric]);
 
     // Detect mobile screen size
     useEffect(() => {
@@ -83,6 +201,47 @@ export default function PropertyMap({ properties, apiKey }) {
         map.fitBounds(bounds);
     }, [propertiesWithCoords]);
 
+    // The first idle follows the initial fit; later ones mean the user moved the map
+    const onMapIdle = useCallback(() => {
+        if (!hasSettledRef.current) {
+            hasSettledRef.current = true;
+            return;
+        }
+        setAreaChanged(true);
+    }, []);
+
+    const handleSearchArea = () => {
+        const bounds = mapRef.current?.getBounds();
+        if (!bounds || !onSearchArea) return;
+        setAreaChanged(false);
+        onSearchArea(boundsToParam(bounds));
+    };
+
+    const metricConfig = MAP_METRICS[metric];
+
+    const metricContext = useMemo(() => {
+        if (!metricConfig.context) return null;
+        const values = propertiesWithCoords
+            .map((property) => metrics[property.id]?.[metric])
+            .filter((value) => value !== null && value !== undefined);
+        return metricConfig.context(values);
+    }, [metricConfig, metric, metrics, propertiesWithCoords]);
+
+    const metricValue = (property) => {
+        const value = metrics[property.id]?.[metric];
+        return value === null || value === undefined ? null : value;
+    };
+
+    const colorFor = (property) => {
+        const value = metricValue(property);
+        if (value === null || (metricConfig.context && metricContext === null)) {
+            return COLORS.none;
+        }
+        return COLORS[metricConfig.rate(value, metricContext)];
+    };
+
+    const legend = metricConfig.legend(metricContext);
+
     const onMarkerClick = useCallback((property) => {
         setSelectedProperty(property);
     }, []);
@@ -140,87 +299,144 @@ export default function PropertyMap({ properties, apiKey }) {
     }
 
     return (
-        <div className="rounded-lg overflow-hidden border border-gray-200">
-            <GoogleMap
-                mapContainerStyle={containerStyle}
-                center={initialCenter}
-                zoom={DEFAULT_ZOOM}
-                onLoad={onMapLoad}
-                options={{
-                    streetViewControl: false,
-                    mapTypeControl: false,
-                    fullscreenControl: true,
-                    zoomControl: true,
-                    gestureHandling: 'greedy', // Better touch handling on mobile
-                }}
-            >
-                    {propertiesWithCoords.map((property) => (
-                        <Marker
-                            key={property.id}
-                            position={{
-                                lat: parseFloat(property.latitude),
-                                lng: parseFloat(property.longitude),
-                            }}
-                            onClick={() => onMarkerClick(property)}
-                            title={property.name}
-                        />
+        <div>
+            {/* Metric selector and legend */}
+            <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mb-3">
+                <div className="flex items-center gap-2">
+                    <label htmlFor="map-metric" className="text-sm text-gray-600">Color by</label>
+                    <select
+                        id="map-metric"
+                        className="input py-1.5 min-h-[44px] sm:min-h-0"
+                        value={metric}
+                        onChange={(e) => setMetric(e.target.value)}
+                    >
+                        {Object.entries(MAP_METRICS).map(([key, config]) => (
+                            <option key={key} value={key}>{config.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600">
+                    {['good', 'warning', 'bad'].filter((level) => legend[level]).map((level) => (
+                        <span key={level} className="flex items-center gap-1.5">
+                            <span className="w-3 h-3 rounded-full border border-white shadow" style={{ backgroundColor: COLORS[level] }} />
+                            {legend[level]}
+                        </span>
                     ))}
+                    <span className="flex items-center gap-1.5">
+                        <span className="w-3 h-3 rounded-full border border-white shadow" style={{ backgroundColor: COLORS.none }} />
+                        No data
+                    </span>
+                </div>
+            </div>
 
-                    {selectedProperty && (
-                        <InfoWindow
-                            position={{
-                                lat: parseFloat(selectedProperty.latitude),
-                                lng: parseFloat(selectedProperty.longitude),
-                            }}
-                            onCloseClick={onInfoWindowClose}
+            <div className="relative rounded-lg overflow-hidden border border-gray-200">
+                {areaChanged && onSearchArea && (
+                    <div className="absolute top-3 left-1/2 -translate-x-1/2 z-10">
+                        <button
+                            type="button"
+                            onClick={handleSearchArea}
+                            className="flex items-center gap-1.5 px-4 py-2 min-h-[44px] sm:min-h-0 bg-white rounded-full shadow-md text-sm font-medium text-gray-700 hover:bg-gray-50"
                         >
-                            <div className={`p-1 ${isMobile ? 'min-w-[200px] max-w-[250px]' : 'min-w-48'}`}>
-                                <Link
-                                    href={`/properties/${selectedProperty.id}`}
-                                    className={`font-medium text-blue-600 hover:text-blue-800 block ${isMobile ? 'text-base py-1' : ''}`}
-                                >
-                                    {selectedProperty.name}
-                                </Link>
-                                {selectedProperty.address_line1 && (
-                                    <p className={`text-gray-600 mt-1 ${isMobile ? 'text-sm' : 'text-sm'}`}>
-                                        {selectedProperty.address_line1}
-                                    </p>
-                                )}
-                                {selectedProperty.city && (
-                                    <p className={`text-gray-500 ${isMobile ? 'text-sm' : 'text-sm'}`}>
-                                        {selectedProperty.city}, {selectedProperty.state} {selectedProperty.zip}
-                                    </p>
-                                )}
-                                <div className={`mt-2 flex flex-wrap gap-2 ${isMobile ? 'text-sm' : 'text-xs'}`}>
-                                    {(selectedProperty.units_count ?? selectedProperty.unit_count) > 0 && (
-                                        <span className={`bg-gray-100 rounded ${isMobile ? 'px-2.5 py-1' : 'px-2 py-0.5'}`}>
-                                            {selectedProperty.units_count ?? selectedProperty.unit_count} units
-                                        </span>
-                                    )}
-                                    {selectedProperty.occupancy_rate !== null && (
-                                        <span className={`rounded ${isMobile ? 'px-2.5 py-1' : 'px-2 py-0.5'} ${
-                                            selectedProperty.occupancy_rate >= 90
-                                                ? 'bg-green-100 text-green-800'
-                                                : selectedProperty.occupancy_rate >= 70
-                                                    ? 'bg-yellow-100 text-yellow-800'
-                                                    : 'bg-red-100 text-red-800'
-                                        }`}>
-                                            {selectedProperty.occupancy_rate}% occupied
-                                        </span>
-                                    )}
-                                </div>
-                                {isMobile && (
+                            <MagnifyingGlassIcon className="w-4 h-4" />
+                            Search this area
+                        </button>
+                    </div>
+                )}
+                <GoogleMap
+                    mapContainerStyle={containerStyle}
+                    center={initialCenter}
+                    zoom={DEFAULT_ZOOM}
+                    onLoad={onMapLoad}
+                    onIdle={onMapIdle}
+                    options={{
+                        streetViewControl: false,
+                        mapTypeControl: false,
+                        fullscreenControl: true,
+                        zoomControl: true,
+                        gestureHandling: 'greedy', // Better touch handling on mobile
+                    }}
+                >
+                        <MarkerClusterer options={CLUSTER_OPTIONS}>
+                            {(clusterer) => (
+                                <>
+                                    {propertiesWithCoords.map((property) => (
+                                        <Marker
+                                            key={property.id}
+                                            position={{
+                                                lat: parseFloat(property.latitude),
+                                                lng: parseFloat(property.longitude),
+                                            }}
+                                            clusterer={clusterer}
+                                            icon={markerIcon(colorFor(property))}
+                                            onClick={() => onMarkerClick(property)}
+                                            title={property.name}
+                                        />
+                                    ))}
+                                </>
+                            )}
+                        </MarkerClusterer>
+
+                        {selectedProperty && (
+                            <InfoWindow
+                                position={{
+                                    lat: parseFloat(selectedProperty.latitude),
+                                    lng: parseFloat(selectedProperty.longitude),
+                                }}
+                                onCloseClick={onInfoWindowClose}
+                            >
+                                <div className={`p-1 ${isMobile ? 'min-w-[200px] max-w-[250px]' : 'min-w-48'}`}>
                                     <Link
                                         href={`/properties/${selectedProperty.id}`}
-                                        className="mt-3 block w-full text-center bg-blue-600 text-white py-2 px-4 rounded-lg text-sm font-medium"
+                                        className={`font-medium text-blue-600 hover:text-blue-800 block ${isMobile ? 'text-base py-1' : ''}`}
                                     >
-                                        View Details
+                                        {selectedProperty.name}
                                     </Link>
-                                )}
-                            </div>
-                        </InfoWindow>
-                    )}
-            </GoogleMap>
+                                    {selectedProperty.address_line1 && (
+                                        <p className={`text-gray-600 mt-1 ${isMobile ? 'text-sm' : 'text-sm'}`}>
+                                            {selectedProperty.address_line1}
+                                        </p>
+                                    )}
+                                    {selectedProperty.city && (
+                                        <p className={`text-gray-500 ${isMobile ? 'text-sm' : 'text-sm'}`}>
+                                            {selectedProperty.city}, {selectedProperty.state} {selectedProperty.zip}
+                                        </p>
+                                    )}
+                                    <div className={`mt-2 flex flex-wrap gap-2 ${isMobile ? 'text-sm' : 'text-xs'}`}>
+                                        {(selectedProperty.units_count ?? selectedProperty.unit_count) > 0 && (
+                                            <span className={`bg-gray-100 rounded ${isMobile ? 'px-2.5 py-1' : 'px-2 py-0.5'}`}>
+                                                {selectedProperty.units_count ?? selectedProperty.unit_count} units
+                                            </span>
+                                        )}
+                                        {selectedProperty.occupancy_rate !== null && (
+                                            <span className={`rounded ${isMobile ? 'px-2.5 py-1' : 'px-2 py-0.5'} ${
+                                                selectedProperty.occupancy_rate >= 90
+                                                    ? 'bg-green-100 text-green-800'
+                                                    : selectedProperty.occupancy_rate >= 70
+                                                        ? 'bg-yellow-100 text-yellow-800'
+                                                        : 'bg-red-100 text-red-800'
+                                            }`}>
+                                                {selectedProperty.occupancy_rate}% occupied
+                                            </span>
+                                        )}
+                                        {metric !== 'occupancy_rate' && metricValue(selectedProperty) !== null && (
+                                            <span className={`bg-gray-100 rounded ${isMobile ? 'px-2.5 py-1' : 'px-2 py-0.5'}`}>
+                                                {metricConfig.format(metricValue(selectedProperty))}
+                                            </span>
+                                        )}
+                                    </div>
+                                    {isMobile && (
+                                        <Link
+                                            href={`/properties/${selectedProperty.id}`}
+                                            className="mt-3 block w-full text-center bg-blue-600 text-white py-2 px-4 rounded-lg text-sm font-medium"
+                                        >
+                                            View Details
+                                        </Link>
+                                    )}
+                                </div>
+                            </InfoWindow>
+                        )}
+                </GoogleMap>
+            </div>
         </div>
     );
 }
@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import { useForm, router } from '@inertiajs/react';
+import {
+    ArrowUturnLeftIcon,
+    ChatBubbleLeftEllipsisIcon,
+    CheckIcon,
+    XMarkIcon,
+} from '@heroicons/react/24/outline';
+
+/**
+ * Acknowledge, dismiss, reopen, and note buttons for a stored utility anomaly.
+ * Dismissing asks for a reason; adding a note saves the property's utility
+ * note for the anomaly's type and links it.
+ */
+export default function AnomalyActions({ anomaly }) {
+    const [mode, setMode] = useState(null);
+    const [processing, setProcessing] = useState(false);
+
+    const dismissForm = useForm({ reason: '' });
+    const noteForm = useForm({ note: anomaly.note?.note ?? '' });
+
+    const isResolved = anomaly.status !== 'open';
+
+    const patch = (routeName) => {
+        router.patch(route(routeName, anomaly.id), {}, {
+            preserveScroll: true,
+            onStart: () => setProcessing(true),
+            onFinish: () => setProcessing(false),
+        });
+    };
+
+    const handleDismiss = (e) => {
+        e.preventDefault();
+        dismissForm.patch(route('utilities.anomalies.dismiss', anomaly.id), {
+            preserveScroll: true,
+            onSuccess: () => setMode(null),
+        });
+    };
+
+    const handleNote = (e) => {
+        e.preventDefault();
+        noteForm.post(route('utilities.anomalies.note', anomaly.id), {
+            preserveScroll: true,
+            onSuccess: () => setMode(null),
+        });
+    };
+
+    const openNote = () => {
+        noteForm.setData('note', anomaly.note?.note ?? '');
+        noteForm.clearErrors();
+        setMode(mode === 'note' ? null : 'note');
+    };
+
+    return (
+        <div className="mt-3">
+            <div className="flex flex-wrap items-center gap-2">
+                {isResolved ? (
+                    <button
+                        type="button"
+                        onClick={() => patch('utilities.anomalies.reopen')}
+                        disabled={processing}
+                        className="inline-flex items-center px-2 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+                    >
+                        <ArrowUturnLeftIcon className="w-3.5 h-3.5 mr-1" />
+                        Reopen
+                    </button>
+                ) : (
+                    <>
+                        <button
+                            type="button"
+                            onClick={() => patch('utilities.anomalies.acknowledge')}
+                            disabled={processing}
+                            className="inline-flex items-center px-2 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            <CheckIcon className="w-3.5 h-3.5 mr-1" />
+                            Acknowledge
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setMode(mode === 'dismiss' ? null : 'dismiss')}
+                            className="inline-flex items-center px-2 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50"
+                        >
+                            <XMarkIcon className="w-3.5 h-3.5 mr-1" />
+                            Dismiss
+                        </button>
+                    </>
+                )}
+                <button
+                    type="button"
+                    onClick={openNote}
+                    className="inline-flex items-center px-2 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50"
+                >
+                    <ChatBubbleLeftEllipsisIcon className="w-3.5 h-3.5 mr-1" />
+                    {anomaly.note?.linked ? 'Edit note' : 'Add note'}
+                </button>
+            </div>
+
+            {mode === 'dismiss' && (
+                <form onSubmit={handleDismiss} className="mt-2 space-y-2">
+                    <textarea
+                        value={dismissForm.data.reason}
+                        onChange={(e) => dismissForm.setData('reason', e.target.value)}
+                        rows={2}
+                        maxLength={1000}
+                        placeholder="Why isn't this a problem? (e.g. one-time leak repair, billing catch-up)"
+                        className="input w-full text-sm"
+                        autoFocus
+                    />
+                    {dismissForm.errors.reason && (
+                        <p className="text-xs text-red-600">{dismissForm.errors.reason}</p>
+                    )}
+                    <div className="flex gap-2">
+                        <button type="submit" disabled={dismissForm.processing} className="btn-primary text-xs px-2 py-1 disabled:opacity-50">
+                            {dismissForm.processing ? 'Dismissing...' : 'Dismiss anomaly'}
+                        </button>
+                        <button type="button" onClick={() => setMode(null)} className="btn-secondary text-xs px-2 py-1">
+                            Cancel
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {mode === 'note' && (
+                <form onSubmit={handleNote} className="mt-2 space-y-2">
+                    <textarea
+                        value={noteForm.data.note}
+                        onChange={(e) => noteForm.setData('note', e.target.value)}
+                        rows={3}
+                        maxLength={2000}
+                        placeholder={`Note about ${anomaly.property_name}'s ${anomaly.utility_label?.toLowerCase() ?? 'utility'} costs`}
+                        className="input w-full text-sm"
+                        autoFocus
+                    />
+                    {anomaly.note && !anomaly.note.linked && (
+                        <p className="text-xs text-gray-500">
+                            This property already has a {anomaly.utility_label?.toLowerCase()} note; saving updates it.
+                        </p>
+                    )}
+                    {noteForm.errors.note && (
+                        <p className="text-xs text-red-600">{noteForm.errors.note}</p>
+                    )}
+                    <div className="flex gap-2">
+                        <button type="submit" disabled={noteForm.processing} className="btn-primary text-xs px-2 py-1 disabled:opacity-50">
+                            {noteForm.processing ? 'Saving...' : 'Save note'}
+                        </button>
+                        <button type="button" onClick={() => setMode(null)} className="btn-secondary text-xs px-2 py-1">
+                            Cancel
+                        </button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+}
@@ -3,20 +3,34 @@ import {
     ExclamationTriangleIcon,
     ArrowTrendingUpIcon,
     ArrowTrendingDownIcon,
+    BanknotesIcon,
 } from '@heroicons/react/24/outline';
+import AnomalyActions from './AnomalyActions';
 
-const getAnomalyIcon = (type) => {
+const formatCurrency = (value) => {
+    if (!value) return '$0';
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0,
+    }).format(value);
+};
+
+export const getAnomalyIcon = (type) => {
     switch (type) {
         case 'high':
             return ArrowTrendingUpIcon;
         case 'low':
             return ArrowTrendingDownIcon;
+        case 'over_budget':
+            return BanknotesIcon;
         default:
             return ExclamationTriangleIcon;
     }
 };
 
-const getAnomalyColors = (type) => {
+export const getAnomalyColors = (type) => {
     switch (type) {
         case 'high':
             return {
@@ -34,6 +48,14 @@ const getAnomalyColors = (type) => {
                 text: 'text-green-800',
                 badge: 'bg-green-100 text-green-700',
             };
+        case 'over_budget':
+            return {
+                bg: 'bg-orange-50',
+                border: 'border-orange-200',
+                icon: 'text-orange-500',
+                text: 'text-orange-800',
+                badge: 'bg-orange-100 text-orange-700',
+            };
         default:
             return {
                 bg: 'bg-yellow-50',
@@ -45,21 +67,69 @@ const getAnomalyColors = (type) => {
     }
 };
 
+/**
+ * The figures behind a stored anomaly: its distance from the portfolio
+ * average, how far it is over the property's recent average, or both.
+ */
+export function AnomalyFigures({ anomaly, textClassName = 'text-gray-700' }) {
+    const hasZScore = anomaly.deviation !== null && anomaly.deviation !== undefined;
+    const hasRollingAverage = anomaly.percent_over_baseline !== null && anomaly.percent_over_baseline !== undefined;
+
+    return (
+        <>
+            {hasZScore ? (
+                <>
+                    <div className="mt-2 flex items-baseline space-x-2">
+                        <span className="text-sm font-semibold text-gray-900">
+                            {formatCurrency(anomaly.value)}/unit
+                        </span>
+                        <span className={`text-xs ${textClassName}`}>
+                            ({anomaly.deviation > 0 ? '+' : ''}{anomaly.deviation.toFixed(1)} SD)
+                        </span>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                        Avg: {formatCurrency(anomaly.average)}/unit
+                        {anomaly.weather_adjusted && ' · weather-adjusted'}
+                    </p>
+                </>
+            ) : hasRollingAverage && (
+                <>
+                    <div className="mt-2 flex items-baseline space-x-2">
+                        <span className="text-sm font-semibold text-gray-900">
+                            {formatCurrency(anomaly.cost)}
+                        </span>
+                        <span className={`text-xs ${textClassName}`}>
+                            (+{anomaly.percent_over_baseline.toFixed(0)}%)
+                        </span>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                        Recent avg: {formatCurrency(anomaly.baseline_cost)}/month
+                        {anomaly.weather_adjusted && ' · weather-adjusted'}
+                    </p>
+                </>
+            )}
+            {hasZScore && hasRollingAverage && (
+                <p className="text-xs text-gray-500 mt-0.5">
+                    Also {anomaly.percent_over_baseline.toFixed(0)}% over its recent average
+                </p>
+            )}
+            {anomaly.period && (
+                <p className="text-xs text-gray-500 mt-0.5">
+                    {anomaly.period}
+                    {anomaly.dollar_impact !== null && anomaly.dollar_impact !== undefined && (
+                        <> · {anomaly.dollar_impact < 0 ? '-' : ''}{formatCurrency(Math.abs(anomaly.dollar_impact))} impact</>
+                    )}
+                </p>
+            )}
+        </>
+    );
+}
+
 export default function AnomalyAlerts({ anomalies }) {
     if (!anomalies || anomalies.length === 0) {
         return null;
     }
 
-    const formatCurrency = (value) => {
-        if (!value) return '$0';
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0,
-        }).format(value);
-    };
-
     return (
         <div className="card border-yellow-200 bg-yellow-50">
             <div className="card-header border-yellow-200">
@@ -67,50 +137,89 @@ export default function AnomalyAlerts({ anomalies }) {
                     <ExclamationTriangleIcon className="w-5 h-5 text-yellow-600" />
                     <h3 className="text-lg font-medium text-gray-900">Anomaly Alerts</h3>
                     <span className="px-2 py-0.5 text-xs font-medium bg-yellow-100 text-yellow-700 rounded-full">
-                        {anomalies.length} detected
+                        {anomalies.length} open
                     </span>
+                    <Link
+                        href={route('utilities.anomalies.index')}
+                        className="ml-auto text-sm font-medium text-blue-600 hover:text-blue-800"
+                    >
+                        View all
+                    </Link>
                 </div>
                 <p className="mt-1 text-sm text-gray-600">
-                    Properties with utility costs significantly different from portfolio average
+                    Properties with utility costs significantly different from portfolio average or their own recent months, or trending over budget. Acknowledge or dismiss an anomaly to clear it.
                 </p>
             </div>
             <div className="p-3 sm:p-4">
-                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-5 gap-3">
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-3">
                     {anomalies.map((anomaly) => {
                         const Icon = getAnomalyIcon(anomaly.type);
                         const colors = getAnomalyColors(anomaly.type);
 
+                        if (anomaly.type === 'over_budget') {
+                            return (
+                                <Link
+                                    key={`anomaly-${anomaly.type}-${anomaly.property_id}-${anomaly.utility_type}`}
+                                    href={`/utilities/property/${anomaly.property_id}`}
+                                    className={`block p-4 rounded-lg border ${colors.bg} ${colors.border} hover:shadow-md transition-shadow`}
+                                >
+                                    <div className="flex items-start space-x-3">
+                                        <div className={`p-1.5 rounded-full ${colors.badge}`}>
+                                            <Icon className="w-4 h-4" />
+                                        </div>
+                                        <div className="flex-1 min-w-0">
+                                            <p className={`text-sm font-medium ${colors.text} truncate`}>
+                                                {anomaly.property_name}
+                                            </p>
+                                            <p className="text-xs text-gray-600 mt-0.5">
+                                                {anomaly.utility_label}
+                                            </p>
+                                            <div className="mt-2 flex items-baseline space-x-2">
+                                                <span className="text-sm font-semibold text-gray-900">
+                                                    {formatCurrency(anomaly.forecast)}
+                                                </span>
+                                                <span className={`text-xs ${colors.text}`}>
+                                                    (+{anomaly.variance_percent.toFixed(1)}%)
+                                                </span>
+                                            </div>
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                Year-end forecast vs {formatCurrency(anomaly.budget)} budget
+                                            </p>
+                                        </div>
+                                    </div>
+                                </Link>
+                            );
+                        }
+
                         return (
-                            <Link
-                                key={`anomaly-${anomaly.property_id}-${anomaly.utility_type}`}
-                                href={`/utilities/property/${anomaly.property_id}`}
-                                className={`block p-4 rounded-lg border ${colors.bg} ${colors.border} hover:shadow-md transition-shadow`}
+                            <div
+                                key={`anomaly-${anomaly.id}`}
+                                className={`p-4 rounded-lg border ${colors.bg} ${colors.border}`}
                             >
                                 <div className="flex items-start space-x-3">
                                     <div className={`p-1.5 rounded-full ${colors.badge}`}>
                                         <Icon className="w-4 h-4" />
                                     </div>
                                     <div className="flex-1 min-w-0">
-                                        <p className={`text-sm font-medium ${colors.text} truncate`}>
+                                        <Link
+                                            href={`/utilities/property/${anomaly.property_id}`}
+                                            className={`block text-sm font-medium ${colors.text} truncate hover:underline`}
+                                        >
                                             {anomaly.property_name}
-                                        </p>
+                                        </Link>
                                         <p className="text-xs text-gray-600 mt-0.5">
                                             {anomaly.utility_label}
                                         </p>
-                                        <div className="mt-2 flex items-baseline space-x-2">
-                                            <span className="text-sm font-semibold text-gray-900">
-                                                {formatCurrency(anomaly.value)}/unit
-                                            </span>
-                                            <span className={`text-xs ${colors.text}`}>
-                                                ({anomaly.deviation > 0 ? '+' : ''}{anomaly.deviation.toFixed(1)} SD)
-                                            </span>
-                                        </div>
-                                        <p className="text-xs text-gray-500 mt-1">
-                                            Avg: {formatCurrency(anomaly.average)}/unit
-                                        </p>
+                                        <AnomalyFigures anomaly={anomaly} textClassName={colors.text} />
+                                        {anomaly.note?.linked && (
+                                            <p className="mt-2 text-xs text-gray-600 italic line-clamp-2" title={anomaly.note.note}>
+                                                “{anomaly.note.note}”
+                                            </p>
+                                        )}
+                                        <AnomalyActions anomaly={anomaly} />
                                     </div>
                                 </div>
-                            </Link>
+                            </div>
                         );
                     })}
                 </div>
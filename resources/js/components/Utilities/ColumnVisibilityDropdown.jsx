@@ -1,7 +1,11 @@
 import { useState, useRef, useEffect } from 'react';
-import { ViewColumnsIcon, ChevronDownIcon } from '@heroicons/react/24/outline';
+import { ViewColumnsIcon, ChevronDownIcon, ChevronUpIcon } from '@heroicons/react/24/outline';
 
-export default function ColumnVisibilityDropdown({ columns, visibleColumns, onChange, onBatchChange }) {
+/**
+ * Column picker for data tables. Columns are listed in display order; pass
+ * onMove to let users reorder them and onReset to offer a layout reset.
+ */
+export default function ColumnVisibilityDropdown({ columns, visibleColumns, onChange, onBatchChange, onMove, onReset }) {
     const [isOpen, setIsOpen] = useState(false);
     const dropdownRef = useRef(null);
 
@@ -60,44 +64,70 @@ export default function ColumnVisibilityDropdown({ columns, visibleColumns, onCh
             </button>
 
             {isOpen && (
-                <div className="absolute right-0 z-20 mt-2 w-56 origin-top-right rounded-lg bg-white shadow-lg ring-1 ring-black ring-opacity-5 focus:outline-none">
+                <div className="absolute right-0 z-20 mt-2 w-64 origin-top-right rounded-lg bg-white shadow-lg ring-1 ring-black ring-opacity-5 focus:outline-none">
                     <div className="py-2 px-3 border-b border-gray-100">
                         <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">
                             Toggle Columns
                         </p>
                     </div>
                     <div className="py-2 max-h-64 overflow-y-auto">
-                        {columns.map((column) => {
+                        {columns.map((column, index) => {
                             const isChecked = visibleColumns[column.key] ?? true;
                             const isDisabled = column.alwaysVisible || false;
+                            // Required columns stay first, so nothing moves above them
+                            const canMoveUp = index > 0 && !columns[index - 1].alwaysVisible;
+                            const canMoveDown = index < columns.length - 1;
 
                             return (
-                                <label
-                                    key={column.key}
-                                    className={`flex items-center px-3 py-2 text-sm cursor-pointer hover:bg-gray-50 ${
-                                        isDisabled ? 'cursor-not-allowed opacity-60' : ''
-                                    }`}
-                                >
-                                    <input
-                                        type="checkbox"
-                                        checked={isChecked}
-                                        disabled={isDisabled}
-                                        onChange={() => {
-                                            if (!isDisabled) {
-                                                onChange(column.key, !isChecked);
-                                            }
-                                        }}
-                                        className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 disabled:opacity-50"
-                                    />
-                                    <span className="ml-2 text-gray-700">{column.label}</span>
-                                    {isDisabled && (
-                                        <span className="ml-auto text-xs text-gray-400">Required</span>
+                                <div key={column.key} className="flex items-center hover:bg-gray-50">
+                                    <label
+                                        className={`flex flex-1 items-center px-3 py-2 text-sm cursor-pointer ${
+                                            isDisabled ? 'cursor-not-allowed opacity-60' : ''
+                                        }`}
+                                    >
+                                        <input
+                                            type="checkbox"
+                                            checked={isChecked}
+                                            disabled={isDisabled}
+                                            onChange={() => {
+                                                if (!isDisabled) {
+                                                    onChange(column.key, !isChecked);
+                                                }
+                                            }}
+                                            className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 disabled:opacity-50"
+                                        />
+                                        <span className="ml-2 text-gray-700">{column.label}</span>
+                                        {isDisabled && (
+                                            <span className="ml-auto text-xs text-gray-400">Required</span>
+                                        )}
+                                    </label>
+                                    {onMove && !isDisabled && (
+                                        <div className="flex items-center pr-2">
+                                            <button
+                                                type="button"
+                                                onClick={() => onMove(column.key, -1)}
+                                                disabled={!canMoveUp}
+                                                className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30 disabled:hover:text-gray-400"
+                                                aria-label={`Move ${column.label} left`}
+                                            >
+                                                <ChevronUpIcon className="w-3.5 h-3.5" />
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => onMove(column.key, 1)}
+                                                disabled={!canMoveDown}
+                                                className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30 disabled:hover:text-gray-400"
+                                                aria-label={`Move ${column.label} right`}
+                                            >
+                                                <ChevronDownIcon className="w-3.5 h-3.5" />
+                                            </button>
+                                        </div>
                                     )}
-                                </label>
+                                </div>
                             );
                         })}
                     </div>
-                    <div className="py-2 px-3 border-t border-gray-100">
+                    <div className="py-2 px-3 border-t border-gray-100 flex items-center justify-between">
                         <button
                             type="button"
                             onClick={() => {
@@ -121,6 +151,18 @@ export default function ColumnVisibilityDropdown({ columns, visibleColumns, onCh
                         >
                             Show all columns
                         </button>
+                        {onReset && (
+                            <button
+                                type="button"
+                                onClick={() => {
+                                    onReset();
+                                    setIsOpen(false);
+                                }}
+                                className="text-xs text-gray-500 hover:text-gray-700"
+                            >
+                                Reset layout
+                            </button>
+                        )}
                     </div>
                 </div>
             )}
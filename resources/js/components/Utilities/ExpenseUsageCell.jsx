@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { router } from '@inertiajs/react';
+import { ArrowUturnLeftIcon, CheckIcon, PencilIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { formatUsage } from './constants';
+
+/**
+ * Usage for one utility expense, with an inline editor for admins.
+ * Usage entered here replaces whatever was read from the bill description.
+ */
+export default function ExpenseUsageCell({ expense, usageUnits = {}, canEdit = false }) {
+    const [isEditing, setIsEditing] = useState(false);
+    const [quantity, setQuantity] = useState(expense.usage_quantity ?? '');
+    const [unit, setUnit] = useState(expense.usage_unit ?? Object.keys(usageUnits)[0] ?? '');
+    const [processing, setProcessing] = useState(false);
+    const [errors, setErrors] = useState({});
+
+    const save = (usageQuantity, usageUnit) => {
+        router.patch(route('utilities.expenses.usage.update', expense.id), {
+            usage_quantity: usageQuantity,
+            usage_unit: usageUnit,
+        }, {
+            preserveScroll: true,
+            onStart: () => setProcessing(true),
+            onFinish: () => setProcessing(false),
+            onSuccess: () => {
+                setErrors({});
+                setIsEditing(false);
+            },
+            onError: (newErrors) => setErrors(newErrors),
+        });
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        save(quantity === '' ? null : quantity, quantity === '' ? null : unit);
+    };
+
+    const startEditing = () => {
+        setQuantity(expense.usage_quantity ?? '');
+        setUnit(expense.usage_unit ?? Object.keys(usageUnits)[0] ?? '');
+        setErrors({});
+        setIsEditing(true);
+    };
+
+    if (isEditing) {
+        return (
+            <form onSubmit={handleSubmit} className="flex items-center justify-end gap-1">
+                <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={quantity}
+                    onChange={(e) => setQuantity(e.target.value)}
+                    className="input py-1 w-24 text-sm text-right"
+                    aria-label="Usage quantity"
+                    autoFocus
+                />
+                <select
+                    value={unit}
+                    onChange={(e) => setUnit(e.target.value)}
+                    className="input py-1 text-sm"
+                    aria-label="Usage unit"
+                >
+                    {Object.entries(usageUnits).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                    ))}
+                </select>
+                <button
+                    type="submit"
+                    disabled={processing}
+                    className="p-1 text-green-600 hover:text-green-800 disabled:opacity-50"
+                    title="Save usage"
+                >
+                    <CheckIcon className="w-4 h-4" />
+                </button>
+                <button
+                    type="button"
+                    onClick={() => setIsEditing(false)}
+                    className="p-1 text-gray-400 hover:text-gray-600"
+                    title="Cancel"
+                >
+                    <XMarkIcon className="w-4 h-4" />
+                </button>
+                {(errors.usage_quantity || errors.usage_unit) && (
+                    <p className="text-xs text-red-600">{errors.usage_quantity || errors.usage_unit}</p>
+                )}
+            </form>
+        );
+    }
+
+    return (
+        <div className="flex items-center justify-end gap-2">
+            <span className={expense.usage_quantity !== null ? 'text-gray-900' : 'text-gray-400'}>
+                {formatUsage(expense.usage_quantity, usageUnits[expense.usage_unit] ?? expense.usage_unit)}
+            </span>
+            {expense.usage_source === 'manual' && (
+                <span className="inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-600">
+                    manual
+                </span>
+            )}
+            {canEdit && (
+                <>
+                    <button
+                        type="button"
+                        onClick={startEditing}
+                        className="p-1 text-gray-400 hover:text-blue-600"
+                        title="Edit usage"
+                    >
+                        <PencilIcon className="w-4 h-4" />
+                    </button>
+                    {expense.usage_source === 'manual' && (
+                        <button
+                            type="button"
+                            onClick={() => save(null, null)}
+                            disabled={processing}
+                            className="p-1 text-gray-400 hover:text-blue-600 disabled:opacity-50"
+                            title="Go back to the usage on the bill"
+                        >
+                            <ArrowUturnLeftIcon className="w-4 h-4" />
+                        </button>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
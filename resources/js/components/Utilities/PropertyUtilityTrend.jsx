@@ -8,7 +8,7 @@ import {
     Tooltip,
     ResponsiveContainer,
 } from 'recharts';
-import { getLineColor } from './constants';
+import { getLineColor, formatUsage, formatRate } from './constants';
 
 export default function PropertyUtilityTrend({ data, utilityTypes }) {
     // Create a map of type key to utility type object
@@ -25,6 +25,8 @@ export default function PropertyUtilityTrend({ data, utilityTypes }) {
     }, [utilityTypes]);
 
     const [selectedType, setSelectedType] = useState(typeKeys[0] || 'water');
+    const [weatherAdjusted, setWeatherAdjusted] = useState(false);
+    const [mode, setMode] = useState('cost');
 
     // Get line color for selected type
     const selectedLineColor = useMemo(() => {
@@ -52,6 +54,15 @@ export default function PropertyUtilityTrend({ data, utilityTypes }) {
 
     const chartData = data[selectedType] || [];
 
+    // Usage and rate views need bills with usage for a type that has a usage unit
+    const unitLabel = typeMap[selectedType]?.usage_unit_label;
+    const hasUsage = Boolean(unitLabel) && chartData.some((row) => row.usage != null);
+    const activeMode = hasUsage ? mode : 'cost';
+
+    // Only weather-sensitive types with imported degree days have adjusted costs
+    const canAdjust = activeMode === 'cost' && chartData.some((row) => row.weather_adjusted_cost != null);
+    const showAdjusted = canAdjust && weatherAdjusted;
+
     const formatCurrency = (value) => {
         if (value >= 1000) {
             return `$${(value / 1000).toFixed(0)}k`;
@@ -59,11 +70,50 @@ export default function PropertyUtilityTrend({ data, utilityTypes }) {
         return `$${value}`;
     };
 
+    const modes = [
+        { key: 'cost', label: 'Cost' },
+        { key: 'usage', label: 'Usage' },
+        { key: 'rate', label: `$/${unitLabel?.replace(/s$/, '')}` },
+    ];
+
     return (
         <div className="card">
             <div className="card-header flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
                 <h3 className="text-lg font-medium text-gray-900">Historical Trend</h3>
                 <div className="flex flex-wrap gap-1.5 sm:gap-2">
+                    {hasUsage && (
+                        <div className="inline-flex rounded bg-gray-100 p-0.5" role="group" aria-label="Trend view">
+                            {modes.map((option) => (
+                                <button
+                                    key={option.key}
+                                    type="button"
+                                    onClick={() => setMode(option.key)}
+                                    className={`px-2 py-1 text-xs font-medium rounded transition-colors min-h-[32px] sm:min-h-0 ${
+                                        activeMode === option.key
+                                            ? 'bg-white text-gray-900 shadow-sm'
+                                            : 'text-gray-600 hover:text-gray-900'
+                                    }`}
+                                    aria-pressed={activeMode === option.key}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {canAdjust && (
+                        <button
+                            type="button"
+                            onClick={() => setWeatherAdjusted(!weatherAdjusted)}
+                            className={`px-2 py-1 text-xs font-medium rounded transition-colors min-h-[32px] sm:min-h-0 ${
+                                weatherAdjusted
+                                    ? 'text-white bg-sky-600'
+                                    : 'text-gray-600 bg-gray-100 hover:bg-gray-200'
+                            }`}
+                            aria-pressed={weatherAdjusted}
+                        >
+                            Weather-adjusted
+                        </button>
+                    )}
                     {Array.isArray(utilityTypes) && utilityTypes.map((type) => (
                         <button
                             key={type.key}
@@ -95,15 +145,25 @@ export default function PropertyUtilityTrend({ data, utilityTypes }) {
                                 tick={{ fontSize: 12, fill: '#6B7280' }}
                                 tickLine={false}
                                 axisLine={{ stroke: '#E5E7EB' }}
-                                tickFormatter={formatCurrency}
+                                tickFormatter={
+                                    activeMode === 'usage'
+                                        ? (value) => formatUsage(value, null, { abbreviated: true })
+                                        : activeMode === 'rate' ? (value) => formatRate(value, null) : formatCurrency
+                                }
                             />
                             <Tooltip
                                 formatter={(value, name) => {
+                                    if (name === 'usage') {
+                                        return [formatUsage(value, unitLabel), 'Usage'];
+                                    }
+                                    if (name === 'effective_rate') {
+                                        return [formatRate(value, unitLabel), 'Effective Rate'];
+                                    }
                                     if (name === 'cost') {
-                                        return [`$${value.toLocaleString()}`, 'Total Cost'];
+                                        return [`$${value.toLocaleString()}`, showAdjusted ? 'Weather-Adjusted Cost' : 'Total Cost'];
                                     }
                                     if (name === 'cost_per_unit') {
-                                        return [`$${value.toLocaleString()}`, 'Cost/Unit'];
+                                        return [`$${value.toLocaleString()}`, showAdjusted ? 'Weather-Adjusted Cost/Unit' : 'Cost/Unit'];
                                     }
                                     return [value, name];
                                 }}
@@ -114,46 +174,75 @@ export default function PropertyUtilityTrend({ data, utilityTypes }) {
                                     boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
                                 }}
                             />
-                            <Line
-                                type="monotone"
-                                dataKey="cost"
-                                name="cost"
-                                stroke={selectedLineColor}
-                                strokeWidth={2}
-                                dot={false}
-                                activeDot={{ r: 4 }}
-                            />
-                            <Line
-                                type="monotone"
-                                dataKey="cost_per_unit"
-                                name="cost_per_unit"
-                                stroke={selectedLineColor}
-                                strokeWidth={2}
-                                strokeDasharray="5 5"
-                                dot={false}
-                                activeDot={{ r: 4 }}
-                            />
+                            {activeMode === 'cost' ? (
+                                <>
+                                    <Line
+                                        type="monotone"
+                                        dataKey={showAdjusted ? 'weather_adjusted_cost' : 'cost'}
+                                        name="cost"
+                                        stroke={selectedLineColor}
+                                        strokeWidth={2}
+                                        dot={false}
+                                        activeDot={{ r: 4 }}
+                                    />
+                                    <Line
+                                        type="monotone"
+                                        dataKey={showAdjusted ? 'weather_adjusted_cost_per_unit' : 'cost_per_unit'}
+                                        name="cost_per_unit"
+                                        stroke={selectedLineColor}
+                                        strokeWidth={2}
+                                        strokeDasharray="5 5"
+                                        dot={false}
+                                        activeDot={{ r: 4 }}
+                                    />
+                                </>
+                            ) : (
+                                <Line
+                                    type="monotone"
+                                    dataKey={activeMode === 'usage' ? 'usage' : 'effective_rate'}
+                                    name={activeMode === 'usage' ? 'usage' : 'effective_rate'}
+                                    stroke={selectedLineColor}
+                                    strokeWidth={2}
+                                    dot={false}
+                                    activeDot={{ r: 4 }}
+                                    connectNulls
+                                />
+                            )}
                         </LineChart>
                     </ResponsiveContainer>
                 </div>
                 <div className="mt-4 flex items-center justify-center space-x-4 sm:space-x-6 text-xs text-gray-500">
-                    <span className="flex items-center">
-                        <span
-                            className="w-4 h-0.5 mr-2"
-                            style={{ backgroundColor: selectedLineColor }}
-                        />
-                        Total Cost
-                    </span>
-                    <span className="flex items-center">
-                        <span
-                            className="w-4 h-0.5 mr-2"
-                            style={{
-                                backgroundColor: selectedLineColor,
-                                backgroundImage: `repeating-linear-gradient(90deg, ${selectedLineColor} 0, ${selectedLineColor} 3px, transparent 3px, transparent 6px)`,
-                            }}
-                        />
-                        Cost per Unit
-                    </span>
+                    {activeMode === 'cost' ? (
+                        <>
+                            <span className="flex items-center">
+                                <span
+                                    className="w-4 h-0.5 mr-2"
+                                    style={{ backgroundColor: selectedLineColor }}
+                                />
+                                {showAdjusted ? 'Weather-Adjusted Cost' : 'Total Cost'}
+                            </span>
+                            <span className="flex items-center">
+                                <span
+                                    className="w-4 h-0.5 mr-2"
+                                    style={{
+                                        backgroundColor: selectedLineColor,
+                                        backgroundImage: `repeating-linear-gradient(90deg, ${selectedLineColor} 0, ${selectedLineColor} 3px, transparent 3px, transparent 6px)`,
+                                    }}
+                                />
+                                {showAdjusted ? 'Weather-Adjusted Cost per Unit' : 'Cost per Unit'}
+                            </span>
+                        </>
+                    ) : (
+                        <span className="flex items-center">
+                            <span
+                                className="w-4 h-0.5 mr-2"
+                                style={{ backgroundColor: selectedLineColor }}
+                            />
+                            {activeMode === 'usage'
+                                ? `Usage (${unitLabel})`
+                                : 'Effective Rate (cost of bills with usage ÷ usage)'}
+                        </span>
+                    )}
                 </div>
             </div>
         </div>
@@ -1,10 +1,12 @@
 import { useState, useMemo, useCallback, useRef, useEffect } from 'react';
 import { Link, router } from '@inertiajs/react';
-import { ArrowDownTrayIcon, ChevronUpIcon, ChevronDownIcon, ChatBubbleLeftIcon, PlusIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import { ArrowDownTrayIcon, ChevronUpIcon, ChevronDownIcon, ChatBubbleLeftIcon, FunnelIcon, PlusIcon, StarIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { StarIcon as StarIconSolid } from '@heroicons/react/24/solid';
 import ColumnVisibilityDropdown from './ColumnVisibilityDropdown';
 import NoteModal from './NoteModal';
 import Tooltip from '../Tooltip';
-import { findUtilityType, getIconComponent, getColorScheme, formatCurrency, getHeatMapStyle, calculateHeatMapStats } from './constants';
+import { findUtilityType, getIconComponent, getColorScheme, formatCurrency, formatPercent, formatUsage, formatRate, getHeatMapStyle, calculateHeatMapStats } from './constants';
 
 /**
  * Format operator description for formatting rule tooltip
@@ -19,7 +21,7 @@ const formatOperatorDescription = (operator, threshold) => {
     return `${symbol} ${threshold}% ${direction} 12-mo avg`;
 };
 
-// Column definitions
+// Column definitions in their default order (keep in sync with UtilityTableLayoutService::COLUMNS)
 const COLUMNS = [
     { key: 'property_name', label: 'Property', alwaysVisible: true, sortable: true, align: 'left' },
     { key: 'property_type', label: 'Type', sortable: true, align: 'left' },
@@ -31,20 +33,49 @@ const COLUMNS = [
     { key: 'prev_12_months', label: '12 Mo Avg', sortable: true, align: 'right', format: 'currency' },
     { key: 'avg_per_unit', label: '$/Unit', sortable: true, align: 'right', format: 'currency_decimal' },
     { key: 'avg_per_sqft', label: '$/Sq Ft', sortable: true, align: 'right', format: 'currency_sqft' },
+    { key: 'budget_ytd', label: 'YTD Budget', sortable: true, align: 'right', format: 'currency' },
+    { key: 'budget_variance_percent', label: 'vs Budget', sortable: true, align: 'right', format: 'percent' },
+    { key: 'budget_forecast', label: 'Yr-End Forecast', sortable: true, align: 'right', format: 'currency' },
     { key: 'note', label: 'Notes', sortable: false, align: 'left' },
 ];
 
-export default function UtilityDataTable({ data, utilityTypes = {}, selectedType, filters = {}, propertyTypeOptions = {} }) {
-    const [sortField, setSortField] = useState('property_name');
-    const [sortDirection, setSortDirection] = useState('asc');
-    const [visibleColumns, setVisibleColumns] = useState(() => {
-        // Initialize all columns as visible
-        const initial = {};
-        COLUMNS.forEach((col) => {
-            initial[col.key] = true;
-        });
-        return initial;
-    });
+const COLUMNS_BY_KEY = Object.fromEntries(COLUMNS.map((col) => [col.key, col]));
+
+// Columns that switch to usage or effective rate in those views
+const PERIOD_COLUMNS = ['current_month', 'prev_month', 'prev_3_months', 'prev_12_months'];
+
+// Numeric column formats that can be filtered by a min/max range
+const RANGE_FILTER_FORMATS = ['number', 'currency', 'currency_decimal', 'currency_sqft', 'percent'];
+
+// Limits matching UtilityTableLayoutService
+const MAX_SORT_COLUMNS = 3;
+const MAX_PINNED = 25;
+
+// Page each table's filters reload
+const TABLE_ROUTES = {
+    data: 'utilities.data',
+    excluded: 'utilities.excluded',
+};
+
+const DEFAULT_LAYOUT = {
+    columns: COLUMNS.map((col) => ({ key: col.key, visible: true })),
+    sort: [{ key: 'property_name', direction: 'asc' }],
+    pinned: [],
+};
+
+/**
+ * Property utility comparison table with filters, column layout, multi-column
+ * sort, per-column range filters, and pinned rows. The column layout, sort,
+ * and pinned rows are saved per user for each table (tableKey); range filters
+ * only last for the visit.
+ */
+export default function UtilityDataTable({ data, utilityTypes = {}, selectedType, filters = {}, propertyTypeOptions = {}, weatherAdjustmentAvailable = false, layout = DEFAULT_LAYOUT, tableKey = 'data' }) {
+    const [view, setView] = useState('cost');
+    const [tableLayout, setTableLayout] = useState(layout);
+    const [layoutSaveFailed, setLayoutSaveFailed] = useState(false);
+    const [rangeFilters, setRangeFilters] = useState({});
+    const [showRangeFilters, setShowRangeFilters] = useState(false);
+    const layoutRequests = useRef({ running: false, next: null });
 
     // Note modal state
     const [noteModalOpen, setNoteModalOpen] = useState(false);
@@ -111,12 +142,38 @@ export default function UtilityDataTable({ data, utilityTypes = {}, selectedType
     const Icon = getIconComponent(selectedUtilityType?.icon);
     const colors = getColorScheme(selectedUtilityType?.color_scheme);
 
-    // Filter visible columns
+    // Usage and rate views are offered once bills for this type have usage
+    const unitLabel = selectedUtilityType?.usage_unit_label;
+    const canShowUsage = Boolean(data?.usage_available && unitLabel);
+    const activeView = canShowUsage ? view : 'cost';
+    const isViewColumn = (key) => activeView !== 'cost' && PERIOD_COLUMNS.includes(key);
+
+    // Get a property's value for a column in the current view
+    const getColumnValue = (property, key) => {
+        if (isViewColumn(key)) {
+            return property[activeView]?.[key] ?? null;
+        }
+        return property[key];
+    };
+
+    const getColumnFormat = (column) => (isViewColumn(column.key) ? activeView : column.format);
+
+    // Columns in the user's order, and which of them are shown
+    const orderedColumns = useMemo(
+        () => tableLayout.columns.map((col) => COLUMNS_BY_KEY[col.key]).filter(Boolean),
+        [tableLayout.columns]
+    );
+    const visibleColumns = useMemo(
+        () => Object.fromEntries(tableLayout.columns.map((col) => [col.key, col.visible])),
+        [tableLayout.columns]
+    );
     const activeColumns = useMemo(
-        () => COLUMNS.filter((col) => visibleColumns[col.key]),
-        [visibleColumns]
+        () => orderedColumns.filter((col) => visibleColumns[col.key]),
+        [orderedColumns, visibleColumns]
     );
 
+    const isRangeFilterable = (column) => RANGE_FILTER_FORMATS.includes(column.format);
+
     // Calculate heat map stats for $/Unit and $/Sq Ft columns
     const heatMapStats = useMemo(() => {
         if (!data?.properties) return { avg_per_unit: null, avg_per_sqft: null };
@@ -159,53 +216,157 @@ export default function UtilityDataTable({ data, utilityTypes = {}, selectedType
         };
     }, [data?.properties]);
 
-    // Sort properties
+    const pinnedIds = useMemo(() => new Set(tableLayout.pinned), [tableLayout.pinned]);
+
+    // Sort by each sort column in turn, then show pinned properties first.
+    // Pinned properties are always shown; range filters only hide the rest.
     const sortedProperties = useMemo(() => {
         if (!data?.properties) return [];
 
-        return [...data.properties].sort((a, b) => {
-            let aVal, bVal;
-
-            if (sortField === 'property_name') {
-                aVal = (a.property_name ?? '').toLowerCase();
-                bVal = (b.property_name ?? '').toLowerCase();
-            } else if (sortField === 'property_type') {
-                aVal = (a.property_type ?? '').toLowerCase();
-                bVal = (b.property_type ?? '').toLowerCase();
-            } else {
-                aVal = a[sortField] ?? -Infinity;
-                bVal = b[sortField] ?? -Infinity;
+        const getSortValue = (property, key) => {
+            if (key === 'property_name' || key === 'property_type') {
+                return (property[key] ?? '').toLowerCase();
             }
+            return getColumnValue(property, key) ?? -Infinity;
+        };
+
+        const activeRanges = Object.entries(rangeFilters).filter(
+            ([key, range]) => visibleColumns[key] && (range.min !== '' || range.max !== '')
+        );
+        const inRange = (property) => activeRanges.every(([key, range]) => {
+            const value = getColumnValue(property, key);
+            if (value === null || value === undefined) return false;
+            if (range.min !== '' && value < Number(range.min)) return false;
+            if (range.max !== '' && value > Number(range.max)) return false;
+            return true;
+        });
 
-            if (aVal < bVal) return sortDirection === 'asc' ? -1 : 1;
-            if (aVal > bVal) return sortDirection === 'asc' ? 1 : -1;
+        const sorted = [...data.properties].sort((a, b) => {
+            for (const { key, direction } of tableLayout.sort) {
+                const aVal = getSortValue(a, key);
+                const bVal = getSortValue(b, key);
+
+                if (aVal < bVal) return direction === 'asc' ? -1 : 1;
+                if (aVal > bVal) return direction === 'asc' ? 1 : -1;
+            }
             return 0;
         });
-    }, [data?.properties, sortField, sortDirection]);
 
-    const handleSort = (field) => {
-        if (sortField === field) {
-            setSortDirection((prev) => (prev === 'asc' ? 'desc' : 'asc'));
+        return [
+            ...sorted.filter((p) => pinnedIds.has(p.property_id)),
+            ...sorted.filter((p) => !pinnedIds.has(p.property_id) && inRange(p)),
+        ];
+    }, [data?.properties, tableLayout.sort, pinnedIds, rangeFilters, visibleColumns, activeView]);
+
+    // Send layout saves one at a time so they can't land out of order. While
+    // one is in flight only the latest change waits; older ones are dropped.
+    const queueLayoutRequest = (send) => {
+        const queue = layoutRequests.current;
+        if (queue.running) {
+            queue.next = send;
+            return;
+        }
+
+        queue.running = true;
+        send()
+            .then(() => setLayoutSaveFailed(false))
+            .catch(() => setLayoutSaveFailed(true))
+            .finally(() => {
+                const next = queue.next;
+                queue.running = false;
+                queue.next = null;
+                if (next) {
+                    queueLayoutRequest(next);
+                }
+            });
+    };
+
+    // Save layout changes for the user; the table keeps working if saving fails
+    const updateLayout = (changes) => {
+        const next = { ...tableLayout, ...changes };
+        setTableLayout(next);
+
+        queueLayoutRequest(() => axios.put(route('utilities.table-layouts.update', tableKey), next));
+    };
+
+    const resetLayout = () => {
+        setRangeFilters({});
+        setTableLayout(DEFAULT_LAYOUT);
+
+        queueLayoutRequest(() => axios.delete(route('utilities.table-layouts.reset', tableKey)));
+    };
+
+    // Click sorts by one column; shift-click adds a column to the sort,
+    // flips it, then removes it again
+    const handleSort = (field, addToSort = false) => {
+        const sort = tableLayout.sort;
+        const current = sort.find((s) => s.key === field);
+        const flipped = current?.direction === 'asc' ? 'desc' : 'asc';
+        let next;
+
+        if (!addToSort) {
+            next = [{ key: field, direction: sort.length === 1 && current ? flipped : 'asc' }];
+        } else if (!current) {
+            next = [...sort.slice(0, MAX_SORT_COLUMNS - 1), { key: field, direction: 'asc' }];
+        } else if (current.direction === 'desc' && sort.length > 1) {
+            next = sort.filter((s) => s.key !== field);
         } else {
-            setSortField(field);
-            setSortDirection('asc');
+            next = sort.map((s) => (s.key === field ? { ...s, direction: flipped } : s));
         }
+
+        updateLayout({ sort: next });
     };
 
     const handleColumnVisibilityChange = (columnKey, isVisible) => {
-        setVisibleColumns((prev) => ({
-            ...prev,
-            [columnKey]: isVisible,
-        }));
+        handleBatchColumnVisibilityChange({ [columnKey]: isVisible });
     };
 
     const handleBatchColumnVisibilityChange = (updates) => {
-        setVisibleColumns((prev) => ({
+        updateLayout({
+            columns: tableLayout.columns.map((col) => (
+                col.key in updates && !COLUMNS_BY_KEY[col.key]?.alwaysVisible
+                    ? { ...col, visible: updates[col.key] }
+                    : col
+            )),
+        });
+    };
+
+    const moveColumn = (columnKey, offset) => {
+        const columns = [...tableLayout.columns];
+        const from = columns.findIndex((col) => col.key === columnKey);
+        const to = from + offset;
+
+        if (from < 0 || to < 0 || to >= columns.length || COLUMNS_BY_KEY[columns[to].key]?.alwaysVisible) {
+            return;
+        }
+
+        [columns[from], columns[to]] = [columns[to], columns[from]];
+        updateLayout({ columns });
+    };
+
+    const togglePinned = (propertyId) => {
+        updateLayout({
+            pinned: pinnedIds.has(propertyId)
+                ? tableLayout.pinned.filter((id) => id !== propertyId)
+                : [...tableLayout.pinned, propertyId],
+        });
+    };
+
+    const setRangeFilter = (columnKey, bound, value) => {
+        setRangeFilters((prev) => ({
             ...prev,
-            ...updates,
+            [columnKey]: { min: '', max: '', ...prev[columnKey], [bound]: value },
         }));
     };
 
+    const activeRangeFilterCount = Object.entries(rangeFilters).filter(
+        ([key, range]) => visibleColumns[key] && (range.min !== '' || range.max !== '')
+    ).length;
+    const hiddenByRangeFilters = (data?.properties?.length ?? 0) - sortedProperties.length;
+
+    // Position of each sorted column in the sort order
+    const sortPositions = Object.fromEntries(tableLayout.sort.map((s, index) => [s.key, index]));
+
     // Note modal handlers (memoized to prevent unnecessary re-renders)
     const openNoteModal = useCallback((property) => {
         setSelectedProperty(property);
@@ -255,10 +416,14 @@ export default function UtilityDataTable({ data, utilityTypes = {}, selectedType
         return text.substring(0, maxLength) + '...';
     };
 
+    // Weather adjustment is a view mode rather than a filter, so it survives Clear
+    const weatherAdjusted = Boolean(filters?.weather_adjusted);
+    const canAdjustForWeather = weatherAdjustmentAvailable && Boolean(selectedUtilityType?.degree_day_basis);
+
     // Filter handlers
-    const applyFilters = () => {
+    const buildFilterParams = (utilityType, adjustForWeather = weatherAdjusted) => {
         const newFilters = {
-            utility_type: selectedType,
+            utility_type: utilityType,
         };
 
         const parsedMin = Number(unitCountMin);
@@ -272,8 +437,15 @@ export default function UtilityDataTable({ data, utilityTypes = {}, selectedType
         if (selectedPropertyTypes.length > 0) {
             newFilters.property_types = selectedPropertyTypes;
         }
+        if (adjustForWeather) {
+            newFilters.weather_adjusted = 1;
+        }
 
-        router.get(route('utilities.data'), newFilters, { preserveState: true });
+        return newFilters;
+    };
+
+    const applyFilters = () => {
+        router.get(route(TABLE_ROUTES[tableKey]), buildFilterParams(selectedType), { preserveState: true });
     };
 
     const clearFilters = () => {
@@ -281,27 +453,20 @@ export default function UtilityDataTable({ data, utilityTypes = {}, selectedType
         setUnitCountMax('');
         setSelectedPropertyTypes([]);
 
-        router.get(route('utilities.data'), { utility_type: selectedType }, { preserveState: true });
+        const newFilters = { utility_type: selectedType };
+        if (weatherAdjusted) {
+            newFilters.weather_adjusted = 1;
+        }
+
+        router.get(route(TABLE_ROUTES[tableKey]), newFilters, { preserveState: true });
     };
 
     const handleUtilityTypeChange = (newType) => {
-        const newFilters = {
-            utility_type: newType,
-        };
-
-        const parsedMin = Number(unitCountMin);
-        if (unitCountMin !== '' && unitCountMin != null && !Number.isNaN(parsedMin)) {
-            newFilters.unit_count_min = parsedMin;
-        }
-        const parsedMax = Number(unitCountMax);
-        if (unitCountMax !== '' && unitCountMax != null && !Number.isNaN(parsedMax)) {
-            newFilters.unit_count_max = parsedMax;
-        }
-        if (selectedPropertyTypes.length > 0) {
-            newFilters.property_types = selectedPropertyTypes;
-        }
+        router.get(route(TABLE_ROUTES[tableKey]), buildFilterParams(newType), { preserveState: true });
+    };
 
-        router.get(route('utilities.data'), newFilters, { preserveState: true });
+    const toggleWeatherAdjusted = () => {
+        router.get(route(TABLE_ROUTES[tableKey]), buildFilterParams(selectedType, !weatherAdjusted), { preserveState: true });
     };
 
     const togglePropertyType = (type) => {
@@ -330,6 +495,12 @@ export default function UtilityDataTable({ data, utilityTypes = {}, selectedType
                 return `$${value.toFixed(4)}`;
             case 'number':
                 return new Intl.NumberFormat('en-US').format(value);
+            case 'percent':
+                return formatPercent(value);
+            case 'usage':
+                return formatUsage(value, unitLabel);
+            case 'rate':
+                return formatRate(value, unitLabel);
             default:
                 return value;
         }
@@ -348,7 +519,7 @@ export default function UtilityDataTable({ data, utilityTypes = {}, selectedType
         const headers = activeColumns.map((col) => col.label);
         const rows = sortedProperties.map((p) =>
             activeColumns.map((col) => {
-                const value = p[col.key];
+                const value = getColumnValue(p, col.key);
                 return value ?? '';
             })
         );
@@ -375,7 +546,7 @@ export default function UtilityDataTable({ data, utilityTypes = {}, selectedType
         URL.revokeObjectURL(url);
     };
 
-    if (!data || !data.properties || data.properties.length === 0) {
+    if (!data || !data.properties) {
         return (
             <div className="card flex-1 flex flex-col">
                 <div className="card-body border-b border-gray-200 py-3">
@@ -413,6 +584,10 @@ export default function UtilityDataTable({ data, utilityTypes = {}, selectedType
                             </h3>
                             <p className="text-xs text-gray-500">
                                 {data.property_count} properties
+                                {hiddenByRangeFilters > 0 && ` · ${sortedProperties.length} shown`}
+                                {activeView === 'usage' && ` · monthly usage in ${unitLabel}`}
+                                {activeView === 'rate' && ` · effective rate per ${unitLabel.replace(/s$/, '')}`}
+                                {activeView === 'cost' && data.weather_adjusted ? ' · weather-adjusted costs' : ''}
                             </p>
                         </div>
                     </div>
@@ -519,6 +694,44 @@ export default function UtilityDataTable({ data, utilityTypes = {}, selectedType
                         )}
                     </div>
 
+                    {/* Cost / Usage / Rate View */}
+                    {canShowUsage && (
+                        <div className="inline-flex rounded-md bg-gray-100 p-0.5" role="group" aria-label="Values shown">
+                            {[
+                                { key: 'cost', label: 'Cost' },
+                                { key: 'usage', label: 'Usage' },
+                                { key: 'rate', label: `$/${unitLabel.replace(/s$/, '')}` },
+                            ].map((option) => (
+                                <button
+                                    key={option.key}
+                                    type="button"
+                                    onClick={() => setView(option.key)}
+                                    className={`px-2.5 py-1 text-sm font-medium rounded ${
+                                        activeView === option.key
+                                            ? 'bg-white text-gray-900 shadow-sm'
+                                            : 'text-gray-600 hover:text-gray-900'
+                                    }`}
+                                    aria-pressed={activeView === option.key}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Weather Adjustment */}
+                    {canAdjustForWeather && (
+                        <label className="flex items-center space-x-2 text-sm text-gray-700 cursor-pointer" title="Scale costs to normal heating and cooling degree days">
+                            <input
+                                type="checkbox"
+                                checked={weatherAdjusted}
+                                onChange={toggleWeatherAdjusted}
+                                className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                            <span>Weather-adjusted</span>
+                        </label>
+                    )}
+
                     {/* Apply/Clear Filters */}
                     <button
                         type="button"
@@ -542,11 +755,30 @@ export default function UtilityDataTable({ data, utilityTypes = {}, selectedType
                     <div className="flex-1" />
 
                     {/* Column Visibility & Export */}
+                    {layoutSaveFailed && (
+                        <span className="text-xs text-red-600">Layout not saved</span>
+                    )}
+                    <button
+                        type="button"
+                        onClick={() => setShowRangeFilters(!showRangeFilters)}
+                        className={`btn-secondary text-sm py-1.5 flex items-center ${showRangeFilters ? 'bg-gray-100' : ''}`}
+                        aria-pressed={showRangeFilters}
+                    >
+                        <FunnelIcon className="w-4 h-4 mr-1" />
+                        Column Filters
+                        {activeRangeFilterCount > 0 && (
+                            <span className="ml-1.5 px-1.5 py-0.5 text-xs font-medium bg-blue-100 text-blue-700 rounded-full">
+                                {activeRangeFilterCount}
+                            </span>
+                        )}
+                    </button>
                     <ColumnVisibilityDropdown
-                        columns={COLUMNS}
+                        columns={orderedColumns}
                         visibleColumns={visibleColumns}
                         onChange={handleColumnVisibilityChange}
                         onBatchChange={handleBatchColumnVisibilityChange}
+                        onMove={moveColumn}
+                        onReset={resetLayout}
                     />
                     <button onClick={exportToCsv} className="btn-secondary text-sm py-1.5">
                         <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
@@ -556,196 +788,285 @@ export default function UtilityDataTable({ data, utilityTypes = {}, selectedType
             </div>
 
             {/* Table with scrollable body */}
-            <div className="flex-1 overflow-auto min-h-0">
-                <table className="min-w-full divide-y divide-gray-200">
-                    <thead className="bg-gray-50 sticky top-0 z-20">
-                        <tr>
-                            {activeColumns.map((column, index) => (
-                                <th
-                                    key={column.key}
-                                    onClick={() => column.sortable && handleSort(column.key)}
-                                    className={`px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider ${
-                                        column.align === 'right' ? 'text-right' : 'text-left'
-                                    } ${column.sortable ? 'cursor-pointer hover:bg-gray-100 select-none' : ''} ${
-                                        index === 0 ? 'sticky left-0 z-30 bg-gray-50 shadow-[2px_0_5px_-2px_rgba(0,0,0,0.1)]' : ''
-                                    }`}
-                                >
-                                    <div className={`flex items-center ${column.align === 'right' ? 'justify-end' : ''}`}>
-                                        <span>{column.label}</span>
-                                        {column.sortable && sortField === column.key && (
-                                            <span className="ml-1">
-                                                {sortDirection === 'asc' ? (
-                                                    <ChevronUpIcon className="w-3 h-3" />
-                                                ) : (
-                                                    <ChevronDownIcon className="w-3 h-3" />
-                                                )}
-                                            </span>
-                                        )}
-                                    </div>
-                                </th>
-                            ))}
-                        </tr>
-                        {/* Summary row with true averages */}
-                        <tr className="bg-blue-50 border-b border-blue-200">
-                            {activeColumns.map((column, index) => (
-                                <td
-                                    key={column.key}
-                                    className={`px-4 py-2 text-xs font-medium ${
-                                        column.align === 'right' ? 'text-right' : 'text-left'
-                                    } ${index === 0 ? 'sticky left-0 z-30 bg-blue-50 text-blue-800 shadow-[2px_0_5px_-2px_rgba(0,0,0,0.1)]' : 'text-blue-700'}`}
-                                >
-                                    {index === 0 ? (
-                                        'Portfolio Average'
-                                    ) : column.key === 'avg_per_unit' && trueAverages.avg_per_unit !== null ? (
-                                        formatValue(trueAverages.avg_per_unit, 'currency_decimal')
-                                    ) : column.key === 'avg_per_sqft' && trueAverages.avg_per_sqft !== null ? (
-                                        formatValue(trueAverages.avg_per_sqft, 'currency_sqft')
-                                    ) : (
-                                        ''
-                                    )}
-                                </td>
-                            ))}
-                        </tr>
-                    </thead>
-                    <tbody className="bg-white divide-y divide-gray-200">
-                        {sortedProperties.map((property) => (
-                            <tr key={property.property_id} className="hover:bg-gray-50 group">
-                                {activeColumns.map((column, index) => {
-                                    const value = property[column.key];
-
-                                    // Get conditional formatting from backend (for current_month, prev_month, prev_3_months)
-                                    const backendFormatting = property.formatting?.[column.key];
-
-                                    // Get heat map styling for $/Unit and $/Sq Ft columns
-                                    let cellStyle = {};
-                                    let hasFormatting = false;
-
-                                    if (backendFormatting) {
-                                        // Apply backend-provided conditional formatting
-                                        cellStyle = {
-                                            color: backendFormatting.color,
-                                            backgroundColor: backendFormatting.background_color,
-                                        };
-                                        hasFormatting = true;
-                                    } else if (['avg_per_unit', 'avg_per_sqft'].includes(column.key)) {
-                                        // Apply heat map coloring for $/Unit and $/Sq Ft columns
-                                        const stats = heatMapStats[column.key];
-                                        if (stats?.average !== null && stats?.stdDev !== null) {
-                                            cellStyle = getHeatMapStyle(value, stats.average, stats.stdDev);
-                                            hasFormatting = Object.keys(cellStyle).length > 0;
-                                        }
-                                    }
-
-                                    // Render cell content based on column type
-                                    const renderCellContent = () => {
-                                        if (column.key === 'property_name') {
-                                            return (
-                                                <Link
-                                                    href={route('properties.show', property.property_id) + '?tab=utilities'}
-                                                    className="font-medium text-blue-600 hover:text-blue-800"
-                                                >
-                                                    {value}
-                                                </Link>
-                                            );
-                                        }
-
-                                        if (column.key === 'property_type') {
-                                            return <span className="text-gray-500">{value || '-'}</span>;
-                                        }
-
-                                        if (column.key === 'unit_count' && property.unit_count_adjusted) {
-                                            return (
-                                                <Tooltip content="Adjusted value (manual override)">
-                                                    <span className="text-gray-900">
-                                                        {formatValue(value, column.format)}
-                                                        <span className="text-blue-500 ml-0.5">*</span>
-                                                    </span>
-                                                </Tooltip>
-                                            );
-                                        }
-
-                                        if (column.key === 'total_sqft' && property.sqft_adjusted) {
-                                            return (
-                                                <Tooltip content="Adjusted value (manual override)">
-                                                    <span className="text-gray-900">
-                                                        {formatValue(value, column.format)}
-                                                        <span className="text-blue-500 ml-0.5">*</span>
-                                                    </span>
-                                                </Tooltip>
-                                            );
-                                        }
-
-                                        if (column.key === 'note') {
-                                            const note = getPropertyNote(property);
-                                            return (
-                                                <button
-                                                    type="button"
-                                                    onClick={() => openNoteModal(property)}
-                                                    className={`inline-flex items-center text-sm ${
-                                                        note
-                                                            ? 'text-gray-700 hover:text-gray-900'
-                                                            : 'text-gray-400 hover:text-gray-600'
-                                                    }`}
-                                                >
-                                                    {note ? (
-                                                        <>
-                                                            <ChatBubbleLeftIcon className="w-4 h-4 mr-1 flex-shrink-0" />
-                                                            <span className="truncate max-w-[150px]">
-                                                                {truncateNote(note.note)}
-                                                            </span>
-                                                        </>
+            {data.properties.length === 0 ? (
+                <div className="flex-1 flex items-center justify-center">
+                    <div className="py-12 text-center text-gray-500">
+                        No property data available for the selected filters
+                    </div>
+                </div>
+            ) : (
+                <div className="flex-1 overflow-auto min-h-0">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50 sticky top-0 z-20">
+                            <tr>
+                                {activeColumns.map((column, index) => (
+                                    <th
+                                        key={column.key}
+                                        onClick={(e) => column.sortable && handleSort(column.key, e.shiftKey)}
+                                        title={column.sortable ? 'Click to sort, shift-click to add to the sort' : undefined}
+                                        className={`px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider ${
+                                            column.align === 'right' ? 'text-right' : 'text-left'
+                                        } ${column.sortable ? 'cursor-pointer hover:bg-gray-100 select-none' : ''} ${
+                                            index === 0 ? 'sticky left-0 z-30 bg-gray-50 shadow-[2px_0_5px_-2px_rgba(0,0,0,0.1)]' : ''
+                                        }`}
+                                    >
+                                        <div className={`flex items-center ${column.align === 'right' ? 'justify-end' : ''}`}>
+                                            <span>{column.label}</span>
+                                            {column.sortable && sortPositions[column.key] !== undefined && (
+                                                <span className="ml-1 flex items-center">
+                                                    {tableLayout.sort[sortPositions[column.key]].direction === 'asc' ? (
+                                                        <ChevronUpIcon className="w-3 h-3" />
                                                     ) : (
-                                                        <>
-                                                            <PlusIcon className="w-4 h-4 mr-1" />
-                                                            <span>Add note</span>
-                                                        </>
+                                                        <ChevronDownIcon className="w-3 h-3" />
                                                     )}
-                                                </button>
-                                            );
-                                        }
-
-                                        // Wrap formatted cells with tooltip
-                                        if (backendFormatting) {
-                                            return (
-                                                <Tooltip
-                                                    content={
-                                                        <div>
-                                                            <div className="font-medium">{backendFormatting.rule_name}</div>
-                                                            <div className="text-gray-400 mt-1">
-                                                                {formatOperatorDescription(backendFormatting.operator, backendFormatting.threshold)}
-                                                            </div>
-                                                        </div>
-                                                    }
-                                                >
-                                                    <span>{formatValue(value, column.format)}</span>
-                                                </Tooltip>
-                                            );
-                                        }
-
-                                        return (
-                                            <span className={hasFormatting ? '' : 'text-gray-900'}>
-                                                {formatValue(value, column.format)}
-                                            </span>
-                                        );
-                                    };
-
-                                    return (
+                                                    {tableLayout.sort.length > 1 && (
+                                                        <span className="text-[10px] leading-none">{sortPositions[column.key] + 1}</span>
+                                                    )}
+                                                </span>
+                                            )}
+                                        </div>
+                                    </th>
+                                ))}
+                            </tr>
+                            {/* Summary row with true averages */}
+                            <tr className="bg-blue-50 border-b border-blue-200">
+                                {activeColumns.map((column, index) => (
+                                    <td
+                                        key={column.key}
+                                        className={`px-4 py-2 text-xs font-medium ${
+                                            column.align === 'right' ? 'text-right' : 'text-left'
+                                        } ${index === 0 ? 'sticky left-0 z-30 bg-blue-50 text-blue-800 shadow-[2px_0_5px_-2px_rgba(0,0,0,0.1)]' : 'text-blue-700'}`}
+                                    >
+                                        {index === 0 ? (
+                                            'Portfolio Average'
+                                        ) : column.key === 'avg_per_unit' && trueAverages.avg_per_unit !== null ? (
+                                            formatValue(trueAverages.avg_per_unit, 'currency_decimal')
+                                        ) : column.key === 'avg_per_sqft' && trueAverages.avg_per_sqft !== null ? (
+                                            formatValue(trueAverages.avg_per_sqft, 'currency_sqft')
+                                        ) : (
+                                            ''
+                                        )}
+                                    </td>
+                                ))}
+                            </tr>
+                            {/* Per-column range filters */}
+                            {showRangeFilters && (
+                                <tr className="bg-white border-b border-gray-200">
+                                    {activeColumns.map((column, index) => (
                                         <td
                                             key={column.key}
-                                            className={`px-4 py-3 whitespace-nowrap text-sm ${
-                                                column.align === 'right' ? 'text-right' : 'text-left'
-                                            } ${index === 0 ? 'sticky left-0 z-10 bg-white group-hover:bg-gray-50 shadow-[2px_0_5px_-2px_rgba(0,0,0,0.1)]' : ''}`}
-                                            style={index === 0 ? {} : cellStyle}
+                                            className={`px-2 py-1.5 ${index === 0 ? 'sticky left-0 z-30 bg-white shadow-[2px_0_5px_-2px_rgba(0,0,0,0.1)]' : ''}`}
                                         >
-                                            {renderCellContent()}
+                                            {index === 0 ? (
+                                                activeRangeFilterCount > 0 ? (
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => setRangeFilters({})}
+                                                        className="text-xs text-blue-600 hover:text-blue-800"
+                                                    >
+                                                        Clear column filters
+                                                    </button>
+                                                ) : (
+                                                    <span className="text-xs text-gray-400">Pinned rows always show</span>
+                                                )
+                                            ) : isRangeFilterable(column) ? (
+                                                <div className="flex items-center justify-end gap-1">
+                                                    <input
+                                                        type="number"
+                                                        step="any"
+                                                        placeholder="Min"
+                                                        value={rangeFilters[column.key]?.min ?? ''}
+                                                        onChange={(e) => setRangeFilter(column.key, 'min', e.target.value)}
+                                                        className="input py-1 px-1.5 w-20 text-xs"
+                                                        aria-label={`${column.label} minimum`}
+                                                    />
+                                                    <input
+                                                        type="number"
+                                                        step="any"
+                                                        placeholder="Max"
+                                                        value={rangeFilters[column.key]?.max ?? ''}
+                                                        onChange={(e) => setRangeFilter(column.key, 'max', e.target.value)}
+                                                        className="input py-1 px-1.5 w-20 text-xs"
+                                                        aria-label={`${column.label} maximum`}
+                                                    />
+                                                </div>
+                                            ) : null}
                                         </td>
-                                    );
-                                })}
-                            </tr>
-                        ))}
-                    </tbody>
-                </table>
-            </div>
+                                    ))}
+                                </tr>
+                            )}
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {sortedProperties.map((property) => {
+                                const isPinned = pinnedIds.has(property.property_id);
+
+                                return (
+                                    <tr key={property.property_id} className={`group ${isPinned ? 'bg-amber-50 hover:bg-amber-100' : 'hover:bg-gray-50'}`}>
+                                        {activeColumns.map((column, index) => {
+                                            const value = getColumnValue(property, column.key);
+                                            const format = getColumnFormat(column);
+
+                                            // Get conditional formatting from backend (for current_month, prev_month, prev_3_months)
+                                            // Rules compare costs, so they don't apply to usage or rates
+                                            const backendFormatting = isViewColumn(column.key) ? null : property.formatting?.[column.key];
+
+                                            // Get heat map styling for $/Unit and $/Sq Ft columns
+                                            let cellStyle = {};
+                                            let hasFormatting = false;
+
+                                            if (backendFormatting) {
+                                                // Apply backend-provided conditional formatting
+                                                cellStyle = {
+                                                    color: backendFormatting.color,
+                                                    backgroundColor: backendFormatting.background_color,
+                                                };
+                                                hasFormatting = true;
+                                            } else if (['avg_per_unit', 'avg_per_sqft'].includes(column.key)) {
+                                                // Apply heat map coloring for $/Unit and $/Sq Ft columns
+                                                const stats = heatMapStats[column.key];
+                                                if (stats?.average !== null && stats?.stdDev !== null) {
+                                                    cellStyle = getHeatMapStyle(value, stats.average, stats.stdDev);
+                                                    hasFormatting = Object.keys(cellStyle).length > 0;
+                                                }
+                                            }
+
+                                            // Render cell content based on column type
+                                            const renderCellContent = () => {
+                                                if (column.key === 'property_name') {
+                                                    const canPin = isPinned || tableLayout.pinned.length < MAX_PINNED;
+
+                                                    return (
+                                                        <div className="flex items-center">
+                                                            <button
+                                                                type="button"
+                                                                onClick={() => togglePinned(property.property_id)}
+                                                                disabled={!canPin}
+                                                                className={`mr-2 flex-shrink-0 disabled:opacity-30 ${
+                                                                    isPinned ? 'text-amber-500 hover:text-amber-600' : 'text-gray-300 hover:text-gray-500'
+                                                                }`}
+                                                                title={isPinned ? 'Unpin' : canPin ? 'Pin to the top' : `Up to ${MAX_PINNED} properties can be pinned`}
+                                                                aria-pressed={isPinned}
+                                                            >
+                                                                {isPinned ? <StarIconSolid className="w-4 h-4" /> : <StarIcon className="w-4 h-4" />}
+                                                            </button>
+                                                            <Link
+                                                                href={route('properties.show', property.property_id) + '?tab=utilities'}
+                                                                className="font-medium text-blue-600 hover:text-blue-800"
+                                                            >
+                                                                {value}
+                                                            </Link>
+                                                        </div>
+                                                    );
+                                                }
+
+                                                if (column.key === 'property_type') {
+                                                    return <span className="text-gray-500">{value || '-'}</span>;
+                                                }
+
+                                                if (column.key === 'unit_count' && property.unit_count_adjusted) {
+                                                    return (
+                                                        <Tooltip content="Adjusted value (manual override)">
+                                                            <span className="text-gray-900">
+                                                                {formatValue(value, column.format)}
+                                                                <span className="text-blue-500 ml-0.5">*</span>
+                                                            </span>
+                                                        </Tooltip>
+                                                    );
+                                                }
+
+                                                if (column.key === 'total_sqft' && property.sqft_adjusted) {
+                                                    return (
+                                                        <Tooltip content="Adjusted value (manual override)">
+                                                            <span className="text-gray-900">
+                                                                {formatValue(value, column.format)}
+                                                                <span className="text-blue-500 ml-0.5">*</span>
+                                                            </span>
+                                                        </Tooltip>
+                                                    );
+                                                }
+
+                                                if (column.key === 'budget_variance_percent' && value !== null && value !== undefined) {
+                                                    // Over budget is bad (red), under budget is good (green)
+                                                    return (
+                                                        <span className={value > 0 ? 'text-red-600' : value < 0 ? 'text-green-600' : 'text-gray-900'}>
+                                                            {formatValue(value, column.format)}
+                                                        </span>
+                                                    );
+                                                }
+
+                                                if (column.key === 'note') {
+                                                    const note = getPropertyNote(property);
+                                                    return (
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => openNoteModal(property)}
+                                                            className={`inline-flex items-center text-sm ${
+                                                                note
+                                                                    ? 'text-gray-700 hover:text-gray-900'
+                                                                    : 'text-gray-400 hover:text-gray-600'
+                                                            }`}
+                                                        >
+                                                            {note ? (
+                                                                <>
+                                                                    <ChatBubbleLeftIcon className="w-4 h-4 mr-1 flex-shrink-0" />
+                                                                    <span className="truncate max-w-[150px]">
+                                                                        {truncateNote(note.note)}
+                                                                    </span>
+                                                                </>
+                                                            ) : (
+                                                                <>
+                                                                    <PlusIcon className="w-4 h-4 mr-1" />
+                                                                    <span>Add note</span>
+                                                                </>
+                                                            )}
+                                                        </button>
+                                                    );
+                                                }
+
+                                                // Wrap formatted cells with tooltip
+                                                if (backendFormatting) {
+                                                    return (
+                                                        <Tooltip
+                                                            content={
+                                                                <div>
+                                                                    <div className="font-medium">{backendFormatting.rule_name}</div>
+                                                                    <div className="text-gray-400 mt-1">
+                                                                        {formatOperatorDescription(backendFormatting.operator, backendFormatting.threshold)}
+                                                                    </div>
+                                                                </div>
+                                                            }
+                                                        >
+                                                            <span>{formatValue(value, format)}</span>
+                                                        </Tooltip>
+                                                    );
+                                                }
+
+                                                return (
+                                                    <span className={hasFormatting ? '' : 'text-gray-900'}>
+                                                        {formatValue(value, format)}
+                                                    </span>
+                                                );
+                                            };
+
+                                            return (
+                                                <td
+                                                    key={column.key}
+                                                    className={`px-4 py-3 whitespace-nowrap text-sm ${
+                                                        column.align === 'right' ? 'text-right' : 'text-left'
+                                                    } ${index === 0 ? `sticky left-0 z-10 shadow-[2px_0_5px_-2px_rgba(0,0,0,0.1)] ${isPinned ? 'bg-amber-50 group-hover:bg-amber-100' : 'bg-white group-hover:bg-gray-50'}` : ''}`}
+                                                    style={index === 0 ? {} : cellStyle}
+                                                >
+                                                    {renderCellContent()}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
 
             {/* Note Modal */}
             <NoteModal
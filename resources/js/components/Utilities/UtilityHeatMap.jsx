@@ -32,6 +32,17 @@ export default function UtilityHeatMap({ data, utilityTypes, selectedType, perio
         }).format(value);
     };
 
+    const formatVariance = (value) => {
+        if (value === null || value === undefined) return '-';
+        return `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+    };
+
+    // Over budget is bad (red), under budget is good (green)
+    const getVarianceColor = (value) => {
+        if (value === null || value === undefined || value === 0) return 'text-gray-500';
+        return value > 0 ? 'text-red-600' : 'text-green-600';
+    };
+
     const handleSort = (field) => {
         if (sortField === field) {
             setSortDirection(prev => prev === 'asc' ? 'desc' : 'asc');
@@ -87,6 +98,10 @@ export default function UtilityHeatMap({ data, utilityTypes, selectedType, perio
             'Prev 12 Mo Avg',
             'Avg $/Unit',
             'Avg $/Sq Ft',
+            'YTD Budget',
+            'YTD Actual',
+            'YTD Variance %',
+            'Year-End Forecast',
         ];
         const rows = sortedProperties.map(p => [
             p.property_name,
@@ -98,6 +113,10 @@ export default function UtilityHeatMap({ data, utilityTypes, selectedType, perio
             p.prev_12_months ?? '',
             p.avg_per_unit ?? '',
             p.avg_per_sqft ?? '',
+            p.budget_ytd ?? '',
+            p.actual_ytd ?? '',
+            p.budget_variance_percent ?? '',
+            p.budget_forecast ?? '',
         ]);
 
         const csvContent = [
@@ -221,6 +240,24 @@ export default function UtilityHeatMap({ data, utilityTypes, selectedType, perio
                             >
                                 $/Sq Ft<SortIndicator field="avg_per_sqft" />
                             </th>
+                            <th
+                                onClick={() => handleSort('budget_ytd')}
+                                className="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                            >
+                                YTD Budget<SortIndicator field="budget_ytd" />
+                            </th>
+                            <th
+                                onClick={() => handleSort('budget_variance_percent')}
+                                className="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                            >
+                                vs Budget<SortIndicator field="budget_variance_percent" />
+                            </th>
+                            <th
+                                onClick={() => handleSort('budget_forecast')}
+                                className="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                            >
+                                Yr-End Forecast<SortIndicator field="budget_forecast" />
+                            </th>
                         </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
@@ -255,6 +292,19 @@ export default function UtilityHeatMap({ data, utilityTypes, selectedType, perio
                                 <td className="px-3 py-3 whitespace-nowrap text-right text-sm text-gray-900">
                                     {property.avg_per_sqft !== null ? `$${property.avg_per_sqft.toFixed(4)}` : '-'}
                                 </td>
+                                <td className="px-3 py-3 whitespace-nowrap text-right text-sm text-gray-900">
+                                    {formatCurrency(property.budget_ytd)}
+                                </td>
+                                <td className={`px-3 py-3 whitespace-nowrap text-right text-sm font-medium ${getVarianceColor(property.budget_variance_percent)}`}>
+                                    {formatVariance(property.budget_variance_percent)}
+                                </td>
+                                <td className="px-3 py-3 whitespace-nowrap text-right text-sm text-gray-900">
+                                    {property.budget_forecast !== null && property.budget_forecast !== undefined ? (
+                                        <span title={`Annual budget: ${formatCurrency(property.annual_budget)}`}>
+                                            {formatCurrency(property.budget_forecast)}
+                                        </span>
+                                    ) : '-'}
+                                </td>
                             </tr>
                         ))}
                     </tbody>
@@ -280,6 +330,18 @@ export default function UtilityHeatMap({ data, utilityTypes, selectedType, perio
                         <span className="text-gray-500">Avg per Property (12 mo):</span>
                         <span className="ml-2 font-medium text-gray-900">{formatCurrency(data.averages?.prev_12_months)}</span>
                     </div>
+                    {data.totals?.annual_budget != null && (
+                        <>
+                            <div>
+                                <span className="text-gray-500">Annual Budget:</span>
+                                <span className="ml-2 font-medium text-gray-900">{formatCurrency(data.totals.annual_budget)}</span>
+                            </div>
+                            <div>
+                                <span className="text-gray-500">Year-End Forecast:</span>
+                                <span className="ml-2 font-medium text-gray-900">{formatCurrency(data.totals.budget_forecast)}</span>
+                            </div>
+                        </>
+                    )}
                 </div>
             </div>
         </div>
@@ -9,12 +9,12 @@ import {
     Legend,
     ResponsiveContainer,
 } from 'recharts';
-import { getLineColor } from './constants';
+import { getLineColor, formatUsage, formatRate } from './constants';
 
 // Total line uses dark gray
 const TOTAL_LINE_COLOR = '#1F2937';
 
-export default function UtilityTrendChart({ data, utilityTypes }) {
+export default function UtilityTrendChart({ data, utilityTypes, weatherAdjustedData = null, usageData = null }) {
     // Create a map of type key to utility type object
     const typeMap = useMemo(() => {
         if (!Array.isArray(utilityTypes)) return {};
@@ -38,6 +38,22 @@ export default function UtilityTrendChart({ data, utilityTypes }) {
         return initial;
     });
 
+    // Usage and rates are in each type's own unit, so those views show one type at a time
+    const usageTypeKeys = useMemo(() => {
+        if (!Array.isArray(usageData) || usageData.length === 0) return [];
+        return typeKeys.filter((key) => key in (usageData[0].usage ?? {}));
+    }, [usageData, typeKeys]);
+    const [mode, setMode] = useState('cost');
+    const [usageType, setUsageType] = useState(null);
+    const activeMode = usageTypeKeys.length > 0 ? mode : 'cost';
+    const selectedUsageType = usageTypeKeys.includes(usageType) ? usageType : usageTypeKeys[0];
+    const unitLabel = typeMap[selectedUsageType]?.usage_unit_label;
+
+    // Weather-adjusted costs are only offered once degree days have been imported
+    const [weatherAdjusted, setWeatherAdjusted] = useState(false);
+    const canAdjust = activeMode === 'cost' && Array.isArray(weatherAdjustedData) && weatherAdjustedData.length > 0;
+    const chartData = activeMode !== 'cost' ? usageData : canAdjust && weatherAdjusted ? weatherAdjustedData : data;
+
     if (!data || data.length === 0) {
         return (
             <div className="card">
@@ -82,12 +98,91 @@ export default function UtilityTrendChart({ data, utilityTypes }) {
 
     const allTypes = ['total', ...typeKeys];
 
+    const modes = [
+        { key: 'cost', label: 'Cost' },
+        { key: 'usage', label: 'Usage' },
+        { key: 'rate', label: 'Rate' },
+    ];
+
+    const formatAxisValue = (value) => {
+        if (activeMode === 'usage') return formatUsage(value, null, { abbreviated: true });
+        if (activeMode === 'rate') return formatRate(value, null);
+        return formatCurrency(value);
+    };
+
+    const formatTooltipValue = (value) => {
+        if (activeMode === 'usage') return formatUsage(value, unitLabel);
+        if (activeMode === 'rate') return formatRate(value, unitLabel);
+        return `$${value.toLocaleString()}`;
+    };
+
     return (
         <div className="card">
             <div className="card-header flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
-                <h3 className="text-lg font-medium text-gray-900">Utility Cost Trend</h3>
+                <div>
+                    <h3 className="text-lg font-medium text-gray-900">
+                        {activeMode === 'usage' ? 'Utility Usage Trend' : activeMode === 'rate' ? 'Effective Rate Trend' : 'Utility Cost Trend'}
+                    </h3>
+                    {canAdjust && weatherAdjusted && (
+                        <p className="text-xs text-gray-500">Weather-sensitive utilities scaled to normal degree days</p>
+                    )}
+                    {activeMode === 'usage' && (
+                        <p className="text-xs text-gray-500">Usage read from bills, in {unitLabel}</p>
+                    )}
+                    {activeMode === 'rate' && (
+                        <p className="text-xs text-gray-500">Cost of bills with usage per {unitLabel?.replace(/s$/, '')}</p>
+                    )}
+                </div>
                 <div className="flex flex-wrap gap-1.5 sm:gap-2">
-                    {allTypes.map(type => (
+                    {usageTypeKeys.length > 0 && (
+                        <div className="inline-flex rounded bg-gray-100 p-0.5" role="group" aria-label="Trend view">
+                            {modes.map((option) => (
+                                <button
+                                    key={option.key}
+                                    type="button"
+                                    onClick={() => setMode(option.key)}
+                                    className={`px-2 py-1 text-xs font-medium rounded transition-colors min-h-[32px] sm:min-h-0 ${
+                                        activeMode === option.key
+                                            ? 'bg-white text-gray-900 shadow-sm'
+                                            : 'text-gray-600 hover:text-gray-900'
+                                    }`}
+                                    aria-pressed={activeMode === option.key}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {canAdjust && (
+                        <button
+                            type="button"
+                            onClick={() => setWeatherAdjusted(!weatherAdjusted)}
+                            className={`px-2 py-1 text-xs font-medium rounded transition-colors min-h-[32px] sm:min-h-0 ${
+                                weatherAdjusted
+                                    ? 'text-white bg-sky-600'
+                                    : 'text-gray-600 bg-gray-100 hover:bg-gray-200'
+                            }`}
+                            aria-pressed={weatherAdjusted}
+                        >
+                            Weather-adjusted
+                        </button>
+                    )}
+                    {activeMode !== 'cost' && usageTypeKeys.map(type => (
+                        <button
+                            key={type}
+                            onClick={() => setUsageType(type)}
+                            className={`px-2 py-1 text-xs font-medium rounded transition-colors min-h-[32px] sm:min-h-0 ${
+                                selectedUsageType === type
+                                    ? 'text-white'
+                                    : 'text-gray-600 bg-gray-100 hover:bg-gray-200'
+                            }`}
+                            style={selectedUsageType === type ? { backgroundColor: getTypeLineColor(type) } : {}}
+                            aria-pressed={selectedUsageType === type}
+                        >
+                            {getTypeLabel(type)}
+                        </button>
+                    ))}
+                    {activeMode === 'cost' && allTypes.map(type => (
                         <button
                             key={type}
                             onClick={() => toggleType(type)}
@@ -106,7 +201,7 @@ export default function UtilityTrendChart({ data, utilityTypes }) {
             <div className="card-body">
                 <div className="h-56 sm:h-80">
                     <ResponsiveContainer width="100%" height="100%">
-                        <LineChart data={data}>
+                        <LineChart data={chartData}>
                             <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
                             <XAxis
                                 dataKey="period"
@@ -118,11 +213,11 @@ export default function UtilityTrendChart({ data, utilityTypes }) {
                                 tick={{ fontSize: 12, fill: '#6B7280' }}
                                 tickLine={false}
                                 axisLine={{ stroke: '#E5E7EB' }}
-                                tickFormatter={formatCurrency}
+                                tickFormatter={formatAxisValue}
                             />
                             <Tooltip
                                 formatter={(value, name) => [
-                                    `$${value.toLocaleString()}`,
+                                    formatTooltipValue(value),
                                     getTypeLabel(name),
                                 ]}
                                 contentStyle={{
@@ -132,7 +227,19 @@ export default function UtilityTrendChart({ data, utilityTypes }) {
                                     boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
                                 }}
                             />
-                            {allTypes.map(type => (
+                            {activeMode !== 'cost' && selectedUsageType && (
+                                <Line
+                                    type="monotone"
+                                    dataKey={`${activeMode}.${selectedUsageType}`}
+                                    name={selectedUsageType}
+                                    stroke={getTypeLineColor(selectedUsageType)}
+                                    strokeWidth={2}
+                                    dot={false}
+                                    activeDot={{ r: 4 }}
+                                    connectNulls
+                                />
+                            )}
+                            {activeMode === 'cost' && allTypes.map(type => (
                                 visibleTypes[type] && (
                                     <Line
                                         key={type}
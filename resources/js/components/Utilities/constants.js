@@ -181,3 +181,44 @@ export const calculateHeatMapStats = (values) => {
         max: Math.max(...validValues),
     };
 };
+
+/**
+ * Format a usage quantity with its unit (e.g., "1,234 kWh").
+ * @param {number} value - Usage quantity
+ * @param {string} unitLabel - Unit label (e.g., 'kWh', 'therms')
+ * @returns {string} Formatted usage or fallback
+ */
+export const formatUsage = (value, unitLabel, options = {}) => {
+    const { abbreviated = false, fallback = '-' } = options;
+
+    if (value === null || value === undefined) return fallback;
+
+    const number = abbreviated && Math.abs(value) >= 1000
+        ? `${(value / 1000).toFixed(0)}k`
+        : new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 }).format(value);
+
+    return unitLabel ? `${number} ${unitLabel}` : number;
+};
+
+/**
+ * Format an effective rate per unit of usage (e.g., "$0.1523/kWh").
+ * Rates under a dollar keep four decimals so water and electric rates stay readable.
+ * @param {number} value - Dollars per unit
+ * @param {string} unitLabel - Unit label; plural labels are made singular
+ * @returns {string} Formatted rate or fallback
+ */
+export const formatRate = (value, unitLabel, options = {}) => {
+    const { fallback = '-' } = options;
+
+    if (value === null || value === undefined) return fallback;
+
+    const digits = Math.abs(value) < 1 ? 4 : 2;
+    const amount = new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+    }).format(value);
+
+    return unitLabel ? `${amount}/${unitLabel.replace(/s$/, '')}` : amount;
+};
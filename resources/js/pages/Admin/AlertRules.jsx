@@ -0,0 +1,612 @@
+import { useForm, router } from '@inertiajs/react';
+import { Fragment, useState } from 'react';
+import axios from 'axios';
+import AdminLayout from './Index';
+import {
+    PlusIcon,
+    PencilIcon,
+    TrashIcon,
+    XMarkIcon,
+    CheckIcon,
+    BeakerIcon,
+    ClockIcon,
+    BellSlashIcon,
+    ChevronDownIcon,
+    ChevronRightIcon,
+} from '@heroicons/react/24/outline';
+
+const OPERATOR_SYMBOLS = {
+    gt: '>',
+    gte: '≥',
+    lt: '<',
+    lte: '≤',
+    eq: '=',
+};
+
+const formatMetricValue = (metric, value) => {
+    if (value === null || value === undefined || value === '') return '-';
+    const number = Number(value);
+    switch (metric) {
+        case 'delinquency_amount':
+            return new Intl.NumberFormat('en-US', {
+                style: 'currency',
+                currency: 'USD',
+                maximumFractionDigits: 0,
+            }).format(number);
+        case 'occupancy_rate':
+            return `${number.toFixed(1)}%`;
+        case 'work_order_days_open':
+            return `${Math.round(number)} days`;
+        default:
+            return Math.round(number).toLocaleString();
+    }
+};
+
+const formatDateTime = (value) => {
+    if (!value) return 'Never';
+    return new Date(value).toLocaleString();
+};
+
+/**
+ * RecipientPicker - Checkbox list of active users to notify.
+ *
+ * @param {Object} props
+ * @param {Array} props.users - Active users ({ id, name, email })
+ * @param {Array} props.value - Selected email addresses
+ * @param {Function} props.onChange - Called with the new list of emails
+ */
+function RecipientPicker({ users, value, onChange }) {
+    const toggle = (email) => {
+        onChange(value.includes(email)
+            ? value.filter((selected) => selected !== email)
+            : [...value, email]);
+    };
+
+    return (
+        <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+            {users.map((user) => (
+                <label
+                    key={user.id}
+                    className="flex items-center gap-3 px-3 py-2 min-h-[44px] cursor-pointer hover:bg-gray-50"
+                >
+                    <input
+                        type="checkbox"
+                        checked={value.includes(user.email)}
+                        onChange={() => toggle(user.email)}
+                        className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span className="text-sm text-gray-900">{user.name}</span>
+                    <span className="text-xs text-gray-500 truncate">{user.email}</span>
+                </label>
+            ))}
+            {users.length === 0 && (
+                <p className="px-3 py-2 text-sm text-gray-500">No active users</p>
+            )}
+        </div>
+    );
+}
+
+/**
+ * PreviewResult - Shows whether a rule would fire against the latest KPIs.
+ *
+ * @param {Object} props
+ * @param {Object} props.preview - Response from the preview endpoint
+ */
+function PreviewResult({ preview }) {
+    if (preview.value === null) {
+        return (
+            <div className="p-3 rounded-lg bg-gray-50 text-sm text-gray-600">
+                No KPI data is available yet, so this rule cannot be previewed.
+            </div>
+        );
+    }
+
+    return (
+        <div className={`p-3 rounded-lg text-sm ${preview.would_fire ? 'bg-red-50 text-red-800' : 'bg-green-50 text-green-800'}`}>
+            <strong>{preview.would_fire ? 'Would fire' : 'Would not fire'}</strong>
+            {' '}with the current value of {preview.formatted_value} (KPIs from {preview.kpi_date}).
+        </div>
+    );
+}
+
+/**
+ * RuleForm - Create or edit an alert rule, with a live preview against
+ * today's KPI data.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.rule - Rule being edited, or null to create one
+ * @param {Object} props.metrics - Metric key => label
+ * @param {Object} props.operators - Operator key => label
+ * @param {Array} props.users - Active users to choose recipients from
+ * @param {Function} props.onCancel - Closes the form
+ */
+function RuleForm({ rule, metrics, operators, users, onCancel }) {
+    const { data, setData, post, patch, processing, errors, reset } = useForm({
+        name: rule?.name ?? '',
+        metric: rule?.metric ?? Object.keys(metrics)[0],
+        operator: rule?.operator ?? 'gt',
+        threshold: rule?.threshold ?? '',
+        enabled: rule?.enabled ?? true,
+        recipients: rule?.recipients ?? [],
+    });
+    const [preview, setPreview] = useState(null);
+    const [previewing, setPreviewing] = useState(false);
+    const [previewError, setPreviewError] = useState(null);
+
+    const updateCondition = (field, value) => {
+        setData(field, value);
+        setPreview(null);
+    };
+
+    const handlePreview = async () => {
+        setPreviewing(true);
+        setPreviewError(null);
+        try {
+            const response = await axios.get(route('admin.alert-rules.preview'), {
+                params: {
+                    metric: data.metric,
+                    operator: data.operator,
+                    threshold: data.threshold,
+                },
+            });
+            setPreview(response.data);
+        } catch (err) {
+            console.error('Failed to preview alert rule:', err);
+            setPreview(null);
+            setPreviewError(
+                err.response?.status === 422
+                    ? 'Enter a metric, condition and threshold to preview.'
+                    : 'Could not preview this rule.'
+            );
+        } finally {
+            setPreviewing(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const options = {
+            preserveScroll: true,
+            onSuccess: () => {
+                reset();
+                onCancel();
+            },
+        };
+        if (rule) {
+            patch(route('admin.alert-rules.update', rule.id), options);
+        } else {
+            post(route('admin.alert-rules.store'), options);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="card">
+            <div className="card-header flex items-center justify-between">
+                <h3 className="text-lg font-medium text-gray-900">
+                    {rule ? `Edit ${rule.name}` : 'New Alert Rule'}
+                </h3>
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="p-2 -mr-2 min-w-[44px] min-h-[44px] flex items-center justify-center text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100"
+                    aria-label="Close form"
+                >
+                    <XMarkIcon className="w-5 h-5" />
+                </button>
+            </div>
+            <div className="card-body space-y-4">
+                <div>
+                    <label htmlFor="alert-rule-name" className="label">Name</label>
+                    <input
+                        id="alert-rule-name"
+                        type="text"
+                        value={data.name}
+                        onChange={(e) => setData('name', e.target.value)}
+                        placeholder="e.g., High vacancy alert"
+                        className="input w-full"
+                        autoFocus
+                    />
+                    {errors.name && <p className="mt-1 text-xs text-red-600">{errors.name}</p>}
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    <div>
+                        <label htmlFor="alert-rule-metric" className="label">Metric</label>
+                        <select
+                            id="alert-rule-metric"
+                            value={data.metric}
+                            onChange={(e) => updateCondition('metric', e.target.value)}
+                            className="input w-full"
+                        >
+                            {Object.entries(metrics).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                        {errors.metric && <p className="mt-1 text-xs text-red-600">{errors.metric}</p>}
+                    </div>
+                    <div>
+                        <label htmlFor="alert-rule-operator" className="label">Condition</label>
+                        <select
+                            id="alert-rule-operator"
+                            value={data.operator}
+                            onChange={(e) => updateCondition('operator', e.target.value)}
+                            className="input w-full"
+                        >
+                            {Object.entries(operators).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                        {errors.operator && <p className="mt-1 text-xs text-red-600">{errors.operator}</p>}
+                    </div>
+                    <div>
+                        <label htmlFor="alert-rule-threshold" className="label">Threshold</label>
+                        <input
+                            id="alert-rule-threshold"
+                            type="number"
+                            value={data.threshold}
+                            onChange={(e) => updateCondition('threshold', e.target.value)}
+                            min="0"
+                            step="0.01"
+                            className="input w-full"
+                        />
+                        {errors.threshold && <p className="mt-1 text-xs text-red-600">{errors.threshold}</p>}
+                    </div>
+                </div>
+
+                <div className="space-y-2">
+                    <button
+                        type="button"
+                        onClick={handlePreview}
+                        disabled={previewing}
+                        className="btn-secondary min-h-[44px] inline-flex items-center disabled:opacity-50"
+                    >
+                        <BeakerIcon className="w-4 h-4 mr-2" />
+                        {previewing ? 'Checking...' : "Preview against today's data"}
+                    </button>
+                    {preview && <PreviewResult preview={preview} />}
+                    {previewError && <p className="text-sm text-red-600">{previewError}</p>}
+                </div>
+
+                <div>
+                    <span className="label">Recipients</span>
+                    <RecipientPicker
+                        users={users}
+                        value={data.recipients}
+                        onChange={(value) => setData('recipients', value)}
+                    />
+                    {errors.recipients && <p className="mt-1 text-xs text-red-600">{errors.recipients}</p>}
+                    {Object.keys(errors)
+                        .filter((key) => key.startsWith('recipients.'))
+                        .slice(0, 1)
+                        .map((key) => (
+                            <p key={key} className="mt-1 text-xs text-red-600">{errors[key]}</p>
+                        ))}
+                </div>
+
+                <label className="flex items-center gap-2 min-h-[44px]">
+                    <input
+                        type="checkbox"
+                        checked={data.enabled}
+                        onChange={(e) => setData('enabled', e.target.checked)}
+                        className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span className="text-sm text-gray-700">Enabled</span>
+                </label>
+
+                <div className="flex items-center justify-end gap-2">
+                    <button type="button" onClick={onCancel} className="btn-secondary min-h-[44px]">
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={processing}
+                        className="btn-primary min-h-[44px] inline-flex items-center disabled:opacity-50"
+                    >
+                        <CheckIcon className="w-4 h-4 mr-2" />
+                        {rule ? 'Save Changes' : 'Create Rule'}
+                    </button>
+                </div>
+            </div>
+        </form>
+    );
+}
+
+/**
+ * MuteControl - Mute a rule for a preset duration, or lift an active mute.
+ *
+ * @param {Object} props
+ * @param {Object} props.rule - Alert rule
+ * @param {Object} props.muteDurations - Hours => label
+ */
+function MuteControl({ rule, muteDurations }) {
+    if (rule.muted_until) {
+        return (
+            <button
+                type="button"
+                onClick={() => router.delete(route('admin.alert-rules.unmute', rule.id), { preserveScroll: true })}
+                className="text-xs font-medium text-blue-600 hover:text-blue-900"
+            >
+                Unmute
+            </button>
+        );
+    }
+
+    return (
+        <select
+            value=""
+            onChange={(e) => router.post(
+                route('admin.alert-rules.mute', rule.id),
+                { hours: Number(e.target.value) },
+                { preserveScroll: true }
+            )}
+            className="input text-xs py-1"
+            aria-label={`Mute rule ${rule.name}`}
+        >
+            <option value="" disabled>Mute for...</option>
+            {Object.entries(muteDurations).map(([hours, label]) => (
+                <option key={hours} value={hours}>{label}</option>
+            ))}
+        </select>
+    );
+}
+
+/**
+ * TriggerHistory - Recent firings of a rule, with the value that tripped it.
+ *
+ * @param {Object} props
+ * @param {Object} props.rule - Alert rule including its recent triggers
+ */
+function TriggerHistory({ rule }) {
+    if (rule.triggers.length === 0) {
+        return <p className="text-sm text-gray-500">This rule has not fired yet.</p>;
+    }
+
+    return (
+        <div>
+            <table className="min-w-full text-sm">
+                <thead>
+                    <tr className="text-left text-xs text-gray-500 uppercase tracking-wider">
+                        <th className="py-1 pr-4 font-medium">Fired</th>
+                        <th className="py-1 pr-4 font-medium">Value</th>
+                        <th className="py-1 pr-4 font-medium">Condition</th>
+                        <th className="py-1 font-medium">Sent To</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                    {rule.triggers.map((trigger) => (
+                        <tr key={trigger.id}>
+                            <td className="py-1 pr-4 whitespace-nowrap text-gray-900">{formatDateTime(trigger.triggered_at)}</td>
+                            <td className="py-1 pr-4 whitespace-nowrap font-medium text-gray-900">
+                                {formatMetricValue(rule.metric, trigger.value)}
+                            </td>
+                            <td className="py-1 pr-4 whitespace-nowrap text-gray-600">
+                                {OPERATOR_SYMBOLS[trigger.operator] ?? trigger.operator} {formatMetricValue(rule.metric, trigger.threshold)}
+                            </td>
+                            <td className="py-1 text-gray-600">{trigger.recipients.join(', ')}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {rule.triggers_count > rule.triggers.length && (
+                <p className="mt-2 text-xs text-gray-500">
+                    Showing the latest {rule.triggers.length} of {rule.triggers_count} firings.
+                </p>
+            )}
+        </div>
+    );
+}
+
+/**
+ * RuleRow - One alert rule with its status and actions, plus an expandable
+ * trigger history.
+ */
+function RuleRow({ rule, muteDurations, expanded, onToggleHistory, onEdit, onDelete }) {
+    return (
+        <Fragment>
+            <tr className="hover:bg-gray-50">
+                <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                    <button
+                        type="button"
+                        onClick={() => onToggleHistory(rule.id)}
+                        className="inline-flex items-center gap-1 text-left"
+                        aria-expanded={expanded}
+                        aria-label={`Toggle trigger history for ${rule.name}`}
+                    >
+                        {expanded
+                            ? <ChevronDownIcon className="w-4 h-4 text-gray-400" />
+                            : <ChevronRightIcon className="w-4 h-4 text-gray-400" />}
+                        {rule.name}
+                    </button>
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                    {rule.metric_label} {OPERATOR_SYMBOLS[rule.operator] ?? rule.operator_label}{' '}
+                    <span className="font-mono text-gray-900">{formatMetricValue(rule.metric, rule.threshold)}</span>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-600" title={rule.recipients.join(', ')}>
+                    {rule.recipients.length === 1 ? rule.recipients[0] : `${rule.recipients.length} recipients`}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                    {formatDateTime(rule.last_triggered_at)}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap">
+                    <div className="flex flex-col items-start gap-1">
+                        {rule.enabled ? (
+                            <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800">
+                                Enabled
+                            </span>
+                        ) : (
+                            <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-800">
+                                Disabled
+                            </span>
+                        )}
+                        {rule.muted_until && (
+                            <span
+                                className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800"
+                                title={`Muted until ${formatDateTime(rule.muted_until)}`}
+                            >
+                                <BellSlashIcon className="w-3 h-3 mr-1" />
+                                Muted
+                            </span>
+                        )}
+                    </div>
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium">
+                    <div className="flex items-center justify-end gap-3">
+                        <MuteControl rule={rule} muteDurations={muteDurations} />
+                        <button
+                            type="button"
+                            onClick={() => onEdit(rule)}
+                            className="text-blue-600 hover:text-blue-900"
+                            title="Edit"
+                            aria-label={`Edit rule ${rule.name}`}
+                        >
+                            <PencilIcon className="w-4 h-4" />
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => onDelete(rule)}
+                            className="text-red-600 hover:text-red-900"
+                            title="Delete"
+                            aria-label={`Delete rule ${rule.name}`}
+                        >
+                            <TrashIcon className="w-4 h-4" />
+                        </button>
+                    </div>
+                </td>
+            </tr>
+            {expanded && (
+                <tr className="bg-gray-50">
+                    <td colSpan="6" className="px-10 py-3">
+                        {rule.muted_until && (
+                            <p className="mb-2 text-xs text-yellow-800 inline-flex items-center">
+                                <ClockIcon className="w-3 h-3 mr-1" />
+                                Muted until {formatDateTime(rule.muted_until)}
+                            </p>
+                        )}
+                        <TriggerHistory rule={rule} />
+                    </td>
+                </tr>
+            )}
+        </Fragment>
+    );
+}
+
+export default function AlertRules({ rules, users, metrics, operators, muteDurations }) {
+    // null = closed, 'new' = creating, otherwise the rule being edited
+    const [formRule, setFormRule] = useState(null);
+    const [expandedId, setExpandedId] = useState(null);
+
+    const handleDelete = (rule) => {
+        if (confirm(`Are you sure you want to delete the alert rule "${rule.name}"?`)) {
+            router.delete(route('admin.alert-rules.destroy', rule.id), { preserveScroll: true });
+        }
+    };
+
+    return (
+        <AdminLayout currentTab="alert-rules">
+            <div className="space-y-6">
+                {/* Header */}
+                <div className="flex items-start justify-between gap-4">
+                    <div>
+                        <h2 className="text-lg font-medium text-gray-900">Alert Rules</h2>
+                        <p className="mt-1 text-sm text-gray-500">
+                            Email the selected users when a portfolio KPI crosses a threshold. Rules are evaluated daily.
+                        </p>
+                    </div>
+                    {formRule === null && (
+                        <button
+                            type="button"
+                            onClick={() => setFormRule('new')}
+                            className="btn-primary min-h-[44px] inline-flex items-center flex-shrink-0"
+                        >
+                            <PlusIcon className="w-4 h-4 mr-2" />
+                            Add Rule
+                        </button>
+                    )}
+                </div>
+
+                {formRule !== null && (
+                    <RuleForm
+                        key={formRule === 'new' ? 'new' : formRule.id}
+                        rule={formRule === 'new' ? null : formRule}
+                        metrics={metrics}
+                        operators={operators}
+                        users={users}
+                        onCancel={() => setFormRule(null)}
+                    />
+                )}
+
+                {/* Rules Table */}
+                <div className="card overflow-hidden">
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Name
+                                    </th>
+                                    <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Condition
+                                    </th>
+                                    <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Recipients
+                                    </th>
+                                    <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Last Fired
+                                    </th>
+                                    <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Status
+                                    </th>
+                                    <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Actions
+                                    </th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {rules.map((rule) => (
+                                    <RuleRow
+                                        key={rule.id}
+                                        rule={rule}
+                                        muteDurations={muteDurations}
+                                        expanded={expandedId === rule.id}
+                                        onToggleHistory={(id) => setExpandedId(expandedId === id ? null : id)}
+                                        onEdit={setFormRule}
+                                        onDelete={handleDelete}
+                                    />
+                                ))}
+                                {rules.length === 0 && (
+                                    <tr>
+                                        <td colSpan="6" className="px-4 py-6 text-center text-sm text-gray-500">
+                                            No alert rules configured.
+                                            <button
+                                                type="button"
+                                                onClick={() => setFormRule('new')}
+                                                className="ml-2 text-blue-600 hover:text-blue-800"
+                                            >
+                                                Add one
+                                            </button>
+                                        </td>
+                                    </tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                {/* Help Text */}
+                <div className="card max-w-3xl">
+                    <div className="card-body">
+                        <h3 className="text-sm font-medium text-gray-900 mb-2">How Alert Rules Work</h3>
+                        <ul className="text-sm text-gray-600 space-y-2 list-disc list-inside">
+                            <li>Rules are checked each morning against the latest portfolio KPIs</li>
+                            <li><strong>Work Order Days Open</strong> uses the oldest open work order</li>
+                            <li>Preview checks a rule against the latest KPIs without sending anything</li>
+                            <li>Muted rules are skipped until the mute expires; disabled rules are never evaluated</li>
+                            <li>Expand a rule to see when it fired and who was notified</li>
+                        </ul>
+                    </div>
+                </div>
+            </div>
+        </AdminLayout>
+    );
+}
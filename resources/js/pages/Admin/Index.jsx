@@ -10,6 +10,10 @@ import {
     TagIcon,
     ArrowPathIcon,
     SwatchIcon,
+    BellAlertIcon,
+    BanknotesIcon,
+    SunIcon,
+    ExclamationTriangleIcon,
 } from '@heroicons/react/24/outline';
 
 export default function AdminLayout({ children, currentTab }) {
@@ -21,6 +25,10 @@ export default function AdminLayout({ children, currentTab }) {
         { label: 'Utility Accounts', href: route('admin.utility-accounts.index'), icon: BoltIcon },
         { label: 'Utility Types', href: route('admin.utility-types.index'), icon: TagIcon },
         { label: 'Formatting Rules', href: route('admin.utility-formatting-rules.index'), icon: SwatchIcon },
+        { label: 'Utility Budgets', href: route('admin.utility-budgets.index'), icon: BanknotesIcon },
+        { label: 'Weather Data', href: route('admin.weather-data.index'), icon: SunIcon },
+        { label: 'Anomaly Detection', href: route('admin.utility-anomaly-settings.index'), icon: ExclamationTriangleIcon },
+        { label: 'Alert Rules', href: route('admin.alert-rules.index'), icon: BellAlertIcon },
         { label: 'Adjustments', href: route('admin.adjustments.index'), icon: AdjustmentsHorizontalIcon },
         { label: 'Settings', href: route('admin.settings'), icon: Cog6ToothIcon },
     ];
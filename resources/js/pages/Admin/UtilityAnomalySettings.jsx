@@ -0,0 +1,203 @@
+import { Link, useForm } from '@inertiajs/react';
+import AdminLayout from './Index';
+import UtilityTypeIcon from '../../components/Utilities/UtilityTypeIcon';
+
+function NumberField({ id, label, value, onChange, disabled, suffix, error, ...inputProps }) {
+    return (
+        <div>
+            <label htmlFor={id} className="block text-xs font-medium text-gray-700 mb-1">{label}</label>
+            <div className="flex items-center gap-2">
+                <input
+                    id={id}
+                    type="number"
+                    value={value ?? ''}
+                    onChange={(e) => onChange(e.target.value)}
+                    disabled={disabled}
+                    className="input w-full text-sm disabled:bg-gray-100 disabled:text-gray-400"
+                    {...inputProps}
+                />
+                {suffix && <span className="text-sm text-gray-500 whitespace-nowrap">{suffix}</span>}
+            </div>
+            {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+        </div>
+    );
+}
+
+function SettingsCard({ setting, defaults, maxRollingMonths }) {
+    const { data, setData, patch, processing, errors, isDirty } = useForm({
+        is_enabled: setting.is_enabled,
+        z_score_threshold: setting.z_score_threshold,
+        percent_over_average: setting.percent_over_average,
+        rolling_months: setting.rolling_months,
+        min_dollar_impact: setting.min_dollar_impact,
+    });
+
+    const zScoreOn = data.z_score_threshold !== null;
+    const rollingAverageOn = data.percent_over_average !== null;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        patch(route('admin.utility-anomaly-settings.update', setting.utility_type_id), {
+            preserveScroll: true,
+        });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="card">
+            <div className="card-header flex items-center justify-between gap-3">
+                <div className="flex items-center gap-2">
+                    <UtilityTypeIcon utilityType={setting} size="sm" />
+                    <h3 className="font-medium text-gray-900">{setting.label}</h3>
+                    {setting.open_count > 0 && (
+                        <Link
+                            href={route('utilities.anomalies.index', { utility_type: setting.key })}
+                            className="px-2 py-0.5 text-xs font-medium bg-yellow-100 text-yellow-700 rounded-full hover:bg-yellow-200"
+                        >
+                            {setting.open_count} open
+                        </Link>
+                    )}
+                </div>
+                <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={data.is_enabled}
+                        onChange={(e) => setData('is_enabled', e.target.checked)}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    Detect anomalies
+                </label>
+            </div>
+            <div className={`card-body space-y-4 ${data.is_enabled ? '' : 'opacity-50'}`}>
+                <div>
+                    <label className="inline-flex items-center gap-2 text-sm font-medium text-gray-900">
+                        <input
+                            type="checkbox"
+                            checked={zScoreOn}
+                            onChange={(e) => setData('z_score_threshold', e.target.checked ? defaults.z_score_threshold : null)}
+                            disabled={!data.is_enabled}
+                            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        Compare with the portfolio
+                    </label>
+                    <p className="mt-0.5 ml-6 text-xs text-gray-500">
+                        Flag properties whose cost per unit is far from the portfolio average
+                        {setting.weather_adjusted && ' (weather-adjusted)'}.
+                    </p>
+                    {zScoreOn && (
+                        <div className="mt-2 ml-6 max-w-xs">
+                            <NumberField
+                                id={`z-score-${setting.key}`}
+                                label="Z-score threshold"
+                                value={data.z_score_threshold}
+                                onChange={(v) => setData('z_score_threshold', v)}
+                                disabled={!data.is_enabled}
+                                suffix="std dev"
+                                min="0.5"
+                                max="10"
+                                step="0.1"
+                                error={errors.z_score_threshold}
+                            />
+                        </div>
+                    )}
+                </div>
+
+                <div>
+                    <label className="inline-flex items-center gap-2 text-sm font-medium text-gray-900">
+                        <input
+                            type="checkbox"
+                            checked={rollingAverageOn}
+                            onChange={(e) => setData('percent_over_average', e.target.checked ? 25 : null)}
+                            disabled={!data.is_enabled}
+                            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        Compare with recent months
+                    </label>
+                    <p className="mt-0.5 ml-6 text-xs text-gray-500">
+                        Flag properties whose monthly cost is well over their own rolling average.
+                    </p>
+                    {rollingAverageOn && (
+                        <div className="mt-2 ml-6 grid grid-cols-1 sm:grid-cols-2 gap-3 max-w-md">
+                            <NumberField
+                                id={`percent-${setting.key}`}
+                                label="Over the average by at least"
+                                value={data.percent_over_average}
+                                onChange={(v) => setData('percent_over_average', v)}
+                                disabled={!data.is_enabled}
+                                suffix="%"
+                                min="1"
+                                max="1000"
+                                step="1"
+                                error={errors.percent_over_average}
+                            />
+                            <NumberField
+                                id={`rolling-months-${setting.key}`}
+                                label="Rolling average of"
+                                value={data.rolling_months}
+                                onChange={(v) => setData('rolling_months', v)}
+                                disabled={!data.is_enabled}
+                                suffix="months"
+                                min="1"
+                                max={maxRollingMonths}
+                                step="1"
+                                error={errors.rolling_months}
+                            />
+                        </div>
+                    )}
+                </div>
+
+                <div className="max-w-xs">
+                    <NumberField
+                        id={`min-impact-${setting.key}`}
+                        label="Minimum dollar impact"
+                        value={data.min_dollar_impact}
+                        onChange={(v) => setData('min_dollar_impact', v)}
+                        disabled={!data.is_enabled}
+                        suffix="$ / month"
+                        min="0"
+                        step="1"
+                        error={errors.min_dollar_impact}
+                    />
+                    <p className="mt-1 text-xs text-gray-500">
+                        Skip anomalies whose cost difference is smaller than this.
+                    </p>
+                </div>
+            </div>
+            <div className="px-4 sm:px-6 py-3 border-t border-gray-200 flex justify-end">
+                <button
+                    type="submit"
+                    disabled={processing || !isDirty}
+                    className="btn-primary min-h-[44px] sm:min-h-0 disabled:opacity-50"
+                >
+                    {processing ? 'Saving...' : 'Save'}
+                </button>
+            </div>
+        </form>
+    );
+}
+
+export default function UtilityAnomalySettings({ settings, defaults, maxRollingMonths }) {
+    return (
+        <AdminLayout currentTab="utility-anomaly-settings">
+            <div className="space-y-6">
+                <div>
+                    <h2 className="text-lg font-medium text-gray-900">Anomaly Detection</h2>
+                    <p className="mt-1 text-sm text-gray-500">
+                        How sensitive anomaly detection is for each utility type. Anomalies are checked nightly for last month and this month;
+                        saving a utility type checks both months again right away. Open anomalies that are no longer flagged move to the resolved history as cleared.
+                    </p>
+                </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    {settings.map((setting) => (
+                        <SettingsCard
+                            key={setting.utility_type_id}
+                            setting={setting}
+                            defaults={defaults}
+                            maxRollingMonths={maxRollingMonths}
+                        />
+                    ))}
+                </div>
+            </div>
+        </AdminLayout>
+    );
+}
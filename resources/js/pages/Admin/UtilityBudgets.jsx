@@ -0,0 +1,393 @@
+import { useForm, router } from '@inertiajs/react';
+import { useRef, useState } from 'react';
+import AdminLayout from './Index';
+import {
+    ArrowUpTrayIcon,
+    BanknotesIcon,
+    PencilIcon,
+    PlusIcon,
+    TrashIcon,
+} from '@heroicons/react/24/outline';
+import { formatCurrency } from '../../components/Utilities/constants';
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function BudgetForm({ year, budget, properties, utilityTypes, onCancel }) {
+    const isEditing = Boolean(budget);
+    const [mode, setMode] = useState(isEditing ? 'monthly' : 'annual');
+    const { data, setData, post, processing, errors, transform } = useForm({
+        property_id: budget?.property_id ?? '',
+        utility_type_id: budget?.utility_type_id ?? utilityTypes[0]?.id ?? '',
+        year,
+        annual: budget ? String(budget.annual) : '',
+        months: budget ? budget.months.map(String) : Array(12).fill(''),
+    });
+
+    const monthlyTotal = data.months.reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+
+    const setMonth = (index, value) => {
+        setData('months', data.months.map((current, i) => (i === index ? value : current)));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        // Only send the amounts for the chosen entry mode
+        transform((formData) => (
+            mode === 'annual'
+                ? { ...formData, months: null }
+                : { ...formData, annual: null, months: formData.months.map((value) => value || 0) }
+        ));
+        post(route('admin.utility-budgets.store'), {
+            preserveScroll: true,
+            onSuccess: () => onCancel(),
+        });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="card">
+            <div className="card-header">
+                <h3 className="font-medium text-gray-900">
+                    {isEditing ? `Edit ${budget.utility_type_label} budget for ${budget.property_name}` : `Add ${year} budget`}
+                </h3>
+            </div>
+            <div className="card-body space-y-4">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                        <label htmlFor="budget-property" className="block text-sm font-medium text-gray-700">
+                            Property
+                        </label>
+                        <select
+                            id="budget-property"
+                            value={data.property_id}
+                            onChange={(e) => setData('property_id', e.target.value)}
+                            disabled={isEditing}
+                            className="input mt-1 w-full"
+                        >
+                            <option value="">Select a property</option>
+                            {properties.map((property) => (
+                                <option key={property.id} value={property.id}>{property.name}</option>
+                            ))}
+                        </select>
+                        {errors.property_id && <p className="mt-1 text-xs text-red-600">{errors.property_id}</p>}
+                    </div>
+                    <div>
+                        <label htmlFor="budget-utility-type" className="block text-sm font-medium text-gray-700">
+                            Utility Type
+                        </label>
+                        <select
+                            id="budget-utility-type"
+                            value={data.utility_type_id}
+                            onChange={(e) => setData('utility_type_id', e.target.value)}
+                            disabled={isEditing}
+                            className="input mt-1 w-full"
+                        >
+                            {utilityTypes.map((type) => (
+                                <option key={type.id} value={type.id}>{type.label}</option>
+                            ))}
+                        </select>
+                        {errors.utility_type_id && <p className="mt-1 text-xs text-red-600">{errors.utility_type_id}</p>}
+                    </div>
+                </div>
+
+                {/* Entry mode */}
+                <div className="flex flex-wrap gap-4">
+                    <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                            type="radio"
+                            name="budget-mode"
+                            checked={mode === 'annual'}
+                            onChange={() => setMode('annual')}
+                            className="h-4 w-4 border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        Annual total, split evenly by month
+                    </label>
+                    <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                            type="radio"
+                            name="budget-mode"
+                            checked={mode === 'monthly'}
+                            onChange={() => setMode('monthly')}
+                            className="h-4 w-4 border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        Amount for each month
+                    </label>
+                </div>
+
+                {mode === 'annual' ? (
+                    <div className="max-w-xs">
+                        <label htmlFor="budget-annual" className="block text-sm font-medium text-gray-700">
+                            Annual Budget
+                        </label>
+                        <input
+                            id="budget-annual"
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={data.annual}
+                            onChange={(e) => setData('annual', e.target.value)}
+                            placeholder="12000"
+                            className="input mt-1 w-full"
+                        />
+                        {errors.annual && <p className="mt-1 text-xs text-red-600">{errors.annual}</p>}
+                    </div>
+                ) : (
+                    <div>
+                        <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-6 gap-3">
+                            {MONTH_LABELS.map((label, index) => (
+                                <div key={label}>
+                                    <label htmlFor={`budget-month-${index}`} className="block text-xs font-medium text-gray-500">
+                                        {label}
+                                    </label>
+                                    <input
+                                        id={`budget-month-${index}`}
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        value={data.months[index]}
+                                        onChange={(e) => setMonth(index, e.target.value)}
+                                        className="input mt-1 w-full text-sm"
+                                    />
+                                    {errors[`months.${index}`] && (
+                                        <p className="mt-1 text-xs text-red-600">{errors[`months.${index}`]}</p>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                        <p className="mt-2 text-sm text-gray-500">
+                            Annual total: <span className="font-medium text-gray-900">{formatCurrency(monthlyTotal)}</span>
+                        </p>
+                        {errors.months && <p className="mt-1 text-xs text-red-600">{errors.months}</p>}
+                    </div>
+                )}
+            </div>
+            <div className="px-4 sm:px-6 py-3 border-t border-gray-200 flex justify-end gap-2">
+                <button type="button" onClick={onCancel} className="btn-secondary min-h-[44px] sm:min-h-0">
+                    Cancel
+                </button>
+                <button type="submit" disabled={processing} className="btn-primary min-h-[44px] sm:min-h-0 disabled:opacity-50">
+                    {processing ? 'Saving...' : 'Save Budget'}
+                </button>
+            </div>
+        </form>
+    );
+}
+
+function ImportForm({ year, monthColumns }) {
+    const fileInputRef = useRef(null);
+    const { data, setData, post, processing, errors, reset } = useForm({
+        file: null,
+        year,
+    });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        post(route('admin.utility-budgets.import'), {
+            preserveScroll: true,
+            onSuccess: () => {
+                reset('file');
+                if (fileInputRef.current) fileInputRef.current.value = '';
+            },
+        });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="card">
+            <div className="card-header">
+                <h3 className="font-medium text-gray-900">Import from CSV</h3>
+                <p className="mt-1 text-sm text-gray-500">
+                    Columns: <code className="text-xs">property, utility_type, year</code> plus either{' '}
+                    <code className="text-xs">annual</code> or <code className="text-xs">{monthColumns.join(', ')}</code>.
+                    Properties match by external ID or name; utility types by key or label. Imported rows replace existing budgets.
+                </p>
+            </div>
+            <div className="card-body flex flex-col sm:flex-row sm:items-center gap-3">
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".csv,text/csv"
+                    onChange={(e) => setData('file', e.target.files[0] ?? null)}
+                    className="text-sm text-gray-700 file:mr-3 file:rounded file:border-0 file:bg-gray-100 file:px-3 file:py-1.5 file:text-sm file:font-medium file:text-gray-700 hover:file:bg-gray-200"
+                />
+                <button
+                    type="submit"
+                    disabled={processing || !data.file}
+                    className="btn-secondary min-h-[44px] sm:min-h-0 disabled:opacity-50"
+                >
+                    <ArrowUpTrayIcon className="w-4 h-4 mr-1" />
+                    {processing ? 'Importing...' : 'Import'}
+                </button>
+            </div>
+            {errors.file && <p className="px-4 sm:px-6 pb-4 -mt-2 text-xs text-red-600">{errors.file}</p>}
+        </form>
+    );
+}
+
+export default function UtilityBudgets({ year, budgets, properties, utilityTypes, monthColumns }) {
+    const [isAdding, setIsAdding] = useState(false);
+    const [editing, setEditing] = useState(null);
+
+    const types = Array.isArray(utilityTypes) ? utilityTypes : [];
+    const currentYear = new Date().getFullYear();
+    const yearOptions = Array.from(new Set([currentYear - 1, currentYear, currentYear + 1, year])).sort();
+    const annualTotal = budgets.reduce((sum, budget) => sum + budget.annual, 0);
+
+    const handleYearChange = (newYear) => {
+        setIsAdding(false);
+        setEditing(null);
+        router.get(route('admin.utility-budgets.index'), { year: newYear }, { preserveState: true });
+    };
+
+    const handleEdit = (budget) => {
+        setIsAdding(false);
+        setEditing(budget);
+    };
+
+    const handleDelete = (budget) => {
+        if (confirm(`Delete the ${year} ${budget.utility_type_label.toLowerCase()} budget for ${budget.property_name}?`)) {
+            router.delete(route('admin.utility-budgets.destroy', [budget.property_id, budget.utility_type_id, year]), {
+                preserveScroll: true,
+            });
+        }
+    };
+
+    return (
+        <AdminLayout currentTab="utility-budgets">
+            <div className="space-y-6">
+                {/* Header */}
+                <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3">
+                    <div>
+                        <h2 className="text-lg font-medium text-gray-900">Utility Budgets</h2>
+                        <p className="mt-1 text-sm text-gray-500">
+                            Annual utility budgets per property, broken into months. The Utilities pages compare them with actual spend.
+                        </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <label htmlFor="budget-year" className="text-sm text-gray-500">Year:</label>
+                        <select
+                            id="budget-year"
+                            value={year}
+                            onChange={(e) => handleYearChange(e.target.value)}
+                            className="input py-1.5 pr-8 min-h-[44px] sm:min-h-0"
+                        >
+                            {yearOptions.map((option) => (
+                                <option key={option} value={option}>{option}</option>
+                            ))}
+                        </select>
+                        {!isAdding && !editing && (
+                            <button
+                                type="button"
+                                onClick={() => setIsAdding(true)}
+                                className="btn-primary min-h-[44px] sm:min-h-0"
+                            >
+                                <PlusIcon className="w-4 h-4 mr-1" />
+                                Add Budget
+                            </button>
+                        )}
+                    </div>
+                </div>
+
+                {(isAdding || editing) && (
+                    <BudgetForm
+                        key={editing ? `${editing.property_id}-${editing.utility_type_id}` : 'new'}
+                        year={year}
+                        budget={editing}
+                        properties={properties}
+                        utilityTypes={types}
+                        onCancel={() => {
+                            setIsAdding(false);
+                            setEditing(null);
+                        }}
+                    />
+                )}
+
+                <ImportForm year={year} monthColumns={monthColumns} />
+
+                {/* Budgets */}
+                <div className="card overflow-hidden">
+                    <div className="card-header flex items-center justify-between">
+                        <h3 className="font-medium text-gray-900">{year} Budgets</h3>
+                        {budgets.length > 0 && (
+                            <span className="text-sm text-gray-500">
+                                Total: <span className="font-medium text-gray-900">{formatCurrency(annualTotal)}</span>
+                            </span>
+                        )}
+                    </div>
+                    {budgets.length === 0 ? (
+                        <div className="py-12 text-center">
+                            <BanknotesIcon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                            <p className="text-gray-500">No budgets entered for {year}</p>
+                        </div>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Property
+                                        </th>
+                                        <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Utility
+                                        </th>
+                                        <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Annual
+                                        </th>
+                                        {MONTH_LABELS.map((label) => (
+                                            <th key={label} scope="col" className="px-2 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                                {label}
+                                            </th>
+                                        ))}
+                                        <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Actions
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {budgets.map((budget) => (
+                                        <tr key={`${budget.property_id}-${budget.utility_type_id}`} className="hover:bg-gray-50">
+                                            <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                {budget.property_name}
+                                            </td>
+                                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                                                {budget.utility_type_label}
+                                            </td>
+                                            <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium text-gray-900">
+                                                {formatCurrency(budget.annual)}
+                                            </td>
+                                            {budget.months.map((amount, index) => (
+                                                <td key={MONTH_LABELS[index]} className="px-2 py-3 whitespace-nowrap text-right text-xs text-gray-600">
+                                                    {formatCurrency(amount, { abbreviated: true })}
+                                                </td>
+                                            ))}
+                                            <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium">
+                                                <div className="flex items-center justify-end gap-2">
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => handleEdit(budget)}
+                                                        className="text-blue-600 hover:text-blue-900"
+                                                        title="Edit"
+                                                        aria-label={`Edit ${budget.utility_type_label} budget for ${budget.property_name}`}
+                                                    >
+                                                        <PencilIcon className="w-4 h-4" />
+                                                    </button>
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => handleDelete(budget)}
+                                                        className="text-red-600 hover:text-red-900"
+                                                        title="Delete"
+                                                        aria-label={`Delete ${budget.utility_type_label} budget for ${budget.property_name}`}
+                                                    >
+                                                        <TrashIcon className="w-4 h-4" />
+                                                    </button>
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </AdminLayout>
+    );
+}
@@ -97,12 +97,28 @@ function ColorSelector({ value, onChange }) {
     );
 }
 
-function AddTypeForm({ onCancel }) {
+function UsageUnitSelector({ value, onChange, usageUnits }) {
+    return (
+        <select
+            value={value ?? ''}
+            onChange={(e) => onChange(e.target.value || null)}
+            className="input w-full text-sm"
+        >
+            <option value="">Not tracked</option>
+            {Object.entries(usageUnits).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+            ))}
+        </select>
+    );
+}
+
+function AddTypeForm({ usageUnits, onCancel }) {
     const { data, setData, post, processing, errors, reset } = useForm({
         key: '',
         label: '',
         icon: 'CubeIcon',
         color_scheme: 'slate',
+        usage_unit: null,
     });
 
     const handleSubmit = (e) => {
@@ -154,6 +170,12 @@ function AddTypeForm({ onCancel }) {
             <td className="px-6 py-4">
                 <ColorSelector value={data.color_scheme} onChange={(v) => setData('color_scheme', v)} />
             </td>
+            <td className="px-6 py-4">
+                <UsageUnitSelector value={data.usage_unit} onChange={(v) => setData('usage_unit', v)} usageUnits={usageUnits} />
+                {errors.usage_unit && (
+                    <p className="mt-1 text-xs text-red-600">{errors.usage_unit}</p>
+                )}
+            </td>
             <td className="px-6 py-4 text-center text-sm text-gray-500">-</td>
             <td className="px-6 py-4 text-right space-x-2">
                 <button
@@ -178,11 +200,12 @@ function AddTypeForm({ onCancel }) {
     );
 }
 
-function EditTypeRow({ type, onCancel }) {
+function EditTypeRow({ type, usageUnits, onCancel }) {
     const { data, setData, patch, processing, errors } = useForm({
         label: type.label,
         icon: type.icon,
         color_scheme: type.color_scheme,
+        usage_unit: type.usage_unit,
     });
 
     const handleSubmit = (e) => {
@@ -226,6 +249,12 @@ function EditTypeRow({ type, onCancel }) {
             <td className="px-6 py-4">
                 <ColorSelector value={data.color_scheme} onChange={(v) => setData('color_scheme', v)} />
             </td>
+            <td className="px-6 py-4">
+                <UsageUnitSelector value={data.usage_unit} onChange={(v) => setData('usage_unit', v)} usageUnits={usageUnits} />
+                {errors.usage_unit && (
+                    <p className="mt-1 text-xs text-red-600">{errors.usage_unit}</p>
+                )}
+            </td>
             <td className="px-6 py-4 text-center text-sm text-gray-500">-</td>
             <td className="px-6 py-4 text-right space-x-2">
                 <button
@@ -250,7 +279,7 @@ function EditTypeRow({ type, onCancel }) {
     );
 }
 
-function TypeRow({ type, onEdit, onDelete }) {
+function TypeRow({ type, usageUnits, onEdit, onDelete }) {
     const hasUsage = type.accounts_count > 0;
     const canDelete = !hasUsage;
 
@@ -285,6 +314,9 @@ function TypeRow({ type, onEdit, onDelete }) {
                     <span className="text-xs">{getColorScheme(type.color_scheme).name}</span>
                 </span>
             </td>
+            <td className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                {usageUnits[type.usage_unit] ?? '-'}
+            </td>
             <td className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
                 <span title={`${type.accounts_count} accounts, ${type.expenses_count} expenses`}>
                     {type.accounts_count} / {type.expenses_count?.toLocaleString() || 0}
@@ -314,7 +346,7 @@ function TypeRow({ type, onEdit, onDelete }) {
 }
 
 // Mobile card component
-function TypeCard({ type, onEdit, onDelete }) {
+function TypeCard({ type, usageUnits, onEdit, onDelete }) {
     const hasUsage = type.accounts_count > 0;
     const canDelete = !hasUsage;
 
@@ -335,6 +367,7 @@ function TypeCard({ type, onEdit, onDelete }) {
                         <p className="text-sm text-gray-700">{type.label}</p>
                         <p className="text-xs text-gray-500 mt-1">
                             {type.accounts_count} accounts • {type.expenses_count?.toLocaleString() || 0} expenses
+                            {usageUnits[type.usage_unit] && ` • usage in ${usageUnits[type.usage_unit]}`}
                         </p>
                     </div>
                 </div>
@@ -363,12 +396,13 @@ function TypeCard({ type, onEdit, onDelete }) {
 }
 
 // Mobile form for adding/editing types
-function MobileTypeForm({ type, onCancel, isEditing = false }) {
+function MobileTypeForm({ type, usageUnits, onCancel, isEditing = false }) {
     const { data, setData, post, patch, processing, errors, reset } = useForm({
         key: type?.key || '',
         label: type?.label || '',
         icon: type?.icon || 'CubeIcon',
         color_scheme: type?.color_scheme || 'slate',
+        usage_unit: type?.usage_unit ?? null,
     });
 
     const handleSubmit = (e) => {
@@ -439,6 +473,13 @@ function MobileTypeForm({ type, onCancel, isEditing = false }) {
                         <ColorSelector value={data.color_scheme} onChange={(v) => setData('color_scheme', v)} />
                     </div>
                 </div>
+                <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Usage Unit</label>
+                    <UsageUnitSelector value={data.usage_unit} onChange={(v) => setData('usage_unit', v)} usageUnits={usageUnits} />
+                    {errors.usage_unit && (
+                        <p className="mt-1 text-xs text-red-600">{errors.usage_unit}</p>
+                    )}
+                </div>
                 <div className="flex gap-2 pt-2">
                     <button
                         type="submit"
@@ -462,7 +503,7 @@ function MobileTypeForm({ type, onCancel, isEditing = false }) {
     );
 }
 
-export default function UtilityTypes({ utilityTypes }) {
+export default function UtilityTypes({ utilityTypes, usageUnits = {} }) {
     const [isAdding, setIsAdding] = useState(false);
     const [editingId, setEditingId] = useState(null);
 
@@ -519,7 +560,7 @@ export default function UtilityTypes({ utilityTypes }) {
                     {/* Mobile Card View */}
                     <div className="md:hidden">
                         {isAdding && (
-                            <MobileTypeForm onCancel={() => setIsAdding(false)} />
+                            <MobileTypeForm usageUnits={usageUnits} onCancel={() => setIsAdding(false)} />
                         )}
                         {types.length === 0 && !isAdding ? (
                             <div className="px-4 py-12 text-center">
@@ -545,6 +586,7 @@ export default function UtilityTypes({ utilityTypes }) {
                                     <MobileTypeForm
                                         key={type.id}
                                         type={type}
+                                        usageUnits={usageUnits}
                                         onCancel={() => setEditingId(null)}
                                         isEditing
                                     />
@@ -552,6 +594,7 @@ export default function UtilityTypes({ utilityTypes }) {
                                     <TypeCard
                                         key={type.id}
                                         type={type}
+                                        usageUnits={usageUnits}
                                         onEdit={(t) => setEditingId(t.id)}
                                         onDelete={handleDelete}
                                     />
@@ -577,6 +620,9 @@ export default function UtilityTypes({ utilityTypes }) {
                                     <th scope="col" className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
                                         Color
                                     </th>
+                                    <th scope="col" className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Usage Unit
+                                    </th>
                                     <th scope="col" className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
                                         Accounts / Expenses
                                     </th>
@@ -587,19 +633,21 @@ export default function UtilityTypes({ utilityTypes }) {
                             </thead>
                             <tbody className="bg-white divide-y divide-gray-200">
                                 {isAdding && (
-                                    <AddTypeForm onCancel={() => setIsAdding(false)} />
+                                    <AddTypeForm usageUnits={usageUnits} onCancel={() => setIsAdding(false)} />
                                 )}
                                 {types.map((type) => (
                                     editingId === type.id ? (
                                         <EditTypeRow
                                             key={type.id}
                                             type={type}
+                                            usageUnits={usageUnits}
                                             onCancel={() => setEditingId(null)}
                                         />
                                     ) : (
                                         <TypeRow
                                             key={type.id}
                                             type={type}
+                                            usageUnits={usageUnits}
                                             onEdit={(t) => setEditingId(t.id)}
                                             onDelete={handleDelete}
                                         />
@@ -607,7 +655,7 @@ export default function UtilityTypes({ utilityTypes }) {
                                 ))}
                                 {types.length === 0 && !isAdding && (
                                     <tr>
-                                        <td colSpan="6" className="px-6 py-12 text-center">
+                                        <td colSpan="7" className="px-6 py-12 text-center">
                                             <TagIcon className="mx-auto h-12 w-12 text-gray-400" />
                                             <h3 className="mt-2 text-sm font-medium text-gray-900">No utility types configured</h3>
                                             <p className="mt-1 text-sm text-gray-500">
@@ -639,6 +687,7 @@ export default function UtilityTypes({ utilityTypes }) {
                             <li>Utility types are categories for classifying expense accounts (water, electric, gas, etc.)</li>
                             <li>The <strong>key</strong> is used internally and must be lowercase letters, numbers, and underscores</li>
                             <li>Choose an <strong>icon</strong> and <strong>color</strong> to customize how the type appears in the app</li>
+                            <li>Set a <strong>usage unit</strong> to chart consumption and cost per unit for the type; usage on bills in other units is converted</li>
                             <li><strong>System types</strong> (water, electric, etc.) cannot be deleted but can be customized</li>
                             <li>Custom types with account mappings or expenses cannot be deleted</li>
                         </ul>
@@ -0,0 +1,251 @@
+import { useForm, router } from '@inertiajs/react';
+import { useRef } from 'react';
+import AdminLayout from './Index';
+import { ArrowUpTrayIcon, MapPinIcon, SunIcon } from '@heroicons/react/24/outline';
+
+function ImportForm() {
+    const fileInputRef = useRef(null);
+    const { data, setData, post, processing, errors, reset } = useForm({
+        file: null,
+    });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        post(route('admin.weather-data.import'), {
+            preserveScroll: true,
+            onSuccess: () => {
+                reset('file');
+                if (fileInputRef.current) fileInputRef.current.value = '';
+            },
+        });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="card">
+            <div className="card-header">
+                <h3 className="font-medium text-gray-900">Import Degree Days</h3>
+                <p className="mt-1 text-sm text-gray-500">
+                    Columns: <code className="text-xs">month, hdd, cdd</code> plus either{' '}
+                    <code className="text-xs">zip</code> or <code className="text-xs">station</code>.
+                    New stations also need <code className="text-xs">latitude, longitude</code> and may include a{' '}
+                    <code className="text-xs">name</code>. Months look like <code className="text-xs">2026-01</code>;
+                    re-importing a month replaces it. Import several years so each month has a meaningful normal.
+                </p>
+            </div>
+            <div className="card-body flex flex-col sm:flex-row sm:items-center gap-3">
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".csv,text/csv"
+                    onChange={(e) => setData('file', e.target.files[0] ?? null)}
+                    className="text-sm text-gray-700 file:mr-3 file:rounded file:border-0 file:bg-gray-100 file:px-3 file:py-1.5 file:text-sm file:font-medium file:text-gray-700 hover:file:bg-gray-200"
+                />
+                <button
+                    type="submit"
+                    disabled={processing || !data.file}
+                    className="btn-secondary min-h-[44px] sm:min-h-0 disabled:opacity-50"
+                >
+                    <ArrowUpTrayIcon className="w-4 h-4 mr-1" />
+                    {processing ? 'Importing...' : 'Import'}
+                </button>
+            </div>
+            {errors.file && <p className="px-4 sm:px-6 pb-4 -mt-2 text-xs text-red-600">{errors.file}</p>}
+        </form>
+    );
+}
+
+function BasisSettings({ utilityTypes, degreeDayBases }) {
+    const handleChange = (type, basis) => {
+        router.patch(route('admin.weather-data.update-basis', type.id), {
+            degree_day_basis: basis || null,
+        }, { preserveScroll: true });
+    };
+
+    return (
+        <div className="card">
+            <div className="card-header">
+                <h3 className="font-medium text-gray-900">Weather-Sensitive Utilities</h3>
+                <p className="mt-1 text-sm text-gray-500">
+                    Choose the degree days each utility's cost follows. Utilities set to "Not adjusted" always show actual costs.
+                </p>
+            </div>
+            <div className="card-body grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                {utilityTypes.map((type) => (
+                    <div key={type.id}>
+                        <label htmlFor={`basis-${type.key}`} className="block text-sm font-medium text-gray-700">
+                            {type.label}
+                        </label>
+                        <select
+                            id={`basis-${type.key}`}
+                            value={type.degree_day_basis ?? ''}
+                            onChange={(e) => handleChange(type, e.target.value)}
+                            className="input mt-1 w-full min-h-[44px] sm:min-h-0"
+                        >
+                            <option value="">Not adjusted</option>
+                            {Object.entries(degreeDayBases).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+function LocationsTable({ locations }) {
+    return (
+        <div className="card overflow-hidden">
+            <div className="card-header">
+                <h3 className="font-medium text-gray-900">Imported Locations</h3>
+            </div>
+            {locations.length === 0 ? (
+                <div className="py-12 text-center">
+                    <SunIcon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                    <p className="text-gray-500">No degree days imported yet</p>
+                </div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Location
+                                </th>
+                                <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Coordinates
+                                </th>
+                                <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Months
+                                </th>
+                                <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Count
+                                </th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {locations.map((location) => (
+                                <tr key={location.type === 'zip' ? `zip-${location.zip}` : `station-${location.code}`} className="hover:bg-gray-50">
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                                        {location.type === 'zip' ? `ZIP ${location.zip}` : (
+                                            <>
+                                                <span className="font-mono">{location.code}</span>
+                                                {location.name && <span className="ml-2 font-normal text-gray-500">{location.name}</span>}
+                                            </>
+                                        )}
+                                    </td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                                        {location.latitude !== null ? `${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}` : '-'}
+                                    </td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                                        {location.first_month} to {location.last_month}
+                                    </td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-right text-sm text-gray-900">
+                                        {location.month_count}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+function PropertyMatches({ properties, maxStationDistance }) {
+    const unmatchedCount = properties.filter((property) => !property.location).length;
+
+    return (
+        <div className="card overflow-hidden">
+            <div className="card-header flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                <div>
+                    <h3 className="font-medium text-gray-900">Property Matches</h3>
+                    <p className="mt-1 text-sm text-gray-500">
+                        Properties use their ZIP code's degree days, or the nearest station within {maxStationDistance} miles of their geocoded location.
+                    </p>
+                </div>
+                {unmatchedCount > 0 && (
+                    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800 whitespace-nowrap">
+                        {unmatchedCount} unmatched
+                    </span>
+                )}
+            </div>
+            {properties.length === 0 ? (
+                <div className="py-12 text-center">
+                    <MapPinIcon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                    <p className="text-gray-500">No active properties</p>
+                </div>
+            ) : (
+                <div className="overflow-x-auto max-h-[480px]">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50 sticky top-0">
+                            <tr>
+                                <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Property
+                                </th>
+                                <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    ZIP
+                                </th>
+                                <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Degree Days From
+                                </th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {properties.map((property) => (
+                                <tr key={property.id} className="hover:bg-gray-50">
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                                        {property.name}
+                                    </td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                                        {property.zip || '-'}
+                                    </td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                                        {property.location ? (
+                                            <span className="text-gray-900">
+                                                {property.location.label}
+                                                {property.location.distance !== null && (
+                                                    <span className="ml-1 text-gray-500">({property.location.distance} mi)</span>
+                                                )}
+                                            </span>
+                                        ) : (
+                                            <span className="text-yellow-700">
+                                                {property.has_coordinates ? 'No data nearby' : 'Not geocoded'}
+                                            </span>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default function WeatherData({ locations, properties, utilityTypes, degreeDayBases, maxStationDistance }) {
+    const types = Array.isArray(utilityTypes) ? utilityTypes : [];
+
+    return (
+        <AdminLayout currentTab="weather-data">
+            <div className="space-y-6">
+                <div>
+                    <h2 className="text-lg font-medium text-gray-900">Weather Data</h2>
+                    <p className="mt-1 text-sm text-gray-500">
+                        Heating and cooling degree days used to show weather-adjusted utility costs and to keep cold or hot months from flagging anomalies.
+                    </p>
+                </div>
+
+                <BasisSettings utilityTypes={types} degreeDayBases={degreeDayBases} />
+
+                <ImportForm />
+
+                <LocationsTable locations={locations} />
+
+                <PropertyMatches properties={properties} maxStationDistance={maxStationDistance} />
+            </div>
+        </AdminLayout>
+    );
+}
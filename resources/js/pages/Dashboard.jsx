@@ -1,18 +1,211 @@
-import { Head } from '@inertiajs/react';
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { Head, router } from '@inertiajs/react';
 import Layout from '../components/Layout';
 import KpiCard from '../components/Dashboard/KpiCard';
+import { buildKpiTrend } from '../components/Dashboard/kpiTrends';
 import SyncHealthWidget from '../components/Dashboard/SyncHealthWidget';
 import OccupancyChart from '../components/Dashboard/OccupancyChart';
 import DelinquencyChart from '../components/Dashboard/DelinquencyChart';
+import TrendControls from '../components/Dashboard/TrendControls';
+import ScopeSelector from '../components/Dashboard/ScopeSelector';
+import PropertySummary from '../components/Dashboard/PropertySummary';
+import DrillDownPanel from '../components/Dashboard/DrillDownPanel';
+import LiveRefreshIndicator from '../components/Dashboard/LiveRefreshIndicator';
+import DashboardWidget from '../components/Dashboard/DashboardWidget';
+import AddWidgetMenu from '../components/Dashboard/AddWidgetMenu';
+import VendorInsuranceWidget from '../components/Dashboard/VendorInsuranceWidget';
+import UtilityTrendChart from '../components/Utilities/UtilityTrendChart';
+import AnomalyAlerts from '../components/Utilities/AnomalyAlerts';
 import {
     BuildingOfficeIcon,
     CurrencyDollarIcon,
     WrenchScrewdriverIcon,
     UserGroupIcon,
+    Squares2X2Icon,
 } from '@heroicons/react/24/outline';
 
-export default function Dashboard({ syncStatus, syncHealth, kpis, propertyRollups }) {
+// Props reloaded when a sync run finishes or analytics are refreshed
+const LIVE_PROPS = ['syncStatus', 'syncHealth', 'kpis', 'propertySummary', 'widgetData'];
+
+export default function Dashboard({
+    syncStatus,
+    syncHealth,
+    kpis,
+    comparisonPeriods = {},
+    trendFilters: initialTrendFilters,
+    trendOptions,
+    scope,
+    scopeOptions,
+    propertySummary,
+    layout = [],
+    widgetRegistry = [],
+    widgetData = {},
+}) {
     const currentKpis = kpis?.current;
+    const comparison = kpis?.comparison;
+    const comparePeriod = comparison?.period || 'last_week';
+    const trendLabel = `vs ${(comparisonPeriods[comparePeriod] || 'last period').toLowerCase()}`;
+
+    const [trendFilters, setTrendFilters] = useState(initialTrendFilters || {
+        range: '30d',
+        granularity: 'daily',
+    });
+    const [trendData, setTrendData] = useState(kpis?.trend || []);
+    const [trendLoading, setTrendLoading] = useState(false);
+    const trendRequest = useRef(null);
+
+    useEffect(() => {
+        setTrendData(kpis?.trend || []);
+    }, [kpis?.trend]);
+
+    useEffect(() => () => trendRequest.current?.abort(), []);
+
+    // Chart point whose underlying records are shown in the side panel
+    const [drillDown, setDrillDown] = useState(null);
+
+    const [editingLayout, setEditingLayout] = useState(false);
+    const [draftLayout, setDraftLayout] = useState(layout);
+    const [savingLayout, setSavingLayout] = useState(false);
+    const [dragIndex, setDragIndex] = useState(null);
+    const [dragOverIndex, setDragOverIndex] = useState(null);
+
+    useEffect(() => {
+        setDraftLayout(layout);
+    }, [layout]);
+
+    const registryByKey = Object.fromEntries(widgetRegistry.map((widget) => [widget.key, widget]));
+    const activeLayout = editingLayout ? draftLayout : layout;
+    const availableWidgets = widgetRegistry.filter(
+        (widget) => !draftLayout.some((item) => item.key === widget.key)
+    );
+
+    const moveWidget = (from, to) => {
+        if (to < 0 || to >= draftLayout.length || from === to) return;
+        setDraftLayout((current) => {
+            const next = [...current];
+            const [moved] = next.splice(from, 1);
+            next.splice(to, 0, moved);
+            return next;
+        });
+    };
+
+    const resizeWidget = (index, size) => {
+        setDraftLayout((current) => current.map((item, i) => (i === index ? { ...item, size } : item)));
+    };
+
+    const removeWidget = (index) => {
+        setDraftLayout((current) => current.filter((_, i) => i !== index));
+    };
+
+    const addWidget = (key) => {
+        const widget = registryByKey[key];
+        if (!widget) return;
+        setDraftLayout((current) => [...current, { key, size: widget.default_size }]);
+    };
+
+    const dragHandlersFor = (index) => ({
+        onDragStart: (e) => {
+            setDragIndex(index);
+            e.dataTransfer.effectAllowed = 'move';
+        },
+        onDragOver: (e) => {
+            e.preventDefault();
+            setDragOverIndex(index);
+        },
+        onDrop: (e) => {
+            e.preventDefault();
+            if (dragIndex !== null) moveWidget(dragIndex, index);
+            setDragIndex(null);
+            setDragOverIndex(null);
+        },
+        onDragEnd: () => {
+            setDragIndex(null);
+            setDragOverIndex(null);
+        },
+    });
+
+    const cancelLayoutEdit = () => {
+        setDraftLayout(layout);
+        setEditingLayout(false);
+    };
+
+    const saveLayout = () => {
+        router.put(route('dashboard.layout.update'), { layout: draftLayout }, {
+            preserveScroll: true,
+            onStart: () => setSavingLayout(true),
+            onSuccess: () => setEditingLayout(false),
+            onFinish: () => setSavingLayout(false),
+        });
+    };
+
+    const resetLayout = () => {
+        if (!confirm('Reset your Dashboard to the default layout?')) return;
+        router.delete(route('dashboard.layout.reset'), {
+            preserveScroll: true,
+            onStart: () => setSavingLayout(true),
+            onSuccess: () => setEditingLayout(false),
+            onFinish: () => setSavingLayout(false),
+        });
+    };
+
+    const handleCompareChange = (e) => {
+        // Keep the chart range and granularity in the query string
+        const params = Object.fromEntries(new URLSearchParams(window.location.search));
+        router.get(route('dashboard'), { ...params, compare: e.target.value }, {
+            preserveState: true,
+            preserveScroll: true,
+        });
+    };
+
+    // Re-fetch chart data for the new range/granularity and persist it in the URL
+    const handleTrendChange = useCallback(async (filters) => {
+        setTrendFilters(filters);
+
+        const params = {
+            range: filters.range,
+            granularity: filters.granularity,
+        };
+        if (filters.range === 'custom') {
+            params.start_date = filters.start_date;
+            params.end_date = filters.end_date;
+        }
+
+        const url = new URL(window.location);
+        ['range', 'granularity', 'start_date', 'end_date'].forEach((key) => url.searchParams.delete(key));
+        Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+        window.history.replaceState({}, '', url);
+
+        trendRequest.current?.abort();
+        const controller = new AbortController();
+        trendRequest.current = controller;
+
+        try {
+            setTrendLoading(true);
+            const response = await fetch(route('api.dashboard.stats', params), {
+                headers: {
+                    'Accept': 'application/json',
+                    'X-Requested-With': 'XMLHttpRequest',
+                },
+                credentials: 'same-origin',
+                signal: controller.signal,
+            });
+            if (response.ok) {
+                const result = await response.json();
+                setTrendData(result.kpis?.trend || []);
+                if (result.trendFilters) {
+                    setTrendFilters(result.trendFilters);
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Failed to fetch dashboard trend data:', error);
+            }
+        } finally {
+            if (trendRequest.current === controller) {
+                setTrendLoading(false);
+            }
+        }
+    }, []);
 
     const formatCurrency = (value) => {
         if (!value) return '$0';
@@ -33,143 +226,253 @@ export default function Dashboard({ syncStatus, syncHealth, kpis, propertyRollup
         return parseFloat(value || 0).toFixed(1);
     };
 
-    return (
-        <Layout>
-            <Head title="Dashboard" />
+    const hasTrendWidget = activeLayout.some(
+        (item) => item.key === 'occupancy_chart' || item.key === 'delinquency_chart'
+    );
 
-            <div className="space-y-6">
-                {/* Header */}
-                <div>
-                    <h1 className="text-2xl font-bold text-gray-900">Dashboard</h1>
-                    <p className="mt-1 text-sm text-gray-500">
-                        Property management overview and key metrics
-                    </p>
-                </div>
+    // Optional widgets only receive data once they are part of the saved layout
+    const renderPendingWidget = (label) => (
+        <div className="card h-full">
+            <div className="card-body text-center text-sm text-gray-500 py-8">
+                {label} will load after you save the layout.
+            </div>
+        </div>
+    );
 
-                {/* KPI Cards */}
-                <div className="grid grid-cols-2 md:grid-cols-2 lg:grid-cols-4 gap-3 md:gap-4">
+    const renderWidget = (key) => {
+        switch (key) {
+            case 'kpi_occupancy':
+                return (
                     <KpiCard
                         title="Occupancy Rate"
                         value={formatPercent(currentKpis?.occupancy_rate)}
                         subtitle={`${currentKpis?.vacancy_count || 0} vacant units`}
                         icon={BuildingOfficeIcon}
+                        {...buildKpiTrend('occupancy_rate', comparison?.deltas?.occupancy_rate)}
+                        trendLabel={trendLabel}
                     />
+                );
+            case 'kpi_delinquency':
+                return (
                     <KpiCard
                         title="Total Delinquency"
                         value={formatCurrency(currentKpis?.delinquency_amount)}
                         icon={CurrencyDollarIcon}
+                        {...buildKpiTrend('delinquency_amount', comparison?.deltas?.delinquency_amount)}
+                        trendLabel={trendLabel}
                     />
+                );
+            case 'kpi_work_orders':
+                return (
                     <KpiCard
                         title="Open Work Orders"
                         value={currentKpis?.open_work_orders || 0}
                         subtitle={`Avg ${formatDays(currentKpis?.avg_days_open_work_orders)} days open`}
                         icon={WrenchScrewdriverIcon}
+                        {...buildKpiTrend('open_work_orders', comparison?.deltas?.open_work_orders)}
+                        trendLabel={trendLabel}
                     />
+                );
+            case 'kpi_vacancy':
+                return (
                     <KpiCard
                         title="Vacancy Count"
                         value={currentKpis?.vacancy_count || 0}
                         icon={UserGroupIcon}
+                        {...buildKpiTrend('vacancy_count', comparison?.deltas?.vacancy_count)}
+                        trendLabel={trendLabel}
                     />
-                </div>
+                );
+            case 'occupancy_chart':
+                return (
+                    <div className={`transition-opacity ${trendLoading ? 'opacity-60' : ''}`}>
+                        <OccupancyChart
+                            data={trendData}
+                            granularity={trendFilters.granularity}
+                            onSelect={(date) => setDrillDown({ metric: 'occupancy', date })}
+                        />
+                    </div>
+                );
+            case 'delinquency_chart':
+                return (
+                    <div className={`transition-opacity ${trendLoading ? 'opacity-60' : ''}`}>
+                        <DelinquencyChart
+                            data={trendData}
+                            granularity={trendFilters.granularity}
+                            onSelect={(date) => setDrillDown({ metric: 'delinquency', date })}
+                        />
+                    </div>
+                );
+            case 'sync_health':
+                return <SyncHealthWidget initialData={syncHealth} />;
+            case 'property_summary':
+                return <PropertySummary summary={propertySummary} />;
+            case 'utility_trend':
+                return widgetData.utility_trend
+                    ? <UtilityTrendChart data={widgetData.utility_trend.data} utilityTypes={widgetData.utility_trend.utilityTypes} weatherAdjustedData={widgetData.utility_trend.weatherAdjustedData} usageData={widgetData.utility_trend.usageData} />
+                    : renderPendingWidget('Utility Cost Trend');
+            case 'utility_anomalies':
+                if (!widgetData.utility_anomalies) {
+                    return renderPendingWidget('Utility Anomalies');
+                }
+                return widgetData.utility_anomalies.anomalies.length > 0 ? (
+                    <AnomalyAlerts anomalies={widgetData.utility_anomalies.anomalies} />
+                ) : (
+                    <div className="card h-full">
+                        <div className="card-header">
+                            <h3 className="text-lg font-medium text-gray-900">Anomaly Alerts</h3>
+                        </div>
+                        <div className="card-body text-center text-sm text-gray-500">
+                            No open utility anomalies
+                        </div>
+                    </div>
+                );
+            case 'vendor_insurance':
+                return widgetData.vendor_insurance ? (
+                    <VendorInsuranceWidget
+                        vendors={widgetData.vendor_insurance.vendors}
+                        stats={widgetData.vendor_insurance.stats}
+                    />
+                ) : renderPendingWidget('Vendor Insurance Compliance');
+            default:
+                return null;
+        }
+    };
 
-                {/* Charts Row */}
-                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 md:gap-6">
-                    <OccupancyChart data={kpis?.trend} />
-                    <DelinquencyChart data={kpis?.trend} />
+    return (
+        <Layout>
+            <Head title="Dashboard" />
+
+            <div className="space-y-6">
+                {/* Header */}
+                <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3">
+                    <div>
+                        <h1 className="text-2xl font-bold text-gray-900">Dashboard</h1>
+                        <p className="mt-1 text-sm text-gray-500">
+                            Property management overview and key metrics
+                        </p>
+                    </div>
+                    <div className="flex flex-col sm:flex-row gap-3">
+                        <ScopeSelector scope={scope} options={scopeOptions} />
+                        {Object.keys(comparisonPeriods).length > 0 && (
+                            <div className="sm:w-56">
+                                <label htmlFor="compare-period" className="label">
+                                    Compare to
+                                </label>
+                                <select
+                                    id="compare-period"
+                                    value={comparePeriod}
+                                    onChange={handleCompareChange}
+                                    className="input min-h-[44px]"
+                                >
+                                    {Object.entries(comparisonPeriods).map(([value, label]) => (
+                                        <option key={value} value={value}>
+                                            {label}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                    </div>
                 </div>
 
-                {/* Bottom Row */}
-                <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 md:gap-6">
-                    {/* Sync Health Widget */}
-                    <SyncHealthWidget initialData={syncHealth} />
+                {/* Live Updates and Layout Editing Toolbar */}
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                    <LiveRefreshIndicator only={LIVE_PROPS} />
+                    <div className="flex flex-wrap items-center justify-end gap-2">
+                        {editingLayout ? (
+                            <>
+                                <AddWidgetMenu widgets={availableWidgets} onAdd={addWidget} />
+                                <button
+                                    type="button"
+                                    onClick={resetLayout}
+                                    disabled={savingLayout}
+                                    className="btn-secondary min-h-[44px]"
+                                >
+                                    Reset to Default
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={cancelLayoutEdit}
+                                    disabled={savingLayout}
+                                    className="btn-secondary min-h-[44px]"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={saveLayout}
+                                    disabled={savingLayout}
+                                    className="btn-primary min-h-[44px]"
+                                >
+                                    {savingLayout ? 'Saving...' : 'Save Layout'}
+                                </button>
+                            </>
+                        ) : (
+                            <button
+                                type="button"
+                                onClick={() => setEditingLayout(true)}
+                                className="btn-secondary flex items-center gap-1 min-h-[44px]"
+                            >
+                                <Squares2X2Icon className="w-4 h-4" />
+                                Customize
+                            </button>
+                        )}
+                    </div>
+                </div>
 
-                    {/* Property Rollups */}
-                    <div className="lg:col-span-2 card">
-                        <div className="card-header">
-                            <h3 className="text-lg font-medium text-gray-900">Property Summary</h3>
-                        </div>
+                {/* Trend Controls */}
+                {trendOptions && hasTrendWidget && (
+                    <TrendControls
+                        filters={trendFilters}
+                        options={trendOptions}
+                        onChange={handleTrendChange}
+                        loading={trendLoading}
+                    />
+                )}
 
-                        {/* Desktop Table */}
-                        <div className="hidden md:block overflow-x-auto">
-                            <table className="min-w-full divide-y divide-gray-200">
-                                <thead className="bg-gray-50">
-                                    <tr>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                            Property
-                                        </th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                            Vacancies
-                                        </th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                            Delinquency
-                                        </th>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                            Work Orders
-                                        </th>
-                                    </tr>
-                                </thead>
-                                <tbody className="bg-white divide-y divide-gray-200">
-                                    {(!propertyRollups || propertyRollups.length === 0) ? (
-                                        <tr>
-                                            <td colSpan="4" className="px-6 py-8 text-center text-gray-500">
-                                                No property data available
-                                            </td>
-                                        </tr>
-                                    ) : (
-                                        propertyRollups.map((property) => (
-                                            <tr key={property.property_id}>
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                                                    {property.property_name}
-                                                </td>
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                                                    {property.vacancy_count}
-                                                </td>
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                                                    {formatCurrency(property.delinquency_amount)}
-                                                </td>
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                                                    {property.open_work_orders}
-                                                </td>
-                                            </tr>
-                                        ))
-                                    )}
-                                </tbody>
-                            </table>
+                {/* Widget Grid */}
+                {activeLayout.length === 0 ? (
+                    <div className="card">
+                        <div className="card-body text-center text-gray-500 py-12">
+                            {editingLayout
+                                ? 'Your Dashboard is empty. Use "Add Widget" to add some.'
+                                : 'Your Dashboard is empty. Click "Customize" to add widgets.'}
                         </div>
+                    </div>
+                ) : (
+                    <div className="grid grid-cols-2 lg:grid-cols-12 gap-3 md:gap-4">
+                        {activeLayout.map((item, index) => {
+                            const widget = registryByKey[item.key];
+                            if (!widget) return null;
 
-                        {/* Mobile Cards */}
-                        <div className="md:hidden divide-y divide-gray-200">
-                            {(!propertyRollups || propertyRollups.length === 0) ? (
-                                <div className="p-4 text-center text-gray-500">
-                                    No property data available
-                                </div>
-                            ) : (
-                                propertyRollups.map((property) => (
-                                    <div key={property.property_id} className="p-4">
-                                        <div className="font-medium text-gray-900 mb-2">
-                                            {property.property_name}
-                                        </div>
-                                        <div className="grid grid-cols-3 gap-2 text-sm">
-                                            <div>
-                                                <div className="text-gray-500 text-xs">Vacancies</div>
-                                                <div className="text-gray-900">{property.vacancy_count}</div>
-                                            </div>
-                                            <div>
-                                                <div className="text-gray-500 text-xs">Delinquency</div>
-                                                <div className="text-gray-900">{formatCurrency(property.delinquency_amount)}</div>
-                                            </div>
-                                            <div>
-                                                <div className="text-gray-500 text-xs">Work Orders</div>
-                                                <div className="text-gray-900">{property.open_work_orders}</div>
-                                            </div>
-                                        </div>
-                                    </div>
-                                ))
-                            )}
-                        </div>
+                            return (
+                                <DashboardWidget
+                                    key={item.key}
+                                    widget={widget}
+                                    size={item.size}
+                                    editing={editingLayout}
+                                    isFirst={index === 0}
+                                    isLast={index === activeLayout.length - 1}
+                                    isDragTarget={dragOverIndex === index && dragIndex !== index}
+                                    onMove={(direction) => moveWidget(index, index + direction)}
+                                    onResize={(size) => resizeWidget(index, size)}
+                                    onRemove={() => removeWidget(index)}
+                                    dragHandlers={dragHandlersFor(index)}
+                                >
+                                    {renderWidget(item.key)}
+                                </DashboardWidget>
+                            );
+                        })}
                     </div>
-                </div>
+                )}
             </div>
+
+            <DrillDownPanel
+                selection={drillDown}
+                granularity={trendFilters.granularity}
+                onClose={() => setDrillDown(null)}
+            />
         </Layout>
     );
 }
@@ -0,0 +1,223 @@
+import { Head, Link, router } from '@inertiajs/react';
+import { useState, useMemo } from 'react';
+import Layout from '../../components/Layout';
+import PageHeader from '../../components/PageHeader';
+import StatsGrid from '../../components/StatsGrid';
+import StatCard from '../../components/StatCard';
+import MobileCard from '../../components/MobileCard';
+import ExpirationHeatmap from '../../components/Leasing/ExpirationHeatmap';
+import { CalendarDaysIcon } from '@heroicons/react/24/outline';
+
+const formatCurrency = (amount) => {
+    if (amount === null || amount === undefined) return '-';
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0,
+    }).format(amount);
+};
+
+const formatDate = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+    });
+};
+
+const formatPercent = (value) => `${Number(value ?? 0).toFixed(1)}%`;
+
+const getDaysBadgeClass = (days) => {
+    if (days <= 30) return 'bg-red-100 text-red-800';
+    if (days <= 60) return 'bg-yellow-100 text-yellow-800';
+    return 'bg-blue-100 text-blue-800';
+};
+
+export default function LeasingIndex({ overview, filters, portfolios, windows }) {
+    const [selectedWindow, setSelectedWindow] = useState(windows[windows.length - 1]);
+
+    const handlePortfolioChange = (portfolio) => {
+        router.get(route('leasing.index'), portfolio ? { portfolio } : {}, { preserveState: true });
+    };
+
+    const occupancy = overview.occupancy.portfolio;
+    const counts = overview.expirations.counts;
+
+    // Narrow each property's leases to the selected window, dropping empty groups
+    const groups = useMemo(() => (
+        overview.expirations.groups
+            .map((group) => ({
+                ...group,
+                leases: group.leases.filter((lease) => lease.days_to_expiration <= selectedWindow),
+            }))
+            .filter((group) => group.leases.length > 0)
+    ), [overview.expirations.groups, selectedWindow]);
+
+    const unitsTabUrl = (propertyId) => route('properties.show', { property: propertyId, tab: 'units' });
+
+    return (
+        <Layout>
+            <Head title="Leasing" />
+
+            <div className="space-y-6">
+                <PageHeader
+                    title="Leasing"
+                    subtitle="Upcoming lease expirations and their effect on occupancy"
+                    icon={CalendarDaysIcon}
+                    actions={portfolios.length > 0 && (
+                        <select
+                            value={filters.portfolio || ''}
+                            onChange={(e) => handlePortfolioChange(e.target.value)}
+                            className="input py-1.5 pr-8 min-h-[44px] sm:min-h-0"
+                            aria-label="Portfolio"
+                        >
+                            <option value="">All Portfolios</option>
+                            {portfolios.map((portfolio) => (
+                                <option key={portfolio} value={portfolio}>{portfolio}</option>
+                            ))}
+                        </select>
+                    )}
+                />
+
+                {/* Occupancy impact if none renew */}
+                <div>
+                    <h2 className="text-sm font-medium text-gray-700 mb-3">Projected Occupancy if None Renew</h2>
+                    <StatsGrid columns={windows.length + 1}>
+                        <StatCard
+                            label="Current Occupancy"
+                            value={formatPercent(occupancy.occupancy_rate)}
+                            subtitle={`${occupancy.occupied_units} of ${occupancy.total_units} units leased`}
+                        />
+                        {occupancy.projections.map((projection) => (
+                            <StatCard
+                                key={projection.days}
+                                label={`In ${projection.days} Days`}
+                                value={formatPercent(projection.occupancy_rate)}
+                                trend={`${(projection.occupancy_rate - occupancy.occupancy_rate).toFixed(1)} pts`}
+                                trendDirection={projection.occupancy_rate < occupancy.occupancy_rate ? 'down' : 'neutral'}
+                                subtitle={`${counts[projection.days] ?? 0} leases expiring`}
+                            />
+                        ))}
+                    </StatsGrid>
+                </div>
+
+                <ExpirationHeatmap heatmap={overview.heatmap} />
+
+                {/* Upcoming expirations grouped by property */}
+                <div className="card">
+                    <div className="card-header flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                        <div>
+                            <h2 className="text-base md:text-lg font-medium text-gray-900">Upcoming Expirations</h2>
+                            <p className="text-sm text-gray-500">Current leases ending within {selectedWindow} days</p>
+                        </div>
+                        <div className="inline-flex rounded-lg border border-gray-200 p-1" role="group" aria-label="Expiration window">
+                            {windows.map((window) => (
+                                <button
+                                    key={window}
+                                    type="button"
+                                    onClick={() => setSelectedWindow(window)}
+                                    aria-pressed={selectedWindow === window}
+                                    className={`px-3 py-1.5 text-sm font-medium rounded-md min-h-[44px] sm:min-h-0 ${
+                                        selectedWindow === window
+                                            ? 'bg-blue-600 text-white'
+                                            : 'text-gray-600 hover:bg-gray-100'
+                                    }`}
+                                >
+                                    {window} days ({counts[window] ?? 0})
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    {groups.length === 0 ? (
+                        <div className="card-body py-12 text-center">
+                            <CalendarDaysIcon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                            <p className="text-gray-500">No leases expire in the next {selectedWindow} days</p>
+                        </div>
+                    ) : (
+                        <div className="divide-y divide-gray-200">
+                            {groups.map((group) => {
+                                const propertyOccupancy = overview.occupancy.properties[group.property_id];
+                                const projected = propertyOccupancy?.projections.find((p) => p.days === selectedWindow);
+
+                                return (
+                                    <section key={group.property_id}>
+                                        <div className="px-4 md:px-6 py-3 bg-gray-50 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1">
+                                            <Link
+                                                href={unitsTabUrl(group.property_id)}
+                                                className="font-medium text-gray-900 hover:text-blue-600"
+                                            >
+                                                {group.property_name}
+                                            </Link>
+                                            {propertyOccupancy && projected && (
+                                                <span className="text-xs text-gray-600">
+                                                    {group.leases.length} expiring · occupancy {formatPercent(propertyOccupancy.occupancy_rate)} → {formatPercent(projected.occupancy_rate)}
+                                                </span>
+                                            )}
+                                        </div>
+
+                                        {/* Mobile */}
+                                        <div className="md:hidden divide-y divide-gray-100">
+                                            {group.leases.map((lease) => (
+                                                <MobileCard
+                                                    key={lease.lease_id}
+                                                    header={`Unit ${lease.unit_number}`}
+                                                    subheader={lease.tenant_name || 'Unknown tenant'}
+                                                    badges={[{
+                                                        label: `${lease.days_to_expiration}d left`,
+                                                        variant: lease.days_to_expiration <= 30 ? 'danger' : lease.days_to_expiration <= 60 ? 'warning' : 'info',
+                                                    }]}
+                                                    fields={[
+                                                        { label: 'Lease End', value: formatDate(lease.end_date) },
+                                                        { label: 'Rent', value: formatCurrency(lease.rent) },
+                                                        { label: 'Market Rent', value: formatCurrency(lease.market_rent) },
+                                                    ]}
+                                                    onClick={() => router.visit(unitsTabUrl(group.property_id))}
+                                                />
+                                            ))}
+                                        </div>
+
+                                        {/* Desktop */}
+                                        <table className="hidden md:table min-w-full divide-y divide-gray-100">
+                                            <tbody className="bg-white divide-y divide-gray-100">
+                                                {group.leases.map((lease) => (
+                                                    <tr key={lease.lease_id} className="hover:bg-gray-50">
+                                                        <td className="px-6 py-3 whitespace-nowrap w-32">
+                                                            <Link
+                                                                href={unitsTabUrl(group.property_id)}
+                                                                className="text-sm font-medium text-blue-600 hover:text-blue-800"
+                                                            >
+                                                                Unit {lease.unit_number}
+                                                            </Link>
+                                                        </td>
+                                                        <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">
+                                                            {lease.tenant_name || <span className="text-gray-400 italic">Unknown tenant</span>}
+                                                        </td>
+                                                        <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                                                            Ends {formatDate(lease.end_date)}
+                                                        </td>
+                                                        <td className="px-6 py-3 whitespace-nowrap">
+                                                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getDaysBadgeClass(lease.days_to_expiration)}`}>
+                                                                {lease.days_to_expiration} days
+                                                            </span>
+                                                        </td>
+                                                        <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900 text-right">
+                                                            {formatCurrency(lease.rent)}
+                                                            <span className="text-gray-400"> / {formatCurrency(lease.market_rent)} market</span>
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </section>
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </Layout>
+    );
+}
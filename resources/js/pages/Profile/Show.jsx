@@ -1,9 +1,9 @@
-import { Head, useForm } from '@inertiajs/react';
+import { Head, useForm, router } from '@inertiajs/react';
 import { useState } from 'react';
 import Layout from '../../components/Layout';
-import { EyeIcon, EyeSlashIcon, UserCircleIcon, KeyIcon } from '@heroicons/react/24/outline';
+import { EyeIcon, EyeSlashIcon, UserCircleIcon, KeyIcon, EnvelopeIcon } from '@heroicons/react/24/outline';
 
-export default function Show({ user }) {
+export default function Show({ user, digestSubscription, digestOptions }) {
     const [showCurrentPassword, setShowCurrentPassword] = useState(false);
     const [showNewPassword, setShowNewPassword] = useState(false);
 
@@ -19,6 +19,32 @@ export default function Show({ user }) {
         password_confirmation: '',
     });
 
+    // Dashboard digest form
+    const digestForm = useForm({
+        cadence: digestSubscription?.cadence || 'weekly',
+        portfolios: digestSubscription?.portfolios || [],
+        property_types: digestSubscription?.property_types || [],
+    });
+
+    const toggleDigestScope = (field, value) => {
+        const current = digestForm.data[field];
+        digestForm.setData(field, current.includes(value)
+            ? current.filter((item) => item !== value)
+            : [...current, value]);
+    };
+
+    const handleDigestSubmit = (e) => {
+        e.preventDefault();
+        digestForm.put(route('profile.digest.update'), { preserveScroll: true });
+    };
+
+    const handleDigestUnsubscribe = () => {
+        router.delete(route('profile.digest.destroy'), {
+            preserveScroll: true,
+            onSuccess: () => digestForm.reset(),
+        });
+    };
+
     const handleProfileSubmit = (e) => {
         e.preventDefault();
         profileForm.patch(route('profile.update'));
@@ -265,6 +291,114 @@ export default function Show({ user }) {
                     </div>
                 </div>
 
+                {/* Dashboard Digest Card */}
+                {digestOptions && (
+                    <div className="card">
+                        <div className="card-header">
+                            <div className="flex items-center gap-3">
+                                <EnvelopeIcon className="w-5 h-5 text-gray-400" />
+                                <h3 className="text-lg font-medium text-gray-900">Dashboard Digest</h3>
+                            </div>
+                            <p className="mt-1 text-sm text-gray-500">
+                                {digestSubscription
+                                    ? `You receive a ${digestSubscription.cadence} email snapshot of the Dashboard${
+                                        digestSubscription.last_sent_at
+                                            ? `, last sent ${new Date(digestSubscription.last_sent_at).toLocaleDateString('en-US', {
+                                                month: 'short',
+                                                day: 'numeric',
+                                                year: 'numeric',
+                                            })}`
+                                            : ''
+                                    }.`
+                                    : 'Get a weekly or monthly email with KPIs, trends, and the properties with the most delinquency.'}
+                            </p>
+                        </div>
+                        <div className="card-body">
+                            <form onSubmit={handleDigestSubmit} className="space-y-4">
+                                <fieldset>
+                                    <legend className="label">Frequency</legend>
+                                    <div className="flex flex-wrap gap-4">
+                                        {Object.entries(digestOptions.cadences).map(([value, label]) => (
+                                            <label key={value} className="flex items-center gap-2 min-h-[44px] text-sm text-gray-700">
+                                                <input
+                                                    type="radio"
+                                                    name="cadence"
+                                                    value={value}
+                                                    checked={digestForm.data.cadence === value}
+                                                    onChange={() => digestForm.setData('cadence', value)}
+                                                    className="text-blue-600 focus:ring-blue-500"
+                                                />
+                                                {label}
+                                            </label>
+                                        ))}
+                                    </div>
+                                    <p className="mt-1 text-xs text-gray-500">
+                                        Weekly digests arrive Monday mornings; monthly digests on the 1st.
+                                    </p>
+                                    {digestForm.errors.cadence && (
+                                        <p className="mt-1 text-sm text-red-600">{digestForm.errors.cadence}</p>
+                                    )}
+                                </fieldset>
+
+                                <div className="grid gap-4 sm:grid-cols-2">
+                                    {[
+                                        { field: 'portfolios', label: 'Portfolios', options: digestOptions.portfolios },
+                                        { field: 'property_types', label: 'Property Types', options: digestOptions.propertyTypes },
+                                    ].map(({ field, label, options }) => (
+                                        <fieldset key={field}>
+                                            <legend className="label">{label}</legend>
+                                            {options.length === 0 ? (
+                                                <p className="text-sm text-gray-500">None available</p>
+                                            ) : (
+                                                <div className="max-h-40 overflow-y-auto space-y-1">
+                                                    {options.map((option) => (
+                                                        <label key={option} className="flex items-center gap-2 text-sm text-gray-700">
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={digestForm.data[field].includes(option)}
+                                                                onChange={() => toggleDigestScope(field, option)}
+                                                                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                                            />
+                                                            <span className={field === 'property_types' ? 'capitalize' : ''}>{option}</span>
+                                                        </label>
+                                                    ))}
+                                                </div>
+                                            )}
+                                            {digestForm.errors[field] && (
+                                                <p className="mt-1 text-sm text-red-600">{digestForm.errors[field]}</p>
+                                            )}
+                                        </fieldset>
+                                    ))}
+                                </div>
+                                <p className="text-xs text-gray-500">
+                                    Leave both lists empty to cover all properties.
+                                </p>
+
+                                <div className="pt-2 flex flex-col sm:flex-row gap-2">
+                                    <button
+                                        type="submit"
+                                        disabled={digestForm.processing}
+                                        className="btn-primary min-h-[44px] w-full sm:w-auto"
+                                    >
+                                        {digestForm.processing
+                                            ? 'Saving...'
+                                            : (digestSubscription ? 'Update Subscription' : 'Subscribe')}
+                                    </button>
+                                    {digestSubscription && (
+                                        <button
+                                            type="button"
+                                            onClick={handleDigestUnsubscribe}
+                                            className="btn-secondary min-h-[44px] w-full sm:w-auto"
+                                        >
+                                            Unsubscribe
+                                        </button>
+                                    )}
+                                </div>
+                            </form>
+                        </div>
+                    </div>
+                )}
+
                 {/* Account Details Card */}
                 <div className="card">
                     <div className="card-header">
@@ -0,0 +1,280 @@
+import { Head, Link, router } from '@inertiajs/react';
+import Layout from '../../components/Layout';
+import PageHeader from '../../components/PageHeader';
+import AdjustedValue from '../../components/AdjustedValue';
+import PropertyComparePicker from '../../components/Property/PropertyComparePicker';
+import ComparisonTrendChart from '../../components/Property/ComparisonTrendChart';
+import { formatCurrency } from '../../components/Utilities/constants';
+import { BuildingOfficeIcon, ScaleIcon } from '@heroicons/react/24/outline';
+
+// One line color per compared property, in selection order
+const PROPERTY_COLORS = ['#2563EB', '#DC2626', '#059669', '#D97706', '#7C3AED'];
+
+const formatNumber = (value) => (value === null || value === undefined ? '-' : value.toLocaleString());
+const formatOccupancy = (value) => (value === null || value === undefined ? '-' : `${value.toFixed(1)}%`);
+const formatPerSqft = (value) => (value === null || value === undefined ? '-' : `$${value.toFixed(2)}`);
+const formatCurrencyShort = (value) => formatCurrency(value, { abbreviated: true });
+
+// Columns in the comparison table; `note` is shown under the heading
+const COLUMNS = [
+    { key: 'occupancy_rate', label: 'Occupancy', note: 'Current', format: formatOccupancy },
+    { key: 'delinquency_amount', label: 'Delinquency', note: 'Latest', format: (value) => formatCurrency(value) },
+    { key: 'work_order_count', label: 'Work Orders', note: 'Last 12 mo', format: formatNumber },
+    { key: 'work_order_spend', label: 'WO Spend', note: 'Last 12 mo', format: (value) => formatCurrency(value) },
+    { key: 'avg_cost_per_work_order', label: 'Avg Cost/WO', note: 'Lower is better', format: (value) => formatCurrency(value) },
+    { key: 'utility_cost_per_unit', label: 'Utility/Unit', note: 'Last 12 mo', format: (value) => formatCurrency(value) },
+    { key: 'utility_cost_per_sqft', label: 'Utility/Sq Ft', note: 'Last 12 mo', format: formatPerSqft },
+];
+
+// Value and axis formatters for each trend chart
+const TREND_FORMATS = {
+    occupancy_rate: { value: formatOccupancy, axis: (value) => `${value}%` },
+    delinquency_amount: { value: (value) => formatCurrency(value), axis: formatCurrencyShort },
+    work_order_spend: { value: (value) => formatCurrency(value), axis: formatCurrencyShort },
+    utility_cost_per_unit: { value: (value) => formatCurrency(value), axis: formatCurrencyShort },
+};
+
+export default function PropertyCompare({ properties, comparison, trends, trendMetrics, minProperties, maxProperties }) {
+    const colors = Object.fromEntries(properties.map((property, index) => [property.id, PROPERTY_COLORS[index % PROPERTY_COLORS.length]]));
+
+    const handleSelectionChange = (ids) => {
+        router.get(route('properties.compare'), { properties: ids }, {
+            preserveState: true,
+            preserveScroll: true,
+        });
+    };
+
+    const getValueClass = (metric, value) => {
+        if (value === null || value === undefined || !comparison[metric]) {
+            return '';
+        }
+
+        // Use tolerance-based comparison for floating point values
+        const tolerance = 0.0001;
+        const { best, worst } = comparison[metric];
+
+        if (Math.abs(best - worst) < tolerance) {
+            return '';
+        }
+        if (Math.abs(value - best) < tolerance) {
+            return 'bg-green-100 text-green-800 font-semibold';
+        }
+        if (Math.abs(value - worst) < tolerance) {
+            return 'bg-red-100 text-red-800';
+        }
+        return '';
+    };
+
+    const renderSize = (property, field, label) => (
+        <AdjustedValue
+            value={property[field]}
+            isAdjusted={Boolean(property.adjusted_fields?.[field])}
+            original={property.adjusted_fields?.[field]?.original}
+            label={label}
+        />
+    );
+
+    const hasEnough = properties.length >= minProperties;
+
+    return (
+        <Layout>
+            <Head title="Compare Properties" />
+
+            <div className="flex flex-col h-[calc(100vh-64px)] -m-4 md:-m-8">
+                {/* Header - doesn't scroll */}
+                <div className="flex-shrink-0 px-4 md:px-8 pt-4 md:pt-8">
+                    <PageHeader
+                        title="Compare Properties"
+                        subtitle={`Compare ${minProperties} to ${maxProperties} properties side-by-side`}
+                        backHref={route('properties.index')}
+                        sticky={false}
+                    />
+                </div>
+
+                {/* Property Selector - doesn't scroll */}
+                <div className="flex-shrink-0 px-4 md:px-8 pt-6">
+                    <div className="card">
+                        <div className="card-body">
+                            <PropertyComparePicker
+                                selected={properties}
+                                max={maxProperties}
+                                onChange={handleSelectionChange}
+                            />
+                        </div>
+                    </div>
+                </div>
+
+                {/* Content area - scrollable */}
+                <div className="flex-1 min-h-0 px-4 md:px-8 pt-6 pb-4 md:pb-8 overflow-auto space-y-6">
+                    {!hasEnough ? (
+                        <div className="card">
+                            <div className="card-body py-12 text-center">
+                                <ScaleIcon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                                <p className="text-gray-500">
+                                    {properties.length === 0
+                                        ? `Add at least ${minProperties} properties to compare them`
+                                        : `Add ${minProperties - properties.length} more ${minProperties - properties.length === 1 ? 'property' : 'properties'} to compare`}
+                                </p>
+                            </div>
+                        </div>
+                    ) : (
+                        <>
+                            {/* Legend */}
+                            <div className="flex items-center gap-4 text-sm">
+                                <span className="inline-flex items-center gap-1">
+                                    <span className="w-4 h-4 rounded bg-green-100 border border-green-300" />
+                                    <span className="text-gray-600">Best value</span>
+                                </span>
+                                <span className="inline-flex items-center gap-1">
+                                    <span className="w-4 h-4 rounded bg-red-100 border border-red-300" />
+                                    <span className="text-gray-600">Worst value</span>
+                                </span>
+                            </div>
+
+                            {/* Comparison Table */}
+                            <div className="card hidden md:block">
+                                <div className="overflow-x-auto">
+                                    <table className="min-w-full divide-y divide-gray-200">
+                                        <thead className="bg-gray-50">
+                                            <tr>
+                                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider sticky left-0 bg-gray-50 z-10">
+                                                    Property
+                                                </th>
+                                                <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                                    Units
+                                                </th>
+                                                <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                                    Sq Ft
+                                                </th>
+                                                {COLUMNS.map((column) => (
+                                                    <th key={column.key} className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                                        {column.label}
+                                                        <div className="text-[10px] normal-case text-gray-400 font-normal">{column.note}</div>
+                                                    </th>
+                                                ))}
+                                            </tr>
+                                        </thead>
+                                        <tbody className="bg-white divide-y divide-gray-200">
+                                            {properties.map((property) => (
+                                                <tr key={property.id} className="hover:bg-gray-50">
+                                                    <td className="px-6 py-4 whitespace-nowrap sticky left-0 bg-white z-10">
+                                                        <Link href={route('properties.show', property.id)} className="flex items-center group">
+                                                            <span
+                                                                className="w-3 h-3 rounded-full flex-shrink-0"
+                                                                style={{ backgroundColor: colors[property.id] }}
+                                                            />
+                                                            <div className="ml-3">
+                                                                <div className="text-sm font-medium text-gray-900 group-hover:text-blue-600">
+                                                                    {property.name}
+                                                                </div>
+                                                                {property.address && (
+                                                                    <div className="text-xs text-gray-500 max-w-[14rem] truncate">
+                                                                        {property.address}
+                                                                    </div>
+                                                                )}
+                                                            </div>
+                                                        </Link>
+                                                    </td>
+                                                    <td className="px-4 py-4 whitespace-nowrap text-center text-sm font-medium">
+                                                        {renderSize(property, 'unit_count', 'Unit Count')}
+                                                    </td>
+                                                    <td className="px-4 py-4 whitespace-nowrap text-center text-sm font-medium">
+                                                        {renderSize(property, 'total_sqft', 'Total Sq Ft')}
+                                                    </td>
+                                                    {COLUMNS.map((column) => (
+                                                        <td
+                                                            key={column.key}
+                                                            className={`px-4 py-4 whitespace-nowrap text-center ${getValueClass(column.key, property[column.key])}`}
+                                                        >
+                                                            <div className="text-sm font-medium">{column.format(property[column.key])}</div>
+                                                        </td>
+                                                    ))}
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+
+                                {/* Summary Row */}
+                                {Object.keys(comparison).length > 0 && (
+                                    <div className="border-t border-gray-200 bg-gray-50 px-6 py-4">
+                                        <h3 className="text-sm font-medium text-gray-700 mb-3">Averages</h3>
+                                        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4">
+                                            {COLUMNS.filter((column) => comparison[column.key]).map((column) => (
+                                                <div key={column.key} className="text-center">
+                                                    <p className="text-xs text-gray-500 uppercase">{column.label}</p>
+                                                    <p className="text-lg font-semibold text-gray-900">
+                                                        {column.format(comparison[column.key].avg)}
+                                                    </p>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+
+                            {/* Property Cards for Mobile */}
+                            <div className="md:hidden space-y-4">
+                                {properties.map((property) => (
+                                    <div key={property.id} className="card">
+                                        <div className="card-body">
+                                            <Link href={route('properties.show', property.id)} className="flex items-center gap-3 mb-4">
+                                                <div className="w-12 h-12 bg-blue-100 rounded-lg flex items-center justify-center">
+                                                    <BuildingOfficeIcon className="w-6 h-6 text-blue-600" />
+                                                </div>
+                                                <div className="min-w-0">
+                                                    <h3 className="font-medium text-gray-900 flex items-center gap-2">
+                                                        <span
+                                                            className="w-2.5 h-2.5 rounded-full flex-shrink-0"
+                                                            style={{ backgroundColor: colors[property.id] }}
+                                                        />
+                                                        {property.name}
+                                                    </h3>
+                                                    {property.address && (
+                                                        <p className="text-sm text-gray-500 truncate">{property.address}</p>
+                                                    )}
+                                                </div>
+                                            </Link>
+
+                                            <div className="grid grid-cols-2 gap-3 text-sm">
+                                                <div className="p-2 rounded">
+                                                    <p className="text-xs text-gray-500">Units</p>
+                                                    <div className="font-medium">{renderSize(property, 'unit_count', 'Unit Count')}</div>
+                                                </div>
+                                                <div className="p-2 rounded">
+                                                    <p className="text-xs text-gray-500">Sq Ft</p>
+                                                    <div className="font-medium">{renderSize(property, 'total_sqft', 'Total Sq Ft')}</div>
+                                                </div>
+                                                {COLUMNS.map((column) => (
+                                                    <div key={column.key} className={`p-2 rounded ${getValueClass(column.key, property[column.key])}`}>
+                                                        <p className="text-xs text-gray-500">{column.label}</p>
+                                                        <p className="font-medium">{column.format(property[column.key])}</p>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+
+                            {/* Trend Charts */}
+                            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                                {Object.entries(trendMetrics).map(([metric, title]) => (
+                                    <ComparisonTrendChart
+                                        key={metric}
+                                        title={title}
+                                        data={trends[metric] || []}
+                                        properties={properties}
+                                        colors={colors}
+                                        formatValue={TREND_FORMATS[metric].value}
+                                        formatAxis={TREND_FORMATS[metric].axis}
+                                    />
+                                ))}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </Layout>
+    );
+}
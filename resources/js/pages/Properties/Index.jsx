@@ -1,10 +1,12 @@
-import { Head, Link, router } from '@inertiajs/react';
+import { Head, Link, router, usePage } from '@inertiajs/react';
 import { useState, useEffect, lazy, Suspense } from 'react';
 import { Disclosure, Transition } from '@headlessui/react';
 import Layout from '../../components/Layout';
 import PageHeader from '../../components/PageHeader';
 import AdjustedValue from '../../components/AdjustedValue';
 import MobileCard from '../../components/MobileCard';
+import SavedViewsMenu from '../../components/Property/SavedViewsMenu';
+import BulkActionBar from '../../components/Property/BulkActionBar';
 import {
     MagnifyingGlassIcon,
     XMarkIcon,
@@ -18,6 +20,7 @@ import {
     MapIcon,
     FunnelIcon,
     AdjustmentsHorizontalIcon,
+    ScaleIcon,
 } from '@heroicons/react/24/outline';
 
 // Lazy load the map component to avoid SSR issues
@@ -36,10 +39,33 @@ const normalizeIsActive = (value) => {
     return '';
 };
 
-export default function PropertiesIndex({ properties, portfolios, propertyTypes, filters, perPage, allowedPageSizes, googleMapsApiKey }) {
+export default function PropertiesIndex({
+    properties,
+    mapMetrics,
+    portfolios,
+    propertyTypes,
+    filters,
+    perPage,
+    allowedPageSizes,
+    googleMapsApiKey,
+    savedViews = [],
+    activeViewId = null,
+    defaultViewId = null,
+    bulkActions,
+    flagTypes,
+    utilityTypes,
+    adjustableFields,
+}) {
+    const { auth } = usePage().props;
+    const isAdmin = auth?.user?.role?.name === 'admin';
+    const [selectedIds, setSelectedIds] = useState([]);
     const [search, setSearch] = useState(filters.search || '');
     const [viewMode, setViewMode] = useState(() => {
-        // Initialize from localStorage, defaulting to 'table'
+        // A saved view's mode wins, then localStorage, defaulting to 'table'
+        const activeView = savedViews.find((view) => view.id === activeViewId);
+        if (activeView?.filters?.view_mode) {
+            return activeView.filters.view_mode;
+        }
         if (typeof window !== 'undefined') {
             return localStorage.getItem(VIEW_MODE_STORAGE_KEY) || 'table';
         }
@@ -72,8 +98,12 @@ export default function PropertiesIndex({ properties, portfolios, propertyTypes,
         localStorage.setItem(PAGE_SIZE_STORAGE_KEY, String(pageSize));
     }, [pageSize]);
 
+    // Keep the active view in the URL so it stays shareable while filters change
+    const viewParam = activeViewId ? { view: activeViewId } : {};
+
     const handleFilter = (key, value) => {
         router.get(route('properties.index'), {
+            ...viewParam,
             ...filters,
             per_page: pageSize,
             [key]: value,
@@ -87,6 +117,7 @@ export default function PropertiesIndex({ properties, portfolios, propertyTypes,
     const handlePageSizeChange = (newSize) => {
         setPageSize(newSize);
         router.get(route('properties.index'), {
+            ...viewParam,
             ...filters,
             per_page: newSize,
             page: 1,
@@ -104,6 +135,7 @@ export default function PropertiesIndex({ properties, portfolios, propertyTypes,
     const handleSort = (field) => {
         const direction = filters.sort === field && filters.direction === 'asc' ? 'desc' : 'asc';
         router.get(route('properties.index'), {
+            ...viewParam,
             ...filters,
             per_page: pageSize,
             sort: field,
@@ -125,9 +157,40 @@ export default function PropertiesIndex({ properties, portfolios, propertyTypes,
         setSearch('');
     };
 
+    const selectView = (view) => {
+        if (view.filters?.view_mode) {
+            localStorage.setItem(VIEW_MODE_STORAGE_KEY, view.filters.view_mode);
+        }
+        router.get(route('properties.index'), { view: view.id });
+    };
+
+    const pageIds = properties.data.map((property) => property.id);
+    const allOnPageSelected = pageIds.length > 0 && pageIds.every((id) => selectedIds.includes(id));
+
+    const toggleSelected = (id) => {
+        setSelectedIds((current) => (
+            current.includes(id) ? current.filter((selected) => selected !== id) : [...current, id]
+        ));
+    };
+
+    const togglePageSelected = () => {
+        setSelectedIds((current) => (
+            allOnPageSelected
+                ? current.filter((id) => !pageIds.includes(id))
+                : [...new Set([...current, ...pageIds])]
+        ));
+    };
+
+    const currentFilters = {
+        ...filters,
+        per_page: pageSize,
+        view_mode: viewMode,
+    };
+
     const hasActiveFilters = Boolean(filters.search) ||
         Boolean(filters.portfolio) ||
         Boolean(filters.property_type) ||
+        Boolean(filters.bounds) ||
         (filters.is_active !== '' && filters.is_active !== null && filters.is_active !== undefined);
 
     const SortIcon = ({ field }) => {
@@ -170,6 +233,15 @@ export default function PropertiesIndex({ properties, portfolios, propertyTypes,
                     <PageHeader
                         title="Properties"
                         subtitle="Manage and view all properties in your portfolio"
+                        actions={
+                            <Link
+                                href={route('properties.compare')}
+                                className="btn-secondary flex items-center min-h-[44px] sm:min-h-0"
+                            >
+                                <ScaleIcon className="w-4 h-4 mr-2" />
+                                Compare
+                            </Link>
+                        }
                         sticky={false}
                     />
                 </div>
@@ -178,23 +250,32 @@ export default function PropertiesIndex({ properties, portfolios, propertyTypes,
                 <div className="flex-shrink-0 px-4 md:px-8 pt-6">
                     <div className="card shadow-sm">
                     <div className="card-body">
-                        {/* Search - Always visible */}
-                        <form onSubmit={handleSearch} className="flex gap-2">
-                            <div className="relative flex-1">
-                                <input
-                                    type="text"
-                                    id="search"
-                                    className="input pl-10 min-h-[44px]"
-                                    placeholder="Search by name or address..."
-                                    value={search}
-                                    onChange={(e) => setSearch(e.target.value)}
-                                />
-                                <MagnifyingGlassIcon className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
-                            </div>
-                            <button type="submit" className="btn-secondary min-h-[44px]">
-                                Search
-                            </button>
-                        </form>
+                        {/* Search and saved views - Always visible */}
+                        <div className="flex gap-2">
+                            <form onSubmit={handleSearch} className="flex flex-1 gap-2">
+                                <div className="relative flex-1">
+                                    <input
+                                        type="text"
+                                        id="search"
+                                        className="input pl-10 min-h-[44px]"
+                                        placeholder="Search by name or address..."
+                                        value={search}
+                                        onChange={(e) => setSearch(e.target.value)}
+                                    />
+                                    <MagnifyingGlassIcon className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                                </div>
+                                <button type="submit" className="btn-secondary min-h-[44px]">
+                                    Search
+                                </button>
+                            </form>
+                            <SavedViewsMenu
+                                views={savedViews}
+                                activeViewId={activeViewId}
+                                defaultViewId={defaultViewId}
+                                currentFilters={currentFilters}
+                                onSelect={selectView}
+                            />
+                        </div>
 
                         {/* Desktop Filters - Hidden on mobile */}
                         <div className="hidden md:flex flex-wrap gap-4 items-end mt-4">
@@ -310,6 +391,22 @@ export default function PropertiesIndex({ properties, portfolios, propertyTypes,
                                 </select>
                             </div>
 
+                            {/* Map Area Filter */}
+                            {filters.bounds && (
+                                <span className="inline-flex items-center gap-1 self-end px-3 py-2 text-sm bg-blue-50 text-blue-800 rounded-md">
+                                    <MapIcon className="w-4 h-4" />
+                                    Map area
+                                    <button
+                                        type="button"
+                                        onClick={() => handleFilter('bounds', '')}
+                                        className="ml-1 text-blue-600 hover:text-blue-900"
+                                        title="Remove map area filter"
+                                    >
+                                        <XMarkIcon className="w-4 h-4" />
+                                    </button>
+                                </span>
+                            )}
+
                             {/* Clear Filters */}
                             {hasActiveFilters && (
                                 <button
@@ -407,7 +504,7 @@ export default function PropertiesIndex({ properties, portfolios, propertyTypes,
                                                 Filters
                                                 {hasActiveFilters && (
                                                     <span className="inline-flex items-center justify-center w-5 h-5 text-xs font-medium bg-blue-100 text-blue-800 rounded-full">
-                                                        {[filters.search, filters.portfolio, filters.property_type, filters.is_active !== '' && filters.is_active !== null && filters.is_active !== undefined].filter(Boolean).length}
+                                                        {[filters.search, filters.portfolio, filters.property_type, filters.bounds, filters.is_active !== '' && filters.is_active !== null && filters.is_active !== undefined].filter(Boolean).length}
                                                     </span>
                                                 )}
                                             </span>
@@ -501,6 +598,18 @@ export default function PropertiesIndex({ properties, portfolios, propertyTypes,
                                                     </select>
                                                 </div>
 
+                                                {/* Map Area Filter */}
+                                                {filters.bounds && (
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => handleFilter('bounds', '')}
+                                                        className="btn-secondary flex items-center w-full justify-center min-h-[44px]"
+                                                    >
+                                                        <MapIcon className="w-4 h-4 mr-1" />
+                                                        Remove map area filter
+                                                    </button>
+                                                )}
+
                                                 {/* Clear Filters */}
                                                 {hasActiveFilters && (
                                                     <button
@@ -532,7 +641,12 @@ export default function PropertiesIndex({ properties, portfolios, propertyTypes,
                             <p className="mt-2 text-gray-500">Loading map...</p>
                         </div>
                     }>
-                        <PropertyMap properties={properties.data} apiKey={googleMapsApiKey} />
+                        <PropertyMap
+                            properties={properties.data}
+                            apiKey={googleMapsApiKey}
+                            metrics={mapMetrics}
+                            onSearchArea={(bounds) => handleFilter('bounds', bounds)}
+                        />
                     </Suspense>
                 )}
 
@@ -625,11 +739,38 @@ export default function PropertiesIndex({ properties, portfolios, propertyTypes,
                         )}
                     </div>
 
+                    {/* Bulk Actions - Admin only, desktop table */}
+                    {isAdmin && (
+                        <div className="hidden md:block flex-shrink-0">
+                            <BulkActionBar
+                                selectedIds={selectedIds}
+                                actions={bulkActions}
+                                flagTypes={flagTypes}
+                                utilityTypes={utilityTypes}
+                                adjustableFields={adjustableFields}
+                                onClear={() => setSelectedIds([])}
+                                onComplete={() => router.reload({ only: ['properties'] })}
+                            />
+                        </div>
+                    )}
+
                     {/* Desktop Table View */}
                     <div className="hidden md:block flex-1 overflow-auto">
                         <table className="min-w-full divide-y divide-gray-200">
                             <thead className="bg-gray-50 sticky top-0 z-10 shadow-sm">
                                 <tr>
+                                    {isAdmin && (
+                                        <th className="pl-6 py-3 w-4">
+                                            <input
+                                                type="checkbox"
+                                                checked={allOnPageSelected}
+                                                onChange={togglePageSelected}
+                                                disabled={pageIds.length === 0}
+                                                className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                                aria-label="Select all properties on this page"
+                                            />
+                                        </th>
+                                    )}
                                     <SortableHeader field="name">Property</SortableHeader>
                                     <SortableHeader field="city">Location</SortableHeader>
                                     <SortableHeader field="unit_count">Units</SortableHeader>
@@ -644,7 +785,7 @@ export default function PropertiesIndex({ properties, portfolios, propertyTypes,
                             <tbody className="bg-white divide-y divide-gray-200">
                                 {properties.data.length === 0 ? (
                                     <tr>
-                                        <td colSpan="7" className="px-6 py-12 text-center">
+                                        <td colSpan={isAdmin ? 8 : 7} className="px-6 py-12 text-center">
                                             <BuildingOfficeIcon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
                                             <p className="text-gray-500">No properties found</p>
                                             {hasActiveFilters && (
@@ -659,7 +800,21 @@ export default function PropertiesIndex({ properties, portfolios, propertyTypes,
                                     </tr>
                                 ) : (
                                     properties.data.map((property) => (
-                                        <tr key={property.id} className="hover:bg-gray-50">
+                                        <tr
+                                            key={property.id}
+                                            className={selectedIds.includes(property.id) ? 'bg-blue-50' : 'hover:bg-gray-50'}
+                                        >
+                                            {isAdmin && (
+                                                <td className="pl-6 py-4 w-4">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={selectedIds.includes(property.id)}
+                                                        onChange={() => toggleSelected(property.id)}
+                                                        className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                                        aria-label={`Select ${property.name}`}
+                                                    />
+                                                </td>
+                                            )}
                                             <td className="px-6 py-4">
                                                 <Link
                                                     href={route('properties.show', property.id)}
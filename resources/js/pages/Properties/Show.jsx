@@ -6,10 +6,15 @@ import Layout from '../../components/Layout';
 import PageHeader from '../../components/PageHeader';
 import { PropertyTabPanel } from '../../components/Property/PropertyTabs';
 import AdjustmentList from '../../components/Property/AdjustmentList';
+import RentRollTab from '../../components/Property/RentRollTab';
+import FinancialsTab from '../../components/Property/FinancialsTab';
+import UnitDetailDrawer from '../../components/Property/UnitDetailDrawer';
+import ActivityTab from '../../components/Property/ActivityTab';
+import PropertyNotes from '../../components/Property/PropertyNotes';
 import AdjustedValue from '../../components/AdjustedValue';
 import MobileCard from '../../components/MobileCard';
 import PropertyUtilityTrend from '../../components/Utilities/PropertyUtilityTrend';
-import { formatCurrency as formatUtilityCurrency, findUtilityType, getIconComponent, getColorScheme } from '../../components/Utilities/constants';
+import { formatCurrency as formatUtilityCurrency, findUtilityType, getIconComponent, getColorScheme, formatUsage } from '../../components/Utilities/constants';
 import {
     MapPinIcon,
     HomeModernIcon,
@@ -27,6 +32,9 @@ import {
     BoltIcon,
     WrenchScrewdriverIcon,
     Cog6ToothIcon,
+    DocumentTextIcon,
+    BanknotesIcon,
+    ClockIcon,
 } from '@heroicons/react/24/outline';
 
 export default function PropertyShow({
@@ -44,6 +52,10 @@ export default function PropertyShow({
     initialTab,
     utilityData,
     workOrderData,
+    rentRoll,
+    rentRollFilters,
+    financials,
+    activityTypes,
 }) {
     const { auth } = usePage().props;
     const isAdmin = auth?.user?.role?.name === 'admin';
@@ -55,8 +67,11 @@ export default function PropertyShow({
     const tabs = [
         { id: 'overview', label: 'Overview', icon: InformationCircleIcon },
         { id: 'units', label: 'Units', icon: HomeModernIcon, count: stats?.total_units },
+        { id: 'rent-roll', label: 'Rent Roll', icon: DocumentTextIcon },
+        { id: 'financials', label: 'Financials', icon: BanknotesIcon },
         { id: 'utilities', label: 'Utilities', icon: BoltIcon },
         { id: 'work-orders', label: 'Work Orders', icon: WrenchScrewdriverIcon },
+        { id: 'activity', label: 'Activity', icon: ClockIcon },
         ...(isAdmin ? [{ id: 'settings', label: 'Settings', icon: Cog6ToothIcon }] : []),
     ];
 
@@ -76,6 +91,7 @@ export default function PropertyShow({
     const [showAddFlagModal, setShowAddFlagModal] = useState(false);
     const [deletingFlagId, setDeletingFlagId] = useState(null);
     const [expenseUtilityFilter, setExpenseUtilityFilter] = useState('all');
+    const [selectedUnit, setSelectedUnit] = useState(null);
 
     // Prepare pie chart data for utility breakdown
     const pieChartData = useMemo(() => {
@@ -572,6 +588,9 @@ export default function PropertyShow({
                         </div>
                     </div>
                 </div>
+
+                        {/* Notes */}
+                        <PropertyNotes propertyId={property.id} />
                     </div>
                 </PropertyTabPanel>
 
@@ -614,6 +633,7 @@ export default function PropertyShow({
                                 <MobileCard
                                     key={unit.id}
                                     header={`Unit ${unit.unit_number}`}
+                                    onClick={() => setSelectedUnit(unit)}
                                     badges={[
                                         {
                                             label: getStatusLabel(unit.status),
@@ -675,11 +695,22 @@ export default function PropertyShow({
                                     </tr>
                                 ) : (
                                     units?.data?.map((unit) => (
-                                        <tr key={unit.id} className="hover:bg-gray-50">
+                                        <tr
+                                            key={unit.id}
+                                            onClick={() => setSelectedUnit(unit)}
+                                            className="hover:bg-gray-50 cursor-pointer"
+                                        >
                                             <td className="px-6 py-4 whitespace-nowrap">
-                                                <div className="text-sm font-medium text-gray-900">
+                                                <button
+                                                    type="button"
+                                                    onClick={(e) => {
+                                                        e.stopPropagation();
+                                                        setSelectedUnit(unit);
+                                                    }}
+                                                    className="text-sm font-medium text-blue-600 hover:text-blue-800"
+                                                >
                                                     {unit.unit_number}
-                                                </div>
+                                                </button>
                                             </td>
                                             <td className="px-6 py-4 whitespace-nowrap">
                                                 <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadgeClass(unit.status)}`}>
@@ -754,6 +785,26 @@ export default function PropertyShow({
                     )}
                 </div>
                     </div>
+
+                    <UnitDetailDrawer
+                        propertyId={property.id}
+                        unit={selectedUnit}
+                        onClose={() => setSelectedUnit(null)}
+                    />
+                </PropertyTabPanel>
+
+                {/* Rent Roll Tab */}
+                <PropertyTabPanel id="rent-roll" isActive={activeTab === 'rent-roll'}>
+                    <RentRollTab
+                        property={property}
+                        rentRoll={rentRoll}
+                        filterOptions={rentRollFilters}
+                    />
+                </PropertyTabPanel>
+
+                {/* Financials Tab */}
+                <PropertyTabPanel id="financials" isActive={activeTab === 'financials'}>
+                    <FinancialsTab property={property} financials={financials} />
                 </PropertyTabPanel>
 
                 {/* Utilities Tab */}
@@ -892,6 +943,9 @@ export default function PropertyShow({
                                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                                     Vendor
                                                 </th>
+                                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                                    Usage
+                                                </th>
                                                 <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                                                     Amount
                                                 </th>
@@ -900,7 +954,7 @@ export default function PropertyShow({
                                         <tbody className="bg-white divide-y divide-gray-200">
                                             {filteredExpenses.length === 0 ? (
                                                 <tr>
-                                                    <td colSpan="4" className="px-6 py-8 text-center text-gray-500">
+                                                    <td colSpan="5" className="px-6 py-8 text-center text-gray-500">
                                                         {expenseUtilityFilter === 'all'
                                                             ? 'No expense records found'
                                                             : 'No expenses found for this utility type'}
@@ -923,6 +977,9 @@ export default function PropertyShow({
                                                             <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                                                                 {expense.vendor_name || '-'}
                                                             </td>
+                                                            <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-500">
+                                                                {formatUsage(expense.usage_quantity, utilityData.usageUnits?.[expense.usage_unit] ?? expense.usage_unit)}
+                                                            </td>
                                                             <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium text-gray-900">
                                                                 {formatUtilityCurrency(expense.amount)}
                                                             </td>
@@ -1104,6 +1161,11 @@ export default function PropertyShow({
                     </div>
                 </PropertyTabPanel>
 
+                {/* Activity Tab */}
+                <PropertyTabPanel id="activity" isActive={activeTab === 'activity'}>
+                    <ActivityTab propertyId={property.id} activityTypes={activityTypes || {}} />
+                </PropertyTabPanel>
+
                 {/* Settings Tab (Admin Only) */}
                 {isAdmin && (
                     <PropertyTabPanel id="settings" isActive={activeTab === 'settings'}>
@@ -0,0 +1,215 @@
+import { Head, Link, router } from '@inertiajs/react';
+import Layout from '../../components/Layout';
+import PageHeader from '../../components/PageHeader';
+import AnomalyActions from '../../components/Utilities/AnomalyActions';
+import { AnomalyFigures, getAnomalyColors, getAnomalyIcon } from '../../components/Utilities/AnomalyAlerts';
+import {
+    ChartBarIcon,
+    TableCellsIcon,
+    EyeSlashIcon,
+    ExclamationTriangleIcon,
+} from '@heroicons/react/24/outline';
+
+/**
+ * Decode HTML entities from Laravel pagination labels.
+ * Only handles known safe entities to prevent XSS.
+ */
+const decodePaginationLabel = (label) => {
+    return label
+        .replace(/&laquo;/g, '\u00AB')
+        .replace(/&raquo;/g, '\u00BB')
+        .replace(/&amp;/g, '&');
+};
+
+const STATUS_TABS = [
+    { value: 'open', label: 'Open' },
+    { value: 'resolved', label: 'Resolved' },
+];
+
+const RESOLUTION_LABELS = {
+    acknowledged: { label: 'Acknowledged', className: 'bg-blue-100 text-blue-700' },
+    dismissed: { label: 'Dismissed', className: 'bg-gray-100 text-gray-700' },
+    cleared: { label: 'Cleared', className: 'bg-green-100 text-green-700' },
+};
+
+const RULE_LABELS = {
+    z_score: 'vs. portfolio',
+    rolling_average: 'vs. recent months',
+};
+
+function ResolutionDetails({ anomaly }) {
+    if (anomaly.status === 'open') {
+        return null;
+    }
+
+    const resolution = RESOLUTION_LABELS[anomaly.status] ?? RESOLUTION_LABELS.acknowledged;
+    const resolvedOn = anomaly.resolved_at && ` on ${new Date(anomaly.resolved_at).toLocaleDateString()}`;
+
+    return (
+        <div className="mt-3 text-xs text-gray-600">
+            <span className={`inline-flex items-center px-1.5 py-0.5 rounded font-medium ${resolution.className}`}>
+                {resolution.label}
+            </span>
+            <span className="ml-2">
+                {anomaly.status === 'cleared'
+                    ? 'No longer flagged'
+                    : `by ${anomaly.resolved_by ?? 'a former user'}`}
+                {resolvedOn}
+            </span>
+            {anomaly.dismissal_reason && (
+                <p className="mt-1 text-gray-700">{anomaly.dismissal_reason}</p>
+            )}
+        </div>
+    );
+}
+
+export default function UtilitiesAnomalies({ anomalies, counts, filters, utilityTypes }) {
+    const applyFilters = (changes) => {
+        router.get(route('utilities.anomalies.index'), {
+            status: filters.status,
+            utility_type: filters.utility_type || undefined,
+            ...changes,
+        }, { preserveState: true, preserveScroll: true });
+    };
+
+    return (
+        <Layout>
+            <Head title="Utility Anomalies" />
+
+            <div className="space-y-6">
+                {/* Header */}
+                <PageHeader
+                    title="Utility Anomalies"
+                    subtitle="Unusual utility costs waiting for review, and the history of ones already handled"
+                    tabs={[
+                        { label: 'Data Table', href: route('utilities.data'), icon: TableCellsIcon },
+                        { label: 'Dashboard', href: route('utilities.dashboard'), icon: ChartBarIcon },
+                        { label: 'Anomalies', href: route('utilities.anomalies.index'), icon: ExclamationTriangleIcon },
+                        { label: 'Excluded', href: route('utilities.excluded'), icon: EyeSlashIcon },
+                    ]}
+                    activeTab="Anomalies"
+                />
+
+                {/* Filters */}
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                    <div className="inline-flex rounded-lg border border-gray-300 bg-white p-0.5">
+                        {STATUS_TABS.map((tab) => (
+                            <button
+                                key={tab.value}
+                                type="button"
+                                onClick={() => applyFilters({ status: tab.value, page: undefined })}
+                                className={`px-3 py-1.5 text-sm font-medium rounded-md ${
+                                    filters.status === tab.value
+                                        ? 'bg-blue-600 text-white'
+                                        : 'text-gray-700 hover:bg-gray-100'
+                                }`}
+                            >
+                                {tab.label}
+                                <span className="ml-1.5 text-xs opacity-75">{counts[tab.value]}</span>
+                            </button>
+                        ))}
+                    </div>
+                    <select
+                        value={filters.utility_type ?? ''}
+                        onChange={(e) => applyFilters({ utility_type: e.target.value || undefined, page: undefined })}
+                        className="input text-sm sm:w-48"
+                        aria-label="Utility type"
+                    >
+                        <option value="">All utility types</option>
+                        {utilityTypes.map((type) => (
+                            <option key={type.key} value={type.key}>{type.label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {/* Anomaly List */}
+                <div className="card">
+                    {anomalies.data.length === 0 ? (
+                        <div className="card-body text-center py-12">
+                            <ExclamationTriangleIcon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+                            <h3 className="text-lg font-medium text-gray-900 mb-2">
+                                {filters.status === 'resolved' ? 'No Resolved Anomalies' : 'No Open Anomalies'}
+                            </h3>
+                            <p className="text-gray-500">
+                                {filters.status === 'resolved'
+                                    ? 'Anomalies that are acknowledged or dismissed will appear here.'
+                                    : 'Utility costs are within the expected range for every property.'}
+                            </p>
+                        </div>
+                    ) : (
+                        <div className="divide-y divide-gray-200">
+                            {anomalies.data.map((anomaly) => {
+                                const Icon = getAnomalyIcon(anomaly.type);
+                                const colors = getAnomalyColors(anomaly.type);
+
+                                return (
+                                    <div key={anomaly.id} className="p-4 sm:px-6">
+                                        <div className="flex items-start space-x-3">
+                                            <div className={`p-1.5 rounded-full ${colors.badge}`}>
+                                                <Icon className="w-4 h-4" />
+                                            </div>
+                                            <div className="flex-1 min-w-0">
+                                                <div className="flex flex-wrap items-center gap-x-2 gap-y-1">
+                                                    <Link
+                                                        href={`/utilities/property/${anomaly.property_id}`}
+                                                        className="text-sm font-medium text-gray-900 hover:text-blue-600"
+                                                    >
+                                                        {anomaly.property_name}
+                                                    </Link>
+                                                    <span className="text-xs text-gray-500">{anomaly.utility_label}</span>
+                                                    {anomaly.rules.map((rule) => (
+                                                        <span
+                                                            key={rule}
+                                                            className="inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-600"
+                                                        >
+                                                            {RULE_LABELS[rule] ?? rule}
+                                                        </span>
+                                                    ))}
+                                                </div>
+                                                <AnomalyFigures anomaly={anomaly} textClassName={colors.text} />
+                                                {anomaly.note?.linked && (
+                                                    <p className="mt-2 text-xs text-gray-600 italic">
+                                                        “{anomaly.note.note}”
+                                                    </p>
+                                                )}
+                                                <ResolutionDetails anomaly={anomaly} />
+                                                <AnomalyActions anomaly={anomaly} />
+                                            </div>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    {/* Pagination */}
+                    {anomalies.last_page > 1 && (
+                        <div className="px-4 sm:px-6 py-4 border-t border-gray-200 flex flex-col sm:flex-row items-center justify-between gap-4">
+                            <div className="text-sm text-gray-500 text-center sm:text-left">
+                                Showing {anomalies.from} to {anomalies.to} of {anomalies.total} anomalies
+                            </div>
+                            <div className="flex flex-wrap justify-center gap-2">
+                                {anomalies.links.map((link, index) => (
+                                    <Link
+                                        key={index}
+                                        href={link.url || '#'}
+                                        preserveScroll
+                                        className={`px-3 py-1 text-sm rounded ${
+                                            link.active
+                                                ? 'bg-blue-600 text-white'
+                                                : link.url
+                                                    ? 'text-gray-700 hover:bg-gray-100'
+                                                    : 'text-gray-300 cursor-not-allowed'
+                                        }`}
+                                    >
+                                        {decodePaginationLabel(link.label)}
+                                    </Link>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </Layout>
+    );
+}
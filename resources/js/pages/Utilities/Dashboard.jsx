@@ -3,16 +3,25 @@ import Layout from '../../components/Layout';
 import PageHeader from '../../components/PageHeader';
 import UtilityTrendChart from '../../components/Utilities/UtilityTrendChart';
 import AnomalyAlerts from '../../components/Utilities/AnomalyAlerts';
-import { formatCurrency, findUtilityType, getIconComponent, getColorScheme } from '../../components/Utilities/constants';
-import { BoltIcon, ChartBarIcon, TableCellsIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
+import { formatCurrency, formatPercent, findUtilityType, getIconComponent, getColorScheme } from '../../components/Utilities/constants';
+import { BoltIcon, ChartBarIcon, TableCellsIcon, EyeSlashIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+// Over budget is bad (red), under budget is good (green)
+const getBudgetVarianceColor = (value) => {
+    if (value === null || value === undefined || value === 0) return 'text-gray-500';
+    return value > 0 ? 'text-red-600' : 'text-green-600';
+};
 
 export default function UtilitiesDashboard({
     period,
     periodLabel,
     utilitySummary,
     portfolioTotal,
+    portfolioBudget,
     anomalies,
     trendData,
+    weatherAdjustedTrendData,
+    usageTrendData,
     utilityTypes,
 }) {
     const handlePeriodChange = (newPeriod) => {
@@ -50,6 +59,7 @@ export default function UtilitiesDashboard({
                     tabs={[
                         { label: 'Data Table', href: route('utilities.data'), icon: TableCellsIcon },
                         { label: 'Dashboard', href: route('utilities.dashboard'), icon: ChartBarIcon },
+                        { label: 'Anomalies', href: route('utilities.anomalies.index'), icon: ExclamationTriangleIcon },
                         { label: 'Excluded', href: route('utilities.excluded'), icon: EyeSlashIcon },
                     ]}
                     activeTab="Dashboard"
@@ -69,6 +79,22 @@ export default function UtilitiesDashboard({
                                 <p className="mt-1 text-3xl font-bold text-gray-900">
                                     {formatCurrency(portfolioTotal)}
                                 </p>
+                                {portfolioBudget?.budget != null && (
+                                    <p className="mt-1 text-sm text-gray-600">
+                                        {formatCurrency(portfolioBudget.budget_actual)} of {formatCurrency(portfolioBudget.budget)} budgeted{' '}
+                                        <span className={`font-medium ${getBudgetVarianceColor(portfolioBudget.budget_variance_percent)}`}>
+                                            ({formatPercent(portfolioBudget.budget_variance_percent)})
+                                        </span>
+                                    </p>
+                                )}
+                                {portfolioBudget?.forecast != null && (
+                                    <p className="mt-0.5 text-sm text-gray-600">
+                                        Year-end forecast {formatCurrency(portfolioBudget.forecast)} vs {formatCurrency(portfolioBudget.annual_budget)} budget{' '}
+                                        <span className={`font-medium ${getBudgetVarianceColor(portfolioBudget.forecast_variance_percent)}`}>
+                                            ({formatPercent(portfolioBudget.forecast_variance_percent)})
+                                        </span>
+                                    </p>
+                                )}
                             </div>
                             <div className="p-4 bg-blue-50 rounded-xl">
                                 <BoltIcon className="w-8 h-8 text-blue-600" />
@@ -102,6 +128,22 @@ export default function UtilitiesDashboard({
                                                     {formatCurrency(utility.average_per_unit)}/unit avg
                                                 </p>
                                             )}
+                                            {utility.budget != null && (
+                                                <p className="text-xs text-gray-500">
+                                                    Budget {formatCurrency(utility.budget)}{' '}
+                                                    <span className={`font-medium ${getBudgetVarianceColor(utility.budget_variance_percent)}`}>
+                                                        {formatPercent(utility.budget_variance_percent)}
+                                                    </span>
+                                                </p>
+                                            )}
+                                            {utility.forecast != null && (
+                                                <p className="text-xs text-gray-500">
+                                                    Forecast {formatCurrency(utility.forecast)}{' '}
+                                                    <span className={`font-medium ${getBudgetVarianceColor(utility.forecast_variance_percent)}`}>
+                                                        {formatPercent(utility.forecast_variance_percent)}
+                                                    </span>
+                                                </p>
+                                            )}
                                         </div>
                                     </div>
                                 </div>
@@ -116,7 +158,12 @@ export default function UtilitiesDashboard({
                 )}
 
                 {/* Trend Chart */}
-                <UtilityTrendChart data={trendData} utilityTypes={utilityTypes} />
+                <UtilityTrendChart
+                    data={trendData}
+                    utilityTypes={utilityTypes}
+                    weatherAdjustedData={weatherAdjustedTrendData}
+                    usageData={usageTrendData}
+                />
             </div>
         </Layout>
     );
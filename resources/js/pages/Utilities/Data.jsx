@@ -2,7 +2,7 @@ import { Head } from '@inertiajs/react';
 import Layout from '../../components/Layout';
 import PageHeader from '../../components/PageHeader';
 import UtilityDataTable from '../../components/Utilities/UtilityDataTable';
-import { ChartBarIcon, TableCellsIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
+import { ChartBarIcon, TableCellsIcon, EyeSlashIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
 
 export default function UtilitiesData({
     propertyComparison,
@@ -10,6 +10,8 @@ export default function UtilitiesData({
     utilityTypes,
     filters,
     propertyTypeOptions,
+    weatherAdjustmentAvailable,
+    tableLayout,
 }) {
     return (
         <Layout>
@@ -24,6 +26,7 @@ export default function UtilitiesData({
                         tabs={[
                             { label: 'Data Table', href: route('utilities.data'), icon: TableCellsIcon },
                             { label: 'Dashboard', href: route('utilities.dashboard'), icon: ChartBarIcon },
+                            { label: 'Anomalies', href: route('utilities.anomalies.index'), icon: ExclamationTriangleIcon },
                             { label: 'Excluded', href: route('utilities.excluded'), icon: EyeSlashIcon },
                         ]}
                         activeTab="Data Table"
@@ -40,6 +43,9 @@ export default function UtilitiesData({
                         selectedType={selectedUtilityType}
                         filters={filters}
                         propertyTypeOptions={propertyTypeOptions}
+                        weatherAdjustmentAvailable={weatherAdjustmentAvailable}
+                        layout={tableLayout}
+                        tableKey="data"
                     />
                 </div>
             </div>
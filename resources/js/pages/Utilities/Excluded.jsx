@@ -2,11 +2,13 @@ import { Head } from '@inertiajs/react';
 import { Link } from '@inertiajs/react';
 import Layout from '../../components/Layout';
 import PageHeader from '../../components/PageHeader';
+import UtilityDataTable from '../../components/Utilities/UtilityDataTable';
 import { getIconComponent, getColorScheme } from '../../components/Utilities/constants';
 import {
     ChartBarIcon,
     TableCellsIcon,
     EyeSlashIcon,
+    ExclamationTriangleIcon,
     FlagIcon,
     XCircleIcon,
 } from '@heroicons/react/24/outline';
@@ -17,7 +19,16 @@ const FlagLabels = {
     exclude_from_reports: 'Excluded from Reports',
 };
 
-export default function UtilitiesExcluded({ excludedProperties }) {
+export default function UtilitiesExcluded({
+    excludedProperties,
+    propertyComparison,
+    selectedUtilityType,
+    utilityTypes,
+    filters,
+    propertyTypeOptions,
+    weatherAdjustmentAvailable,
+    tableLayout,
+}) {
     const { total_count = 0, flag_excluded_count = 0, utility_excluded_count = 0, properties = [] } = excludedProperties || {};
 
     return (
@@ -32,6 +43,7 @@ export default function UtilitiesExcluded({ excludedProperties }) {
                     tabs={[
                         { label: 'Data Table', href: route('utilities.data'), icon: TableCellsIcon },
                         { label: 'Dashboard', href: route('utilities.dashboard'), icon: ChartBarIcon },
+                        { label: 'Anomalies', href: route('utilities.anomalies.index'), icon: ExclamationTriangleIcon },
                         { label: 'Excluded', href: route('utilities.excluded'), icon: EyeSlashIcon },
                     ]}
                     activeTab="Excluded"
@@ -80,6 +92,22 @@ export default function UtilitiesExcluded({ excludedProperties }) {
                     </div>
                 </div>
 
+                {/* Excluded Property Costs */}
+                {total_count > 0 && (
+                    <div className="flex flex-col max-h-[75vh]">
+                        <UtilityDataTable
+                            data={propertyComparison}
+                            utilityTypes={utilityTypes}
+                            selectedType={selectedUtilityType}
+                            filters={filters}
+                            propertyTypeOptions={propertyTypeOptions}
+                            weatherAdjustmentAvailable={weatherAdjustmentAvailable}
+                            layout={tableLayout}
+                            tableKey="excluded"
+                        />
+                    </div>
+                )}
+
                 {/* Properties List */}
                 <div className="card">
                     <div className="card-header">
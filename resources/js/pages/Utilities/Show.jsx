@@ -3,6 +3,7 @@ import { useState } from 'react';
 import Layout from '../../components/Layout';
 import PageHeader from '../../components/PageHeader';
 import PropertyUtilityTrend from '../../components/Utilities/PropertyUtilityTrend';
+import ExpenseUsageCell from '../../components/Utilities/ExpenseUsageCell';
 import { formatCurrency, formatPercent, findUtilityType, getIconComponent, getColorScheme } from '../../components/Utilities/constants';
 import {
     ArrowTrendingUpIcon,
@@ -19,6 +20,8 @@ export default function UtilitiesShow({
     propertyTrend,
     recentExpenses,
     utilityTypes,
+    usageUnits,
+    canEditUsage,
 }) {
     const [selectedPeriod, setSelectedPeriod] = useState(period);
 
@@ -38,6 +41,13 @@ export default function UtilitiesShow({
         return value > 0 ? 'text-red-600' : value < 0 ? 'text-green-600' : 'text-gray-500';
     };
 
+    const budgetedComparisons = comparisons.filter((comp) => comp.budget);
+    const budgetYear = budgetedComparisons[0]?.budget.year;
+    const closedMonths = budgetedComparisons[0]?.budget.closed_months ?? 0;
+    const budgetThroughLabel = closedMonths > 0
+        ? `Year to date through ${new Date(budgetYear, closedMonths - 1, 1).toLocaleDateString('en-US', { month: 'long' })}`
+        : 'No months closed yet this year';
+
     const handlePeriodChange = (newPeriod) => {
         setSelectedPeriod(newPeriod);
         router.get(route('utilities.show', property.id), { period: newPeriod }, { preserveState: true });
@@ -228,6 +238,86 @@ export default function UtilitiesShow({
                     </div>
                 </div>
 
+                {/* Budget vs. Actual */}
+                {budgetedComparisons.length > 0 && (
+                    <div className="card">
+                        <div className="card-header">
+                            <h2 className="text-lg font-medium text-gray-900">Budget vs. Actual ({budgetYear})</h2>
+                            <p className="text-sm text-gray-500">{budgetThroughLabel}</p>
+                        </div>
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Utility Type
+                                        </th>
+                                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            YTD Budget
+                                        </th>
+                                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            YTD Actual
+                                        </th>
+                                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Variance
+                                        </th>
+                                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Annual Budget
+                                        </th>
+                                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Year-End Forecast
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {budgetedComparisons.map((comp) => {
+                                        const utilityType = findUtilityType(utilityTypes, comp.type);
+                                        const Icon = getIconComponent(utilityType?.icon);
+                                        const VarianceIcon = getChangeIcon(comp.budget.variance_ytd_percent);
+
+                                        return (
+                                            <tr key={comp.type} className="hover:bg-gray-50">
+                                                <td className="px-6 py-4 whitespace-nowrap">
+                                                    <div className="flex items-center space-x-3">
+                                                        <Icon className="w-5 h-5 text-gray-400" />
+                                                        <span className="text-sm font-medium text-gray-900">
+                                                            {comp.label}
+                                                        </span>
+                                                    </div>
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">
+                                                    {formatCurrency(comp.budget.budget_ytd)}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">
+                                                    {formatCurrency(comp.budget.actual_ytd)}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-right">
+                                                    <div className={`flex items-center justify-end space-x-1 ${getChangeColor(comp.budget.variance_ytd_percent)}`}>
+                                                        <VarianceIcon className="w-4 h-4" />
+                                                        <span className="text-sm font-medium">
+                                                            {formatCurrency(comp.budget.variance_ytd)}
+                                                            {comp.budget.variance_ytd_percent !== null && ` (${formatPercent(comp.budget.variance_ytd_percent)})`}
+                                                        </span>
+                                                    </div>
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">
+                                                    {formatCurrency(comp.budget.annual_budget)}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-right">
+                                                    <p className="text-sm text-gray-900">{formatCurrency(comp.budget.forecast)}</p>
+                                                    <p className={`text-xs ${getChangeColor(comp.budget.forecast_variance_percent)}`}>
+                                                        {formatPercent(comp.budget.forecast_variance_percent)} vs budget
+                                                    </p>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+
                 {/* Trend Chart */}
                 <PropertyUtilityTrend data={propertyTrend} utilityTypes={utilityTypes} />
 
@@ -249,6 +339,9 @@ export default function UtilitiesShow({
                                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                         Vendor
                                     </th>
+                                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Usage
+                                    </th>
                                     <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                                         Amount
                                     </th>
@@ -257,7 +350,7 @@ export default function UtilitiesShow({
                             <tbody className="bg-white divide-y divide-gray-200">
                                 {recentExpenses.length === 0 ? (
                                     <tr>
-                                        <td colSpan="4" className="px-6 py-8 text-center text-gray-500">
+                                        <td colSpan="5" className="px-6 py-8 text-center text-gray-500">
                                             No expense records found
                                         </td>
                                     </tr>
@@ -278,6 +371,9 @@ export default function UtilitiesShow({
                                                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                                                     {expense.vendor_name || '-'}
                                                 </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                                                    <ExpenseUsageCell expense={expense} usageUnits={usageUnits} canEdit={canEditUsage} />
+                                                </td>
                                                 <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium text-gray-900">
                                                     {formatCurrency(expense.amount)}
                                                 </td>
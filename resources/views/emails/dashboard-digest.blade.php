@@ -0,0 +1,175 @@
+@php
+    $kpis = $digest['kpis'];
+    $deltas = $digest['comparison']['deltas'] ?? [];
+    $periodLabel = $digest['cadence'] === 'monthly' ? 'last month' : 'last week';
+    $scopeParts = array_merge($digest['scope']['portfolios'] ?? [], $digest['scope']['property_types'] ?? []);
+
+    // Higher is better for occupancy; lower is better for everything else
+    $higherIsBetter = ['occupancy_rate' => true];
+
+    $formatValue = function (string $metric, float $value): string {
+        return match ($metric) {
+            'occupancy_rate' => number_format($value, 1).'%',
+            'delinquency_amount' => '$'.number_format($value, 0),
+            default => number_format($value, 0),
+        };
+    };
+
+    $cards = [
+        'occupancy_rate' => 'Occupancy Rate',
+        'delinquency_amount' => 'Delinquency',
+        'vacancy_count' => 'Vacant Units',
+        'open_work_orders' => 'Open Work Orders',
+    ];
+
+    $maxDelinquency = max(array_column($digest['trend'], 'delinquency_amount') ?: [0]) ?: 1;
+    $bucketLabel = fn (string $date) => \Carbon\Carbon::parse($date)->format($digest['cadence'] === 'monthly' ? 'M Y' : 'M j');
+@endphp
+<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>PMPulse Digest</title>
+</head>
+<body style="margin:0; padding:0; background-color:#F3F4F6; font-family:Arial, Helvetica, sans-serif; color:#111827;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background-color:#F3F4F6;">
+<tr>
+<td align="center" style="padding:24px 12px;">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px; width:100%; background-color:#FFFFFF; border-radius:8px;">
+
+{{-- Header --}}
+<tr>
+<td style="padding:24px; border-bottom:1px solid #E5E7EB;">
+<div style="font-size:20px; font-weight:bold; color:#2563EB;">PMPulse</div>
+<div style="margin-top:4px; font-size:14px; color:#6B7280;">
+{{ $digest['cadence'] === 'monthly' ? 'Monthly' : 'Weekly' }} Dashboard digest for {{ \Carbon\Carbon::parse($digest['generated_at'])->format('F j, Y') }}
+&middot; {{ empty($scopeParts) ? 'All properties' : implode(', ', $scopeParts) }}
+</div>
+</td>
+</tr>
+
+@if (! $kpis)
+<tr>
+<td style="padding:24px; font-size:14px; color:#6B7280;">
+No KPI data is available for your selected scope yet.
+</td>
+</tr>
+@else
+
+{{-- KPI cards --}}
+<tr>
+<td style="padding:16px 18px 0;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+<tr>
+@foreach ($cards as $metric => $label)
+@php
+    $delta = $deltas[$metric] ?? null;
+    $change = $delta['change'] ?? 0;
+    $good = $change == 0 ? null : (($change > 0) === isset($higherIsBetter[$metric]));
+    $color = $good === null ? '#6B7280' : ($good ? '#059669' : '#DC2626');
+@endphp
+<td width="25%" valign="top" style="padding:6px;">
+<div style="border:1px solid #E5E7EB; border-radius:6px; padding:12px;">
+<div style="font-size:12px; color:#6B7280;">{{ $label }}</div>
+<div style="margin-top:4px; font-size:18px; font-weight:bold;">{{ $formatValue($metric, (float) $kpis[$metric]) }}</div>
+@if ($delta)
+<div style="margin-top:4px; font-size:12px; color:{{ $color }};">
+{{ $change > 0 ? '+' : ($change < 0 ? '-' : '') }}{{ $formatValue($metric, abs((float) $change)) }}@if ($delta['percent_change'] !== null) ({{ number_format(abs($delta['percent_change']), 1) }}%)@endif
+<span style="color:#9CA3AF;">vs {{ $periodLabel }}</span>
+</div>
+@endif
+</div>
+</td>
+@endforeach
+</tr>
+</table>
+</td>
+</tr>
+
+{{-- Trend charts --}}
+@if (count($digest['trend']) > 0)
+<tr>
+<td style="padding:16px 24px 0;">
+<div style="font-size:16px; font-weight:bold;">Occupancy Rate Trend</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin-top:8px; font-size:12px;">
+@foreach ($digest['trend'] as $bucket)
+<tr>
+<td width="70" style="padding:2px 0; color:#6B7280;">{{ $bucketLabel($bucket['date']) }}</td>
+<td style="padding:2px 8px;">
+<div style="background-color:#EFF6FF; border-radius:3px;">
+<div style="width:{{ max(1, min(100, round($bucket['occupancy_rate']))) }}%; height:10px; background-color:#3B82F6; border-radius:3px;"></div>
+</div>
+</td>
+<td width="50" align="right" style="padding:2px 0;">{{ number_format($bucket['occupancy_rate'], 1) }}%</td>
+</tr>
+@endforeach
+</table>
+</td>
+</tr>
+<tr>
+<td style="padding:16px 24px 0;">
+<div style="font-size:16px; font-weight:bold;">Delinquency Trend</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin-top:8px; font-size:12px;">
+@foreach ($digest['trend'] as $bucket)
+<tr>
+<td width="70" style="padding:2px 0; color:#6B7280;">{{ $bucketLabel($bucket['date']) }}</td>
+<td style="padding:2px 8px;">
+<div style="background-color:#FEF2F2; border-radius:3px;">
+<div style="width:{{ max(1, round($bucket['delinquency_amount'] / $maxDelinquency * 100)) }}%; height:10px; background-color:#EF4444; border-radius:3px;"></div>
+</div>
+</td>
+<td width="70" align="right" style="padding:2px 0;">${{ number_format($bucket['delinquency_amount'], 0) }}</td>
+</tr>
+@endforeach
+</table>
+</td>
+</tr>
+@endif
+
+{{-- Top properties --}}
+@if (count($digest['properties']) > 0)
+<tr>
+<td style="padding:16px 24px 0;">
+<div style="font-size:16px; font-weight:bold;">Top {{ count($digest['properties']) }} Properties by Delinquency</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin-top:8px; font-size:12px; border-collapse:collapse;">
+<tr style="background-color:#F9FAFB; color:#6B7280; text-align:left;">
+<th style="padding:6px; font-weight:normal;">Property</th>
+<th align="right" style="padding:6px; font-weight:normal;">Occupancy</th>
+<th align="right" style="padding:6px; font-weight:normal;">Vacant</th>
+<th align="right" style="padding:6px; font-weight:normal;">Delinquency</th>
+<th align="right" style="padding:6px; font-weight:normal;">Work Orders</th>
+</tr>
+@foreach ($digest['properties'] as $property)
+<tr style="border-top:1px solid #E5E7EB;">
+<td style="padding:6px;"><a href="{{ route('properties.show', $property['property_id']) }}" style="color:#2563EB; text-decoration:none;">{{ $property['property_name'] }}</a></td>
+<td align="right" style="padding:6px;">{{ number_format($property['occupancy_rate'], 1) }}%</td>
+<td align="right" style="padding:6px;">{{ $property['vacancy_count'] }}</td>
+<td align="right" style="padding:6px;">${{ number_format($property['delinquency_amount'], 0) }}</td>
+<td align="right" style="padding:6px;">{{ $property['open_work_orders'] }}</td>
+</tr>
+@endforeach
+</table>
+</td>
+</tr>
+@endif
+
+@endif
+
+{{-- Footer --}}
+<tr>
+<td style="padding:24px;">
+<a href="{{ $dashboardUrl }}" style="display:inline-block; padding:10px 18px; background-color:#2563EB; color:#FFFFFF; border-radius:6px; text-decoration:none; font-size:14px;">View Dashboard</a>
+<p style="margin:16px 0 0; font-size:12px; color:#9CA3AF;">
+You are receiving this because you subscribed to the {{ $digest['cadence'] }} Dashboard digest.
+<a href="{{ $profileUrl }}" style="color:#6B7280;">Change or cancel it from your profile.</a>
+</p>
+</td>
+</tr>
+
+</table>
+</td>
+</tr>
+</table>
+</body>
+</html>
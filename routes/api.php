@@ -2,6 +2,7 @@
 
 use App\Http\Controllers\Api\DashboardApiController;
 use App\Http\Controllers\Api\HealthController;
+use App\Http\Controllers\Api\NotificationController;
 use App\Http\Controllers\Api\SyncApiController;
 use App\Http\Controllers\Api\UserController;
 use App\Http\Controllers\Api\VendorApiController;
@@ -26,6 +27,10 @@ Route::middleware('auth:sanctum')->group(function () {
     // Dashboard stats
     Route::get('/dashboard/stats', [DashboardApiController::class, 'stats'])
         ->name('api.dashboard.stats');
+    Route::get('/dashboard/drilldown', [DashboardApiController::class, 'drillDown'])
+        ->name('api.dashboard.drilldown');
+    Route::get('/dashboard/version', [DashboardApiController::class, 'version'])
+        ->name('api.dashboard.version');
 
     // Sync operations
     Route::get('/sync/health', [SyncApiController::class, 'health'])
@@ -70,3 +75,13 @@ Route::middleware(['web', 'auth'])->group(function () {
     Route::get('/vendors/{vendor}/duplicates', [VendorApiController::class, 'duplicates'])
         ->name('api.vendors.duplicates');
 });
+
+// In-app notification feed (uses web session auth for same-origin requests)
+Route::middleware(['web', 'auth'])->group(function () {
+    Route::get('/notifications', [NotificationController::class, 'index'])
+        ->name('api.notifications.index');
+    Route::post('/notifications/read-all', [NotificationController::class, 'markAllAsRead'])
+        ->name('api.notifications.read-all');
+    Route::post('/notifications/{notification}/read', [NotificationController::class, 'markAsRead'])
+        ->name('api.notifications.read');
+});
@@ -2,7 +2,9 @@
 
 use App\Console\Commands\AnalyticsRefreshCommand;
 use App\Console\Commands\AppfolioSyncCommand;
+use App\Console\Commands\DetectUtilityAnomaliesCommand;
 use App\Console\Commands\EvaluateAlertsCommand;
+use App\Console\Commands\SendDashboardDigestsCommand;
 use App\Services\BusinessHoursService;
 use Illuminate\Support\Facades\Schedule;
 
@@ -50,6 +52,14 @@ Schedule::command(AnalyticsRefreshCommand::class)
     ->onOneServer()
     ->appendOutputTo(storage_path('logs/analytics.log'));
 
+// Record last month's and this month's utility anomalies at 3:30 AM (after analytics refresh)
+// Runs daily so bills synced late in the month are still picked up
+Schedule::command(DetectUtilityAnomaliesCommand::class)
+    ->dailyAt('03:30')
+    ->withoutOverlapping()
+    ->onOneServer()
+    ->appendOutputTo(storage_path('logs/analytics.log'));
+
 // Evaluate alert rules daily at 8:00 AM
 Schedule::command(EvaluateAlertsCommand::class)
     ->dailyAt('08:00')
@@ -57,3 +67,12 @@ Schedule::command(EvaluateAlertsCommand::class)
     ->withoutOverlapping()
     ->onOneServer()
     ->appendOutputTo(storage_path('logs/alerts.log'));
+
+// Send weekly and monthly Dashboard digests at 8:15 AM (after alert evaluation)
+// Runs daily; each subscription is sent once per week or month
+Schedule::command(SendDashboardDigestsCommand::class)
+    ->dailyAt('08:15')
+    ->when(fn () => config('features.notifications', true))
+    ->withoutOverlapping()
+    ->onOneServer()
+    ->appendOutputTo(storage_path('logs/alerts.log'));
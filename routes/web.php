@@ -2,18 +2,33 @@
 
 use App\Http\Controllers\AdjustmentController;
 use App\Http\Controllers\AdjustmentReportController;
+use App\Http\Controllers\Admin\AlertRuleController;
+use App\Http\Controllers\Admin\UtilityAnomalySettingController;
+use App\Http\Controllers\Admin\UtilityBudgetController;
 use App\Http\Controllers\Admin\UtilityFormattingRuleController;
+use App\Http\Controllers\Admin\WeatherDataController;
 use App\Http\Controllers\AdminController;
 use App\Http\Controllers\Auth\AuthenticatedSessionController;
 use App\Http\Controllers\Auth\GoogleSsoController;
 use App\Http\Controllers\ChangelogController;
 use App\Http\Controllers\DashboardController;
+use App\Http\Controllers\LeasingController;
 use App\Http\Controllers\ProfileController;
+use App\Http\Controllers\PropertyActivityController;
+use App\Http\Controllers\PropertyBulkActionController;
 use App\Http\Controllers\PropertyController;
+use App\Http\Controllers\PropertyNoteController;
+use App\Http\Controllers\RentRollController;
+use App\Http\Controllers\SavedViewController;
+use App\Http\Controllers\UnitController;
 use App\Http\Controllers\UtilityAccountController;
+use App\Http\Controllers\UtilityAnomalyController;
 use App\Http\Controllers\UtilityDashboardController;
+use App\Http\Controllers\UtilityExpenseUsageController;
 use App\Http\Controllers\UtilityNoteController;
+use App\Http\Controllers\UtilityTableLayoutController;
 use App\Http\Controllers\VendorController;
+use App\Services\UtilityTableLayoutService;
 use Illuminate\Support\Facades\Route;
 
 /*
@@ -46,6 +61,12 @@ Route::middleware('auth')->group(function () {
     // Dashboard
     Route::get('/dashboard', [DashboardController::class, 'index'])
         ->name('dashboard');
+    Route::put('/dashboard/scope', [DashboardController::class, 'updateScope'])
+        ->name('dashboard.scope.update');
+    Route::put('/dashboard/layout', [DashboardController::class, 'updateLayout'])
+        ->name('dashboard.layout.update');
+    Route::delete('/dashboard/layout', [DashboardController::class, 'resetLayout'])
+        ->name('dashboard.layout.reset');
 
     // Properties
     Route::get('/properties', [PropertyController::class, 'index'])
@@ -53,12 +74,42 @@ Route::middleware('auth')->group(function () {
     Route::get('/properties/search', [PropertyController::class, 'search'])
         ->name('properties.search')
         ->middleware('throttle:60,1');
+    Route::get('/properties/compare', [PropertyController::class, 'compare'])
+        ->name('properties.compare');
+    Route::post('/properties/bulk', [PropertyBulkActionController::class, 'store'])
+        ->name('properties.bulk');
+    Route::post('/properties/views', [SavedViewController::class, 'store'])
+        ->name('properties.views.store');
+    Route::put('/properties/views/default', [SavedViewController::class, 'updateDefault'])
+        ->name('properties.views.default');
+    Route::patch('/properties/views/{savedView}', [SavedViewController::class, 'update'])
+        ->name('properties.views.update');
+    Route::delete('/properties/views/{savedView}', [SavedViewController::class, 'destroy'])
+        ->name('properties.views.destroy');
     Route::get('/properties/{property}', [PropertyController::class, 'show'])
         ->name('properties.show');
     Route::post('/properties/{property}/flags', [PropertyController::class, 'storeFlag'])
         ->name('properties.flags.store');
     Route::delete('/properties/{property}/flags/{flag}', [PropertyController::class, 'destroyFlag'])
         ->name('properties.flags.destroy');
+    Route::get('/properties/{property}/activity', [PropertyActivityController::class, 'index'])
+        ->name('properties.activity');
+    Route::get('/properties/{property}/notes', [PropertyNoteController::class, 'index'])
+        ->name('properties.notes.index');
+    Route::post('/properties/{property}/notes', [PropertyNoteController::class, 'store'])
+        ->name('properties.notes.store');
+    Route::delete('/properties/{property}/notes/{note}', [PropertyNoteController::class, 'destroy'])
+        ->name('properties.notes.destroy');
+    Route::get('/properties/{property}/notes/{note}/attachments/{attachment}', [PropertyNoteController::class, 'attachment'])
+        ->name('properties.notes.attachments.show');
+    Route::get('/properties/{property}/units/{unit}', [UnitController::class, 'show'])
+        ->name('properties.units.show');
+    Route::get('/properties/{property}/rent-roll/export', [RentRollController::class, 'export'])
+        ->name('properties.rent-roll.export');
+
+    // Leasing
+    Route::get('/leasing', [LeasingController::class, 'index'])
+        ->name('leasing.index');
 
     // Utilities Dashboard
     Route::get('/utilities', [UtilityDashboardController::class, 'index'])
@@ -69,6 +120,8 @@ Route::middleware('auth')->group(function () {
         ->name('utilities.data');
     Route::get('/utilities/excluded', [UtilityDashboardController::class, 'excluded'])
         ->name('utilities.excluded');
+    Route::get('/utilities/anomalies', [UtilityAnomalyController::class, 'index'])
+        ->name('utilities.anomalies.index');
     Route::get('/utilities/property/{property}', [UtilityDashboardController::class, 'show'])
         ->name('utilities.show');
 
@@ -80,6 +133,28 @@ Route::middleware('auth')->group(function () {
     Route::delete('/utilities/notes/{property}/{utilityType}', [UtilityNoteController::class, 'destroy'])
         ->name('utilities.notes.destroy');
 
+    // Utility Table Layouts
+    Route::put('/utilities/table-layouts/{table}', [UtilityTableLayoutController::class, 'update'])
+        ->whereIn('table', UtilityTableLayoutService::TABLES)
+        ->name('utilities.table-layouts.update');
+    Route::delete('/utilities/table-layouts/{table}', [UtilityTableLayoutController::class, 'destroy'])
+        ->whereIn('table', UtilityTableLayoutService::TABLES)
+        ->name('utilities.table-layouts.reset');
+
+    // Utility Anomalies
+    Route::patch('/utilities/anomalies/{utilityAnomaly}/acknowledge', [UtilityAnomalyController::class, 'acknowledge'])
+        ->name('utilities.anomalies.acknowledge');
+    Route::patch('/utilities/anomalies/{utilityAnomaly}/dismiss', [UtilityAnomalyController::class, 'dismiss'])
+        ->name('utilities.anomalies.dismiss');
+    Route::patch('/utilities/anomalies/{utilityAnomaly}/reopen', [UtilityAnomalyController::class, 'reopen'])
+        ->name('utilities.anomalies.reopen');
+    Route::post('/utilities/anomalies/{utilityAnomaly}/note', [UtilityAnomalyController::class, 'note'])
+        ->name('utilities.anomalies.note');
+
+    // Utility Expense Usage
+    Route::patch('/utilities/expenses/{utilityExpense}/usage', [UtilityExpenseUsageController::class, 'update'])
+        ->name('utilities.expenses.usage.update');
+
     // Vendors
     Route::get('/vendors', [VendorController::class, 'index'])
         ->name('vendors.index');
@@ -154,6 +229,30 @@ Route::middleware('auth')->group(function () {
         Route::post('/utility-formatting-rules', [UtilityFormattingRuleController::class, 'store'])->name('utility-formatting-rules.store');
         Route::patch('/utility-formatting-rules/{utilityFormattingRule}', [UtilityFormattingRuleController::class, 'update'])->name('utility-formatting-rules.update');
         Route::delete('/utility-formatting-rules/{utilityFormattingRule}', [UtilityFormattingRuleController::class, 'destroy'])->name('utility-formatting-rules.destroy');
+
+        // Utility Budgets
+        Route::get('/utility-budgets', [UtilityBudgetController::class, 'index'])->name('utility-budgets.index');
+        Route::post('/utility-budgets', [UtilityBudgetController::class, 'store'])->name('utility-budgets.store');
+        Route::post('/utility-budgets/import', [UtilityBudgetController::class, 'import'])->name('utility-budgets.import');
+        Route::delete('/utility-budgets/{property}/{utilityType}/{year}', [UtilityBudgetController::class, 'destroy'])->whereNumber('year')->name('utility-budgets.destroy');
+
+        // Weather Data (degree days for weather-normalized utility costs)
+        Route::get('/weather-data', [WeatherDataController::class, 'index'])->name('weather-data.index');
+        Route::post('/weather-data/import', [WeatherDataController::class, 'import'])->name('weather-data.import');
+        Route::patch('/weather-data/utility-types/{utilityType}', [WeatherDataController::class, 'updateBasis'])->name('weather-data.update-basis');
+
+        // Utility Anomaly Detection
+        Route::get('/utility-anomaly-settings', [UtilityAnomalySettingController::class, 'index'])->name('utility-anomaly-settings.index');
+        Route::patch('/utility-anomaly-settings/{utilityType}', [UtilityAnomalySettingController::class, 'update'])->name('utility-anomaly-settings.update');
+
+        // Alert Rules
+        Route::get('/alert-rules', [AlertRuleController::class, 'index'])->name('alert-rules.index');
+        Route::get('/alert-rules/preview', [AlertRuleController::class, 'preview'])->name('alert-rules.preview');
+        Route::post('/alert-rules', [AlertRuleController::class, 'store'])->name('alert-rules.store');
+        Route::patch('/alert-rules/{alertRule}', [AlertRuleController::class, 'update'])->name('alert-rules.update');
+        Route::delete('/alert-rules/{alertRule}', [AlertRuleController::class, 'destroy'])->name('alert-rules.destroy');
+        Route::post('/alert-rules/{alertRule}/mute', [AlertRuleController::class, 'mute'])->name('alert-rules.mute');
+        Route::delete('/alert-rules/{alertRule}/mute', [AlertRuleController::class, 'unmute'])->name('alert-rules.unmute');
     });
 
     // Profile (all authenticated users)
@@ -163,6 +262,10 @@ Route::middleware('auth')->group(function () {
         ->name('profile.update');
     Route::put('/profile/password', [ProfileController::class, 'updatePassword'])
         ->name('profile.password');
+    Route::put('/profile/digest', [ProfileController::class, 'updateDigest'])
+        ->name('profile.digest.update');
+    Route::delete('/profile/digest', [ProfileController::class, 'destroyDigest'])
+        ->name('profile.digest.destroy');
 
     // Changelog
     Route::get('/changelog', [ChangelogController::class, 'index'])
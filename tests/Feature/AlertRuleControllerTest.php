@@ -0,0 +1,304 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Feature;
+
+use App\Models\AlertRule;
+use App\Models\DailyKpi;
+use App\Models\Role;
+use App\Models\User;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class AlertRuleControllerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private User $user;
+
+    private User $adminUser;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $role = Role::factory()->create(['name' => 'viewer']);
+        $adminRole = Role::factory()->admin()->create();
+
+        $this->user = User::factory()->create(['role_id' => $role->id, 'email' => 'viewer@example.com']);
+        $this->adminUser = User::factory()->create(['role_id' => $adminRole->id, 'email' => 'admin@example.com']);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    private function createRule(array $attributes = []): AlertRule
+    {
+        return AlertRule::create([
+            'name' => 'High Vacancy',
+            'metric' => 'vacancy_count',
+            'operator' => 'gt',
+            'threshold' => 5,
+            'enabled' => true,
+            'recipients' => ['admin@example.com'],
+            ...$attributes,
+        ]);
+    }
+
+    private function validPayload(array $overrides = []): array
+    {
+        return [
+            'name' => 'Low Occupancy',
+            'metric' => 'occupancy_rate',
+            'operator' => 'lt',
+            'threshold' => 90,
+            'enabled' => true,
+            'recipients' => ['admin@example.com', 'viewer@example.com'],
+            ...$overrides,
+        ];
+    }
+
+    // ==================== Index Tests ====================
+
+    public function test_guest_cannot_access_alert_rules_index(): void
+    {
+        $response = $this->get('/admin/alert-rules');
+
+        $response->assertRedirect('/login');
+    }
+
+    public function test_non_admin_cannot_access_alert_rules_index(): void
+    {
+        $response = $this->actingAs($this->user)->get('/admin/alert-rules');
+
+        $response->assertStatus(403);
+    }
+
+    public function test_admin_can_access_alert_rules_index(): void
+    {
+        $rule = $this->createRule();
+        $rule->markAsTriggered(8, ['admin@example.com']);
+        User::factory()->inactive()->create();
+
+        $response = $this->actingAs($this->adminUser)->get('/admin/alert-rules');
+
+        $response->assertStatus(200);
+        $response->assertInertia(
+            fn ($page) => $page
+                ->component('Admin/AlertRules', shouldExist: false)
+                ->has('rules', 1)
+                ->where('rules.0.triggers_count', 1)
+                ->where('rules.0.triggers.0.value', '8.00')
+                ->where('rules.0.muted_until', null)
+                ->has('users', 2)
+                ->has('metrics')
+                ->has('operators')
+                ->has('muteDurations')
+        );
+    }
+
+    // ==================== Store Tests ====================
+
+    public function test_admin_can_create_alert_rule(): void
+    {
+        $response = $this->actingAs($this->adminUser)->post('/admin/alert-rules', $this->validPayload());
+
+        $response->assertRedirect('/admin/alert-rules');
+        $response->assertSessionHas('success');
+
+        $rule = AlertRule::firstOrFail();
+        $this->assertEquals('occupancy_rate', $rule->metric);
+        $this->assertEquals(['admin@example.com', 'viewer@example.com'], $rule->recipients);
+    }
+
+    public function test_non_admin_cannot_create_alert_rule(): void
+    {
+        $response = $this->actingAs($this->user)->post('/admin/alert-rules', $this->validPayload());
+
+        $response->assertStatus(403);
+        $this->assertDatabaseCount('alert_rules', 0);
+    }
+
+    public function test_create_validates_metric_and_operator(): void
+    {
+        $response = $this->actingAs($this->adminUser)
+            ->from('/admin/alert-rules')
+            ->post('/admin/alert-rules', $this->validPayload(['metric' => 'bogus', 'operator' => 'between']));
+
+        $response->assertSessionHasErrors(['metric', 'operator']);
+    }
+
+    public function test_recipients_must_be_active_users(): void
+    {
+        User::factory()->inactive()->create(['email' => 'former@example.com']);
+
+        $response = $this->actingAs($this->adminUser)
+            ->from('/admin/alert-rules')
+            ->post('/admin/alert-rules', $this->validPayload([
+                'recipients' => ['former@example.com', 'stranger@example.com'],
+            ]));
+
+        $response->assertSessionHasErrors(['recipients.0', 'recipients.1']);
+    }
+
+    public function test_at_least_one_recipient_is_required(): void
+    {
+        $response = $this->actingAs($this->adminUser)
+            ->from('/admin/alert-rules')
+            ->post('/admin/alert-rules', $this->validPayload(['recipients' => []]));
+
+        $response->assertSessionHasErrors('recipients');
+    }
+
+    // ==================== Update / Delete Tests ====================
+
+    public function test_admin_can_update_alert_rule(): void
+    {
+        $rule = $this->createRule();
+
+        $response = $this->actingAs($this->adminUser)->patch("/admin/alert-rules/{$rule->id}", [
+            'threshold' => 12,
+            'enabled' => false,
+        ]);
+
+        $response->assertRedirect('/admin/alert-rules');
+        $rule->refresh();
+        $this->assertEquals('12.00', $rule->threshold);
+        $this->assertFalse($rule->enabled);
+        $this->assertEquals('High Vacancy', $rule->name);
+    }
+
+    public function test_admin_can_delete_alert_rule_and_its_history(): void
+    {
+        $rule = $this->createRule();
+        $rule->markAsTriggered(8, ['admin@example.com']);
+
+        $response = $this->actingAs($this->adminUser)->delete("/admin/alert-rules/{$rule->id}");
+
+        $response->assertRedirect('/admin/alert-rules');
+        $this->assertDatabaseCount('alert_rules', 0);
+        $this->assertDatabaseCount('alert_rule_triggers', 0);
+    }
+
+    public function test_non_admin_cannot_delete_alert_rule(): void
+    {
+        $rule = $this->createRule();
+
+        $response = $this->actingAs($this->user)->delete("/admin/alert-rules/{$rule->id}");
+
+        $response->assertStatus(403);
+        $this->assertDatabaseHas('alert_rules', ['id' => $rule->id]);
+    }
+
+    // ==================== Preview Tests ====================
+
+    public function test_preview_reports_whether_rule_would_fire(): void
+    {
+        DailyKpi::create([
+            'date' => '2026-03-20',
+            'occupancy_rate' => 88.5,
+            'vacancy_count' => 7,
+            'total_units' => 60,
+            'delinquency_amount' => 2500,
+            'open_work_orders' => 3,
+        ]);
+
+        $firing = $this->actingAs($this->adminUser)->getJson('/admin/alert-rules/preview?'.http_build_query([
+            'metric' => 'occupancy_rate',
+            'operator' => 'lt',
+            'threshold' => 90,
+        ]));
+
+        $firing->assertOk()
+            ->assertJson([
+                'kpi_date' => '2026-03-20',
+                'value' => 88.5,
+                'formatted_value' => '88.5%',
+                'would_fire' => true,
+            ]);
+
+        $quiet = $this->actingAs($this->adminUser)->getJson('/admin/alert-rules/preview?'.http_build_query([
+            'metric' => 'vacancy_count',
+            'operator' => 'gt',
+            'threshold' => 10,
+        ]));
+
+        $quiet->assertOk()->assertJson(['value' => 7, 'would_fire' => false]);
+    }
+
+    public function test_preview_without_kpi_data_does_not_fire(): void
+    {
+        $response = $this->actingAs($this->adminUser)->getJson('/admin/alert-rules/preview?'.http_build_query([
+            'metric' => 'vacancy_count',
+            'operator' => 'gt',
+            'threshold' => 0,
+        ]));
+
+        $response->assertOk()->assertJson(['kpi_date' => null, 'value' => null, 'would_fire' => false]);
+    }
+
+    public function test_preview_validates_input_and_requires_admin(): void
+    {
+        $this->actingAs($this->adminUser)
+            ->getJson('/admin/alert-rules/preview?metric=bogus')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['metric', 'operator', 'threshold']);
+
+        $this->actingAs($this->user)
+            ->getJson('/admin/alert-rules/preview?metric=vacancy_count&operator=gt&threshold=1')
+            ->assertStatus(403);
+    }
+
+    // ==================== Mute Tests ====================
+
+    public function test_admin_can_mute_and_unmute_alert_rule(): void
+    {
+        $rule = $this->createRule();
+
+        $this->actingAs($this->adminUser)
+            ->from('/admin/alert-rules')
+            ->post("/admin/alert-rules/{$rule->id}/mute", ['hours' => 24])
+            ->assertRedirect('/admin/alert-rules')
+            ->assertSessionHas('success');
+
+        $rule->refresh();
+        $this->assertTrue($rule->isMuted());
+        $this->assertEquals('2026-03-21 12:00:00', $rule->muted_until->toDateTimeString());
+
+        $this->actingAs($this->adminUser)
+            ->from('/admin/alert-rules')
+            ->delete("/admin/alert-rules/{$rule->id}/mute")
+            ->assertRedirect('/admin/alert-rules');
+
+        $this->assertFalse($rule->refresh()->isMuted());
+    }
+
+    public function test_mute_duration_must_be_an_offered_option(): void
+    {
+        $rule = $this->createRule();
+
+        $response = $this->actingAs($this->adminUser)
+            ->from('/admin/alert-rules')
+            ->post("/admin/alert-rules/{$rule->id}/mute", ['hours' => 5]);
+
+        $response->assertSessionHasErrors('hours');
+        $this->assertNull($rule->refresh()->muted_until);
+    }
+
+    public function test_non_admin_cannot_mute_alert_rule(): void
+    {
+        $rule = $this->createRule();
+
+        $this->actingAs($this->user)
+            ->post("/admin/alert-rules/{$rule->id}/mute", ['hours' => 24])
+            ->assertStatus(403);
+    }
+}
@@ -0,0 +1,244 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\DailyKpi;
+use App\Models\LedgerTransaction;
+use App\Models\Property;
+use App\Models\SyncRun;
+use App\Models\Unit;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class DashboardApiTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private User $user;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+    }
+
+    private function createKpisForLastDays(int $days): void
+    {
+        for ($i = $days; $i >= 0; $i--) {
+            DailyKpi::create([
+                'date' => now()->subDays($i)->toDateString(),
+                'occupancy_rate' => 90,
+                'vacancy_count' => 10,
+                'total_units' => 100,
+                'delinquency_amount' => 1000,
+            ]);
+        }
+    }
+
+    public function test_stats_endpoint_requires_authentication(): void
+    {
+        $response = $this->getJson('/api/dashboard/stats');
+
+        $response->assertStatus(401);
+    }
+
+    public function test_stats_returns_expected_structure(): void
+    {
+        $response = $this->actingAs($this->user)->getJson('/api/dashboard/stats');
+
+        $response->assertStatus(200)
+            ->assertJsonStructure([
+                'kpis' => ['current', 'trend'],
+                'trendFilters' => ['range', 'start_date', 'end_date', 'granularity'],
+                'syncStatus' => ['lastRun'],
+                'propertyRollups',
+                'generatedAt',
+            ]);
+    }
+
+    public function test_stats_filters_trend_by_range(): void
+    {
+        $this->createKpisForLastDays(120);
+
+        $response = $this->actingAs($this->user)->getJson('/api/dashboard/stats?range=90d');
+
+        $response->assertStatus(200)
+            ->assertJsonPath('trendFilters.range', '90d')
+            ->assertJsonPath('trendFilters.granularity', 'daily')
+            ->assertJsonCount(91, 'kpis.trend');
+    }
+
+    public function test_stats_accepts_custom_range(): void
+    {
+        $this->createKpisForLastDays(20);
+
+        $start = now()->subDays(10)->toDateString();
+        $end = now()->subDays(5)->toDateString();
+
+        $response = $this->actingAs($this->user)
+            ->getJson("/api/dashboard/stats?range=custom&start_date={$start}&end_date={$end}");
+
+        $response->assertStatus(200)
+            ->assertJsonPath('trendFilters.start_date', $start)
+            ->assertJsonPath('trendFilters.end_date', $end)
+            ->assertJsonCount(6, 'kpis.trend');
+    }
+
+    public function test_stats_aggregates_trend_monthly(): void
+    {
+        $this->createKpisForLastDays(100);
+
+        $response = $this->actingAs($this->user)->getJson('/api/dashboard/stats?range=90d&granularity=monthly');
+
+        $response->assertStatus(200)
+            ->assertJsonPath('trendFilters.granularity', 'monthly');
+
+        $trend = $response->json('kpis.trend');
+        $this->assertLessThanOrEqual(4, count($trend));
+        $this->assertStringEndsWith('-01', $trend[0]['date']);
+    }
+
+    public function test_stats_rejects_invalid_range(): void
+    {
+        $response = $this->actingAs($this->user)->getJson('/api/dashboard/stats?range=forever');
+
+        $response->assertStatus(422)
+            ->assertJsonValidationErrors('range');
+    }
+
+    public function test_stats_requires_dates_for_custom_range(): void
+    {
+        $response = $this->actingAs($this->user)->getJson('/api/dashboard/stats?range=custom');
+
+        $response->assertStatus(422)
+            ->assertJsonValidationErrors(['start_date', 'end_date']);
+    }
+
+    public function test_stats_rejects_end_date_before_start_date(): void
+    {
+        $response = $this->actingAs($this->user)
+            ->getJson('/api/dashboard/stats?range=custom&start_date=2026-02-01&end_date=2026-01-01');
+
+        $response->assertStatus(422)
+            ->assertJsonValidationErrors('end_date');
+    }
+
+    public function test_stats_rejects_invalid_granularity(): void
+    {
+        $response = $this->actingAs($this->user)->getJson('/api/dashboard/stats?granularity=hourly');
+
+        $response->assertStatus(422)
+            ->assertJsonValidationErrors('granularity');
+    }
+
+    public function test_stats_still_supports_days_parameter(): void
+    {
+        $this->createKpisForLastDays(20);
+
+        $response = $this->actingAs($this->user)->getJson('/api/dashboard/stats?days=7');
+
+        $response->assertStatus(200)
+            ->assertJsonCount(8, 'kpis.trend');
+    }
+
+    public function test_drilldown_requires_authentication(): void
+    {
+        $response = $this->getJson('/api/dashboard/drilldown?metric=delinquency&date=2026-01-01');
+
+        $response->assertStatus(401);
+    }
+
+    public function test_drilldown_validates_metric_and_date(): void
+    {
+        $response = $this->actingAs($this->user)->getJson('/api/dashboard/drilldown?metric=revenue&date='.now()->addDay()->toDateString());
+
+        $response->assertStatus(422)
+            ->assertJsonValidationErrors(['metric', 'date']);
+    }
+
+    public function test_drilldown_lists_delinquent_balances_within_saved_scope(): void
+    {
+        $inScope = Property::factory()->create(['name' => 'Alpha', 'portfolio' => 'Owner A', 'is_active' => true]);
+        $outOfScope = Property::factory()->create(['name' => 'Beta', 'portfolio' => 'Owner B', 'is_active' => true]);
+        $this->user->setPreference('dashboard_scope', ['portfolios' => ['Owner A'], 'property_types' => []]);
+
+        foreach ([$inScope, $outOfScope] as $property) {
+            $unit = Unit::factory()->create(['property_id' => $property->id]);
+            LedgerTransaction::create([
+                'external_id' => 'txn-'.$property->name,
+                'property_id' => $property->id,
+                'unit_id' => $unit->id,
+                'date' => now()->subDays(3)->toDateString(),
+                'type' => 'charge',
+                'amount' => 750,
+            ]);
+        }
+
+        $response = $this->actingAs($this->user)->getJson('/api/dashboard/drilldown?'.http_build_query([
+            'metric' => 'delinquency',
+            'date' => now()->toDateString(),
+        ]));
+
+        $response->assertStatus(200)
+            ->assertJsonPath('metric', 'delinquency')
+            ->assertJsonPath('total_count', 1)
+            ->assertJsonPath('rows.0.property_name', 'Alpha')
+            ->assertJsonPath('rows.0.property_id', $inScope->id);
+    }
+
+    public function test_drilldown_lists_vacant_units(): void
+    {
+        $property = Property::factory()->create(['is_active' => true]);
+        Unit::factory()->create(['property_id' => $property->id, 'unit_number' => '204']);
+
+        $response = $this->actingAs($this->user)->getJson('/api/dashboard/drilldown?'.http_build_query([
+            'metric' => 'occupancy',
+            'date' => now()->toDateString(),
+            'granularity' => 'weekly',
+        ]));
+
+        $response->assertStatus(200)
+            ->assertJsonPath('total_count', 1)
+            ->assertJsonPath('rows.0.unit_number', '204')
+            ->assertJsonPath('total_amount', null);
+    }
+
+    public function test_version_requires_authentication(): void
+    {
+        $response = $this->getJson('/api/dashboard/version');
+
+        $response->assertStatus(401);
+    }
+
+    public function test_version_changes_when_a_sync_run_finishes(): void
+    {
+        $first = $this->actingAs($this->user)->getJson('/api/dashboard/version');
+        $first->assertOk()->assertJsonPath('last_sync_run', null);
+
+        // A run that is still in progress does not change the version
+        $run = SyncRun::create(['mode' => 'incremental', 'status' => 'running', 'started_at' => now()]);
+        $running = $this->actingAs($this->user)->getJson('/api/dashboard/version');
+        $this->assertSame($first->json('version'), $running->json('version'));
+
+        $run->update(['status' => 'completed', 'ended_at' => now()]);
+        $finished = $this->actingAs($this->user)->getJson('/api/dashboard/version');
+
+        $finished->assertOk()
+            ->assertJsonPath('last_sync_run.id', $run->id)
+            ->assertJsonPath('last_sync_run.status', 'completed');
+        $this->assertNotSame($first->json('version'), $finished->json('version'));
+    }
+
+    public function test_version_changes_when_kpis_are_refreshed(): void
+    {
+        $before = $this->actingAs($this->user)->getJson('/api/dashboard/version');
+
+        $this->createKpisForLastDays(0);
+        $after = $this->actingAs($this->user)->getJson('/api/dashboard/version');
+
+        $this->assertNotNull($after->json('kpis_updated_at'));
+        $this->assertNotSame($before->json('version'), $after->json('version'));
+    }
+}
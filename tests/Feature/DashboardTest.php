@@ -2,7 +2,11 @@
 
 namespace Tests\Feature;
 
+use App\Models\DailyKpi;
+use App\Models\Property;
+use App\Models\PropertyRollup;
 use App\Models\User;
+use App\Services\DashboardLayoutService;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Tests\TestCase;
 
@@ -31,6 +35,321 @@ class DashboardTest extends TestCase
         );
     }
 
+    public function test_dashboard_includes_kpi_comparison(): void
+    {
+        $user = User::factory()->create();
+
+        DailyKpi::create([
+            'date' => now()->subWeek()->toDateString(),
+            'occupancy_rate' => 90,
+            'vacancy_count' => 10,
+            'total_units' => 100,
+        ]);
+        DailyKpi::create([
+            'date' => now()->toDateString(),
+            'occupancy_rate' => 92,
+            'vacancy_count' => 8,
+            'total_units' => 100,
+        ]);
+
+        $response = $this->actingAs($user)->get('/dashboard');
+
+        $response->assertStatus(200);
+        $response->assertInertia(fn ($page) => $page
+            ->component('Dashboard')
+            ->has('comparisonPeriods')
+            ->where('kpis.comparison.period', 'last_week')
+            ->where('kpis.comparison.deltas.vacancy_count.change', -2)
+        );
+    }
+
+    public function test_dashboard_respects_compare_parameter(): void
+    {
+        $user = User::factory()->create();
+
+        $response = $this->actingAs($user)->get('/dashboard?compare=last_month');
+
+        $response->assertInertia(fn ($page) => $page
+            ->where('kpis.comparison.period', 'last_month')
+        );
+    }
+
+    public function test_dashboard_ignores_invalid_compare_parameter(): void
+    {
+        $user = User::factory()->create();
+
+        $response = $this->actingAs($user)->get('/dashboard?compare=bogus');
+
+        $response->assertInertia(fn ($page) => $page
+            ->where('kpis.comparison.period', 'last_week')
+        );
+    }
+
+    public function test_dashboard_includes_trend_filters(): void
+    {
+        $user = User::factory()->create();
+
+        $response = $this->actingAs($user)->get('/dashboard');
+
+        $response->assertInertia(fn ($page) => $page
+            ->where('trendFilters.range', '30d')
+            ->where('trendFilters.granularity', 'daily')
+            ->has('trendOptions.ranges')
+            ->has('trendOptions.granularities')
+        );
+    }
+
+    public function test_dashboard_applies_trend_filters_from_url(): void
+    {
+        $user = User::factory()->create();
+
+        $response = $this->actingAs($user)->get('/dashboard?range=ytd&granularity=weekly');
+
+        $response->assertInertia(fn ($page) => $page
+            ->where('trendFilters.range', 'ytd')
+            ->where('trendFilters.start_date', now()->startOfYear()->toDateString())
+            ->where('trendFilters.granularity', 'weekly')
+        );
+    }
+
+    public function test_dashboard_falls_back_for_invalid_trend_filters(): void
+    {
+        $user = User::factory()->create();
+
+        $response = $this->actingAs($user)->get('/dashboard?range=custom&start_date=not-a-date&end_date=2026-01-01&granularity=hourly');
+
+        $response->assertStatus(200);
+        $response->assertInertia(fn ($page) => $page
+            ->where('trendFilters.range', '30d')
+            ->where('trendFilters.granularity', 'daily')
+        );
+    }
+
+    public function test_dashboard_rejects_malformed_compare_parameter(): void
+    {
+        $user = User::factory()->create();
+
+        $response = $this->actingAs($user)->get('/dashboard?compare[]=last_month');
+
+        $response->assertRedirect();
+        $response->assertSessionHasErrors('compare');
+    }
+
+    public function test_dashboard_rejects_malformed_trend_filters(): void
+    {
+        $user = User::factory()->create();
+
+        $response = $this->actingAs($user)->get('/dashboard?range[]=ytd&granularity[]=weekly');
+
+        $response->assertRedirect();
+        $response->assertSessionHasErrors(['range', 'granularity']);
+    }
+
+    public function test_dashboard_includes_scope_options(): void
+    {
+        $user = User::factory()->create();
+
+        Property::create(['external_id' => 'p1', 'name' => 'Alpha', 'portfolio' => 'Owner A', 'property_type' => 'Multifamily', 'is_active' => true]);
+
+        $response = $this->actingAs($user)->get('/dashboard');
+
+        $response->assertInertia(fn ($page) => $page
+            ->where('scope.portfolios', [])
+            ->where('scope.property_types', [])
+            ->where('scopeOptions.portfolios', ['Owner A'])
+            ->where('scopeOptions.propertyTypes', ['Multifamily'])
+        );
+    }
+
+    public function test_user_can_save_dashboard_scope(): void
+    {
+        $user = User::factory()->create();
+
+        $response = $this->actingAs($user)
+            ->from('/dashboard')
+            ->put('/dashboard/scope', [
+                'portfolios' => ['Owner A'],
+                'property_types' => [],
+            ]);
+
+        $response->assertRedirect('/dashboard');
+        $this->assertEquals(['Owner A'], $user->fresh()->getPreference('dashboard_scope.portfolios'));
+        $this->assertEquals([], $user->fresh()->getPreference('dashboard_scope.property_types'));
+    }
+
+    public function test_dashboard_scope_validation(): void
+    {
+        $user = User::factory()->create();
+
+        $response = $this->actingAs($user)
+            ->from('/dashboard')
+            ->put('/dashboard/scope', ['portfolios' => 'Owner A']);
+
+        $response->assertSessionHasErrors('portfolios');
+    }
+
+    public function test_dashboard_kpis_and_rollups_respect_saved_scope(): void
+    {
+        $user = User::factory()->create();
+        $user->setPreference('dashboard_scope', ['portfolios' => ['Owner A'], 'property_types' => []]);
+
+        $inScope = Property::create(['external_id' => 'p1', 'name' => 'Alpha', 'portfolio' => 'Owner A', 'is_active' => true]);
+        $outOfScope = Property::create(['external_id' => 'p2', 'name' => 'Beta', 'portfolio' => 'Owner B', 'is_active' => true]);
+
+        foreach ([[$inScope, 2, 1500], [$outOfScope, 7, 9000]] as [$property, $vacancies, $delinquency]) {
+            PropertyRollup::create([
+                'date' => now()->toDateString(),
+                'property_id' => $property->id,
+                'vacancy_count' => $vacancies,
+                'total_units' => 20,
+                'occupancy_rate' => (20 - $vacancies) / 20 * 100,
+                'delinquency_amount' => $delinquency,
+                'delinquent_units' => 1,
+                'open_work_orders' => 0,
+            ]);
+        }
+
+        $response = $this->actingAs($user)->get('/dashboard');
+
+        $response->assertInertia(fn ($page) => $page
+            ->where('scope.portfolios', ['Owner A'])
+            ->where('kpis.current.vacancy_count', 2)
+            ->where('kpis.current.occupancy_rate', '90.00')
+            ->has('propertySummary.data', 1)
+            ->where('propertySummary.data.0.property_name', 'Alpha')
+        );
+    }
+
+    public function test_dashboard_property_summary_accepts_sort_search_and_page(): void
+    {
+        $user = User::factory()->create();
+
+        foreach (['Alpha' => 3, 'Beta' => 9, 'Gamma' => 5] as $name => $vacancies) {
+            $property = Property::create(['external_id' => strtolower($name), 'name' => $name, 'is_active' => true]);
+
+            PropertyRollup::create([
+                'date' => now()->toDateString(),
+                'property_id' => $property->id,
+                'vacancy_count' => $vacancies,
+                'total_units' => 20,
+                'occupancy_rate' => (20 - $vacancies) / 20 * 100,
+                'delinquency_amount' => 0,
+                'delinquent_units' => 0,
+                'open_work_orders' => 0,
+            ]);
+        }
+
+        $response = $this->actingAs($user)->get('/dashboard?summary_sort=vacancy_count&summary_direction=desc');
+
+        $response->assertInertia(fn ($page) => $page
+            ->has('propertySummary.data', 3)
+            ->where('propertySummary.data.0.property_name', 'Beta')
+            ->where('propertySummary.filters.sort', 'vacancy_count')
+            ->where('propertySummary.current_page', 1)
+        );
+
+        $response = $this->actingAs($user)->get('/dashboard?summary_search=gam');
+
+        $response->assertInertia(fn ($page) => $page
+            ->has('propertySummary.data', 1)
+            ->where('propertySummary.data.0.property_name', 'Gamma')
+            ->where('propertySummary.filters.search', 'gam')
+        );
+    }
+
+    public function test_dashboard_includes_default_layout_and_registry(): void
+    {
+        $user = User::factory()->create();
+
+        $response = $this->actingAs($user)->get('/dashboard');
+
+        $response->assertInertia(fn ($page) => $page
+            ->where('layout', DashboardLayoutService::DEFAULT_LAYOUT)
+            ->has('widgetRegistry', count(DashboardLayoutService::WIDGETS))
+            ->where('widgetData', [])
+        );
+    }
+
+    public function test_user_can_save_dashboard_layout(): void
+    {
+        $user = User::factory()->create();
+
+        $response = $this->actingAs($user)
+            ->from('/dashboard')
+            ->put('/dashboard/layout', [
+                'layout' => [
+                    ['key' => 'kpi_work_orders', 'size' => 6],
+                    ['key' => 'vendor_insurance', 'size' => 6],
+                ],
+            ]);
+
+        $response->assertRedirect('/dashboard');
+        $response->assertSessionHas('success');
+
+        $this->actingAs($user->fresh())->get('/dashboard')
+            ->assertInertia(fn ($page) => $page
+                ->has('layout', 2)
+                ->where('layout.0.key', 'kpi_work_orders')
+                ->has('widgetData.vendor_insurance.vendors')
+                ->has('widgetData.vendor_insurance.stats')
+                ->missing('widgetData.utility_trend')
+            );
+    }
+
+    public function test_user_can_save_empty_dashboard_layout(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)
+            ->from('/dashboard')
+            ->put('/dashboard/layout', ['layout' => []])
+            ->assertSessionHasNoErrors();
+
+        $this->assertEquals([], $user->fresh()->getPreference(DashboardLayoutService::PREFERENCE_KEY));
+    }
+
+    public function test_dashboard_layout_rejects_unknown_widgets(): void
+    {
+        $user = User::factory()->create();
+
+        $response = $this->actingAs($user)
+            ->from('/dashboard')
+            ->put('/dashboard/layout', [
+                'layout' => [['key' => 'not_a_widget', 'size' => 6]],
+            ]);
+
+        $response->assertSessionHasErrors('layout.0.key');
+    }
+
+    public function test_dashboard_layout_rejects_duplicate_widgets_and_bad_sizes(): void
+    {
+        $user = User::factory()->create();
+
+        $response = $this->actingAs($user)
+            ->from('/dashboard')
+            ->put('/dashboard/layout', [
+                'layout' => [
+                    ['key' => 'sync_health', 'size' => 4],
+                    ['key' => 'sync_health', 'size' => 5],
+                ],
+            ]);
+
+        $response->assertSessionHasErrors(['layout.0.key', 'layout.1.size']);
+    }
+
+    public function test_user_can_reset_dashboard_layout(): void
+    {
+        $user = User::factory()->create();
+        $user->setPreference(DashboardLayoutService::PREFERENCE_KEY, [['key' => 'sync_health', 'size' => 12]]);
+
+        $response = $this->actingAs($user)
+            ->from('/dashboard')
+            ->delete('/dashboard/layout');
+
+        $response->assertRedirect('/dashboard');
+        $this->assertNull($user->fresh()->getPreference(DashboardLayoutService::PREFERENCE_KEY));
+    }
+
     public function test_admin_page_redirects_to_users(): void
     {
         $user = User::factory()->admin()->create();
@@ -0,0 +1,76 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Feature;
+
+use App\Models\Lease;
+use App\Models\Property;
+use App\Models\Unit;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class LeasingPageTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_leasing_page_requires_authentication(): void
+    {
+        $this->get('/leasing')->assertRedirect('/login');
+    }
+
+    public function test_leasing_page_displays_expirations(): void
+    {
+        $user = User::factory()->create();
+        $property = Property::factory()->create(['name' => 'Maple Court', 'is_active' => true, 'portfolio' => 'North']);
+        $unit = Unit::factory()->create(['property_id' => $property->id, 'unit_number' => '101']);
+
+        Lease::create([
+            'external_id' => 'lease-1',
+            'unit_id' => $unit->id,
+            'start_date' => now()->subYear()->toDateString(),
+            'end_date' => now()->addDays(20)->toDateString(),
+            'rent' => 1500,
+        ]);
+
+        $response = $this->actingAs($user)->get('/leasing');
+
+        $response->assertStatus(200);
+        $response->assertInertia(fn ($page) => $page
+            ->component('Leasing/Index', shouldExist: false)
+            ->where('windows', [30, 60, 90])
+            ->where('portfolios', ['North'])
+            ->has('overview.heatmap.months', 12)
+            ->has('overview.expirations.groups', 1)
+            ->where('overview.expirations.groups.0.property_name', 'Maple Court')
+            ->where('overview.expirations.groups.0.leases.0.unit_number', '101')
+            ->where('overview.occupancy.portfolio.occupied_units', 1)
+        );
+    }
+
+    public function test_leasing_page_filters_by_portfolio(): void
+    {
+        $user = User::factory()->create();
+        Property::factory()->create(['is_active' => true, 'portfolio' => 'North']);
+        Property::factory()->create(['is_active' => true, 'portfolio' => 'South']);
+
+        $response = $this->actingAs($user)->get('/leasing?portfolio=South');
+
+        $response->assertStatus(200);
+        $response->assertInertia(fn ($page) => $page
+            ->where('filters.portfolio', 'South')
+            ->where('overview.occupancy.portfolio.total_units', 0)
+        );
+    }
+
+    public function test_leasing_page_rejects_malformed_portfolio_filter(): void
+    {
+        $user = User::factory()->create();
+
+        $response = $this->actingAs($user)->get('/leasing?portfolio[]=South');
+
+        $response->assertRedirect();
+        $response->assertSessionHasErrors('portfolio');
+    }
+}
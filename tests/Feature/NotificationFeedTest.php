@@ -0,0 +1,129 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Feature;
+
+use App\Models\Role;
+use App\Models\User;
+use App\Models\VendorDuplicateAnalysis;
+use App\Notifications\DuplicateAnalysisCompletedNotification;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class NotificationFeedTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private User $user;
+
+    private User $otherUser;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $role = Role::factory()->create(['name' => 'viewer']);
+
+        $this->user = User::factory()->create(['role_id' => $role->id]);
+        $this->otherUser = User::factory()->create(['role_id' => $role->id]);
+    }
+
+    private function notifyAnalysis(User $user, string $status = 'completed', int $found = 3): void
+    {
+        $analysis = VendorDuplicateAnalysis::create([
+            'requested_by' => $user->id,
+            'status' => $status,
+            'duplicates_found' => $found,
+            'error_message' => $status === 'failed' ? 'Timed out' : null,
+        ]);
+
+        $user->notify(new DuplicateAnalysisCompletedNotification($analysis));
+    }
+
+    // ==================== Feed Tests ====================
+
+    public function test_guest_cannot_view_notifications(): void
+    {
+        $response = $this->getJson('/api/notifications');
+
+        $response->assertStatus(401);
+    }
+
+    public function test_feed_lists_only_the_users_notifications(): void
+    {
+        $this->notifyAnalysis($this->user);
+        $this->notifyAnalysis($this->otherUser);
+
+        $response = $this->actingAs($this->user)->getJson('/api/notifications');
+
+        $response->assertOk()
+            ->assertJsonPath('unread_count', 1)
+            ->assertJsonCount(1, 'notifications')
+            ->assertJsonPath('notifications.0.kind', 'duplicate_analysis')
+            ->assertJsonPath('notifications.0.title', 'Vendor duplicate analysis complete')
+            ->assertJsonPath('notifications.0.message', '3 potential duplicates found.')
+            ->assertJsonPath('notifications.0.url', route('vendors.deduplication'))
+            ->assertJsonPath('notifications.0.read_at', null);
+    }
+
+    public function test_failed_analysis_notification_includes_the_error(): void
+    {
+        $this->notifyAnalysis($this->user, 'failed');
+
+        $response = $this->actingAs($this->user)->getJson('/api/notifications');
+
+        $response->assertJsonPath('notifications.0.title', 'Vendor duplicate analysis failed')
+            ->assertJsonPath('notifications.0.message', 'Timed out');
+    }
+
+    public function test_unread_count_is_shared_with_every_page(): void
+    {
+        $this->notifyAnalysis($this->user);
+        $this->notifyAnalysis($this->user);
+
+        $response = $this->actingAs($this->user)->get('/profile');
+
+        $response->assertInertia(fn ($page) => $page->where('notifications.unread_count', 2));
+    }
+
+    // ==================== Read State Tests ====================
+
+    public function test_user_can_acknowledge_a_notification(): void
+    {
+        $this->notifyAnalysis($this->user);
+        $this->notifyAnalysis($this->user);
+        $notification = $this->user->notifications()->first();
+
+        $response = $this->actingAs($this->user)->postJson("/api/notifications/{$notification->id}/read");
+
+        $response->assertOk()
+            ->assertJsonPath('unread_count', 1)
+            ->assertJsonPath('notification.id', $notification->id);
+        $this->assertNotNull($notification->refresh()->read_at);
+    }
+
+    public function test_user_cannot_acknowledge_another_users_notification(): void
+    {
+        $this->notifyAnalysis($this->otherUser);
+        $notification = $this->otherUser->notifications()->first();
+
+        $response = $this->actingAs($this->user)->postJson("/api/notifications/{$notification->id}/read");
+
+        $response->assertNotFound();
+        $this->assertNull($notification->refresh()->read_at);
+    }
+
+    public function test_mark_all_read_only_affects_the_current_user(): void
+    {
+        $this->notifyAnalysis($this->user);
+        $this->notifyAnalysis($this->user);
+        $this->notifyAnalysis($this->otherUser);
+
+        $response = $this->actingAs($this->user)->postJson('/api/notifications/read-all');
+
+        $response->assertOk()->assertJsonPath('unread_count', 0);
+        $this->assertSame(0, $this->user->unreadNotifications()->count());
+        $this->assertSame(1, $this->otherUser->unreadNotifications()->count());
+    }
+}
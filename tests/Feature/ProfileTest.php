@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 namespace Tests\Feature;
 
+use App\Models\DashboardDigestSubscription;
 use App\Models\Role;
 use App\Models\User;
 use Illuminate\Foundation\Testing\RefreshDatabase;
@@ -259,4 +260,71 @@ class ProfileTest extends TestCase
 
         $response->assertSessionHasErrors('password');
     }
+
+    // ==================== Dashboard Digest Tests ====================
+
+    public function test_profile_includes_digest_options(): void
+    {
+        $response = $this->actingAs($this->passwordUser)->get('/profile');
+
+        $response->assertInertia(fn ($page) => $page
+            ->where('digestSubscription', null)
+            ->where('digestOptions.cadences', DashboardDigestSubscription::CADENCES)
+            ->has('digestOptions.portfolios')
+            ->has('digestOptions.propertyTypes')
+        );
+    }
+
+    public function test_user_can_subscribe_to_digest(): void
+    {
+        $response = $this->actingAs($this->passwordUser)
+            ->from('/profile')
+            ->put('/profile/digest', [
+                'cadence' => 'monthly',
+                'portfolios' => ['Owner A'],
+                'property_types' => [],
+            ]);
+
+        $response->assertRedirect('/profile');
+        $response->assertSessionHas('success');
+
+        $subscription = $this->passwordUser->digestSubscription()->first();
+        $this->assertEquals('monthly', $subscription->cadence);
+        $this->assertEquals(['Owner A'], $subscription->portfolios);
+        $this->assertEquals([], $subscription->property_types);
+    }
+
+    public function test_updating_digest_keeps_a_single_subscription(): void
+    {
+        $this->actingAs($this->passwordUser)->put('/profile/digest', ['cadence' => 'weekly']);
+        $this->actingAs($this->passwordUser)->put('/profile/digest', ['cadence' => 'monthly']);
+
+        $this->assertEquals(1, DashboardDigestSubscription::where('user_id', $this->passwordUser->id)->count());
+        $this->assertEquals('monthly', $this->passwordUser->digestSubscription()->first()->cadence);
+    }
+
+    public function test_digest_cadence_is_validated(): void
+    {
+        $response = $this->actingAs($this->passwordUser)
+            ->from('/profile')
+            ->put('/profile/digest', ['cadence' => 'hourly']);
+
+        $response->assertSessionHasErrors('cadence');
+        $this->assertNull($this->passwordUser->digestSubscription()->first());
+    }
+
+    public function test_user_can_unsubscribe_from_digest(): void
+    {
+        DashboardDigestSubscription::create([
+            'user_id' => $this->passwordUser->id,
+            'cadence' => 'weekly',
+        ]);
+
+        $response = $this->actingAs($this->passwordUser)
+            ->from('/profile')
+            ->delete('/profile/digest');
+
+        $response->assertRedirect('/profile');
+        $this->assertNull($this->passwordUser->digestSubscription()->first());
+    }
 }
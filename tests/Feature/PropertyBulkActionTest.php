@@ -0,0 +1,229 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Feature;
+
+use App\Models\Property;
+use App\Models\PropertyAdjustment;
+use App\Models\PropertyFlag;
+use App\Models\PropertyUtilityExclusion;
+use App\Models\Role;
+use App\Models\User;
+use App\Models\UtilityType;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Str;
+use Tests\TestCase;
+
+class PropertyBulkActionTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private User $adminUser;
+
+    private User $regularUser;
+
+    private Property $first;
+
+    private Property $second;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $adminRole = Role::create(['name' => 'admin']);
+        $memberRole = Role::create(['name' => 'member']);
+
+        $this->adminUser = User::factory()->create(['role_id' => $adminRole->id]);
+        $this->regularUser = User::factory()->create(['role_id' => $memberRole->id]);
+
+        $this->first = Property::factory()->create(['name' => 'Maple Court', 'unit_count' => 10]);
+        $this->second = Property::factory()->create(['name' => 'Birch Place', 'unit_count' => 20]);
+    }
+
+    private function bulk(array $data): \Illuminate\Testing\TestResponse
+    {
+        return $this->actingAs($this->adminUser)->postJson('/properties/bulk', [
+            'property_ids' => [$this->first->id, $this->second->id],
+            ...$data,
+        ]);
+    }
+
+    // ==================== Flag Tests ====================
+
+    public function test_admin_can_flag_several_properties_at_once(): void
+    {
+        $response = $this->bulk(['action' => 'add_flag', 'flag_type' => 'sold', 'reason' => 'Portfolio sale']);
+
+        $response->assertOk()
+            ->assertJsonPath('succeeded', 2)
+            ->assertJsonPath('failed', 0)
+            ->assertJsonCount(2, 'results');
+
+        $this->assertSame(2, PropertyFlag::where('flag_type', 'sold')->where('reason', 'Portfolio sale')->count());
+    }
+
+    public function test_properties_that_already_have_the_flag_are_reported_as_failures(): void
+    {
+        $this->first->flags()->create(['flag_type' => 'sold', 'created_by' => $this->adminUser->id]);
+
+        $response = $this->bulk(['action' => 'add_flag', 'flag_type' => 'sold']);
+
+        $response->assertOk()
+            ->assertJsonPath('succeeded', 1)
+            ->assertJsonPath('failed', 1)
+            ->assertJsonPath('results.0.property_id', $this->first->id)
+            ->assertJsonPath('results.0.success', false)
+            ->assertJsonPath('results.1.success', true);
+
+        $this->assertSame(2, PropertyFlag::where('flag_type', 'sold')->count());
+    }
+
+    public function test_admin_can_remove_a_flag_from_several_properties(): void
+    {
+        $this->first->flags()->create(['flag_type' => 'hoa', 'created_by' => $this->adminUser->id]);
+
+        $response = $this->bulk(['action' => 'remove_flag', 'flag_type' => 'hoa']);
+
+        $response->assertJsonPath('succeeded', 1)
+            ->assertJsonPath('results.1.success', false);
+
+        $this->assertSame(0, PropertyFlag::count());
+        $this->assertDatabaseHas('property_flag_removals', [
+            'property_id' => $this->first->id,
+            'flag_type' => 'hoa',
+            'removed_by' => $this->adminUser->id,
+        ]);
+    }
+
+    // ==================== Utility Exclusion Tests ====================
+
+    public function test_admin_can_toggle_utility_exclusion(): void
+    {
+        $water = UtilityType::where('key', 'water')->firstOrFail();
+
+        $this->bulk(['action' => 'exclude_utility', 'utility_type_id' => $water->id, 'reason' => 'Tenant pays water'])
+            ->assertJsonPath('succeeded', 2);
+
+        $this->assertSame(2, PropertyUtilityExclusion::ofType($water->id)->count());
+
+        $this->bulk(['action' => 'include_utility', 'utility_type_id' => $water->id])
+            ->assertJsonPath('succeeded', 2);
+
+        $this->assertSame(0, PropertyUtilityExclusion::count());
+    }
+
+    // ==================== Adjustment Tests ====================
+
+    public function test_admin_can_create_the_same_adjustment_for_several_properties(): void
+    {
+        $response = $this->bulk([
+            'action' => 'create_adjustment',
+            'field_name' => 'unit_count',
+            'adjusted_value' => 12,
+            'effective_from' => '2026-01-01',
+            'reason' => 'Units combined',
+        ]);
+
+        $response->assertJsonPath('succeeded', 2);
+
+        $adjustment = PropertyAdjustment::where('property_id', $this->second->id)->firstOrFail();
+        $this->assertSame('20', $adjustment->original_value);
+        $this->assertSame('12', $adjustment->adjusted_value);
+        $this->assertSame($this->adminUser->id, $adjustment->created_by);
+    }
+
+    public function test_adjustment_skips_properties_with_an_overlapping_adjustment(): void
+    {
+        PropertyAdjustment::create([
+            'property_id' => $this->first->id,
+            'field_name' => 'unit_count',
+            'original_value' => '10',
+            'adjusted_value' => '8',
+            'effective_from' => '2025-06-01',
+            'reason' => 'Earlier change',
+        ]);
+
+        $response = $this->bulk([
+            'action' => 'create_adjustment',
+            'field_name' => 'unit_count',
+            'adjusted_value' => 12,
+            'effective_from' => '2026-01-01',
+            'reason' => 'Units combined',
+        ]);
+
+        $response->assertJsonPath('succeeded', 1)
+            ->assertJsonPath('results.0.success', false);
+
+        $this->assertSame(2, PropertyAdjustment::count());
+    }
+
+    public function test_adjustment_requires_a_reason_and_valid_value(): void
+    {
+        $this->bulk([
+            'action' => 'create_adjustment',
+            'field_name' => 'unit_count',
+            'adjusted_value' => -1,
+            'effective_from' => '2026-01-01',
+        ])->assertStatus(422)->assertJsonValidationErrors(['adjusted_value', 'reason']);
+    }
+
+    // ==================== Request Tests ====================
+
+    public function test_unknown_properties_are_reported_per_property(): void
+    {
+        $missingId = (string) Str::uuid();
+
+        $this->actingAs($this->adminUser)
+            ->postJson('/properties/bulk', [
+                'action' => 'add_flag',
+                'flag_type' => 'hoa',
+                'property_ids' => [$this->first->id, $missingId],
+            ])
+            ->assertJsonPath('succeeded', 1)
+            ->assertJsonPath('results.1.property_id', $missingId)
+            ->assertJsonPath('results.1.success', false);
+    }
+
+    public function test_action_parameters_are_validated(): void
+    {
+        $this->bulk(['action' => 'add_flag'])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['flag_type']);
+
+        $this->bulk(['action' => 'delete_everything'])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['action']);
+
+        $this->actingAs($this->adminUser)
+            ->postJson('/properties/bulk', ['action' => 'add_flag', 'flag_type' => 'hoa', 'property_ids' => []])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['property_ids']);
+    }
+
+    public function test_non_admin_cannot_run_bulk_actions(): void
+    {
+        $this->actingAs($this->regularUser)
+            ->postJson('/properties/bulk', [
+                'action' => 'add_flag',
+                'flag_type' => 'hoa',
+                'property_ids' => [$this->first->id],
+            ])
+            ->assertForbidden();
+
+        $this->assertSame(0, PropertyFlag::count());
+    }
+
+    public function test_properties_list_includes_bulk_action_options(): void
+    {
+        $this->actingAs($this->adminUser)
+            ->get('/properties')
+            ->assertInertia(fn ($page) => $page
+                ->component('Properties/Index')
+                ->has('bulkActions')
+                ->has('flagTypes')
+                ->has('utilityTypes')
+                ->has('adjustableFields')
+            );
+    }
+}
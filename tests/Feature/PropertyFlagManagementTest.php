@@ -98,6 +98,11 @@ class PropertyFlagManagementTest extends TestCase
         $this->assertDatabaseMissing('property_flags', [
             'id' => $flag->id,
         ]);
+        $this->assertDatabaseHas('property_flag_removals', [
+            'property_id' => $this->property->id,
+            'flag_type' => 'hoa',
+            'removed_by' => $this->adminUser->id,
+        ]);
     }
 
     public function test_non_admin_cannot_remove_flag(): void
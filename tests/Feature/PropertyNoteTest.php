@@ -0,0 +1,272 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Feature;
+
+use App\Models\Property;
+use App\Models\PropertyNote;
+use App\Models\PropertyNoteAttachment;
+use App\Models\Role;
+use App\Models\User;
+use App\Notifications\PropertyNoteMentionNotification;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Notification;
+use Illuminate\Support\Facades\Storage;
+use Tests\TestCase;
+
+class PropertyNoteTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private Property $property;
+
+    private User $adminUser;
+
+    private User $author;
+
+    private User $colleague;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Storage::fake();
+        Notification::fake();
+
+        $adminRole = Role::create(['name' => 'admin']);
+        $memberRole = Role::create(['name' => 'member']);
+
+        $this->adminUser = User::factory()->create(['role_id' => $adminRole->id, 'name' => 'Alex Admin']);
+        $this->author = User::factory()->create(['role_id' => $memberRole->id, 'name' => 'Sam Author']);
+        $this->colleague = User::factory()->create(['role_id' => $memberRole->id, 'name' => 'Jordan Lee']);
+
+        $this->property = Property::factory()->create(['name' => 'Maple Court']);
+    }
+
+    private function postNote(array $data, ?User $user = null): \Illuminate\Testing\TestResponse
+    {
+        return $this->actingAs($user ?? $this->author)
+            ->post("/properties/{$this->property->id}/notes", $data, ['Accept' => 'application/json']);
+    }
+
+    // ==================== Create Tests ====================
+
+    public function test_user_can_add_a_note_with_attachments(): void
+    {
+        $response = $this->postNote([
+            'body' => 'Roof inspection done, report attached.',
+            'attachments' => [
+                UploadedFile::fake()->create('inspection.pdf', 200, 'application/pdf'),
+                UploadedFile::fake()->create('roof.jpg', 150, 'image/jpeg'),
+            ],
+        ]);
+
+        $response->assertCreated()
+            ->assertJsonPath('note.body', 'Roof inspection done, report attached.')
+            ->assertJsonPath('note.author.name', 'Sam Author')
+            ->assertJsonPath('note.can_delete', true)
+            ->assertJsonCount(2, 'note.attachments')
+            ->assertJsonPath('note.attachments.0.name', 'inspection.pdf')
+            ->assertJsonPath('note.attachments.1.is_image', true);
+
+        $attachment = PropertyNoteAttachment::where('original_name', 'inspection.pdf')->sole();
+        $this->assertSame(config('filesystems.default'), $attachment->disk);
+        Storage::disk($attachment->disk)->assertExists($attachment->path);
+    }
+
+    public function test_note_needs_a_body_or_an_attachment(): void
+    {
+        $this->postNote(['body' => ''])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('body');
+
+        $this->postNote(['attachments' => [UploadedFile::fake()->create('site-plan.pdf', 10, 'application/pdf')]])
+            ->assertCreated()
+            ->assertJsonPath('note.body', null);
+    }
+
+    public function test_attachments_must_be_an_allowed_file_type(): void
+    {
+        $this->postNote([
+            'body' => 'Script',
+            'attachments' => [UploadedFile::fake()->create('run.exe', 10, 'application/octet-stream')],
+        ])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('attachments.0');
+
+        $this->assertSame(0, PropertyNote::count());
+    }
+
+    // ==================== Thread Tests ====================
+
+    public function test_a_reply_to_a_reply_joins_the_original_thread(): void
+    {
+        $thread = $this->property->notes()->create(['user_id' => $this->author->id, 'body' => 'Boiler is making noise']);
+        $reply = $this->property->notes()->create([
+            'user_id' => $this->colleague->id,
+            'parent_id' => $thread->id,
+            'body' => 'Vendor scheduled',
+        ]);
+
+        $this->postNote(['body' => 'Thanks!', 'parent_id' => $reply->id])
+            ->assertCreated()
+            ->assertJsonPath('note.parent_id', $thread->id);
+    }
+
+    public function test_parent_must_be_a_note_on_the_same_property(): void
+    {
+        $otherNote = Property::factory()->create()->notes()->create(['user_id' => $this->author->id, 'body' => 'Elsewhere']);
+
+        $this->postNote(['body' => 'Reply', 'parent_id' => $otherNote->id])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('parent_id');
+    }
+
+    public function test_index_lists_threads_newest_first_with_replies_and_mentionable_users(): void
+    {
+        $older = $this->property->notes()->create(['user_id' => $this->author->id, 'body' => 'First']);
+        $older->forceFill(['created_at' => now()->subDay()])->save();
+        $this->property->notes()->create(['user_id' => $this->colleague->id, 'parent_id' => $older->id, 'body' => 'Reply']);
+        $this->property->notes()->create(['user_id' => $this->colleague->id, 'body' => 'Second']);
+
+        $response = $this->actingAs($this->author)->getJson("/properties/{$this->property->id}/notes");
+
+        $response->assertOk()
+            ->assertJsonPath('threads.total', 2)
+            ->assertJsonPath('threads.data.0.body', 'Second')
+            ->assertJsonPath('threads.data.0.can_delete', false)
+            ->assertJsonPath('threads.data.1.body', 'First')
+            ->assertJsonPath('threads.data.1.replies.0.body', 'Reply')
+            ->assertJsonCount(3, 'mentionable_users');
+    }
+
+    // ==================== Mention Tests ====================
+
+    public function test_mentioned_colleagues_are_notified(): void
+    {
+        $this->postNote([
+            'body' => '@Jordan Lee can you check the water heater? cc @Sam Author',
+            'mentions' => [$this->colleague->id, $this->author->id, $this->adminUser->id],
+        ])->assertCreated()
+            ->assertJsonCount(1, 'note.mentions')
+            ->assertJsonPath('note.mentions.0.name', 'Jordan Lee');
+
+        // The author isn't notified about themselves, and Alex was never named in the text
+        Notification::assertSentTo($this->colleague, PropertyNoteMentionNotification::class, function ($notification, $channels) {
+            return $channels === ['database', 'mail']
+                && $notification->toArray($this->colleague)['kind'] === 'note_mention';
+        });
+        Notification::assertNotSentTo($this->author, PropertyNoteMentionNotification::class);
+        Notification::assertNotSentTo($this->adminUser, PropertyNoteMentionNotification::class);
+    }
+
+    // ==================== Delete Tests ====================
+
+    public function test_author_can_delete_a_thread_with_its_replies_and_files(): void
+    {
+        $this->postNote([
+            'body' => 'Photos of the damage',
+            'attachments' => [UploadedFile::fake()->create('damage.jpg', 50, 'image/jpeg')],
+        ]);
+        $thread = PropertyNote::sole();
+        $this->postNote([
+            'body' => 'Repair quote',
+            'parent_id' => $thread->id,
+            'attachments' => [UploadedFile::fake()->create('quote.pdf', 50, 'application/pdf')],
+        ], $this->colleague);
+        $paths = PropertyNoteAttachment::pluck('path');
+
+        $this->actingAs($this->author)
+            ->deleteJson("/properties/{$this->property->id}/notes/{$thread->id}")
+            ->assertOk();
+
+        $this->assertSame(0, PropertyNote::count());
+        $this->assertSame(0, PropertyNoteAttachment::count());
+        $paths->each(fn (string $path) => Storage::assertMissing($path));
+    }
+
+    public function test_only_the_author_or_an_admin_can_delete_a_note(): void
+    {
+        $note = $this->property->notes()->create(['user_id' => $this->author->id, 'body' => 'Mine']);
+
+        $this->actingAs($this->colleague)
+            ->deleteJson("/properties/{$this->property->id}/notes/{$note->id}")
+            ->assertForbidden();
+
+        $this->actingAs($this->adminUser)
+            ->deleteJson("/properties/{$this->property->id}/notes/{$note->id}")
+            ->assertOk();
+    }
+
+    // ==================== Attachment Tests ====================
+
+    public function test_attachment_can_be_downloaded_from_its_property_only(): void
+    {
+        $this->postNote([
+            'body' => 'Lease addendum',
+            'attachments' => [UploadedFile::fake()->create('addendum.pdf', 20, 'application/pdf')],
+        ]);
+        $note = PropertyNote::sole();
+        $attachment = $note->attachments()->sole();
+
+        $this->actingAs($this->colleague)
+            ->get("/properties/{$this->property->id}/notes/{$note->id}/attachments/{$attachment->id}")
+            ->assertOk()
+            ->assertDownload('addendum.pdf');
+
+        $otherProperty = Property::factory()->create();
+        $this->actingAs($this->colleague)
+            ->get("/properties/{$otherProperty->id}/notes/{$note->id}/attachments/{$attachment->id}")
+            ->assertNotFound();
+    }
+
+    public function test_svg_renamed_as_image_is_rejected(): void
+    {
+        $path = tempnam(sys_get_temp_dir(), 'note');
+        file_put_contents($path, '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(document.cookie)</script></svg>');
+
+        $this->postNote([
+            'body' => 'Site photo',
+            'attachments' => [new UploadedFile($path, 'photo.png', null, null, true)],
+        ])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('attachments.0');
+
+        $this->assertSame(0, PropertyNoteAttachment::count());
+    }
+
+    public function test_only_safe_image_types_are_shown_inline(): void
+    {
+        $this->postNote([
+            'body' => 'Roof photo',
+            'attachments' => [UploadedFile::fake()->create('roof.png', 20, 'image/png')],
+        ]);
+        $note = PropertyNote::sole();
+        $image = $note->attachments()->sole();
+
+        $response = $this->actingAs($this->colleague)
+            ->get("/properties/{$this->property->id}/notes/{$note->id}/attachments/{$image->id}")
+            ->assertOk()
+            ->assertHeader('X-Content-Type-Options', 'nosniff');
+        $this->assertStringStartsWith('inline', (string) $response->headers->get('Content-Disposition'));
+
+        // A stored SVG is never rendered on the app origin
+        Storage::put('property-notes/legacy/drawing.svg', '<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+        $svg = $note->attachments()->create([
+            'disk' => config('filesystems.default'),
+            'path' => 'property-notes/legacy/drawing.svg',
+            'original_name' => 'drawing.svg',
+            'mime_type' => 'image/svg+xml',
+            'size' => 48,
+        ]);
+
+        $this->assertFalse($svg->isImage());
+        $this->actingAs($this->colleague)
+            ->get("/properties/{$this->property->id}/notes/{$note->id}/attachments/{$svg->id}")
+            ->assertOk()
+            ->assertDownload('drawing.svg')
+            ->assertHeader('X-Content-Type-Options', 'nosniff');
+    }
+}
@@ -4,6 +4,9 @@ declare(strict_types=1);
 
 namespace Tests\Feature;
 
+use App\Models\Lease;
+use App\Models\LedgerTransaction;
+use App\Models\Person;
 use App\Models\Property;
 use App\Models\Role;
 use App\Models\Unit;
@@ -515,4 +518,246 @@ class PropertyPagesTest extends TestCase
             ->where('stats.vacant_units', 0)
         );
     }
+
+    public function test_property_detail_includes_rent_roll(): void
+    {
+        $property = Property::create([
+            'external_id' => 'prop-1',
+            'name' => 'Test Property',
+            'is_active' => true,
+        ]);
+
+        $unit = Unit::create([
+            'external_id' => 'unit-1',
+            'property_id' => $property->id,
+            'unit_number' => '101',
+            'status' => 'occupied',
+            'market_rent' => 1500,
+            'is_active' => true,
+        ]);
+
+        Unit::create([
+            'external_id' => 'unit-2',
+            'property_id' => $property->id,
+            'unit_number' => '102',
+            'status' => 'vacant',
+            'is_active' => true,
+        ]);
+
+        $person = Person::create(['external_id' => 'person-1', 'name' => 'Jane Doe']);
+
+        Lease::create([
+            'external_id' => 'lease-1',
+            'unit_id' => $unit->id,
+            'person_id' => $person->id,
+            'start_date' => now()->subMonths(6)->toDateString(),
+            'end_date' => now()->addMonths(6)->toDateString(),
+            'rent' => 1400,
+        ]);
+
+        $response = $this->actingAs($this->user)->get("/properties/{$property->id}?tab=rent-roll&rent_roll_filter=leased");
+
+        $response->assertStatus(200);
+        $response->assertInertia(fn ($page) => $page
+            ->where('initialTab', 'rent-roll')
+            ->has('rentRollFilters')
+            ->where('rentRoll.filters.filter', 'leased')
+            ->where('rentRoll.summary.total_units', 2)
+            ->where('rentRoll.summary.leased_units', 1)
+            ->has('rentRoll.rows', 1)
+            ->where('rentRoll.rows.0.tenant_name', 'Jane Doe')
+            ->where('rentRoll.rows.0.loss_to_lease', 100.0)
+        );
+    }
+
+    public function test_rent_roll_export_downloads_csv(): void
+    {
+        $property = Property::create([
+            'external_id' => 'prop-1',
+            'name' => 'Test Property',
+            'is_active' => true,
+        ]);
+
+        $unit = Unit::create([
+            'external_id' => 'unit-1',
+            'property_id' => $property->id,
+            'unit_number' => '101',
+            'status' => 'occupied',
+            'market_rent' => 1500,
+            'is_active' => true,
+        ]);
+
+        $person = Person::create(['external_id' => 'person-1', 'name' => '=HYPERLINK("x")']);
+
+        Lease::create([
+            'external_id' => 'lease-1',
+            'unit_id' => $unit->id,
+            'person_id' => $person->id,
+            'start_date' => now()->subMonths(6)->toDateString(),
+            'end_date' => null,
+            'rent' => 1600,
+        ]);
+
+        $response = $this->actingAs($this->user)->get("/properties/{$property->id}/rent-roll/export");
+
+        $response->assertStatus(200);
+        $response->assertHeader('Content-Type', 'text/csv; charset=utf-8');
+
+        $content = $response->streamedContent();
+        $this->assertStringContainsString('Unit,"Unit Type",Bedrooms', $content);
+        $this->assertStringContainsString('"\'=HYPERLINK(""x"")"', $content);
+        $this->assertStringContainsString('"Month to Month"', $content);
+        $this->assertStringContainsString('1500.00,1600.00,-100.00', $content);
+    }
+
+    public function test_rent_roll_export_requires_authentication(): void
+    {
+        $property = Property::create([
+            'external_id' => 'prop-1',
+            'name' => 'Test Property',
+            'is_active' => true,
+        ]);
+
+        $this->get("/properties/{$property->id}/rent-roll/export")->assertRedirect('/login');
+    }
+
+    public function test_property_detail_includes_financials(): void
+    {
+        $property = Property::create([
+            'external_id' => 'prop-1',
+            'name' => 'Test Property',
+            'is_active' => true,
+        ]);
+
+        $unit = Unit::create([
+            'external_id' => 'unit-1',
+            'property_id' => $property->id,
+            'unit_number' => '101',
+            'status' => 'occupied',
+            'is_active' => true,
+        ]);
+
+        foreach (['rent' => 1500, 'late_fee' => 50] as $category => $amount) {
+            LedgerTransaction::create([
+                'external_id' => "txn-{$category}",
+                'property_id' => $property->id,
+                'unit_id' => $unit->id,
+                'date' => now()->subDays(10)->toDateString(),
+                'type' => 'charge',
+                'amount' => $amount,
+                'category' => $category,
+            ]);
+        }
+
+        $response = $this->actingAs($this->user)->get("/properties/{$property->id}?tab=financials&ledger_category=late_fee");
+
+        $response->assertStatus(200);
+        $response->assertInertia(fn ($page) => $page
+            ->where('initialTab', 'financials')
+            ->where('financials.filters.category', 'late_fee')
+            ->where('financials.ledger.total', 1)
+            ->where('financials.ledger.data.0.category', 'late_fee')
+            ->where('financials.filterOptions.categories', ['late_fee', 'rent'])
+            ->where('financials.aging.totals.total', 1550.0)
+            ->has('financials.agingBuckets', 4)
+            ->has('financials.trend', 12)
+        );
+    }
+
+    public function test_property_compare_page_displays_selected_properties(): void
+    {
+        $first = Property::factory()->create(['name' => 'Maple Court']);
+        $second = Property::factory()->create(['name' => 'Birch Place']);
+
+        $response = $this->actingAs($this->user)->get('/properties/compare?'.http_build_query([
+            'properties' => [$first->id, $second->id, 'not-a-uuid'],
+        ]));
+
+        $response->assertStatus(200);
+        $response->assertInertia(fn ($page) => $page
+            ->component('Properties/Compare')
+            ->has('properties', 2)
+            ->where('properties.0.name', 'Maple Court')
+            ->where('properties.1.name', 'Birch Place')
+            ->has('comparison')
+            ->has('trends.occupancy_rate', 12)
+            ->where('maxProperties', 5)
+        );
+    }
+
+    public function test_property_compare_page_without_enough_properties_skips_trends(): void
+    {
+        $property = Property::factory()->create();
+
+        $response = $this->actingAs($this->user)->get("/properties/compare?properties[]={$property->id}");
+
+        $response->assertInertia(fn ($page) => $page
+            ->component('Properties/Compare')
+            ->has('properties', 1)
+            ->where('comparison', [])
+            ->where('trends', [])
+        );
+    }
+
+    public function test_guest_cannot_access_property_compare_page(): void
+    {
+        $this->get('/properties/compare')->assertRedirect('/login');
+    }
+
+    public function test_unit_detail_returns_the_units_history(): void
+    {
+        $property = Property::factory()->create();
+        $unit = Unit::factory()->create(['property_id' => $property->id, 'unit_number' => '204']);
+
+        $response = $this->actingAs($this->user)->getJson("/properties/{$property->id}/units/{$unit->id}");
+
+        $response->assertOk()
+            ->assertJsonPath('unit.unit_number', '204')
+            ->assertJsonStructure([
+                'unit' => ['id', 'unit_number', 'status', 'bedrooms', 'bathrooms', 'sqft', 'market_rent'],
+                'leases',
+                'work_orders' => ['total', 'open', 'total_cost', 'items'],
+                'ledger' => ['balance', 'charges', 'payments', 'last_payment_date', 'recent'],
+            ]);
+    }
+
+    public function test_unit_detail_rejects_a_unit_from_another_property(): void
+    {
+        $property = Property::factory()->create();
+        $otherUnit = Unit::factory()->create(['property_id' => Property::factory()->create()->id]);
+
+        $this->actingAs($this->user)
+            ->getJson("/properties/{$property->id}/units/{$otherUnit->id}")
+            ->assertNotFound();
+    }
+
+    public function test_activity_returns_a_page_of_the_property_timeline(): void
+    {
+        $property = Property::factory()->create();
+        $property->flags()->create(['flag_type' => 'hoa', 'created_by' => $this->user->id]);
+
+        $response = $this->actingAs($this->user)->getJson("/properties/{$property->id}/activity?types[]=flags");
+
+        $response->assertOk()
+            ->assertJsonPath('total', 1)
+            ->assertJsonPath('data.0.type', 'flags')
+            ->assertJsonPath('data.0.user_name', $this->user->name)
+            ->assertJsonStructure([
+                'data' => [['id', 'type', 'event', 'title', 'description', 'user_name', 'all_day', 'occurred_at']],
+                'current_page',
+                'last_page',
+                'per_page',
+                'total',
+            ]);
+    }
+
+    public function test_activity_rejects_unknown_types(): void
+    {
+        $property = Property::factory()->create();
+
+        $this->actingAs($this->user)
+            ->getJson("/properties/{$property->id}/activity?types[]=emails")
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('types.0');
+    }
 }
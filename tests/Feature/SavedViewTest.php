@@ -0,0 +1,275 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Feature;
+
+use App\Models\Property;
+use App\Models\Role;
+use App\Models\SavedView;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class SavedViewTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private User $user;
+
+    private User $otherUser;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $role = Role::create(['name' => 'user']);
+        $this->user = User::factory()->create(['role_id' => $role->id, 'name' => 'Alice']);
+        $this->otherUser = User::factory()->create(['role_id' => $role->id, 'name' => 'Bob']);
+    }
+
+    private function view(User $owner, string $name, array $filters = [], bool $shared = false): SavedView
+    {
+        return SavedView::create([
+            'user_id' => $owner->id,
+            'page' => 'properties',
+            'name' => $name,
+            'filters' => $filters,
+            'is_shared' => $shared,
+        ]);
+    }
+
+    // ==================== Saving Tests ====================
+
+    public function test_user_can_save_a_view(): void
+    {
+        $response = $this->actingAs($this->user)->post('/properties/views', [
+            'name' => 'North active',
+            'is_shared' => true,
+            'filters' => [
+                'search' => '',
+                'portfolio' => 'North',
+                'is_active' => '1',
+                'sort' => 'city',
+                'direction' => 'desc',
+                'per_page' => 50,
+                'view_mode' => 'map',
+            ],
+        ]);
+
+        $view = SavedView::first();
+        $response->assertRedirect(route('properties.index', ['view' => $view->id]));
+        $this->assertSame($this->user->id, $view->user_id);
+        $this->assertTrue($view->is_shared);
+        $this->assertSame('North', $view->filters['portfolio']);
+        $this->assertArrayNotHasKey('search', $view->filters);
+        $this->assertNull($this->user->fresh()->getPreference(SavedView::defaultPreferenceKey('properties')));
+    }
+
+    public function test_saving_a_view_can_make_it_the_default(): void
+    {
+        $this->actingAs($this->user)->post('/properties/views', [
+            'name' => 'Mine',
+            'is_default' => true,
+            'filters' => ['portfolio' => 'North'],
+        ]);
+
+        $this->assertSame(
+            SavedView::first()->id,
+            $this->user->fresh()->getPreference(SavedView::defaultPreferenceKey('properties'))
+        );
+    }
+
+    public function test_saving_rejects_duplicate_names_and_unknown_filters(): void
+    {
+        $this->view($this->user, 'Mine');
+
+        $this->actingAs($this->user)
+            ->post('/properties/views', ['name' => 'Mine', 'filters' => ['portfolio' => 'North']])
+            ->assertSessionHasErrors('name');
+
+        $this->actingAs($this->user)
+            ->post('/properties/views', ['name' => 'Other', 'filters' => ['sort' => 'password']])
+            ->assertSessionHasErrors('filters.sort');
+
+        $this->actingAs($this->user)
+            ->post('/properties/views', ['name' => 'Other', 'filters' => ['unknown' => 'x']])
+            ->assertSessionHasErrors('filters');
+
+        $this->assertSame(1, SavedView::count());
+    }
+
+    public function test_another_user_can_reuse_a_name(): void
+    {
+        $this->view($this->otherUser, 'Mine');
+
+        $this->actingAs($this->user)
+            ->post('/properties/views', ['name' => 'Mine', 'filters' => ['portfolio' => 'North']])
+            ->assertSessionHasNoErrors();
+
+        $this->assertSame(2, SavedView::count());
+    }
+
+    // ==================== Managing Tests ====================
+
+    public function test_owner_can_rename_share_and_update_filters(): void
+    {
+        $view = $this->view($this->user, 'Mine', ['portfolio' => 'North']);
+
+        $this->actingAs($this->user)
+            ->patch("/properties/views/{$view->id}", [
+                'name' => 'Renamed',
+                'is_shared' => true,
+                'filters' => ['portfolio' => 'South', 'sort' => 'city'],
+            ])
+            ->assertSessionHasNoErrors();
+
+        $view->refresh();
+        $this->assertSame('Renamed', $view->name);
+        $this->assertTrue($view->is_shared);
+        $this->assertSame(['portfolio' => 'South', 'sort' => 'city'], $view->filters);
+    }
+
+    public function test_only_the_owner_can_update_or_delete_a_shared_view(): void
+    {
+        $view = $this->view($this->otherUser, 'Team', [], true);
+
+        $this->actingAs($this->user)
+            ->patch("/properties/views/{$view->id}", ['name' => 'Hijacked'])
+            ->assertForbidden();
+
+        $this->actingAs($this->user)
+            ->delete("/properties/views/{$view->id}")
+            ->assertForbidden();
+
+        $this->assertSame('Team', $view->fresh()->name);
+    }
+
+    public function test_deleting_the_default_view_clears_the_default(): void
+    {
+        $view = $this->view($this->user, 'Mine');
+        $this->user->setPreference(SavedView::defaultPreferenceKey('properties'), $view->id);
+
+        $this->actingAs($this->user)
+            ->delete("/properties/views/{$view->id}")
+            ->assertRedirect(route('properties.index'));
+
+        $this->assertModelMissing($view);
+        $this->assertNull($this->user->fresh()->getPreference(SavedView::defaultPreferenceKey('properties')));
+    }
+
+    public function test_user_can_default_to_a_shared_view_but_not_a_private_one(): void
+    {
+        $shared = $this->view($this->otherUser, 'Team', [], true);
+        $private = $this->view($this->otherUser, 'Private');
+
+        $this->actingAs($this->user)
+            ->put('/properties/views/default', ['saved_view_id' => $private->id])
+            ->assertSessionHasErrors('saved_view_id');
+
+        $this->actingAs($this->user)
+            ->put('/properties/views/default', ['saved_view_id' => $shared->id])
+            ->assertSessionHasNoErrors();
+
+        $this->assertSame($shared->id, $this->user->fresh()->getPreference(SavedView::defaultPreferenceKey('properties')));
+
+        $this->actingAs($this->user)
+            ->put('/properties/views/default', ['saved_view_id' => null])
+            ->assertSessionHasNoErrors();
+
+        $this->assertNull($this->user->fresh()->getPreference(SavedView::defaultPreferenceKey('properties')));
+    }
+
+    // ==================== Properties List Tests ====================
+
+    public function test_properties_list_lists_own_and_shared_views(): void
+    {
+        $this->view($this->user, 'Zeta');
+        $this->view($this->user, 'Alpha');
+        $this->view($this->otherUser, 'Team', [], true);
+        $this->view($this->otherUser, 'Private');
+
+        $this->actingAs($this->user)
+            ->get('/properties')
+            ->assertInertia(fn ($page) => $page
+                ->component('Properties/Index')
+                ->has('savedViews', 3)
+                ->where('savedViews.0.name', 'Alpha')
+                ->where('savedViews.1.name', 'Zeta')
+                ->where('savedViews.2.name', 'Team')
+                ->where('savedViews.2.is_owner', false)
+                ->where('savedViews.2.owner_name', 'Bob')
+                ->where('activeViewId', null)
+            );
+    }
+
+    public function test_view_parameter_applies_the_view_filters(): void
+    {
+        Property::factory()->create(['name' => 'North One', 'portfolio' => 'North']);
+        Property::factory()->create(['name' => 'South One', 'portfolio' => 'South']);
+        $view = $this->view($this->otherUser, 'Team', ['portfolio' => 'North', 'per_page' => 50], true);
+
+        $this->actingAs($this->user)
+            ->get("/properties?view={$view->id}")
+            ->assertInertia(fn ($page) => $page
+                ->where('activeViewId', $view->id)
+                ->where('filters.portfolio', 'North')
+                ->where('perPage', 50)
+                ->has('properties.data', 1)
+                ->where('properties.data.0.name', 'North One')
+            );
+    }
+
+    public function test_query_string_filters_override_the_view(): void
+    {
+        $view = $this->view($this->user, 'Mine', ['portfolio' => 'North', 'sort' => 'city']);
+
+        $this->actingAs($this->user)
+            ->get("/properties?view={$view->id}&portfolio=South")
+            ->assertInertia(fn ($page) => $page
+                ->where('activeViewId', $view->id)
+                ->where('filters.portfolio', 'South')
+                ->where('filters.sort', 'city')
+            );
+    }
+
+    public function test_private_views_of_other_users_are_ignored(): void
+    {
+        $view = $this->view($this->otherUser, 'Private', ['portfolio' => 'North']);
+
+        $this->actingAs($this->user)
+            ->get("/properties?view={$view->id}")
+            ->assertInertia(fn ($page) => $page
+                ->where('activeViewId', null)
+                ->where('filters.portfolio', '')
+            );
+    }
+
+    public function test_default_view_applies_only_without_other_parameters(): void
+    {
+        $view = $this->view($this->user, 'Mine', ['portfolio' => 'North']);
+        $this->user->setPreference(SavedView::defaultPreferenceKey('properties'), $view->id);
+
+        $this->actingAs($this->user)
+            ->get('/properties')
+            ->assertInertia(fn ($page) => $page
+                ->where('activeViewId', $view->id)
+                ->where('defaultViewId', $view->id)
+                ->where('filters.portfolio', 'North')
+            );
+
+        $this->actingAs($this->user)
+            ->get('/properties?per_page=15')
+            ->assertInertia(fn ($page) => $page
+                ->where('activeViewId', null)
+                ->where('defaultViewId', $view->id)
+                ->where('filters.portfolio', '')
+            );
+    }
+
+    public function test_guest_cannot_save_views(): void
+    {
+        $this->post('/properties/views', ['name' => 'Mine', 'filters' => []])
+            ->assertRedirect('/login');
+    }
+}
@@ -0,0 +1,228 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Feature;
+
+use App\Models\Property;
+use App\Models\Role;
+use App\Models\User;
+use App\Models\UtilityAnomaly;
+use App\Models\UtilityAnomalySetting;
+use App\Models\UtilityNote;
+use App\Models\UtilityType;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class UtilityAnomalyControllerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private User $user;
+
+    private User $adminUser;
+
+    private UtilityAnomaly $anomaly;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $role = Role::factory()->create(['name' => 'viewer']);
+        $adminRole = Role::factory()->admin()->create();
+
+        $this->user = User::factory()->create(['role_id' => $role->id]);
+        $this->adminUser = User::factory()->create(['role_id' => $adminRole->id]);
+
+        $property = Property::factory()->create(['name' => 'Maple Court', 'unit_count' => 10, 'is_active' => true]);
+
+        $this->anomaly = UtilityAnomaly::create([
+            'property_id' => $property->id,
+            'utility_type_id' => UtilityType::getIdByKey('electric'),
+            'period_start' => '2026-02-01',
+            'metric' => 'per_unit',
+            'direction' => 'high',
+            'rules' => [UtilityAnomaly::RULE_ROLLING_AVERAGE],
+            'cost' => 900,
+            'baseline_cost' => 500,
+            'percent_over_baseline' => 80,
+            'dollar_impact' => 400,
+            'detected_at' => now(),
+        ]);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    // ==================== Index Tests ====================
+
+    public function test_anomalies_page_lists_open_anomalies(): void
+    {
+        $this->actingAs($this->user)
+            ->get('/utilities/anomalies')
+            ->assertOk()
+            ->assertInertia(fn ($page) => $page
+                ->component('Utilities/Anomalies')
+                ->where('filters.status', 'open')
+                ->where('counts.open', 1)
+                ->where('counts.resolved', 0)
+                ->has('anomalies.data', 1)
+                ->where('anomalies.data.0.property_name', 'Maple Court')
+                ->where('anomalies.data.0.rules', ['rolling_average'])
+            );
+    }
+
+    public function test_anomalies_page_filters_by_status_and_type(): void
+    {
+        $this->anomaly->update(['status' => UtilityAnomaly::STATUS_ACKNOWLEDGED, 'resolved_at' => now()]);
+
+        $this->actingAs($this->user)
+            ->get('/utilities/anomalies?status=resolved')
+            ->assertInertia(fn ($page) => $page
+                ->where('filters.status', 'resolved')
+                ->has('anomalies.data', 1)
+            );
+
+        $this->actingAs($this->user)
+            ->get('/utilities/anomalies?status=resolved&utility_type=gas')
+            ->assertInertia(fn ($page) => $page->has('anomalies.data', 0));
+
+        $this->actingAs($this->user)
+            ->get('/utilities/anomalies?status=archived')
+            ->assertSessionHasErrors('status');
+    }
+
+    // ==================== Resolution Tests ====================
+
+    public function test_user_can_acknowledge_an_anomaly(): void
+    {
+        $this->actingAs($this->user)
+            ->patch("/utilities/anomalies/{$this->anomaly->id}/acknowledge")
+            ->assertSessionHas('success', 'Anomaly acknowledged.');
+
+        $anomaly = $this->anomaly->fresh();
+        $this->assertSame(UtilityAnomaly::STATUS_ACKNOWLEDGED, $anomaly->status);
+        $this->assertSame($this->user->id, $anomaly->resolved_by);
+    }
+
+    public function test_dismissing_needs_a_reason(): void
+    {
+        $this->actingAs($this->user)
+            ->patch("/utilities/anomalies/{$this->anomaly->id}/dismiss", ['reason' => ''])
+            ->assertSessionHasErrors('reason');
+
+        $this->assertSame(UtilityAnomaly::STATUS_OPEN, $this->anomaly->fresh()->status);
+
+        $this->actingAs($this->user)
+            ->patch("/utilities/anomalies/{$this->anomaly->id}/dismiss", ['reason' => 'Billing catch-up after a missed read'])
+            ->assertSessionHas('success', 'Anomaly dismissed.');
+
+        $anomaly = $this->anomaly->fresh();
+        $this->assertSame(UtilityAnomaly::STATUS_DISMISSED, $anomaly->status);
+        $this->assertSame('Billing catch-up after a missed read', $anomaly->dismissal_reason);
+    }
+
+    public function test_user_can_reopen_a_dismissed_anomaly(): void
+    {
+        $this->anomaly->update([
+            'status' => UtilityAnomaly::STATUS_DISMISSED,
+            'dismissal_reason' => 'Leak',
+            'resolved_by' => $this->user->id,
+            'resolved_at' => now(),
+        ]);
+
+        $this->actingAs($this->user)
+            ->patch("/utilities/anomalies/{$this->anomaly->id}/reopen")
+            ->assertSessionHas('success', 'Anomaly reopened.');
+
+        $anomaly = $this->anomaly->fresh();
+        $this->assertSame(UtilityAnomaly::STATUS_OPEN, $anomaly->status);
+        $this->assertNull($anomaly->dismissal_reason);
+    }
+
+    public function test_user_can_link_a_note_to_an_anomaly(): void
+    {
+        $this->actingAs($this->user)
+            ->post("/utilities/anomalies/{$this->anomaly->id}/note", ['note' => 'Pool heater left on all month'])
+            ->assertSessionHas('success', 'Note saved and linked to the anomaly.');
+
+        $note = UtilityNote::sole();
+        $this->assertSame('Pool heater left on all month', $note->note);
+        $this->assertSame($note->id, $this->anomaly->fresh()->utility_note_id);
+    }
+
+    // ==================== Admin Settings Tests ====================
+
+    public function test_admin_can_view_anomaly_settings(): void
+    {
+        $this->actingAs($this->adminUser)
+            ->get('/admin/utility-anomaly-settings')
+            ->assertOk()
+            ->assertInertia(fn ($page) => $page
+                ->component('Admin/UtilityAnomalySettings')
+                ->has('settings', UtilityType::count())
+                ->where('maxRollingMonths', UtilityAnomalySetting::MAX_ROLLING_MONTHS)
+            );
+    }
+
+    public function test_admin_can_update_a_types_settings(): void
+    {
+        $electric = UtilityType::where('key', 'electric')->firstOrFail();
+
+        $this->actingAs($this->adminUser)
+            ->patch("/admin/utility-anomaly-settings/{$electric->id}", [
+                'is_enabled' => true,
+                'z_score_threshold' => null,
+                'percent_over_average' => 40,
+                'rolling_months' => 6,
+                'min_dollar_impact' => 250,
+            ])
+            ->assertSessionHas('success', 'Anomaly detection updated for Electric.');
+
+        $setting = $electric->fresh()->anomalySetting;
+        $this->assertNull($setting->z_score_threshold);
+        $this->assertEquals(40.0, $setting->percent_over_average);
+        $this->assertSame(6, $setting->rolling_months);
+        $this->assertSame($this->adminUser->id, $setting->updated_by);
+    }
+
+    public function test_anomaly_settings_are_validated(): void
+    {
+        $electric = UtilityType::where('key', 'electric')->firstOrFail();
+
+        $this->actingAs($this->adminUser)
+            ->patch("/admin/utility-anomaly-settings/{$electric->id}", [
+                'is_enabled' => true,
+                'z_score_threshold' => 0,
+                'rolling_months' => UtilityAnomalySetting::MAX_ROLLING_MONTHS + 1,
+                'min_dollar_impact' => -5,
+            ])
+            ->assertSessionHasErrors(['z_score_threshold', 'rolling_months', 'min_dollar_impact']);
+
+        $this->assertNull($electric->fresh()->anomalySetting);
+    }
+
+    public function test_non_admin_cannot_change_anomaly_settings(): void
+    {
+        $electric = UtilityType::where('key', 'electric')->firstOrFail();
+
+        $this->actingAs($this->user)
+            ->get('/admin/utility-anomaly-settings')
+            ->assertForbidden();
+
+        $this->actingAs($this->user)
+            ->patch("/admin/utility-anomaly-settings/{$electric->id}", [
+                'is_enabled' => false,
+                'rolling_months' => 3,
+                'min_dollar_impact' => 0,
+            ])
+            ->assertForbidden();
+    }
+}
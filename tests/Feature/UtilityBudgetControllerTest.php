@@ -0,0 +1,202 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Feature;
+
+use App\Models\Property;
+use App\Models\Role;
+use App\Models\User;
+use App\Models\UtilityAccount;
+use App\Models\UtilityBudget;
+use App\Models\UtilityExpense;
+use App\Models\UtilityType;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Tests\TestCase;
+
+class UtilityBudgetControllerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private User $user;
+
+    private User $adminUser;
+
+    private Property $property;
+
+    private UtilityType $waterType;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $role = Role::factory()->create(['name' => 'viewer']);
+        $adminRole = Role::factory()->admin()->create();
+
+        $this->user = User::factory()->create(['role_id' => $role->id]);
+        $this->adminUser = User::factory()->create(['role_id' => $adminRole->id]);
+
+        $this->property = Property::factory()->create(['external_id' => 'P-200', 'name' => 'Harbor View']);
+        $this->waterType = UtilityType::where('key', 'water')->firstOrFail();
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    private function budgetPayload(array $overrides = []): array
+    {
+        return [
+            'property_id' => $this->property->id,
+            'utility_type_id' => $this->waterType->id,
+            'year' => 2026,
+            'annual' => 2400,
+            ...$overrides,
+        ];
+    }
+
+    // ==================== Index Tests ====================
+
+    public function test_non_admin_cannot_access_budgets(): void
+    {
+        $this->actingAs($this->user)
+            ->get('/admin/utility-budgets')
+            ->assertForbidden();
+    }
+
+    public function test_admin_sees_the_budgets_for_the_selected_year(): void
+    {
+        $this->actingAs($this->adminUser)->post('/admin/utility-budgets', $this->budgetPayload());
+        $this->actingAs($this->adminUser)->post('/admin/utility-budgets', $this->budgetPayload(['year' => 2025]));
+
+        $this->actingAs($this->adminUser)
+            ->get('/admin/utility-budgets?year=2026')
+            ->assertOk()
+            ->assertInertia(fn ($page) => $page
+                ->component('Admin/UtilityBudgets')
+                ->where('year', 2026)
+                ->has('budgets', 1)
+                ->where('budgets.0.property_name', 'Harbor View')
+                ->where('budgets.0.utility_type_key', 'water')
+                ->where('budgets.0.annual', 2400.0)
+                ->has('budgets.0.months', 12)
+                ->has('properties')
+                ->has('utilityTypes')
+            );
+    }
+
+    // ==================== Store Tests ====================
+
+    public function test_non_admin_cannot_save_a_budget(): void
+    {
+        $this->actingAs($this->user)
+            ->post('/admin/utility-budgets', $this->budgetPayload())
+            ->assertForbidden();
+
+        $this->assertSame(0, UtilityBudget::count());
+    }
+
+    public function test_annual_budget_is_split_across_the_months(): void
+    {
+        $this->actingAs($this->adminUser)
+            ->post('/admin/utility-budgets', $this->budgetPayload())
+            ->assertRedirect(route('admin.utility-budgets.index', ['year' => 2026]));
+
+        $budgets = UtilityBudget::orderBy('month')->get();
+        $this->assertCount(12, $budgets);
+        $this->assertEquals(200, $budgets->first()->amount);
+        $this->assertSame($this->adminUser->id, $budgets->first()->created_by);
+    }
+
+    public function test_monthly_amounts_are_saved_as_entered(): void
+    {
+        $months = [300, 300, 250, 200, 150, 100, 100, 100, 150, 200, 250, 300];
+
+        $this->actingAs($this->adminUser)
+            ->post('/admin/utility-budgets', $this->budgetPayload(['annual' => null, 'months' => $months]))
+            ->assertSessionHasNoErrors();
+
+        $this->assertSame(
+            array_map(fn ($amount) => number_format($amount, 2, '.', ''), $months),
+            UtilityBudget::orderBy('month')->pluck('amount')->all()
+        );
+    }
+
+    public function test_budget_needs_an_annual_or_monthly_amount(): void
+    {
+        $this->actingAs($this->adminUser)
+            ->post('/admin/utility-budgets', $this->budgetPayload(['annual' => null]))
+            ->assertSessionHasErrors(['annual', 'months']);
+
+        $this->actingAs($this->adminUser)
+            ->post('/admin/utility-budgets', $this->budgetPayload(['annual' => null, 'months' => [100, 100]]))
+            ->assertSessionHasErrors('months');
+    }
+
+    // ==================== Import Tests ====================
+
+    public function test_admin_can_import_budgets_from_csv(): void
+    {
+        $file = UploadedFile::fake()->createWithContent('budgets.csv', implode("\n", [
+            'property,utility_type,year,annual',
+            'P-200,water,2026,1200',
+            'Unknown Place,water,2026,1200',
+        ]));
+
+        $this->actingAs($this->adminUser)
+            ->post('/admin/utility-budgets/import', ['file' => $file, 'year' => 2026])
+            ->assertRedirect(route('admin.utility-budgets.index', ['year' => 2026]))
+            ->assertSessionHas('error', 'Imported 1 budget. Skipped 1 row: Line 3: unknown property "Unknown Place".');
+
+        $this->assertEquals(1200, UtilityBudget::where('property_id', $this->property->id)->sum('amount'));
+    }
+
+    public function test_import_requires_a_csv_file(): void
+    {
+        $this->actingAs($this->adminUser)
+            ->post('/admin/utility-budgets/import', ['file' => UploadedFile::fake()->create('budgets.pdf', 10, 'application/pdf')])
+            ->assertSessionHasErrors('file');
+    }
+
+    // ==================== Destroy Tests ====================
+
+    public function test_admin_can_delete_a_budget(): void
+    {
+        $this->actingAs($this->adminUser)->post('/admin/utility-budgets', $this->budgetPayload());
+
+        $this->actingAs($this->adminUser)
+            ->delete("/admin/utility-budgets/{$this->property->id}/{$this->waterType->id}/2026")
+            ->assertRedirect(route('admin.utility-budgets.index', ['year' => 2026]));
+
+        $this->assertSame(0, UtilityBudget::count());
+    }
+
+    // ==================== Utilities Page Tests ====================
+
+    public function test_property_utilities_page_shows_budget_vs_actual(): void
+    {
+        $this->actingAs($this->adminUser)->post('/admin/utility-budgets', $this->budgetPayload());
+        UtilityExpense::factory()
+            ->forProperty($this->property)
+            ->forAccount(UtilityAccount::factory()->water()->create())
+            ->create(['amount' => 500, 'expense_date' => '2026-02-10']);
+
+        $response = $this->actingAs($this->user)->get("/utilities/property/{$this->property->id}");
+
+        $water = collect($response->viewData('page')['props']['comparisons'])->firstWhere('type', 'water');
+        $electric = collect($response->viewData('page')['props']['comparisons'])->firstWhere('type', 'electric');
+
+        $this->assertEquals(400, $water['budget']['budget_ytd']);
+        $this->assertEquals(500, $water['budget']['actual_ytd']);
+        $this->assertEquals(25.0, $water['budget']['variance_ytd_percent']);
+        $this->assertEquals(3000, $water['budget']['forecast']);
+        $this->assertNull($electric['budget']);
+    }
+}
@@ -0,0 +1,150 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Feature;
+
+use App\Models\Property;
+use App\Models\Role;
+use App\Models\User;
+use App\Models\UtilityAccount;
+use App\Models\UtilityExpense;
+use App\Models\UtilityType;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class UtilityExpenseUsageTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private User $user;
+
+    private User $adminUser;
+
+    private Property $property;
+
+    private UtilityExpense $expense;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $role = Role::factory()->create(['name' => 'viewer']);
+        $adminRole = Role::factory()->admin()->create();
+
+        $this->user = User::factory()->create(['role_id' => $role->id]);
+        $this->adminUser = User::factory()->create(['role_id' => $adminRole->id]);
+
+        $this->property = Property::factory()->create(['unit_count' => 10, 'is_active' => true]);
+        $this->expense = UtilityExpense::factory()
+            ->forProperty($this->property)
+            ->forAccount(UtilityAccount::factory()->electric()->create())
+            ->create([
+                'amount' => 300,
+                'expense_date' => '2026-02-10',
+                'description' => 'Electric service 2,000 kWh',
+                'usage_quantity' => 2000,
+                'usage_unit' => 'kwh',
+                'usage_source' => UtilityExpense::USAGE_SOURCE_PARSED,
+            ]);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    // ==================== Manual Usage Tests ====================
+
+    public function test_admin_can_enter_usage_by_hand(): void
+    {
+        $this->actingAs($this->adminUser)
+            ->patch("/utilities/expenses/{$this->expense->id}/usage", [
+                'usage_quantity' => 1.5,
+                'usage_unit' => 'mwh',
+            ])
+            ->assertSessionHas('success', 'Usage saved successfully.');
+
+        $expense = $this->expense->fresh();
+        $this->assertEquals(1.5, $expense->usage_quantity);
+        $this->assertSame('mwh', $expense->usage_unit);
+        $this->assertTrue($expense->hasManualUsage());
+    }
+
+    public function test_clearing_usage_goes_back_to_the_bill_description(): void
+    {
+        $this->expense->update([
+            'usage_quantity' => 10,
+            'usage_unit' => 'kwh',
+            'usage_source' => UtilityExpense::USAGE_SOURCE_MANUAL,
+        ]);
+
+        $this->actingAs($this->adminUser)
+            ->patch("/utilities/expenses/{$this->expense->id}/usage", [
+                'usage_quantity' => null,
+                'usage_unit' => null,
+            ])
+            ->assertSessionHas('success', 'Usage reset to the bill description.');
+
+        $expense = $this->expense->fresh();
+        $this->assertEquals(2000, $expense->usage_quantity);
+        $this->assertSame(UtilityExpense::USAGE_SOURCE_PARSED, $expense->usage_source);
+    }
+
+    public function test_manual_usage_needs_a_known_unit(): void
+    {
+        $this->actingAs($this->adminUser)
+            ->patch("/utilities/expenses/{$this->expense->id}/usage", ['usage_quantity' => 100])
+            ->assertSessionHasErrors('usage_unit');
+
+        $this->actingAs($this->adminUser)
+            ->patch("/utilities/expenses/{$this->expense->id}/usage", ['usage_quantity' => 100, 'usage_unit' => 'liters'])
+            ->assertSessionHasErrors('usage_unit');
+    }
+
+    public function test_non_admin_cannot_enter_usage(): void
+    {
+        $this->actingAs($this->user)
+            ->patch("/utilities/expenses/{$this->expense->id}/usage", [
+                'usage_quantity' => 5,
+                'usage_unit' => 'kwh',
+            ])
+            ->assertForbidden();
+
+        $this->assertEquals(2000, $this->expense->fresh()->usage_quantity);
+    }
+
+    // ==================== Utilities Page Tests ====================
+
+    public function test_data_table_includes_usage_and_effective_rates(): void
+    {
+        $this->actingAs($this->user)
+            ->get('/utilities/data?utility_type=electric')
+            ->assertInertia(fn ($page) => $page
+                ->where('propertyComparison.usage_unit', 'kwh')
+                ->where('propertyComparison.usage_available', true)
+                ->where('propertyComparison.properties.0.usage.prev_month', 2000.0)
+                ->where('propertyComparison.properties.0.rate.prev_month', 0.15)
+            );
+    }
+
+    public function test_admin_can_set_a_utility_types_usage_unit(): void
+    {
+        $garbage = UtilityType::where('key', 'garbage')->firstOrFail();
+
+        $this->actingAs($this->adminUser)
+            ->patch("/admin/utility-types/{$garbage->id}", ['label' => 'Garbage', 'usage_unit' => 'gallons'])
+            ->assertSessionHas('success');
+
+        $this->assertSame('gallons', $garbage->fresh()->usage_unit);
+
+        $this->actingAs($this->adminUser)
+            ->patch("/admin/utility-types/{$garbage->id}", ['label' => 'Garbage', 'usage_unit' => 'liters'])
+            ->assertSessionHasErrors('usage_unit');
+    }
+}
@@ -0,0 +1,264 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Feature;
+
+use App\Models\Property;
+use App\Models\PropertyFlag;
+use App\Models\PropertyUtilityExclusion;
+use App\Models\Role;
+use App\Models\User;
+use App\Models\UtilityType;
+use App\Services\UtilityTableLayoutService;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\DB;
+use Tests\TestCase;
+
+class UtilityTableLayoutTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private User $user;
+
+    private Property $property;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $role = Role::create(['name' => 'user']);
+        $this->user = User::factory()->create(['role_id' => $role->id]);
+
+        $this->property = Property::create([
+            'external_id' => 'prop-1',
+            'name' => 'Test Property',
+            'is_active' => true,
+            'unit_count' => 10,
+        ]);
+    }
+
+    private function isPostgres(): bool
+    {
+        return DB::connection()->getDriverName() === 'pgsql';
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function layoutPayload(array $overrides = []): array
+    {
+        return array_merge([
+            'columns' => [
+                ['key' => 'property_name', 'visible' => true],
+                ['key' => 'current_month', 'visible' => true],
+                ['key' => 'unit_count', 'visible' => false],
+            ],
+            'sort' => [
+                ['key' => 'current_month', 'direction' => 'desc'],
+                ['key' => 'property_name', 'direction' => 'asc'],
+            ],
+            'pinned' => [$this->property->id],
+        ], $overrides);
+    }
+
+    // ==================== Save Layout Tests ====================
+
+    public function test_guest_cannot_save_layout(): void
+    {
+        $response = $this->putJson('/utilities/table-layouts/data', $this->layoutPayload());
+
+        $response->assertUnauthorized();
+    }
+
+    public function test_user_can_save_layout(): void
+    {
+        $response = $this->actingAs($this->user)
+            ->putJson('/utilities/table-layouts/data', $this->layoutPayload());
+
+        $response->assertOk();
+        $response->assertJsonPath('layout.columns.1.key', 'current_month');
+        $response->assertJsonPath('layout.columns.2.visible', false);
+        $response->assertJsonPath('layout.sort.0.key', 'current_month');
+        $response->assertJsonPath('layout.sort.0.direction', 'desc');
+        $response->assertJsonPath('layout.pinned', [$this->property->id]);
+        $response->assertJsonCount(count(UtilityTableLayoutService::COLUMNS), 'layout.columns');
+
+        $stored = $this->user->fresh()->getPreference(UtilityTableLayoutService::PREFERENCE_KEY.'.data');
+        $this->assertEquals([$this->property->id], $stored['pinned']);
+    }
+
+    public function test_saving_one_table_leaves_the_other_untouched(): void
+    {
+        $this->actingAs($this->user)
+            ->putJson('/utilities/table-layouts/excluded', $this->layoutPayload())
+            ->assertOk();
+
+        $user = $this->user->fresh();
+
+        $this->assertNull($user->getPreference(UtilityTableLayoutService::PREFERENCE_KEY.'.data'));
+        $this->assertNotNull($user->getPreference(UtilityTableLayoutService::PREFERENCE_KEY.'.excluded'));
+    }
+
+    public function test_unknown_table_returns_not_found(): void
+    {
+        $response = $this->actingAs($this->user)
+            ->putJson('/utilities/table-layouts/vendors', $this->layoutPayload());
+
+        $response->assertNotFound();
+    }
+
+    public function test_save_rejects_unknown_column(): void
+    {
+        $response = $this->actingAs($this->user)->putJson('/utilities/table-layouts/data', $this->layoutPayload([
+            'columns' => [['key' => 'retired_column', 'visible' => true]],
+        ]));
+
+        $response->assertUnprocessable();
+        $response->assertJsonValidationErrors(['columns.0.key']);
+    }
+
+    public function test_save_rejects_unsortable_column(): void
+    {
+        $response = $this->actingAs($this->user)->putJson('/utilities/table-layouts/data', $this->layoutPayload([
+            'sort' => [['key' => 'note', 'direction' => 'asc']],
+        ]));
+
+        $response->assertUnprocessable();
+        $response->assertJsonValidationErrors(['sort.0.key']);
+    }
+
+    public function test_save_rejects_too_many_sort_columns(): void
+    {
+        $response = $this->actingAs($this->user)->putJson('/utilities/table-layouts/data', $this->layoutPayload([
+            'sort' => [
+                ['key' => 'current_month', 'direction' => 'desc'],
+                ['key' => 'unit_count', 'direction' => 'desc'],
+                ['key' => 'total_sqft', 'direction' => 'desc'],
+                ['key' => 'property_name', 'direction' => 'asc'],
+            ],
+        ]));
+
+        $response->assertUnprocessable();
+        $response->assertJsonValidationErrors(['sort']);
+    }
+
+    public function test_save_rejects_invalid_sort_direction(): void
+    {
+        $response = $this->actingAs($this->user)->putJson('/utilities/table-layouts/data', $this->layoutPayload([
+            'sort' => [['key' => 'current_month', 'direction' => 'down']],
+        ]));
+
+        $response->assertUnprocessable();
+        $response->assertJsonValidationErrors(['sort.0.direction']);
+    }
+
+    public function test_save_keeps_working_when_a_pinned_property_is_gone(): void
+    {
+        $deleted = Property::create([
+            'external_id' => 'prop-gone',
+            'name' => 'Sold Property',
+            'is_active' => true,
+        ]);
+        $pinned = [$deleted->id, $this->property->id];
+        $deleted->delete();
+
+        $response = $this->actingAs($this->user)->putJson('/utilities/table-layouts/data', $this->layoutPayload([
+            'pinned' => $pinned,
+        ]));
+
+        $response->assertOk();
+        $response->assertJsonPath('layout.pinned', $pinned);
+    }
+
+    // ==================== Reset Layout Tests ====================
+
+    public function test_user_can_reset_layout(): void
+    {
+        $this->actingAs($this->user)
+            ->putJson('/utilities/table-layouts/data', $this->layoutPayload())
+            ->assertOk();
+
+        $response = $this->actingAs($this->user)->deleteJson('/utilities/table-layouts/data');
+
+        $response->assertOk();
+        $response->assertJsonPath('layout.sort', UtilityTableLayoutService::DEFAULT_SORT);
+        $response->assertJsonPath('layout.pinned', []);
+        $this->assertNull($this->user->fresh()->getPreference(UtilityTableLayoutService::PREFERENCE_KEY.'.data'));
+    }
+
+    // ==================== Page Props Tests ====================
+
+    public function test_data_page_includes_saved_layout(): void
+    {
+        if (! $this->isPostgres()) {
+            $this->markTestSkipped('Data endpoint requires PostgreSQL for DATE_TRUNC');
+        }
+
+        $this->actingAs($this->user)
+            ->putJson('/utilities/table-layouts/data', $this->layoutPayload())
+            ->assertOk();
+
+        $response = $this->actingAs($this->user)->get('/utilities/data');
+
+        $response->assertStatus(200);
+        $response->assertInertia(fn ($page) => $page
+            ->where('tableLayout.sort.0.key', 'current_month')
+            ->where('tableLayout.pinned', [$this->property->id])
+        );
+    }
+
+    public function test_excluded_page_includes_default_layout(): void
+    {
+        $response = $this->actingAs($this->user)->get('/utilities/excluded');
+
+        $response->assertStatus(200);
+        $response->assertInertia(fn ($page) => $page
+            ->has('tableLayout.columns', count(UtilityTableLayoutService::COLUMNS))
+            ->where('tableLayout.sort', UtilityTableLayoutService::DEFAULT_SORT)
+            ->where('tableLayout.pinned', [])
+        );
+    }
+
+    public function test_excluded_page_compares_only_excluded_properties(): void
+    {
+        if (! $this->isPostgres()) {
+            $this->markTestSkipped('Comparison data requires PostgreSQL for DATE_TRUNC');
+        }
+
+        $flagged = Property::create([
+            'external_id' => 'prop-2',
+            'name' => 'HOA Property',
+            'is_active' => true,
+            'unit_count' => 20,
+        ]);
+        PropertyFlag::create([
+            'property_id' => $flagged->id,
+            'flag_type' => 'hoa',
+            'created_by' => $this->user->id,
+        ]);
+
+        $waterExcluded = Property::create([
+            'external_id' => 'prop-3',
+            'name' => 'Well Water Property',
+            'is_active' => true,
+            'unit_count' => 5,
+        ]);
+        PropertyUtilityExclusion::create([
+            'property_id' => $waterExcluded->id,
+            'utility_type_id' => UtilityType::where('key', 'water')->firstOrFail()->id,
+            'reason' => 'On a private well',
+            'created_by' => $this->user->id,
+        ]);
+
+        $response = $this->actingAs($this->user)->get('/utilities/excluded?utility_type=water');
+
+        $response->assertStatus(200);
+        $response->assertInertia(fn ($page) => $page
+            ->where('selectedUtilityType', 'water')
+            ->has('propertyComparison.properties', 2)
+            ->where('propertyComparison.properties.0.property_id', $flagged->id)
+            ->where('propertyComparison.properties.1.property_id', $waterExcluded->id)
+        );
+    }
+}
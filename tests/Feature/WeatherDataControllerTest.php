@@ -0,0 +1,161 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Feature;
+
+use App\Models\DegreeDay;
+use App\Models\Property;
+use App\Models\Role;
+use App\Models\User;
+use App\Models\UtilityAccount;
+use App\Models\UtilityExpense;
+use App\Models\UtilityType;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Tests\TestCase;
+
+class WeatherDataControllerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private User $user;
+
+    private User $adminUser;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $role = Role::factory()->create(['name' => 'viewer']);
+        $adminRole = Role::factory()->admin()->create();
+
+        $this->user = User::factory()->create(['role_id' => $role->id]);
+        $this->adminUser = User::factory()->create(['role_id' => $adminRole->id]);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    // ==================== Index Tests ====================
+
+    public function test_non_admin_cannot_access_weather_data(): void
+    {
+        $this->actingAs($this->user)
+            ->get('/admin/weather-data')
+            ->assertForbidden();
+    }
+
+    public function test_admin_sees_locations_and_property_matches(): void
+    {
+        Property::factory()->create(['name' => 'Mission Lofts', 'zip' => '94110']);
+        DegreeDay::create(['zip' => '94110', 'month' => '2026-01-01', 'heating_degree_days' => 900]);
+        DegreeDay::create(['zip' => '94110', 'month' => '2026-02-01', 'heating_degree_days' => 700]);
+
+        $this->actingAs($this->adminUser)
+            ->get('/admin/weather-data')
+            ->assertOk()
+            ->assertInertia(fn ($page) => $page
+                ->component('Admin/WeatherData')
+                ->has('locations', 1)
+                ->where('locations.0.zip', '94110')
+                ->where('locations.0.first_month', '2026-01')
+                ->where('locations.0.month_count', 2)
+                ->where('properties.0.name', 'Mission Lofts')
+                ->where('properties.0.location.label', 'ZIP 94110')
+                ->has('degreeDayBases', 3)
+            );
+    }
+
+    // ==================== Import Tests ====================
+
+    public function test_admin_can_import_degree_days_from_csv(): void
+    {
+        $file = UploadedFile::fake()->createWithContent('degree-days.csv', implode("\n", [
+            'zip,month,hdd,cdd',
+            '94110,2026-01,900,0',
+            '9411,2026-01,900,0',
+        ]));
+
+        $this->actingAs($this->adminUser)
+            ->post('/admin/weather-data/import', ['file' => $file])
+            ->assertRedirect(route('admin.weather-data.index'))
+            ->assertSessionHas('error', 'Imported 1 month of degree days. Skipped 1 row: Line 3: invalid ZIP code "9411".');
+
+        $this->assertSame(1, DegreeDay::count());
+    }
+
+    public function test_non_admin_cannot_import_degree_days(): void
+    {
+        $file = UploadedFile::fake()->createWithContent('degree-days.csv', "zip,month,hdd,cdd\n94110,2026-01,900,0");
+
+        $this->actingAs($this->user)
+            ->post('/admin/weather-data/import', ['file' => $file])
+            ->assertForbidden();
+
+        $this->assertSame(0, DegreeDay::count());
+    }
+
+    // ==================== Degree Day Basis Tests ====================
+
+    public function test_admin_can_set_a_utility_types_degree_day_basis(): void
+    {
+        $water = UtilityType::where('key', 'water')->firstOrFail();
+
+        $this->actingAs($this->adminUser)
+            ->patch("/admin/weather-data/utility-types/{$water->id}", ['degree_day_basis' => 'cooling'])
+            ->assertSessionHas('success');
+
+        $this->assertSame('cooling', $water->fresh()->degree_day_basis);
+
+        $this->actingAs($this->adminUser)
+            ->patch("/admin/weather-data/utility-types/{$water->id}", ['degree_day_basis' => null]);
+
+        $this->assertNull($water->fresh()->degree_day_basis);
+    }
+
+    public function test_degree_day_basis_must_be_known(): void
+    {
+        $water = UtilityType::where('key', 'water')->firstOrFail();
+
+        $this->actingAs($this->adminUser)
+            ->patch("/admin/weather-data/utility-types/{$water->id}", ['degree_day_basis' => 'humidity'])
+            ->assertSessionHasErrors('degree_day_basis');
+    }
+
+    // ==================== Utilities Page Tests ====================
+
+    public function test_data_table_can_show_weather_adjusted_costs(): void
+    {
+        $property = Property::factory()->create(['zip' => '94110', 'unit_count' => 10, 'is_active' => true]);
+        DegreeDay::create(['zip' => '94110', 'month' => '2025-02-01', 'heating_degree_days' => 500]);
+        DegreeDay::create(['zip' => '94110', 'month' => '2026-02-01', 'heating_degree_days' => 1500]);
+        UtilityExpense::factory()
+            ->forProperty($property)
+            ->forAccount(UtilityAccount::factory()->gas()->create())
+            ->create(['amount' => 900, 'expense_date' => '2026-02-10']);
+
+        $this->actingAs($this->user)
+            ->get('/utilities/data?utility_type=gas')
+            ->assertInertia(fn ($page) => $page
+                ->where('weatherAdjustmentAvailable', true)
+                ->where('propertyComparison.properties.0.prev_month', 900.0)
+            );
+
+        $this->actingAs($this->user)
+            ->get('/utilities/data?utility_type=gas&weather_adjusted=1')
+            ->assertInertia(fn ($page) => $page
+                ->where('filters.weather_adjusted', true)
+                ->where('propertyComparison.weather_adjusted', true)
+                ->where('propertyComparison.properties.0.prev_month', 600.0)
+                ->where('propertyComparison.properties.0.weather_adjusted', true)
+            );
+    }
+}
@@ -9,6 +9,7 @@ use App\Models\Unit;
 use App\Models\WorkOrder;
 use App\Services\AdjustmentService;
 use App\Services\AnalyticsService;
+use Carbon\Carbon;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Tests\TestCase;
 
@@ -274,4 +275,377 @@ class AnalyticsServiceTest extends TestCase
 
         $this->assertCount(4, $trend);
     }
+
+    public function test_get_kpi_comparison_against_last_week(): void
+    {
+        DailyKpi::create([
+            'date' => '2026-01-08',
+            'occupancy_rate' => 90,
+            'vacancy_count' => 10,
+            'total_units' => 100,
+            'delinquency_amount' => 1000,
+            'open_work_orders' => 4,
+        ]);
+
+        $current = DailyKpi::create([
+            'date' => '2026-01-15',
+            'occupancy_rate' => 92.5,
+            'vacancy_count' => 8,
+            'total_units' => 100,
+            'delinquency_amount' => 1500,
+            'open_work_orders' => 4,
+        ]);
+
+        $comparison = $this->service->getKpiComparison($current, 'last_week');
+
+        $this->assertEquals('last_week', $comparison['period']);
+        $this->assertEquals('2026-01-08', $comparison['previous_date']);
+        $this->assertEquals(2.5, $comparison['deltas']['occupancy_rate']['change']);
+        $this->assertEquals(-2, $comparison['deltas']['vacancy_count']['change']);
+        $this->assertEquals(-20.0, $comparison['deltas']['vacancy_count']['percent_change']);
+        $this->assertEquals(500, $comparison['deltas']['delinquency_amount']['change']);
+        $this->assertEquals(50.0, $comparison['deltas']['delinquency_amount']['percent_change']);
+        $this->assertEquals(0, $comparison['deltas']['open_work_orders']['change']);
+    }
+
+    public function test_get_kpi_comparison_uses_nearest_earlier_snapshot(): void
+    {
+        // No snapshot exactly one month back; the closest earlier one should be used
+        DailyKpi::create([
+            'date' => '2026-02-10',
+            'occupancy_rate' => 88,
+            'vacancy_count' => 12,
+            'total_units' => 100,
+        ]);
+
+        // Newer than the target date, so it must be ignored
+        DailyKpi::create([
+            'date' => '2026-02-20',
+            'occupancy_rate' => 95,
+            'vacancy_count' => 5,
+            'total_units' => 100,
+        ]);
+
+        $current = DailyKpi::create([
+            'date' => '2026-03-15',
+            'occupancy_rate' => 90,
+            'vacancy_count' => 10,
+            'total_units' => 100,
+        ]);
+
+        $comparison = $this->service->getKpiComparison($current, 'last_month');
+
+        $this->assertEquals('2026-02-10', $comparison['previous_date']);
+        $this->assertEquals(2, $comparison['deltas']['occupancy_rate']['change']);
+    }
+
+    public function test_get_kpi_comparison_returns_empty_deltas_without_prior_data(): void
+    {
+        $current = DailyKpi::create([
+            'date' => '2026-01-15',
+            'occupancy_rate' => 90,
+            'vacancy_count' => 10,
+            'total_units' => 100,
+        ]);
+
+        $comparison = $this->service->getKpiComparison($current, 'last_year');
+
+        $this->assertEquals('last_year', $comparison['period']);
+        $this->assertNull($comparison['previous_date']);
+        $this->assertEmpty($comparison['deltas']);
+    }
+
+    public function test_get_kpi_comparison_falls_back_to_default_period(): void
+    {
+        $comparison = $this->service->getKpiComparison(null, 'last_decade');
+
+        $this->assertEquals(AnalyticsService::DEFAULT_COMPARISON_PERIOD, $comparison['period']);
+        $this->assertEmpty($comparison['deltas']);
+    }
+
+    public function test_get_kpi_comparison_percent_change_is_null_when_previous_is_zero(): void
+    {
+        DailyKpi::create([
+            'date' => '2026-01-08',
+            'occupancy_rate' => 100,
+            'vacancy_count' => 0,
+            'total_units' => 100,
+        ]);
+
+        $current = DailyKpi::create([
+            'date' => '2026-01-15',
+            'occupancy_rate' => 98,
+            'vacancy_count' => 2,
+            'total_units' => 100,
+        ]);
+
+        $comparison = $this->service->getKpiComparison($current);
+
+        $this->assertEquals(2, $comparison['deltas']['vacancy_count']['change']);
+        $this->assertNull($comparison['deltas']['vacancy_count']['percent_change']);
+    }
+
+    public function test_resolve_trend_window_for_presets(): void
+    {
+        $this->travelTo(now()->setDate(2026, 3, 15));
+
+        $window = $this->service->resolveTrendWindow('90d');
+        $this->assertEquals('90d', $window['range']);
+        $this->assertEquals('2025-12-15', $window['start']->toDateString());
+        $this->assertEquals('2026-03-15', $window['end']->toDateString());
+
+        $window = $this->service->resolveTrendWindow('ytd');
+        $this->assertEquals('2026-01-01', $window['start']->toDateString());
+    }
+
+    public function test_resolve_trend_window_falls_back_for_incomplete_custom_range(): void
+    {
+        $window = $this->service->resolveTrendWindow('custom', '2026-01-01', null);
+
+        $this->assertEquals(AnalyticsService::DEFAULT_TREND_RANGE, $window['range']);
+    }
+
+    public function test_resolve_trend_window_swaps_reversed_custom_dates(): void
+    {
+        $window = $this->service->resolveTrendWindow('custom', '2026-02-01', '2026-01-01');
+
+        $this->assertEquals('2026-01-01', $window['start']->toDateString());
+        $this->assertEquals('2026-02-01', $window['end']->toDateString());
+    }
+
+    public function test_aggregated_kpi_trend_groups_by_week(): void
+    {
+        // Monday 2026-01-05 through Sunday 2026-01-18: two full weeks
+        for ($day = 5; $day <= 18; $day++) {
+            DailyKpi::create([
+                'date' => sprintf('2026-01-%02d', $day),
+                'occupancy_rate' => $day <= 11 ? 90 : 94,
+                'vacancy_count' => $day <= 11 ? 10 : 6,
+                'total_units' => 100,
+                'delinquency_amount' => $day <= 11 ? 1000 : 2000,
+            ]);
+        }
+
+        $trend = $this->service->getAggregatedKpiTrend(
+            Carbon::parse('2026-01-05'),
+            Carbon::parse('2026-01-18'),
+            'weekly'
+        );
+
+        $this->assertCount(2, $trend);
+        $this->assertEquals('2026-01-05', $trend[0]['date']);
+        $this->assertEquals(90.00, $trend[0]['occupancy_rate']);
+        $this->assertEquals(7, $trend[0]['days_in_period']);
+        $this->assertEquals('2026-01-12', $trend[1]['date']);
+        $this->assertEquals(2000.00, $trend[1]['delinquency_amount']);
+    }
+
+    public function test_aggregated_kpi_trend_averages_by_month(): void
+    {
+        DailyKpi::create(['date' => '2026-01-10', 'occupancy_rate' => 90, 'vacancy_count' => 10, 'total_units' => 100]);
+        DailyKpi::create(['date' => '2026-01-20', 'occupancy_rate' => 92, 'vacancy_count' => 8, 'total_units' => 100]);
+        DailyKpi::create(['date' => '2026-02-05', 'occupancy_rate' => 95, 'vacancy_count' => 5, 'total_units' => 100]);
+
+        $trend = $this->service->getAggregatedKpiTrend(
+            Carbon::parse('2026-01-01'),
+            Carbon::parse('2026-02-28'),
+            'monthly'
+        );
+
+        $this->assertCount(2, $trend);
+        $this->assertEquals('2026-01-01', $trend[0]['date']);
+        $this->assertEquals(91.00, $trend[0]['occupancy_rate']);
+        $this->assertEquals(9, $trend[0]['vacancy_count']);
+        $this->assertEquals('2026-02-01', $trend[1]['date']);
+    }
+
+    public function test_resolve_scope_property_ids_returns_null_for_empty_scope(): void
+    {
+        $this->assertNull($this->service->resolveScopePropertyIds([]));
+        $this->assertNull($this->service->resolveScopePropertyIds(['portfolios' => [], 'property_types' => []]));
+    }
+
+    public function test_resolve_scope_property_ids_filters_by_portfolio_and_type(): void
+    {
+        $match = Property::create(['external_id' => 'p1', 'name' => 'A', 'portfolio' => 'Owner A', 'property_type' => 'Multifamily', 'is_active' => true]);
+        Property::create(['external_id' => 'p2', 'name' => 'B', 'portfolio' => 'Owner A', 'property_type' => 'Commercial', 'is_active' => true]);
+        Property::create(['external_id' => 'p3', 'name' => 'C', 'portfolio' => 'Owner B', 'property_type' => 'Multifamily', 'is_active' => true]);
+
+        $ids = $this->service->resolveScopePropertyIds([
+            'portfolios' => ['Owner A'],
+            'property_types' => ['Multifamily'],
+        ]);
+
+        $this->assertEquals([$match->id], $ids);
+    }
+
+    public function test_scoped_kpis_are_built_from_property_rollups(): void
+    {
+        $large = Property::create(['external_id' => 'p1', 'name' => 'Large', 'is_active' => true]);
+        $small = Property::create(['external_id' => 'p2', 'name' => 'Small', 'is_active' => true]);
+
+        PropertyRollup::create([
+            'date' => '2026-01-15',
+            'property_id' => $large->id,
+            'vacancy_count' => 10,
+            'total_units' => 100,
+            'occupancy_rate' => 90,
+            'delinquency_amount' => 1000,
+            'delinquent_units' => 2,
+            'open_work_orders' => 3,
+            'avg_days_open_work_orders' => 2,
+        ]);
+        PropertyRollup::create([
+            'date' => '2026-01-15',
+            'property_id' => $small->id,
+            'vacancy_count' => 5,
+            'total_units' => 10,
+            'occupancy_rate' => 50,
+            'delinquency_amount' => 500,
+            'delinquent_units' => 1,
+            'open_work_orders' => 1,
+            'avg_days_open_work_orders' => 6,
+        ]);
+
+        $kpi = $this->service->getLatestKpis([$large->id, $small->id]);
+
+        $this->assertEquals('2026-01-15', $kpi->date->toDateString());
+        $this->assertEquals(15, $kpi->vacancy_count);
+        $this->assertEquals(110, $kpi->total_units);
+        // (90 * 100 + 50 * 10) / 110
+        $this->assertEquals(86.36, (float) $kpi->occupancy_rate);
+        $this->assertEquals(1500.00, (float) $kpi->delinquency_amount);
+        $this->assertEquals(4, $kpi->open_work_orders);
+        // (2 * 3 + 6 * 1) / 4
+        $this->assertEquals(3.00, (float) $kpi->avg_days_open_work_orders);
+        $this->assertFalse($kpi->exists);
+    }
+
+    public function test_scoped_kpi_comparison_uses_property_rollups(): void
+    {
+        $property = Property::create(['external_id' => 'p1', 'name' => 'A', 'is_active' => true]);
+
+        foreach (['2026-01-08' => 4, '2026-01-15' => 1] as $date => $vacancies) {
+            PropertyRollup::create([
+                'date' => $date,
+                'property_id' => $property->id,
+                'vacancy_count' => $vacancies,
+                'total_units' => 10,
+                'occupancy_rate' => (10 - $vacancies) * 10,
+            ]);
+        }
+
+        $current = $this->service->getLatestKpis([$property->id]);
+        $comparison = $this->service->getKpiComparison($current, 'last_week', [$property->id]);
+
+        $this->assertEquals('2026-01-08', $comparison['previous_date']);
+        $this->assertEquals(-3, $comparison['deltas']['vacancy_count']['change']);
+        $this->assertEquals(30, $comparison['deltas']['occupancy_rate']['change']);
+    }
+
+    public function test_scoped_kpis_return_null_when_scope_matches_nothing(): void
+    {
+        $this->assertNull($this->service->getLatestKpis([]));
+    }
+
+    public function test_property_summary_sorts_and_paginates_latest_rollups(): void
+    {
+        $date = now()->toDateString();
+
+        for ($i = 1; $i <= 12; $i++) {
+            $property = Property::create([
+                'external_id' => "summary-{$i}",
+                'name' => sprintf('Property %02d', $i),
+                'is_active' => true,
+            ]);
+
+            PropertyRollup::create([
+                'date' => $date,
+                'property_id' => $property->id,
+                'vacancy_count' => $i,
+                'total_units' => 20,
+                'occupancy_rate' => (20 - $i) / 20 * 100,
+                'delinquency_amount' => 100 * $i,
+                'delinquent_units' => 1,
+                'open_work_orders' => 0,
+            ]);
+        }
+
+        $firstPage = $this->service->getPropertySummary(['sort' => 'vacancy_count', 'direction' => 'desc']);
+
+        $this->assertEquals(12, $firstPage['total']);
+        $this->assertEquals(2, $firstPage['last_page']);
+        $this->assertCount(AnalyticsService::SUMMARY_PER_PAGE, $firstPage['data']);
+        $this->assertEquals('Property 12', $firstPage['data'][0]['property_name']);
+        $this->assertEquals($date, $firstPage['as_of']);
+
+        $secondPage = $this->service->getPropertySummary(['sort' => 'vacancy_count', 'direction' => 'desc', 'page' => 2]);
+
+        $this->assertCount(2, $secondPage['data']);
+        $this->assertEquals('Property 01', $secondPage['data'][1]['property_name']);
+    }
+
+    public function test_property_summary_falls_back_to_name_sort_for_unknown_column(): void
+    {
+        $summary = $this->service->getPropertySummary(['sort' => 'id; drop table', 'direction' => 'sideways']);
+
+        $this->assertEquals('property_name', $summary['filters']['sort']);
+        $this->assertEquals('asc', $summary['filters']['direction']);
+        $this->assertSame([], $summary['data']);
+        $this->assertNull($summary['as_of']);
+    }
+
+    public function test_property_summary_filters_by_search_and_scope(): void
+    {
+        $date = now()->toDateString();
+        $maple = Property::create(['external_id' => 's1', 'name' => 'Maple Court', 'is_active' => true]);
+        $oak = Property::create(['external_id' => 's2', 'name' => 'Oak Terrace', 'is_active' => true]);
+
+        foreach ([$maple, $oak] as $property) {
+            PropertyRollup::create([
+                'date' => $date,
+                'property_id' => $property->id,
+                'vacancy_count' => 1,
+                'total_units' => 10,
+                'occupancy_rate' => 90,
+                'delinquency_amount' => 0,
+                'delinquent_units' => 0,
+                'open_work_orders' => 0,
+            ]);
+        }
+
+        $searched = $this->service->getPropertySummary(['search' => 'maple']);
+        $this->assertCount(1, $searched['data']);
+        $this->assertEquals('Maple Court', $searched['data'][0]['property_name']);
+
+        $scoped = $this->service->getPropertySummary([], [$oak->id]);
+        $this->assertCount(1, $scoped['data']);
+        $this->assertEquals('Oak Terrace', $scoped['data'][0]['property_name']);
+    }
+
+    public function test_property_summary_history_covers_last_thirty_days(): void
+    {
+        $property = Property::create(['external_id' => 'hist-1', 'name' => 'History', 'is_active' => true]);
+        $latest = Carbon::parse('2026-03-31');
+
+        // 40 days of rollups; only the last 30 should reach the sparkline
+        for ($day = 0; $day < 40; $day++) {
+            PropertyRollup::create([
+                'date' => $latest->copy()->subDays($day)->toDateString(),
+                'property_id' => $property->id,
+                'vacancy_count' => $day,
+                'total_units' => 50,
+                'occupancy_rate' => 80,
+                'delinquency_amount' => 250,
+                'delinquent_units' => 1,
+                'open_work_orders' => 2,
+            ]);
+        }
+
+        $history = $this->service->getPropertySummary()['data'][0]['history'];
+
+        $this->assertCount(AnalyticsService::SPARKLINE_DAYS, $history);
+        $this->assertEquals('2026-03-02', $history[0]['date']);
+        $this->assertEquals('2026-03-31', end($history)['date']);
+    }
 }
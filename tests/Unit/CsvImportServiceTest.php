@@ -0,0 +1,101 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Services\CsvImportService;
+use Tests\TestCase;
+
+class CsvImportServiceTest extends TestCase
+{
+    private CsvImportService $service;
+
+    /**
+     * @var array<int, array<string, string>>
+     */
+    private array $rows = [];
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->service = new CsvImportService;
+        $this->rows = [];
+    }
+
+    /**
+     * @param  array<int, string>  $lines
+     * @return array{imported: int, errors: array<int, string>}
+     */
+    private function import(array $lines, array $requiredColumns = ['name', 'amount'], ?callable $checkColumns = null): array
+    {
+        $path = tempnam(sys_get_temp_dir(), 'csv-import');
+        file_put_contents($path, implode("\n", $lines));
+
+        $result = $this->service->import($path, $requiredColumns, function (array $values): ?string {
+            if (! is_numeric($values['amount'])) {
+                return "invalid amount \"{$values['amount']}\".";
+            }
+
+            $this->rows[] = $values;
+
+            return null;
+        }, $checkColumns);
+        unlink($path);
+
+        return $result;
+    }
+
+    // ==================== Header Tests ====================
+
+    public function test_headers_are_normalized_and_byte_order_mark_dropped(): void
+    {
+        $result = $this->import(["\u{FEFF}Name , AMOUNT", 'Alpha,10']);
+
+        $this->assertSame(['imported' => 1, 'errors' => []], $result);
+        $this->assertSame([['name' => 'Alpha', 'amount' => '10']], $this->rows);
+    }
+
+    public function test_missing_required_columns_are_reported(): void
+    {
+        $result = $this->import(['name', 'Alpha']);
+
+        $this->assertSame(['imported' => 0, 'errors' => ['Missing required columns: amount.']], $result);
+        $this->assertSame([], $this->rows);
+    }
+
+    public function test_column_check_can_reject_the_header(): void
+    {
+        $result = $this->import(['name,amount', 'Alpha,10'], checkColumns: fn (array $columns) => in_array('year', $columns, true)
+            ? null
+            : 'Add a year column.');
+
+        $this->assertSame(['imported' => 0, 'errors' => ['Add a year column.']], $result);
+        $this->assertSame([], $this->rows);
+    }
+
+    public function test_empty_file_is_reported(): void
+    {
+        $this->assertSame(['imported' => 0, 'errors' => ['The file is empty.']], $this->import(['']));
+    }
+
+    // ==================== Row Tests ====================
+
+    public function test_blank_lines_are_skipped_and_errors_keep_file_line_numbers(): void
+    {
+        $result = $this->import(['name,amount', 'Alpha,10', '', ' , ', 'Beta,lots', 'Gamma,30', '']);
+
+        $this->assertSame(2, $result['imported']);
+        $this->assertSame(['Line 5: invalid amount "lots".'], $result['errors']);
+    }
+
+    public function test_short_rows_are_padded_and_extra_cells_dropped(): void
+    {
+        $this->import(['name,amount,note', ' Alpha ,10', 'Beta,20,ok,extra']);
+
+        $this->assertSame([
+            ['name' => 'Alpha', 'amount' => '10', 'note' => ''],
+            ['name' => 'Beta', 'amount' => '20', 'note' => 'ok'],
+        ], $this->rows);
+    }
+}
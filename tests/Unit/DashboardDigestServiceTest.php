@@ -0,0 +1,194 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\DailyKpi;
+use App\Models\DashboardDigestSubscription;
+use App\Models\Property;
+use App\Models\PropertyRollup;
+use App\Models\Setting;
+use App\Models\User;
+use App\Notifications\DashboardDigestNotification;
+use App\Services\AdjustmentService;
+use App\Services\AnalyticsService;
+use App\Services\DashboardDigestService;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Notification;
+use Tests\TestCase;
+
+class DashboardDigestServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private DashboardDigestService $service;
+
+    private User $user;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        // Wednesday
+        Carbon::setTestNow('2026-03-18 08:15:00');
+
+        Setting::set('features', 'notifications', true);
+        Notification::fake();
+
+        $this->service = new DashboardDigestService(new AnalyticsService(new AdjustmentService));
+        $this->user = User::factory()->create(['is_active' => true]);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    private function subscribe(string $cadence, ?string $lastSentAt = null, array $portfolios = []): DashboardDigestSubscription
+    {
+        return DashboardDigestSubscription::create([
+            'user_id' => $this->user->id,
+            'cadence' => $cadence,
+            'portfolios' => $portfolios,
+            'property_types' => [],
+            'last_sent_at' => $lastSentAt,
+        ]);
+    }
+
+    // ==================== Due Date Tests ====================
+
+    public function test_new_subscription_is_due(): void
+    {
+        $this->assertTrue($this->subscribe('weekly')->isDue());
+    }
+
+    public function test_weekly_digest_is_due_once_per_week(): void
+    {
+        // Sent Monday of this week
+        $this->assertFalse($this->subscribe('weekly', '2026-03-16 08:15:00')->isDue());
+
+        $this->user->digestSubscription()->delete();
+
+        // Sent last week
+        $this->assertTrue($this->subscribe('weekly', '2026-03-09 08:15:00')->isDue());
+    }
+
+    public function test_monthly_digest_is_due_once_per_month(): void
+    {
+        $subscription = $this->subscribe('monthly', '2026-03-01 08:15:00');
+
+        $this->assertFalse($subscription->isDue());
+        $this->assertTrue($subscription->isDue(Carbon::parse('2026-04-01 08:15:00')));
+    }
+
+    // ==================== Sending Tests ====================
+
+    public function test_sends_due_digests_and_marks_them_sent(): void
+    {
+        $subscription = $this->subscribe('weekly');
+
+        $sent = $this->service->sendDueDigests();
+
+        $this->assertEquals(1, $sent);
+        Notification::assertSentTo($this->user, DashboardDigestNotification::class);
+        $this->assertNotNull($subscription->fresh()->last_sent_at);
+
+        // A second run in the same week sends nothing
+        $this->assertEquals(0, $this->service->sendDueDigests());
+    }
+
+    public function test_force_sends_digests_already_sent_this_period(): void
+    {
+        $this->subscribe('weekly', '2026-03-16 08:15:00');
+
+        $this->assertEquals(1, $this->service->sendDueDigests(force: true));
+    }
+
+    public function test_skips_inactive_users(): void
+    {
+        $this->subscribe('weekly');
+        $this->user->update(['is_active' => false]);
+
+        $this->assertEquals(0, $this->service->sendDueDigests());
+        Notification::assertNothingSent();
+    }
+
+    public function test_sends_nothing_when_notifications_disabled(): void
+    {
+        Setting::set('features', 'notifications', false);
+        $this->subscribe('weekly');
+
+        $this->assertEquals(0, $this->service->sendDueDigests());
+        Notification::assertNothingSent();
+    }
+
+    // ==================== Digest Content Tests ====================
+
+    public function test_weekly_digest_includes_kpis_deltas_and_weekly_trend(): void
+    {
+        DailyKpi::create([
+            'date' => '2026-03-11',
+            'occupancy_rate' => 90,
+            'vacancy_count' => 10,
+            'total_units' => 100,
+            'delinquency_amount' => 5000,
+            'open_work_orders' => 4,
+        ]);
+        DailyKpi::create([
+            'date' => '2026-03-18',
+            'occupancy_rate' => 92,
+            'vacancy_count' => 8,
+            'total_units' => 100,
+            'delinquency_amount' => 4000,
+            'open_work_orders' => 6,
+        ]);
+
+        $digest = $this->service->buildDigest($this->subscribe('weekly'));
+
+        $this->assertEquals('weekly', $digest['cadence']);
+        $this->assertEquals(92.0, $digest['kpis']['occupancy_rate']);
+        $this->assertEquals('last_week', $digest['comparison']['period']);
+        $this->assertEquals(-1000, $digest['comparison']['deltas']['delinquency_amount']['change']);
+        $this->assertEquals(['2026-03-09', '2026-03-16'], array_column($digest['trend'], 'date'));
+    }
+
+    public function test_digest_lists_top_properties_by_delinquency_within_scope(): void
+    {
+        foreach ([['Alpha', 'Owner A', 100], ['Beta', 'Owner A', 900], ['Gamma', 'Owner B', 5000]] as [$name, $portfolio, $delinquency]) {
+            $property = Property::create([
+                'external_id' => strtolower($name),
+                'name' => $name,
+                'portfolio' => $portfolio,
+                'is_active' => true,
+            ]);
+
+            PropertyRollup::create([
+                'date' => '2026-03-18',
+                'property_id' => $property->id,
+                'vacancy_count' => 1,
+                'total_units' => 10,
+                'occupancy_rate' => 90,
+                'delinquency_amount' => $delinquency,
+                'delinquent_units' => 1,
+                'open_work_orders' => 0,
+            ]);
+        }
+
+        $digest = $this->service->buildDigest($this->subscribe('monthly', null, ['Owner A']));
+
+        $this->assertEquals(['Beta', 'Alpha'], array_column($digest['properties'], 'property_name'));
+        $this->assertEquals(['Owner A'], $digest['scope']['portfolios']);
+    }
+
+    public function test_digest_without_data_has_no_kpis(): void
+    {
+        $digest = $this->service->buildDigest($this->subscribe('weekly'));
+
+        $this->assertNull($digest['kpis']);
+        $this->assertSame([], $digest['properties']);
+    }
+}
@@ -0,0 +1,131 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\User;
+use App\Services\DashboardLayoutService;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class DashboardLayoutServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private DashboardLayoutService $service;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->service = new DashboardLayoutService;
+    }
+
+    // ==================== getLayout Tests ====================
+
+    public function test_get_layout_returns_default_for_new_user(): void
+    {
+        $user = User::factory()->create();
+
+        $this->assertEquals(DashboardLayoutService::DEFAULT_LAYOUT, $this->service->getLayout($user));
+    }
+
+    public function test_get_layout_returns_saved_layout(): void
+    {
+        $user = User::factory()->create();
+        $user->setPreference(DashboardLayoutService::PREFERENCE_KEY, [
+            ['key' => 'kpi_work_orders', 'size' => 6],
+            ['key' => 'utility_trend', 'size' => 12],
+        ]);
+
+        $layout = $this->service->getLayout($user->fresh());
+
+        $this->assertEquals([
+            ['key' => 'kpi_work_orders', 'size' => 6],
+            ['key' => 'utility_trend', 'size' => 12],
+        ], $layout);
+    }
+
+    public function test_get_layout_drops_unknown_and_duplicate_widgets(): void
+    {
+        $user = User::factory()->create();
+        $user->setPreference(DashboardLayoutService::PREFERENCE_KEY, [
+            ['key' => 'retired_widget', 'size' => 6],
+            ['key' => 'sync_health', 'size' => 4],
+            ['key' => 'sync_health', 'size' => 6],
+            'not-an-array',
+        ]);
+
+        $layout = $this->service->getLayout($user->fresh());
+
+        $this->assertEquals([['key' => 'sync_health', 'size' => 4]], $layout);
+    }
+
+    public function test_get_layout_snaps_invalid_sizes_to_widget_default(): void
+    {
+        $user = User::factory()->create();
+        $user->setPreference(DashboardLayoutService::PREFERENCE_KEY, [
+            ['key' => 'kpi_occupancy', 'size' => 12],
+            ['key' => 'property_summary'],
+        ]);
+
+        $layout = $this->service->getLayout($user->fresh());
+
+        $this->assertEquals(3, $layout[0]['size']);
+        $this->assertEquals(8, $layout[1]['size']);
+    }
+
+    public function test_empty_saved_layout_is_respected(): void
+    {
+        $user = User::factory()->create();
+        $this->service->saveLayout($user, []);
+
+        $this->assertEquals([], $this->service->getLayout($user->fresh()));
+    }
+
+    // ==================== saveLayout / resetLayout Tests ====================
+
+    public function test_save_layout_persists_sanitized_layout(): void
+    {
+        $user = User::factory()->create();
+
+        $saved = $this->service->saveLayout($user, [
+            ['key' => 'vendor_insurance', 'size' => 6],
+            ['key' => 'bogus', 'size' => 6],
+        ]);
+
+        $this->assertEquals([['key' => 'vendor_insurance', 'size' => 6]], $saved);
+        $this->assertEquals($saved, $user->fresh()->getPreference(DashboardLayoutService::PREFERENCE_KEY));
+    }
+
+    public function test_reset_layout_restores_default(): void
+    {
+        $user = User::factory()->create();
+        $this->service->saveLayout($user, [['key' => 'sync_health', 'size' => 12]]);
+
+        $this->service->resetLayout($user);
+
+        $this->assertEquals(DashboardLayoutService::DEFAULT_LAYOUT, $this->service->getLayout($user->fresh()));
+    }
+
+    // ==================== Registry Tests ====================
+
+    public function test_registry_includes_every_widget_with_its_key(): void
+    {
+        $registry = $this->service->getRegistry();
+
+        $this->assertCount(count(DashboardLayoutService::WIDGETS), $registry);
+        $this->assertEquals('kpi_occupancy', $registry[0]['key']);
+        $this->assertContains('utility_anomalies', array_column($registry, 'key'));
+    }
+
+    public function test_default_sizes_are_allowed_sizes(): void
+    {
+        foreach (DashboardLayoutService::WIDGETS as $key => $widget) {
+            $this->assertContains($widget['default_size'], $widget['sizes'], "Default size for {$key} is not allowed");
+            foreach ($widget['sizes'] as $size) {
+                $this->assertContains($size, DashboardLayoutService::SIZES, "Size {$size} for {$key} is not a grid size");
+            }
+        }
+    }
+}
@@ -0,0 +1,164 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\Lease;
+use App\Models\LedgerTransaction;
+use App\Models\Property;
+use App\Models\PropertyFlag;
+use App\Models\Unit;
+use App\Services\KpiDrillDownService;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class KpiDrillDownServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private KpiDrillDownService $service;
+
+    private Property $property;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $this->service = new KpiDrillDownService;
+        $this->property = Property::factory()->create(['name' => 'Maple Court', 'is_active' => true]);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    private function transaction(Unit $unit, string $type, float $amount, string $date): void
+    {
+        LedgerTransaction::create([
+            'external_id' => uniqid('txn-'),
+            'property_id' => $unit->property_id,
+            'unit_id' => $unit->id,
+            'date' => $date,
+            'type' => $type,
+            'amount' => $amount,
+        ]);
+    }
+
+    // ==================== Delinquency Tests ====================
+
+    public function test_delinquent_balances_are_calculated_as_of_the_date(): void
+    {
+        $unit = Unit::factory()->create(['property_id' => $this->property->id, 'unit_number' => '101']);
+        $this->transaction($unit, 'charge', 1500, '2026-03-01');
+        $this->transaction($unit, 'payment', 500, '2026-03-05');
+        // Paid off after the selected day, so it still counts on the 10th
+        $this->transaction($unit, 'payment', 1000, '2026-03-15');
+
+        $rows = $this->service->getDelinquentBalances(Carbon::parse('2026-03-10'));
+
+        $this->assertCount(1, $rows);
+        $this->assertEquals('Maple Court', $rows[0]['property_name']);
+        $this->assertEquals('101', $rows[0]['unit_number']);
+        $this->assertEquals(1000.0, $rows[0]['balance']);
+        $this->assertEquals('2026-03-05', $rows[0]['last_payment_date']);
+
+        $this->assertSame([], $this->service->getDelinquentBalances(Carbon::parse('2026-03-16')));
+    }
+
+    public function test_delinquent_balances_are_sorted_largest_first(): void
+    {
+        $small = Unit::factory()->create(['property_id' => $this->property->id, 'unit_number' => '101']);
+        $large = Unit::factory()->create(['property_id' => $this->property->id, 'unit_number' => '102']);
+        $this->transaction($small, 'charge', 200, '2026-03-01');
+        $this->transaction($large, 'charge', 900, '2026-03-01');
+
+        $rows = $this->service->getDelinquentBalances(Carbon::parse('2026-03-10'));
+
+        $this->assertEquals(['102', '101'], array_column($rows, 'unit_number'));
+    }
+
+    public function test_delinquent_balances_respect_scope_and_report_exclusions(): void
+    {
+        $excluded = Property::factory()->create(['is_active' => true]);
+        PropertyFlag::create(['property_id' => $excluded->id, 'flag_type' => 'exclude_from_reports']);
+        $other = Property::factory()->create(['is_active' => true]);
+
+        foreach ([$this->property, $excluded, $other] as $property) {
+            $unit = Unit::factory()->create(['property_id' => $property->id]);
+            $this->transaction($unit, 'charge', 300, '2026-03-01');
+        }
+
+        $all = $this->service->getDelinquentBalances(Carbon::parse('2026-03-10'));
+        $scoped = $this->service->getDelinquentBalances(Carbon::parse('2026-03-10'), [$other->id]);
+
+        $this->assertCount(2, $all);
+        $this->assertNotContains($excluded->id, array_column($all, 'property_id'));
+        $this->assertEquals([$other->id], array_column($scoped, 'property_id'));
+    }
+
+    // ==================== Vacancy Tests ====================
+
+    public function test_vacant_units_are_derived_from_lease_dates(): void
+    {
+        $leased = Unit::factory()->create(['property_id' => $this->property->id, 'unit_number' => '101']);
+        $vacated = Unit::factory()->create(['property_id' => $this->property->id, 'unit_number' => '102']);
+        Unit::factory()->notReady()->create(['property_id' => $this->property->id, 'unit_number' => '103']);
+
+        Lease::create(['external_id' => 'l1', 'unit_id' => $leased->id, 'start_date' => '2025-01-01', 'end_date' => null, 'rent' => 1200]);
+        Lease::create(['external_id' => 'l2', 'unit_id' => $vacated->id, 'start_date' => '2025-01-01', 'end_date' => '2026-02-28', 'rent' => 1200]);
+
+        $rows = $this->service->getVacantUnits(Carbon::parse('2026-03-10'));
+
+        $this->assertCount(1, $rows);
+        $this->assertEquals('102', $rows[0]['unit_number']);
+        $this->assertEquals('2026-03-01', $rows[0]['vacant_since']);
+        $this->assertEquals(9, $rows[0]['days_vacant']);
+
+        // Before the lease ended neither unit was vacant
+        $this->assertSame([], $this->service->getVacantUnits(Carbon::parse('2026-02-01')));
+    }
+
+    public function test_never_leased_units_have_no_vacant_since(): void
+    {
+        Unit::factory()->create(['property_id' => $this->property->id]);
+
+        $rows = $this->service->getVacantUnits(Carbon::parse('2026-03-10'));
+
+        $this->assertCount(1, $rows);
+        $this->assertNull($rows[0]['vacant_since']);
+        $this->assertNull($rows[0]['days_vacant']);
+    }
+
+    // ==================== Drill-down Tests ====================
+
+    public function test_resolve_as_of_date_uses_period_end_capped_at_today(): void
+    {
+        $this->assertEquals('2026-03-10', $this->service->resolveAsOfDate(Carbon::parse('2026-03-10'))->toDateString());
+        $this->assertEquals('2026-02-28', $this->service->resolveAsOfDate(Carbon::parse('2026-02-01'), 'monthly')->toDateString());
+        $this->assertEquals('2026-03-20', $this->service->resolveAsOfDate(Carbon::parse('2026-03-01'), 'monthly')->toDateString());
+        $this->assertEquals('2026-03-15', $this->service->resolveAsOfDate(Carbon::parse('2026-03-09'), 'weekly')->toDateString());
+    }
+
+    public function test_get_drill_down_totals_delinquency(): void
+    {
+        $first = Unit::factory()->create(['property_id' => $this->property->id]);
+        $second = Unit::factory()->create(['property_id' => $this->property->id]);
+        $this->transaction($first, 'charge', 250.50, '2026-03-01');
+        $this->transaction($second, 'charge', 100, '2026-03-01');
+
+        $result = $this->service->getDrillDown('delinquency', Carbon::parse('2026-03-10'));
+
+        $this->assertEquals('delinquency', $result['metric']);
+        $this->assertEquals('2026-03-10', $result['as_of']);
+        $this->assertEquals(2, $result['total_count']);
+        $this->assertEquals(350.50, $result['total_amount']);
+        $this->assertFalse($result['truncated']);
+    }
+}
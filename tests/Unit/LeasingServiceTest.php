@@ -0,0 +1,168 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\Lease;
+use App\Models\Person;
+use App\Models\Property;
+use App\Models\Unit;
+use App\Services\LeasingService;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class LeasingServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private LeasingService $service;
+
+    private Property $property;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $this->service = new LeasingService;
+        $this->property = Property::factory()->create(['name' => 'Maple Court', 'is_active' => true, 'portfolio' => 'North']);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    private function lease(Unit $unit, string $start, ?string $end, string $tenant = 'Jane Doe'): Lease
+    {
+        $person = Person::create(['external_id' => uniqid('person-'), 'name' => $tenant]);
+
+        return Lease::create([
+            'external_id' => uniqid('lease-'),
+            'unit_id' => $unit->id,
+            'person_id' => $person->id,
+            'start_date' => $start,
+            'end_date' => $end,
+            'rent' => 1500,
+        ]);
+    }
+
+    private function unit(?Property $property = null, string $number = '101'): Unit
+    {
+        return Unit::factory()->create([
+            'property_id' => ($property ?? $this->property)->id,
+            'unit_number' => $number,
+        ]);
+    }
+
+    // ==================== Heatmap Tests ====================
+
+    public function test_heatmap_counts_expirations_per_property_per_month(): void
+    {
+        $this->lease($this->unit(null, '101'), '2025-04-01', '2026-03-31');
+        $this->lease($this->unit(null, '102'), '2025-04-01', '2026-03-25');
+        $this->lease($this->unit(null, '103'), '2025-09-01', '2026-08-31');
+        $this->lease($this->unit(null, '104'), '2025-09-01', '2027-08-31');
+        $this->lease($this->unit(null, '105'), '2025-09-01', null);
+
+        $heatmap = $this->service->getOverview()['heatmap'];
+
+        $this->assertCount(12, $heatmap['months']);
+        $this->assertSame('2026-03', $heatmap['months'][0]['key']);
+        $this->assertSame('2027-02', $heatmap['months'][11]['key']);
+        $this->assertCount(1, $heatmap['rows']);
+        $this->assertSame(2, $heatmap['rows'][0]['counts']['2026-03']);
+        $this->assertSame(1, $heatmap['rows'][0]['counts']['2026-08']);
+        $this->assertSame(3, $heatmap['rows'][0]['total']);
+        $this->assertSame(2, $heatmap['max']);
+    }
+
+    public function test_only_the_current_lease_of_each_unit_counts(): void
+    {
+        $unit = $this->unit();
+        $this->lease($unit, '2025-01-01', '2025-12-31', 'Past Tenant');
+        $this->lease($unit, '2026-01-01', '2026-04-30', 'Current Tenant');
+        $this->lease($unit, '2026-05-01', '2027-04-30', 'Future Tenant');
+
+        $groups = $this->service->getOverview()['expirations']['groups'];
+
+        $this->assertCount(1, $groups);
+        $this->assertCount(1, $groups[0]['leases']);
+        $this->assertSame('Current Tenant', $groups[0]['leases'][0]['tenant_name']);
+    }
+
+    // ==================== Expiration Tests ====================
+
+    public function test_expirations_are_bucketed_into_windows_and_grouped_by_property(): void
+    {
+        $other = Property::factory()->create(['name' => 'Birch Place', 'is_active' => true]);
+
+        $this->lease($this->unit(null, '101'), '2025-04-01', '2026-04-10');
+        $this->lease($this->unit(null, '102'), '2025-06-01', '2026-05-15');
+        $this->lease($this->unit($other, '201'), '2025-06-01', '2026-06-10');
+        $this->lease($this->unit($other, '202'), '2025-06-01', '2026-09-30');
+
+        $expirations = $this->service->getOverview()['expirations'];
+
+        $this->assertSame([30 => 1, 60 => 2, 90 => 3], $expirations['counts']);
+        $this->assertSame(['Birch Place', 'Maple Court'], array_column($expirations['groups'], 'property_name'));
+        $this->assertSame(82, $expirations['groups'][0]['leases'][0]['days_to_expiration']);
+        $this->assertSame(90, $expirations['groups'][0]['leases'][0]['window']);
+        $this->assertSame(['101', '102'], array_column($expirations['groups'][1]['leases'], 'unit_number'));
+        $this->assertSame([30, 60], array_column($expirations['groups'][1]['leases'], 'window'));
+    }
+
+    public function test_portfolio_filter_limits_properties(): void
+    {
+        $other = Property::factory()->create(['name' => 'Birch Place', 'is_active' => true, 'portfolio' => 'South']);
+
+        $this->lease($this->unit(null, '101'), '2025-04-01', '2026-04-10');
+        $this->lease($this->unit($other, '201'), '2025-04-01', '2026-04-10');
+
+        $overview = $this->service->getOverview(['portfolio' => 'South']);
+
+        $this->assertSame(['Birch Place'], array_column($overview['expirations']['groups'], 'property_name'));
+        $this->assertSame(1, $overview['occupancy']['portfolio']['total_units']);
+    }
+
+    // ==================== Occupancy Impact Tests ====================
+
+    public function test_occupancy_projection_assumes_no_renewals(): void
+    {
+        $this->lease($this->unit(null, '101'), '2025-04-01', '2026-04-10');
+        $this->lease($this->unit(null, '102'), '2025-06-01', '2026-05-15');
+        $this->lease($this->unit(null, '103'), '2025-06-01', null);
+        $this->unit(null, '104');
+
+        $occupancy = $this->service->getOverview()['occupancy'];
+        $portfolio = $occupancy['portfolio'];
+
+        $this->assertSame(4, $portfolio['total_units']);
+        $this->assertSame(3, $portfolio['occupied_units']);
+        $this->assertEquals(75.0, $portfolio['occupancy_rate']);
+        $this->assertSame([2, 1, 1], array_column($portfolio['projections'], 'occupied_units'));
+        $this->assertEquals([50.0, 25.0, 25.0], array_column($portfolio['projections'], 'occupancy_rate'));
+        $this->assertSame(3, $occupancy['properties'][$this->property->id]['occupied_units']);
+    }
+
+    public function test_inactive_properties_and_units_are_excluded(): void
+    {
+        $inactive = Property::factory()->create(['is_active' => false]);
+        $this->lease($this->unit($inactive), '2025-04-01', '2026-04-10');
+
+        $unit = $this->unit();
+        $unit->update(['is_active' => false]);
+        $this->lease($unit, '2025-04-01', '2026-04-10');
+
+        $overview = $this->service->getOverview();
+
+        $this->assertSame([], $overview['expirations']['groups']);
+        $this->assertSame(0, $overview['occupancy']['portfolio']['total_units']);
+        $this->assertEquals(0.0, $overview['occupancy']['portfolio']['occupancy_rate']);
+    }
+}
@@ -0,0 +1,139 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\AlertRule;
+use App\Models\DailyKpi;
+use App\Models\Setting;
+use App\Models\User;
+use App\Notifications\AlertNotification;
+use App\Services\NotificationService;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Notification;
+use Tests\TestCase;
+
+class NotificationServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private NotificationService $service;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 08:00:00');
+        Notification::fake();
+        Setting::set('features', 'notifications', true);
+
+        $this->service = new NotificationService;
+
+        DailyKpi::create([
+            'date' => '2026-03-20',
+            'occupancy_rate' => 88,
+            'vacancy_count' => 12,
+            'total_units' => 100,
+            'delinquency_amount' => 4000,
+            'open_work_orders' => 3,
+        ]);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    private function createRule(array $attributes = []): AlertRule
+    {
+        return AlertRule::create([
+            'name' => 'High Vacancy',
+            'metric' => 'vacancy_count',
+            'operator' => 'gt',
+            'threshold' => 10,
+            'enabled' => true,
+            'recipients' => ['ops@example.com'],
+            ...$attributes,
+        ]);
+    }
+
+    // ==================== Evaluation Tests ====================
+
+    public function test_firing_rule_sends_alert_and_records_trigger(): void
+    {
+        $rule = $this->createRule();
+
+        $this->service->evaluateAlerts();
+
+        Notification::assertSentOnDemand(AlertNotification::class);
+
+        $trigger = $rule->triggers()->sole();
+        $this->assertEquals('12.00', $trigger->value);
+        $this->assertEquals('10.00', $trigger->threshold);
+        $this->assertEquals('gt', $trigger->operator);
+        $this->assertEquals(['ops@example.com'], $trigger->recipients);
+        $this->assertEquals('2026-03-20 08:00:00', $rule->refresh()->last_triggered_at->toDateTimeString());
+    }
+
+    public function test_recipients_with_accounts_also_get_an_in_app_notification(): void
+    {
+        $user = User::factory()->create(['email' => 'ops@example.com']);
+        $inactive = User::factory()->inactive()->create(['email' => 'former@example.com']);
+        $this->createRule(['recipients' => ['ops@example.com', 'former@example.com', 'outside@example.com']]);
+
+        $this->service->evaluateAlerts();
+
+        Notification::assertSentTo(
+            $user,
+            AlertNotification::class,
+            fn (AlertNotification $notification, array $channels) => $channels === ['database']
+        );
+        Notification::assertNotSentTo($inactive, AlertNotification::class);
+    }
+
+    public function test_muted_rule_is_skipped_until_mute_expires(): void
+    {
+        $rule = $this->createRule();
+        $rule->mute(24);
+
+        $this->service->evaluateAlerts();
+
+        Notification::assertNothingSent();
+        $this->assertSame(0, $rule->triggers()->count());
+
+        Carbon::setTestNow('2026-03-21 08:00:01');
+        $this->service->evaluateAlerts();
+
+        $this->assertSame(1, $rule->triggers()->count());
+    }
+
+    public function test_rule_that_does_not_fire_records_nothing(): void
+    {
+        $rule = $this->createRule(['threshold' => 20]);
+
+        $this->service->evaluateAlerts();
+
+        Notification::assertNothingSent();
+        $this->assertSame(0, $rule->triggers()->count());
+        $this->assertNull($rule->refresh()->last_triggered_at);
+    }
+
+    // ==================== Preview Tests ====================
+
+    public function test_preview_ignores_enabled_and_muted_state(): void
+    {
+        $rule = $this->createRule(['enabled' => false, 'muted_until' => now()->addDay()]);
+
+        $preview = $this->service->previewRule($rule);
+
+        $this->assertTrue($preview['would_fire']);
+        $this->assertEquals(12.0, $preview['value']);
+        $this->assertEquals('2026-03-20', $preview['kpi_date']);
+        Notification::assertNothingSent();
+        $this->assertSame(0, $rule->triggers()->count());
+    }
+}
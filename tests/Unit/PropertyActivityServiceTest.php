@@ -0,0 +1,218 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\Lease;
+use App\Models\Person;
+use App\Models\Property;
+use App\Models\PropertyAdjustment;
+use App\Models\Unit;
+use App\Models\User;
+use App\Models\UtilityAnomaly;
+use App\Models\UtilityNote;
+use App\Models\UtilityType;
+use App\Models\WorkOrder;
+use App\Services\PropertyActivityService;
+use Carbon\Carbon;
+use Closure;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class PropertyActivityServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private const NOW = '2026-03-20 12:00:00';
+
+    private PropertyActivityService $service;
+
+    private Property $property;
+
+    private Unit $unit;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow(self::NOW);
+
+        $this->service = new PropertyActivityService;
+        $this->property = Property::factory()->create();
+        $this->unit = Unit::factory()->create(['property_id' => $this->property->id, 'unit_number' => '101']);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    /**
+     * Run the callback as if it were the given time, so created_at and
+     * updated_at are stamped with it.
+     */
+    private function at(string $time, Closure $callback): mixed
+    {
+        Carbon::setTestNow($time);
+
+        try {
+            return $callback();
+        } finally {
+            Carbon::setTestNow(self::NOW);
+        }
+    }
+
+    private function lease(string $start, ?string $end): Lease
+    {
+        $person = Person::create(['external_id' => uniqid('person-'), 'name' => 'Jane Tenant']);
+
+        return Lease::create([
+            'external_id' => uniqid('lease-'),
+            'unit_id' => $this->unit->id,
+            'person_id' => $person->id,
+            'start_date' => $start,
+            'end_date' => $end,
+            'rent' => 1450,
+        ]);
+    }
+
+    // ==================== Timeline Tests ====================
+
+    public function test_timeline_merges_every_source_newest_first(): void
+    {
+        $this->at('2026-03-01 10:00:00', fn () => $this->property->flags()->create(['flag_type' => 'hoa']));
+        $this->at('2026-03-15 09:00:00', fn () => PropertyAdjustment::create([
+            'property_id' => $this->property->id,
+            'field_name' => 'unit_count',
+            'original_value' => '10',
+            'adjusted_value' => '8',
+            'effective_from' => '2026-03-01',
+            'effective_to' => '2026-03-18',
+            'reason' => 'Units combined',
+        ]));
+        $this->at('2026-03-16 09:00:00', fn () => UtilityNote::create([
+            'property_id' => $this->property->id,
+            'utility_type_id' => UtilityType::getIdByKey('water'),
+            'note' => 'Leak repaired',
+        ]));
+        WorkOrder::factory()->forProperty($this->property)->create([
+            'unit_id' => $this->unit->id,
+            'opened_at' => '2026-03-05 08:00:00',
+            'closed_at' => '2026-03-10 16:00:00',
+            'status' => 'completed',
+        ]);
+        $this->lease('2026-02-01', '2026-03-10');
+        UtilityAnomaly::create([
+            'property_id' => $this->property->id,
+            'utility_type_id' => UtilityType::getIdByKey('water'),
+            'period_start' => '2026-02-01',
+            'metric' => 'per_unit',
+            'direction' => 'high',
+            'value' => 90,
+            'average' => 30,
+            'deviation' => 2.4,
+            'detected_at' => '2026-03-19 03:30:00',
+        ]);
+
+        $activity = $this->service->getActivity($this->property);
+
+        $this->assertSame(9, $activity['total']);
+        $this->assertSame(
+            [
+                'anomalies:high',
+                'adjustments:ended',
+                'utility_notes:added',
+                'adjustments:created',
+                'work_orders:closed',
+                'leases:ended',
+                'work_orders:opened',
+                'flags:added',
+                'leases:started',
+            ],
+            array_map(fn (array $event) => "{$event['type']}:{$event['event']}", $activity['data'])
+        );
+        $this->assertSame('Work order closed · Unit 101', $activity['data'][4]['title']);
+        $this->assertSame('Jane Tenant', $activity['data'][5]['description']);
+        $this->assertTrue($activity['data'][5]['all_day']);
+    }
+
+    public function test_future_events_are_left_out(): void
+    {
+        $this->lease('2026-04-01', null);
+        $this->lease('2025-03-01', '2026-03-20');
+        PropertyAdjustment::create([
+            'property_id' => $this->property->id,
+            'field_name' => 'unit_count',
+            'original_value' => '10',
+            'adjusted_value' => '8',
+            'effective_from' => '2026-03-01',
+            'effective_to' => '2026-03-20',
+            'reason' => 'Still in effect today',
+        ]);
+
+        $events = array_map(
+            fn (array $event) => "{$event['type']}:{$event['event']}",
+            $this->service->getActivity($this->property)['data']
+        );
+
+        $this->assertSame(['adjustments:created', 'leases:started'], $events);
+    }
+
+    public function test_removed_flag_shows_when_it_was_added_and_removed(): void
+    {
+        $user = User::factory()->create(['name' => 'Pat Admin']);
+        $flag = $this->at('2026-03-01 10:00:00', fn () => $this->property->flags()->create([
+            'flag_type' => 'sold',
+            'reason' => 'Listed for sale',
+        ]));
+        $this->at('2026-03-10 10:00:00', fn () => $flag->remove($user->id));
+
+        $activity = $this->service->getActivity($this->property);
+
+        $this->assertSame(['removed', 'added'], array_column($activity['data'], 'event'));
+        $this->assertSame('Removed the Sold flag', $activity['data'][0]['title']);
+        $this->assertSame('Pat Admin', $activity['data'][0]['user_name']);
+        $this->assertSame('Listed for sale', $activity['data'][1]['description']);
+    }
+
+    // ==================== Filter Tests ====================
+
+    public function test_timeline_can_be_limited_to_some_types(): void
+    {
+        $this->property->flags()->create(['flag_type' => 'hoa']);
+        WorkOrder::factory()->forProperty($this->property)->create(['opened_at' => '2026-03-05']);
+        WorkOrder::factory()->forProperty(Property::factory()->create())->create(['opened_at' => '2026-03-06']);
+
+        $activity = $this->service->getActivity($this->property, ['work_orders', 'unknown']);
+
+        $this->assertSame(1, $activity['total']);
+        $this->assertSame(['work_orders'], array_column($activity['data'], 'type'));
+    }
+
+    // ==================== Paging Tests ====================
+
+    public function test_timeline_is_paged_across_sources(): void
+    {
+        foreach (range(1, 15) as $day) {
+            WorkOrder::factory()->forProperty($this->property)->create([
+                'opened_at' => sprintf('2026-02-%02d 09:00:00', $day),
+            ]);
+        }
+        foreach (range(1, 10) as $day) {
+            $this->lease(sprintf('2026-01-%02d', $day), null);
+        }
+
+        $first = $this->service->getActivity($this->property, [], 1);
+        $second = $this->service->getActivity($this->property, [], 2);
+
+        $this->assertSame(25, $first['total']);
+        $this->assertSame(2, $first['last_page']);
+        $this->assertCount(PropertyActivityService::PER_PAGE, $first['data']);
+        $this->assertCount(5, $second['data']);
+        $this->assertSame('2026-01-05', substr($second['data'][0]['occurred_at'], 0, 10));
+        $this->assertSame([], array_intersect(array_column($first['data'], 'id'), array_column($second['data'], 'id')));
+    }
+}
@@ -0,0 +1,193 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\Property;
+use App\Models\PropertyAdjustment;
+use App\Models\PropertyRollup;
+use App\Models\Unit;
+use App\Models\UtilityAccount;
+use App\Models\UtilityExpense;
+use App\Models\WorkOrder;
+use App\Services\AdjustmentService;
+use App\Services\PropertyComparisonService;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Str;
+use Tests\TestCase;
+
+class PropertyComparisonServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private PropertyComparisonService $service;
+
+    private Property $first;
+
+    private Property $second;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $this->service = new PropertyComparisonService(app(AdjustmentService::class));
+        $this->first = Property::factory()->create(['name' => 'Maple Court', 'unit_count' => 10, 'total_sqft' => 10000]);
+        $this->second = Property::factory()->create(['name' => 'Birch Place', 'unit_count' => 20, 'total_sqft' => 25000]);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    // ==================== findProperties Tests ====================
+
+    public function test_find_properties_keeps_request_order_and_drops_invalid_ids(): void
+    {
+        $properties = $this->service->findProperties([
+            $this->second->id,
+            'not-a-uuid',
+            (string) Str::uuid(),
+            $this->first->id,
+            $this->second->id,
+        ]);
+
+        $this->assertSame([$this->second->id, $this->first->id], $properties->pluck('id')->all());
+    }
+
+    public function test_find_properties_caps_the_selection(): void
+    {
+        $ids = Property::factory()->count(PropertyComparisonService::MAX_PROPERTIES + 1)->create()->pluck('id')->all();
+
+        $this->assertCount(PropertyComparisonService::MAX_PROPERTIES, $this->service->findProperties($ids));
+    }
+
+    // ==================== getComparison Tests ====================
+
+    public function test_comparison_combines_occupancy_delinquency_work_orders_and_utilities(): void
+    {
+        Unit::factory()->count(3)->occupied()->create(['property_id' => $this->first->id]);
+        Unit::factory()->vacant()->create(['property_id' => $this->first->id]);
+
+        PropertyRollup::create(['date' => '2026-03-10', 'property_id' => $this->first->id, 'delinquency_amount' => 800]);
+        PropertyRollup::create(['date' => '2026-03-19', 'property_id' => $this->first->id, 'delinquency_amount' => 1500]);
+
+        WorkOrder::factory()->forProperty($this->first)->create(['opened_at' => '2026-01-05']);
+        WorkOrder::factory()->forProperty($this->first)->create([
+            'opened_at' => '2026-02-01',
+            'closed_at' => '2026-02-03',
+            'status' => 'completed',
+            'amount' => 300,
+        ]);
+        WorkOrder::factory()->forProperty($this->first)->create([
+            'opened_at' => '2024-02-01',
+            'closed_at' => '2024-02-03',
+            'status' => 'completed',
+            'amount' => 9999,
+        ]);
+
+        $account = UtilityAccount::factory()->water()->create();
+        UtilityExpense::factory()->forAccount($account)->create([
+            'property_id' => $this->first->id,
+            'amount' => 2000,
+            'expense_date' => '2025-12-15',
+        ]);
+
+        $rows = $this->service->getComparison($this->service->findProperties([$this->first->id, $this->second->id]));
+
+        $this->assertSame($this->first->id, $rows[0]['id']);
+        $this->assertEquals(75.0, $rows[0]['occupancy_rate']);
+        $this->assertEquals(1500.0, $rows[0]['delinquency_amount']);
+        $this->assertSame(2, $rows[0]['work_order_count']);
+        $this->assertEquals(300.0, $rows[0]['work_order_spend']);
+        $this->assertEquals(300.0, $rows[0]['avg_cost_per_work_order']);
+        $this->assertEquals(200.0, $rows[0]['utility_cost_per_unit']);
+        $this->assertEquals(0.2, $rows[0]['utility_cost_per_sqft']);
+
+        $this->assertNull($rows[1]['occupancy_rate']);
+        $this->assertNull($rows[1]['delinquency_amount']);
+        $this->assertSame(0, $rows[1]['work_order_count']);
+        $this->assertNull($rows[1]['avg_cost_per_work_order']);
+        $this->assertNull($rows[1]['utility_cost_per_unit']);
+    }
+
+    public function test_comparison_uses_effective_values_from_adjustments(): void
+    {
+        PropertyAdjustment::create([
+            'property_id' => $this->first->id,
+            'field_name' => 'unit_count',
+            'original_value' => '10',
+            'adjusted_value' => '8',
+            'effective_from' => '2026-01-01',
+            'reason' => 'Units combined',
+        ]);
+
+        $account = UtilityAccount::factory()->water()->create();
+        UtilityExpense::factory()->forAccount($account)->create([
+            'property_id' => $this->first->id,
+            'amount' => 1600,
+            'expense_date' => '2026-02-15',
+        ]);
+
+        $rows = $this->service->getComparison($this->service->findProperties([$this->first->id]));
+
+        $this->assertSame(8, $rows[0]['unit_count']);
+        $this->assertEquals(10, $rows[0]['adjusted_fields']['unit_count']['original']);
+        $this->assertEquals(200.0, $rows[0]['utility_cost_per_unit']);
+    }
+
+    // ==================== calculateComparisonStats Tests ====================
+
+    public function test_stats_rank_each_metric_in_its_own_direction(): void
+    {
+        $stats = $this->service->calculateComparisonStats([
+            ['occupancy_rate' => 95.0, 'delinquency_amount' => 500.0, 'utility_cost_per_unit' => null],
+            ['occupancy_rate' => 80.0, 'delinquency_amount' => 100.0, 'utility_cost_per_unit' => null],
+        ]);
+
+        $this->assertEquals(95.0, $stats['occupancy_rate']['best']);
+        $this->assertEquals(80.0, $stats['occupancy_rate']['worst']);
+        $this->assertEquals(100.0, $stats['delinquency_amount']['best']);
+        $this->assertEquals(300.0, $stats['delinquency_amount']['avg']);
+        $this->assertArrayNotHasKey('utility_cost_per_unit', $stats);
+    }
+
+    public function test_stats_need_at_least_two_properties(): void
+    {
+        $this->assertSame([], $this->service->calculateComparisonStats([['occupancy_rate' => 90.0]]));
+    }
+
+    // ==================== getTrends Tests ====================
+
+    public function test_trends_have_a_row_per_month_with_a_value_per_property(): void
+    {
+        PropertyRollup::create(['date' => '2026-02-10', 'property_id' => $this->first->id, 'occupancy_rate' => 90]);
+        PropertyRollup::create(['date' => '2026-02-27', 'property_id' => $this->first->id, 'occupancy_rate' => 92.5]);
+
+        $account = UtilityAccount::factory()->water()->create();
+        UtilityExpense::factory()->forAccount($account)->create([
+            'property_id' => $this->second->id,
+            'amount' => 400,
+            'expense_date' => '2026-02-15',
+        ]);
+
+        $trends = $this->service->getTrends($this->service->findProperties([$this->first->id, $this->second->id]));
+
+        $this->assertSame(array_keys(PropertyComparisonService::TREND_METRICS), array_keys($trends));
+        $this->assertCount(PropertyComparisonService::TREND_MONTHS, $trends['occupancy_rate']);
+
+        $february = collect($trends['occupancy_rate'])->firstWhere('month', '2026-02');
+        $this->assertEquals(92.5, $february[$this->first->id]);
+        $this->assertNull($february[$this->second->id]);
+
+        $utilities = collect($trends['utility_cost_per_unit'])->firstWhere('month', '2026-02');
+        $this->assertEquals(20.0, $utilities[$this->second->id]);
+        $this->assertSame('2026-03', end($trends['work_order_spend'])['month']);
+    }
+}
@@ -0,0 +1,192 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\Lease;
+use App\Models\LedgerTransaction;
+use App\Models\Person;
+use App\Models\Property;
+use App\Models\Unit;
+use App\Services\PropertyLedgerService;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class PropertyLedgerServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private PropertyLedgerService $service;
+
+    private Property $property;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $this->service = new PropertyLedgerService;
+        $this->property = Property::factory()->create(['name' => 'Maple Court', 'is_active' => true]);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    private function transaction(?Unit $unit, string $type, float $amount, string $date, ?string $category = null): LedgerTransaction
+    {
+        return LedgerTransaction::create([
+            'external_id' => uniqid('txn-'),
+            'property_id' => $this->property->id,
+            'unit_id' => $unit?->id,
+            'date' => $date,
+            'type' => $type,
+            'amount' => $amount,
+            'category' => $category,
+        ]);
+    }
+
+    private function unit(string $number): Unit
+    {
+        return Unit::factory()->create(['property_id' => $this->property->id, 'unit_number' => $number]);
+    }
+
+    // ==================== Ledger Tests ====================
+
+    public function test_ledger_lists_transactions_newest_first(): void
+    {
+        $unit = $this->unit('101');
+        $this->transaction($unit, 'charge', 1500, '2026-02-01', 'rent');
+        $this->transaction($unit, 'payment', 1500, '2026-02-05', 'rent');
+
+        $ledger = $this->service->getLedger($this->property);
+
+        $this->assertSame(2, $ledger->total());
+        $this->assertSame('2026-02-05', $ledger->items()[0]['date']);
+        $this->assertSame('101', $ledger->items()[0]['unit_number']);
+        $this->assertEquals(1500, $ledger->items()[0]['amount']);
+    }
+
+    public function test_ledger_filters_by_date_category_and_unit(): void
+    {
+        $first = $this->unit('101');
+        $second = $this->unit('102');
+        $this->transaction($first, 'charge', 1500, '2026-01-01', 'rent');
+        $this->transaction($first, 'charge', 50, '2026-02-06', 'late_fee');
+        $this->transaction($second, 'charge', 1400, '2026-02-01', 'rent');
+        LedgerTransaction::create([
+            'external_id' => 'other-property',
+            'property_id' => Property::factory()->create()->id,
+            'date' => '2026-02-01',
+            'type' => 'charge',
+            'amount' => 99,
+            'category' => 'rent',
+        ]);
+
+        $this->assertSame(3, $this->service->getLedger($this->property)->total());
+        $this->assertSame(2, $this->service->getLedger($this->property, ['start_date' => '2026-02-01'])->total());
+        $this->assertSame(1, $this->service->getLedger($this->property, ['end_date' => '2026-01-31'])->total());
+        $this->assertSame(2, $this->service->getLedger($this->property, ['category' => 'rent'])->total());
+        $this->assertSame(2, $this->service->getLedger($this->property, ['unit_id' => $first->id])->total());
+        $this->assertSame(3, $this->service->getLedger($this->property, ['start_date' => 'not-a-date'])->total());
+    }
+
+    public function test_filter_options_list_categories_and_units_in_the_ledger(): void
+    {
+        $unit = $this->unit('101');
+        $this->unit('102');
+        $this->transaction($unit, 'charge', 1500, '2026-02-01', 'rent');
+        $this->transaction($unit, 'charge', 50, '2026-02-06', 'late_fee');
+        $this->transaction(null, 'charge', 300, '2026-02-10');
+
+        $options = $this->service->getFilterOptions($this->property);
+
+        $this->assertSame(['late_fee', 'rent'], $options['categories']);
+        $this->assertSame(['101'], array_column($options['units'], 'unit_number'));
+    }
+
+    // ==================== Aging Tests ====================
+
+    public function test_payments_apply_to_the_oldest_charges_first(): void
+    {
+        $unit = $this->unit('101');
+        $this->transaction($unit, 'charge', 1000, '2025-11-01');
+        $this->transaction($unit, 'charge', 1000, '2026-01-01');
+        $this->transaction($unit, 'charge', 1000, '2026-02-01');
+        $this->transaction($unit, 'charge', 1000, '2026-03-01');
+        $this->transaction($unit, 'payment', 1500, '2026-03-05');
+
+        $aging = $this->service->getAging($this->property);
+        $row = $aging['rows'][0];
+
+        $this->assertEquals(1000, $row['days_0_30']);
+        $this->assertEquals(1000, $row['days_31_60']);
+        $this->assertEquals(500, $row['days_61_90']);
+        $this->assertEquals(0, $row['days_over_90']);
+        $this->assertEquals(2500, $row['total']);
+        $this->assertSame('2026-03-05', $row['last_payment_date']);
+        $this->assertEquals(2500, $aging['totals']['total']);
+    }
+
+    public function test_aging_skips_units_that_are_paid_up(): void
+    {
+        $paid = $this->unit('101');
+        $this->transaction($paid, 'charge', 1000, '2026-03-01');
+        $this->transaction($paid, 'payment', 1000, '2026-03-02');
+
+        $owing = $this->unit('102');
+        $this->transaction($owing, 'charge', 1000, '2025-10-01');
+
+        $rows = $this->service->getAging($this->property)['rows'];
+
+        $this->assertCount(1, $rows);
+        $this->assertSame('102', $rows[0]['unit_number']);
+        $this->assertEquals(1000, $rows[0]['days_over_90']);
+    }
+
+    public function test_aging_includes_the_current_tenant(): void
+    {
+        $unit = $this->unit('101');
+        $this->transaction($unit, 'charge', 1000, '2026-03-01');
+        Lease::create([
+            'external_id' => 'lease-1',
+            'unit_id' => $unit->id,
+            'person_id' => Person::create(['external_id' => 'person-1', 'name' => 'Jane Doe'])->id,
+            'start_date' => '2025-06-01',
+            'end_date' => '2026-05-31',
+            'rent' => 1000,
+        ]);
+
+        $this->assertSame('Jane Doe', $this->service->getAging($this->property)['rows'][0]['tenant_name']);
+    }
+
+    // ==================== Income vs. Expense Tests ====================
+
+    public function test_trend_compares_payments_with_property_level_charges_by_month(): void
+    {
+        $unit = $this->unit('101');
+        $this->transaction($unit, 'charge', 1500, '2026-02-01');
+        $this->transaction($unit, 'payment', 1500, '2026-02-03');
+        $this->transaction(null, 'charge', 400, '2026-02-15');
+        $this->transaction(null, 'charge', 200, '2026-03-10');
+        $this->transaction($unit, 'payment', 900, '2025-01-10');
+
+        $trend = $this->service->getIncomeExpenseTrend($this->property);
+
+        $this->assertCount(12, $trend);
+        $this->assertSame('2025-04', $trend[0]['month']);
+        $this->assertSame('2026-03', $trend[11]['month']);
+
+        $february = $trend[10];
+        $this->assertEquals(1500, $february['income']);
+        $this->assertEquals(400, $february['expense']);
+        $this->assertEquals(1100, $february['net']);
+        $this->assertEquals(-200, $trend[11]['net']);
+    }
+}
@@ -5,9 +5,13 @@ declare(strict_types=1);
 namespace Tests\Unit;
 
 use App\Models\Property;
+use App\Models\PropertyRollup;
 use App\Models\Unit;
+use App\Models\UtilityAccount;
+use App\Models\UtilityExpense;
 use App\Services\AdjustmentService;
 use App\Services\PropertyService;
+use Carbon\Carbon;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Tests\TestCase;
 
@@ -114,6 +118,90 @@ class PropertyServiceTest extends TestCase
         $this->assertEquals(50.0, $result->first()->occupancy_rate);
     }
 
+    public function test_get_filtered_properties_filters_by_map_bounds(): void
+    {
+        Property::factory()->create(['name' => 'Inside', 'latitude' => 37.78, 'longitude' => -122.41]);
+        Property::factory()->create(['name' => 'Outside', 'latitude' => 37.30, 'longitude' => -121.90]);
+        Property::factory()->create(['name' => 'Not Geocoded', 'latitude' => null, 'longitude' => null]);
+
+        $result = $this->service->getFilteredProperties(['bounds' => '37.70,-122.50,37.85,-122.35']);
+
+        $this->assertCount(1, $result);
+        $this->assertEquals('Inside', $result->first()->name);
+    }
+
+    public function test_get_filtered_properties_handles_bounds_across_the_antimeridian(): void
+    {
+        Property::factory()->create(['name' => 'West Side', 'latitude' => 10, 'longitude' => 179.5]);
+        Property::factory()->create(['name' => 'East Side', 'latitude' => 10, 'longitude' => -179.5]);
+        Property::factory()->create(['name' => 'Far Away', 'latitude' => 10, 'longitude' => 0]);
+
+        $result = $this->service->getFilteredProperties(['bounds' => '5,179,15,-179']);
+
+        $this->assertCount(2, $result);
+    }
+
+    public function test_get_filtered_properties_ignores_malformed_bounds(): void
+    {
+        Property::factory()->count(2)->create();
+
+        $this->assertCount(2, $this->service->getFilteredProperties(['bounds' => 'not,a,box']));
+        $this->assertCount(2, $this->service->getFilteredProperties(['bounds' => '50,0,40,10']));
+    }
+
+    // ==================== getMapMetrics Tests ====================
+
+    public function test_get_map_metrics_uses_the_latest_rollup_and_trailing_utility_costs(): void
+    {
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $property = Property::factory()->create(['unit_count' => 10]);
+        PropertyRollup::create([
+            'date' => '2026-03-18',
+            'property_id' => $property->id,
+            'delinquency_amount' => 900,
+            'open_work_orders' => 7,
+        ]);
+        PropertyRollup::create([
+            'date' => '2026-03-19',
+            'property_id' => $property->id,
+            'delinquency_amount' => 1200,
+            'open_work_orders' => 4,
+        ]);
+
+        $account = UtilityAccount::factory()->water()->create();
+        UtilityExpense::factory()->forAccount($account)->create([
+            'property_id' => $property->id,
+            'amount' => 5000,
+            'expense_date' => '2026-01-15',
+        ]);
+        UtilityExpense::factory()->forAccount($account)->create([
+            'property_id' => $property->id,
+            'amount' => 9999,
+            'expense_date' => '2024-01-15',
+        ]);
+
+        $properties = $this->service->getFilteredProperties([]);
+        $metrics = $this->service->getMapMetrics($properties->items())[$property->id];
+
+        $this->assertEquals(1200.0, $metrics['delinquency_amount']);
+        $this->assertSame(4, $metrics['open_work_orders']);
+        $this->assertEquals(500.0, $metrics['utility_cost_per_unit']);
+
+        Carbon::setTestNow();
+    }
+
+    public function test_get_map_metrics_returns_null_without_data(): void
+    {
+        $property = Property::factory()->create();
+
+        $metrics = $this->service->getMapMetrics($this->service->getFilteredProperties([])->items())[$property->id];
+
+        $this->assertNull($metrics['delinquency_amount']);
+        $this->assertNull($metrics['open_work_orders']);
+        $this->assertNull($metrics['utility_cost_per_unit']);
+    }
+
     // ==================== getPortfolios Tests ====================
 
     public function test_get_portfolios_returns_unique_sorted_values(): void
@@ -0,0 +1,198 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\Lease;
+use App\Models\Person;
+use App\Models\Property;
+use App\Models\Unit;
+use App\Services\RentRollService;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class RentRollServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private RentRollService $service;
+
+    private Property $property;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $this->service = new RentRollService;
+        $this->property = Property::factory()->create(['name' => 'Maple Court', 'is_active' => true]);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    private function unit(string $number, ?float $marketRent = 1500): Unit
+    {
+        return Unit::factory()->create([
+            'property_id' => $this->property->id,
+            'unit_number' => $number,
+            'market_rent' => $marketRent,
+        ]);
+    }
+
+    private function lease(Unit $unit, string $tenant, float $rent, string $start, ?string $end): Lease
+    {
+        $person = Person::create([
+            'external_id' => uniqid('person-'),
+            'name' => $tenant,
+            'email' => strtolower(str_replace(' ', '.', $tenant)).'@example.com',
+        ]);
+
+        return Lease::create([
+            'external_id' => uniqid('lease-'),
+            'unit_id' => $unit->id,
+            'person_id' => $person->id,
+            'start_date' => $start,
+            'end_date' => $end,
+            'rent' => $rent,
+            'security_deposit' => $rent,
+        ]);
+    }
+
+    // ==================== Row Tests ====================
+
+    public function test_rows_join_units_to_their_current_lease_and_tenant(): void
+    {
+        $unit = $this->unit('101', 1600);
+        $this->lease($unit, 'Old Tenant', 1300, '2024-01-01', '2025-12-31');
+        $this->lease($unit, 'Jane Doe', 1450, '2026-01-01', '2026-12-31');
+
+        $row = $this->service->getRentRoll($this->property)['rows'][0];
+
+        $this->assertSame('101', $row['unit_number']);
+        $this->assertSame('Jane Doe', $row['tenant_name']);
+        $this->assertSame('jane.doe@example.com', $row['tenant_email']);
+        $this->assertSame('2026-12-31', $row['lease_end']);
+        $this->assertEquals(1600, $row['market_rent']);
+        $this->assertEquals(1450, $row['rent']);
+        $this->assertEquals(150, $row['loss_to_lease']);
+        $this->assertSame(286, $row['days_to_expiration']);
+    }
+
+    public function test_units_without_a_current_lease_are_vacant(): void
+    {
+        $unit = $this->unit('101');
+        $this->lease($unit, 'Future Tenant', 1500, '2026-04-01', '2027-03-31');
+
+        $row = $this->service->getRentRoll($this->property)['rows'][0];
+
+        $this->assertNull($row['lease_id']);
+        $this->assertNull($row['tenant_name']);
+        $this->assertNull($row['rent']);
+        $this->assertNull($row['loss_to_lease']);
+    }
+
+    public function test_open_ended_leases_have_no_expiration(): void
+    {
+        $this->lease($this->unit('101'), 'Jane Doe', 1500, '2025-01-01', null);
+
+        $row = $this->service->getRentRoll($this->property)['rows'][0];
+
+        $this->assertNotNull($row['lease_id']);
+        $this->assertNull($row['days_to_expiration']);
+    }
+
+    public function test_inactive_units_are_excluded(): void
+    {
+        $this->unit('101');
+        Unit::factory()->create(['property_id' => $this->property->id, 'is_active' => false]);
+
+        $this->assertCount(1, $this->service->getRentRoll($this->property)['rows']);
+    }
+
+    // ==================== Summary Tests ====================
+
+    public function test_summary_totals_cover_every_unit_regardless_of_filter(): void
+    {
+        $this->lease($this->unit('101', 1600), 'Jane Doe', 1500, '2026-01-01', '2026-04-15');
+        $this->lease($this->unit('102', 1600), 'John Roe', 1650, '2025-06-01', '2026-05-31');
+        $this->unit('103', 1400);
+
+        $summary = $this->service->getRentRoll($this->property, ['filter' => 'vacant'])['summary'];
+
+        $this->assertSame(3, $summary['total_units']);
+        $this->assertSame(2, $summary['leased_units']);
+        $this->assertSame(1, $summary['vacant_units']);
+        $this->assertEquals(4600, $summary['total_market_rent']);
+        $this->assertEquals(3150, $summary['total_rent']);
+        $this->assertEquals(50, $summary['total_loss_to_lease']);
+        $this->assertSame(1, $summary['expiring_units']);
+    }
+
+    // ==================== Filter Tests ====================
+
+    public function test_filters_narrow_the_rows(): void
+    {
+        $this->lease($this->unit('101'), 'Jane Doe', 1500, '2026-01-01', '2026-04-15');
+        $this->lease($this->unit('102'), 'John Roe', 1500, '2025-06-01', '2026-12-31');
+        $this->lease($this->unit('103'), 'Ann Poe', 1500, '2025-06-01', null);
+        $this->unit('104');
+
+        $numbers = fn (array $filters) => array_column($this->service->getRentRoll($this->property, $filters)['rows'], 'unit_number');
+
+        $this->assertSame(['101', '102', '103'], $numbers(['filter' => 'leased']));
+        $this->assertSame(['104'], $numbers(['filter' => 'vacant']));
+        $this->assertSame(['101'], $numbers(['filter' => 'expiring']));
+        $this->assertSame(['103'], $numbers(['filter' => 'month_to_month']));
+        $this->assertSame(['102'], $numbers(['search' => 'roe']));
+        $this->assertSame(['104'], $numbers(['search' => '104']));
+    }
+
+    public function test_unknown_filter_and_sort_fall_back_to_defaults(): void
+    {
+        $this->unit('101');
+
+        $filters = $this->service->getRentRoll($this->property, [
+            'filter' => 'bogus',
+            'sort' => 'password',
+            'direction' => 'sideways',
+        ])['filters'];
+
+        $this->assertSame('all', $filters['filter']);
+        $this->assertSame('unit_number', $filters['sort']);
+        $this->assertSame('asc', $filters['direction']);
+    }
+
+    // ==================== Sort Tests ====================
+
+    public function test_unit_numbers_sort_naturally(): void
+    {
+        $this->unit('10');
+        $this->unit('2');
+        $this->unit('1');
+
+        $rows = $this->service->getRentRoll($this->property)['rows'];
+
+        $this->assertSame(['1', '2', '10'], array_column($rows, 'unit_number'));
+    }
+
+    public function test_sorting_keeps_empty_values_last_in_both_directions(): void
+    {
+        $this->lease($this->unit('101', 1600), 'Jane Doe', 1500, '2026-01-01', '2026-12-31');
+        $this->lease($this->unit('102', 1600), 'John Roe', 1200, '2026-01-01', '2026-12-31');
+        $this->unit('103', 1600);
+
+        $ascending = $this->service->getRentRoll($this->property, ['sort' => 'loss_to_lease'])['rows'];
+        $descending = $this->service->getRentRoll($this->property, ['sort' => 'loss_to_lease', 'direction' => 'desc'])['rows'];
+
+        $this->assertSame(['101', '102', '103'], array_column($ascending, 'unit_number'));
+        $this->assertSame(['102', '101', '103'], array_column($descending, 'unit_number'));
+    }
+}
@@ -0,0 +1,178 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\Lease;
+use App\Models\LedgerTransaction;
+use App\Models\Person;
+use App\Models\Property;
+use App\Models\Unit;
+use App\Models\Vendor;
+use App\Models\WorkOrder;
+use App\Services\UnitDetailService;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class UnitDetailServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private UnitDetailService $service;
+
+    private Property $property;
+
+    private Unit $unit;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $this->service = new UnitDetailService;
+        $this->property = Property::factory()->create();
+        $this->unit = Unit::factory()->create([
+            'property_id' => $this->property->id,
+            'unit_number' => '101',
+            'market_rent' => 1500,
+        ]);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    private function lease(string $start, ?string $end, string $tenant): Lease
+    {
+        $person = Person::create(['external_id' => uniqid('person-'), 'name' => $tenant]);
+
+        return Lease::create([
+            'external_id' => uniqid('lease-'),
+            'unit_id' => $this->unit->id,
+            'person_id' => $person->id,
+            'start_date' => $start,
+            'end_date' => $end,
+            'rent' => 1450,
+        ]);
+    }
+
+    private function transaction(string $type, float $amount, string $date): LedgerTransaction
+    {
+        return LedgerTransaction::create([
+            'external_id' => uniqid('txn-'),
+            'property_id' => $this->property->id,
+            'unit_id' => $this->unit->id,
+            'date' => $date,
+            'type' => $type,
+            'amount' => $amount,
+            'category' => $type === 'charge' ? 'rent' : null,
+        ]);
+    }
+
+    // ==================== Attribute Tests ====================
+
+    public function test_detail_includes_unit_attributes(): void
+    {
+        $detail = $this->service->getDetail($this->unit);
+
+        $this->assertSame('101', $detail['unit']['unit_number']);
+        $this->assertEquals(1500.0, $detail['unit']['market_rent']);
+    }
+
+    // ==================== Lease History Tests ====================
+
+    public function test_lease_history_is_newest_first_and_labels_timing(): void
+    {
+        $this->lease('2024-03-01', '2025-02-28', 'Past Tenant');
+        $this->lease('2025-03-01', '2026-02-28', 'Expired Tenant');
+        $this->lease('2026-03-01', null, 'Current Tenant');
+        $this->lease('2026-06-01', '2027-05-31', 'Future Tenant');
+
+        $leases = $this->service->getDetail($this->unit)['leases'];
+
+        $this->assertSame(
+            ['Future Tenant', 'Current Tenant', 'Expired Tenant', 'Past Tenant'],
+            array_column($leases, 'tenant_name')
+        );
+        $this->assertSame(['future', 'current', 'past', 'past'], array_column($leases, 'timing'));
+    }
+
+    public function test_only_the_latest_overlapping_lease_is_current(): void
+    {
+        $this->lease('2025-06-01', '2026-05-31', 'Earlier Tenant');
+        $this->lease('2026-01-01', '2026-12-31', 'Later Tenant');
+
+        $leases = $this->service->getDetail($this->unit)['leases'];
+
+        $this->assertSame(['current', 'past'], array_column($leases, 'timing'));
+    }
+
+    // ==================== Work Order Tests ====================
+
+    public function test_work_orders_include_vendor_cost_and_totals(): void
+    {
+        $vendor = Vendor::factory()->create(['company_name' => 'Acme Plumbing']);
+
+        WorkOrder::factory()->forProperty($this->property)->create([
+            'unit_id' => $this->unit->id,
+            'vendor_id' => $vendor->id,
+            'opened_at' => '2026-03-10',
+            'status' => 'open',
+            'amount' => 250,
+        ]);
+        WorkOrder::factory()->forProperty($this->property)->create([
+            'unit_id' => $this->unit->id,
+            'opened_at' => '2026-01-05',
+            'closed_at' => '2026-01-08',
+            'status' => 'completed',
+            'amount' => 100,
+            'vendor_name' => 'Handyman Joe',
+        ]);
+        WorkOrder::factory()->forProperty($this->property)->create(['opened_at' => '2026-03-01']);
+
+        $workOrders = $this->service->getDetail($this->unit)['work_orders'];
+
+        $this->assertSame(2, $workOrders['total']);
+        $this->assertSame(1, $workOrders['open']);
+        $this->assertEquals(350.0, $workOrders['total_cost']);
+        $this->assertSame('Acme Plumbing', $workOrders['items'][0]['vendor_name']);
+        $this->assertSame(10, $workOrders['items'][0]['days_open']);
+        $this->assertSame('Handyman Joe', $workOrders['items'][1]['vendor_name']);
+        $this->assertSame(3, $workOrders['items'][1]['days_open']);
+    }
+
+    // ==================== Ledger Tests ====================
+
+    public function test_ledger_balance_is_charges_minus_payments(): void
+    {
+        $this->transaction('charge', 1450, '2026-02-01');
+        $this->transaction('payment', 1450, '2026-02-03');
+        $this->transaction('charge', 1450, '2026-03-01');
+        $this->transaction('payment', 400, '2026-03-05');
+        $this->transaction('charge', 1450, '2026-04-01');
+
+        $ledger = $this->service->getDetail($this->unit)['ledger'];
+
+        $this->assertEquals(1050.0, $ledger['balance']);
+        $this->assertEquals(2900.0, $ledger['charges']);
+        $this->assertEquals(1850.0, $ledger['payments']);
+        $this->assertSame('2026-03-05', $ledger['last_payment_date']);
+        $this->assertCount(4, $ledger['recent']);
+        $this->assertSame('2026-03-05', $ledger['recent'][0]['date']);
+    }
+
+    public function test_ledger_is_empty_without_transactions(): void
+    {
+        $ledger = $this->service->getDetail($this->unit)['ledger'];
+
+        $this->assertEquals(0.0, $ledger['balance']);
+        $this->assertNull($ledger['last_payment_date']);
+        $this->assertSame([], $ledger['recent']);
+    }
+}
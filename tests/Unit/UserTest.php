@@ -205,4 +205,26 @@ class UserTest extends TestCase
         $this->assertCount(1, $results);
         $this->assertEquals($passwordUser->id, $results->first()->id);
     }
+
+    // ==================== Preference Tests ====================
+
+    public function test_get_preference_returns_default_when_unset(): void
+    {
+        $user = User::factory()->create();
+
+        $this->assertNull($user->getPreference('dashboard_scope'));
+        $this->assertEquals([], $user->getPreference('dashboard_scope', []));
+    }
+
+    public function test_set_preference_persists_nested_values(): void
+    {
+        $user = User::factory()->create();
+
+        $user->setPreference('dashboard_scope.portfolios', ['Owner A']);
+        $user->setPreference('dashboard_layout', [['key' => 'sync_health', 'size' => 4]]);
+
+        $fresh = $user->fresh();
+        $this->assertEquals(['Owner A'], $fresh->getPreference('dashboard_scope.portfolios'));
+        $this->assertEquals([['key' => 'sync_health', 'size' => 4]], $fresh->getPreference('dashboard_layout'));
+    }
 }
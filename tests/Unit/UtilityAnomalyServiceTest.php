@@ -0,0 +1,279 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\Property;
+use App\Models\User;
+use App\Models\UtilityAccount;
+use App\Models\UtilityAnomaly;
+use App\Models\UtilityAnomalySetting;
+use App\Models\UtilityExpense;
+use App\Models\UtilityNote;
+use App\Models\UtilityType;
+use App\Services\AdjustmentService;
+use App\Services\UtilityAnalyticsService;
+use App\Services\UtilityAnomalyService;
+use App\Services\WeatherNormalizationService;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class UtilityAnomalyServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private UtilityAnomalyService $service;
+
+    /**
+     * @var array<int, Property>
+     */
+    private array $properties = [];
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $analyticsService = new UtilityAnalyticsService(new AdjustmentService);
+        $this->service = new UtilityAnomalyService(new WeatherNormalizationService($analyticsService), $analyticsService);
+
+        $electricAccount = UtilityAccount::factory()->electric()->create();
+
+        // Last property is an outlier
+        foreach ([100, 105, 95, 102, 98, 500] as $cost) {
+            $property = Property::factory()->create(['unit_count' => 10, 'is_active' => true]);
+            $this->properties[] = $property;
+
+            UtilityExpense::factory()->forAccount($electricAccount)->create([
+                'property_id' => $property->id,
+                'amount' => $cost,
+                'expense_date' => '2026-02-10',
+            ]);
+        }
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    // ==================== recordAnomalies Tests ====================
+
+    public function test_anomalies_are_recorded_for_the_month(): void
+    {
+        $created = $this->service->recordAnomalies(Carbon::parse('2026-02-15'));
+
+        $this->assertSame(1, $created);
+
+        $anomaly = UtilityAnomaly::sole();
+        $this->assertSame($this->properties[5]->id, $anomaly->property_id);
+        $this->assertSame(UtilityType::getIdByKey('electric'), $anomaly->utility_type_id);
+        $this->assertSame('2026-02-01', $anomaly->period_start->toDateString());
+        $this->assertSame('high', $anomaly->direction);
+        $this->assertEquals(50.0, (float) $anomaly->value);
+        $this->assertTrue($anomaly->detected_at->equalTo(now()));
+    }
+
+    public function test_rerunning_a_month_keeps_the_first_detection_time(): void
+    {
+        $this->service->recordAnomalies(Carbon::parse('2026-02-15'));
+
+        Carbon::setTestNow('2026-03-21 03:30:00');
+        $created = $this->service->recordAnomalies(Carbon::parse('2026-02-01'));
+
+        $this->assertSame(0, $created);
+        $this->assertSame(1, UtilityAnomaly::count());
+        $this->assertSame('2026-03-20 12:00:00', UtilityAnomaly::sole()->detected_at->toDateTimeString());
+    }
+
+    public function test_months_without_outliers_record_nothing(): void
+    {
+        $this->assertSame(0, $this->service->recordAnomalies(Carbon::parse('2026-01-15')));
+        $this->assertSame(0, UtilityAnomaly::count());
+    }
+
+    // ==================== Settings Tests ====================
+
+    public function test_minimum_dollar_impact_skips_small_anomalies(): void
+    {
+        $this->createSettings(['min_dollar_impact' => 500]);
+
+        $this->assertSame(0, $this->service->recordAnomalies(Carbon::parse('2026-02-15')));
+
+        $this->createSettings(['min_dollar_impact' => 300]);
+
+        $this->assertSame(1, $this->service->recordAnomalies(Carbon::parse('2026-02-15')));
+        $this->assertEquals(333.3, (float) UtilityAnomaly::sole()->dollar_impact);
+    }
+
+    public function test_rolling_average_flags_costs_over_recent_months(): void
+    {
+        $electricAccount = UtilityAccount::where('utility_type_id', UtilityType::getIdByKey('electric'))->firstOrFail();
+
+        // Property 1 usually spends $50; February's $105 is 110% over
+        foreach (['2025-12-10', '2026-01-10'] as $date) {
+            UtilityExpense::factory()->forAccount($electricAccount)->create([
+                'property_id' => $this->properties[1]->id,
+                'amount' => 50,
+                'expense_date' => $date,
+            ]);
+            UtilityExpense::factory()->forAccount($electricAccount)->create([
+                'property_id' => $this->properties[2]->id,
+                'amount' => 90,
+                'expense_date' => $date,
+            ]);
+        }
+
+        $this->createSettings(['z_score_threshold' => null, 'percent_over_average' => 50, 'rolling_months' => 3]);
+
+        $this->assertSame(1, $this->service->recordAnomalies(Carbon::parse('2026-02-15')));
+
+        $anomaly = UtilityAnomaly::sole();
+        $this->assertSame($this->properties[1]->id, $anomaly->property_id);
+        $this->assertSame([UtilityAnomaly::RULE_ROLLING_AVERAGE], $anomaly->rules);
+        $this->assertSame('high', $anomaly->direction);
+        $this->assertNull($anomaly->deviation);
+        $this->assertEquals(105.0, (float) $anomaly->cost);
+        $this->assertEquals(50.0, (float) $anomaly->baseline_cost);
+        $this->assertEquals(110.0, (float) $anomaly->percent_over_baseline);
+        $this->assertEquals(55.0, (float) $anomaly->dollar_impact);
+    }
+
+    public function test_disabling_a_type_clears_its_open_anomalies(): void
+    {
+        $this->service->recordAnomalies(Carbon::parse('2026-02-15'));
+        $this->assertSame(1, UtilityAnomaly::open()->count());
+
+        Carbon::setTestNow('2026-03-21 03:30:00');
+        $this->createSettings(['is_enabled' => false]);
+        $this->service->recordAnomalies(Carbon::parse('2026-02-15'));
+
+        $anomaly = UtilityAnomaly::sole();
+        $this->assertSame(UtilityAnomaly::STATUS_CLEARED, $anomaly->status);
+        $this->assertNull($anomaly->resolved_by);
+        $this->assertSame('2026-03-21 03:30:00', $anomaly->resolved_at->toDateTimeString());
+        $this->assertSame('2026-03-20 12:00:00', $anomaly->detected_at->toDateTimeString());
+        $this->assertSame([], $this->service->getOpenAnomalies());
+        $this->assertSame(1, $this->service->getHistory('resolved')->total());
+    }
+
+    public function test_cleared_anomalies_reopen_when_flagged_again(): void
+    {
+        $this->service->recordAnomalies(Carbon::parse('2026-02-15'));
+
+        $this->createSettings(['is_enabled' => false]);
+        $this->service->recordAnomalies(Carbon::parse('2026-02-15'));
+        $this->assertSame(UtilityAnomaly::STATUS_CLEARED, UtilityAnomaly::sole()->status);
+
+        $this->createSettings(['is_enabled' => true]);
+        $created = $this->service->recordAnomalies(Carbon::parse('2026-02-15'));
+
+        $anomaly = UtilityAnomaly::sole();
+        $this->assertSame(0, $created);
+        $this->assertSame(UtilityAnomaly::STATUS_OPEN, $anomaly->status);
+        $this->assertNull($anomaly->resolved_at);
+        $this->assertSame('2026-03-20 12:00:00', $anomaly->detected_at->toDateTimeString());
+    }
+
+    public function test_resolved_anomalies_are_kept_when_no_longer_flagged(): void
+    {
+        $this->service->recordAnomalies(Carbon::parse('2026-02-15'));
+        $this->service->dismiss(UtilityAnomaly::sole(), User::factory()->create(), 'Meter replaced');
+
+        $this->createSettings(['is_enabled' => false]);
+        $this->service->recordAnomalies(Carbon::parse('2026-02-15'));
+
+        $this->assertSame(UtilityAnomaly::STATUS_DISMISSED, UtilityAnomaly::sole()->status);
+    }
+
+    public function test_rerunning_a_month_keeps_the_resolution(): void
+    {
+        $this->service->recordAnomalies(Carbon::parse('2026-02-15'));
+        $this->service->acknowledge(UtilityAnomaly::sole(), User::factory()->create());
+
+        $this->service->recordAnomalies(Carbon::parse('2026-02-15'));
+
+        $this->assertSame(UtilityAnomaly::STATUS_ACKNOWLEDGED, UtilityAnomaly::sole()->status);
+        $this->assertSame([], $this->service->getOpenAnomalies());
+    }
+
+    // ==================== Resolution Tests ====================
+
+    public function test_acknowledge_and_reopen(): void
+    {
+        $user = User::factory()->create();
+        $this->service->recordAnomalies(Carbon::parse('2026-02-15'));
+        $anomaly = UtilityAnomaly::sole();
+
+        $this->service->acknowledge($anomaly, $user);
+
+        $anomaly->refresh();
+        $this->assertTrue($anomaly->isResolved());
+        $this->assertSame($user->id, $anomaly->resolved_by);
+        $this->assertTrue($anomaly->resolved_at->equalTo(now()));
+
+        $this->service->reopen($anomaly);
+
+        $anomaly->refresh();
+        $this->assertSame(UtilityAnomaly::STATUS_OPEN, $anomaly->status);
+        $this->assertNull($anomaly->resolved_by);
+        $this->assertNull($anomaly->resolved_at);
+    }
+
+    public function test_dismissed_anomalies_appear_in_resolved_history(): void
+    {
+        $user = User::factory()->create(['name' => 'Dana Reviewer']);
+        $this->service->recordAnomalies(Carbon::parse('2026-02-15'));
+
+        $this->service->dismiss(UtilityAnomaly::sole(), $user, 'One-time leak repair');
+
+        $this->assertSame(0, $this->service->getHistory('open')->total());
+
+        $history = $this->service->getHistory('resolved', 'electric');
+        $this->assertSame(1, $history->total());
+        $this->assertSame('dismissed', $history->items()[0]['status']);
+        $this->assertSame('One-time leak repair', $history->items()[0]['dismissal_reason']);
+        $this->assertSame('Dana Reviewer', $history->items()[0]['resolved_by']);
+
+        $this->assertSame(0, $this->service->getHistory('resolved', 'gas')->total());
+    }
+
+    public function test_link_note_updates_the_property_note_for_the_type(): void
+    {
+        $user = User::factory()->create();
+        $this->service->recordAnomalies(Carbon::parse('2026-02-15'));
+        $anomaly = UtilityAnomaly::sole();
+
+        $existing = UtilityNote::create([
+            'property_id' => $anomaly->property_id,
+            'utility_type_id' => $anomaly->utility_type_id,
+            'note' => 'Old note',
+            'created_by' => $user->id,
+        ]);
+
+        $this->assertFalse($this->service->getOpenAnomalies()[0]['note']['linked']);
+
+        $note = $this->service->linkNote($anomaly, $user, 'Tenant running space heaters');
+
+        $this->assertSame($existing->id, $note->id);
+        $this->assertSame(1, UtilityNote::count());
+        $this->assertSame($note->id, $anomaly->fresh()->utility_note_id);
+
+        $formatted = $this->service->getOpenAnomalies()[0]['note'];
+        $this->assertTrue($formatted['linked']);
+        $this->assertSame('Tenant running space heaters', $formatted['note']);
+    }
+
+    private function createSettings(array $attributes): UtilityAnomalySetting
+    {
+        return UtilityAnomalySetting::updateOrCreate(
+            ['utility_type_id' => UtilityType::getIdByKey('electric')],
+            $attributes
+        );
+    }
+}
@@ -0,0 +1,218 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\Property;
+use App\Models\PropertyUtilityExclusion;
+use App\Models\UtilityAccount;
+use App\Models\UtilityBudget;
+use App\Models\UtilityExpense;
+use App\Models\UtilityType;
+use App\Services\AdjustmentService;
+use App\Services\UtilityAnalyticsService;
+use App\Services\UtilityBudgetService;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class UtilityBudgetServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private UtilityBudgetService $service;
+
+    private Property $property;
+
+    private UtilityAccount $electricAccount;
+
+    private string $electricTypeId;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        // January and February are closed; March is still in progress
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $this->service = new UtilityBudgetService(new UtilityAnalyticsService(new AdjustmentService));
+        $this->property = Property::factory()->create([
+            'external_id' => 'P-100',
+            'name' => 'Cedar Point',
+            'is_active' => true,
+        ]);
+        $this->electricAccount = UtilityAccount::factory()->electric()->create();
+        $this->electricTypeId = UtilityType::getIdByKey('electric');
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    private function spend(Property $property, float $amount, string $date): void
+    {
+        UtilityExpense::factory()->forAccount($this->electricAccount)->create([
+            'property_id' => $property->id,
+            'amount' => $amount,
+            'expense_date' => $date,
+        ]);
+    }
+
+    // ==================== Budget Entry Tests ====================
+
+    public function test_annual_amount_is_split_evenly_with_the_remainder_in_december(): void
+    {
+        $months = $this->service->splitAnnualAmount(1000);
+
+        $this->assertCount(12, $months);
+        $this->assertSame(83.33, $months[1]);
+        $this->assertSame(83.37, $months[12]);
+        $this->assertEqualsWithDelta(1000, array_sum($months), 0.001);
+    }
+
+    public function test_saving_a_budget_replaces_the_existing_months(): void
+    {
+        $this->service->saveBudget($this->property->id, $this->electricTypeId, 2026, $this->service->splitAnnualAmount(1200));
+        $this->service->saveBudget($this->property->id, $this->electricTypeId, 2026, [1 => 500, 7 => 700]);
+
+        $budgets = UtilityBudget::orderBy('month')->pluck('amount', 'month');
+
+        $this->assertCount(12, $budgets);
+        $this->assertEquals(500, $budgets[1]);
+        $this->assertEquals(0, $budgets[2]);
+        $this->assertEquals(700, $budgets[7]);
+    }
+
+    // ==================== Budget vs. Actual Tests ====================
+
+    public function test_budget_is_compared_with_spend_in_closed_months(): void
+    {
+        $this->service->saveBudget($this->property->id, $this->electricTypeId, 2026, $this->service->splitAnnualAmount(1200));
+        $this->spend($this->property, 150, '2026-01-15');
+        $this->spend($this->property, 150, '2026-02-15');
+        $this->spend($this->property, 500, '2026-03-05'); // Current month isn't counted yet
+
+        $figures = $this->service->getBudgetVsActual([$this->property->id], 'electric')[$this->property->id];
+
+        $this->assertSame(2, $figures['closed_months']);
+        $this->assertEquals(1200, $figures['annual_budget']);
+        $this->assertEquals(200, $figures['budget_ytd']);
+        $this->assertEquals(300, $figures['actual_ytd']);
+        $this->assertEquals(100, $figures['variance_ytd']);
+        $this->assertEquals(50.0, $figures['variance_ytd_percent']);
+
+        // Running 50% over budget: 300 spent plus the remaining 1,000 budget at the same pace
+        $this->assertEquals(1800, $figures['forecast']);
+        $this->assertEquals(50.0, $figures['forecast_variance_percent']);
+    }
+
+    public function test_forecast_is_the_budget_before_any_month_closes(): void
+    {
+        $this->service->saveBudget($this->property->id, $this->electricTypeId, 2026, $this->service->splitAnnualAmount(1200));
+        $this->spend($this->property, 400, '2026-01-10');
+
+        $figures = $this->service->getBudgetVsActual([$this->property->id], 'electric', Carbon::parse('2026-01-20'))[$this->property->id];
+
+        $this->assertEquals(0, $figures['budget_ytd']);
+        $this->assertEquals(0, $figures['actual_ytd']);
+        $this->assertEquals(1200, $figures['forecast']);
+        $this->assertNull($figures['variance_ytd_percent']);
+    }
+
+    public function test_properties_without_a_budget_are_left_out(): void
+    {
+        $other = Property::factory()->create();
+        $this->service->saveBudget($this->property->id, $this->electricTypeId, 2025, $this->service->splitAnnualAmount(1200));
+
+        $this->assertSame([], $this->service->getBudgetVsActual([$this->property->id, $other->id], 'electric'));
+    }
+
+    public function test_portfolio_summary_compares_the_period_budget_with_budgeted_properties_only(): void
+    {
+        $unbudgeted = Property::factory()->create(['is_active' => true]);
+        $this->service->saveBudget($this->property->id, $this->electricTypeId, 2026, $this->service->splitAnnualAmount(1200));
+        $this->spend($this->property, 150, '2026-03-05');
+        $this->spend($unbudgeted, 900, '2026-03-05');
+
+        $summary = $this->service->getPortfolioBudgetSummary(['electric', 'water'], ['type' => 'month', 'date' => now()]);
+
+        $this->assertEquals(100, $summary['electric']['budget']);
+        $this->assertEquals(150, $summary['electric']['budget_actual']);
+        $this->assertEquals(50.0, $summary['electric']['budget_variance_percent']);
+        $this->assertEquals(1200, $summary['electric']['annual_budget']);
+        $this->assertSame(1, $summary['electric']['budgeted_property_count']);
+        $this->assertNull($summary['water']['budget']);
+        $this->assertNull($summary['water']['forecast']);
+    }
+
+    // ==================== Over Budget Alert Tests ====================
+
+    public function test_properties_forecast_over_budget_are_flagged(): void
+    {
+        $onBudget = Property::factory()->create(['is_active' => true]);
+        $excluded = Property::factory()->create(['is_active' => true]);
+        PropertyUtilityExclusion::create(['property_id' => $excluded->id, 'utility_type_id' => $this->electricTypeId]);
+
+        foreach ([$this->property, $onBudget, $excluded] as $property) {
+            $this->service->saveBudget($property->id, $this->electricTypeId, 2026, $this->service->splitAnnualAmount(1200));
+        }
+        $this->spend($this->property, 300, '2026-02-10');
+        $this->spend($onBudget, 200, '2026-02-10');
+        $this->spend($excluded, 900, '2026-02-10');
+
+        $alerts = $this->service->getOverBudgetAlerts(UtilityType::ordered()->get());
+
+        $this->assertCount(1, $alerts);
+        $this->assertSame($this->property->id, $alerts[0]['property_id']);
+        $this->assertSame('Cedar Point', $alerts[0]['property_name']);
+        $this->assertSame('over_budget', $alerts[0]['type']);
+        $this->assertSame('electric', $alerts[0]['utility_type']);
+        $this->assertEquals(1800, $alerts[0]['forecast']);
+        $this->assertEquals(50.0, $alerts[0]['variance_percent']);
+    }
+
+    // ==================== Import Tests ====================
+
+    public function test_csv_rows_are_imported_and_bad_rows_reported(): void
+    {
+        $other = Property::factory()->create(['name' => 'Birch Commons']);
+        $path = tempnam(sys_get_temp_dir(), 'budgets');
+        file_put_contents($path, implode("\n", [
+            "\u{FEFF}Property,Utility_Type,Year,Annual,".implode(',', UtilityBudgetService::MONTH_COLUMNS),
+            'P-100,electric,2026,"$1,200.00",,,,,,,,,,,,',
+            'birch commons,Water,2026,,100,100,100,100,200,200,200,200,100,100,100,100',
+            'Nowhere,electric,2026,500,,,,,,,,,,,,',
+            'P-100,gas,2026,lots,,,,,,,,,,,,',
+            '',
+        ]));
+
+        $result = $this->service->importCsv($path);
+        unlink($path);
+
+        $this->assertSame(2, $result['imported']);
+        $this->assertSame([
+            'Line 4: unknown property "Nowhere".',
+            'Line 5: the annual amount must be a number of zero or more.',
+        ], $result['errors']);
+
+        $this->assertEquals(1200, UtilityBudget::where('property_id', $this->property->id)->sum('amount'));
+        $this->assertEquals(200, UtilityBudget::where('property_id', $other->id)->where('month', 6)->value('amount'));
+    }
+
+    public function test_csv_without_required_columns_is_rejected(): void
+    {
+        $path = tempnam(sys_get_temp_dir(), 'budgets');
+        file_put_contents($path, "property,year,annual\nP-100,2026,1200\n");
+
+        $result = $this->service->importCsv($path);
+        unlink($path);
+
+        $this->assertSame(0, $result['imported']);
+        $this->assertSame(['Missing required columns: utility_type.'], $result['errors']);
+        $this->assertSame(0, UtilityBudget::count());
+    }
+}
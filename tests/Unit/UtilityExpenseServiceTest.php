@@ -6,8 +6,10 @@ namespace Tests\Unit;
 
 use App\Models\Property;
 use App\Models\UtilityAccount;
+use App\Models\UtilityExpense;
 use App\Models\UtilityType;
 use App\Services\UtilityExpenseService;
+use App\Services\UtilityUsageService;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Tests\TestCase;
 
@@ -30,7 +32,7 @@ class UtilityExpenseServiceTest extends TestCase
     protected function setUp(): void
     {
         parent::setUp();
-        $this->service = new UtilityExpenseService;
+        $this->service = new UtilityExpenseService(new UtilityUsageService);
 
         // Get utility types (seeded by migration)
         $this->waterType = UtilityType::where('key', 'water')->firstOrFail();
@@ -264,4 +266,58 @@ class UtilityExpenseServiceTest extends TestCase
         $this->assertEquals('2024-12-15', $expense->period_start->format('Y-m-d'));
         $this->assertEquals('2025-01-15', $expense->period_end->format('Y-m-d'));
     }
+
+    public function test_reads_usage_from_the_description(): void
+    {
+        Property::factory()->create(['external_id' => '12345']);
+        UtilityAccount::factory()->forUtilityType($this->electricType)->create([
+            'gl_account_number' => '6220',
+            'is_active' => true,
+        ]);
+
+        $this->service->processExpenses([
+            [
+                'property_id' => '12345',
+                'expense_account_number' => '6220',
+                'amount' => '$412.50',
+                'bill_date' => '2025-01-15',
+                'description' => 'Electric 12/10-1/10 2,450 kWh',
+            ],
+        ]);
+
+        $expense = UtilityExpense::sole();
+        $this->assertEquals(2450, $expense->usage_quantity);
+        $this->assertSame('kwh', $expense->usage_unit);
+        $this->assertSame(UtilityExpense::USAGE_SOURCE_PARSED, $expense->usage_source);
+    }
+
+    public function test_sync_keeps_manually_entered_usage(): void
+    {
+        Property::factory()->create(['external_id' => '12345']);
+        UtilityAccount::factory()->forUtilityType($this->gasType)->create([
+            'gl_account_number' => '6230',
+            'is_active' => true,
+        ]);
+
+        $expense = [
+            'property_id' => '12345',
+            'expense_account_number' => '6230',
+            'amount' => '90.00',
+            'bill_date' => '2025-01-15',
+            'description' => 'Gas service 80 therms',
+        ];
+        $this->service->processExpenses([$expense]);
+
+        UtilityExpense::query()->update([
+            'usage_quantity' => 85,
+            'usage_unit' => 'therms',
+            'usage_source' => UtilityExpense::USAGE_SOURCE_MANUAL,
+        ]);
+
+        $this->service->processExpenses([$expense]);
+
+        $utilityExpense = UtilityExpense::sole();
+        $this->assertEquals(85, $utilityExpense->usage_quantity);
+        $this->assertSame(UtilityExpense::USAGE_SOURCE_MANUAL, $utilityExpense->usage_source);
+    }
 }
@@ -0,0 +1,190 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\User;
+use App\Services\UtilityTableLayoutService;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class UtilityTableLayoutServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private UtilityTableLayoutService $service;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->service = new UtilityTableLayoutService;
+    }
+
+    // ==================== getLayout Tests ====================
+
+    public function test_get_layout_returns_default_for_new_user(): void
+    {
+        $user = User::factory()->create();
+
+        $layout = $this->service->getLayout($user, 'data');
+
+        $this->assertEquals($this->service->getDefaultLayout(), $layout);
+        $this->assertCount(count(UtilityTableLayoutService::COLUMNS), $layout['columns']);
+        $this->assertEquals(UtilityTableLayoutService::DEFAULT_SORT, $layout['sort']);
+        $this->assertEquals([], $layout['pinned']);
+    }
+
+    public function test_get_layout_returns_saved_layout(): void
+    {
+        $user = User::factory()->create();
+        $saved = $this->service->getDefaultLayout();
+        $saved['columns'][1]['visible'] = false;
+        $saved['sort'] = [['key' => 'current_month', 'direction' => 'desc']];
+        $saved['pinned'] = ['prop-1'];
+        $user->setPreference(UtilityTableLayoutService::PREFERENCE_KEY.'.data', $saved);
+
+        $this->assertEquals($saved, $this->service->getLayout($user->fresh(), 'data'));
+    }
+
+    public function test_layouts_are_stored_per_table(): void
+    {
+        $user = User::factory()->create();
+        $this->service->saveLayout($user, 'excluded', [
+            'columns' => [],
+            'sort' => [['key' => 'unit_count', 'direction' => 'desc']],
+            'pinned' => [],
+        ]);
+
+        $user = $user->fresh();
+
+        $this->assertEquals(UtilityTableLayoutService::DEFAULT_SORT, $this->service->getLayout($user, 'data')['sort']);
+        $this->assertEquals(
+            [['key' => 'unit_count', 'direction' => 'desc']],
+            $this->service->getLayout($user, 'excluded')['sort']
+        );
+    }
+
+    // ==================== Sanitize Tests ====================
+
+    public function test_unknown_and_duplicate_columns_are_dropped_and_missing_columns_appended(): void
+    {
+        $user = User::factory()->create();
+
+        $layout = $this->service->saveLayout($user, 'data', [
+            'columns' => [
+                ['key' => 'retired_column', 'visible' => true],
+                ['key' => 'current_month', 'visible' => false],
+                ['key' => 'current_month', 'visible' => true],
+                'not-an-array',
+            ],
+            'sort' => [],
+            'pinned' => [],
+        ]);
+
+        $keys = array_column($layout['columns'], 'key');
+
+        $this->assertEquals('property_name', $keys[0]);
+        $this->assertEquals('current_month', $keys[1]);
+        $this->assertFalse($layout['columns'][1]['visible']);
+        $this->assertNotContains('retired_column', $keys);
+        $this->assertCount(count(UtilityTableLayoutService::COLUMNS), $keys);
+        $this->assertEqualsCanonicalizing(UtilityTableLayoutService::COLUMNS, $keys);
+        $this->assertTrue($layout['columns'][2]['visible']);
+    }
+
+    public function test_locked_column_stays_first_and_visible(): void
+    {
+        $user = User::factory()->create();
+
+        $layout = $this->service->saveLayout($user, 'data', [
+            'columns' => [
+                ['key' => 'unit_count', 'visible' => true],
+                ['key' => 'property_name', 'visible' => false],
+            ],
+            'sort' => [],
+            'pinned' => [],
+        ]);
+
+        $this->assertEquals(['key' => 'property_name', 'visible' => true], $layout['columns'][0]);
+        $this->assertEquals('unit_count', $layout['columns'][1]['key']);
+    }
+
+    public function test_sort_drops_invalid_entries_and_caps_columns(): void
+    {
+        $user = User::factory()->create();
+
+        $layout = $this->service->saveLayout($user, 'data', [
+            'columns' => [],
+            'sort' => [
+                ['key' => 'note', 'direction' => 'asc'],
+                ['key' => 'retired_column', 'direction' => 'asc'],
+                ['key' => 'current_month', 'direction' => 'desc'],
+                ['key' => 'current_month', 'direction' => 'asc'],
+                ['key' => 'unit_count', 'direction' => 'sideways'],
+                ['key' => 'total_sqft', 'direction' => 'desc'],
+                ['key' => 'avg_per_unit', 'direction' => 'desc'],
+            ],
+            'pinned' => [],
+        ]);
+
+        $this->assertEquals([
+            ['key' => 'current_month', 'direction' => 'desc'],
+            ['key' => 'unit_count', 'direction' => 'asc'],
+            ['key' => 'total_sqft', 'direction' => 'desc'],
+        ], $layout['sort']);
+    }
+
+    public function test_empty_sort_falls_back_to_default(): void
+    {
+        $user = User::factory()->create();
+
+        $layout = $this->service->saveLayout($user, 'data', [
+            'columns' => [],
+            'sort' => [['key' => 'note', 'direction' => 'asc']],
+            'pinned' => [],
+        ]);
+
+        $this->assertEquals(UtilityTableLayoutService::DEFAULT_SORT, $layout['sort']);
+    }
+
+    public function test_pinned_ids_are_deduplicated_and_capped(): void
+    {
+        $user = User::factory()->create();
+        $pinned = array_map(fn (int $i) => "prop-{$i}", range(1, UtilityTableLayoutService::MAX_PINNED + 5));
+
+        $layout = $this->service->saveLayout($user, 'data', [
+            'columns' => [],
+            'sort' => [],
+            'pinned' => ['prop-1', 'prop-1', '', 42, ...$pinned],
+        ]);
+
+        $this->assertCount(UtilityTableLayoutService::MAX_PINNED, $layout['pinned']);
+        $this->assertEquals('prop-1', $layout['pinned'][0]);
+        $this->assertEquals('prop-2', $layout['pinned'][1]);
+    }
+
+    public function test_note_is_not_sortable(): void
+    {
+        $sortable = UtilityTableLayoutService::getSortableColumns();
+
+        $this->assertNotContains('note', $sortable);
+        $this->assertContains('property_name', $sortable);
+    }
+
+    // ==================== resetLayout Tests ====================
+
+    public function test_reset_layout_restores_default(): void
+    {
+        $user = User::factory()->create();
+        $this->service->saveLayout($user, 'data', [
+            'columns' => [['key' => 'unit_count', 'visible' => false]],
+            'sort' => [['key' => 'unit_count', 'direction' => 'desc']],
+            'pinned' => ['prop-1'],
+        ]);
+
+        $this->service->resetLayout($user, 'data');
+
+        $this->assertEquals($this->service->getDefaultLayout(), $this->service->getLayout($user->fresh(), 'data'));
+    }
+}
@@ -0,0 +1,165 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\Property;
+use App\Models\PropertyUtilityExclusion;
+use App\Models\UtilityAccount;
+use App\Models\UtilityExpense;
+use App\Services\UtilityUsageService;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class UtilityUsageServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private UtilityUsageService $service;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $this->service = new UtilityUsageService;
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    private function expenseWithUsage(Property $property, UtilityAccount $account, array $attributes): UtilityExpense
+    {
+        return UtilityExpense::factory()->forProperty($property)->forAccount($account)->create([
+            'usage_source' => UtilityExpense::USAGE_SOURCE_PARSED,
+            ...$attributes,
+        ]);
+    }
+
+    // ==================== Parsing Tests ====================
+
+    public function test_usage_is_read_from_bill_descriptions(): void
+    {
+        $this->assertSame(['quantity' => 2450.0, 'unit' => 'kwh'], $this->service->parseDescription('Service 12/10-1/10 2,450 kWh'));
+        $this->assertSame(['quantity' => 56.5, 'unit' => 'therms'], $this->service->parseDescription('Gas: 56.5 THERMS @ $1.20'));
+        $this->assertSame(['quantity' => 12.0, 'unit' => 'ccf'], $this->service->parseDescription('Water 12CCF'));
+        $this->assertSame(['quantity' => 3400.0, 'unit' => 'gallons'], $this->service->parseDescription('3400 gal used'));
+    }
+
+    public function test_descriptions_without_usage_are_not_parsed(): void
+    {
+        $this->assertNull($this->service->parseDescription(null));
+        $this->assertNull($this->service->parseDescription('Monthly water service'));
+        $this->assertNull($this->service->parseDescription('Meter 0 kWh'));
+        // "galaxy" is not a unit and dollar amounts are not usage
+        $this->assertNull($this->service->parseDescription('Galaxy Apartments $120 gallery'));
+    }
+
+    // ==================== Conversion Tests ====================
+
+    public function test_usage_is_converted_to_the_utility_types_unit(): void
+    {
+        $this->assertSame('kwh', $this->service->getUnitForType('electric'));
+        $this->assertSame('therms', $this->service->getUnitForType('gas'));
+        $this->assertNull($this->service->getUnitForType('garbage'));
+
+        $this->assertEqualsWithDelta(1500.0, $this->service->convert(1.5, 'mwh', 'kwh'), 0.0001);
+        $this->assertEqualsWithDelta(103.7, $this->service->convert(100, 'ccf', 'therms'), 0.0001);
+        $this->assertEqualsWithDelta(7480.52, $this->service->convert(10, 'ccf', 'gallons'), 0.0001);
+        $this->assertNull($this->service->convert(100, 'kwh', 'therms'));
+    }
+
+    // ==================== Trend Tests ====================
+
+    public function test_trend_gains_usage_and_effective_rate(): void
+    {
+        $property = Property::factory()->create();
+        $account = UtilityAccount::factory()->electric()->create();
+        $this->expenseWithUsage($property, $account, ['amount' => 150, 'expense_date' => '2026-02-05', 'usage_quantity' => 1, 'usage_unit' => 'mwh']);
+        // Bills without usage don't count toward the rate
+        UtilityExpense::factory()->forProperty($property)->forAccount($account)->create(['amount' => 50, 'expense_date' => '2026-02-20']);
+
+        $trend = $this->service->addUsageToTrend($property, 'electric', [
+            ['period' => 'Feb 2026', 'date' => '2026-02-20', 'cost' => 200.0],
+            ['period' => 'Mar 2026', 'date' => '2026-03-20', 'cost' => 0.0],
+        ]);
+
+        $this->assertEquals(1000, $trend[0]['usage']);
+        $this->assertSame('kwh', $trend[0]['usage_unit']);
+        $this->assertEquals(0.15, $trend[0]['effective_rate']);
+        $this->assertEquals(200, $trend[0]['cost']);
+        $this->assertNull($trend[1]['usage']);
+        $this->assertNull($trend[1]['effective_rate']);
+    }
+
+    public function test_portfolio_usage_trend_skips_excluded_properties(): void
+    {
+        $included = Property::factory()->create(['is_active' => true]);
+        $excluded = Property::factory()->create(['is_active' => true]);
+        $account = UtilityAccount::factory()->gas()->create();
+        $this->expenseWithUsage($included, $account, ['amount' => 120, 'expense_date' => '2026-02-10', 'usage_quantity' => 100, 'usage_unit' => 'therms']);
+        $this->expenseWithUsage($excluded, $account, ['amount' => 500, 'expense_date' => '2026-02-10', 'usage_quantity' => 300, 'usage_unit' => 'therms']);
+        PropertyUtilityExclusion::factory()->create([
+            'property_id' => $excluded->id,
+            'utility_type_id' => $account->utility_type_id,
+        ]);
+
+        $trend = $this->service->getPortfolioUsageTrend(['electric', 'gas'], 2);
+
+        $this->assertCount(2, $trend);
+        $this->assertSame('Feb 2026', $trend[0]['period']);
+        $this->assertEquals(100, $trend[0]['usage']['gas']);
+        $this->assertEquals(1.2, $trend[0]['rate']['gas']);
+        $this->assertNull($trend[1]['usage']['gas']);
+        $this->assertArrayNotHasKey('electric', $trend[0]['usage']);
+    }
+
+    public function test_portfolio_usage_trend_is_null_without_usage(): void
+    {
+        $property = Property::factory()->create(['is_active' => true]);
+        UtilityExpense::factory()
+            ->forProperty($property)
+            ->forAccount(UtilityAccount::factory()->gas()->create())
+            ->create(['expense_date' => '2026-02-10']);
+
+        $this->assertNull($this->service->getPortfolioUsageTrend(['gas']));
+    }
+
+    // ==================== Comparison Tests ====================
+
+    public function test_comparison_data_gains_usage_and_rates_by_period(): void
+    {
+        $property = Property::factory()->create();
+        $other = Property::factory()->create();
+        $account = UtilityAccount::factory()->water()->create();
+        $this->expenseWithUsage($property, $account, ['amount' => 60, 'expense_date' => '2026-02-10', 'usage_quantity' => 6000, 'usage_unit' => 'gallons']);
+        $this->expenseWithUsage($property, $account, ['amount' => 30, 'expense_date' => '2026-01-10', 'usage_quantity' => 3, 'usage_unit' => 'kgal']);
+
+        $data = ['properties' => [
+            ['property_id' => $property->id, 'prev_month' => 60.0],
+            ['property_id' => $other->id, 'prev_month' => 0.0],
+        ]];
+
+        $this->service->addUsageToComparisonData($data, 'water');
+
+        $this->assertSame('gallons', $data['usage_unit']);
+        $this->assertTrue($data['usage_available']);
+
+        $usage = $data['properties'][0]['usage'];
+        $this->assertNull($usage['current_month']);
+        $this->assertEquals(6000, $usage['prev_month']);
+        $this->assertEquals(3000, $usage['prev_3_months']);
+        $this->assertEquals(750, $usage['prev_12_months']);
+        $this->assertEquals(0.01, $data['properties'][0]['rate']['prev_3_months']);
+
+        $this->assertNull($data['properties'][1]['usage']['prev_month']);
+        $this->assertNull($data['properties'][1]['rate']['prev_month']);
+    }
+}
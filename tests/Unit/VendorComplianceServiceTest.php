@@ -375,4 +375,42 @@ class VendorComplianceServiceTest extends TestCase
         $this->assertEmpty($categories['missing_info']);
         $this->assertEmpty($categories['compliant']);
     }
+
+    // ==================== getVendorsNeedingAttention Tests ====================
+
+    public function test_get_vendors_needing_attention_lists_expired_before_expiring(): void
+    {
+        Vendor::factory()->create([
+            'company_name' => 'Alpha Expiring',
+            'workers_comp_expires' => Carbon::now()->addDays(10),
+            'liability_ins_expires' => Carbon::now()->addYear(),
+            'auto_ins_expires' => Carbon::now()->addYear(),
+        ]);
+        Vendor::factory()->create([
+            'company_name' => 'Zulu Expired',
+            'workers_comp_expires' => Carbon::now()->subDays(5),
+            'liability_ins_expires' => Carbon::now()->addYear(),
+            'auto_ins_expires' => Carbon::now()->addYear(),
+        ]);
+        Vendor::factory()->create([
+            'company_name' => 'Current Vendor',
+            'workers_comp_expires' => Carbon::now()->addYear(),
+            'liability_ins_expires' => Carbon::now()->addYear(),
+            'auto_ins_expires' => Carbon::now()->addYear(),
+        ]);
+
+        $result = $this->service->getVendorsNeedingAttention();
+
+        $this->assertCount(2, $result);
+        $this->assertEquals('Zulu Expired', $result[0]['vendor']->company_name);
+        $this->assertEquals('expired', $result[0]['insurance_status']['overall']);
+        $this->assertEquals('Alpha Expiring', $result[1]['vendor']->company_name);
+    }
+
+    public function test_get_vendors_needing_attention_respects_limit(): void
+    {
+        Vendor::factory()->count(4)->withExpiredInsurance()->create();
+
+        $this->assertCount(2, $this->service->getVendorsNeedingAttention(2));
+    }
 }
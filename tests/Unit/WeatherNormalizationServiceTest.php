@@ -0,0 +1,251 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Models\DegreeDay;
+use App\Models\Property;
+use App\Models\UtilityAccount;
+use App\Models\UtilityExpense;
+use App\Models\WeatherStation;
+use App\Services\AdjustmentService;
+use App\Services\UtilityAnalyticsService;
+use App\Services\WeatherNormalizationService;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class WeatherNormalizationServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private WeatherNormalizationService $service;
+
+    private UtilityAnalyticsService $analyticsService;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Carbon::setTestNow('2026-03-20 12:00:00');
+
+        $this->analyticsService = new UtilityAnalyticsService(new AdjustmentService);
+        $this->service = new WeatherNormalizationService($this->analyticsService);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    private function degreeDays(array $attributes): DegreeDay
+    {
+        return DegreeDay::create([
+            'heating_degree_days' => 0,
+            'cooling_degree_days' => 0,
+            ...$attributes,
+        ]);
+    }
+
+    private function importCsv(array $lines): array
+    {
+        $path = tempnam(sys_get_temp_dir(), 'degree-days');
+        file_put_contents($path, implode("\n", $lines));
+
+        $result = $this->service->importCsv($path);
+        unlink($path);
+
+        return $result;
+    }
+
+    // ==================== Import Tests ====================
+
+    public function test_csv_rows_are_imported_by_zip_and_station(): void
+    {
+        $result = $this->importCsv([
+            "\u{FEFF}Zip,Station,Name,Latitude,Longitude,Month,HDD,CDD",
+            '94110,,,,,2026-01,"1,050",0',
+            ',ksfo,SFO Airport,37.6190,-122.3750,2026-01,980.5,2',
+            ',KSFO,,,,1/1/2026,990,0',
+            ',KOAK,,,,2026-01,900,0',
+            '94110,,,,,2026-13,100,0',
+            '94110,,,,,2026-02,-5,0',
+            '',
+        ]);
+
+        $this->assertSame(3, $result['imported']);
+        $this->assertSame([
+            'Line 5: new station "KOAK" needs a latitude and longitude.',
+            'Line 6: invalid month "2026-13".',
+            'Line 7: degree days must be numbers of zero or more.',
+        ], $result['errors']);
+
+        $this->assertEquals(1050, DegreeDay::where('zip', '94110')->value('heating_degree_days'));
+
+        // The second KSFO row replaced the first one's January
+        $station = WeatherStation::sole();
+        $this->assertSame('KSFO', $station->code);
+        $this->assertSame('SFO Airport', $station->name);
+        $this->assertSame(1, $station->degreeDays()->count());
+        $this->assertEquals(990, $station->degreeDays()->value('heating_degree_days'));
+    }
+
+    public function test_csv_without_a_location_column_is_rejected(): void
+    {
+        $result = $this->importCsv(['month,hdd,cdd', '2026-01,100,0']);
+
+        $this->assertSame(0, $result['imported']);
+        $this->assertSame(['Add a zip or station column.'], $result['errors']);
+        $this->assertSame(0, DegreeDay::count());
+    }
+
+    // ==================== Location Matching Tests ====================
+
+    public function test_properties_use_their_zip_before_the_nearest_station(): void
+    {
+        $near = WeatherStation::create(['code' => 'KSFO', 'name' => 'SFO Airport', 'latitude' => 37.619, 'longitude' => -122.375]);
+        $far = WeatherStation::create(['code' => 'KSAC', 'latitude' => 38.695, 'longitude' => -121.590]);
+        $this->degreeDays(['zip' => '94110', 'month' => '2026-01-01']);
+        $this->degreeDays(['weather_station_id' => $near->id, 'month' => '2026-01-01']);
+        $this->degreeDays(['weather_station_id' => $far->id, 'month' => '2026-01-01']);
+
+        $inZip = Property::factory()->create(['zip' => '94110-1234', 'latitude' => 37.75, 'longitude' => -122.41]);
+        $nearStation = Property::factory()->create(['zip' => '94010', 'latitude' => 37.58, 'longitude' => -122.35]);
+        $tooFar = Property::factory()->create(['zip' => '93101', 'latitude' => 34.42, 'longitude' => -119.70]);
+        $notGeocoded = Property::factory()->create(['zip' => '94010', 'latitude' => null, 'longitude' => null]);
+
+        $locations = $this->service->resolveLocations(collect([$inZip, $nearStation, $tooFar, $notGeocoded]));
+
+        $this->assertSame('zip:94110', $locations[$inZip->id]['key']);
+        $this->assertSame("station:{$near->id}", $locations[$nearStation->id]['key']);
+        $this->assertSame('SFO Airport (KSFO)', $locations[$nearStation->id]['label']);
+        $this->assertEqualsWithDelta(3.1, $locations[$nearStation->id]['distance'], 0.5);
+        $this->assertNull($locations[$tooFar->id]);
+        $this->assertNull($locations[$notGeocoded->id]);
+    }
+
+    // ==================== Adjustment Tests ====================
+
+    public function test_costs_are_scaled_to_the_normal_for_the_calendar_month(): void
+    {
+        $property = Property::factory()->create(['zip' => '94110']);
+        $this->degreeDays(['zip' => '94110', 'month' => '2025-01-01', 'heating_degree_days' => 800]);
+        $this->degreeDays(['zip' => '94110', 'month' => '2026-01-01', 'heating_degree_days' => 1200]);
+        $this->degreeDays(['zip' => '94110', 'month' => '2024-07-01', 'heating_degree_days' => 90]);
+        $this->degreeDays(['zip' => '94110', 'month' => '2025-07-01', 'heating_degree_days' => 10]);
+
+        $factors = $this->service->getAdjustmentFactors(
+            collect([$property]),
+            'heating',
+            Carbon::parse('2025-01-01'),
+            Carbon::parse('2026-02-28')
+        )[$property->id];
+
+        // January's normal is 1,000 degree days
+        $this->assertEqualsWithDelta(1.25, $factors['2025-01'], 0.0001);
+        $this->assertEqualsWithDelta(0.8333, $factors['2026-01'], 0.0001);
+
+        // A mild July's ratio of 5 is capped
+        $this->assertSame(WeatherNormalizationService::MAX_FACTOR, $factors['2025-07']);
+
+        // Months without degree days aren't adjusted
+        $this->assertArrayNotHasKey('2026-02', $factors);
+    }
+
+    public function test_trend_gains_weather_adjusted_costs_for_weather_sensitive_types(): void
+    {
+        $property = Property::factory()->create(['zip' => '94110']);
+        $this->degreeDays(['zip' => '94110', 'month' => '2025-02-01', 'heating_degree_days' => 500]);
+        $this->degreeDays(['zip' => '94110', 'month' => '2026-02-01', 'heating_degree_days' => 1500]);
+
+        $trend = [
+            ['period' => 'Feb 2026', 'date' => '2026-02-20', 'cost' => 900.0, 'cost_per_unit' => 90.0],
+            ['period' => 'Mar 2026', 'date' => '2026-03-20', 'cost' => 400.0, 'cost_per_unit' => 40.0],
+        ];
+
+        $gas = $this->service->normalizeTrend($property, 'gas', $trend);
+        $water = $this->service->normalizeTrend($property, 'water', $trend);
+
+        $this->assertEquals(600, $gas[0]['weather_adjusted_cost']);
+        $this->assertEquals(60, $gas[0]['weather_adjusted_cost_per_unit']);
+        $this->assertNull($gas[1]['weather_adjusted_cost']);
+        $this->assertNull($water[0]['weather_adjusted_cost']);
+        $this->assertEquals(900, $water[0]['cost']);
+    }
+
+    // ==================== Anomaly Tests ====================
+
+    public function test_a_cold_month_is_not_flagged_once_costs_are_weather_adjusted(): void
+    {
+        $gasAccount = UtilityAccount::factory()->gas()->create();
+        $this->degreeDays(['zip' => '22222', 'month' => '2025-02-01', 'heating_degree_days' => 500]);
+        $this->degreeDays(['zip' => '22222', 'month' => '2026-02-01', 'heating_degree_days' => 1500]);
+
+        // Five properties in a typical February, one in a ZIP with a cold snap
+        $costs = ['11111' => [100, 105, 95, 102, 98], '22222' => [150]];
+        foreach ($costs as $zip => $amounts) {
+            foreach ($amounts as $amount) {
+                $property = Property::factory()->create(['zip' => $zip, 'unit_count' => 1, 'is_active' => true]);
+                UtilityExpense::factory()->forAccount($gasAccount)->create([
+                    'property_id' => $property->id,
+                    'amount' => $amount,
+                    'expense_date' => '2026-02-10',
+                ]);
+            }
+        }
+
+        $period = ['type' => 'month', 'date' => Carbon::parse('2026-02-15')];
+
+        $this->assertCount(1, $this->analyticsService->getAnomalies('gas', $period));
+        $this->assertSame([], $this->service->getAnomalies('gas', $period));
+    }
+
+    public function test_real_outliers_are_still_flagged_after_adjustment(): void
+    {
+        $gasAccount = UtilityAccount::factory()->gas()->create();
+        $this->degreeDays(['zip' => '22222', 'month' => '2025-02-01', 'heating_degree_days' => 500]);
+        $this->degreeDays(['zip' => '22222', 'month' => '2026-02-01', 'heating_degree_days' => 1500]);
+
+        $properties = [];
+        foreach ([100, 105, 95, 102, 98, 600] as $cost) {
+            $property = Property::factory()->create(['zip' => '22222', 'unit_count' => 1, 'is_active' => true]);
+            $properties[] = $property;
+            UtilityExpense::factory()->forAccount($gasAccount)->create([
+                'property_id' => $property->id,
+                'amount' => $cost,
+                'expense_date' => '2026-02-10',
+            ]);
+        }
+
+        $anomalies = $this->service->getAnomalies('gas', ['type' => 'month', 'date' => Carbon::parse('2026-02-15')]);
+
+        $this->assertCount(1, $anomalies);
+        $this->assertSame($properties[5]->id, $anomalies[0]['property_id']);
+        $this->assertEquals(400.0, $anomalies[0]['value']);
+        $this->assertTrue($anomalies[0]['weather_adjusted']);
+    }
+
+    public function test_types_without_a_degree_day_basis_use_actual_costs(): void
+    {
+        $waterAccount = UtilityAccount::factory()->water()->create();
+        $this->degreeDays(['zip' => '22222', 'month' => '2026-02-01', 'heating_degree_days' => 1500]);
+
+        foreach ([100, 105, 95, 102, 98, 600] as $cost) {
+            $property = Property::factory()->create(['zip' => '22222', 'unit_count' => 1, 'is_active' => true]);
+            UtilityExpense::factory()->forAccount($waterAccount)->create([
+                'property_id' => $property->id,
+                'amount' => $cost,
+                'expense_date' => '2026-02-10',
+            ]);
+        }
+
+        $anomalies = $this->service->getAnomalies('water', ['type' => 'month', 'date' => Carbon::parse('2026-02-15')]);
+
+        $this->assertCount(1, $anomalies);
+        $this->assertEquals(600.0, $anomalies[0]['value']);
+        $this->assertArrayNotHasKey('weather_adjusted', $anomalies[0]);
+    }
+}